@@ -0,0 +1,675 @@
+/**
+ * REOT - Bytes Module
+ * 字节编解码核心模块：统一解析和输出 Hex / Base64 / Base64URL / 二进制 / C 数组 /
+ * Python bytes 字面量 / \x 转义等格式，并提供输入格式自动检测
+ * 不依赖 DOM（bindFormatSelect 除外），可在 Web Worker 中使用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    const strictDecoder = new TextDecoder('utf-8', { fatal: true });
+
+    // 自动检测的优先级（text 为兜底）
+    const DETECT_ORDER = ['python', 'c-array', 'escaped', 'binary', 'hex', 'base64url', 'base64'];
+
+    // 格式显示名称（格式名本身是技术术语，不做翻译）
+    const FORMAT_LABELS = {
+        text: 'Text (UTF-8)',
+        hex: 'Hex',
+        base64: 'Base64',
+        base64url: 'Base64URL',
+        binary: 'Binary',
+        'c-array': 'C Array',
+        python: 'Python bytes',
+        escaped: '\\x Escaped'
+    };
+
+    // Python / C 字符串中的单字符转义
+    const SIMPLE_ESCAPES = {
+        n: 0x0a, r: 0x0d, t: 0x09, a: 0x07, b: 0x08, f: 0x0c, v: 0x0b,
+        '\\': 0x5c, '\'': 0x27, '"': 0x22, '0': 0x00
+    };
+
+    /**
+     * 是否为文本中不应出现的控制字符（0x00–0x08、0x0E–0x1F、DEL；制表、换行、回车等空白除外）
+     * @param {number} code - 字符编码
+     * @returns {boolean}
+     */
+    function isControlCode(code) {
+        return code <= 0x08 || (code >= 0x0e && code <= 0x1f) || code === 0x7f;
+    }
+
+    /**
+     * 截断过长的片段用于错误提示
+     * @param {string} str
+     * @returns {string}
+     */
+    function snippet(str) {
+        return str.length > 16 ? str.substring(0, 16) + '…' : str;
+    }
+
+    /**
+     * 解析 \x 转义风格的字符串（C 字符串 / Python bytes 内容共用）
+     * 非转义字符按 UTF-8 编码
+     * @param {string} body - 字符串内容（不含引号）
+     * @param {boolean} allowOctal - 是否支持 \ooo 八进制转义
+     * @returns {Uint8Array}
+     */
+    function parseEscapedBody(body, allowOctal) {
+        const out = [];
+        let i = 0;
+
+        while (i < body.length) {
+            const ch = body[i];
+            if (ch !== '\\') {
+                const code = body.codePointAt(i);
+                const char = String.fromCodePoint(code);
+                encoder.encode(char).forEach(b => out.push(b));
+                i += char.length;
+                continue;
+            }
+
+            const next = body[i + 1];
+            if (next === undefined) {
+                throw new Error('转义序列不完整：末尾为单独的反斜杠');
+            }
+            if (next === 'x' || next === 'X') {
+                const hex = body.substr(i + 2, 2);
+                if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+                    throw new Error(`无效的转义序列 "\\x${snippet(hex)}"，\\x 后必须跟两位十六进制数`);
+                }
+                out.push(parseInt(hex, 16));
+                i += 4;
+            } else if (allowOctal && /[0-7]/.test(next)) {
+                const octal = body.substr(i + 1, 3).match(/^[0-7]{1,3}/)[0];
+                const value = parseInt(octal, 8);
+                if (value > 0xff) {
+                    throw new Error(`八进制转义 "\\${octal}" 超出字节范围`);
+                }
+                out.push(value);
+                i += 1 + octal.length;
+            } else if (next === '\n') {
+                // 续行
+                i += 2;
+            } else if (SIMPLE_ESCAPES[next] !== undefined) {
+                out.push(SIMPLE_ESCAPES[next]);
+                i += 2;
+            } else {
+                throw new Error(`无效的转义序列 "\\${next}"`);
+            }
+        }
+
+        return new Uint8Array(out);
+    }
+
+    /**
+     * 字节编解码模块
+     */
+    const bytes = {
+        // 支持的格式
+        FORMATS: ['text', 'hex', 'base64', 'base64url', 'binary', 'c-array', 'python', 'escaped'],
+
+        // 格式显示名称
+        FORMAT_LABELS,
+
+        // ========== Hex ==========
+
+        /**
+         * 解析十六进制
+         * 忽略空白、0x / \x 前缀以及逗号、冒号、短横线分隔符，大小写不敏感
+         * @param {string} str
+         * @returns {Uint8Array}
+         */
+        fromHex(str) {
+            const hex = String(str)
+                .replace(/0x|\\x/gi, '')
+                .replace(/[\s,:;-]/g, '');
+            const invalid = hex.match(/[^0-9a-fA-F]/);
+            if (invalid) {
+                throw new Error(`无效的十六进制字符 "${invalid[0]}"`);
+            }
+            if (hex.length % 2 !== 0) {
+                throw new Error(`十六进制数据长度必须为偶数，当前为 ${hex.length} 个字符`);
+            }
+            const result = new Uint8Array(hex.length / 2);
+            for (let i = 0; i < result.length; i++) {
+                result[i] = parseInt(hex.substr(i * 2, 2), 16);
+            }
+            return result;
+        },
+
+        /**
+         * 输出十六进制
+         * @param {Uint8Array} data
+         * @param {Object} [options]
+         * @param {string} [options.separator=''] - 字节分隔符
+         * @param {boolean} [options.uppercase=false] - 是否大写
+         * @returns {string}
+         */
+        toHex(data, options = {}) {
+            const { separator = '', uppercase = false } = options;
+            const hex = Array.from(data, b => b.toString(16).padStart(2, '0')).join(separator);
+            return uppercase ? hex.toUpperCase() : hex;
+        },
+
+        // ========== Base64 ==========
+
+        /**
+         * 解析 Base64（同时兼容 URL 安全字母表、空白以及缺失的填充）
+         * @param {string} str
+         * @returns {Uint8Array}
+         */
+        fromBase64(str) {
+            let b64 = String(str).replace(/\s/g, '').replace(/-/g, '+').replace(/_/g, '/');
+            if (!/^[A-Za-z0-9+/]*={0,2}$/.test(b64)) {
+                const invalid = b64.replace(/=+$/, '').match(/[^A-Za-z0-9+/]/);
+                throw new Error(`无效的 Base64 字符 "${invalid ? invalid[0] : '='}"`);
+            }
+            b64 = b64.replace(/=+$/, '');
+            if (b64.length % 4 === 1) {
+                throw new Error('Base64 数据长度无效');
+            }
+            while (b64.length % 4) {
+                b64 += '=';
+            }
+            const binary = atob(b64);
+            const result = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                result[i] = binary.charCodeAt(i);
+            }
+            return result;
+        },
+
+        /**
+         * 输出标准 Base64
+         * @param {Uint8Array} data
+         * @returns {string}
+         */
+        toBase64(data) {
+            let binary = '';
+            const chunk = 0x8000;
+            for (let i = 0; i < data.length; i += chunk) {
+                binary += String.fromCharCode.apply(null, data.subarray(i, i + chunk));
+            }
+            return btoa(binary);
+        },
+
+        /**
+         * 输出 Base64URL
+         * @param {Uint8Array} data
+         * @param {boolean} [padding=false] - 是否保留填充
+         * @returns {string}
+         */
+        toBase64Url(data, padding = false) {
+            const b64 = this.toBase64(data).replace(/\+/g, '-').replace(/\//g, '_');
+            return padding ? b64 : b64.replace(/=+$/, '');
+        },
+
+        // ========== 二进制 ==========
+
+        /**
+         * 解析二进制位串（每 8 位一个字节，忽略空白）
+         * @param {string} str
+         * @returns {Uint8Array}
+         */
+        fromBinary(str) {
+            const bits = String(str).replace(/0b/gi, '').replace(/[\s,]/g, '');
+            if (/[^01]/.test(bits)) {
+                throw new Error('二进制数据只能包含 0 和 1');
+            }
+            if (bits.length % 8 !== 0) {
+                throw new Error(`二进制数据位数必须是 8 的倍数，当前为 ${bits.length} 位`);
+            }
+            const result = new Uint8Array(bits.length / 8);
+            for (let i = 0; i < result.length; i++) {
+                result[i] = parseInt(bits.substr(i * 8, 8), 2);
+            }
+            return result;
+        },
+
+        /**
+         * 输出二进制位串
+         * @param {Uint8Array} data
+         * @param {string} [separator=' ']
+         * @returns {string}
+         */
+        toBinary(data, separator = ' ') {
+            return Array.from(data, b => b.toString(2).padStart(8, '0')).join(separator);
+        },
+
+        // ========== C 数组 ==========
+
+        /**
+         * 解析 C 数组，如 `unsigned char buf[] = { 0x48, 105, 'A' };`
+         * 元素支持十六进制、十进制、八进制和字符常量
+         * @param {string} str
+         * @returns {Uint8Array}
+         */
+        fromCArray(str) {
+            let body = String(str).replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '').trim();
+            const open = body.indexOf('{');
+            const close = body.lastIndexOf('}');
+            if (open !== -1 && close > open) {
+                body = body.substring(open + 1, close);
+            } else if (open !== -1 || close !== -1) {
+                throw new Error('C 数组的花括号不匹配');
+            }
+
+            const items = body.split(',').map(s => s.trim()).filter(Boolean);
+            return Uint8Array.from(items, item => {
+                let value;
+                const charMatch = item.match(/^'(.+)'$/);
+                if (charMatch) {
+                    const parsed = parseEscapedBody(charMatch[1], true);
+                    if (parsed.length !== 1) {
+                        throw new Error(`无效的 C 数组元素 "${snippet(item)}"`);
+                    }
+                    return parsed[0];
+                }
+                const num = item.replace(/^\((?:unsigned\s+)?(?:char|uint8_t|byte|BYTE)\)\s*/, '').replace(/[uUlL]+$/, '');
+                if (/^0x[0-9a-f]+$/i.test(num)) {
+                    value = parseInt(num, 16);
+                } else if (/^0[0-7]+$/.test(num)) {
+                    value = parseInt(num, 8);
+                } else if (/^-?\d+$/.test(num)) {
+                    value = parseInt(num, 10);
+                } else {
+                    throw new Error(`无效的 C 数组元素 "${snippet(item)}"`);
+                }
+                if (value < -128 || value > 255) {
+                    throw new Error(`C 数组元素 "${snippet(item)}" 超出字节范围`);
+                }
+                return value & 0xff;
+            });
+        },
+
+        /**
+         * 输出 C 数组
+         * @param {Uint8Array} data
+         * @param {Object} [options]
+         * @param {string} [options.name='data'] - 变量名
+         * @param {number} [options.perLine=12] - 每行字节数
+         * @returns {string}
+         */
+        toCArray(data, options = {}) {
+            const { name = 'data', perLine = 12 } = options;
+            const lines = [];
+            for (let i = 0; i < data.length; i += perLine) {
+                lines.push('    ' + Array.from(data.subarray(i, i + perLine), b => '0x' + b.toString(16).padStart(2, '0')).join(', '));
+            }
+            return `unsigned char ${name}[${data.length}] = {\n${lines.join(',\n')}\n};`;
+        },
+
+        // ========== Python bytes ==========
+
+        /**
+         * 解析 Python bytes 字面量，如 b'\x48i\n' / b"..."，支持 rb'' 原始字面量和相邻字面量拼接
+         * @param {string} str
+         * @returns {Uint8Array}
+         */
+        fromPythonBytes(str) {
+            const literal = /([rR]?[bB]|[bB][rR])('''|"""|'|")([\s\S]*?)\2/g;
+            const source = String(str).trim();
+            const parts = [];
+            let lastIndex = 0;
+            let match;
+
+            while ((match = literal.exec(source)) !== null) {
+                if (source.substring(lastIndex, match.index).trim() !== '') {
+                    break;
+                }
+                const raw = /r/i.test(match[1]);
+                parts.push(raw ? encoder.encode(match[3]) : parseEscapedBody(match[3], true));
+                lastIndex = literal.lastIndex;
+            }
+
+            if (parts.length === 0 || source.substring(lastIndex).trim() !== '') {
+                throw new Error('无效的 Python bytes 字面量，应为 b\'...\' 形式');
+            }
+            return this.concat(parts);
+        },
+
+        /**
+         * 输出 Python bytes 字面量（与 Python repr 一致）
+         * @param {Uint8Array} data
+         * @returns {string}
+         */
+        toPythonBytes(data) {
+            const quote = data.includes(0x27) && !data.includes(0x22) ? '"' : '\'';
+            let body = '';
+            data.forEach(b => {
+                if (b === 0x5c) {
+                    body += '\\\\';
+                } else if (b === 0x0a) {
+                    body += '\\n';
+                } else if (b === 0x0d) {
+                    body += '\\r';
+                } else if (b === 0x09) {
+                    body += '\\t';
+                } else if (b === quote.charCodeAt(0)) {
+                    body += '\\' + quote;
+                } else if (b >= 0x20 && b < 0x7f) {
+                    body += String.fromCharCode(b);
+                } else {
+                    body += '\\x' + b.toString(16).padStart(2, '0');
+                }
+            });
+            return `b${quote}${body}${quote}`;
+        },
+
+        // ========== \x 转义 ==========
+
+        /**
+         * 解析 \x 转义字符串，如 \x48\x65llo\n（可带外层引号）
+         * @param {string} str
+         * @returns {Uint8Array}
+         */
+        fromEscaped(str) {
+            let body = String(str).trim();
+            const quoted = body.match(/^(['"])([\s\S]*)\1$/);
+            if (quoted) {
+                body = quoted[2];
+            }
+            return parseEscapedBody(body, false);
+        },
+
+        /**
+         * 输出 \x 转义字符串（每个字节都转义）
+         * @param {Uint8Array} data
+         * @returns {string}
+         */
+        toEscaped(data) {
+            return Array.from(data, b => '\\x' + b.toString(16).padStart(2, '0')).join('');
+        },
+
+        // ========== 文本 ==========
+
+        /**
+         * 文本按 UTF-8 编码
+         * @param {string} str
+         * @returns {Uint8Array}
+         */
+        fromText(str) {
+            return encoder.encode(String(str));
+        },
+
+        /**
+         * 按 UTF-8 解码（无效序列替换为 U+FFFD）
+         * @param {Uint8Array} data
+         * @returns {string}
+         */
+        toText(data) {
+            return decoder.decode(data);
+        },
+
+        /**
+         * 判断字节是否为有效的 UTF-8 可读文本（不含控制字符）
+         * @param {Uint8Array} data
+         * @param {number} [tolerance=0] - 允许的控制字符比例（0–1）
+         * @returns {boolean}
+         */
+        isPrintableText(data, tolerance = 0) {
+            try {
+                const text = strictDecoder.decode(data);
+                let controls = 0;
+                for (let i = 0; i < text.length; i++) {
+                    if (isControlCode(text.charCodeAt(i))) {
+                        controls++;
+                    }
+                }
+                return controls <= text.length * tolerance;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        // ========== 通用 ==========
+
+        /**
+         * 按格式解析字符串为字节
+         * @param {string} str - 输入
+         * @param {string} [format='auto'] - 格式，auto 表示自动检测
+         * @returns {Uint8Array}
+         */
+        parse(str, format = 'auto') {
+            const resolved = format === 'auto' ? this.detect(str) : format;
+            switch (resolved) {
+            case 'text': return this.fromText(str);
+            case 'hex': return this.fromHex(str);
+            case 'base64':
+            case 'base64url': return this.fromBase64(str);
+            case 'binary': return this.fromBinary(str);
+            case 'c-array': return this.fromCArray(str);
+            case 'python': return this.fromPythonBytes(str);
+            case 'escaped': return this.fromEscaped(str);
+            default:
+                throw new Error(`不支持的字节格式: ${format}`);
+            }
+        },
+
+        /**
+         * 按格式输出字节
+         * @param {Uint8Array} data - 字节
+         * @param {string} format - 格式
+         * @param {Object} [options] - 传给对应输出函数的选项
+         * @returns {string}
+         */
+        format(data, format, options = {}) {
+            switch (format) {
+            case 'text': return this.toText(data);
+            case 'hex': return this.toHex(data, options);
+            case 'base64': return this.toBase64(data);
+            case 'base64url': return this.toBase64Url(data, options.padding);
+            case 'binary': return this.toBinary(data, options.separator);
+            case 'c-array': return this.toCArray(data, options);
+            case 'python': return this.toPythonBytes(data);
+            case 'escaped': return this.toEscaped(data);
+            default:
+                throw new Error(`不支持的字节格式: ${format}`);
+            }
+        },
+
+        /**
+         * 自动检测输入格式
+         * 按 Python bytes > C 数组 > \x 转义 > 二进制 > Hex > Base64URL > Base64 的顺序尝试，都不匹配时视为文本
+         * @param {string} str
+         * @param {Object} [options]
+         * @param {boolean} [options.allowText=true] - 为 false 时（输入必然是编码后的二进制数据），
+         *     放宽 Base64 的判断条件，仍无法识别时返回 null
+         * @returns {string|null}
+         */
+        detect(str, options = {}) {
+            const { allowText = true } = options;
+            const value = String(str || '').trim();
+            if (!value) {
+                return allowText ? 'text' : null;
+            }
+            const detected = DETECT_ORDER.find(format => this.looksLike(value, format));
+            if (detected) {
+                return detected;
+            }
+            if (allowText) {
+                return 'text';
+            }
+            try {
+                this.fromBase64(value);
+                return 'base64';
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * 判断输入是否像指定格式且能成功解析
+         * @param {string} value - 已去除首尾空白的输入
+         * @param {string} format - 格式
+         * @returns {boolean}
+         */
+        looksLike(value, format) {
+            let matches;
+            switch (format) {
+            case 'python':
+                matches = /^[rR]?[bB][rR]?(['"])[\s\S]*\1$/.test(value);
+                break;
+            case 'c-array':
+                matches = /^[^{};]*\{[\s\S]*\}\s*;?$/.test(value) && /0x[0-9a-f]|\d/i.test(value);
+                break;
+            case 'escaped':
+                matches = /^(['"]?)(?:\\x[0-9a-fA-F]{2}|\\[nrt0\\'"]|[^\\])*\1$/.test(value) && /\\x[0-9a-fA-F]{2}/.test(value);
+                break;
+            case 'binary': {
+                const bits = value.replace(/\s/g, '');
+                matches = /^[01]+$/.test(bits) && bits.length >= 8 && bits.length % 8 === 0 && /\s/.test(value);
+                break;
+            }
+            case 'hex': {
+                const hex = value.replace(/0x|\\x/gi, '').replace(/[\s,:]/g, '');
+                matches = /^[0-9a-fA-F]+$/.test(hex) && hex.length % 2 === 0;
+                break;
+            }
+            case 'base64url':
+                // 过短的输入（如 hello_world）更可能是普通文本
+                matches = /^[A-Za-z0-9_-]+$/.test(value) && /[-_]/.test(value) && value.length % 4 !== 1 && value.length >= 16;
+                break;
+            case 'base64': {
+                const b64 = value.replace(/\s/g, '');
+                matches = /^[A-Za-z0-9+/]+={0,2}$/.test(b64) && b64.length % 4 === 0 &&
+                    (b64.length >= 16 || /[0-9+/=]/.test(b64));
+                break;
+            }
+            default:
+                matches = false;
+            }
+            if (!matches) {
+                return false;
+            }
+            try {
+                this.parse(value, format);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * 统一输入为字节数组，供各哈希 / 压缩核心接收字符串或二进制数据：
+         * 字符串按 UTF-8 编码，Uint8Array 原样返回，ArrayBuffer 和其他 TypedArray 包装为同一内存上的 Uint8Array
+         * @param {string|ArrayBuffer|ArrayBufferView|number[]} data
+         * @returns {Uint8Array}
+         */
+        from(data) {
+            if (typeof data === 'string') {
+                return encoder.encode(data);
+            }
+            if (data instanceof Uint8Array) {
+                return data;
+            }
+            if (ArrayBuffer.isView(data)) {
+                return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            }
+            return new Uint8Array(data);
+        },
+
+        /**
+         * 拼接多个字节数组
+         * @param {Array<Uint8Array>} parts
+         * @returns {Uint8Array}
+         */
+        concat(parts) {
+            const total = parts.reduce((sum, part) => sum + part.length, 0);
+            const result = new Uint8Array(total);
+            let offset = 0;
+            parts.forEach(part => {
+                result.set(part, offset);
+                offset += part.length;
+            });
+            return result;
+        },
+
+        /**
+         * 字节数组转换为 32 位字数组（MD4 / MD5、Argon2、scrypt 等核心读取消息块时使用）
+         * 长度不是 4 的倍数时，最后一个字的剩余字节按 0 补齐
+         * @param {Uint8Array} data
+         * @param {boolean} [littleEndian=true] - 是否按小端序组合
+         * @returns {Uint32Array}
+         */
+        bytesToWords(data, littleEndian = true) {
+            const result = new Uint32Array(Math.ceil(data.length / 4));
+            for (let i = 0; i < data.length; i++) {
+                const shift = littleEndian ? (i % 4) * 8 : (3 - (i % 4)) * 8;
+                result[i >> 2] |= data[i] << shift;
+            }
+            return result;
+        },
+
+        /**
+         * 小端序 32 位字数组转换为字节数组（MD4 / MD5、BLAKE2、Argon2 等核心输出摘要时使用）
+         * @param {Uint32Array|Int32Array|number[]} words
+         * @returns {Uint8Array}
+         */
+        wordsToBytes(words) {
+            const result = new Uint8Array(words.length * 4);
+            for (let i = 0; i < words.length; i++) {
+                result[i * 4] = words[i];
+                result[i * 4 + 1] = words[i] >>> 8;
+                result[i * 4 + 2] = words[i] >>> 16;
+                result[i * 4 + 3] = words[i] >>> 24;
+            }
+            return result;
+        },
+
+        /**
+         * 比较两个字节数组是否相等
+         * @param {Uint8Array} a
+         * @param {Uint8Array} b
+         * @returns {boolean}
+         */
+        equals(a, b) {
+            if (a.length !== b.length) {
+                return false;
+            }
+            for (let i = 0; i < a.length; i++) {
+                if (a[i] !== b[i]) {
+                    return false;
+                }
+            }
+            return true;
+        },
+
+        /**
+         * 将格式下拉框与输入框绑定：选择"自动检测"时在选项文本中显示检测结果
+         * @param {HTMLSelectElement} select - 格式下拉框（需包含 value="auto" 的选项）
+         * @param {HTMLInputElement|HTMLTextAreaElement} input - 输入框
+         * @returns {Function} - 返回当前生效格式的函数（auto 时返回检测结果）
+         */
+        bindFormatSelect(select, input) {
+            const autoOption = select?.querySelector('option[value="auto"]');
+            const getFormat = () => (select.value === 'auto' ? this.detect(input.value) : select.value);
+
+            if (autoOption && input) {
+                const baseLabel = () => (root.REOT.i18n?.t ? root.REOT.i18n.t('common.autoDetect') : '自动检测');
+                const update = () => {
+                    const label = baseLabel();
+                    autoOption.textContent = input.value.trim()
+                        ? `${label} (${FORMAT_LABELS[this.detect(input.value)]})`
+                        : label;
+                };
+                input.addEventListener('input', update);
+                update();
+            }
+
+            return getFormat;
+        }
+    };
+
+    root.REOT.bytes = bytes;
+
+})(typeof window !== 'undefined' ? window : self);
@@ -298,29 +298,44 @@
         /**
          * 获取翻译文本
          * @param {string} key - 翻译键，支持点号分隔的路径
-         * @param {Object} params - 替换参数
+         * @param {string|Object} [fallback] - 缺少翻译时使用的默认文本；传入对象时视为替换参数
+         * @param {Object} [params] - 替换参数，同样作用于默认文本
          * @returns {string}
+         * @example
+         * REOT.i18n.t('common.copied');
+         * REOT.i18n.t('tools.crc.errorSampleLine', '第 {line} 行格式错误', { line: 3 });
          */
-        t(key, params = {}) {
+        t(key, fallback, params = {}) {
+            if (fallback !== null && typeof fallback === 'object') {
+                params = fallback;
+                fallback = undefined;
+            }
+
             // 确保 this 上下文正确（防止 this 丢失的情况）
             const self = this && this.locales ? this : REOT.i18n;
-            if (!self || !self.locales) {
-                // i18n 尚未初始化，返回 key 的最后部分作为默认值
-                return key.split('.').pop();
-            }
+            let text;
 
-            const locale = self.locales[self.currentLocale] || {};
-            let text = self.getNestedValue(locale, key);
+            if (self && self.locales) {
+                const locale = self.locales[self.currentLocale] || {};
+                text = self.getNestedValue(locale, key);
 
-            if (text === undefined) {
-                // 尝试从默认语言获取
-                const defaultLocale = self.locales['zh-CN'] || self.getDefaultLocale('zh-CN');
-                text = self.getNestedValue(defaultLocale, key);
+                if (text === undefined) {
+                    // 尝试从默认语言获取
+                    const defaultLocale = self.locales['zh-CN'] || self.getDefaultLocale('zh-CN');
+                    text = self.getNestedValue(defaultLocale, key);
+                }
             }
 
             if (text === undefined) {
-                console.warn(`翻译键未找到: ${key}`);
-                return key;
+                if (fallback !== undefined) {
+                    text = fallback;
+                } else if (!self || !self.locales) {
+                    // i18n 尚未初始化，返回 key 的最后部分作为默认值
+                    return key.split('.').pop();
+                } else {
+                    console.warn(`翻译键未找到: ${key}`);
+                    return key;
+                }
             }
 
             // 替换参数
@@ -433,6 +448,6 @@
     };
 
     // 创建快捷方法
-    window.$t = (key, params) => REOT.i18n.t(key, params);
+    window.$t = (key, fallback, params) => REOT.i18n.t(key, fallback, params);
 
 })();
@@ -0,0 +1,583 @@
+/**
+ * REOT - Keys Module
+ * 非对称密钥导入导出模块：解析 PEM（SPKI / PKCS#8 / PKCS#1 / SEC1 / 证书）、DER 和 JWK / JWKS，
+ * 识别密钥类型与曲线，并导入为 WebCrypto CryptoKey
+ * 只依赖 crypto.subtle，不依赖 DOM，可在 Web Worker 中使用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // 算法 OID
+    const OID_RSA = '1.2.840.113549.1.1.1';
+    const OID_RSA_PSS = '1.2.840.113549.1.1.10';
+    const OID_EC = '1.2.840.10045.2.1';
+
+    // OKP 密钥的 OID 与曲线名
+    const OKP_CURVES = {
+        '1.3.101.110': 'X25519',
+        '1.3.101.111': 'X448',
+        '1.3.101.112': 'Ed25519',
+        '1.3.101.113': 'Ed448'
+    };
+
+    // EC 曲线 OID
+    const EC_CURVES = {
+        '1.2.840.10045.3.1.7': 'P-256',
+        '1.3.132.0.34': 'P-384',
+        '1.3.132.0.35': 'P-521',
+        '1.3.132.0.10': 'secp256k1',
+        '1.2.156.10197.1.301': 'SM2'
+    };
+
+    // JWK 中的私有字段
+    const PRIVATE_JWK_FIELDS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth', 'k'];
+
+    // ========== DER 编解码 ==========
+
+    /**
+     * 读取一个 DER 元素
+     * @param {Uint8Array} der
+     * @param {number} offset
+     * @returns {{tag: number, start: number, end: number, next: number}} - start/end 为内容范围
+     */
+    function readNode(der, offset) {
+        if (offset + 2 > der.length) {
+            throw new Error('DER 数据被截断');
+        }
+        const tag = der[offset];
+        let length = der[offset + 1];
+        let start = offset + 2;
+        if (length & 0x80) {
+            const count = length & 0x7F;
+            if (count === 0 || count > 4 || start + count > der.length) {
+                throw new Error('DER 长度字段无效');
+            }
+            length = 0;
+            for (let i = 0; i < count; i++) {
+                length = length * 256 + der[start + i];
+            }
+            start += count;
+        }
+        const end = start + length;
+        if (end > der.length) {
+            throw new Error('DER 数据被截断');
+        }
+        return { tag, start, end, next: end };
+    }
+
+    /**
+     * 读取构造类型元素的全部子元素
+     * @param {Uint8Array} der
+     * @param {{start: number, end: number}} node
+     * @returns {Object[]}
+     */
+    function readChildren(der, node) {
+        const children = [];
+        let offset = node.start;
+        while (offset < node.end) {
+            const child = readNode(der, offset);
+            child.offset = offset;
+            children.push(child);
+            offset = child.next;
+        }
+        return children;
+    }
+
+    /**
+     * 解码 OBJECT IDENTIFIER 内容为点分字符串
+     * @param {Uint8Array} der
+     * @param {{tag: number, start: number, end: number}} node
+     * @returns {string}
+     */
+    function readOid(der, node) {
+        if (node.tag !== 0x06) {
+            throw new Error('期望 OBJECT IDENTIFIER');
+        }
+        const parts = [];
+        let value = 0;
+        for (let i = node.start; i < node.end; i++) {
+            value = value * 128 + (der[i] & 0x7F);
+            if (!(der[i] & 0x80)) {
+                if (parts.length === 0) {
+                    const first = Math.min(2, Math.floor(value / 40));
+                    parts.push(first, value - first * 40);
+                } else {
+                    parts.push(value);
+                }
+                value = 0;
+            }
+        }
+        return parts.join('.');
+    }
+
+    /**
+     * 编码 OBJECT IDENTIFIER 内容
+     * @param {string} oid
+     * @returns {number[]}
+     */
+    function encodeOid(oid) {
+        const parts = oid.split('.').map(Number);
+        const out = [parts[0] * 40 + parts[1]];
+        for (let i = 2; i < parts.length; i++) {
+            const chunk = [];
+            let value = parts[i];
+            do {
+                chunk.unshift((value & 0x7F) | (chunk.length ? 0x80 : 0));
+                value = Math.floor(value / 128);
+            } while (value > 0);
+            out.push(...chunk);
+        }
+        return out;
+    }
+
+    /**
+     * 编码一个 DER 元素
+     * @param {number} tag
+     * @param {...(Uint8Array|number[])} parts - 内容片段
+     * @returns {Uint8Array}
+     */
+    function encodeNode(tag, ...parts) {
+        const length = parts.reduce((sum, part) => sum + part.length, 0);
+        const header = [tag];
+        if (length < 0x80) {
+            header.push(length);
+        } else {
+            const bytes = [];
+            for (let n = length; n > 0; n = Math.floor(n / 256)) {
+                bytes.unshift(n & 0xFF);
+            }
+            header.push(0x80 | bytes.length, ...bytes);
+        }
+        const out = new Uint8Array(header.length + length);
+        out.set(header, 0);
+        let offset = header.length;
+        parts.forEach(part => {
+            out.set(part, offset);
+            offset += part.length;
+        });
+        return out;
+    }
+
+    /**
+     * 编码 AlgorithmIdentifier
+     * @param {string} oid
+     * @param {Uint8Array|number[]} [params] - 已编码的参数，缺省为 NULL
+     * @returns {Uint8Array}
+     */
+    function encodeAlgorithm(oid, params = [0x05, 0x00]) {
+        return encodeNode(0x30, encodeNode(0x06, encodeOid(oid)), params);
+    }
+
+    /**
+     * 解析 AlgorithmIdentifier，返回密钥类型和曲线
+     * @param {Uint8Array} der
+     * @param {Object} node
+     * @returns {{oid: string, kty: string, curve: (string|null)}}
+     */
+    function readAlgorithm(der, node) {
+        const [oidNode, params] = readChildren(der, node);
+        const oid = readOid(der, oidNode);
+        if (oid === OID_RSA || oid === OID_RSA_PSS) {
+            return { oid, kty: 'RSA', curve: null };
+        }
+        if (oid === OID_EC) {
+            const curveOid = params && params.tag === 0x06 ? readOid(der, params) : null;
+            return { oid, kty: 'EC', curve: EC_CURVES[curveOid] || curveOid };
+        }
+        if (OKP_CURVES[oid]) {
+            return { oid, kty: 'OKP', curve: OKP_CURVES[oid] };
+        }
+        throw new Error(`不支持的密钥算法 OID: ${oid}`);
+    }
+
+    // ========== 各种 DER 结构转换 ==========
+
+    /**
+     * 解析 SPKI（RSA-PSS OID 会改写为 rsaEncryption，以便 WebCrypto 导入）
+     * @param {Uint8Array} der
+     * @returns {Object} - 密钥描述
+     */
+    function parseSpki(der) {
+        const [algNode, bitString] = readChildren(der, readNode(der, 0));
+        const algorithm = readAlgorithm(der, algNode);
+        if (algorithm.oid === OID_RSA_PSS) {
+            der = encodeNode(0x30, encodeAlgorithm(OID_RSA), der.subarray(bitString.offset, bitString.end));
+        }
+        return { format: 'spki', type: 'public', kty: algorithm.kty, curve: algorithm.curve, data: der };
+    }
+
+    /**
+     * 解析 PKCS#8 私钥
+     * @param {Uint8Array} der
+     * @returns {Object} - 密钥描述
+     */
+    function parsePkcs8(der) {
+        const children = readChildren(der, readNode(der, 0));
+        const algorithm = readAlgorithm(der, children[1]);
+        if (algorithm.oid === OID_RSA_PSS) {
+            der = wrapPkcs8(encodeAlgorithm(OID_RSA), der.subarray(children[2].start, children[2].end));
+        }
+        return { format: 'pkcs8', type: 'private', kty: algorithm.kty, curve: algorithm.curve, data: der };
+    }
+
+    /**
+     * 将私钥内容包装为 PKCS#8
+     * @param {Uint8Array} algorithm - 已编码的 AlgorithmIdentifier
+     * @param {Uint8Array} privateKey - 私钥结构
+     * @returns {Uint8Array}
+     */
+    function wrapPkcs8(algorithm, privateKey) {
+        return encodeNode(0x30, [0x02, 0x01, 0x00], algorithm, encodeNode(0x04, privateKey));
+    }
+
+    /**
+     * PKCS#1 RSAPublicKey 转 SPKI
+     * @param {Uint8Array} der
+     * @returns {Uint8Array}
+     */
+    function pkcs1PublicToSpki(der) {
+        return encodeNode(0x30, encodeAlgorithm(OID_RSA), encodeNode(0x03, [0x00], der));
+    }
+
+    /**
+     * PKCS#1 RSAPrivateKey 转 PKCS#8
+     * @param {Uint8Array} der
+     * @returns {Uint8Array}
+     */
+    function pkcs1PrivateToPkcs8(der) {
+        return wrapPkcs8(encodeAlgorithm(OID_RSA), der);
+    }
+
+    /**
+     * SEC1 ECPrivateKey 转 PKCS#8（曲线取自 SEC1 结构的 [0] 参数）
+     * @param {Uint8Array} der
+     * @returns {Uint8Array}
+     */
+    function sec1ToPkcs8(der) {
+        const params = readChildren(der, readNode(der, 0)).find(child => child.tag === 0xA0);
+        if (!params) {
+            throw new Error('EC 私钥缺少曲线参数');
+        }
+        const curve = readNode(der, params.start);
+        return wrapPkcs8(encodeAlgorithm(OID_EC, der.subarray(params.start, curve.end)), der);
+    }
+
+    /**
+     * 从 X.509 证书中提取 SPKI
+     * @param {Uint8Array} der
+     * @returns {Uint8Array}
+     */
+    function certificateToSpki(der) {
+        const [tbs] = readChildren(der, readNode(der, 0));
+        const fields = readChildren(der, tbs);
+        // tbsCertificate: [0] version(可选), serialNumber, signature, issuer, validity, subject, subjectPublicKeyInfo
+        const spki = fields[fields[0].tag === 0xA0 ? 6 : 5];
+        if (!spki || spki.tag !== 0x30) {
+            throw new Error('无法从证书中找到公钥');
+        }
+        return der.slice(spki.offset, spki.end);
+    }
+
+    /**
+     * 按结构识别 DER 编码的密钥（SPKI / PKCS#8 / PKCS#1 / SEC1 / 证书）
+     * @param {Uint8Array} der
+     * @returns {Object} - 密钥描述
+     */
+    function parseDer(der) {
+        const top = readNode(der, 0);
+        if (top.tag !== 0x30 || top.end !== der.length) {
+            throw new Error('不是有效的 DER 密钥结构');
+        }
+        const tags = readChildren(der, top).map(child => child.tag);
+        const allIntegers = tags.every(tag => tag === 0x02);
+        if (tags[0] === 0x30 && tags[1] === 0x03) {
+            return parseSpki(der);
+        }
+        if (tags[0] === 0x30 && tags[1] === 0x30 && tags[2] === 0x03) {
+            return parseSpki(certificateToSpki(der));
+        }
+        if (tags[0] === 0x02 && tags[1] === 0x30 && tags[2] === 0x04) {
+            return parsePkcs8(der);
+        }
+        if (allIntegers && tags.length === 2) {
+            return parseSpki(pkcs1PublicToSpki(der));
+        }
+        if (allIntegers && tags.length >= 9) {
+            return parsePkcs8(pkcs1PrivateToPkcs8(der));
+        }
+        if (tags[0] === 0x02 && tags[1] === 0x04) {
+            return parsePkcs8(sec1ToPkcs8(der));
+        }
+        throw new Error('无法识别的 DER 密钥结构');
+    }
+
+    // ========== PEM ==========
+
+    /**
+     * 解析文本中的全部 PEM 块
+     * @param {string} text
+     * @returns {{label: string, der: Uint8Array}[]}
+     */
+    function pemDecode(text) {
+        const blocks = [];
+        const pattern = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const body = match[2].replace(/^[\w-]+:.*$/gm, '').replace(/\s+/g, '');
+            blocks.push({ label: match[1], der: root.REOT.bytes.fromBase64(body) });
+        }
+        return blocks;
+    }
+
+    /**
+     * 编码为 PEM
+     * @param {Uint8Array|ArrayBuffer} der
+     * @param {string} label - 如 PUBLIC KEY
+     * @returns {string}
+     */
+    function pemEncode(der, label) {
+        const base64 = root.REOT.bytes.toBase64(new Uint8Array(der));
+        const lines = base64.match(/.{1,64}/g) || [];
+        return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----`;
+    }
+
+    // ========== JWK ==========
+
+    /**
+     * 解析 JWK（字段不全时报错）
+     * @param {Object} jwk
+     * @returns {Object} - 密钥描述
+     */
+    function parseJwk(jwk) {
+        const kty = jwk.kty;
+        if (kty === 'oct') {
+            if (typeof jwk.k !== 'string') {
+                throw new Error('oct 类型的 JWK 缺少 k 字段');
+            }
+            return { format: 'jwk', type: 'secret', kty, curve: null, data: jwk };
+        }
+        if (kty === 'RSA' && (!jwk.n || !jwk.e)) {
+            throw new Error('RSA 类型的 JWK 缺少 n 或 e 字段');
+        }
+        if ((kty === 'EC' || kty === 'OKP') && !jwk.crv) {
+            throw new Error(`${kty} 类型的 JWK 缺少 crv 字段`);
+        }
+        if (!['RSA', 'EC', 'OKP'].includes(kty)) {
+            throw new Error(`不支持的 JWK 类型: ${kty}`);
+        }
+        return {
+            format: 'jwk',
+            type: jwk.d ? 'private' : 'public',
+            kty,
+            curve: jwk.crv || null,
+            data: jwk
+        };
+    }
+
+    /**
+     * 去掉 JWK 中的私有字段，得到公钥 JWK
+     * @param {Object} jwk
+     * @returns {Object}
+     */
+    function toPublicJwk(jwk) {
+        const publicJwk = {};
+        Object.keys(jwk).forEach(key => {
+            if (!PRIVATE_JWK_FIELDS.includes(key)) {
+                publicJwk[key] = jwk[key];
+            }
+        });
+        return publicJwk;
+    }
+
+    /**
+     * 去掉 alg / use / key_ops 提示字段（与导入参数不一致时 WebCrypto 会拒绝导入）
+     * @param {Object} jwk
+     * @returns {Object}
+     */
+    function stripJwkHints(jwk) {
+        const copy = { ...jwk };
+        delete copy.alg;
+        delete copy.use;
+        delete copy.key_ops;
+        return copy;
+    }
+
+    // ========== 导出的模块 ==========
+
+    const keys = {
+        pemDecode,
+        pemEncode,
+        parseDer,
+        toPublicJwk,
+        pkcs1PublicToSpki,
+        pkcs1PrivateToPkcs8,
+
+        // DER 读写工具，供需要直接访问密钥结构的模块使用
+        der: { readNode, readChildren, readOid, encodeNode, encodeOid },
+
+        /**
+         * 解析密钥文本
+         * 支持 PEM（PUBLIC KEY / PRIVATE KEY / RSA PUBLIC KEY / RSA PRIVATE KEY / EC PRIVATE KEY / CERTIFICATE）、
+         * 不带 PEM 头的 DER（Base64 / Hex 文本或 Uint8Array）、JWK 与 JWKS（按 kid 选择，未指定时取第一个）
+         * @param {string|Object|Uint8Array} input - 密钥文本、DER 字节或 JWK 对象
+         * @param {Object} [options]
+         * @param {string} [options.kid] - 从 JWKS 中选择密钥
+         * @returns {{format: string, type: string, kty: string, curve: (string|null), data: (Uint8Array|Object)}}
+         *   format 为 spki / pkcs8 / jwk，type 为 public / private / secret
+         */
+        parse(input, options = {}) {
+            if (input instanceof Uint8Array) {
+                return parseDer(input);
+            }
+            if (input && typeof input === 'object') {
+                return this.parseJson(input, options);
+            }
+
+            const text = String(input || '').trim();
+            if (!text) {
+                throw new Error('请输入密钥');
+            }
+            if (text.startsWith('{')) {
+                let json;
+                try {
+                    json = JSON.parse(text);
+                } catch (e) {
+                    throw new Error('JWK 不是有效的 JSON: ' + e.message);
+                }
+                return this.parseJson(json, options);
+            }
+
+            const blocks = pemDecode(text);
+            if (blocks.length === 0) {
+                return this.parseDerText(text);
+            }
+            const { label, der } = blocks[0];
+            try {
+                switch (label) {
+                case 'PUBLIC KEY':
+                    return parseSpki(der);
+                case 'PRIVATE KEY':
+                    return parsePkcs8(der);
+                case 'RSA PUBLIC KEY':
+                    return parseSpki(pkcs1PublicToSpki(der));
+                case 'RSA PRIVATE KEY':
+                    return parsePkcs8(pkcs1PrivateToPkcs8(der));
+                case 'EC PRIVATE KEY':
+                    return parsePkcs8(sec1ToPkcs8(der));
+                case 'CERTIFICATE':
+                    return parseSpki(certificateToSpki(der));
+                case 'ENCRYPTED PRIVATE KEY':
+                    throw new Error('不支持加密的私钥，请先解密（openssl pkey -in key.pem -out plain.pem）');
+                default:
+                    throw new Error(`不支持的 PEM 类型: ${label}`);
+                }
+            } catch (e) {
+                throw new Error(`${label} 解析失败: ${e.message}`);
+            }
+        },
+
+        /**
+         * 解析 Base64 / Hex 编码的 DER 文本
+         * @param {string} text
+         * @returns {Object} - 密钥描述
+         */
+        parseDerText(text) {
+            const bytes = root.REOT.bytes;
+            const format = bytes.detect(text, { allowText: false });
+            let der = null;
+            try {
+                der = format ? bytes.parse(text, format) : null;
+            } catch (e) {
+                der = null;
+            }
+            if (!der || der.length === 0 || der[0] !== 0x30) {
+                throw new Error('无法识别的密钥格式：请输入 PEM、DER（Base64 / Hex）或 JWK');
+            }
+            try {
+                return parseDer(der);
+            } catch (e) {
+                throw new Error(`DER 解析失败: ${e.message}`);
+            }
+        },
+
+        /**
+         * 解析 JWK / JWKS 对象
+         * @param {Object} json
+         * @param {Object} [options]
+         * @param {string} [options.kid]
+         * @returns {Object} - 密钥描述
+         */
+        parseJson(json, options = {}) {
+            if (Array.isArray(json.keys)) {
+                if (json.keys.length === 0) {
+                    throw new Error('JWKS 中没有密钥');
+                }
+                const jwk = options.kid !== undefined
+                    ? json.keys.find(key => key.kid === options.kid)
+                    : json.keys[0];
+                if (!jwk) {
+                    throw new Error(`JWKS 中找不到 kid 为 ${options.kid} 的密钥`);
+                }
+                return parseJwk(jwk);
+            }
+            return parseJwk(json);
+        },
+
+        /**
+         * 导入为 CryptoKey
+         * - ECDSA / ECDH 未指定 namedCurve 时使用密钥自身的曲线
+         * - 需要 verify / encrypt 用途而提供的是私钥时，自动派生对应公钥
+         * @param {string|Object} input - 密钥文本、JWK 或 parse() 的结果
+         * @param {Object|string} algorithm - WebCrypto 导入参数
+         * @param {string[]} usages
+         * @param {Object} [options]
+         * @param {boolean} [options.extractable=true]
+         * @param {string} [options.kid]
+         * @returns {Promise<CryptoKey>}
+         */
+        async importKey(input, algorithm, usages, options = {}) {
+            const extractable = options.extractable !== false;
+            const key = input && input.format && input.data ? input : this.parse(input, options);
+            if (typeof algorithm === 'string') {
+                algorithm = { name: algorithm };
+            }
+            if ((algorithm.name === 'ECDSA' || algorithm.name === 'ECDH') && !algorithm.namedCurve) {
+                algorithm = { ...algorithm, namedCurve: key.curve };
+            }
+
+            const publicUsages = ['verify', 'encrypt', 'wrapKey'];
+            if (key.type === 'private' && usages.length > 0 && usages.every(usage => publicUsages.includes(usage))) {
+                let jwk = key.data;
+                if (key.format === 'pkcs8') {
+                    const privateKey = await crypto.subtle.importKey('pkcs8', key.data, algorithm, true, algorithm.name === 'ECDH' ? ['deriveBits'] : ['sign']);
+                    jwk = await crypto.subtle.exportKey('jwk', privateKey);
+                }
+                return crypto.subtle.importKey('jwk', stripJwkHints(toPublicJwk(jwk)), algorithm, extractable, usages);
+            }
+
+            const data = key.format === 'jwk' ? stripJwkHints(key.data) : key.data;
+            return crypto.subtle.importKey(key.format, data, algorithm, extractable, usages);
+        },
+
+        /**
+         * 导出为 PEM（公钥为 SPKI，私钥为 PKCS#8）
+         * @param {CryptoKey} key
+         * @returns {Promise<string>}
+         */
+        async exportPem(key) {
+            if (key.type === 'private') {
+                return pemEncode(await crypto.subtle.exportKey('pkcs8', key), 'PRIVATE KEY');
+            }
+            return pemEncode(await crypto.subtle.exportKey('spki', key), 'PUBLIC KEY');
+        }
+    };
+
+    root.REOT.keys = keys;
+
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,185 @@
+/**
+ * REOT - Loader Module
+ * 第三方库按需加载模块：所有依赖都已放在 libs/ 目录下，不访问任何 CDN，
+ * 离线环境（以及 Service Worker 缓存后）也能正常使用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    /**
+     * 已知的第三方库
+     * - src: 相对站点根目录的脚本路径
+     * - global: 脚本加载后暴露的全局变量（支持 a.b 形式）
+     * - module: 为 true 时按 ESM 动态 import，返回模块的 default 导出
+     */
+    const LIBRARIES = {
+        pako: { src: 'libs/pako/pako.min.js', global: 'pako' },
+        fzstd: { src: 'libs/fzstd/fzstd.min.js', global: 'fzstd' },
+        'brotli-wasm': { src: 'libs/brotli-wasm/index.web.js', module: true },
+        'crypto-js': { src: 'libs/crypto-js/crypto-js.min.js', global: 'CryptoJS' },
+        'js-sha3': { src: 'libs/js-sha3/sha3.min.js', global: 'sha3_256' },
+        'js-yaml': { src: 'libs/js-yaml/js-yaml.min.js', global: 'jsyaml' },
+        'spark-md5': { src: 'libs/spark-md5/spark-md5.min.js', global: 'SparkMD5' },
+        'qrcode-generator': { src: 'libs/qrcode-generator/qrcode.min.js', global: 'qrcode' },
+        jsbarcode: { src: 'libs/jsbarcode/JsBarcode.all.min.js', global: 'JsBarcode' },
+        'html5-qrcode': { src: 'libs/html5-qrcode/html5-qrcode.min.js', global: 'Html5Qrcode' },
+        bcrypt: { src: 'libs/bcrypt/bcrypt.min.js', global: 'dcodeIO.bcrypt' },
+        cbor: { src: 'libs/cbor/cbor.min.js', global: 'CBOR' },
+        exifr: { src: 'libs/exif/exifr.min.js', global: 'exifr' },
+        xxhash: { src: 'libs/xxhash/xxhash.min.js', global: 'XXH' },
+        long: { src: 'libs/long/long.min.js', global: 'Long' },
+        protobufjs: { src: 'libs/protobufjs/protobuf.min.js', global: 'protobuf' }
+    };
+
+    // 本脚本所在的站点根目录（页面中由 currentScript 推算，兼容 GitHub Pages 子目录部署）
+    const scriptBase = (() => {
+        const src = root.document?.currentScript?.src || '';
+        const match = src.match(/^(.*\/)assets\/js\/loader\.js(?:\?.*)?$/);
+        return match ? match[1] : '';
+    })();
+
+    // 加载中/已加载的 Promise，按 URL 去重
+    const pending = {};
+
+    /**
+     * 读取全局变量（支持 a.b 形式的路径）
+     * @param {string} path
+     * @returns {*}
+     */
+    function getGlobal(path) {
+        return path.split('.').reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), root);
+    }
+
+    /**
+     * 按 URL 缓存 Promise，失败时清除以便重试
+     * @param {string} url
+     * @param {Function} factory - 返回 Promise 的函数
+     * @returns {Promise<*>}
+     */
+    function once(url, factory) {
+        if (!pending[url]) {
+            pending[url] = factory().catch(error => {
+                delete pending[url];
+                throw error;
+            });
+        }
+        return pending[url];
+    }
+
+    /**
+     * 第三方库加载模块
+     */
+    const loader = {
+        LIBRARIES,
+
+        /**
+         * 将站点内的相对路径转换为可加载的 URL
+         * @param {string} path - 如 libs/pako/pako.min.js
+         * @returns {string}
+         */
+        resolve(path) {
+            if (/^(?:[a-z]+:)?\/\//i.test(path) || path.startsWith('/')) {
+                return path;
+            }
+            if (scriptBase) {
+                return scriptBase + path;
+            }
+            return `${root.REOT.router?.pathPrefix || ''}/${path}`;
+        },
+
+        /**
+         * 加载普通脚本（同一地址只加载一次）
+         * @param {string} src - 站点内相对路径或完整 URL
+         * @returns {Promise<void>}
+         */
+        loadScript(src) {
+            const url = this.resolve(src);
+            return once(url, () => new Promise((resolve, reject) => {
+                // Web Worker 中同步加载
+                if (!root.document) {
+                    try {
+                        root.importScripts(url);
+                        resolve();
+                    } catch (e) {
+                        reject(new Error(`无法加载脚本: ${src}`));
+                    }
+                    return;
+                }
+
+                const script = document.createElement('script');
+                script.src = url;
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    script.remove();
+                    reject(new Error(`无法加载脚本: ${src}`));
+                };
+                document.head.appendChild(script);
+            }));
+        },
+
+        /**
+         * 加载 ESM 模块
+         * @param {string} src - 站点内相对路径或完整 URL
+         * @returns {Promise<Object>} - 模块命名空间对象
+         */
+        loadModule(src) {
+            const url = this.resolve(src);
+            return once(url, () => import(new URL(url, root.location.href).href));
+        },
+
+        /**
+         * 按名称加载已知的第三方库
+         * @param {string} name - LIBRARIES 中的库名
+         * @returns {Promise<*>} - 库暴露的全局对象（ESM 库为 default 导出）
+         */
+        async load(name) {
+            const lib = LIBRARIES[name];
+            if (!lib) {
+                throw new Error(`未知的库: ${name}`);
+            }
+
+            if (lib.module) {
+                try {
+                    const module = await this.loadModule(lib.src);
+                    return await module.default;
+                } catch (error) {
+                    throw new Error(`无法加载 ${name} 库: ${error.message}`);
+                }
+            }
+
+            const existing = getGlobal(lib.global);
+            if (existing) {
+                return existing;
+            }
+            try {
+                await this.loadScript(lib.src);
+            } catch (error) {
+                throw new Error(`无法加载 ${name} 库`);
+            }
+            const value = getGlobal(lib.global);
+            if (!value) {
+                throw new Error(`${name} 库加载后未找到 ${lib.global}`);
+            }
+            return value;
+        },
+
+        /**
+         * 后台预加载，失败时只输出警告（真正使用时会再次尝试）
+         * @param {...string} names - 库名
+         */
+        preload(...names) {
+            names.forEach(name => {
+                this.load(name).catch(error => console.warn(`${name} 预加载失败:`, error.message));
+            });
+        }
+    };
+
+    root.REOT.loader = loader;
+
+})(typeof window !== 'undefined' ? window : self);
@@ -79,6 +79,9 @@
                 // 初始化更新日志链接
                 this.updateChangelogLink();
 
+                // 注册 Service Worker（离线使用）
+                this.registerServiceWorker();
+
                 this.initialized = true;
                 console.log('REOT 初始化完成');
 
@@ -87,6 +90,33 @@
             }
         },
 
+        /**
+         * 注册 Service Worker，预缓存全部页面和依赖以支持离线使用
+         * 浏览器不支持或非安全上下文（如 file:// 或非 localhost 的 HTTP）时跳过
+         */
+        registerServiceWorker() {
+            if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+                return;
+            }
+
+            const register = () => {
+                // 路由已把地址改写为 /tools/<分类>/<工具>/，相对路径会解析到工具目录下，
+                // 因此从站点根目录（兼容子目录部署）构造地址，并显式指定作用域为整个站点
+                const url = REOT.loader.resolve('sw.js');
+                const scope = REOT.loader.resolve('');
+                navigator.serviceWorker.register(url, { scope }).catch(error => {
+                    console.warn('Service Worker 注册失败:', error.message);
+                });
+            };
+
+            // 等页面资源加载完成后再注册，避免预缓存与首屏加载争抢带宽
+            if (document.readyState === 'complete') {
+                register();
+            } else {
+                window.addEventListener('load', register, { once: true });
+            }
+        },
+
         /**
          * 获取 GitHub 统计数据
          */
@@ -0,0 +1,252 @@
+/**
+ * REOT - Operations Module
+ * 操作注册模块：将各工具的核心变换暴露为带类型声明的纯函数，供 Recipe 流水线串联调用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    // 全局命名空间
+    window.REOT = window.REOT || {};
+
+    // 按顺序加载的操作定义模块
+    const MODULES = ['encoding', 'compression', 'encryption', 'protocol'];
+
+    let loadPromise = null;
+
+    /**
+     * 操作注册模块
+     */
+    REOT.operations = {
+        // 支持的数据类型
+        TYPES: ['bytes', 'string', 'json'],
+
+        // 已注册的操作
+        registry: [],
+
+        // 操作分类
+        categories: ['encoding', 'compression', 'encryption', 'protocol'],
+
+        /**
+         * 注册一个操作
+         * @param {Object} op - 操作定义
+         * @param {string} op.id - 操作ID
+         * @param {string} op.category - 分类
+         * @param {string} op.name - 默认显示名称（英文）
+         * @param {string} op.input - 输入类型: 'bytes' | 'string' | 'json'
+         * @param {string} op.output - 输出类型: 'bytes' | 'string' | 'json'
+         * @param {Array} [op.args] - 参数定义
+         * @param {Function} op.run - 纯函数 (input, args) => output，可返回 Promise
+         * @returns {boolean}
+         */
+        register(op) {
+            const required = ['id', 'category', 'name', 'input', 'output', 'run'];
+            for (const field of required) {
+                if (!op[field]) {
+                    console.error(`操作注册失败: 缺少必需字段 "${field}"`, op);
+                    return false;
+                }
+            }
+            if (!this.TYPES.includes(op.input) || !this.TYPES.includes(op.output)) {
+                console.error(`操作注册失败: 无效的数据类型 (${op.input} -> ${op.output})`, op);
+                return false;
+            }
+            if (this.get(op.id)) {
+                return false;
+            }
+
+            op.args = op.args || [];
+            this.registry.push(op);
+            return true;
+        },
+
+        /**
+         * 批量注册操作
+         * @param {Array} ops - 操作定义数组
+         */
+        registerAll(ops) {
+            ops.forEach(op => this.register(op));
+        },
+
+        /**
+         * 根据ID获取操作
+         * @param {string} id - 操作ID
+         * @returns {Object|null}
+         */
+        get(id) {
+            return this.registry.find(op => op.id === id) || null;
+        },
+
+        /**
+         * 获取所有操作
+         * @returns {Array}
+         */
+        getAll() {
+            return this.registry;
+        },
+
+        /**
+         * 根据分类获取操作
+         * @param {string} category - 分类
+         * @returns {Array}
+         */
+        getByCategory(category) {
+            return this.registry.filter(op => op.category === category);
+        },
+
+        /**
+         * 加载全部操作定义模块（仅首次调用时加载）
+         * @returns {Promise<void>}
+         */
+        load() {
+            if (!loadPromise) {
+                loadPromise = MODULES.reduce(
+                    (chain, name) => chain.then(() => REOT.loader.loadScript(`assets/js/operations/${name}.js`)),
+                    Promise.resolve()
+                ).catch(error => {
+                    loadPromise = null;
+                    throw error;
+                });
+            }
+            return loadPromise;
+        },
+
+        /**
+         * 推断值的数据类型
+         * @param {*} value - 值
+         * @returns {string}
+         */
+        typeOf(value) {
+            if (value instanceof Uint8Array) {
+                return 'bytes';
+            }
+            if (typeof value === 'string') {
+                return 'string';
+            }
+            return 'json';
+        },
+
+        /**
+         * 在数据类型之间转换
+         * @param {*} value - 原始值
+         * @param {string} to - 目标类型
+         * @returns {*}
+         */
+        coerce(value, to) {
+            const from = this.typeOf(value);
+            if (from === to) {
+                return value;
+            }
+
+            switch (to) {
+            case 'bytes':
+                return new TextEncoder().encode(from === 'json' ? JSON.stringify(value, null, 2) : value);
+            case 'string':
+                if (from === 'bytes') {
+                    return new TextDecoder('utf-8', { fatal: false }).decode(value);
+                }
+                return JSON.stringify(value, null, 2);
+            case 'json': {
+                const text = from === 'bytes' ? new TextDecoder().decode(value) : value;
+                try {
+                    return JSON.parse(text);
+                } catch (e) {
+                    throw new Error(`输入不是有效的 JSON: ${e.message}`);
+                }
+            }
+            default:
+                throw new Error(`未知的数据类型: ${to}`);
+            }
+        },
+
+        /**
+         * 解析字节类型参数
+         * @param {{value: string, format: string}|string} arg - 参数值
+         * @returns {Uint8Array}
+         */
+        parseBytesArg(arg) {
+            const value = typeof arg === 'string' ? arg : (arg?.value || '');
+            const format = typeof arg === 'string' ? 'text' : (arg?.format || 'text');
+            return REOT.bytes.parse(value, format);
+        },
+
+        /**
+         * 获取操作参数（合并默认值）
+         * @param {Object} op - 操作定义
+         * @param {Object} args - 用户参数
+         * @returns {Object}
+         */
+        resolveArgs(op, args = {}) {
+            const resolved = {};
+            op.args.forEach(arg => {
+                resolved[arg.name] = args[arg.name] !== undefined ? args[arg.name] : arg.default;
+            });
+            return resolved;
+        },
+
+        /**
+         * 执行单个操作
+         * @param {string} id - 操作ID
+         * @param {*} input - 输入值
+         * @param {Object} args - 参数
+         * @returns {Promise<*>}
+         */
+        async run(id, input, args = {}) {
+            const op = this.get(id);
+            if (!op) {
+                throw new Error(`未知的操作: ${id}`);
+            }
+            const value = this.coerce(input, op.input);
+            const output = await op.run(value, this.resolveArgs(op, args));
+            return this.coerce(output, op.output);
+        },
+
+        /**
+         * 执行流水线，返回每一步的中间结果
+         * 某一步失败时停止执行，后续步骤标记为未执行
+         * @param {Array<{op: string, args: Object, disabled: boolean}>} steps - 步骤列表
+         * @param {*} input - 初始输入
+         * @returns {Promise<Array<{op: string, output: *, type: string, error: string|null, skipped: boolean, duration: number}>>}
+         */
+        async runRecipe(steps, input) {
+            const results = [];
+            let current = input;
+            let failed = false;
+
+            for (const step of steps) {
+                if (failed || step.disabled) {
+                    results.push({ op: step.op, output: null, type: null, error: null, skipped: true, duration: 0 });
+                    continue;
+                }
+
+                const start = performance.now();
+                try {
+                    current = await this.run(step.op, current, step.args);
+                    results.push({
+                        op: step.op,
+                        output: current,
+                        type: this.typeOf(current),
+                        error: null,
+                        skipped: false,
+                        duration: performance.now() - start
+                    });
+                } catch (error) {
+                    failed = true;
+                    results.push({
+                        op: step.op,
+                        output: null,
+                        type: null,
+                        error: error.message,
+                        skipped: false,
+                        duration: performance.now() - start
+                    });
+                }
+            }
+
+            return results;
+        }
+    };
+
+})();
@@ -0,0 +1,94 @@
+/**
+ * REOT - 压缩类操作
+ * @description GZIP / Deflate / Brotli / Zstandard 压缩与解压
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    REOT.operations.registerAll([
+        {
+            id: 'gunzip',
+            category: 'compression',
+            name: 'Gunzip',
+            input: 'bytes',
+            output: 'bytes',
+            run: async input => (await REOT.loader.load('pako')).ungzip(input)
+        },
+        {
+            id: 'gzip',
+            category: 'compression',
+            name: 'Gzip',
+            input: 'bytes',
+            output: 'bytes',
+            args: [
+                { name: 'level', type: 'number', min: 1, max: 9, default: 6 }
+            ],
+            run: async (input, args) => (await REOT.loader.load('pako')).gzip(input, { level: Number(args.level) })
+        },
+        {
+            id: 'inflate',
+            category: 'compression',
+            name: 'Inflate',
+            input: 'bytes',
+            output: 'bytes',
+            args: [
+                { name: 'format', type: 'select', options: ['zlib', 'raw'], default: 'zlib' }
+            ],
+            run: async (input, args) => {
+                const pako = await REOT.loader.load('pako');
+                return args.format === 'raw' ? pako.inflateRaw(input) : pako.inflate(input);
+            }
+        },
+        {
+            id: 'deflate',
+            category: 'compression',
+            name: 'Deflate',
+            input: 'bytes',
+            output: 'bytes',
+            args: [
+                { name: 'format', type: 'select', options: ['zlib', 'raw'], default: 'zlib' },
+                { name: 'level', type: 'number', min: 1, max: 9, default: 6 }
+            ],
+            run: async (input, args) => {
+                const pako = await REOT.loader.load('pako');
+                const options = { level: Number(args.level) };
+                return args.format === 'raw' ? pako.deflateRaw(input, options) : pako.deflate(input, options);
+            }
+        },
+        {
+            id: 'brotli-decompress',
+            category: 'compression',
+            name: 'Brotli Decompress',
+            input: 'bytes',
+            output: 'bytes',
+            run: async input => (await REOT.loader.load('brotli-wasm')).decompress(input)
+        },
+        {
+            id: 'zstd-decompress',
+            category: 'compression',
+            name: 'Zstandard Decompress',
+            input: 'bytes',
+            output: 'bytes',
+            run: async input => (await REOT.loader.load('fzstd')).decompress(input)
+        },
+        {
+            id: 'zstd-compress',
+            category: 'compression',
+            name: 'Zstandard Compress',
+            input: 'bytes',
+            output: 'bytes',
+            args: [
+                { name: 'level', type: 'number', min: 1, max: 22, default: 3 },
+                { name: 'checksum', type: 'boolean', default: true }
+            ],
+            run: async (input, args) => {
+                await REOT.loader.loadScript('tools/compression/zstd/zstd-codec.js');
+                return REOT.zstd.compress(input, { level: Number(args.level), checksum: args.checksum });
+            }
+        }
+    ]);
+
+})();
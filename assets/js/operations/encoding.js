@@ -0,0 +1,81 @@
+/**
+ * REOT - 编码类操作
+ * @description Base64 / Hex / URL / 文本字符集转换
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    REOT.operations.registerAll([
+        {
+            id: 'to-base64',
+            category: 'encoding',
+            name: 'To Base64',
+            input: 'bytes',
+            output: 'string',
+            args: [
+                { name: 'alphabet', type: 'select', options: ['standard', 'urlsafe'], default: 'standard' }
+            ],
+            run: (input, args) => (args.alphabet === 'urlsafe'
+                ? REOT.bytes.toBase64Url(input)
+                : REOT.bytes.toBase64(input))
+        },
+        {
+            id: 'from-base64',
+            category: 'encoding',
+            name: 'From Base64',
+            input: 'string',
+            output: 'bytes',
+            run: input => REOT.bytes.fromBase64(input)
+        },
+        {
+            id: 'to-hex',
+            category: 'encoding',
+            name: 'To Hex',
+            input: 'bytes',
+            output: 'string',
+            args: [
+                { name: 'delimiter', type: 'select', options: ['none', 'space'], default: 'none' }
+            ],
+            run: (input, args) => REOT.bytes.toHex(input, { separator: args.delimiter === 'space' ? ' ' : '' })
+        },
+        {
+            id: 'from-hex',
+            category: 'encoding',
+            name: 'From Hex',
+            input: 'string',
+            output: 'bytes',
+            run: input => REOT.bytes.fromHex(input)
+        },
+        {
+            id: 'url-encode',
+            category: 'encoding',
+            name: 'URL Encode',
+            input: 'string',
+            output: 'string',
+            run: input => encodeURIComponent(input)
+        },
+        {
+            id: 'url-decode',
+            category: 'encoding',
+            name: 'URL Decode',
+            input: 'string',
+            output: 'string',
+            run: input => decodeURIComponent(input.replace(/\+/g, ' '))
+        },
+        {
+            id: 'decode-text',
+            category: 'encoding',
+            name: 'Decode Text',
+            input: 'bytes',
+            output: 'string',
+            args: [
+                { name: 'charset', type: 'select', options: ['utf-8', 'utf-16le', 'utf-16be', 'gbk', 'latin1'], default: 'utf-8' }
+            ],
+            run: (input, args) => new TextDecoder(args.charset).decode(input)
+        }
+    ]);
+
+})();
@@ -0,0 +1,190 @@
+/**
+ * REOT - 加密类操作
+ * @description AES / DES / 3DES / RC4 / XOR 加解密
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    // 字节类参数的通用定义
+    const bytesArg = (name, format = 'hex') => ({ name, type: 'bytes', default: { value: '', format } });
+
+    /**
+     * CryptoJS WordArray 转字节数组
+     * @param {Object} wordArray
+     * @returns {Uint8Array}
+     */
+    function wordArrayToBytes(wordArray) {
+        const bytes = new Uint8Array(wordArray.sigBytes);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = (wordArray.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+        }
+        return bytes;
+    }
+
+    /**
+     * AES 加解密（纯 JS 核心，与 AES 工具共用）
+     * 解密时填充无效或 GCM / GCM-SIV 标签不匹配会抛出错误
+     * @param {Uint8Array} input
+     * @param {Object} args
+     * @param {boolean} isEncrypt
+     * @returns {Promise<Uint8Array>}
+     */
+    async function aes(input, args, isEncrypt) {
+        await REOT.loader.loadScript('tools/encryption/aes/aes-core.js');
+        const key = REOT.operations.parseBytesArg(args.key);
+        const options = {
+            mode: args.mode,
+            iv: REOT.operations.parseBytesArg(args.iv),
+            padding: REOT.aes.AEAD_MODES.includes(args.mode) || args.padding === 'auto' ? undefined : args.padding,
+            tagLength: args.mode === 'GCM-SIV' ? 16 : Number(args.tagLength),
+            aad: REOT.operations.parseBytesArg(args.aad)
+        };
+        if (isEncrypt) {
+            return REOT.aes.encrypt(input, key, options);
+        }
+
+        const result = REOT.aes.decrypt(input, key, options);
+        if (result.tag && !result.tag.valid) {
+            throw new Error('认证标签校验失败');
+        }
+        if (result.padding && !result.padding.valid) {
+            throw new Error(`填充无效: ${result.padding.reason}`);
+        }
+        return result.data;
+    }
+
+    /**
+     * DES / 3DES 加解密（CryptoJS）
+     * @param {Uint8Array} input
+     * @param {Object} args
+     * @param {boolean} isEncrypt
+     * @returns {Promise<Uint8Array>}
+     */
+    async function des(input, args, isEncrypt) {
+        const CryptoJS = await REOT.loader.load('crypto-js');
+        const key = REOT.operations.parseBytesArg(args.key);
+        const keyLength = args.algorithm === '3DES' ? 24 : 8;
+        if (key.length !== keyLength) {
+            throw new Error(`${args.algorithm} 密钥长度必须为 ${keyLength} 字节，当前为 ${key.length} 字节`);
+        }
+
+        const options = {
+            mode: CryptoJS.mode[args.mode],
+            padding: CryptoJS.pad[args.padding]
+        };
+        if (args.mode !== 'ECB') {
+            options.iv = CryptoJS.lib.WordArray.create(REOT.operations.parseBytesArg(args.iv));
+        }
+
+        const cipher = args.algorithm === '3DES' ? CryptoJS.TripleDES : CryptoJS.DES;
+        const keyWords = CryptoJS.lib.WordArray.create(key);
+        const dataWords = CryptoJS.lib.WordArray.create(input);
+
+        if (isEncrypt) {
+            return wordArrayToBytes(cipher.encrypt(dataWords, keyWords, options).ciphertext);
+        }
+        const params = CryptoJS.lib.CipherParams.create({ ciphertext: dataWords });
+        return wordArrayToBytes(cipher.decrypt(params, keyWords, options));
+    }
+
+    /**
+     * RC4 流加密（纯 JS 核心，与 RC4 工具共用）
+     * @param {Uint8Array} data
+     * @param {Uint8Array} key
+     * @returns {Promise<Uint8Array>}
+     */
+    async function rc4(data, key) {
+        await REOT.loader.loadScript('tools/encryption/rc4/rc4-core.js');
+        return REOT.rc4.crypt(data, key);
+    }
+
+    /**
+     * 循环密钥 XOR（与 XOR 分析工具共用核心）
+     * @param {Uint8Array} data
+     * @param {Uint8Array} key
+     * @returns {Promise<Uint8Array>}
+     */
+    async function xor(data, key) {
+        await REOT.loader.loadScript('tools/reverse/xor-analyzer/xor-core.js');
+        return REOT.xor.crypt(data, key);
+    }
+
+    const aesArgs = [
+        { name: 'mode', type: 'select', options: ['CBC', 'ECB', 'CFB', 'CFB8', 'OFB', 'CTR', 'GCM', 'GCM-SIV'], default: 'CBC' },
+        // auto：ECB / CBC 使用 PKCS7，流模式不填充
+        { name: 'padding', type: 'select', options: ['auto', 'pkcs7', 'zero', 'iso10126', 'ansix923', 'none'], default: 'auto' },
+        bytesArg('key'),
+        bytesArg('iv'),
+        { name: 'tagLength', type: 'select', options: ['16', '15', '14', '13', '12', '8', '4'], default: '16' },
+        bytesArg('aad')
+    ];
+
+    const desArgs = [
+        { name: 'algorithm', type: 'select', options: ['DES', '3DES'], default: 'DES' },
+        { name: 'mode', type: 'select', options: ['CBC', 'ECB'], default: 'CBC' },
+        { name: 'padding', type: 'select', options: ['Pkcs7', 'ZeroPadding', 'NoPadding'], default: 'Pkcs7' },
+        bytesArg('key'),
+        bytesArg('iv')
+    ];
+
+    REOT.operations.registerAll([
+        {
+            id: 'aes-decrypt',
+            category: 'encryption',
+            name: 'AES Decrypt',
+            input: 'bytes',
+            output: 'bytes',
+            args: aesArgs,
+            run: (input, args) => aes(input, args, false)
+        },
+        {
+            id: 'aes-encrypt',
+            category: 'encryption',
+            name: 'AES Encrypt',
+            input: 'bytes',
+            output: 'bytes',
+            args: aesArgs,
+            run: (input, args) => aes(input, args, true)
+        },
+        {
+            id: 'des-decrypt',
+            category: 'encryption',
+            name: 'DES Decrypt',
+            input: 'bytes',
+            output: 'bytes',
+            args: desArgs,
+            run: (input, args) => des(input, args, false)
+        },
+        {
+            id: 'des-encrypt',
+            category: 'encryption',
+            name: 'DES Encrypt',
+            input: 'bytes',
+            output: 'bytes',
+            args: desArgs,
+            run: (input, args) => des(input, args, true)
+        },
+        {
+            id: 'rc4',
+            category: 'encryption',
+            name: 'RC4',
+            input: 'bytes',
+            output: 'bytes',
+            args: [bytesArg('key', 'text')],
+            run: (input, args) => rc4(input, REOT.operations.parseBytesArg(args.key))
+        },
+        {
+            id: 'xor',
+            category: 'encryption',
+            name: 'XOR',
+            input: 'bytes',
+            output: 'bytes',
+            args: [bytesArg('key')],
+            run: (input, args) => xor(input, REOT.operations.parseBytesArg(args.key))
+        }
+    ]);
+
+})();
@@ -0,0 +1,92 @@
+/**
+ * REOT - 协议类操作
+ * @description Protobuf / MessagePack / JWT 解码
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    // ========== Protobuf ==========
+
+    /**
+     * 无 Schema 解码 Protobuf 消息（与 Protobuf 工具共用核心）
+     * @param {Uint8Array} data
+     * @returns {Promise<Object>}
+     */
+    async function decodeProtobuf(data) {
+        await REOT.loader.loadScript('tools/protocol/protobuf/protobuf-core.js');
+        return REOT.protobuf.decode(data);
+    }
+
+    // ========== MessagePack ==========
+
+    /**
+     * 解码 MessagePack 数据为普通 JSON 值（与 MessagePack 工具共用核心）
+     * @param {Uint8Array} data
+     * @returns {Promise<*>}
+     */
+    async function decodeMessagePack(data) {
+        await REOT.loader.loadScript('tools/protocol/msgpack/msgpack-core.js');
+        return REOT.msgpack.toPlainValue(REOT.msgpack.decode(data));
+    }
+
+    // ========== JWT ==========
+
+    /**
+     * 解码 JWT（不验证签名）
+     * @param {string} token
+     * @returns {{header: Object, payload: Object, signature: string}}
+     */
+    function decodeJwt(token) {
+        const parts = token.trim().replace(/^bearer\s+/i, '').split('.');
+        if (parts.length !== 3) {
+            throw new Error('无效的 JWT 格式：JWT 应包含三个由点号分隔的部分');
+        }
+        const decodePart = part => {
+            let b64 = part.replace(/-/g, '+').replace(/_/g, '/');
+            while (b64.length % 4) {
+                b64 += '=';
+            }
+            const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        };
+        return {
+            header: decodePart(parts[0]),
+            payload: decodePart(parts[1]),
+            signature: parts[2]
+        };
+    }
+
+    REOT.operations.registerAll([
+        {
+            id: 'protobuf-decode',
+            category: 'protocol',
+            name: 'Protobuf Decode',
+            input: 'bytes',
+            output: 'json',
+            args: [
+                { name: 'grpc', type: 'boolean', default: false }
+            ],
+            run: (input, args) => decodeProtobuf(args.grpc && input.length > 5 ? input.subarray(5) : input)
+        },
+        {
+            id: 'msgpack-decode',
+            category: 'protocol',
+            name: 'MessagePack Decode',
+            input: 'bytes',
+            output: 'json',
+            run: input => decodeMessagePack(input)
+        },
+        {
+            id: 'jwt-decode',
+            category: 'protocol',
+            name: 'JWT Decode',
+            input: 'string',
+            output: 'json',
+            run: input => decodeJwt(input)
+        }
+    ]);
+
+})();
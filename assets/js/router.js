@@ -88,10 +88,15 @@
             // 检查是否有来自 404.html 的重定向路径
             let initialPath;
             if (window.__REDIRECT_PATH__) {
-                initialPath = this.normalizePath(window.__REDIRECT_PATH__);
+                // 分离 URL 片段（分享链接的工具状态保存在 #state=... 中）
+                const redirect = window.__REDIRECT_PATH__;
+                const hashIndex = redirect.indexOf('#');
+                const hash = hashIndex >= 0 ? redirect.substring(hashIndex) : window.location.hash;
+                const redirectPath = (hashIndex >= 0 ? redirect.substring(0, hashIndex) : redirect).split('?')[0];
+                initialPath = this.normalizePath(redirectPath);
                 delete window.__REDIRECT_PATH__;
                 // 替换当前历史记录为正确的路径
-                const fullPath = this.pathPrefix + initialPath;
+                const fullPath = this.pathPrefix + initialPath + hash;
                 window.history.replaceState({ path: initialPath }, '', fullPath);
             } else {
                 initialPath = this.normalizePath(window.location.pathname);
@@ -255,13 +260,21 @@
                 // 更新页面标题
                 document.title = `${REOT.i18n?.t(`tools.${tool.id}.title`) || tool.name} - REOT`;
 
-                // 初始化工具页面的快速访问按钮
-                if (REOT.tools?.initToolPageQuickAccess) {
-                    setTimeout(() => {
-                        REOT.tools.initToolPageQuickAccess();
-                    }, 100);
+                // 从分享链接恢复工具状态
+                if (REOT.state) {
+                    await REOT.state.restore(tool.id);
                 }
 
+                // 初始化工具页面的快速访问按钮和分享按钮
+                setTimeout(() => {
+                    if (REOT.tools?.initToolPageQuickAccess) {
+                        REOT.tools.initToolPageQuickAccess();
+                    }
+                    if (REOT.state) {
+                        REOT.state.initShareButton(tool.id);
+                    }
+                }, 100);
+
             } catch (error) {
                 console.error('加载工具页面失败:', error);
                 container.innerHTML = `
@@ -0,0 +1,374 @@
+/**
+ * REOT - State Module
+ * 工具状态分享模块：将工具的输入、模式和选项序列化为压缩后的 URL 片段（#state=...），
+ * 片段不会随请求发送到服务器，打开链接时由路由恢复
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    // 全局命名空间
+    window.REOT = window.REOT || {};
+
+    // URL 片段中的参数名
+    const HASH_PARAM = 'state';
+
+    // 编码前缀：z = deflate-raw 压缩，j = 未压缩 JSON（浏览器不支持 CompressionStream 时使用）
+    const PREFIX_DEFLATE = 'z';
+    const PREFIX_JSON = 'j';
+
+    // 默认视为敏感的字段名（密钥、口令、HKDF 输入密钥材料等），分享时不写入链接
+    const SENSITIVE_PATTERN = /(^|[-_])(key|secret|password|passwd|passphrase|private|privkey|token|ikm)([-_]|$)/i;
+
+    // 公钥等可公开的字段，即使名称中包含 key 也不视为敏感
+    const PUBLIC_PATTERN = /(^|[-_])(public|pub|pubkey)([-_]|$)/i;
+
+    // 按名称判断敏感性的控件类型（select、复选框、数字等选项类控件始终可分享）
+    const TEXT_TYPES = ['text', 'textarea', 'search', 'url'];
+
+    // 会被序列化的表单控件
+    const FIELD_SELECTOR = 'input[id], select[id], textarea[id]';
+
+    // 不参与序列化的 input 类型
+    const SKIPPED_INPUT_TYPES = ['file', 'button', 'submit', 'reset', 'image', 'hidden'];
+
+    /**
+     * 字节数组转 Base64URL（无填充）
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Base64URL 转字节数组
+     * @param {string} str
+     * @returns {Uint8Array}
+     */
+    function fromBase64Url(str) {
+        let b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+        while (b64.length % 4) {
+            b64 += '=';
+        }
+        return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+    }
+
+    /**
+     * 通过 CompressionStream / DecompressionStream 处理字节
+     * @param {Uint8Array} bytes
+     * @param {Function} StreamClass - CompressionStream 或 DecompressionStream
+     * @returns {Promise<Uint8Array>}
+     */
+    async function pipeThrough(bytes, StreamClass) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new StreamClass('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * 当前工具对应的容器
+     * @returns {HTMLElement|null}
+     */
+    function getContainer() {
+        return document.querySelector('#tool-content .tool-container') || document.querySelector('.tool-container');
+    }
+
+    /**
+     * 触发控件的 input / change 事件，让工具脚本响应恢复后的值
+     * @param {HTMLElement} el
+     */
+    function notifyChange(el) {
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * 状态分享模块
+     */
+    REOT.state = {
+        // 各工具注册的自定义序列化器
+        handlers: {},
+
+        /**
+         * 注册工具自定义的状态序列化器
+         * 表单控件以外的状态（如 Recipe 的步骤列表）通过此接口参与分享
+         * @param {string} toolId - 工具ID
+         * @param {Object} handler - 序列化器
+         * @param {Function} handler.serialize - () => Object，返回需要写入链接的额外状态
+         * @param {Function} handler.restore - (data: Object) => void，从链接恢复额外状态
+         */
+        register(toolId, handler) {
+            this.handlers[toolId] = handler;
+        },
+
+        /**
+         * 判断字段是否为敏感字段
+         * 显式标记 data-state="sensitive" 的字段（如种子、与密钥配套的 IV / Nonce）、密码框以及 ID 中包含 key/secret/password/ikm
+         * 等词的文本框均视为敏感，标记 data-state="share" 的字段（如名称含 key 的公钥、密钥长度）始终可分享
+         * @param {HTMLElement} el - 表单控件
+         * @returns {boolean}
+         */
+        isSensitive(el) {
+            const mark = el.dataset.state;
+            if (mark === 'sensitive') {
+                return true;
+            }
+            if (mark === 'share') {
+                return false;
+            }
+            if (el.type === 'password') {
+                return true;
+            }
+            if (!TEXT_TYPES.includes(el.type)) {
+                return false;
+            }
+            return this.isSensitiveName(el.id);
+        },
+
+        /**
+         * 判断参数名是否为敏感名称
+         * @param {string} name - 字段名或参数名
+         * @returns {boolean}
+         */
+        isSensitiveName(name) {
+            return SENSITIVE_PATTERN.test(name || '') && !PUBLIC_PATTERN.test(name || '');
+        },
+
+        /**
+         * 收集容器内表单控件的值
+         * 跳过只读控件（通常是输出框）、文件选择框以及 data-state="ignore" 的控件
+         * @param {HTMLElement} container - 工具容器
+         * @returns {{fields: Object, omitted: number}}
+         */
+        collect(container) {
+            const fields = {};
+            let omitted = 0;
+
+            container.querySelectorAll(FIELD_SELECTOR).forEach(el => {
+                if (el.dataset.state === 'ignore' || el.readOnly || el.disabled) {
+                    return;
+                }
+                if (el.tagName === 'INPUT' && SKIPPED_INPUT_TYPES.includes(el.type)) {
+                    return;
+                }
+
+                if (el.type === 'checkbox') {
+                    fields[el.id] = el.checked;
+                } else if (el.type === 'radio') {
+                    if (el.checked) {
+                        fields[el.id] = true;
+                    }
+                } else if (this.isSensitive(el)) {
+                    if (el.value) {
+                        omitted++;
+                    }
+                } else if (el.value !== '') {
+                    fields[el.id] = el.value;
+                }
+            });
+
+            return { fields, omitted };
+        },
+
+        /**
+         * 将字段值应用到容器内的表单控件
+         * 先设置 select 与复选框（它们通常会改变其他控件的可见性或默认值），再设置文本类控件
+         * data-state="ignore" 的控件不会被链接覆盖，手工构造的链接也无法写入
+         * @param {HTMLElement} container - 工具容器
+         * @param {Object} fields - 字段值
+         * @returns {number} - 成功恢复的字段数
+         */
+        apply(container, fields) {
+            const elements = Array.from(container.querySelectorAll(FIELD_SELECTOR))
+                .filter(el => el.dataset.state !== 'ignore' && Object.prototype.hasOwnProperty.call(fields, el.id));
+
+            const isOption = el => el.tagName === 'SELECT' || el.type === 'checkbox' || el.type === 'radio';
+            const ordered = elements.filter(isOption).concat(elements.filter(el => !isOption(el)));
+
+            ordered.forEach(el => {
+                const value = fields[el.id];
+                if (el.type === 'checkbox' || el.type === 'radio') {
+                    el.checked = Boolean(value);
+                } else {
+                    el.value = String(value);
+                }
+                notifyChange(el);
+            });
+
+            return ordered.length;
+        },
+
+        /**
+         * 将状态对象编码为 URL 安全字符串
+         * @param {Object} state - 状态对象
+         * @returns {Promise<string>}
+         */
+        async encode(state) {
+            const json = new TextEncoder().encode(JSON.stringify(state));
+            if (typeof CompressionStream === 'undefined') {
+                return PREFIX_JSON + toBase64Url(json);
+            }
+            return PREFIX_DEFLATE + toBase64Url(await pipeThrough(json, CompressionStream));
+        },
+
+        /**
+         * 解码 URL 中的状态字符串
+         * @param {string} encoded - 编码后的字符串
+         * @returns {Promise<Object>}
+         */
+        async decode(encoded) {
+            const prefix = encoded.charAt(0);
+            let bytes = fromBase64Url(encoded.substring(1));
+
+            if (prefix === PREFIX_DEFLATE) {
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new Error('当前浏览器不支持解压分享链接');
+                }
+                bytes = await pipeThrough(bytes, DecompressionStream);
+            } else if (prefix !== PREFIX_JSON) {
+                throw new Error('无法识别的状态格式');
+            }
+
+            const state = JSON.parse(new TextDecoder().decode(bytes));
+            if (!state || typeof state !== 'object' || Array.isArray(state)) {
+                throw new Error('无效的状态数据');
+            }
+            return state;
+        },
+
+        /**
+         * 从 URL 片段中读取状态字符串
+         * @param {string} hash - location.hash
+         * @returns {string|null}
+         */
+        readHash(hash = window.location.hash) {
+            const params = new URLSearchParams(hash.replace(/^#/, ''));
+            return params.get(HASH_PARAM);
+        },
+
+        /**
+         * 序列化当前工具状态
+         * @param {string} toolId - 工具ID
+         * @returns {{state: Object, omitted: number}}
+         */
+        capture(toolId) {
+            const container = getContainer();
+            if (!container) {
+                return { state: { v: 1 }, omitted: 0 };
+            }
+
+            const { fields, omitted } = this.collect(container);
+            const state = { v: 1, fields };
+
+            const handler = this.handlers[toolId];
+            if (handler?.serialize) {
+                state.extra = handler.serialize();
+            }
+            return { state, omitted };
+        },
+
+        /**
+         * 生成当前工具的分享链接
+         * @param {string} toolId - 工具ID
+         * @returns {Promise<{url: string, omitted: number}>}
+         */
+        async createShareUrl(toolId) {
+            const { state, omitted } = this.capture(toolId);
+            const encoded = await this.encode(state);
+            const url = new URL(window.location.href);
+            url.search = '';
+            url.hash = `${HASH_PARAM}=${encoded}`;
+            return { url: url.toString(), omitted };
+        },
+
+        /**
+         * 从 URL 片段恢复工具状态（由路由在工具加载完成后调用）
+         * @param {string} toolId - 工具ID
+         * @returns {Promise<boolean>} - 是否恢复了状态
+         */
+        async restore(toolId) {
+            const encoded = this.readHash();
+            const container = getContainer();
+            if (!encoded || !container) {
+                return false;
+            }
+
+            try {
+                const state = await this.decode(encoded);
+                this.apply(container, state.fields || {});
+
+                const handler = this.handlers[toolId];
+                if (state.extra !== undefined && handler?.restore) {
+                    handler.restore(state.extra);
+                }
+                return true;
+            } catch (error) {
+                console.error('恢复工具状态失败:', error);
+                REOT.utils?.showNotification(REOT.i18n?.t('share.restoreFailed') || '链接中的工具状态无法解析', 'error');
+                return false;
+            }
+        },
+
+        /**
+         * 复制当前工具的分享链接
+         * @param {string} toolId - 工具ID
+         */
+        async share(toolId) {
+            try {
+                const { url, omitted } = await this.createShareUrl(toolId);
+                window.history.replaceState(window.history.state, '', url);
+
+                const success = await REOT.utils?.copyToClipboard(url);
+                if (!success) {
+                    throw new Error(REOT.i18n?.t('common.copyFailed') || '复制失败');
+                }
+
+                const message = omitted > 0
+                    ? (REOT.i18n?.t('share.copiedOmitted', { count: omitted }) || `已复制分享链接，${omitted} 个敏感字段未包含在内`)
+                    : (REOT.i18n?.t('share.copied') || '已复制分享链接');
+                REOT.utils?.showNotification(message, 'success');
+            } catch (error) {
+                REOT.utils?.showNotification(error.message, 'error');
+            }
+        },
+
+        /**
+         * 在工具标题区域添加分享按钮
+         * @param {string} toolId - 工具ID
+         */
+        initShareButton(toolId) {
+            const toolHeader = document.querySelector('.tool-header');
+            if (!toolHeader || toolHeader.querySelector('.tool-page-share')) {
+                return;
+            }
+
+            let actions = toolHeader.querySelector('.tool-header__actions');
+            if (!actions) {
+                actions = document.createElement('div');
+                actions.className = 'tool-header__actions';
+                toolHeader.appendChild(actions);
+            }
+
+            const label = REOT.i18n?.t('share.button') || '分享链接';
+            const btn = document.createElement('button');
+            btn.className = 'tool-page-share';
+            btn.title = REOT.i18n?.t('share.hint') || '生成包含当前输入和选项的链接，密钥等敏感字段不会包含在内';
+            btn.innerHTML = `
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+                    <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+                </svg>
+                <span>${label}</span>
+            `;
+            btn.addEventListener('click', () => this.share(toolId));
+            actions.appendChild(btn);
+        }
+    };
+
+})();
@@ -1053,7 +1053,7 @@
             description: 'tools.aes.description',
             icon: '🔐',
             path: '/tools/encryption/aes/',
-            keywords: ['aes', '加密', '解密', 'encrypt', 'decrypt'],
+            keywords: ['aes', '加密', '解密', 'encrypt', 'decrypt', 'ecb', 'cfb', 'ofb', 'gcm', 'gcm-siv', 'padding', '填充'],
             popular: true
         },
         {
@@ -1063,7 +1063,16 @@
             description: 'tools.rsa.description',
             icon: '🔑',
             path: '/tools/encryption/rsa/',
-            keywords: ['rsa', '非对称', '公钥', '私钥', 'encrypt', 'decrypt']
+            keywords: ['rsa', '非对称', '公钥', '私钥', 'encrypt', 'decrypt', 'oaep', 'pkcs1', 'pss', '签名', 'sign', 'verify', 'jsencrypt', 'textbook', 'jwk', 'der']
+        },
+        {
+            id: 'rsa-attack',
+            category: 'encryption',
+            name: 'tools.rsa-attack.title',
+            description: 'tools.rsa-attack.description',
+            icon: '🧨',
+            path: '/tools/encryption/rsa-attack/',
+            keywords: ['rsa', 'attack', '攻击', 'ctf', 'wiener', 'fermat', 'hastad', 'håstad', 'broadcast', '广播', 'common modulus', '共模', 'gcd', '公因子', 'small e', '小指数', 'cube root', 'factor', '分解', '弱密钥']
         },
         {
             id: 'des',
@@ -1104,7 +1113,7 @@
             description: 'tools.jwt.description',
             icon: '🎫',
             path: '/tools/protocol/jwt/',
-            keywords: ['jwt', 'token', 'json web token', '令牌'],
+            keywords: ['jwt', 'token', 'json web token', '令牌', 'jws', 'alg none', 'key confusion', '签名验证', 'crack', 'wordlist', '密钥爆破'],
             popular: true
         },
 
@@ -1254,7 +1263,7 @@
             description: 'tools.hmac.description',
             icon: '🔑',
             path: '/tools/hashing/hmac/',
-            keywords: ['hmac', 'hash', 'mac', 'sha', '消息认证码']
+            keywords: ['hmac', 'hash', 'mac', 'sha', 'sha3', 'md5', 'sm3', 'ripemd160', 'signature', 'verify', '消息认证码', '签名', '国密']
         },
         {
             id: 'crc',
@@ -1263,7 +1272,16 @@
             description: 'tools.crc.description',
             icon: '✓',
             path: '/tools/hashing/crc/',
-            keywords: ['crc', 'crc32', 'checksum', '校验', '循环冗余']
+            keywords: ['crc', 'crc8', 'crc16', 'crc32', 'crc64', 'modbus', 'reveng', 'rocksoft', 'polynomial', 'checksum', '校验', '循环冗余', '多项式', '参数恢复']
+        },
+        {
+            id: 'length-extension',
+            category: 'hashing',
+            name: 'tools.length-extension.title',
+            description: 'tools.length-extension.description',
+            icon: '🧨',
+            path: '/tools/hashing/length-extension/',
+            keywords: ['length extension', 'hash', 'md5', 'sha1', 'sha256', 'sha512', 'signature', 'forge', 'ctf', 'hash_extender', 'hashpump', '长度扩展', '签名', '伪造', '哈希']
         },
 
         // ========== 新增网络工具 ==========
@@ -1495,7 +1513,7 @@
             description: 'tools.blake2.description',
             icon: '🔒',
             path: '/tools/hashing/blake2/',
-            keywords: ['blake2', 'blake2b', 'blake2s', 'hash', '哈希', '摘要']
+            keywords: ['blake2', 'blake2b', 'blake2s', 'blake3', 'xof', 'keyed', 'derive key', 'hash', '哈希', '摘要', '密钥派生']
         },
         {
             id: 'sha3',
@@ -1504,7 +1522,7 @@
             description: 'tools.sha3.description',
             icon: '🔒',
             path: '/tools/hashing/sha3/',
-            keywords: ['sha3', 'sha3-256', 'sha3-512', 'keccak', 'hash', '哈希']
+            keywords: ['sha3', 'sha3-256', 'sha3-512', 'keccak', 'shake', 'shake128', 'shake256', 'cshake', 'kmac', 'kangarootwelve', 'k12', 'xof', 'hash', '哈希', '可扩展输出']
         },
 
         // ========== 协议解析（新增） ==========
@@ -1558,7 +1576,7 @@
             description: 'tools.file-hash.description',
             icon: '#️⃣',
             path: '/tools/binary/file-hash/',
-            keywords: ['file', 'hash', 'md5', 'sha', 'checksum', '文件', '哈希', '校验']
+            keywords: ['file', 'hash', 'md5', 'sha', 'sha3', 'blake2', 'blake3', 'xxhash', 'crc32', 'checksum', 'sha256sum', 'md5sum', 'folder', '文件', '哈希', '校验', '文件夹']
         },
 
         // 文件类型检测
@@ -1635,6 +1653,15 @@
             path: '/tools/reverse/xor-analyzer/',
             keywords: ['xor', 'cipher', 'bruteforce', 'key', '异或', '加密', '解密', '破解']
         },
+        {
+            id: 'recipe',
+            category: 'reverse',
+            name: 'tools.recipe.title',
+            description: 'tools.recipe.description',
+            icon: '🧪',
+            path: '/tools/reverse/recipe/',
+            keywords: ['recipe', 'pipeline', 'chain', 'cyberchef', 'operation', '流水线', '组合', '串联']
+        },
         {
             id: 'frequency-analyzer',
             category: 'reverse',
@@ -1644,6 +1671,15 @@
             path: '/tools/reverse/frequency-analyzer/',
             keywords: ['frequency', 'analysis', 'cipher', 'crypto', '频率', '分析', '密码']
         },
+        {
+            id: 'classical-cipher',
+            category: 'reverse',
+            name: 'tools.classical-cipher.title',
+            description: 'tools.classical-cipher.description',
+            icon: '🏛️',
+            path: '/tools/reverse/classical-cipher/',
+            keywords: ['classical', 'caesar', 'vigenere', 'affine', 'atbash', 'playfair', 'rail fence', 'substitution', 'kasiski', 'ctf', '古典密码', '凯撒', '维吉尼亚', '仿射', '栅栏', '替换', '破解']
+        },
         {
             id: 'offset-calculator',
             category: 'reverse',
@@ -1662,7 +1698,7 @@
             description: 'tools.chacha20.description',
             icon: '🔐',
             path: '/tools/encryption/chacha20/',
-            keywords: ['chacha20', 'chacha', 'poly1305', 'stream', 'cipher', '流加密', '加密', '解密']
+            keywords: ['chacha20', 'chacha', 'poly1305', 'xchacha20', 'salsa20', 'xsalsa20', 'aead', 'libsodium', 'nacl', 'secretbox', 'crypto_box', 'x25519', 'wireguard', 'stream', 'cipher', '流加密', '加密', '解密']
         },
         {
             id: 'blowfish',
@@ -1691,6 +1727,15 @@
             path: '/tools/reverse/struct-parser/',
             keywords: ['struct', 'layout', 'memory', 'padding', 'alignment', '结构体', '内存', '布局']
         },
+        {
+            id: 'block-cipher',
+            category: 'reverse',
+            name: 'tools.block-cipher.title',
+            description: 'tools.block-cipher.description',
+            icon: '🧱',
+            path: '/tools/reverse/block-cipher/',
+            keywords: ['padding oracle', 'oracle', 'ecb', 'cbc', 'bit flip', 'block cipher', '填充预言', '比特翻转', '分组密码']
+        },
 
         // ========== 哈希工具（新增） ==========
         {
@@ -1720,7 +1765,7 @@
             description: 'tools.ecc.description',
             icon: '🔐',
             path: '/tools/encryption/ecc/',
-            keywords: ['ecc', 'ecdh', 'ecies', 'elliptic', 'curve', '椭圆曲线', 'encrypt', 'decrypt', '加密', '解密']
+            keywords: ['ecc', 'ecdh', 'ecies', 'ecdsa', 'secp256k1', 'elliptic', 'curve', '椭圆曲线', 'encrypt', 'decrypt', '加密', '解密', 'sign', 'verify', '签名', 'nonce', 'recover']
         },
         {
             id: 'sm2',
@@ -1767,7 +1812,7 @@
             description: 'tools.protobuf.description',
             icon: '📦',
             path: '/tools/protocol/protobuf/',
-            keywords: ['protobuf', 'protocol buffers', 'google', 'binary', '解码', '二进制'],
+            keywords: ['protobuf', 'protocol buffers', 'google', 'binary', '解码', '二进制', 'proto', 'schema', '.proto', 'grpc', 'grpc-web', 'infer', '推断'],
             popular: true
         },
 
@@ -1894,7 +1939,7 @@
             description: 'tools.hash-identifier.description',
             icon: '🔍',
             path: '/tools/hashing/hash-identifier/',
-            keywords: ['hash', 'identifier', 'detect', 'md5', 'sha', 'bcrypt', 'argon2', '哈希', '识别', '检测']
+            keywords: ['hash', 'identifier', 'detect', 'md5', 'sha', 'bcrypt', 'argon2', 'ntlm', 'crack', 'wordlist', 'hashcat', 'john', 'crypt', 'ldap', 'netntlm', 'cisco', '哈希', '识别', '检测', '破解', '字典']
         },
         {
             id: 'kdf',
@@ -1903,7 +1948,7 @@
             description: 'tools.kdf.description',
             icon: '🔑',
             path: '/tools/hashing/kdf/',
-            keywords: ['kdf', 'pbkdf2', 'bcrypt', 'password', 'key', 'derivation', '密钥派生', '密码哈希', '派生函数']
+            keywords: ['kdf', 'pbkdf2', 'bcrypt', 'argon2', 'argon2id', 'scrypt', 'phc', 'password', 'key', 'derivation', '密钥派生', '密码哈希', '派生函数']
         },
         {
             id: 'hkdf',
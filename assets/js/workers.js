@@ -0,0 +1,282 @@
+/**
+ * REOT - Workers Module
+ * Web Worker 池：把大量候选项（字典、密钥等）分块分发给多个 Worker 并行测试，
+ * 汇总进度与速率，支持取消和找到结果后提前结束
+ * 同一文件同时在页面中（search）和 Worker 中（serve）使用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // 默认每块的候选项数量
+    const DEFAULT_CHUNK_SIZE = 1000;
+
+    // 默认最多启动的 Worker 数量
+    const MAX_WORKERS = 8;
+
+    /**
+     * 将候选项统一为按块产出的异步迭代器
+     * @param {string[]|AsyncIterable<string[]>|Iterable<string[]>} candidates - 数组按 chunkSize 分块，可迭代对象的每一项即为一块
+     * @param {number} chunkSize
+     * @returns {AsyncIterator<Array>}
+     */
+    function toChunks(candidates, chunkSize) {
+        if (Array.isArray(candidates)) {
+            return (async function* () {
+                for (let i = 0; i < candidates.length; i += chunkSize) {
+                    yield candidates.slice(i, i + chunkSize);
+                }
+            })();
+        }
+        if (candidates && typeof candidates[Symbol.asyncIterator] === 'function') {
+            return candidates[Symbol.asyncIterator]();
+        }
+        if (candidates && typeof candidates[Symbol.iterator] === 'function') {
+            const iterator = candidates[Symbol.iterator]();
+            return { next: async () => iterator.next() };
+        }
+        throw new Error('候选项必须是数组或可迭代对象');
+    }
+
+    /**
+     * 将文本拆分为行（去掉行尾 \r，忽略空行）
+     * @param {string} text
+     * @returns {string[]}
+     */
+    function splitLines(text) {
+        return text.split('\n').map(line => (line.endsWith('\r') ? line.slice(0, -1) : line)).filter(line => line !== '');
+    }
+
+    const workers = {
+        DEFAULT_CHUNK_SIZE,
+
+        splitLines,
+
+        /**
+         * 默认的 Worker 数量（逻辑核心数，至少 1 个，最多 8 个）
+         * @returns {number}
+         */
+        defaultSize() {
+            const cores = root.navigator?.hardwareConcurrency || 2;
+            return Math.max(1, Math.min(MAX_WORKERS, cores));
+        },
+
+        /**
+         * 按块读取文本文件的行，不会一次性读入整个文件（适合数百 MB 的字典）
+         * @param {Blob} file
+         * @param {Object} [options]
+         * @param {number} [options.chunkSize] - 每块的行数
+         * @param {number} [options.readSize=1048576] - 每次读取的字节数
+         * @param {Function} [options.onRead] - 读取进度回调，参数为 (已读字节, 总字节)
+         * @returns {AsyncGenerator<string[]>}
+         */
+        async *readLines(file, options = {}) {
+            const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+            const readSize = options.readSize || 1024 * 1024;
+            const decoder = new TextDecoder();
+            let pending = [];
+            let rest = '';
+
+            for (let offset = 0; offset < file.size; offset += readSize) {
+                const end = Math.min(file.size, offset + readSize);
+                const buffer = await file.slice(offset, end).arrayBuffer();
+                const text = rest + decoder.decode(new Uint8Array(buffer), { stream: end < file.size });
+                const cut = text.lastIndexOf('\n');
+                rest = end < file.size ? text.slice(cut + 1) : '';
+                const lines = pending.concat(splitLines(end < file.size ? text.slice(0, cut + 1) : text));
+                options.onRead?.(end, file.size);
+
+                let index = 0;
+                for (; lines.length - index >= chunkSize; index += chunkSize) {
+                    yield lines.slice(index, index + chunkSize);
+                }
+                pending = lines.slice(index);
+            }
+            if (pending.length > 0) {
+                yield pending;
+            }
+        },
+
+        /**
+         * 在 Worker 池中并行测试候选项
+         * Worker 脚本需调用 REOT.workers.serve() 处理 init / chunk 消息
+         * @param {Object} options
+         * @param {string} options.script - Worker 脚本路径（站点根目录相对路径）
+         * @param {*} [options.init] - 发送给每个 Worker 的初始化数据
+         * @param {string[]|AsyncIterable<string[]>} options.candidates - 候选项数组，或按块产出的（异步）可迭代对象
+         * @param {number} [options.total] - 候选项总数（用于计算百分比，数组时自动取长度）
+         * @param {number} [options.chunkSize=1000] - 数组候选项的分块大小
+         * @param {number} [options.size] - Worker 数量，默认为 defaultSize()
+         * @param {boolean} [options.stopOnMatch=true] - 找到第一个结果后立即结束
+         * @param {Function} [options.onProgress] - 进度回调，参数为 {tried, total, rate, elapsed, matches}
+         * @param {Function} [options.onMatch] - 找到结果时回调
+         * @param {Function} [options.onItemProgress] - Worker 在处理单个候选项过程中通过 report() 上报的进度
+         * @returns {{promise: Promise<{matches: Array, tried: number, elapsed: number, cancelled: boolean}>, cancel: Function}}
+         */
+        search(options) {
+            const chunks = toChunks(options.candidates, options.chunkSize || DEFAULT_CHUNK_SIZE);
+            const total = options.total ?? (Array.isArray(options.candidates) ? options.candidates.length : null);
+            const size = options.size || this.defaultSize();
+            const stopOnMatch = options.stopOnMatch !== false;
+            const startTime = Date.now();
+            const pool = [];
+            const matches = [];
+            let tried = 0;
+            let busy = 0;
+            let finished = false;
+            let cancelled = false;
+            let settle;
+
+            const promise = new Promise((resolve, reject) => {
+                settle = (error) => {
+                    if (finished) {
+                        return;
+                    }
+                    finished = true;
+                    pool.forEach(worker => worker.terminate());
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve({ matches, tried, elapsed: Date.now() - startTime, cancelled });
+                    }
+                };
+            });
+
+            const progress = () => {
+                const elapsed = Date.now() - startTime;
+                options.onProgress?.({
+                    tried,
+                    total,
+                    elapsed,
+                    rate: elapsed > 0 ? Math.round(tried * 1000 / elapsed) : 0,
+                    matches: matches.length
+                });
+            };
+
+            // 为空闲的 Worker 取下一块候选项，全部处理完后结束
+            const feed = async (worker) => {
+                let next;
+                try {
+                    next = await chunks.next();
+                } catch (error) {
+                    settle(error);
+                    return;
+                }
+                if (finished) {
+                    return;
+                }
+                if (next.done) {
+                    if (busy === 0) {
+                        settle();
+                    }
+                    return;
+                }
+                if (next.value.length === 0) {
+                    feed(worker);
+                    return;
+                }
+                busy++;
+                worker.postMessage({ type: 'chunk', items: next.value });
+            };
+
+            const url = root.REOT.loader ? root.REOT.loader.resolve(options.script) : options.script;
+            try {
+                for (let i = 0; i < size; i++) {
+                    const worker = new Worker(url);
+                    pool.push(worker);
+
+                    worker.onmessage = (event) => {
+                        const message = event.data;
+                        if (finished) {
+                            return;
+                        }
+                        if (message.type === 'error') {
+                            settle(new Error(message.message));
+                            return;
+                        }
+                        if (message.type === 'progress') {
+                            options.onItemProgress?.(message.data);
+                            return;
+                        }
+                        if (message.type !== 'result') {
+                            return;
+                        }
+                        busy--;
+                        tried += message.tried;
+                        message.matches.forEach(match => {
+                            matches.push(match);
+                            options.onMatch?.(match);
+                        });
+                        progress();
+                        if (stopOnMatch && matches.length > 0) {
+                            settle();
+                            return;
+                        }
+                        feed(worker);
+                    };
+                    worker.onerror = (event) => {
+                        event.preventDefault?.();
+                        settle(new Error(`Worker 运行出错: ${event.message || options.script}`));
+                    };
+
+                    worker.postMessage({ type: 'init', data: options.init });
+                    feed(worker);
+                }
+            } catch (error) {
+                settle(new Error(`无法启动 Worker: ${error.message}`));
+            }
+
+            return {
+                promise,
+                cancel() {
+                    cancelled = true;
+                    settle();
+                }
+            };
+        },
+
+        /**
+         * Worker 端：处理 search() 发来的消息
+         * handler.test 对每个候选项返回结果（null / undefined 表示未命中），可以是 Promise，同一块内并发执行
+         * 耗时较长的候选项可以调用第二个参数 report(data) 上报进度，页面端由 onItemProgress 接收
+         * @param {Object} handler
+         * @param {Function} [handler.init] - 初始化，参数为 search() 的 init 数据
+         * @param {Function} handler.test - 测试单个候选项，参数为 (item, report)
+         * @param {Object} [scope=self] - Worker 全局作用域
+         */
+        serve(handler, scope = root) {
+            let ready = Promise.resolve();
+            const report = (data) => scope.postMessage({ type: 'progress', data });
+
+            scope.onmessage = async (event) => {
+                const message = event.data;
+                try {
+                    if (message.type === 'init') {
+                        ready = Promise.resolve(handler.init ? handler.init(message.data) : undefined);
+                        await ready;
+                        return;
+                    }
+                    if (message.type === 'chunk') {
+                        await ready;
+                        const results = await Promise.all(message.items.map(item => handler.test(item, report)));
+                        scope.postMessage({
+                            type: 'result',
+                            tried: message.items.length,
+                            matches: results.filter(result => result !== null && result !== undefined)
+                        });
+                    }
+                } catch (error) {
+                    scope.postMessage({ type: 'error', message: error.message });
+                }
+            };
+        }
+    };
+
+    root.REOT.workers = workers;
+
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,22 @@
+/*! long.js v5.3.2 | Apache-2.0 | https://github.com/dcodeIO/long.js */
+!function(i,t){function n(i){return i.default||i}"function"==typeof define&&define.amd?define([],function(){var i={};return t(i),n(i)}):"object"==typeof exports?(t(exports),"object"==typeof module&&(module.exports=n(exports))):function(){var h={};t(h),i.Long=n(h)}()}("undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:this,function(i){"use strict";Object.defineProperty(i,"__esModule",{value:!0}),i.default=void 0;
+/**
+     * @license
+     * Copyright 2009 The Closure Library Authors
+     * Copyright 2020 Daniel Wirtz / The long.js Authors.
+     *
+     * Licensed under the Apache License, Version 2.0 (the "License");
+     * you may not use this file except in compliance with the License.
+     * You may obtain a copy of the License at
+     *
+     *     http://www.apache.org/licenses/LICENSE-2.0
+     *
+     * Unless required by applicable law or agreed to in writing, software
+     * distributed under the License is distributed on an "AS IS" BASIS,
+     * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+     * See the License for the specific language governing permissions and
+     * limitations under the License.
+     *
+     * SPDX-License-Identifier: Apache-2.0
+     */
+var t=null;try{t=new WebAssembly.Instance(new WebAssembly.Module(new Uint8Array([0,97,115,109,1,0,0,0,1,13,2,96,0,1,127,96,4,127,127,127,127,1,127,3,7,6,0,1,1,1,1,1,6,6,1,127,1,65,0,11,7,50,6,3,109,117,108,0,1,5,100,105,118,95,115,0,2,5,100,105,118,95,117,0,3,5,114,101,109,95,115,0,4,5,114,101,109,95,117,0,5,8,103,101,116,95,104,105,103,104,0,0,10,191,1,6,4,0,35,0,11,36,1,1,126,32,0,173,32,1,173,66,32,134,132,32,2,173,32,3,173,66,32,134,132,126,34,4,66,32,135,167,36,0,32,4,167,11,36,1,1,126,32,0,173,32,1,173,66,32,134,132,32,2,173,32,3,173,66,32,134,132,127,34,4,66,32,135,167,36,0,32,4,167,11,36,1,1,126,32,0,173,32,1,173,66,32,134,132,32,2,173,32,3,173,66,32,134,132,128,34,4,66,32,135,167,36,0,32,4,167,11,36,1,1,126,32,0,173,32,1,173,66,32,134,132,32,2,173,32,3,173,66,32,134,132,129,34,4,66,32,135,167,36,0,32,4,167,11,36,1,1,126,32,0,173,32,1,173,66,32,134,132,32,2,173,32,3,173,66,32,134,132,130,34,4,66,32,135,167,36,0,32,4,167,11])),{}).exports}catch{}function n(i,t,n){this.low=0|i,this.high=0|t,this.unsigned=!!n}function h(i){return!0===(i&&i.__isLong__)}function s(i){var t=Math.clz32(i&-i);return i?31-t:t}n.prototype.__isLong__,Object.defineProperty(n.prototype,"__isLong__",{value:!0}),n.isLong=h;var e={},r={};function o(i,t){var n,h,s;return t?(s=0<=(i>>>=0)&&i<256)&&(h=r[i])?h:(n=g(i,0,!0),s&&(r[i]=n),n):(s=-128<=(i|=0)&&i<128)&&(h=e[i])?h:(n=g(i,i<0?-1:0,!1),s&&(e[i]=n),n)}function u(i,t){if(isNaN(i))return t?y:m;if(t){if(i<0)return y;if(i>=c)return B}else{if(i<=-w)return I;if(i+1>=w)return E}return i<0?u(-i,t).neg():g(i%d|0,i/d|0,t)}function g(i,t,h){return new n(i,t,h)}n.fromInt=o,n.fromNumber=u,n.fromBits=g;var f=Math.pow;function l(i,t,n){if(0===i.length)throw Error("empty string");if("number"==typeof t?(n=t,t=!1):t=!!t,"NaN"===i||"Infinity"===i||"+Infinity"===i||"-Infinity"===i)return t?y:m;if((n=n||10)<2||36<n)throw RangeError("radix");var h;if((h=i.indexOf("-"))>0)throw Error("interior hyphen");if(0===h)return l(i.substring(1),t,n).neg();for(var s=u(f(n,8)),e=m,r=0;r<i.length;r+=8){var o=Math.min(8,i.length-r),g=parseInt(i.substring(r,r+o),n);if(o<8){var a=u(f(n,o));e=e.mul(a).add(u(g))}else e=(e=e.mul(s)).add(u(g))}return e.unsigned=t,e}function a(i,t){return"number"==typeof i?u(i,t):"string"==typeof i?l(i,t):g(i.low,i.high,"boolean"==typeof t?t:i.unsigned)}n.fromString=l,n.fromValue=a;var d=4294967296,c=d*d,w=c/2,v=o(1<<24),m=o(0);n.ZERO=m;var y=o(0,!0);n.UZERO=y;var N=o(1);n.ONE=N;var p=o(1,!0);n.UONE=p;var b=o(-1);n.NEG_ONE=b;var E=g(-1,2147483647,!1);n.MAX_VALUE=E;var B=g(-1,-1,!0);n.MAX_UNSIGNED_VALUE=B;var I=g(0,-2147483648,!1);n.MIN_VALUE=I;var q=n.prototype;q.toInt=function(){return this.unsigned?this.low>>>0:this.low},q.toNumber=function(){return this.unsigned?(this.high>>>0)*d+(this.low>>>0):this.high*d+(this.low>>>0)},q.toString=function(i){if((i=i||10)<2||36<i)throw RangeError("radix");if(this.isZero())return"0";if(this.isNegative()){if(this.eq(I)){var t=u(i),n=this.div(t),h=n.mul(t).sub(this);return n.toString(i)+h.toInt().toString(i)}return"-"+this.neg().toString(i)}for(var s=u(f(i,6),this.unsigned),e=this,r="";;){var o=e.div(s),g=(e.sub(o.mul(s)).toInt()>>>0).toString(i);if((e=o).isZero())return g+r;for(;g.length<6;)g="0"+g;r=""+g+r}},q.getHighBits=function(){return this.high},q.getHighBitsUnsigned=function(){return this.high>>>0},q.getLowBits=function(){return this.low},q.getLowBitsUnsigned=function(){return this.low>>>0},q.getNumBitsAbs=function(){if(this.isNegative())return this.eq(I)?64:this.neg().getNumBitsAbs();for(var i=0!=this.high?this.high:this.low,t=31;t>0&&!(i&1<<t);t--);return 0!=this.high?t+33:t+1},q.isSafeInteger=function(){var i=this.high>>21;return!i||!this.unsigned&&(-1===i&&!(0===this.low&&-2097152===this.high))},q.isZero=function(){return 0===this.high&&0===this.low},q.eqz=q.isZero,q.isNegative=function(){return!this.unsigned&&this.high<0},q.isPositive=function(){return this.unsigned||this.high>=0},q.isOdd=function(){return!(1&~this.low)},q.isEven=function(){return!(1&this.low)},q.equals=function(i){return h(i)||(i=a(i)),(this.unsigned===i.unsigned||this.high>>>31!=1||i.high>>>31!=1)&&(this.high===i.high&&this.low===i.low)},q.eq=q.equals,q.notEquals=function(i){return!this.eq(i)},q.neq=q.notEquals,q.ne=q.notEquals,q.lessThan=function(i){return this.comp(i)<0},q.lt=q.lessThan,q.lessThanOrEqual=function(i){return this.comp(i)<=0},q.lte=q.lessThanOrEqual,q.le=q.lessThanOrEqual,q.greaterThan=function(i){return this.comp(i)>0},q.gt=q.greaterThan,q.greaterThanOrEqual=function(i){return this.comp(i)>=0},q.gte=q.greaterThanOrEqual,q.ge=q.greaterThanOrEqual,q.compare=function(i){if(h(i)||(i=a(i)),this.eq(i))return 0;var t=this.isNegative(),n=i.isNegative();return t&&!n?-1:!t&&n?1:this.unsigned?i.high>>>0>this.high>>>0||i.high===this.high&&i.low>>>0>this.low>>>0?-1:1:this.sub(i).isNegative()?-1:1},q.comp=q.compare,q.negate=function(){return!this.unsigned&&this.eq(I)?I:this.not().add(N)},q.neg=q.negate,q.add=function(i){h(i)||(i=a(i));var t=this.high>>>16,n=65535&this.high,s=this.low>>>16,e=65535&this.low,r=i.high>>>16,o=65535&i.high,u=i.low>>>16,f=0,l=0,d=0,c=0;return d+=(c+=e+(65535&i.low))>>>16,l+=(d+=s+u)>>>16,f+=(l+=n+o)>>>16,f+=t+r,g((d&=65535)<<16|(c&=65535),(f&=65535)<<16|(l&=65535),this.unsigned)},q.subtract=function(i){return h(i)||(i=a(i)),this.add(i.neg())},q.sub=q.subtract,q.multiply=function(i){if(this.isZero())return this;if(h(i)||(i=a(i)),t)return g(t.mul(this.low,this.high,i.low,i.high),t.get_high(),this.unsigned);if(i.isZero())return this.unsigned?y:m;if(this.eq(I))return i.isOdd()?I:m;if(i.eq(I))return this.isOdd()?I:m;if(this.isNegative())return i.isNegative()?this.neg().mul(i.neg()):this.neg().mul(i).neg();if(i.isNegative())return this.mul(i.neg()).neg();if(this.lt(v)&&i.lt(v))return u(this.toNumber()*i.toNumber(),this.unsigned);var n=this.high>>>16,s=65535&this.high,e=this.low>>>16,r=65535&this.low,o=i.high>>>16,f=65535&i.high,l=i.low>>>16,d=65535&i.low,c=0,w=0,N=0,p=0;return N+=(p+=r*d)>>>16,w+=(N+=e*d)>>>16,N&=65535,w+=(N+=r*l)>>>16,c+=(w+=s*d)>>>16,w&=65535,c+=(w+=e*l)>>>16,w&=65535,c+=(w+=r*f)>>>16,c+=n*d+s*l+e*f+r*o,g((N&=65535)<<16|(p&=65535),(c&=65535)<<16|(w&=65535),this.unsigned)},q.mul=q.multiply,q.divide=function(i){if(h(i)||(i=a(i)),i.isZero())throw Error("division by zero");var n,s,e;if(t)return this.unsigned||-2147483648!==this.high||-1!==i.low||-1!==i.high?g((this.unsigned?t.div_u:t.div_s)(this.low,this.high,i.low,i.high),t.get_high(),this.unsigned):this;if(this.isZero())return this.unsigned?y:m;if(this.unsigned){if(i.unsigned||(i=i.toUnsigned()),i.gt(this))return y;if(i.gt(this.shru(1)))return p;e=y}else{if(this.eq(I))return i.eq(N)||i.eq(b)?I:i.eq(I)?N:(n=this.shr(1).div(i).shl(1)).eq(m)?i.isNegative()?N:b:(s=this.sub(i.mul(n)),e=n.add(s.div(i)));if(i.eq(I))return this.unsigned?y:m;if(this.isNegative())return i.isNegative()?this.neg().div(i.neg()):this.neg().div(i).neg();if(i.isNegative())return this.div(i.neg()).neg();e=m}for(s=this;s.gte(i);){n=Math.max(1,Math.floor(s.toNumber()/i.toNumber()));for(var r=Math.ceil(Math.log(n)/Math.LN2),o=r<=48?1:f(2,r-48),l=u(n),d=l.mul(i);d.isNegative()||d.gt(s);)d=(l=u(n-=o,this.unsigned)).mul(i);l.isZero()&&(l=N),e=e.add(l),s=s.sub(d)}return e},q.div=q.divide,q.modulo=function(i){return h(i)||(i=a(i)),t?g((this.unsigned?t.rem_u:t.rem_s)(this.low,this.high,i.low,i.high),t.get_high(),this.unsigned):this.sub(this.div(i).mul(i))},q.mod=q.modulo,q.rem=q.modulo,q.not=function(){return g(~this.low,~this.high,this.unsigned)},q.countLeadingZeros=function(){return this.high?Math.clz32(this.high):Math.clz32(this.low)+32},q.clz=q.countLeadingZeros,q.countTrailingZeros=function(){return this.low?s(this.low):s(this.high)+32},q.ctz=q.countTrailingZeros,q.and=function(i){return h(i)||(i=a(i)),g(this.low&i.low,this.high&i.high,this.unsigned)},q.or=function(i){return h(i)||(i=a(i)),g(this.low|i.low,this.high|i.high,this.unsigned)},q.xor=function(i){return h(i)||(i=a(i)),g(this.low^i.low,this.high^i.high,this.unsigned)},q.shiftLeft=function(i){return h(i)&&(i=i.toInt()),0==(i&=63)?this:i<32?g(this.low<<i,this.high<<i|this.low>>>32-i,this.unsigned):g(0,this.low<<i-32,this.unsigned)},q.shl=q.shiftLeft,q.shiftRight=function(i){return h(i)&&(i=i.toInt()),0==(i&=63)?this:i<32?g(this.low>>>i|this.high<<32-i,this.high>>i,this.unsigned):g(this.high>>i-32,this.high>=0?0:-1,this.unsigned)},q.shr=q.shiftRight,q.shiftRightUnsigned=function(i){return h(i)&&(i=i.toInt()),0==(i&=63)?this:i<32?g(this.low>>>i|this.high<<32-i,this.high>>>i,this.unsigned):g(32===i?this.high:this.high>>>i-32,0,this.unsigned)},q.shru=q.shiftRightUnsigned,q.shr_u=q.shiftRightUnsigned,q.rotateLeft=function(i){var t;return h(i)&&(i=i.toInt()),0==(i&=63)?this:32===i?g(this.high,this.low,this.unsigned):i<32?(t=32-i,g(this.low<<i|this.high>>>t,this.high<<i|this.low>>>t,this.unsigned)):(t=32-(i-=32),g(this.high<<i|this.low>>>t,this.low<<i|this.high>>>t,this.unsigned))},q.rotl=q.rotateLeft,q.rotateRight=function(i){var t;return h(i)&&(i=i.toInt()),0==(i&=63)?this:32===i?g(this.high,this.low,this.unsigned):i<32?(t=32-i,g(this.high<<t|this.low>>>i,this.low<<t|this.high>>>i,this.unsigned)):(t=32-(i-=32),g(this.low<<t|this.high>>>i,this.high<<t|this.low>>>i,this.unsigned))},q.rotr=q.rotateRight,q.toSigned=function(){return this.unsigned?g(this.low,this.high,!1):this},q.toUnsigned=function(){return this.unsigned?this:g(this.low,this.high,!0)},q.toBytes=function(i){return i?this.toBytesLE():this.toBytesBE()},q.toBytesLE=function(){var i=this.high,t=this.low;return[255&t,t>>>8&255,t>>>16&255,t>>>24,255&i,i>>>8&255,i>>>16&255,i>>>24]},q.toBytesBE=function(){var i=this.high,t=this.low;return[i>>>24,i>>>16&255,i>>>8&255,255&i,t>>>24,t>>>16&255,t>>>8&255,255&t]},n.fromBytes=function(i,t,h){return h?n.fromBytesLE(i,t):n.fromBytesBE(i,t)},n.fromBytesLE=function(i,t){return new n(i[0]|i[1]<<8|i[2]<<16|i[3]<<24,i[4]|i[5]<<8|i[6]<<16|i[7]<<24,t)},n.fromBytesBE=function(i,t){return new n(i[4]<<24|i[5]<<16|i[6]<<8|i[7],i[0]<<24|i[1]<<16|i[2]<<8|i[3],t)},"function"==typeof BigInt&&(n.fromBigInt=function(i,t){return g(Number(BigInt.asIntN(32,i)),Number(BigInt.asIntN(32,i>>BigInt(32))),t)},n.fromValue=function(i,t){return"bigint"==typeof i?n.fromBigInt(i,t):a(i,t)},q.toBigInt=function(){var i=BigInt(this.low>>>0);return BigInt(this.unsigned?this.high>>>0:this.high)<<BigInt(32)|i});i.default=n});
@@ -0,0 +1,7 @@
+/*!
+ * protobuf.js v8.8.0 (c) 2016, daniel wirtz
+ * compiled thu, 27 aug 2026 00:01:06 utc
+ * licensed under the bsd-3-clause license
+ * see: https://github.com/dcodeio/protobuf.js for details
+ */
+!function(ut){"use strict";var n,e,i;n={1:[function(t,i,r){},{}],2:[function(t,i,r){i.exports=e;var n=/\/|\./;function e(t,i){n.test(t)||(t="google/protobuf/"+t+".proto",i={nested:{google:{nested:{protobuf:{nested:i}}}}}),e[t]=i}e("any",{Any:{fields:{type_url:{type:"string",id:1},value:{type:"bytes",id:2}}}}),e("duration",{Duration:i={fields:{seconds:{type:"int64",id:1},nanos:{type:"int32",id:2}}}}),e("timestamp",{Timestamp:i}),e("empty",{Empty:{fields:{}}}),e("struct",{Struct:{fields:{fields:{keyType:"string",type:"Value",id:1}}},Value:{oneofs:{kind:{oneof:["nullValue","numberValue","stringValue","boolValue","structValue","listValue"]}},fields:{nullValue:{type:"NullValue",id:1,protoName:"null_value"},numberValue:{type:"double",id:2,protoName:"number_value"},stringValue:{type:"string",id:3,protoName:"string_value"},boolValue:{type:"bool",id:4,protoName:"bool_value"},structValue:{type:"Struct",id:5,protoName:"struct_value"},listValue:{type:"ListValue",id:6,protoName:"list_value"}}},NullValue:{values:{NULL_VALUE:0}},ListValue:{fields:{values:{rule:"repeated",type:"Value",id:1}}}}),e("wrappers",{DoubleValue:{fields:{value:{type:"double",id:1}}},FloatValue:{fields:{value:{type:"float",id:1}}},Int64Value:{fields:{value:{type:"int64",id:1}}},UInt64Value:{fields:{value:{type:"uint64",id:1}}},Int32Value:{fields:{value:{type:"int32",id:1}}},UInt32Value:{fields:{value:{type:"uint32",id:1}}},BoolValue:{fields:{value:{type:"bool",id:1}}},StringValue:{fields:{value:{type:"string",id:1}}},BytesValue:{fields:{value:{type:"bytes",id:1}}}}),e("field_mask",{FieldMask:{fields:{paths:{rule:"repeated",type:"string",id:1}}}}),e.get=function(t){return e[t]||null}},{}],3:[function(t,i,r){var v=t(6),p=t(27),b=t(28);function u(t,i,r,n,e){if(i.resolvedType)if(i.resolvedType instanceof v){var s=e?"m"+e+"[m"+e+".length]":"m"+n;t("switch(d%s){",n);for(var o=i.resolvedType.values,u=Object.keys(o),h=0;h<u.length;++h)t("case%j:",u[h])("case %i:",o[u[h]])("%s=%j",s,o[u[h]])("break");t("default:"),"CLOSED"!==i.resolvedType.i.enum_type&&t('if(typeof d%s==="number"&&(d%s|0)===d%s)',n,n,n)("%s=d%s",s,n),t("}")}else t("if(!util.isObject(d%s))",n)("throw TypeError(%j)",i.fullName+": object expected")("m%s=types[%i].fromObject(d%s,q+1)",n,r,n);else{var f=!1;switch(i.type){case"double":case"float":t("m%s=Number(d%s)",n,n);break;case"uint32":case"fixed32":t("m%s=d%s>>>0",n,n);break;case"int32":case"sint32":case"sfixed32":t("m%s=d%s|0",n,n);break;case"uint64":case"fixed64":f=!0;case"int64":case"sint64":case"sfixed64":t("if(util.Long)")("m%s=util.Long.fromValue(d%s,%j)",n,n,f)('else if(typeof d%s==="string")',n)("m%s=parseInt(d%s,10)",n,n)('else if(typeof d%s==="number")',n)("m%s=d%s",n,n)('else if(typeof d%s==="object")',n)("m%s=new util.LongBits(d%s.low>>>0,d%s.high>>>0).toNumber(%s)",n,n,n,f?"true":"");break;case"bytes":t('if(typeof d%s==="string")',n)("util.base64.decode(d%s,m%s=util.newBuffer(util.base64.length(d%s)),0)",n,n,n)("else if(d%s.length>=0)",n)("m%s=d%s",n,n);break;case"string":t("m%s=String(d%s)",n,n);break;case"bool":t("m%s=Boolean(d%s)",n,n)}}return t}function w(t,i,r,n,e){if(e=e||n,i.resolvedType)i.resolvedType instanceof v?t("d%s=o.enums===String?(types[%i].values[m%s]===undefined?m%s:types[%i].values[m%s]):m%s",n,r,e,e,r,e,e):t("d%s=types[%i].toObject(m%s,o,q+1)",n,r,e);else{var s=!1;switch(i.type){case"double":case"float":t("d%s=o.json&&!isFinite(m%s)?String(m%s):m%s",n,e,e,e);break;case"uint64":case"fixed64":s=!0;case"int64":case"sint64":case"sfixed64":t('if(typeof BigInt!=="undefined"&&o.longs===BigInt)')('d%s=typeof m%s==="number"?BigInt(m%s):util.Long.fromBits(m%s.low>>>0,m%s.high>>>0,%j).toBigInt()',n,e,e,e,e,s)('else if(typeof m%s==="number")',e)("d%s=o.longs===String?String(m%s):m%s",n,e,e)("else")("d%s=o.longs===String?util.Long.prototype.toString.call(m%s):o.longs===Number?new util.LongBits(m%s.low>>>0,m%s.high>>>0).toNumber(%s):m%s",n,e,e,e,s?"true":"",e);break;case"bytes":t("d%s=o.bytes===String?util.base64.encode(m%s,0,m%s.length):o.bytes===Array?Array.prototype.slice.call(m%s):m%s",n,e,e,e,e);break;default:t("d%s=m%s",n,e)}}return t}r.fromObject=function(t){var i=t.fieldsArray,r=b.codegen(["d","q"])("if(d instanceof C)")("return d")("if(!util.isObject(d))")("throw TypeError(%j)",t.fullName+": object expected")("if(q===undefined)q=0")("if(q>util.recursionLimit)")('throw Error("max depth exceeded")');if(!i.length)return r("return new C");r("var m=new C");for(var n=0;n<i.length;++n){var e=i[n].resolve(),s=b.safeProp(e.name),o=!e.hasPresence&&!e.repeated&&!e.map&&(e.resolvedType instanceof v||p.basic[e.type]!==ut);e.map?(r("if(d%s){",s)("if(!util.isObject(d%s))",s)("throw TypeError(%j)",e.fullName+": object expected")("m%s={}",s)("for(var ks=Object.keys(d%s),i=0;i<ks.length;++i){",s),r('if(ks[i]==="__proto__")')("util.makeProp(m%s,ks[i])",s),u(r,e,n,s+"[ks[i]]")("}")("}")):e.repeated?(r("if(d%s){",s)("if(!Array.isArray(d%s))",s)("throw TypeError(%j)",e.fullName+": array expected"),e.resolvedType instanceof v?r("m%s=[]",s):r("m%s=Array(d%s.length)",s,s),r("for(var i=0;i<d%s.length;++i){",s),u(r,e,n,s+"[i]",e.resolvedType instanceof v?s:ut)("}")("}")):(e.resolvedType instanceof v||r("if(d%s!=null){",s),o&&(e.resolvedType instanceof v?r('if(d%s!==%j&&(typeof d%s!=="string"||types[%i].values[d%s]!==%j)){',s,e.typeDefault,s,n,s,e.typeDefault):"string"===e.type?r('if(typeof d%s!=="string"||d%s.length){',s,s):"bytes"===e.type?r("if(d%s.length){",s):"bool"===e.type?r("if(d%s){",s):"double"===e.type||"float"===e.type?r("if(!Object.is(Number(d%s),0)){",s):p.long[e.type]!==ut?r('if(typeof d%s==="object"?d%s.low||d%s.high:Number(d%s)!==0){',s,s,s,s):r("if(Number(d%s)!==0){",s)),u(r,e,n,s),o&&r("}"),e.resolvedType instanceof v||r("}"))}return r("return m")},r.toObject=function(t){var i=t.fieldsArray.slice().sort(b.compareFieldsById);if(!i.length)return b.codegen()("return {}");for(var r=b.codegen(["m","o","q"])("if(!o)")("o={}")("if(q===undefined)q=0")("if(q>util.recursionLimit)")('throw Error("max depth exceeded")')("var d={}"),n=[],e=[],s=[],o=0;o<i.length;++o)i[o].partOf||(i[o].resolve().repeated?n:i[o].map?e:s).push(i[o]);if(n.length){for(r("if(o.arrays||o.defaults){"),o=0;o<n.length;++o)r("d%s=[]",b.safeProp(n[o].name));r("}")}if(e.length){for(r("if(o.objects||o.defaults){"),o=0;o<e.length;++o)r("d%s={}",b.safeProp(e[o].name));r("}")}if(s.length){for(r("if(o.defaults){"),o=0;o<s.length;++o){var u,h=s[o],f=b.safeProp(h.name);h.resolvedType instanceof v?r("d%s=o.enums===String?%j:%j",f,h.resolvedType.valuesById[h.typeDefault],h.typeDefault):h.long?r("if(util.Long){")("var n=new util.Long(%i,%i,%j)",h.typeDefault.low,h.typeDefault.high,h.typeDefault.unsigned)('d%s=o.longs===String?n.toString():o.longs===Number?n.toNumber():typeof BigInt!=="undefined"&&o.longs===BigInt?n.toBigInt():n',f)("}else")('d%s=o.longs===String?%j:typeof BigInt!=="undefined"&&o.longs===BigInt?BigInt(%j):%i',f,h.typeDefault.toString(),h.typeDefault.toString(),h.typeDefault.toNumber()):h.bytes?(u=Array.prototype.slice.call(h.typeDefault),r("if(o.bytes===String)d%s=%j",f,b.base64.encode(h.typeDefault,0,h.typeDefault.length))("else{")("d%s=%j",f,u)("if(o.bytes!==Array)d%s=util.newBuffer(d%s)",f,f)("}")):"double"!==h.type&&"float"!==h.type||"number"!=typeof h.typeDefault||isFinite(h.typeDefault)&&!Object.is(h.typeDefault,-0)?r("d%s=%j",f,h.typeDefault):r("d%s=%f",f,h.typeDefault)("if(o.json&&!isFinite(d%s))d%s=String(d%s)",f,f,f)}r("}")}for(var a=!1,o=0;o<i.length;++o){var c,l,h=i[o],d=t.e.indexOf(h),f=b.safeProp(h.name);h.map?(a||(a=!0,r("var ks2")),r("if(m%s&&(ks2=Object.keys(m%s)).length){",f,f)("d%s={}",f),c=p.long[h.keyType]!==ut,l=f+"[ks2[j]]",r("for(var j=0;j<ks2.length;++j){"),c&&r("var k2=util.longFromKey(ks2[j],%j).toString()","uint64"===h.keyType||"fixed64"===h.keyType),r('if(ks2[j]==="__proto__")')("util.makeProp(d%s,ks2[j])",f),w(r,h,d,c?f+"[k2]":l,l)("}")):h.repeated?(r("if(m%s&&m%s.length){",f,f)("d%s=Array(m%s.length)",f,f)("for(var j=0;j<m%s.length;++j){",f),w(r,h,d,f+"[j]")("}")):(r("if(m%s!=null&&Object.hasOwnProperty.call(m,%j)){",f,h.name),w(r,h,d,f),h.partOf&&!h.partOf.isProto3Optional&&r("if(o.oneofs)")("d%s=%j",b.safeProp(h.partOf.name),h.name)),r("}")}return r("return d")}},{27:27,28:28,6:6}],4:[function(t,i,r){i.exports=function(t){for(var i=!1,r=!1,n=0;n<t.fieldsArray.length;++n){var e=t.e[n];e.map&&(i=!0),(e.resolvedType instanceof l||!e.repeated&&!e.map&&!e.hasPresence)&&(r=!0)}var s=v.codegen(["r","l","z","q","g"])("if(!(r instanceof Reader))")("r=Reader.create(r)")("if(q===undefined)q=0")("if(q>Reader.recursionLimit)")('throw Error("max depth exceeded")')("var c,m"+(i?",k,v":r?",v":""))("if(l===undefined)")("c=r.len")("else{")("c=r.pos+l")("if(c>r.len)")('throw RangeError("index out of range")')("l=r.len")("r.len=c")("}")("m=g||new C")("while(r.pos<c){")("var s=r.pos")("var t=r.tag()")("if(t===z){")("z=undefined")("break")("}");t.fieldsArray.length&&s("var u=t&7")("switch(t>>>=3){");for(n=0;n<t.fieldsArray.length;++n){var o,u=t.e[n].resolve(),h=u.resolvedType instanceof l?"int32":u.type,f="m"+v.safeProp(u.name),a=u.resolvedType instanceof l&&"CLOSED"===u.resolvedType.i.enum_type;u.map?(s("case %i:{",u.id)("if(u!==2)")("break"),a||s("if(%s===util.emptyObject)",f)("%s={}",f),s("var c2=r.uint32()+r.pos")("if(c2>r.len)")('throw RangeError("index out of range")')("r.len=c2"),d.defaults[u.keyType]!==ut?s("k=%j",d.defaults[u.keyType]):s("k=null"),d.long[h]!==ut?s("v=util.Long?util.Long.fromNumber(0,%j):0","uint64"===h||"fixed64"===h):d.defaults[h]!==ut?s("v=%j",d.defaults[h]):s("v=null"),s("while(r.pos<c2){")("var t2=r.tag()")("u=t2&7")("switch(t2>>>=3){")("case 1:")("if(u!==%i)",d.mapKey[u.keyType])("break")("k=r.%s()","string"===u.keyType?p(u):u.keyType)("continue")("case 2:")("if(u!==%i)",d.basic[h]===ut?2:d.basic[h])("break"),d.basic[h]===ut?s("v=types[%i].decode(r,r.uint32(),undefined,q+1,v)",n):s("v=r.%s()","string"===h?p(u):h),s("continue")("}")("r.skipType(u,q,t2)")("}"),s("if(r.pos!==c2)")('throw RangeError("index out of range")')("r.len=c"),a&&(s("if(types[%i].valuesById[v]===undefined){",n),b(s,"r.raw(s,r.pos)")("continue")("}")("if(%s===util.emptyObject)",f)("%s={}",f)),o=d.basic[h]===ut?"v||new types["+n+"].ctor":"v",d.long[u.keyType]!==ut?s('%s[typeof k==="object"?util.longToHash(k):k]=%s',f,o):("string"===u.keyType&&s('if(k==="__proto__")')("util.makeProp(%s,k)",f),s("%s[k]=%s",f,o))):u.repeated?(s("case %i:",u.id)("{"),d.packed[h]!==ut&&(s("if(u===2){"),a?(s("var c2=r.uint32()+r.pos")("if(c2>r.len)")('throw RangeError("index out of range")')("r.len=c2")("while(r.pos<c2){")("s=r.pos")("v=r.%s()",h)("if(types[%i].valuesById[v]!==undefined){",n)("if(!(%s&&%s.length))",f,f)("%s=[]",f)("%s.push(v)",f)("}else"),b(s,"util.rawField("+u.id+",0,r.raw(s,r.pos))")("}"),s("if(r.pos!==c2)")('throw RangeError("index out of range")')("r.len=c")):s("if(!(%s&&%s.length))",f,f)("%s=[]",f)("r.%ss(%s)",h,f),s("continue")("}")),s("if(u!==%i)",d.basic[h]===ut?u.delimited?3:2:d.basic[h])("break"),a||s("if(!(%s&&%s.length))",f,f)("%s=[]",f),d.basic[h]===ut?u.delimited?s("%s.push(types[%i].decode(r,undefined,%i,q+1))",f,n,8*u.id+4):s("%s.push(types[%i].decode(r,r.uint32(),undefined,q+1))",f,n):a?(s("v=r.%s()",h)("if(types[%i].valuesById[v]!==undefined){",n)("if(!(%s&&%s.length))",f,f)("%s=[]",f)("%s.push(v)",f)("}else"),b(s,"r.raw(s,r.pos)")):s("%s.push(r.%s())",f,"string"===h?p(u):h)):d.basic[h]===ut?(s("case %i:{",u.id)("if(u!==%i)",u.delimited?3:2)("break"),u.delimited?s("%s=types[%i].decode(r,undefined,%i,q+1,%s)",f,n,8*u.id+4,f):s("%s=types[%i].decode(r,r.uint32(),undefined,q+1,%s)",f,n,f)):u.hasPresence?(s("case %i:{",u.id)("if(u!==%i)",d.basic[h])("break"),a?(s("v=r.%s()",h)("if(types[%i].valuesById[v]!==undefined){",n)("%s=v",f),u.partOf&&s("m%s=%j",v.safeProp(u.partOf.name),u.name),s("}else"),b(s,"r.raw(s,r.pos)")):s("%s=r.%s()",f,"string"===h?p(u):h)):(s("case %i:{",u.id)("if(u!==%i)",d.basic[h])("break"),a?(s("v=r.%s()",h)("if(types[%i].valuesById[v]!==undefined){",n)("if(v!==%j)",u.typeDefault)("%s=v",f)("else")("delete %s",f)("}else{"),b(s,"r.raw(s,r.pos)")("}")):(u.resolvedType instanceof l&&0!==u.typeDefault?s("if((v=r.%s())!==%j)",h,u.typeDefault):"string"===h?s("if((v=r.%s()).length)",p(u)):"bytes"===h?s("if((v=r.%s()).length)",h):d.long[h]!==ut?s('if(typeof(v=r.%s())==="object"?v.low||v.high:v!==0)',h):s("double"===h||"float"===h?"if(!Object.is(v=r.%s(),0))":"if(v=r.%s())",h),s("%s=v",f)("else")("delete %s",f))),u.partOf&&!a&&s("m%s=%j",v.safeProp(u.partOf.name),u.name),s("continue")("}")}n&&s("}");for(s("r.skipType(%s,q,t)",n?"u":"t&7"),b(s,"r.raw(s,r.pos)")("}")("if(l!==undefined){")("if(r.pos!==c)")('throw RangeError("index out of range")')("r.len=l")("}")("if(z!==undefined)")('throw Error("missing end group")'),n=0;n<t.e.length;++n){var c=t.e[n];c.required&&s("if(!Object.hasOwnProperty.call(m,%j))",c.name)("throw util.ProtocolError(%j,{instance:m})","missing required '"+c.name+"'")}return s("return m")};var l=t(6),d=t(27),v=t(28);function p(t){return"VERIFY"===t.i.utf8_validation?"stringVerify":"string"}function b(t,i){return t("if(!r.discardUnknown){")('util.makeProp(m,"$unknowns",false);')("(m.$unknowns||(m.$unknowns=[])).push(%s)",i)("}")}},{27:27,28:28,6:6}],5:[function(t,i,r){i.exports=function(t){for(var i,r=c.codegen(["m","w","q"])("if(!w)")("w=Writer.create()")("if(q===undefined)q=0")("if(q>util.recursionLimit)")('throw Error("max depth exceeded")'),n=t.fieldsArray.slice().sort(c.compareFieldsById),e=0;e<n.length;++e){var s=n[e].resolve(),o=t.e.indexOf(s),u=s.resolvedType instanceof f?"int32":s.type,h=a.basic[u];i="m"+c.safeProp(s.name),s.map?(r("if(%s!=null&&Object.hasOwnProperty.call(m,%j)){",i,s.name)("for(var ks=Object.keys(%s),i=0;i<ks.length;++i){",i),"bool"===s.keyType?r("w.uint32(%i).fork().uint32(%i).bool(util.boolFromKey(ks[i]))",(s.id<<3|2)>>>0,8|a.mapKey[s.keyType]):a.long[s.keyType]!==ut?r("w.uint32(%i).fork().uint32(%i).%s(util.longFromKey(ks[i],%j))",(s.id<<3|2)>>>0,8|a.mapKey[s.keyType],s.keyType,"uint64"===s.keyType||"fixed64"===s.keyType):r("w.uint32(%i).fork().uint32(%i).%s(ks[i])",(s.id<<3|2)>>>0,8|a.mapKey[s.keyType],s.keyType),h===ut?r("types[%i].encode(%s[ks[i]],w.uint32(18).fork(),q+1).ldelim().ldelim()",o,i):r(".uint32(%i).%s(%s[ks[i]]).ldelim()",16|h,u,i),r("}")("}")):s.repeated?(r("if(%s!=null&&%s.length){",i,i),s.packed&&a.packed[u]!==ut?r("w.uint32(%i).%ss(%s)",(s.id<<3|2)>>>0,u,i):(r("for(var i=0;i<%s.length;++i)",i),h===ut?l(r,s,o,i+"[i]"):r("w.uint32(%i).%s(%s[i])",(s.id<<3|h)>>>0,u,i)),r("}")):(s.required||(s.hasPresence||!(s.resolvedType instanceof f||a.basic[u]!==ut)?r("if(%s!=null&&Object.hasOwnProperty.call(m,%j))",i,s.name):s.resolvedType instanceof f?r("if(%s!=null&&Object.hasOwnProperty.call(m,%j)&&%s!==%j)",i,s.name,i,s.typeDefault):"bool"===u?r("if(%s!=null&&Object.hasOwnProperty.call(m,%j)&&%s!==false)",i,s.name,i):"string"===u?r('if(%s!=null&&Object.hasOwnProperty.call(m,%j)&&%s!=="")',i,s.name,i):"bytes"===u?r("if(%s!=null&&Object.hasOwnProperty.call(m,%j)&&%s.length)",i,s.name,i):"double"===u||"float"===u?r("if(%s!=null&&Object.hasOwnProperty.call(m,%j)&&!Object.is(%s,0))",i,s.name,i):a.long[u]!==ut?r('if(%s!=null&&Object.hasOwnProperty.call(m,%j)&&(typeof %s==="object"?%s.low||%s.high:%s!==0))',i,s.name,i,i,i,i):r("if(%s!=null&&Object.hasOwnProperty.call(m,%j)&&%s!==0)",i,s.name,i)),h===ut?l(r,s,o,i):r("w.uint32(%i).%s(%s)",(s.id<<3|h)>>>0,u,i))}return r('if(m.$unknowns!=null&&Object.hasOwnProperty.call(m,"$unknowns"))')("for(var i=0;i<m.$unknowns.length;++i)")("w.raw(m.$unknowns[i])")("return w")};var f=t(6),a=t(27),c=t(28);function l(t,i,r,n){i.delimited?t("types[%i].encode(%s,w.uint32(%i),q+1).uint32(%i)",r,n,(i.id<<3|3)>>>0,(i.id<<3|4)>>>0):t("types[%i].encode(%s,w.uint32(%i).fork(),q+1).ldelim()",r,n,(i.id<<3|2)>>>0)}},{27:27,28:28,6:6}],6:[function(t,i,r){i.exports=s;var h=t(15),n=(s.prototype=Object.create(h.prototype,{constructor:{value:s,writable:!0,enumerable:!1,configurable:!0}}),s.className="Enum",t(14)),e=t(28);function s(t,i,r,n,e,s){if(h.call(this,t,r),i&&"object"!=typeof i)throw TypeError("values must be an object");if(this.valuesById=Object.create(null),this.values=Object.create(this.valuesById),this.comment=n,this.comments=e||{},this.valuesOptions=s,this.s={},this.reserved=ut,this.visibility=ut,i)for(var o=Object.keys(i),u=0;u<o.length;++u)"__proto__"!==o[u]&&"number"==typeof i[o[u]]&&(this.values[o[u]]=i[o[u]],this.valuesById[i[o[u]]]===ut&&(this.valuesById[i[o[u]]]=o[u]))}s.prototype.o=function(t){return t=this.u||t,h.prototype.o.call(this,t),Object.keys(this.values).forEach(t=>{var i=e.merge({},this.i);this.s[t]=e.merge(i,this.valuesOptions&&this.valuesOptions[t]&&this.valuesOptions[t].features||{})}),this},s.fromJSON=function(t,i){t=new s(t,i.values,i.options,i.comment,i.comments,i.valuesOptions);return t.reserved=i.reserved,i.visibility&&(t.visibility=i.visibility),i.edition&&(t.u=i.edition),t.h="proto3",t},s.prototype.toJSON=function(t){t=!!t&&!!t.keepComments;return e.toObject(["edition",this.f(),"options",this.options,"valuesOptions",this.valuesOptions,"values",this.values,"reserved",this.reserved&&this.reserved.length?this.reserved:ut,"visibility",this.visibility,"comment",t?this.comment:ut,"comments",t?this.comments:ut])},s.prototype.add=function(t,i,r,n){if(!e.isString(t))throw TypeError("name must be a string");if(!e.isInteger(i))throw TypeError("id must be an integer");if("__proto__"!==t){if(this.values[t]!==ut)throw Error("duplicate name '"+t+"' in "+this);if(this.isReservedId(i))throw Error("id "+i+" is reserved in "+this);if(this.isReservedName(t))throw Error("name '"+t+"' is reserved in "+this);if(this.valuesById[i]!==ut){if(!this.options||!this.options.allow_alias)throw Error("duplicate id "+i+" in "+this);this.values[t]=i}else this.valuesById[this.values[t]=i]=t;n&&(this.valuesOptions===ut&&(this.valuesOptions={}),this.valuesOptions[t]=n||null),this.comments[t]=r||null}return this},s.prototype.remove=function(t){if(!e.isString(t))throw TypeError("name must be a string");var i=this.values[t];if(null==i)throw Error("name '"+t+"' does not exist in "+this);return delete this.valuesById[i],delete this.values[t],delete this.comments[t],this.valuesOptions&&delete this.valuesOptions[t],this},s.prototype.isReservedId=function(t){return n.isReservedId(this.reserved,t)},s.prototype.isReservedName=function(t){return n.isReservedName(this.reserved,t)}},{14:14,15:15,28:28}],7:[function(t,i,r){i.exports=o;var n,u=t(15),e=(o.prototype=Object.create(u.prototype,{constructor:{value:o,writable:!0,enumerable:!1,configurable:!0}}),o.className="Field",t(6)),h=t(27),f=t(28),a=/^(?:required|optional|repeated)$/;function o(t,i,r,n,e,s,o){if(f.isObject(n)?(o=e,s=n,n=e=ut):f.isObject(e)&&(o=s,s=e,e=ut),u.call(this,t,s),!f.isInteger(i)||i<0)throw TypeError("id must be a non-negative integer");if(!f.isString(r))throw TypeError("type must be a string");if(n!==ut&&!a.test(n=n.toString().toLowerCase()))throw TypeError("rule must be a string rule");if(e!==ut&&!f.isString(e))throw TypeError("extend must be a string");this.rule=n&&"optional"!==n?n:ut,this.type=r,this.id=i,this.extend=e||ut,this.repeated="repeated"===n,this.map=!1,this.message=null,this.partOf=null,this.typeDefault=null,this.defaultValue=null,this.long=!!f.Long&&h.long[r]!==ut,this.bytes="bytes"===r,this.resolvedType=null,this.extensionField=null,this.declaringField=null,this.comment=o,this.protoName=ut,this.jsonName=ut}o.fromJSON=function(t,i){t=new o(t,i.id,i.type,i.rule,i.extend,i.options,i.comment);return i.edition&&(t.u=i.edition),i.protoName&&(t.protoName=i.protoName),i.jsonName!==ut?t.jsonName=i.jsonName:i.options&&i.options.json_name!==ut&&(t.jsonName=i.options.json_name),t.h="proto3",t},Object.defineProperty(o.prototype,"required",{get:function(){return"LEGACY_REQUIRED"===this.i.field_presence}}),Object.defineProperty(o.prototype,"optional",{get:function(){return!this.required}}),Object.defineProperty(o.prototype,"delimited",{get:function(){return this.resolvedType instanceof n&&"DELIMITED"===this.i.message_encoding}}),Object.defineProperty(o.prototype,"packed",{get:function(){return"PACKED"===this.i.repeated_field_encoding}}),Object.defineProperty(o.prototype,"hasPresence",{get:function(){return!this.repeated&&!this.map&&(this.partOf||this.declaringField||this.extensionField||"IMPLICIT"!==this.i.field_presence)}}),o.prototype.setOption=function(t,i,r){return u.prototype.setOption.call(this,t,i,r)},o.prototype.toJSON=function(t){t=!!t&&!!t.keepComments;return f.toObject(["edition",this.f(),"rule","optional"!==this.rule&&this.rule||ut,"type",this.type,"id",this.id,"extend",this.extend,"protoName",this.protoName!==this.name?this.protoName:ut,"jsonName",this.jsonName!==f.jsonName(this.protoName||this.name)?this.jsonName:ut,"options",this.options,"comment",t?this.comment:ut])},o.prototype.resolve=function(){var t,i;return this.resolved?this:((this.typeDefault=h.defaults[this.type])===ut?(this.resolvedType=(this.declaringField||this).parent.lookupTypeOrEnum(this.type),this.resolvedType instanceof n?this.typeDefault=null:this.typeDefault=this.resolvedType.values[Object.keys(this.resolvedType.values)[0]]):this.options&&this.options.proto3_optional&&(this.typeDefault=null),this.options&&null!=this.options.default&&(this.typeDefault=this.options.default,this.resolvedType instanceof e&&"string"==typeof this.typeDefault&&(this.typeDefault=this.resolvedType.values[this.typeDefault])),this.options&&(this.options.packed===ut||!this.resolvedType||this.resolvedType instanceof e||delete this.options.packed,Object.keys(this.options).length||(this.options=ut)),this.long?(t="uint64"===this.type||"fixed64"===this.type,this.typeDefault="string"==typeof this.typeDefault?f.Long.fromString(this.typeDefault,t):f.Long.fromNumber(this.typeDefault,t),Object.freeze&&Object.freeze(this.typeDefault)):h.long[this.type]!==ut&&"string"==typeof this.typeDefault?this.typeDefault=parseInt(this.typeDefault,10):this.bytes&&"string"==typeof this.typeDefault&&(f.base64.test(this.typeDefault)?f.base64.decode(this.typeDefault,i=f.newBuffer(f.base64.length(this.typeDefault)),0):f.utf8.write(this.typeDefault,i=f.newBuffer(f.utf8.length(this.typeDefault)),0),this.typeDefault=i),this.map?this.defaultValue=f.emptyObject:this.repeated?this.defaultValue=f.emptyArray:this.defaultValue=this.typeDefault,this.parent instanceof n&&this.parent.a&&(this.parent.a.prototype[this.name]=this.defaultValue),this.protoName===ut&&(this.protoName=this.name),this.jsonName===ut&&(this.jsonName=f.jsonName(this.protoName)),u.prototype.resolve.call(this))},o.prototype.c=function(t){var i;return"proto2"!==t&&"proto3"!==t?{}:(t={},"required"===this.rule&&(t.field_presence="LEGACY_REQUIRED"),this.parent&&h.defaults[this.type]===ut&&(i=this.parent.get(this.type.split(".").pop()))&&i instanceof n&&i.group&&(t.message_encoding="DELIMITED"),!0===this.getOption("packed")?t.repeated_field_encoding="PACKED":!1===this.getOption("packed")&&(t.repeated_field_encoding="EXPANDED"),t)},o.prototype.o=function(t){return u.prototype.o.call(this,this.u||t)},o.d=function(r,n,e,s){return"function"==typeof n?n=f.decorateType(n).name:n&&"object"==typeof n&&(n=f.decorateEnum(n).name),function(t,i){f.decorateType(t.constructor).add(new o(i,r,n,e,{default:s}))}},o.l=function(t){n=t}},{15:15,27:27,28:28,6:6}],8:[function(t,i,n){(n=i.exports=t(9)).build="light",n.load=function(t,i,r){return(i="function"==typeof i?(r=i,new n.Root):i||new n.Root).load(t,r)},n.loadSync=function(t,i){return(i=i||new n.Root).loadSync(t)},n.encoder=t(5),n.decoder=t(4),n.verifier=t(42),n.converter=t(3),n.ReflectionObject=t(15),n.Namespace=t(14),n.Root=t(20),n.Enum=t(6),n.Type=t(26),n.Field=t(7),n.OneOf=t(16),n.MapField=t(11),n.Service=t(24),n.Method=t(13),n.Message=t(12),n.wrappers=t(43),n.types=t(27),n.util=t(28),n.ReflectionObject.l(n.Root),n.Namespace.l(n.Type,n.Service,n.Enum),n.Root.l(n.Type,ut,{}),n.Field.l(n.Type)},{11:11,12:12,13:13,14:14,15:15,16:16,20:20,24:24,26:26,27:27,28:28,3:3,4:4,42:42,43:43,5:5,6:6,7:7,9:9}],9:[function(t,i,r){function n(){r.util.LongBits.l(r.util.Long),r.Writer.l(r.BufferWriter),r.Reader.l(r.BufferReader)}r.build="minimal",r.Writer=t(44),r.BufferWriter=t(45),r.Reader=t(18),r.BufferReader=t(19),r.util=t(37),r.rpc=t(22),r.roots=t(21),r.configure=n,n()},{18:18,19:19,21:21,22:22,37:37,44:44,45:45}],10:[function(t,i,r){(r=i.exports=t(8)).build="full",r.tokenize=t(25),r.parse=t(17),r.common=t(2),r.Root.l(r.Type,r.parse,r.common)},{17:17,2:2,25:25,8:8}],11:[function(t,i,r){i.exports=s;var o=t(7),n=(s.prototype=Object.create(o.prototype,{constructor:{value:s,writable:!0,enumerable:!1,configurable:!0}}),s.className="MapField",t(27)),u=t(28);function s(t,i,r,n,e,s){if(o.call(this,t,i,n,ut,ut,e,s),!u.isString(r))throw TypeError("keyType must be a string");this.keyType=r,this.resolvedKeyType=null,this.map=!0}s.fromJSON=function(t,i){t=new s(t,i.id,i.keyType,i.type,i.options,i.comment);return i.protoName&&(t.protoName=i.protoName),i.jsonName!==ut?t.jsonName=i.jsonName:i.options&&i.options.json_name!==ut&&(t.jsonName=i.options.json_name),t},s.prototype.toJSON=function(t){t=!!t&&!!t.keepComments;return u.toObject(["keyType",this.keyType,"type",this.type,"id",this.id,"extend",this.extend,"protoName",this.protoName!==this.name?this.protoName:ut,"jsonName",this.jsonName!==u.jsonName(this.protoName||this.name)?this.jsonName:ut,"options",this.options,"comment",t?this.comment:ut])},s.prototype.resolve=function(){if(this.resolved)return this;if(n.mapKey[this.keyType]===ut)throw Error("invalid key type: "+this.keyType);return o.prototype.resolve.call(this)},s.d=function(r,n,e){return"function"==typeof e?e=u.decorateType(e).name:e&&"object"==typeof e&&(e=u.decorateEnum(e).name),function(t,i){u.decorateType(t.constructor).add(new s(i,r,n,e))}}},{27:27,28:28,7:7}],12:[function(t,i,r){i.exports=e;var n=t(37);function e(t){if(t)for(var i=Object.keys(t),r=0;r<i.length;++r)null!=t[i[r]]&&"__proto__"!==i[r]&&(this[i[r]]=t[i[r]])}e.create=function(t){return this.$type.create(t)},e.encode=function(t,i){return this.$type.encode(t,i)},e.encodeDelimited=function(t,i){return this.$type.encodeDelimited(t,i)},e.decode=function(t){return this.$type.decode(t)},e.decodeDelimited=function(t){return this.$type.decodeDelimited(t)},e.verify=function(t){return this.$type.verify(t)},e.fromObject=function(t){return this.$type.fromObject(t)},e.toObject=function(t,i){return this.$type.toObject(t,i)},e.prototype.toJSON=function(){return this.$type.toObject(this,n.toJSONOptions)}},{37:37}],13:[function(t,i,r){i.exports=n;var f=t(15),a=(n.prototype=Object.create(f.prototype,{constructor:{value:n,writable:!0,enumerable:!1,configurable:!0}}),n.className="Method",t(28));function n(t,i,r,n,e,s,o,u,h){if(a.isObject(e)?(o=e,e=s=ut):a.isObject(s)&&(o=s,s=ut),i!==ut&&!a.isString(i))throw TypeError("type must be a string");if(!a.isString(r))throw TypeError("requestType must be a string");if(!a.isString(n))throw TypeError("responseType must be a string");f.call(this,t,o),this.type=i||"rpc",this.requestType=r,this.requestStream=!!e||ut,this.responseType=n,this.responseStream=!!s||ut,this.path="/"+this.name,this.resolvedRequestType=null,this.resolvedResponseType=null,this.comment=u,this.parsedOptions=h}n.fromJSON=function(t,i){return new n(t,i.type,i.requestType,i.responseType,i.requestStream,i.responseStream,i.options,i.comment,i.parsedOptions)},n.prototype.toJSON=function(t){t=!!t&&!!t.keepComments;return a.toObject(["type","rpc"!==this.type&&this.type||ut,"requestType",this.requestType,"requestStream",this.requestStream,"responseType",this.responseType,"responseStream",this.responseStream,"options",this.options,"comment",t?this.comment:ut,"parsedOptions",this.parsedOptions])},n.prototype.resolve=function(){var t;return this.resolved?this:(this.parent?("."==((t=this.parent.fullName)[0]||"")&&(t=t.substring(1)),this.path="/"+t+"/"+this.name):this.path="/"+this.name,this.resolvedRequestType=this.parent.lookupType(this.requestType),this.resolvedResponseType=this.parent.lookupType(this.responseType),f.prototype.resolve.call(this))}},{15:15,28:28}],14:[function(t,i,r){i.exports=c;var s,o,u,n=t(15),h=(c.prototype=Object.create(n.prototype,{constructor:{value:c,writable:!0,enumerable:!1,configurable:!0}}),c.className="Namespace",t(7)),f=t(28),a=t(16);function e(t,i){if(!t||!t.length)return ut;for(var r={},n=0;n<t.length;++n)r[t[n].name]=t[n].toJSON(i);return r}function c(t,i){n.call(this,t,i),this.nested=ut,this.v=null,this.p=Object.create(null),this.b=!0,this.w=!0}function l(t){t.v=null,t.p=Object.create(null);for(var i=t;i=i.parent;)i.p=Object.create(null);return t}c.fromJSON=function(t,i,r){if((r=r===ut?0:r)>f.recursionLimit)throw Error("max depth exceeded");return new c(t,i.options).addJSON(i.nested,r)},c.arrayToJSON=e,c.isReservedId=function(t,i){if(t)for(var r=0;r<t.length;++r)if("string"!=typeof t[r]&&t[r][0]<=i&&t[r][1]>=i)return!0;return!1},c.isReservedName=function(t,i){if(t)for(var r=0;r<t.length;++r)if(t[r]===i)return!0;return!1},Object.defineProperty(c.prototype,"nestedArray",{get:function(){return this.v||(this.v=f.toArray(this.nested))}}),c.prototype.toJSON=function(t){return f.toObject(["options",this.options,"nested",e(this.nestedArray,t)])},c.prototype.addJSON=function(t,i){if((i=i===ut?0:i)>f.recursionLimit)throw Error("max depth exceeded");if(t)for(var r,n=Object.keys(t),e=0;e<n.length;++e)r=t[n[e]],this.add((r.fields!==ut?s:r.values!==ut?u:r.methods!==ut?o:r.id!==ut?h:c).fromJSON(n[e],r,i+1));return this},c.prototype.get=function(t){return this.nested&&Object.prototype.hasOwnProperty.call(this.nested,t)?this.nested[t]:null},c.prototype.getEnum=function(t){if(this.nested&&Object.prototype.hasOwnProperty.call(this.nested,t)&&this.nested[t]instanceof u)return this.nested[t].values;throw Error("no such enum: "+t)},c.prototype.add=function(t){if(!(t instanceof h&&t.extend!==ut||t instanceof s||t instanceof a||t instanceof u||t instanceof o||t instanceof c))throw TypeError("object must be a valid nested object");if("__proto__"===t.name)return this;if(this.nested){var i=this.get(t.name);if(i){if(!(i instanceof c&&t instanceof c)||i instanceof s||i instanceof o)throw Error("duplicate name '"+t.name+"' in "+this);for(var r=i.nestedArray,n=0;n<r.length;++n)t.add(r[n]);this.remove(i),this.nested||(this.nested={}),t.setOptions(i.options,!0)}}else this.nested={};this.nested[t.name]=t,this instanceof s||this instanceof o||this instanceof u||this instanceof h||t.u||(t.u=t.h),this.b=!0,this.w=!0;for(var e=this;e=e.parent;)e.b=!0,e.w=!0;return t.onAdd(this),l(this)},c.prototype.remove=function(t){if(!(t instanceof n))throw TypeError("object must be a ReflectionObject");if(t.parent===this&&f.remove(this.nested,t,t.name))return Object.keys(this.nested).length||(this.nested=ut),t.onRemove(this),l(this);throw Error(t+" is not a member of "+this)},c.prototype.define=function(t,i){if(f.isString(t))t=t.split(".");else if(!Array.isArray(t))throw TypeError("illegal path");if(t&&t.length&&""===t[0])throw Error("path must be relative");if(t.length>f.recursionLimit)throw Error("max depth exceeded");for(var r=this;0<t.length;){var n=t.shift();if(r.nested&&r.nested[n]){if(!((r=r.nested[n])instanceof c))throw Error("path conflicts with non-namespace objects")}else r.add(r=new c(n))}return i&&r.addJSON(i),r},c.prototype.resolveAll=function(){if(this.w){this.b&&this.m(this.u);var t=this.nestedArray,i=0;for(this.resolve();i<t.length;)t[i]instanceof c?t[i++].resolveAll():t[i++].resolve();this.w=!1}return this},c.prototype.m=function(i){return this.b&&(this.b=!1,i=this.u||i,n.prototype.m.call(this,i),this.nestedArray.forEach(t=>{t.m(i)})),this},c.prototype.lookup=function(t,i,r){if("boolean"==typeof i?(r=i,i=ut):i&&!Array.isArray(i)&&(i=[i]),f.isString(t)&&t.length){if("."===t)return this.root;t=t.split(".")}else if(!t.length)return this;var n=t.join(".");if(""===t[0])return this.root.lookup(t.slice(1),i);var e=this.g(t,n);if(e&&(!i||~i.indexOf(e.constructor)))return e;if((e=this.root.y&&this.root.y["."+n])&&(!i||~i.indexOf(e.constructor)))return e;if(!r)for(var s=this;s.parent;){if((e=s.parent.g(t,n))&&(!i||~i.indexOf(e.constructor)))return e;s=s.parent}return null},c.prototype.g=function(t,i){if(Object.prototype.hasOwnProperty.call(this.p,i))return this.p[i];var r=this.get(t[0]),n=null;if(r)1===t.length?n=r:r instanceof c&&(t=t.slice(1),n=r.g(t,t.join(".")));else for(var e=0;e<this.nestedArray.length;++e)if(this.v[e]instanceof c&&(r=this.v[e].g(t,i))){n=r;break}return this.p[i]=n},c.prototype.lookupType=function(t){var i=this.lookup(t,[s]);if(i)return i;throw Error("no such type: "+t)},c.prototype.lookupEnum=function(t){var i=this.lookup(t,[u]);if(i)return i;throw Error("no such Enum '"+t+"' in "+this)},c.prototype.lookupTypeOrEnum=function(t){var i=this.lookup(t,[s,u]);if(i)return i;throw Error("no such Type or Enum '"+t+"' in "+this)},c.prototype.lookupService=function(t){var i=this.lookup(t,[o]);if(i)return i;throw Error("no such Service '"+t+"' in "+this)},c.l=function(t,i,r){s=t,o=i,u=r}},{15:15,16:16,28:28,7:7}],15:[function(t,i,r){(i.exports=c).className="ReflectionObject";const n=t(16);var e,o=t(28),s={enum_type:"CLOSED",field_presence:"EXPLICIT",json_format:"LEGACY_BEST_EFFORT",message_encoding:"LENGTH_PREFIXED",repeated_field_encoding:"EXPANDED",utf8_validation:"NONE",enforce_naming_style:"STYLE_LEGACY",default_symbol_visibility:"EXPORT_ALL"},u={enum_type:"OPEN",field_presence:"IMPLICIT",json_format:"ALLOW",message_encoding:"LENGTH_PREFIXED",repeated_field_encoding:"PACKED",utf8_validation:"VERIFY",enforce_naming_style:"STYLE_LEGACY",default_symbol_visibility:"EXPORT_ALL"},h={enum_type:"OPEN",field_presence:"EXPLICIT",json_format:"ALLOW",message_encoding:"LENGTH_PREFIXED",repeated_field_encoding:"PACKED",utf8_validation:"VERIFY",enforce_naming_style:"STYLE_LEGACY",default_symbol_visibility:"EXPORT_ALL"},f={enum_type:"OPEN",field_presence:"EXPLICIT",json_format:"ALLOW",message_encoding:"LENGTH_PREFIXED",repeated_field_encoding:"PACKED",utf8_validation:"VERIFY",enforce_naming_style:"STYLE2024",default_symbol_visibility:"EXPORT_TOP_LEVEL"},a={enum_type:"OPEN",field_presence:"EXPLICIT",json_format:"ALLOW",message_encoding:"LENGTH_PREFIXED",repeated_field_encoding:"PACKED",utf8_validation:"VERIFY",enforce_naming_style:"STYLE2026",default_symbol_visibility:"STRICT",enforce_proto_limits:"PROTO_LIMITS2026"};function c(t,i){if(!o.isString(t))throw TypeError("name must be a string");if(i&&!o.isObject(i))throw TypeError("options must be an object");this.options=i,this.parsedOptions=null,this.name=t,this.u=null,this.h="proto2",this.i={},this.j=!1,this.parent=null,this.resolved=!1,this.comment=null,this.filename=null}Object.defineProperties(c.prototype,{root:{get:function(){for(var t=this;null!==t.parent;)t=t.parent;return t}},fullName:{get:function(){for(var t=[this.name],i=this.parent;i;)t.unshift(i.name),i=i.parent;return t.join(".")}}}),c.prototype.toJSON=function(){throw Error()},c.prototype.onAdd=function(t){this.parent&&this.parent!==t&&this.parent.remove(this),this.parent=t,this.resolved=!1;t=t.root;t instanceof e&&t.O(this)},c.prototype.onRemove=function(t){t=t.root;t instanceof e&&t._(this),this.parent=null,this.resolved=!1},c.prototype.resolve=function(){return this.resolved||this.root instanceof e&&(this.resolved=!0),this},c.prototype.m=function(t){return this.o(this.u||t)},c.prototype.o=function(t){if(!this.j){var i={};if(!t)throw Error("Unknown edition for "+this.fullName);var r=o.merge({},this.options&&this.options.features,this.c(t));if(this.u){if("proto2"===t)i=Object.assign({},s);else if("proto3"===t)i=Object.assign({},u);else if("2023"===t)i=Object.assign({},h);else if("2024"===t)i=Object.assign({},f);else{if("2026"!==t)throw Error("Unknown edition: "+t);i=Object.assign({},a)}this.i=o.merge(i,r)}else if(this.partOf instanceof n){t=o.merge({},this.partOf.i);this.i=o.merge(t,r)}else if(!this.declaringField){if(!this.parent)throw Error("Unable to find a parent for "+this.fullName);i=o.merge({},this.parent.i);this.i=o.merge(i,r)}this.extensionField&&(this.extensionField.i=this.i),this.j=!0}},c.prototype.c=function(){return{}},c.prototype.getOption=function(t){return this.options&&Object.prototype.hasOwnProperty.call(this.options,t)?this.options[t]:ut},c.prototype.setOption=function(t,i,r){var n;return"__proto__"!==t&&(this.options||(this.options={}),/^features\./.test(t)?o.setProperty(this.options,t,i,r):(n=this.getOption(t),r&&n!==ut||(n!==i&&(this.resolved=!1),this.options[t]=i))),this},c.prototype.setParsedOption=function(i,t,r){var n,e,s;return"__proto__"!==i&&(this.parsedOptions||(this.parsedOptions=[]),n=this.parsedOptions,r?(e=n.find(function(t){return Object.prototype.hasOwnProperty.call(t,i)}))?(s=e[i],o.setProperty(s,r,t)):((e={})[i]=o.setProperty({},r,t),n.push(e)):((s={})[i]=t,n.push(s))),this},c.prototype.setOptions=function(t,i){if(t)for(var r=Object.keys(t),n=0;n<r.length;++n)this.setOption(r[n],t[r[n]],i);return this},Object.defineProperty(c.prototype,"toString",{value:function(){var t=this.constructor.className,i=this.fullName;return i.length?t+" "+i:t},writable:!0,enumerable:!1,configurable:!0}),c.prototype.f=function(){return this.u&&"proto3"!==this.u?this.u:ut},c.l=function(t){e=t}},{16:16,28:28}],16:[function(t,i,r){i.exports=o;var e=t(15),n=(o.prototype=Object.create(e.prototype,{constructor:{value:o,writable:!0,enumerable:!1,configurable:!0}}),o.className="OneOf",t(7)),s=t(28);function o(t,i,r,n){if(Array.isArray(i)||(r=i,i=ut),e.call(this,t,r),i!==ut&&!Array.isArray(i))throw TypeError("fieldNames must be an Array");this.oneof=i||[],this.fieldsArray=[],this.comment=n}function u(t){if(t.parent)for(var i=0;i<t.fieldsArray.length;++i)t.fieldsArray[i].parent||t.parent.add(t.fieldsArray[i])}o.fromJSON=function(t,i){return new o(t,i.oneof,i.options,i.comment)},o.prototype.toJSON=function(t){t=!!t&&!!t.keepComments;return s.toObject(["options",this.options,"oneof",this.oneof,"comment",t?this.comment:ut])},o.prototype.add=function(t){if(t instanceof n)return t.parent&&t.parent!==this.parent&&t.parent.remove(t),this.oneof.push(t.name),this.fieldsArray.push(t),u(t.partOf=this),this;throw TypeError("field must be a Field")},o.prototype.remove=function(t){if(!(t instanceof n))throw TypeError("field must be a Field");var i=this.fieldsArray.indexOf(t);if(i<0)throw Error(t+" is not a member of "+this);return this.fieldsArray.splice(i,1),-1<(i=this.oneof.indexOf(t.name))&&this.oneof.splice(i,1),t.partOf=null,this},o.prototype.onAdd=function(t){e.prototype.onAdd.call(this,t);for(var i=0;i<this.oneof.length;++i){var r=t.get(this.oneof[i]);r&&!r.partOf&&(r.partOf=this).fieldsArray.push(r)}u(this)},o.prototype.onRemove=function(t){for(var i,r=0;r<this.fieldsArray.length;++r)(i=this.fieldsArray[r]).parent&&i.parent.remove(i);e.prototype.onRemove.call(this,t)},Object.defineProperty(o.prototype,"isProto3Optional",{get:function(){var t;return null!=this.fieldsArray&&1===this.fieldsArray.length&&(null!=(t=this.fieldsArray[0]).options&&!0===t.options.proto3_optional)}}),o.d=function(){for(var r=Array(arguments.length),t=0;t<arguments.length;)r[t]=arguments[t++];return function(t,i){s.decorateType(t.constructor).add(new o(i,r)),Object.defineProperty(t,i,{get:s.oneOfGetter(r),set:s.oneOfSetter(r)})}}},{15:15,28:28,7:7}],17:[function(t,i,r){(i.exports=ot).filename=null,ot.defaults={keepCase:!1};var q=t(25),V=t(20),F=t(26),$=t(7),D=t(11),M=t(16),C=t(6),B=t(24),U=t(13),z=t(15),X=t(27),Y=t(28),Z=/^[1-9][0-9]*$/,G=/^-?[1-9][0-9]*$/,K=/^0[x][0-9a-fA-F]+$/,H=/^-?0[x][0-9a-fA-F]+$/,W=/^0[0-7]+$/,J=/^-?0[0-7]+$/,Q=/^(?:u?int|sint|s?fixed)(?:32|64)$/,tt=/^(?:uint|fixed)(?:32|64)$/,it=Y.patterns.numberRe,rt=/^[a-zA-Z_][a-zA-Z_0-9]*$/,nt=Y.patterns.typeRefRe,et=536870911,st=2147483647;function ot(t,i,r){i instanceof V||(r=i,i=new V);var n,e,s,c,o=(r=r||ot.defaults).preferTrailingComment||!1,u=q(t,r.alternateCommentMode||!1),v=u.next,h=u.push,p=u.peek,b=u.skip,l=u.cmnt,f=!0,w="proto2",m=i,g=[],a={},y=r.keepCase?function(t){return t}:Y.camelCase;function j(t,i,r){var n=ot.filename;return r||(ot.filename=null),Error("illegal "+(i||"token")+" '"+t+"' ("+(n?n+", ":"")+"line "+u.line+")")}function d(){var t,i=[];do{if('"'!==(t=v())&&"'"!==t)throw j(t)}while(i.push(v()),b(t),'"'===(t=p())||"'"===t);return i.join("")}function E(i){var r=v();switch(r){case"'":case'"':return h(r),d();case"true":case"TRUE":return!0;case"false":case"FALSE":return!1}try{var t=r,n=!0,e=1;switch("-"==(t[0]||"")&&(e=-1,t=t.substring(1)),t){case"inf":case"INF":case"Inf":return e*(1/0);case"nan":case"NAN":case"Nan":case"NaN":return NaN;case"0":return 0*e}if(Z.test(t))return e*parseInt(t,10);if(K.test(t))return e*parseInt(t,16);if(W.test(t))return e*parseInt(t,8);if(it.test(t))return e*parseFloat(t);throw j(t,"number",n)}catch(t){if(i&&nt.test(r))return r;throw j(r,"value")}}function O(i,r,t,n){var e;do{if(!r||'"'!==(s=p())&&"'"!==s)try{i.push([e=k(v(),n,t),b("to",!0)?k(v(),n,t):e])}catch(t){if(!(r&&nt.test(s)&&2023<=w))throw t;i.push(s)}else{var s=d();if(i.push(s),2023<=w)throw j(s,"id")}}while(b(",",!0));var o={options:ut,setOption:function(t,i){this.options===ut&&(this.options={}),this.options[t]=i}};A(o,function(t){if("option"!==t)throw j(t);S(o,t),b(";")},function(){P(o)})}function _(t,i,r){if(null===t)throw j(t,"end of input");if(!i&&"-"==(t[0]||""))throw j(t,r||"integer");if("0"===t||"-0"===t)return 0;var n;if(G.test(t))n=parseInt(t,10);else if(H.test(t))n=parseInt(t,16);else{if(!J.test(t))throw j(t,r||"integer");n=parseInt(t,8)}return n||0}function k(t,i,r){switch(t){case"max":case"MAX":case"Max":return r||et}return _(t,i,"id")}function x(t,i,r){switch(r===ut&&(r=0),i){case"option":return S(t,i),b(";"),1;case"message":return T(t,0,r+1),1;case"enum":return N(t),1;case"export":case"local":return w<"2024"?void 0:(n=i,"export"!==(i=v())&&"local"!==i&&(("message"===i||"enum"===i)&&(("message"===i?T(t,0,r+1):N(t)).visibility=n,1)));case"service":var f,n=t,e=i,a=r+1;if((a=a===ut?0:a)>Y.recursionLimit)throw Error("max depth exceeded");if(null!==(e=v())&&rt.test(e))return A(f=new B(e),function(t){if(!x(f,t,a)&&";"!==t){if("rpc"!==t)throw j(t);var i=f,r=l(),n=t;if(!rt.test(t=v()))throw j(t,"name");var e,s,o,u=t;if(b("("),b("stream",!0)&&(s=!0),!nt.test(t=v()))throw j(t);if(e=t,b(")"),b("returns"),b("("),b("stream",!0)&&(o=!0),!nt.test(t=v()))throw j(t);t=t,b(")");var h=new U(u,n,e,t,s,o);h.comment=r,A(h,function(t){if(";"!==t){if("option"!==t)throw j(t);S(h,t),b(";")}}),i.add(h)}}),n.add(f),n===m&&g.push(f),1;throw j(e,"service name");case"extend":var s,o=t,e=i,u=r;if(null!==(e=v())&&nt.test(e))return s=e,A(null,function(t){switch(t){case"required":case"repeated":L(o,t,s,u+1);break;case"optional":L(o,"proto3"===w?"proto3_optional":"optional",s,u+1);break;default:if("proto2"===w||!nt.test(t))throw j(t);h(t),L(o,"optional",s,u+1)}}),1;throw j(e,"reference")}}function A(t,i,r){var n,e=u.line;if(t&&("string"!=typeof t.comment&&(t.comment=l()),t.filename=ot.filename),b("{",!0)){for(;"}"!==(n=v());)i(n);b(";",!0)}else r&&r(),b(";"),t&&("string"!=typeof t.comment||o)&&(t.comment=l(e)||t.comment)}function T(t,i,s){if((s=s===ut?0:s)>Y.nestingLimit)throw Error("max depth exceeded");var o;if(null!==(i=v())&&rt.test(i))return A(o=new F(i),function(t){if(!x(o,t,s))switch(t){case";":break;case"map":I(o);break;case"required":if("proto2"!==w)throw j(t);case"repeated":L(o,t,ut,s+1);break;case"optional":if("proto3"===w)L(o,"proto3_optional",ut,s+1);else{if("proto2"!==w)throw j(t);L(o,"optional",ut,s+1)}break;case"oneof":var i=o,r=t,n=s+1;if(null===(r=v())||!rt.test(r))throw j(r,"name");var e=new M(y(r));A(e,function(t){"option"===t?(S(e,t),b(";")):(h(t),L(e,"optional",ut,n))}),i.add(e);break;case"extensions":O(o.extensions||(o.extensions=[]));break;case"reserved":O(o.reserved||(o.reserved=[]),!0);break;default:if("proto2"===w||!nt.test(t))throw j(t);h(t),L(o,"optional",ut,s+1)}}),t.add(o),t===m&&g.push(o),o;throw j(i,"type name")}function L(t,i,r,n){var e=v();if(null===e)throw j(e,"end of input");if("group"===e){var s=t,o=i,u=r,h=n;if((h=h===ut?0:h)>Y.nestingLimit)throw Error("max depth exceeded");if(2023<=w)throw j("group");var f,a,n=v();if(null!==n&&rt.test(n))return a=Y.lcFirst(n),n===a&&(n=Y.ucFirst(n)),b("="),l=k(v()),(f=new F(n)).group=!0,(a=new $(a,l,n,o,u)).filename=ot.filename,A(f,function(t){switch(t){case";":break;case"map":I(f);break;case"option":S(f,t),b(";");break;case"required":case"repeated":L(f,t,ut,h+1);break;case"optional":L(f,"proto3"===w?"proto3_optional":"optional",ut,h+1);break;case"message":T(f,0,h+1);break;case"enum":N(f);break;case"reserved":O(f.reserved||(f.reserved=[]),!0);break;case"export":case"local":if(w<"2024")throw j(t);switch(t=v()){case"message":case"enum":T(f,0,h+1);break;default:throw j(t)}break;default:throw j(t)}}),s.add(f).add(a),void(s===m&&(g.push(f),g.push(a)));throw j(n,"name")}for(;e.endsWith(".")||(p()||"").startsWith(".");){var c=v();if(null===c)throw j(c,"end of input");e+=c}if(!nt.test(e))throw j(e,"type");if(null===(l=v()))throw j(l,"end of input");if(!rt.test(l))throw j(l,"name");var o=l,l=y(l),d=(b("="),new $(l,k(v()),e,"proto3_optional"===i?"optional":i,r));o!==l&&(d.protoName=o),A(d,function(t){if("option"!==t)throw j(t);S(d,t),b(";")},function(){P(d)}),"proto3_optional"===i?(u=new M("_"+l),d.setOption("proto3_optional",!0),u.add(d),t.add(u)):t.add(d),t===m&&g.push(d)}function I(t){b("<");var i=v();if(X.mapKey[i]===ut)throw j(i,"type");b(",");var r=v();if(!nt.test(r))throw j(r,"type");if(b(">"),null===(e=v())||!rt.test(e))throw j(e,"name");b("=");var n=e,e=y(e),s=new D(e,k(v()),i,r);n!==e&&(s.protoName=n),A(s,function(t){if("option"!==t)throw j(t);S(s,t),b(";")},function(){P(s)}),t.add(s)}function N(t,i){if(null===(i=v())||!rt.test(i))throw j(i,"name");var r=new C(i),n=[];A(r,function(t){switch(t){case";":break;case"option":S(r,t),b(";");break;case"reserved":O(r.reserved||(r.reserved=[]),!0,st,!0),r.reserved===ut&&(r.reserved=[]);break;default:n.push(function(t){if(!rt.test(t))throw j(t,"name");b("=");var i=k(v(),!0),r={options:ut,getOption:function(t){return this.options[t]},setOption:function(t,i){z.prototype.setOption.call(r,t,i)},setParsedOption:function(){return ut}};return A(r,function(t){if("option"!==t)throw j(t);S(r,t),b(";")},function(){P(r)}),{name:t,id:i,comment:r.comment,options:r.parsedOptions||r.options}}(t))}});for(var e=0;e<n.length;++e)r.add(n[e].name,n[e].id,n[e].comment,n[e].options);return t.add(r),t===m&&g.push(r),r}function S(t,i){var r=!0;for("option"===i&&(i=v());"="!==i;){if(null===i)throw j(i,"end of input");if("("===i&&(n=v(),b(")"),i="("+n+")"),r){if(r=!1,i.includes(".")&&!i.includes("(")){var n=i.split("."),e=n[0]+".";i=n[1];continue}e=i}else h=h?h+i:i;i=v()}var s,o,u=h?e.concat(h):e,u=function t(i,r,n){n===ut&&(n=0);if(n>Y.recursionLimit)throw Error("max depth exceeded");if(b("{",!0)){for(var e,s,o,u,h={};!b("}",!0);){if(null===(c=v()))throw j(c,"end of input");if("["===c){var f=null===(c=v())?-1:c.lastIndexOf("/");if(null===c||!nt.test(f<0?c:c.slice(1+f)))throw j(c,"name");e="["+c+"]",b("]")}else{if(!rt.test(c))throw j(c,"name");e=c}if(b(":",!0),"{"===p())s=t(i,r+"."+e,n+1);else if("["===p()){if(s=[],b("[",!0)&&!b("]",!0)){for(;u="{"===p(),o=u?t(i,r+"."+e,n+1):E(!0),s.push(o),b(",",!0););b("]"),void 0===o||u||R(i,r+"."+e,o)}}else s=E(!0),R(i,r+"."+e,s);f=Object.prototype.hasOwnProperty.call(h,e)?h[e]:ut;f&&(s=[].concat(f).concat(s)),"__proto__"!==e&&(h[e]=s),b(",",!0),b(";",!0)}return h}var a="default"===r&&i instanceof $&&Q.test(i.type)?_(v(),!tt.test(i.type)):E(!0);R(i,r,a);return a}(t,u),h=h&&"."===h[0]?h.slice(1):h;e=e&&"."===e[e.length-1]?e.slice(0,-1):e,s=e,u=u,o=h,(t=t).setParsedOption&&t.setParsedOption(s,u,o)}function R(t,i,r){m===t&&/^features\./.test(i)?a[i]=r:("json_name"===i&&t instanceof $&&(t.jsonName=r),t.setOption&&t.setOption(i,r))}function P(t){if(b("[",!0)){for(;S(t,"option"),b(",",!0););b("]")}}for(;null!==(c=v());)switch(c){case";":break;case"package":if(!f)throw j(c);if(n!==ut)throw j("package");if(null===(n=v())||!nt.test(n))throw j(n,"name");m=m.define(n),b(";");break;case"import":!function(){var t,i;switch(p()){case"option":if(w<"2024")throw j("option");return v(),d(),b(";");case"weak":i=s=s||[],v();break;case"public":v();default:i=e=e||[]}t=d(),b(";"),i.push(t)}();break;case"syntax":if(!f)throw j(c);if(b("="),(w=d())<2023)throw j(w,"syntax");b(";");break;case"edition":if(!f)throw j(c);if(b("="),w=d(),!["2023","2024","2026"].includes(w))throw j(w,"edition");b(";");break;case"option":S(m,c),b(";",!0);break;default:if(x(m,c,0)){f=!1;continue}throw j(c)}return g.forEach(i=>{i.u=w,Object.keys(a).forEach(t=>{i.getOption(t)===ut&&i.setOption(t,a[t],!0)})}),ot.filename=null,{package:n,imports:e,weakImports:s,root:i}}},{11:11,13:13,15:15,16:16,20:20,24:24,25:25,26:26,27:27,28:28,6:6,7:7}],18:[function(t,i,r){i.exports=o;var n,a=t(37),e=a.LongBits,s=a.utf8;function c(t,i){return RangeError("index out of range: "+t.pos+" + "+(i||1)+" > "+t.len)}function o(t){this.buf=t,this.pos=0,this.len=t.length,this.view=null,this.discardUnknown=o.discardUnknown}function u(t){if((t=Array.isArray(t)?new Uint8Array(t):t)instanceof Uint8Array)return new o(t);throw Error("illegal buffer")}function h(){return a.Buffer?function(t){return(o.create=function(t){return a.Buffer.isBuffer(t)?new n(t):u(t)})(t)}:u}function f(t){for(var i=0,r=0;r<4;++r){if(t.pos>=t.len)throw c(t);var n=t.buf[t.pos++],i=(i|(127&n)<<7*r)>>>0;if(n<128)return i}throw c(t)}function l(){var t=new e(0,0),i=0;if(!(4<this.len-this.pos)){for(;i<4;++i){if(this.pos>=this.len)throw c(this);if(t.lo=(t.lo|(127&this.buf[this.pos])<<7*i)>>>0,this.buf[this.pos++]<128)return t}throw c(this)}for(;i<4;++i)if(t.lo=(t.lo|(127&this.buf[this.pos])<<7*i)>>>0,this.buf[this.pos++]<128)return t;if(t.lo=(t.lo|(127&this.buf[this.pos])<<28)>>>0,t.hi=(t.hi|(127&this.buf[this.pos])>>4)>>>0,this.buf[this.pos++]<128)return t;if(i=0,4<this.len-this.pos){for(;i<5;++i)if(t.hi=(t.hi|(127&this.buf[this.pos])<<7*i+3)>>>0,this.buf[this.pos++]<128)return t}else for(;i<5;++i){if(this.pos>=this.len)throw c(this);if(t.hi=(t.hi|(127&this.buf[this.pos])<<7*i+3)>>>0,this.buf[this.pos++]<128)return t}throw Error("invalid varint encoding")}function d(t,i){return(t[i-4]|t[i-3]<<8|t[i-2]<<16|t[i-1]<<24)>>>0}function v(){if(this.pos+8>this.len)throw c(this,8);return new e(d(this.buf,this.pos+=4),d(this.buf,this.pos+=4))}o.create=h(),o.prototype.raw=function(t,i){return this.buf.subarray(t,i)},o.prototype.uint32=function(){if(this.len-this.pos<5){if(this.pos>=this.len)throw c(this);if(128<=this.buf[this.pos])return f(this)}var t=this.buf,i=this.pos,r=(127&t[i])>>>0;if(t[i++]<128)return this.pos=i,r;if(r=(r|(127&t[i])<<7)>>>0,t[i++]<128)return this.pos=i,r;if(r=(r|(127&t[i])<<14)>>>0,t[i++]<128)return this.pos=i,r;if(r=(r|(127&t[i])<<21)>>>0,t[i++]<128)return this.pos=i,r;if(r=(r|(15&t[i])<<28)>>>0,t[i++]<128)return this.pos=i,r;for(var n=0;n<5;++n){if(i>=this.len)throw this.pos=i,c(this);if(t[i++]<128)return this.pos=i,r}throw this.pos=i,Error("invalid varint encoding")},o.prototype.tag=function(){if(this.len-this.pos<5){if(this.pos>=this.len)throw c(this);if(128<=this.buf[this.pos])return f(this)}var t=this.buf,i=this.pos,r=(127&t[i])>>>0;if(t[i++]<128)return this.pos=i,r;if(r=(r|(127&t[i])<<7)>>>0,t[i++]<128)return this.pos=i,r;if(r=(r|(127&t[i])<<14)>>>0,t[i++]<128)return this.pos=i,r;if(r=(r|(127&t[i])<<21)>>>0,t[i++]<128)return this.pos=i,r;if(r=(r|(15&t[i])<<28)>>>0,t[i]<128&&0==(112&t[i]))return this.pos=i+1,r;throw this.pos=i+1,Error("invalid tag encoding")},o.prototype.int32=function(){return 0|this.uint32()},o.prototype.sint32=function(){var t=this.uint32();return t>>>1^-(1&t)|0},o.prototype.bool=function(){for(var t,i=!1,r=0;r<10;++r){if(this.pos>=this.len)throw c(this);if(127&(t=this.buf[this.pos++])&&(i=!0),t<128)return i}throw Error("invalid varint encoding")},o.prototype.fixed32=function(){if(this.pos+4>this.len)throw c(this,4);return d(this.buf,this.pos+=4)},o.prototype.sfixed32=function(){if(this.pos+4>this.len)throw c(this,4);return 0|d(this.buf,this.pos+=4)},o.prototype.float=function(){if(this.pos+4>this.len)throw c(this,4);var t=a.float.readFloatLE(this.buf,this.pos);return this.pos+=4,t},o.prototype.double=function(){if(this.pos+8>this.len)throw c(this,4);var t=a.float.readDoubleLE(this.buf,this.pos);return this.pos+=8,t},o.prototype.uint32s=function(t){t===ut&&(t=[]);var i,r=this.uint32()+this.pos,n=this.len,e=this.buf,s=this.pos;if(n<r)throw c(this,r-this.pos);for(this.len=r;s<r;)(i=e[s++])<128?t.push(i):(this.pos=s-1,t.push(this.uint32()),s=this.pos);if((this.pos=s)!==r)throw RangeError("index out of range");return this.len=n,t},o.prototype.int32s=function(t){t===ut&&(t=[]);var i,r=this.uint32()+this.pos,n=this.len,e=this.buf,s=this.pos;if(n<r)throw c(this,r-this.pos);for(this.len=r;s<r;)(i=e[s++])<128?t.push(i):(this.pos=s-1,t.push(this.int32()),s=this.pos);if((this.pos=s)!==r)throw RangeError("index out of range");return this.len=n,t},o.prototype.sint32s=function(t){t===ut&&(t=[]);var i=this.uint32()+this.pos,r=this.len;if(r<i)throw c(this,i-this.pos);for(this.len=i;this.pos<i;)t.push(this.sint32());if(this.pos!==i)throw RangeError("index out of range");return this.len=r,t},o.prototype.bools=function(t){t===ut&&(t=[]);var i,r=this.uint32()+this.pos,n=this.len,e=this.buf,s=this.pos;if(n<r)throw c(this,r-this.pos);for(this.len=r;s<r;)(i=e[s++])<128?t.push(0!==i):(this.pos=s-1,t.push(this.bool()),s=this.pos);if((this.pos=s)!==r)throw RangeError("index out of range");return this.len=n,t};function p(t,i,r){var n=t.view;return n||i<r?n:(i=t.buf,t.view=new DataView(i.buffer,i.byteOffset,i.byteLength))}o.prototype.fixed32s=function(t){t===ut&&(t=[]);var i=this.uint32(),r=this.pos+i;if(r>this.len)throw c(this,i);var n=i>>>2,e=t.length,s=this.pos,o=(t.length=e+n,p(this,n,128));if(o)for(var u=0;u<n;++u,s+=4)t[e++]=o.getUint32(s,!0);else for(var h=this.buf,f=0;f<n;++f,s+=4)t[e++]=d(h,s+4);if((this.pos=s)!==r)throw c(this,4);return t},o.prototype.sfixed32s=function(t){t===ut&&(t=[]);var i=this.uint32(),r=this.pos+i;if(r>this.len)throw c(this,i);var n=i>>>2,e=t.length,s=this.pos,o=(t.length=e+n,p(this,n,128));if(o)for(var u=0;u<n;++u,s+=4)t[e++]=o.getInt32(s,!0);else for(var h=this.buf,f=0;f<n;++f,s+=4)t[e++]=0|d(h,s+4);if((this.pos=s)!==r)throw c(this,4);return t},o.prototype.floats=function(t){t===ut&&(t=[]);var i=this.uint32(),r=this.pos+i;if(r>this.len)throw c(this,i);var n=i>>>2,e=t.length,s=this.pos,o=(t.length=e+n,p(this,n,8));if(o)for(var u=0;u<n;++u,s+=4)t[e++]=o.getFloat32(s,!0);else for(var h=this.buf,f=0;f<n;++f,s+=4)t[e++]=a.float.readFloatLE(h,s);if((this.pos=s)!==r)throw c(this,4);return t},o.prototype.doubles=function(t){t===ut&&(t=[]);var i=this.uint32(),r=this.pos+i;if(r>this.len)throw c(this,i);var n=i>>>3,e=t.length,s=this.pos,o=(t.length=e+n,p(this,n,8));if(o)for(var u=0;u<n;++u,s+=8)t[e++]=o.getFloat64(s,!0);else for(var h=this.buf,f=0;f<n;++f,s+=8)t[e++]=a.float.readDoubleLE(h,s);if((this.pos=s)!==r)throw c(this,8);return t},o.prototype.uint64s=function(t){t===ut&&(t=[]);var i=this.uint32()+this.pos,r=this.len;if(r<i)throw c(this,i-this.pos);for(this.len=i;this.pos<i;)t.push(this.uint64());if(this.pos!==i)throw RangeError("index out of range");return this.len=r,t},o.prototype.int64s=function(t){t===ut&&(t=[]);var i=this.uint32()+this.pos,r=this.len;if(r<i)throw c(this,i-this.pos);for(this.len=i;this.pos<i;)t.push(this.int64());if(this.pos!==i)throw RangeError("index out of range");return this.len=r,t},o.prototype.sint64s=function(t){t===ut&&(t=[]);var i=this.uint32()+this.pos,r=this.len;if(r<i)throw c(this,i-this.pos);for(this.len=i;this.pos<i;)t.push(this.sint64());if(this.pos!==i)throw RangeError("index out of range");return this.len=r,t},o.prototype.fixed64s=function(t){t===ut&&(t=[]);var i=this.uint32(),r=this.pos+i,n=t.length;if(r>this.len)throw c(this,i);var e=i>>>3;t.length=n+e;for(var s=0;s<e;++s)t[n++]=this.fixed64();if(this.pos!==r)throw c(this,8);return t},o.prototype.sfixed64s=function(t){t===ut&&(t=[]);var i=this.uint32(),r=this.pos+i,n=t.length;if(r>this.len)throw c(this,i);var e=i>>>3;t.length=n+e;for(var s=0;s<e;++s)t[n++]=this.sfixed64();if(this.pos!==r)throw c(this,8);return t},o.prototype.bytes=function(){var t=this.uint32(),i=this.pos,r=this.pos+t;if(r>this.len)throw c(this,t);return this.pos=r,this.raw(i,r)},o.prototype.string=function(){var t=this.uint32(),i=this.pos,r=this.pos+t;if(r>this.len)throw c(this,t);return this.pos=r,s.read(this.buf,i,r)},o.prototype.stringVerify=function(){var t=this.uint32(),i=this.pos,r=this.pos+t;if(r>this.len)throw c(this,t);return this.pos=r,s.readStrict(this.buf,i,r)},o.prototype.skip=function(t){if("number"==typeof t){if(this.pos+t>this.len)throw c(this,t);this.pos+=t}else do{if(this.pos>=this.len)throw c(this)}while(128&this.buf[this.pos++]);return this},o.recursionLimit=a.recursionLimit,o.discardUnknown=!0,o.prototype.skipType=function(t,i,r){if(o.recursionLimit<(i=i===ut?0:i))throw Error("max depth exceeded");if(0===r)throw Error("illegal tag: field number 0");switch(t){case 0:this.skip();break;case 1:this.skip(8);break;case 2:this.skip(this.uint32());break;case 3:for(;;){var n=this.tag(),e=n>>>3;if(!e)throw Error("illegal tag: field number 0");if(4===(t=7&n)){if(r!==ut&&e!==r)throw Error("invalid end group tag");break}this.skipType(t,i+1,e)}break;case 5:this.skip(4);break;default:throw Error("invalid wire type "+t+" at offset "+this.pos)}return this},o.l=function(t){n=t,o.create=h(),n.l();var i=a.Long?"toLong":"toNumber";a.merge(o.prototype,{int64:function(){return l.call(this)[i](!1)},uint64:function(){return l.call(this)[i](!0)},sint64:function(){return l.call(this).zzDecode()[i](!1)},fixed64:function(){return v.call(this)[i](!0)},sfixed64:function(){return v.call(this)[i](!1)}})}},{37:37}],19:[function(t,i,r){i.exports=s;var n=t(18),e=(s.prototype=Object.create(n.prototype,{constructor:{value:s,writable:!0,enumerable:!1,configurable:!0}}),t(37));function s(t){n.call(this,t)}s.l=function(){e.Buffer&&(s.prototype.k=e.Buffer.prototype.slice)},s.prototype.raw=function(t,i){return this.k.call(this.buf,t,i)},s.prototype.string=function(){var t=this.uint32(),i=this.pos,r=this.pos+t;if(r>this.len)throw RangeError("index out of range: "+this.pos+" + "+t+" > "+this.len);return this.pos=r,this.buf.utf8Slice?this.buf.utf8Slice(i,r):this.buf.toString("utf-8",i,r)},s.l()},{18:18,37:37}],20:[function(t,i,r){i.exports=h;var n,v,p,e=t(14),s=(h.prototype=Object.create(e.prototype,{constructor:{value:h,writable:!0,enumerable:!1,configurable:!0}}),h.className="Root",t(7)),o=t(6),u=t(16),b=t(28);function h(t){e.call(this,"",t),this.deferred=[],this.files=[],this.u="proto2",this.y={}}function w(){}h.fromJSON=function(t,i,r){if((r=r===ut?0:r)>b.recursionLimit)throw Error("max depth exceeded");return i=i||new h,t.options&&i.setOptions(t.options),i.addJSON(t.nested,r).resolveAll()},h.prototype.resolvePath=b.path.resolve,h.prototype.fetch=b.fetch,h.prototype.load=function t(i,o,s){"function"==typeof o&&(s=o,o=ut);var u=this;if(!s)return b.asPromise(t,u,i,o);var h=s===w;function f(t,i){if(s){if(h)throw t;i&&i.resolveAll();var r=s;s=null,r(t,i)}}function a(t){var i=t.lastIndexOf("google/protobuf/");if(-1<i){i=t.substring(i);if(Object.prototype.hasOwnProperty.call(p,i))return i}return Object.prototype.hasOwnProperty.call(p,t)?t:null}function c(t,i,r){r===ut&&(r=0);try{if(r>b.recursionLimit)throw Error("max depth exceeded");if(b.isString(i)&&"{"==(i[0]||"")&&(i=JSON.parse(i)),b.isString(i)){v.filename=t;var n,e=v(i,u,o),s=0;if(e.imports)for(;s<e.imports.length;++s)(n=a(e.imports[s])||u.resolvePath(t,e.imports[s]))&&l(n,!1,r+1);if(e.weakImports)for(s=0;s<e.weakImports.length;++s)(n=a(e.weakImports[s])||u.resolvePath(t,e.weakImports[s]))&&l(n,!0,r+1)}else u.setOptions(i.options).addJSON(i.nested)}catch(t){f(t)}h||d||f(null,u)}function l(r,n,e){if(e===ut&&(e=0),r=a(r)||r,!~u.files.indexOf(r))if(u.files.push(r),Object.prototype.hasOwnProperty.call(p,r))h?c(r,p[r],e):(++d,setTimeout(function(){--d,c(r,p[r],e)}));else if(h){var t;try{t=b.fs.readFileSync(r).toString("utf8")}catch(t){return void(n||f(t))}c(r,t,e)}else++d,u.fetch(r,function(t,i){--d,s&&(t?n?d||f(null,u):f(t):c(r,i,e))})}var d=0;b.isString(i)&&(i=[i]);for(var r,n=0;n<i.length;++n)(r=u.resolvePath("",i[n]))&&l(r);return h?u.resolveAll():d||f(null,u),u},h.prototype.loadSync=function(t,i){if(b.isNode)return this.load(t,i,w);throw Error("not supported")},h.prototype.resolveAll=function(){if(!this.w)return this;if(this.deferred.length)throw Error("unresolvable extensions: "+this.deferred.map(function(t){return"'extend "+t.extend+"' in "+t.parent.fullName}).join(", "));return e.prototype.resolveAll.call(this)};var f=/^[A-Z]/;function a(t,i){var r,n=i.parent.lookup(i.extend);if(n)return r=new s(i.fullName,i.id,i.type,i.rule,ut,i.options),n.get(r.name)||((r.declaringField=i).extensionField=r,n.add(r)),1}h.prototype.O=function(t){if(t instanceof s)t.extend===ut||t.extensionField||a(0,t)||this.deferred.push(t);else if(t instanceof o)f.test(t.name)&&(t.parent[t.name]=t.values);else if(!(t instanceof u)){if(t instanceof n)for(var i=0;i<this.deferred.length;)a(0,this.deferred[i])?this.deferred.splice(i,1):++i;for(var r=0;r<t.nestedArray.length;++r)this.O(t.v[r]);f.test(t.name)&&(t.parent[t.name]=t)}(t instanceof n||t instanceof o||t instanceof s)&&(this.y[t.fullName]=t)},h.prototype._=function(t){var i;if(t instanceof s)t.extend!==ut&&(t.extensionField?(t.extensionField.parent.remove(t.extensionField),t.extensionField=null):-1<(i=this.deferred.indexOf(t))&&this.deferred.splice(i,1));else if(t instanceof o)f.test(t.name)&&delete t.parent[t.name];else if(t instanceof e){for(var r=0;r<t.nestedArray.length;++r)this._(t.v[r]);f.test(t.name)&&delete t.parent[t.name]}delete this.y[t.fullName]},h.l=function(t,i,r){n=t,v=i,p=r}},{14:14,16:16,28:28,6:6,7:7}],21:[function(t,i,r){i.exports=Object.create(null)},{}],22:[function(t,i,r){r.Service=t(23)},{23:23}],23:[function(t,i,r){i.exports=n;var u=t(37);function n(t,i,r){if("function"!=typeof t)throw TypeError("rpcImpl must be a function");u.EventEmitter.call(this),this.rpcImpl=t,this.requestDelimited=!!i,this.responseDelimited=!!r}(n.prototype=Object.create(u.EventEmitter.prototype,{constructor:{value:n,writable:!0,enumerable:!1,configurable:!0}})).rpcCall=function t(r,i,n,e,s){if(!e)throw TypeError("request must be specified");var o=this;if(!s)return u.asPromise(t,o,r,i,n,e);if(!o.rpcImpl)return setTimeout(function(){s(Error("already ended"))},0),ut;try{return o.rpcImpl(r,i[o.requestDelimited?"encodeDelimited":"encode"](e).finish(),function(t,i){if(t)return o.emit("error",t,r),s(t);if(null===i)return o.end(!0),ut;if(!(i instanceof n))try{i=n[o.responseDelimited?"decodeDelimited":"decode"](i)}catch(t){return o.emit("error",t,r),s(t)}return o.emit("data",i,r),s(null,i)})}catch(t){return o.emit("error",t,r),setTimeout(function(){s(t)},0),ut}},n.prototype.end=function(t){return this.rpcImpl&&(t||this.rpcImpl(null,null,null),this.rpcImpl=null,this.emit("end").off()),this}},{37:37}],24:[function(t,i,r){i.exports=f;var n=t(14),o=(f.prototype=Object.create(n.prototype,{constructor:{value:f,writable:!0,enumerable:!1,configurable:!0}}),f.className="Service",t(13)),u=t(28),h=t(22);function f(t,i){n.call(this,t,i),this.methods={},this.x=null}function e(t){return t.x=null,t}f.fromJSON=function(t,i,r){if((r=r===ut?0:r)>u.recursionLimit)throw Error("max depth exceeded");var n=new f(t,i.options);if(i.methods)for(var e=Object.keys(i.methods),s=0;s<e.length;++s)n.add(o.fromJSON(e[s],i.methods[e[s]]));return i.nested&&n.addJSON(i.nested,r),i.edition&&(n.u=i.edition),n.comment=i.comment,n.h="proto3",n},f.prototype.toJSON=function(t){var i=n.prototype.toJSON.call(this,t),r=!!t&&!!t.keepComments;return u.toObject(["edition",this.f(),"options",i&&i.options||ut,"methods",n.arrayToJSON(this.methodsArray,t)||{},"nested",i&&i.nested||ut,"comment",r?this.comment:ut])},Object.defineProperty(f.prototype,"methodsArray",{get:function(){return this.x||(this.x=u.toArray(this.methods))}}),f.prototype.get=function(t){return Object.prototype.hasOwnProperty.call(this.methods,t)?this.methods[t]:n.prototype.get.call(this,t)},f.prototype.resolveAll=function(){if(this.w){n.prototype.resolve.call(this);for(var t=this.methodsArray,i=0;i<t.length;++i)t[i].resolve()}return this},f.prototype.m=function(i){return this.b&&(i=this.u||i,n.prototype.m.call(this,i),this.methodsArray.forEach(t=>{t.m(i)})),this},f.prototype.add=function(t){if(this.get(t.name))throw Error("duplicate name '"+t.name+"' in "+this);return t instanceof o?"__proto__"===t.name?this:e((this.methods[t.name]=t).parent=this):n.prototype.add.call(this,t)},f.prototype.remove=function(t){if(t instanceof o){if(this.methods[t.name]!==t)throw Error(t+" is not a member of "+this);return delete this.methods[t.name],t.parent=null,e(this)}return n.prototype.remove.call(this,t)},f.prototype.create=function(t,i,r){for(var n,e=new h.Service(t,i,r),s=0;s<this.methodsArray.length;++s)e[u.lcFirst((n=this.x[s]).resolve().name).replace(/[^$\w_]/g,"")]=function(r,n,e){return function(t,i){return h.Service.prototype.rpcCall.call(this,r,n,e,t,i)}}(n,n.resolvedRequestType.ctor,n.resolvedResponseType.ctor);return e}},{13:13,14:14,22:22,28:28}],25:[function(t,i,r){i.exports=s;var O=/[\s{}=;:[\],'"()<>]/g,_=/(?:"([^"\\]*(?:\\.[^"\\]*)*)")/g,k=/(?:'([^'\\]*(?:\\.[^'\\]*)*)')/g,x=/^ *[*/]+ */,A=/^\s*\*?\/*/,T=/\n/g,L=/\s/,n=/\\(.?)/g,e={0:"\0",r:"\r",n:"\n",t:"\t"};function I(t){return t.replace(n,function(t,i){switch(i){case"\\":case"":return i;default:return e[i]||""}})}function s(a,c){a=a.toString();var l=0,d=a.length,v=1,h=0,f={},p=[],b=null;function w(t){return Error("illegal "+t+" (line "+v+")")}function m(t){return a[0|t]||""}function g(t,i,r){var n,e={type:a[0|t++]||"",lineEmpty:!1,leading:r},r=c?2:3,s=t-r;do{if(--s<0||"\n"==(n=a[0|s]||"")){e.lineEmpty=!0;break}}while(" "===n||"\t"===n);for(var o=a.substring(t,i).split(T),u=0;u<o.length;++u)o[u]=o[u].replace(c?A:x,"").trim();e.text=o.join("\n").trim(),f[v]=e,h=v}function y(t){var i=j(t),t=a.substring(t,i);return/^\s*\/\//.test(t)}function j(t){for(var i=t;i<d&&"\n"!==m(i);)i++;return i}function n(){if(0<p.length)return p.shift();if(b){var t="'"===b?k:_,i=(t.lastIndex=l-1,t.exec(a));if(i)return l=t.lastIndex,E(b),b=null,I(i[1]);throw w("string")}var r,n,e,s,o,u,h=0===l;do{if(l===d)return null;for(r=!1;L.test(e=m(l));)if("\n"===e&&(h=!0,++v),++l===d)return null;if("/"===m(l)){if(++l===d)throw w("comment");if("/"===m(l))if(c){if(o=!1,y((s=l)-1))for(o=!0;(l=j(l))!==d&&(l++,h&&((u=y(l))&&v++,u)););else l=Math.min(d,j(l)+1);o&&(g(s,l,h),h=!0),v++}else{for(o="/"===m(s=l+1);"\n"!==m(++l);)if(l===d)return null;++l,o&&(g(s,l-1,h),h=!0),++v}else{if("*"!==(e=m(l)))return"/";s=l+1,o=c||"*"===m(s);do{if("\n"===e&&++v,++l===d)throw w("comment")}while(n=e,e=m(l),"*"!==n||"/"!==e);++l,o&&(g(s,l-2,h),h=!0)}r=!0}}while(r);var f=l;if(O.lastIndex=0,!O.test(m(f++)))for(;f<d&&!O.test(m(f));)++f;t=a.substring(l,l=f);return'"'!=t&&"'"!=t||(b=t),t}function E(t){p.push(t)}function e(){if(!p.length){var t=n();if(null===t)return null;E(t)}return p[0]}return Object.defineProperty({next:n,peek:e,push:E,skip:function(t,i){var r=e();if(r===t)return n(),!0;if(i)return!1;throw w("token '"+r+"', '"+t+"' expected")},cmnt:function(t){var i,r=null;return t===ut?(i=f[v-1],delete f[v-1],i&&(c||"*"===i.type||i.lineEmpty)&&(r=i.leading?i.text:null)):(h<t&&e(),i=f[t],delete f[t],!i||i.lineEmpty||!c&&"/"!==i.type||(r=i.leading?null:i.text)),r}},"line",{get:function(){return v}})}s.unescape=I},{}],26:[function(t,i,r){i.exports=g;var u=t(14),h=(g.prototype=Object.create(u.prototype,{constructor:{value:g,writable:!0,enumerable:!1,configurable:!0}}),g.className="Type",t(6)),f=t(16),a=t(7),c=t(11),l=t(24),s=t(12),e=t(18),o=t(44),d=t(28),v=t(5),p=t(4),b=t(42),w=t(3),m=t(43);function g(t,i){t=t.replace(/\W/g,""),u.call(this,t,i),this.fields={},this.oneofs=ut,this.extensions=ut,this.reserved=ut,this.group=ut,this.visibility=ut,this.A=null,this.e=null,this.T=null,this.a=null,this.L=null}function n(t){return t.A=t.e=t.T=t.L=null,delete t.encode,delete t.decode,delete t.verify,t}Object.defineProperties(g.prototype,{fieldsById:{get:function(){if(!this.A){this.A={};for(var t=Object.keys(this.fields),i=0;i<t.length;++i){var r=this.fields[t[i]],n=r.id;if(this.A[n])throw Error("duplicate id "+n+" in "+this);this.A[n]=r}}return this.A}},fieldsArray:{get:function(){return this.e||(this.e=d.toArray(this.fields))}},oneofsArray:{get:function(){return this.T||(this.T=d.toArray(this.oneofs))}},ctor:{get:function(){return this.a||(this.ctor=g.generateConstructor(this)())},set:function(t){for(var i,r=t.prototype,n=(r instanceof s||(t.prototype=new s,Object.defineProperty(t.prototype,"constructor",{value:t,writable:!0,enumerable:!1,configurable:!0}),d.merge(t.prototype,r)),t.$type=t.prototype.$type=this,d.merge(t,s,!0),this.a=t,delete this.decode,delete this.fromObject,0);n<this.fieldsArray.length;++n)i=this.e[n].resolve(),t.prototype[i.name]=i.defaultValue;for(var e={},n=0;n<this.oneofsArray.length;++n)e[this.T[n].resolve().name]={get:d.oneOfGetter(this.T[n].oneof),set:d.oneOfSetter(this.T[n].oneof)};n&&Object.defineProperties(t.prototype,e)}}}),g.generateConstructor=function(t){for(var i,r=d.codegen(["p"]),n=0;n<t.fieldsArray.length;++n)(i=t.e[n]).map?r("this%s={}",d.safeProp(i.name)):i.repeated&&r("this%s=[]",d.safeProp(i.name));return r('if(p)for(var ks=Object.keys(p),i=0;i<ks.length;++i)if(p[ks[i]]!=null&&ks[i]!=="__proto__")')("this[ks[i]]=p[ks[i]]")},g.fromJSON=function(t,i,r){if((r=r===ut?0:r)>d.nestingLimit)throw Error("max depth exceeded");for(var n=new g(t,i.options),e=(n.extensions=i.extensions,n.reserved=i.reserved,Object.keys(i.fields)),s=0;s<e.length;++s)n.add((void 0!==i.fields[e[s]].keyType?c:a).fromJSON(e[s],i.fields[e[s]]));if(i.oneofs)for(e=Object.keys(i.oneofs),s=0;s<e.length;++s)n.add(f.fromJSON(e[s],i.oneofs[e[s]]));if(i.nested)for(e=Object.keys(i.nested),s=0;s<e.length;++s){var o=i.nested[e[s]];n.add((o.id!==ut?a:o.fields!==ut?g:o.values!==ut?h:o.methods!==ut?l:u).fromJSON(e[s],o,r+1))}return i.extensions&&i.extensions.length&&(n.extensions=i.extensions),i.reserved&&i.reserved.length&&(n.reserved=i.reserved),i.group&&(n.group=!0),i.visibility&&(n.visibility=i.visibility),i.comment&&(n.comment=i.comment),i.edition&&(n.u=i.edition),n.h="proto3",n},g.prototype.toJSON=function(t){var i=u.prototype.toJSON.call(this,t),r=!!t&&!!t.keepComments;return d.toObject(["edition",this.f(),"options",i&&i.options||ut,"oneofs",u.arrayToJSON(this.oneofsArray,t),"fields",u.arrayToJSON(this.fieldsArray.filter(function(t){return!t.declaringField}),t)||{},"extensions",this.extensions&&this.extensions.length?this.extensions:ut,"reserved",this.reserved&&this.reserved.length?this.reserved:ut,"group",this.group||ut,"visibility",this.visibility,"nested",i&&i.nested||ut,"comment",r?this.comment:ut])},g.prototype.resolveAll=function(){if(this.w){u.prototype.resolveAll.call(this);for(var t=this.oneofsArray,i=0;i<t.length;)t[i++].resolve();for(var r=this.fieldsArray,i=0;i<r.length;)r[i++].resolve()}return this},g.prototype.m=function(i){return this.b&&(i=this.u||i,u.prototype.m.call(this,i),this.oneofsArray.forEach(t=>{t.o(i)}),this.fieldsArray.forEach(t=>{t.o(i)})),this},g.prototype.get=function(t){return Object.prototype.hasOwnProperty.call(this.fields,t)?this.fields[t]:this.oneofs&&Object.prototype.hasOwnProperty.call(this.oneofs,t)?this.oneofs[t]:this.nested&&Object.prototype.hasOwnProperty.call(this.nested,t)?this.nested[t]:null},g.prototype.add=function(t){if(this.get(t.name))throw Error("duplicate name '"+t.name+"' in "+this);if(t instanceof a&&t.extend===ut){if((this.A||this.fieldsById)[t.id])throw Error("duplicate id "+t.id+" in "+this);if(this.isReservedId(t.id))throw Error("id "+t.id+" is reserved in "+this);if(this.isReservedName(t.name)||"$"==(t.name[0]||""))throw Error("name '"+t.name+"' is reserved in "+this);return"__proto__"===t.name?this:(t.parent&&t.parent.remove(t),(this.fields[t.name]=t).message=this,t.onAdd(this),n(this))}if(t instanceof f){if("$"==(t.name[0]||""))throw Error("name '"+t.name+"' is reserved in "+this);return"__proto__"===t.name?this:(this.oneofs||(this.oneofs={}),(this.oneofs[t.name]=t).onAdd(this),n(this))}return u.prototype.add.call(this,t)},g.prototype.remove=function(t){if(t instanceof a&&t.extend===ut){if(d.remove(this.fields,t,t.name))return t.parent=null,t.onRemove(this),n(this);throw Error(t+" is not a member of "+this)}if(t instanceof f){if(d.remove(this.oneofs,t,t.name))return t.parent=null,t.onRemove(this),n(this);throw Error(t+" is not a member of "+this)}return u.prototype.remove.call(this,t)},g.prototype.isReservedId=function(t){return u.isReservedId(this.reserved,t)},g.prototype.isReservedName=function(t){return u.isReservedName(this.reserved,t)},g.prototype.create=function(t){return new this.ctor(t)},g.prototype.setup=function(){for(var t=this.root,t=(t&&t.b&&((n=t.u||this.u)&&t.m(n)),this.fullName),i=[],r=0;r<this.fieldsArray.length;++r)i.push(this.e[r].resolve().resolvedType);this.encode=v(this)({Writer:o,types:i,util:d}),this.decode=p(this)({Reader:e,types:i,util:d,C:this.ctor}),this.verify=b(this)({types:i,util:d}),this.fromObject=w.fromObject(this)({types:i,util:d,C:this.ctor}),this.toObject=w.toObject(this)({types:i,util:d});var n=m[t];return n&&((t=Object.create(this)).a=this.ctor,t.fromObject=this.fromObject,this.fromObject=n.fromObject.bind(t),t.toObject=this.toObject,this.toObject=n.toObject.bind(t)),this},g.prototype.encode=function(t,i){return this.setup().encode.apply(this,arguments)},g.prototype.encodeDelimited=function(t,i){return this.encode(t,(i||o.create()).fork()).ldelim()},g.prototype.decode=function(t,i){return this.setup().decode.apply(this,arguments)},g.prototype.decodeDelimited=function(t){return t instanceof e||(t=e.create(t)),this.decode(t,t.uint32())},g.prototype.verify=function(t){return this.setup().verify.apply(this,arguments)},g.prototype.fromObject=function(t){return this.setup().fromObject.apply(this,arguments)},g.prototype.toObject=function(t,i){return this.setup().toObject.apply(this,arguments)},g.prototype.getTypeUrl=function(t){var i=this.fullName;return(t=t===ut?"type.googleapis.com":t)+"/"+("."==(i[0]||"")?i.substring(1):i)},g.d=function(i){return function(t){d.decorateType(t,i)}}},{11:11,12:12,14:14,16:16,18:18,24:24,28:28,3:3,4:4,42:42,43:43,44:44,5:5,6:6,7:7}],27:[function(t,i,r){var t=t(28),e=["double","float","int32","uint32","sint32","fixed32","sfixed32","int64","uint64","sint64","fixed64","sfixed64","bool","string","bytes"];function n(t,i){var r=0,n=Object.create(null);for(i|=0;r<t.length;)n[e[r+i]]=t[r++];return n}r.basic=n([1,5,0,0,0,5,5,0,0,0,1,1,0,2,2]),r.defaults=n([0,0,0,0,0,0,0,0,0,0,0,0,!1,"",t.emptyArray,null]),r.long=n([0,0,0,1,1],7),r.mapKey=n([0,0,0,5,5,0,0,0,1,1,0,2],2),r.packed=n([1,5,0,0,0,5,5,0,0,0,1,1,0])},{28:28}],28:[function(r,t,i){var n,e,o=t.exports=r(37),s=r(21),u=(o.codegen=r(31),o.fetch=r(33),o.path=r(38),o.patterns=r(39),o.patterns.reservedRe),h=(o.fs=r(35),o.toArray=function(t){if(t){for(var i=Object.keys(t),r=Array(i.length),n=0;n<i.length;)r[n]=t[i[n++]];return r}return[]},o.toObject=function(t){for(var i={},r=0;r<t.length;){var n=t[r++],e=t[r++];e!==ut&&(i[n]=e)}return i},o.remove=function(t,i,r){if(t){if(r!==ut&&Object.prototype.hasOwnProperty.call(t,r)&&t[r]===i)return delete t[r],!0;for(var n=Object.keys(t),e=0;e<n.length;++e)if(t[n[e]]===i)return delete t[n[e]],!0}return!1},o.isReserved=function(t){return u.test(t)},o.safeProp=function(t){return!/^[$\w_]+$/.test(t)||u.test(t)?"["+JSON.stringify(t)+"]":"."+t},o.ucFirst=function(t){return(t[0]||"").toUpperCase()+t.substring(1)},/_([a-z])/g),f=(o.camelCase=function(t){return t.substring(0,1)+t.substring(1).replace(h,function(t,i){return i.toUpperCase()})},o.jsonName=function(t){for(var i="",r=!1,n=0;n<t.length;++n){var e=t[0|n]||"";"_"===e?r=!0:r?(i+=e.toUpperCase(),r=!1):i+=e}return i},o.compareFieldsById=function(t,i){return t.id-i.id},o.decorateType=function(t,i){return t.$type?(i&&t.$type.name!==i&&(o.decorateRoot.remove(t.$type),t.$type.name=i,o.decorateRoot.add(t.$type)),t.$type):(i=new(n=n||r(26))(i||t.name),o.decorateRoot.add(i),i.ctor=t,Object.defineProperty(t,"$type",{value:i,enumerable:!1}),Object.defineProperty(t.prototype,"$type",{value:i,enumerable:!1}),i)},0);o.decorateEnum=function(t){var i;return t.$type||(i=new(e=e||r(6))("Enum"+f++,t),o.decorateRoot.add(i),Object.defineProperty(t,"$type",{value:i,enumerable:!1}),i)},o.setProperty=function(t,i,r,s){if("object"!=typeof t)throw TypeError("dst must be an object");if(!i)throw TypeError("path must be specified");if((i=i.split(".")).length>o.recursionLimit)throw Error("max depth exceeded");return function t(i,r,n){var e=r.shift();if(!o.isUnsafeProperty(e))if(0<r.length)i[e]=t(i[e]||{},r,n);else{if((r=i[e])&&s)return i;r&&(n=[].concat(r).concat(n)),i[e]=n}return i}(t,i,r)},Object.defineProperty(o,"decorateRoot",{get:function(){return s.decorated||(s.decorated=new(r(20)))}})},{20:20,21:21,26:26,31:31,33:33,35:35,37:37,38:38,39:39,6:6}],29:[function(t,i,r){i.exports=function(t,i){var r=Array(arguments.length-1),s=0,n=2,o=!0;for(;n<arguments.length;)r[s++]=arguments[n++];return new Promise(function(n,e){r[s]=function(t){if(o)if(o=!1,t)e(t);else{for(var i=Array(arguments.length-1),r=0;r<i.length;)i[r++]=arguments[r];n.apply(null,i)}};try{t.apply(i||null,r)}catch(t){o&&(o=!1,e(t))}})}},{}],30:[function(t,i,r){r.length=function(t){var i=t.length;if(!i)return 0;for(;0<i&&"="==(t[0|i-1]||"");)--i;return Math.floor(3*i/4)};for(var f=Array(64),h=Array(123),n=0;n<64;)h[f[n]=n<26?n+65:n<52?n+71:n<62?n-4:n-59|43]=n++;h[45]=62,h[95]=63,r.encode=function(t,i,r){for(var n,e=null,s=[],o=0,u=0;i<r;){var h=t[i++];switch(u){case 0:s[o++]=f[h>>2],n=(3&h)<<4,u=1;break;case 1:s[o++]=f[n|h>>4],n=(15&h)<<2,u=2;break;case 2:s[o++]=f[n|h>>6],s[o++]=f[63&h],u=0}8191<o&&((e=e||[]).push(String.fromCharCode.apply(String,s)),o=0)}return u&&(s[o++]=f[n],s[o++]=61,1===u&&(s[o++]=61)),e?(o&&e.push(String.fromCharCode.apply(String,s.slice(0,o))),e.join("")):String.fromCharCode.apply(String,s.slice(0,o))};var a="invalid encoding",e=(r.decode=function(t,i,r){for(var n,e=r,s=0,o=0;o<t.length;){var u=t.charCodeAt(o++);if(61==u&&1<s)break;if((u=h[u])===ut)throw Error(a);switch(s){case 0:n=u,s=1;break;case 1:i[r++]=n<<2|(48&u)>>4,n=u,s=2;break;case 2:i[r++]=(15&n)<<4|(60&u)>>2,n=u,s=3;break;case 3:i[r++]=(3&n)<<6|u,s=0}}if(1===s)throw Error(a);return r-e},/^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/),s=/[-_]/,o=/^(?:[A-Za-z0-9_-]{4})*(?:[A-Za-z0-9_-]{2}(?:==)?|[A-Za-z0-9_-]{3}=?)?$/;r.test=function(t){return e.test(t)||s.test(t)&&o.test(t)}},{}],31:[function(t,i,r){i.exports=c;var n=t(39).reservedRe;function c(i,r){"string"==typeof i&&(r=i,i=ut);var h=[];function f(t){if("string"!=typeof t){var i=a();if(c.verbose&&console.log("codegen: "+i),i="return "+i,t){for(var r=Object.keys(t),n=Array(r.length+1),e=Array(r.length),s=0;s<r.length;)n[s]=r[s],e[s]=t[r[s++]];return n[s]=i,Function.apply(null,n).apply(null,e)}return Function(i)()}for(var o=Array(arguments.length-1),u=0;u<o.length;)o[u]=arguments[++u];if(u=0,t=t.replace(/%([%dfijs])/g,function(t,i){var r=o[u++];switch(i){case"d":case"f":return Object.is(r=+(""+r),-0)?"-0":""+r;case"i":return""+Math.floor(r);case"j":return JSON.stringify(r);case"s":return""+r}return"%"}),u!==o.length)throw Error("parameter count mismatch");return h.push(t),f}function a(t){return"function "+function(t){if(!t)return"";if(!(t=(""+t).replace(/[^\w$]/g,"")))return"";/^\d/.test(t)&&(t="_"+t);return n.test(t)?t+"_":t}(t||r)+"("+(i&&i.join(",")||"")+"){\n  "+h.join("\n  ")+"\n}"}return Object.defineProperty(f,"toString",{value:a,writable:!0,enumerable:!0,configurable:!0}),f}c.verbose=!1},{39:39}],32:[function(t,i,r){function n(){this.I=Object.create(null)}(i.exports=n).prototype.on=function(t,i,r){return(this.I[t]||(this.I[t]=[])).push({fn:i,ctx:r||this}),this},n.prototype.off=function(t,i){if(t===ut)this.I=Object.create(null);else if(i===ut)this.I[t]=[];else{var r=this.I[t];if(!r)return this;for(var n=0;n<r.length;)r[n].fn===i?r.splice(n,1):++n}return this},n.prototype.emit=function(t){var i=this.I[t];if(i){for(var r=[],n=1;n<arguments.length;)r.push(arguments[n++]);for(n=0;n<i.length;)i[n].fn.apply(i[n++].ctx,r)}return this}},{}],33:[function(t,i,r){i.exports=u;var s=t(29),o=t(35);function u(r,n,e){return n="function"==typeof n?(e=n,{}):n||{},e?!n.xhr&&o&&o.readFile?o.readFile(r,function(t,i){return t&&"undefined"!=typeof XMLHttpRequest?u.xhr(r,n,e):t?e(t):e(null,n.binary?i:i.toString("utf8"))}):u.xhr(r,n,e):s(u,this,r,n)}u.xhr=function(t,r,n){var e=new XMLHttpRequest;e.onreadystatechange=function(){if(4!==e.readyState)return ut;if(0!==e.status&&200!==e.status)return n(Error("status "+e.status));if(r.binary){if(!(t=e.response))for(var t=[],i=0;i<e.responseText.length;++i)t.push(255&e.responseText.charCodeAt(i));return n(null,"undefined"!=typeof Uint8Array?new Uint8Array(t):t)}return n(null,e.responseText)},r.binary&&("overrideMimeType"in e&&e.overrideMimeType("text/plain; charset=x-user-defined"),e.responseType="arraybuffer"),e.open("GET",t),e.send()}},{29:29,35:35}],34:[function(t,i,r){function n(t){function i(t,i,r,n){var e=i<0?1:0;t(0===(i=e?-i:i)?0<1/i?0:2147483648:isNaN(i)?2143289344:34028234663852886e22<i?(e<<31|2139095040)>>>0:i<11754943508222875e-54?(e<<31|Math.round(i/1401298464324817e-60))>>>0:(e<<31|127+(t=Math.floor(Math.log(i)/Math.LN2))<<23|8388607&Math.round(i*Math.pow(2,-t)*8388608))>>>0,r,n)}function r(t,i,r){t=t(i,r),i=2*(t>>31)+1,r=t>>>23&255,t&=8388607;return 255==r?t?NaN:1/0*i:0==r?1401298464324817e-60*i*t:i*Math.pow(2,r-150)*(8388608+t)}function n(t,i,r){u[0]=t,i[r]=h[0],i[r+1]=h[1],i[r+2]=h[2],i[r+3]=h[3]}function e(t,i,r){u[0]=t,i[r]=h[3],i[r+1]=h[2],i[r+2]=h[1],i[r+3]=h[0]}function s(t,i){return h[0]=t[i],h[1]=t[i+1],h[2]=t[i+2],h[3]=t[i+3],u[0]}function o(t,i){return h[3]=t[i],h[2]=t[i+1],h[1]=t[i+2],h[0]=t[i+3],u[0]}var u,h,f,a,c;function l(t,i,r,n,e,s){var o,u=n<0?1:0;0===(n=u?-n:n)?(t(0,e,s+i),t(0<1/n?0:2147483648,e,s+r)):isNaN(n)?(t(0,e,s+i),t(2146959360,e,s+r)):17976931348623157e292<n?(t(0,e,s+i),t((u<<31|2146435072)>>>0,e,s+r)):n<22250738585072014e-324?(t((o=n/5e-324)>>>0,e,s+i),t((u<<31|o/4294967296)>>>0,e,s+r)):(t(4503599627370496*(o=n*Math.pow(2,-(n=1024===(n=Math.floor(Math.log(n)/Math.LN2))?1023:n)))>>>0,e,s+i),t((u<<31|n+1023<<20|1048576*o&1048575)>>>0,e,s+r))}function d(t,i,r,n,e){i=t(n,e+i),t=t(n,e+r),n=2*(t>>31)+1,e=t>>>20&2047,r=4294967296*(1048575&t)+i;return 2047==e?r?NaN:1/0*n:0==e?5e-324*n*r:n*Math.pow(2,e-1075)*(r+4503599627370496)}function v(t,i,r){f[0]=t,i[r]=a[0],i[r+1]=a[1],i[r+2]=a[2],i[r+3]=a[3],i[r+4]=a[4],i[r+5]=a[5],i[r+6]=a[6],i[r+7]=a[7]}function p(t,i,r){f[0]=t,i[r]=a[7],i[r+1]=a[6],i[r+2]=a[5],i[r+3]=a[4],i[r+4]=a[3],i[r+5]=a[2],i[r+6]=a[1],i[r+7]=a[0]}function b(t,i){return a[0]=t[i],a[1]=t[i+1],a[2]=t[i+2],a[3]=t[i+3],a[4]=t[i+4],a[5]=t[i+5],a[6]=t[i+6],a[7]=t[i+7],f[0]}function w(t,i){return a[7]=t[i],a[6]=t[i+1],a[5]=t[i+2],a[4]=t[i+3],a[3]=t[i+4],a[2]=t[i+5],a[1]=t[i+6],a[0]=t[i+7],f[0]}return"undefined"!=typeof Float32Array?(u=new Float32Array([-0]),h=new Uint8Array(u.buffer),c=128===h[3],t.writeFloatLE=c?n:e,t.writeFloatBE=c?e:n,t.readFloatLE=c?s:o,t.readFloatBE=c?o:s):(t.writeFloatLE=i.bind(null,m),t.writeFloatBE=i.bind(null,g),t.readFloatLE=r.bind(null,y),t.readFloatBE=r.bind(null,j)),"undefined"!=typeof Float64Array?(f=new Float64Array([-0]),a=new Uint8Array(f.buffer),c=128===a[7],t.writeDoubleLE=c?v:p,t.writeDoubleBE=c?p:v,t.readDoubleLE=c?b:w,t.readDoubleBE=c?w:b):(t.writeDoubleLE=l.bind(null,m,0,4),t.writeDoubleBE=l.bind(null,g,4,0),t.readDoubleLE=d.bind(null,y,0,4),t.readDoubleBE=d.bind(null,j,4,0)),t}function m(t,i,r){i[r]=255&t,i[r+1]=t>>>8&255,i[r+2]=t>>>16&255,i[r+3]=t>>>24}function g(t,i,r){i[r]=t>>>24,i[r+1]=t>>>16&255,i[r+2]=t>>>8&255,i[r+3]=255&t}function y(t,i){return(t[i]|t[i+1]<<8|t[i+2]<<16|t[i+3]<<24)>>>0}function j(t,i){return(t[i]<<24|t[i+1]<<16|t[i+2]<<8|t[i+3])>>>0}i.exports=n(n)},{}],35:[function(t,i,r){var n=null;try{(n=t(1))&&n.readFile&&n.readFileSync||(n=null)}catch(t){}i.exports=n},{1:1}],36:[function(t,i,r){var n;function e(t,i){this.lo=t>>>0,this.hi=i>>>0}var s=(i.exports=e).zero=new e(0,0),o=(s.toNumber=function(){return 0},s.zzEncode=s.zzDecode=function(){return this},s.length=function(){return 1},e.zeroHash="\0\0\0\0\0\0\0\0",e.fromNumber=function(t){var i,r;return 0===t?s:(r=(t=(i=t<0)?-t:t)>>>0,t=(t-r)/4294967296>>>0,i&&(t=~t>>>0,r=~r>>>0,4294967295<++r&&(r=0,4294967295<++t&&(t=0))),new e(r,t))},e.from=function(t){if("number"==typeof t)return e.fromNumber(t);if("string"==typeof t||t instanceof String){if(!n)return e.fromNumber(parseInt(t,10));t=n.fromString(t)}return t.low||t.high?new e(t.low>>>0,t.high>>>0):s},e.prototype.toNumber=function(t){var i;return!t&&this.hi>>>31?(t=1+~this.lo>>>0,i=~this.hi>>>0,-(t+4294967296*(i=t?i:i+1>>>0))):this.lo+4294967296*this.hi},e.prototype.toLong=function(t){return n?new n(0|this.lo,0|this.hi,!!t):{low:0|this.lo,high:0|this.hi,unsigned:!!t}},String.prototype.charCodeAt);e.fromHash=function(t){return"\0\0\0\0\0\0\0\0"===t?s:new e((o.call(t,0)|o.call(t,1)<<8|o.call(t,2)<<16|o.call(t,3)<<24)>>>0,(o.call(t,4)|o.call(t,5)<<8|o.call(t,6)<<16|o.call(t,7)<<24)>>>0)},e.prototype.toHash=function(){return String.fromCharCode(255&this.lo,this.lo>>>8&255,this.lo>>>16&255,this.lo>>>24,255&this.hi,this.hi>>>8&255,this.hi>>>16&255,this.hi>>>24)},e.prototype.zzEncode=function(){var t=this.hi>>31;return this.hi=((this.hi<<1|this.lo>>>31)^t)>>>0,this.lo=(this.lo<<1^t)>>>0,this},e.prototype.zzDecode=function(){var t=-(1&this.lo);return this.lo=((this.lo>>>1|this.hi<<31)^t)>>>0,this.hi=(this.hi>>>1^t)>>>0,this},e.prototype.length=function(){var t=this.lo,i=(this.lo>>>28|this.hi<<4)>>>0,r=this.hi>>>24;return 0==r?0==i?t<16384?t<128?1:2:t<2097152?3:4:i<16384?i<128?5:6:i<2097152?7:8:r<128?9:10},e.l=function(t){n=t}},{}],37:[function(i,t,r){var o=r;function u(t){return"__proto__"===t||"prototype"===t||"constructor"===t}function n(t){for(var i=(r="boolean"==typeof arguments[arguments.length-1])?arguments.length-1:arguments.length,r=r&&arguments[arguments.length-1],n=1;n<i;++n){var e=arguments[n];if(e)for(var s=Object.keys(e),o=0;o<s.length;++o)u(s[o])||r&&Object.prototype.hasOwnProperty.call(t,s[o])&&t[s[o]]!==ut||(t[s[o]]=e[s[o]])}return t}function e(t){function r(t,i){if(!(this instanceof r))return new r(t,i);Object.defineProperty(this,"message",{get:function(){return t}}),Error.captureStackTrace?Error.captureStackTrace(this,r):Object.defineProperty(this,"stack",{value:Error().stack||""}),i&&n(this,i)}return r.prototype=Object.create(Error.prototype,{constructor:{value:r,writable:!0,enumerable:!1,configurable:!0},name:{get:function(){return t},set:ut,enumerable:!1,configurable:!0},toString:{value:function(){return this.name+": "+this.message},writable:!0,enumerable:!1,configurable:!0}}),r}o.asPromise=i(29),o.base64=i(30),o.EventEmitter=i(32),o.float=i(34),o.utf8=i(41),o.pool=i(40),o.LongBits=i(36),o.isUnsafeProperty=u,o.isNode=!!("undefined"!=typeof global&&global&&global.process&&global.process.versions&&global.process.versions.node),o.global=o.isNode&&global||"undefined"!=typeof window&&window||"undefined"!=typeof self&&self||"undefined"!=typeof globalThis&&globalThis||this,o.emptyArray=Object.freeze?Object.freeze([]):[],o.emptyObject=Object.freeze?Object.freeze({}):{},o.isInteger=Number.isInteger||function(t){return"number"==typeof t&&isFinite(t)&&Math.floor(t)===t},o.isString=function(t){return"string"==typeof t||t instanceof String},o.isObject=function(t){return t&&"object"==typeof t},o.isset=o.isSet=function(t,i){var r=t[i];return!(null==r||!Object.hasOwnProperty.call(t,i))&&("object"!=typeof r||0<(Array.isArray(r)?r:Object.keys(r)).length)},o.Buffer=function(){try{var t=o.global.Buffer;return t.prototype.utf8Write||o.isNode?t:null}catch(t){return null}}(),o.newBuffer=function(t){var i=o.Buffer;return"number"==typeof t?i?i.allocUnsafe(t):new Uint8Array(t):i?i.from(t):new Uint8Array(t)},o.rawField=function(t,i,r){var n=[],e=t<<3|i;for(e>>>=0;127<e;)n.push(127&e|128),e>>>=7;n.push(e);for(var s=0;s<r.length;++s)n.push(r[s]);return o.newBuffer(n)},o.Array=Uint8Array,o.Long=o.global.dcodeIO&&o.global.dcodeIO.Long||o.global.Long||function(){try{var t=i("long");return t&&t.isLong?t:null}catch(t){return null}}(),o.key2Re=/^(?:true|false|0|1)$/,o.key32Re=/^-?(?:0|[1-9][0-9]*)$/,o.key64Re=/^(?:[\x00-\xff]{8}|-?(?:0|[1-9][0-9]*))$/,o.longToHash=function(t){return t?o.LongBits.from(t).toHash():o.LongBits.zeroHash},o.longFromHash=function(t,i){t=o.LongBits.fromHash(t);return o.Long?o.Long.fromBits(t.lo,t.hi,i):t.toNumber(!!i)},o.longFromKey=function(t,i){return o.key64Re.test(t)&&!o.key32Re.test(t)?o.longFromHash(t,i):t},o.boolFromKey=function(t){return"true"===t||"1"===t},o.merge=n,o.nestingLimit=32,o.recursionLimit=100,o.makeProp=function(t,i,r){Object.prototype.hasOwnProperty.call(t,i)||Object.defineProperty(t,i,{enumerable:r===ut||r,configurable:!0,writable:!0})},o.lcFirst=function(t){return(t[0]||"").toLowerCase()+t.substring(1)},o.newError=e,o.ProtocolError=e("ProtocolError"),o.oneOfGetter=function(t){for(var r={},i=0;i<t.length;++i)r[t[i]]=1;return function(){for(var t=Object.keys(this),i=t.length-1;-1<i;--i)if(1===r[t[i]]&&this[t[i]]!==ut&&null!==this[t[i]])return t[i]}},o.oneOfSetter=function(r){return function(t){for(var i=0;i<r.length;++i)r[i]!==t&&delete this[r[i]]}},o.toJSONOptions={longs:String,enums:String,bytes:String,json:!0}},{29:29,30:30,32:32,34:34,36:36,40:40,41:41,long:"long"}],38:[function(t,i,r){var o=/^[a-zA-Z][a-zA-Z0-9+.-]+:\/\//;var u=r.isAbsolute=function(t){return/^(?:\/|\w+:|\\\\\w+)/.test(t)},e=r.normalize=function(t){var i=function(t){if("undefined"==typeof URL||!o.test(t))return null;try{return new URL(t).href}catch(t){return null}}(t);if(i)return i;var i=t.substring(0,2),r="",n=("\\\\"==i&&(r=i,t=t.substring(2)),(t=t.replace(/\\/g,"/").replace(/\/{2,}/g,"/")).split("/")),e=u(t),i="";e&&(i=n.shift()+"/");for(var s=0;s<n.length;)".."===n[s]?0<s&&".."!==n[s-1]?n.splice(--s,2):e?n.splice(s,1):++s:"."===n[s]?n.splice(s,1):++s;return r+i+n.join("/")};r.resolve=function(t,i,r){var n=function(t,i){if("undefined"==typeof URL||!o.test(t)||o.test(i))return null;try{return new URL(i,t).href}catch(t){return null}}(t,i);return n||(r||(i=e(i)),!u(i)&&(t=(t=r?t:e(t)).replace(/(?:\/|^)[^/]+$/,"")).length?e(t+"/"+i):i)}},{}],39:[function(t,i,r){r.numberRe=/^(?![eE])[0-9]*(?:\.[0-9]*)?(?:[eE][+-]?[0-9]+)?$/,r.typeRefRe=/^(?:\.?[a-zA-Z_][a-zA-Z_0-9]*)(?:\.[a-zA-Z_][a-zA-Z_0-9]*)*$/,r.reservedRe=/^(?:do|if|in|for|let|new|try|var|case|else|enum|eval|false|null|this|true|void|with|break|catch|class|const|super|throw|while|yield|delete|export|import|public|return|static|switch|typeof|default|extends|finally|package|private|continue|debugger|function|arguments|interface|protected|implements|instanceof)$/},{}],40:[function(t,i,r){i.exports=function(i,r,t){var n=t||8192,e=n>>>1,s=null,o=n;return function(t){if(t<1||e<t)return i(t);n<o+t&&(s=i(n),o=0);t=r.call(s,o,o+=t);return 7&o&&(o=1+(7|o)),t}}},{}],41:[function(t,i,r){var d,v=new TextDecoder("utf-8",{ignoreBOM:!0});try{d=new TextDecoder("utf-8",{fatal:!0,ignoreBOM:!0})}catch(t){d=v}function p(t,i,r,n){i=0===r&&n===i.length?i:i.subarray(r,n);return t.decode(i)}r.length=function(t){for(var i,r=0,n=0;n<t.length;++n)(i=t.charCodeAt(n))<128?r+=1:i<2048?r+=2:55296==(64512&i)&&56320==(64512&t.charCodeAt(n+1))?(++n,r+=4):r+=3;return r},r.read=function(t,i,r){if(r-i<1)return"";if(64<=r-i)return p(v,t,i,r);for(var n,e,s,o,u,h,f,a,c="",l=i;l+7<r;l+=8){if(128&((n=t[l])|(e=t[l+1])|(s=t[l+2])|(o=t[l+3])|(u=t[l+4])|(h=t[l+5])|(f=t[l+6])|(a=t[l+7])))return c+p(v,t,l,r);c+=String.fromCharCode(n,e,s,o,u,h,f,a)}for(;l<r;++l){if(128&(n=t[l]))return c+p(v,t,l,r);c+=String.fromCharCode(n)}return c},r.readStrict=function(t,i,r){if(r-i<1)return"";if(64<=r-i)return p(d,t,i,r);for(var n,e,s,o,u,h,f,a,c="",l=i;l+7<r;l+=8){if(128&((n=t[l])|(e=t[l+1])|(s=t[l+2])|(o=t[l+3])|(u=t[l+4])|(h=t[l+5])|(f=t[l+6])|(a=t[l+7])))return c+p(d,t,l,r);c+=String.fromCharCode(n,e,s,o,u,h,f,a)}for(;l<r;++l){if(128&(n=t[l]))return c+p(d,t,l,r);c+=String.fromCharCode(n)}return c},r.write=function(t,i,r){for(var n,e,s=r,o=0;o<t.length;++o)(n=t.charCodeAt(o))<128?i[r++]=n:(n<2048?i[r++]=n>>6|192:(55296==(64512&n)&&56320==(64512&(e=t.charCodeAt(o+1)))?(++o,i[r++]=(n=65536+((1023&n)<<10)+(1023&e))>>18|240,i[r++]=n>>12&63|128):i[r++]=n>>12|224,i[r++]=n>>6&63|128),i[r++]=63&n|128);return r-s}},{}],42:[function(t,i,r){i.exports=function(t){var i=h.codegen(["m","q"])('if(typeof m!=="object"||m===null)')("return%j","object expected")("if(q===undefined)q=0")("if(q>util.recursionLimit)")("return%j","max depth exceeded"),r=t.oneofsArray,n={};r.length&&i("var p={}");for(var e=0;e<t.fieldsArray.length;++e){var s,o=t.e[e].resolve(),u="m"+h.safeProp(o.name);o.optional&&i("if(%s!=null&&Object.hasOwnProperty.call(m,%j)){",u,o.name),o.map?(i("if(!util.isObject(%s))",u)("return%j",f(o,"object"))("var k=Object.keys(%s)",u)("for(var i=0;i<k.length;++i){"),function(t,i,r){switch(i.keyType){case"int32":case"uint32":case"sint32":case"fixed32":case"sfixed32":t("if(!util.key32Re.test(%s))",r)("return%j",f(i,"integer key"));break;case"int64":case"uint64":case"sint64":case"fixed64":case"sfixed64":t("if(!util.key64Re.test(%s))",r)("return%j",f(i,"integer|Long key"));break;case"bool":t("if(!util.key2Re.test(%s))",r)("return%j",f(i,"boolean key"))}}(i,o,"k[i]"),a(i,o,e,u+"[k[i]]")("}")):o.repeated?(i("if(!Array.isArray(%s))",u)("return%j",f(o,"array"))("for(var i=0;i<%s.length;++i){",u),a(i,o,e,u+"[i]")("}")):(o.partOf&&(s=h.safeProp(o.partOf.name),1===n[o.partOf.name]&&i("if(p%s===1)",s)("return%j",o.partOf.name+": multiple values"),n[o.partOf.name]=1,i("p%s=1",s)),a(i,o,e,u)),o.optional&&i("}")}return i("return null")};var u=t(6),h=t(28);function f(t,i){return t.name+": "+i+(t.repeated&&"array"!==i?"[]":t.map&&"object"!==i?"{k:"+t.keyType+"}":"")+" expected"}function a(t,i,r,n){var e=i.resolvedType;if(e)if(e instanceof u)if("CLOSED"===e.i.enum_type){t("switch(%s){",n)("default:")("return%j",f(i,"enum value"));for(var s=Object.keys(e.values),o=0;o<s.length;++o)t("case %i:",e.values[s[o]]);t("break")("}")}else t('if(typeof %s!=="number"||(%s|0)!==%s)',n,n,n)("return%j",f(i,"enum value"));else t("{")("var e=types[%i].verify(%s,q+1);",r,n)("if(e)")("return%j+e",i.name+".")("}");else switch(i.type){case"int32":case"uint32":case"sint32":case"fixed32":case"sfixed32":t("if(!util.isInteger(%s))",n)("return%j",f(i,"integer"));break;case"int64":case"uint64":case"sint64":case"fixed64":case"sfixed64":t("if(!util.isInteger(%s)&&!(%s&&util.isInteger(%s.low)&&util.isInteger(%s.high)))",n,n,n,n)("return%j",f(i,"integer|Long"));break;case"float":case"double":t('if(typeof %s!=="number")',n)("return%j",f(i,"number"));break;case"bool":t('if(typeof %s!=="boolean")',n)("return%j",f(i,"boolean"));break;case"string":t("if(!util.isString(%s))",n)("return%j",f(i,"string"));break;case"bytes":t('if(!(%s&&typeof %s.length==="number"||util.isString(%s)))',n,n,n)("return%j",f(i,"buffer"))}return t}},{28:28,6:6}],43:[function(t,i,r){var u=t(12),h=t(37);r[".google.protobuf.Any"]={fromObject:function(t,i){if((i=i===ut?0:i)>h.recursionLimit)throw Error("max depth exceeded");if(t&&t["@type"]){var r,n=t["@type"].substring(1+t["@type"].lastIndexOf("/")),n=this.lookup(n,[this.constructor]);if(n)return~(r="."==(t["@type"][0]||"")?t["@type"].slice(1):t["@type"]).indexOf("/")||(r="/"+r),this.create({type_url:r,value:n.encode(n.fromObject(t,i+1)).finish()})}return this.fromObject(t,i)},toObject:function(t,i,r){if((r=r===ut?0:r)>h.recursionLimit)throw Error("max depth exceeded");var n,e,s="",o="";return i&&i.json&&t.type_url&&t.value&&(o=t.type_url.substring(1+t.type_url.lastIndexOf("/")),s=t.type_url.substring(0,1+t.type_url.lastIndexOf("/")),(n=this.lookup(o,[this.constructor]))&&(t=n.decode(t.value,ut,ut,r+1))),!(t instanceof this.ctor)&&t instanceof u?(n=t.$type.toObject(t,i,r+1),e="."===t.$type.fullName[0]?t.$type.fullName.slice(1):t.$type.fullName,n["@type"]=o=(s=""===s?"type.googleapis.com/":s)+e,n):this.toObject(t,i,r)}}},{12:12,37:37}],44:[function(t,i,r){i.exports=s;var n,u=t(37),h=u.LongBits,e=u.base64,o=u.utf8;function s(){this.pos=0,this.buf=this.constructor.alloc(s.initialBufferSize),this.view=null,this.states=null}s.initialBufferSize=128,Object.defineProperty(s.prototype,"len",{configurable:!0,enumerable:!0,get:function(){return this.pos}});function f(){return u.Buffer?function(){return(s.create=function(){return new n})()}:function(){return new s}}function a(t){return t<128?1:t<16384?2:t<2097152?3:t<268435456?4:5}function c(t,i,r){for(;127<t;)i[r++]=127&t|128,t>>>=7;return i[r]=t,r+1}function l(t,i,r){for(var n=t.lo,e=t.hi;e;)i[r++]=127&n|128,n=(n>>>7|e<<25)>>>0,e>>>=7;for(;127<n;)i[r++]=127&n|128,n>>>=7;return i[r]=n,r+1}function d(t,i,r){i[r]=255&t,i[r+1]=t>>>8&255,i[r+2]=t>>>16&255,i[r+3]=t>>>24}s.create=f(),s.alloc=u.pool(s.alloc=function(t){return new Uint8Array(t)},Uint8Array.prototype.subarray),s.prototype.N=function(t){var i,t=this.pos+t;t>this.buf.length&&(i=this.buf.length<<1,(t=this.constructor.alloc(i=i<t?t:i)).set(this.buf.subarray(0,this.pos),0),this.buf=t,this.view=null)},s.prototype.uint32=function(t){t>>>=0,this.N(5);var i=this.pos;return this.pos=c(t,this.buf,i),this},s.prototype.int32=function(t){return(t|=0)<0?(this.N(10),l(h.fromNumber(t),this.buf,this.pos),this.pos+=10,this):this.uint32(t)},s.prototype.sint32=function(t){return this.uint32((t<<1^t>>31)>>>0)},s.prototype.int64=s.prototype.uint64=function(t){var t=h.from(t),i=(this.N(10),this.pos);return this.pos=l(t,this.buf,i),this},s.prototype.sint64=function(t){var t=h.from(t).zzEncode(),i=(this.N(10),this.pos);return this.pos=l(t,this.buf,i),this},s.prototype.bool=function(t){return this.N(1),this.buf[this.pos++]=t?1:0,this},s.prototype.sfixed32=s.prototype.fixed32=function(t){return this.N(4),d(t>>>0,this.buf,this.pos),this.pos+=4,this},s.prototype.sfixed64=s.prototype.fixed64=function(t){t=h.from(t);return this.N(8),d(t.lo,this.buf,this.pos),d(t.hi,this.buf,this.pos+4),this.pos+=8,this},s.prototype.float=function(t){return this.N(4),u.float.writeFloatLE(t,this.buf,this.pos),this.pos+=4,this},s.prototype.double=function(t){return this.N(8),u.float.writeDoubleLE(t,this.buf,this.pos),this.pos+=8,this},s.prototype.bytes=function(t){var i,r=t.length>>>0;return r?(u.isString(t)&&(i=s.alloc(r=e.length(t)),e.decode(t,i,0),t=i),this.uint32(r),this.N(r),this.buf.set(t,this.pos),this.pos+=r):(this.N(1),this.buf[this.pos++]=0),this},s.prototype.raw=function(t){var i=t.length>>>0;return i&&(this.N(i),this.buf.set(t,this.pos),this.pos+=i),this},s.prototype.S=function(t,i){var r=a(i);return 1<r&&this.buf.copyWithin(t+r,t+1,t+1+i),c(i,this.buf,t),this.pos=t+r+i,this},s.prototype.string=function(t){var i=t.length;if(i){if(i<128)return this.N(3*i+5),i=this.pos,this.S(i,o.write(t,this.buf,i+1));i=o.length(t);if(this.uint32(i),this.N(i),i===t.length)for(var r=t,n=this.buf,e=this.pos,s=0;s<r.length;)n[e++]=r.charCodeAt(s++);else o.write(t,this.buf,this.pos);this.pos+=i}else this.N(1),this.buf[this.pos++]=0;return this},s.prototype.uint32s=function(t){for(var i=t.length,r=(this.N(5*i+5),this.buf),n=this.pos,e=n+1,s=0;s<i;++s)e=c(t[s]>>>0,r,e);return this.S(n,e-n-1)},s.prototype.int32s=function(t){for(var i,r=t.length,n=(this.N(10*r+5),this.buf),e=this.pos,s=e+1,o=0;o<r;++o)s=(i=0|t[o])<0?l(h.fromNumber(i),n,s):c(i,n,s);return this.S(e,s-e-1)},s.prototype.sint32s=function(t){for(var i=t.length,r=(this.N(5*i+5),this.buf),n=this.pos,e=n+1,s=0;s<i;++s)e=c((t[s]<<1^t[s]>>31)>>>0,r,e);return this.S(n,e-n-1)},s.prototype.int64s=s.prototype.uint64s=function(t){for(var i=t.length,r=(this.N(10*i+5),this.buf),n=this.pos,e=n+1,s=0;s<i;++s)e=l(h.from(t[s]),r,e);return this.S(n,e-n-1)},s.prototype.sint64s=function(t){for(var i=t.length,r=(this.N(10*i+5),this.buf),n=this.pos,e=n+1,s=0;s<i;++s)e=l(h.from(t[s]).zzEncode(),r,e);return this.S(n,e-n-1)},s.prototype.bools=function(t){for(var i=t.length,r=(this.uint32(i),this.N(i),this.buf),n=this.pos,e=0;e<i;++e)r[n++]=t[e]?1:0;return this.pos+=i,this};function v(t,i,r){var n=t.view;return n||i<r?n:(i=t.buf,t.view=new DataView(i.buffer,i.byteOffset,i.byteLength))}s.prototype.sfixed32s=s.prototype.fixed32s=function(t){var i=t.length,r=4*i,n=(this.uint32(r),this.N(r),this.pos),e=v(this,i,128);if(e)for(o=0;o<i;++o)e.setUint32(n,t[o]>>>0,!0),n+=4;else for(var s=this.buf,o=0;o<i;++o)d(t[o]>>>0,s,n),n+=4;return this.pos+=r,this},s.prototype.sfixed64s=s.prototype.fixed64s=function(t){var i,r=t.length,n=8*r,e=(this.uint32(n),this.N(n),this.pos),s=v(this,r,128);if(s)for(u=0;u<r;++u)i=h.from(t[u]),s.setUint32(e,i.lo,!0),s.setUint32(e+4,i.hi,!0),e+=8;else for(var o=this.buf,u=0;u<r;++u)d((i=h.from(t[u])).lo,o,e),d(i.hi,o,e+4),e+=8;return this.pos+=n,this},s.prototype.floats=function(t){var i=t.length,r=4*i,n=(this.uint32(r),this.N(r),this.pos),e=v(this,i,16);if(e)for(o=0;o<i;++o)e.setFloat32(n,t[o],!0),n+=4;else for(var s=this.buf,o=0;o<i;++o)u.float.writeFloatLE(t[o],s,n),n+=4;return this.pos+=r,this},s.prototype.doubles=function(t){var i=t.length,r=8*i,n=(this.uint32(r),this.N(r),this.pos),e=v(this,i,16);if(e)for(o=0;o<i;++o)e.setFloat64(n,t[o],!0),n+=8;else for(var s=this.buf,o=0;o<i;++o)u.float.writeDoubleLE(t[o],s,n),n+=8;return this.pos+=r,this},s.prototype.fork=function(){return this.N(1),(this.states||(this.states=[])).push(this.pos),this.pos+=1,this},s.prototype.reset=function(){var t=this.states;return t&&t.length?this.pos=t.pop():this.pos=0,this},s.prototype.ldelim=function(){var t,i,r=this.states;return r&&r.length?(r=r.pop(),1<(i=a(t=this.pos-r-1))?(this.N(i-1),this.buf.copyWithin(r+i,r+1,r+1+t),this.pos+=i-1,c(t,this.buf,r)):this.buf[r]=t):(i=a(t=this.pos),this.N(i),this.buf.copyWithin(i,0,t),c(t,this.buf,0),this.pos+=i),this},s.prototype.finish=function(t){return t?this.buf.subarray(0,this.pos):((t=this.constructor.alloc(this.pos)).set(this.buf.subarray(0,this.pos),0),t)},s.prototype.finishInto=function(t,i){return i===ut&&(i=0),t.set(this.buf.subarray(0,this.pos),i),t},s.l=function(t){n=t,s.create=f(),n.l()}},{37:37}],45:[function(t,i,r){i.exports=o;var e,n=t(44),s=(o.prototype=Object.create(n.prototype,{constructor:{value:o,writable:!0,enumerable:!1,configurable:!0}}),t(37));function o(){n.call(this)}o.l=function(){o.alloc=s.Buffer&&s.Buffer.allocUnsafe,e=s.Buffer&&s.Buffer.prototype.utf8Write?function(t,i,r){return i.utf8Write(t,r)}:function(t,i,r){return i.write(t,r)}},o.prototype.bytes=function(t){var i=(t=s.isString(t)?s.Buffer.from(t,"base64"):t).length>>>0;return this.uint32(i),i&&(this.N(i),this.buf.set(t,this.pos),this.pos+=i),this},o.prototype.string=function(t){var i,r,n=t.length;if(n){if(n<128)return this.N(3*n+5),i=this.pos,r=this.buf,this.S(i,n<40?s.utf8.write(t,r,i+1):e(t,r,i+1));n=s.Buffer.byteLength(t);this.uint32(n),this.N(n),e(t,this.buf,this.pos),this.pos+=n}else this.N(1),this.buf[this.pos++]=0;return this},o.l()},{37:37,44:44}]},e={},(i=function t(i){var r=e[i];return r||n[i][0].call(r=e[i]={exports:{}},t,r,r.exports),r.exports}([10][0])).util.global.protobuf=i,"function"==typeof define&&define.amd&&define(["long"],function(t){return t&&t.isLong&&(i.util.Long=t,i.configure()),i}),"object"==typeof module&&module&&module.exports&&(module.exports=i)}();
@@ -0,0 +1,606 @@
+/**
+ * REOT - Service Worker 预缓存清单
+ * 此文件由 scripts/build-precache.js 生成，请勿手动修改（执行 npm run precache 更新）
+ */
+
+self.REOT_PRECACHE = {
+    version: '6de00d808b01a383',
+    files: [
+        'index.html',
+        'manifest.webmanifest',
+        'assets/css/code-editor.css',
+        'assets/css/components/buttons.css',
+        'assets/css/components/forms.css',
+        'assets/css/main.css',
+        'assets/css/themes/dark.css',
+        'assets/css/themes/light.css',
+        'assets/images/logo.svg',
+        'assets/js/bytes.js',
+        'assets/js/code-editor.js',
+        'assets/js/i18n.js',
+        'assets/js/keys.js',
+        'assets/js/libs/x509.js',
+        'assets/js/loader.js',
+        'assets/js/main.js',
+        'assets/js/operations/compression.js',
+        'assets/js/operations/encoding.js',
+        'assets/js/operations/encryption.js',
+        'assets/js/operations/protocol.js',
+        'assets/js/operations.js',
+        'assets/js/router.js',
+        'assets/js/state.js',
+        'assets/js/tools-registry.js',
+        'assets/js/utils.js',
+        'assets/js/workers.js',
+        'libs/bcrypt/bcrypt.min.js',
+        'libs/brotli-wasm/index.web.js',
+        'libs/brotli-wasm/pkg.web/brotli_wasm.js',
+        'libs/brotli-wasm/pkg.web/brotli_wasm_bg.wasm',
+        'libs/cbor/cbor.min.js',
+        'libs/crypto-js/crypto-js.min.js',
+        'libs/exif/exifr.min.js',
+        'libs/fzstd/fzstd.min.js',
+        'libs/html5-qrcode/html5-qrcode.min.js',
+        'libs/js-sha3/sha3.min.js',
+        'libs/js-yaml/js-yaml.min.js',
+        'libs/jsbarcode/JsBarcode.all.min.js',
+        'libs/long/long.min.js',
+        'libs/pako/pako.min.js',
+        'libs/protobufjs/protobuf.min.js',
+        'libs/qrcode-generator/qrcode.min.js',
+        'libs/spark-md5/spark-md5.min.js',
+        'libs/xxhash/xxhash.min.js',
+        'locales/en-US.json',
+        'locales/zh-CN.json',
+        'tools/binary/binary-editor/binary-editor.css',
+        'tools/binary/binary-editor/binary-editor.html',
+        'tools/binary/binary-editor/binary-editor.js',
+        'tools/binary/binary-editor/locales/en-US.json',
+        'tools/binary/binary-editor/locales/zh-CN.json',
+        'tools/binary/byte-order/byte-order.css',
+        'tools/binary/byte-order/byte-order.html',
+        'tools/binary/byte-order/byte-order.js',
+        'tools/binary/byte-order/locales/en-US.json',
+        'tools/binary/byte-order/locales/zh-CN.json',
+        'tools/binary/file-hash/file-hash-core.js',
+        'tools/binary/file-hash/file-hash-worker.js',
+        'tools/binary/file-hash/file-hash.css',
+        'tools/binary/file-hash/file-hash.html',
+        'tools/binary/file-hash/file-hash.js',
+        'tools/binary/file-hash/locales/en-US.json',
+        'tools/binary/file-hash/locales/zh-CN.json',
+        'tools/binary/file-type/file-type.css',
+        'tools/binary/file-type/file-type.html',
+        'tools/binary/file-type/file-type.js',
+        'tools/binary/file-type/locales/en-US.json',
+        'tools/binary/file-type/locales/zh-CN.json',
+        'tools/binary/hex-viewer/hex-viewer.css',
+        'tools/binary/hex-viewer/hex-viewer.html',
+        'tools/binary/hex-viewer/hex-viewer.js',
+        'tools/binary/hex-viewer/locales/en-US.json',
+        'tools/binary/hex-viewer/locales/zh-CN.json',
+        'tools/compression/brotli/brotli.css',
+        'tools/compression/brotli/brotli.html',
+        'tools/compression/brotli/brotli.js',
+        'tools/compression/brotli/locales/en-US.json',
+        'tools/compression/brotli/locales/zh-CN.json',
+        'tools/compression/deflate/deflate.css',
+        'tools/compression/deflate/deflate.html',
+        'tools/compression/deflate/deflate.js',
+        'tools/compression/deflate/locales/en-US.json',
+        'tools/compression/deflate/locales/zh-CN.json',
+        'tools/compression/gzip/gzip.css',
+        'tools/compression/gzip/gzip.html',
+        'tools/compression/gzip/gzip.js',
+        'tools/compression/gzip/locales/en-US.json',
+        'tools/compression/gzip/locales/zh-CN.json',
+        'tools/compression/lz4/locales/en-US.json',
+        'tools/compression/lz4/locales/zh-CN.json',
+        'tools/compression/lz4/lz4.css',
+        'tools/compression/lz4/lz4.html',
+        'tools/compression/lz4/lz4.js',
+        'tools/compression/zstd/locales/en-US.json',
+        'tools/compression/zstd/locales/zh-CN.json',
+        'tools/compression/zstd/zstd-codec.js',
+        'tools/compression/zstd/zstd.css',
+        'tools/compression/zstd/zstd.html',
+        'tools/compression/zstd/zstd.js',
+        'tools/converters/byte-unit/byte-unit.css',
+        'tools/converters/byte-unit/byte-unit.html',
+        'tools/converters/byte-unit/byte-unit.js',
+        'tools/converters/byte-unit/locales/en-US.json',
+        'tools/converters/byte-unit/locales/zh-CN.json',
+        'tools/converters/color/color.css',
+        'tools/converters/color/color.html',
+        'tools/converters/color/color.js',
+        'tools/converters/color/locales/en-US.json',
+        'tools/converters/color/locales/zh-CN.json',
+        'tools/converters/ieee754/ieee754.css',
+        'tools/converters/ieee754/ieee754.html',
+        'tools/converters/ieee754/ieee754.js',
+        'tools/converters/ieee754/locales/en-US.json',
+        'tools/converters/ieee754/locales/zh-CN.json',
+        'tools/converters/number-base/locales/en-US.json',
+        'tools/converters/number-base/locales/zh-CN.json',
+        'tools/converters/number-base/number-base.css',
+        'tools/converters/number-base/number-base.html',
+        'tools/converters/number-base/number-base.js',
+        'tools/converters/time-unit/locales/en-US.json',
+        'tools/converters/time-unit/locales/zh-CN.json',
+        'tools/converters/time-unit/time-unit.css',
+        'tools/converters/time-unit/time-unit.html',
+        'tools/converters/time-unit/time-unit.js',
+        'tools/crypto/x509-certificate/locales/en-US.json',
+        'tools/crypto/x509-certificate/locales/zh-CN.json',
+        'tools/crypto/x509-certificate/x509-certificate.css',
+        'tools/crypto/x509-certificate/x509-certificate.html',
+        'tools/crypto/x509-certificate/x509-certificate.js',
+        'tools/encoding/ascii/ascii.css',
+        'tools/encoding/ascii/ascii.html',
+        'tools/encoding/ascii/ascii.js',
+        'tools/encoding/ascii/locales/en-US.json',
+        'tools/encoding/ascii/locales/zh-CN.json',
+        'tools/encoding/base32/base32.html',
+        'tools/encoding/base32/base32.js',
+        'tools/encoding/base32/locales/en-US.json',
+        'tools/encoding/base32/locales/zh-CN.json',
+        'tools/encoding/base58/base58.html',
+        'tools/encoding/base58/base58.js',
+        'tools/encoding/base58/locales/en-US.json',
+        'tools/encoding/base58/locales/zh-CN.json',
+        'tools/encoding/base64/base64.css',
+        'tools/encoding/base64/base64.html',
+        'tools/encoding/base64/base64.js',
+        'tools/encoding/cbor/cbor.css',
+        'tools/encoding/cbor/cbor.html',
+        'tools/encoding/cbor/cbor.js',
+        'tools/encoding/cbor/locales/en-US.json',
+        'tools/encoding/cbor/locales/zh-CN.json',
+        'tools/encoding/hex/hex.html',
+        'tools/encoding/hex/hex.js',
+        'tools/encoding/hex/locales/en-US.json',
+        'tools/encoding/hex/locales/zh-CN.json',
+        'tools/encoding/html-entity/html-entity.html',
+        'tools/encoding/html-entity/html-entity.js',
+        'tools/encoding/html-entity/locales/en-US.json',
+        'tools/encoding/html-entity/locales/zh-CN.json',
+        'tools/encoding/morse/locales/en-US.json',
+        'tools/encoding/morse/locales/zh-CN.json',
+        'tools/encoding/morse/morse.html',
+        'tools/encoding/morse/morse.js',
+        'tools/encoding/punycode/locales/en-US.json',
+        'tools/encoding/punycode/locales/zh-CN.json',
+        'tools/encoding/punycode/punycode.html',
+        'tools/encoding/punycode/punycode.js',
+        'tools/encoding/rot13/locales/en-US.json',
+        'tools/encoding/rot13/locales/zh-CN.json',
+        'tools/encoding/rot13/rot13.html',
+        'tools/encoding/rot13/rot13.js',
+        'tools/encoding/unicode/locales/en-US.json',
+        'tools/encoding/unicode/locales/zh-CN.json',
+        'tools/encoding/unicode/unicode.html',
+        'tools/encoding/unicode/unicode.js',
+        'tools/encoding/url-encode/url-encode.html',
+        'tools/encoding/url-encode/url-encode.js',
+        'tools/encryption/aes/aes-core.js',
+        'tools/encryption/aes/aes.css',
+        'tools/encryption/aes/aes.html',
+        'tools/encryption/aes/aes.js',
+        'tools/encryption/aes/locales/en-US.json',
+        'tools/encryption/aes/locales/zh-CN.json',
+        'tools/encryption/blowfish/blowfish.css',
+        'tools/encryption/blowfish/blowfish.html',
+        'tools/encryption/blowfish/blowfish.js',
+        'tools/encryption/blowfish/locales/en-US.json',
+        'tools/encryption/blowfish/locales/zh-CN.json',
+        'tools/encryption/chacha20/chacha20-core.js',
+        'tools/encryption/chacha20/chacha20.css',
+        'tools/encryption/chacha20/chacha20.html',
+        'tools/encryption/chacha20/chacha20.js',
+        'tools/encryption/chacha20/locales/en-US.json',
+        'tools/encryption/chacha20/locales/zh-CN.json',
+        'tools/encryption/des/des.css',
+        'tools/encryption/des/des.html',
+        'tools/encryption/des/des.js',
+        'tools/encryption/des/locales/en-US.json',
+        'tools/encryption/des/locales/zh-CN.json',
+        'tools/encryption/ecc/ecc-core.js',
+        'tools/encryption/ecc/ecc.css',
+        'tools/encryption/ecc/ecc.html',
+        'tools/encryption/ecc/ecc.js',
+        'tools/encryption/ecc/locales/en-US.json',
+        'tools/encryption/ecc/locales/zh-CN.json',
+        'tools/encryption/ed25519/ed25519.css',
+        'tools/encryption/ed25519/ed25519.html',
+        'tools/encryption/ed25519/ed25519.js',
+        'tools/encryption/ed25519/locales/en-US.json',
+        'tools/encryption/ed25519/locales/zh-CN.json',
+        'tools/encryption/rc4/locales/en-US.json',
+        'tools/encryption/rc4/locales/zh-CN.json',
+        'tools/encryption/rc4/rc4-core.js',
+        'tools/encryption/rc4/rc4.css',
+        'tools/encryption/rc4/rc4.html',
+        'tools/encryption/rc4/rc4.js',
+        'tools/encryption/rsa/locales/en-US.json',
+        'tools/encryption/rsa/locales/zh-CN.json',
+        'tools/encryption/rsa/rsa-core.js',
+        'tools/encryption/rsa/rsa.css',
+        'tools/encryption/rsa/rsa.html',
+        'tools/encryption/rsa/rsa.js',
+        'tools/encryption/rsa-attack/locales/en-US.json',
+        'tools/encryption/rsa-attack/locales/zh-CN.json',
+        'tools/encryption/rsa-attack/rsa-attack-core.js',
+        'tools/encryption/rsa-attack/rsa-attack-worker.js',
+        'tools/encryption/rsa-attack/rsa-attack.css',
+        'tools/encryption/rsa-attack/rsa-attack.html',
+        'tools/encryption/rsa-attack/rsa-attack.js',
+        'tools/encryption/sm2/locales/en-US.json',
+        'tools/encryption/sm2/locales/zh-CN.json',
+        'tools/encryption/sm2/sm2.css',
+        'tools/encryption/sm2/sm2.html',
+        'tools/encryption/sm2/sm2.js',
+        'tools/encryption/sm2/sm3-core.js',
+        'tools/encryption/sm4/locales/en-US.json',
+        'tools/encryption/sm4/locales/zh-CN.json',
+        'tools/encryption/sm4/sm4.css',
+        'tools/encryption/sm4/sm4.html',
+        'tools/encryption/sm4/sm4.js',
+        'tools/formatting/css/css.css',
+        'tools/formatting/css/css.html',
+        'tools/formatting/css/css.js',
+        'tools/formatting/css/locales/en-US.json',
+        'tools/formatting/css/locales/zh-CN.json',
+        'tools/formatting/csv/csv.css',
+        'tools/formatting/csv/csv.html',
+        'tools/formatting/csv/csv.js',
+        'tools/formatting/csv/locales/en-US.json',
+        'tools/formatting/csv/locales/zh-CN.json',
+        'tools/formatting/graphql/graphql.css',
+        'tools/formatting/graphql/graphql.html',
+        'tools/formatting/graphql/graphql.js',
+        'tools/formatting/graphql/locales/en-US.json',
+        'tools/formatting/graphql/locales/zh-CN.json',
+        'tools/formatting/html/html.css',
+        'tools/formatting/html/html.html',
+        'tools/formatting/html/html.js',
+        'tools/formatting/html/locales/en-US.json',
+        'tools/formatting/html/locales/zh-CN.json',
+        'tools/formatting/javascript/javascript.css',
+        'tools/formatting/javascript/javascript.html',
+        'tools/formatting/javascript/javascript.js',
+        'tools/formatting/javascript/locales/en-US.json',
+        'tools/formatting/javascript/locales/zh-CN.json',
+        'tools/formatting/json/json.css',
+        'tools/formatting/json/json.html',
+        'tools/formatting/json/json.js',
+        'tools/formatting/json/locales/en-US.json',
+        'tools/formatting/json/locales/zh-CN.json',
+        'tools/formatting/sql/locales/en-US.json',
+        'tools/formatting/sql/locales/zh-CN.json',
+        'tools/formatting/sql/sql.css',
+        'tools/formatting/sql/sql.html',
+        'tools/formatting/sql/sql.js',
+        'tools/formatting/toml/locales/en-US.json',
+        'tools/formatting/toml/locales/zh-CN.json',
+        'tools/formatting/toml/toml.css',
+        'tools/formatting/toml/toml.html',
+        'tools/formatting/toml/toml.js',
+        'tools/formatting/xml/locales/en-US.json',
+        'tools/formatting/xml/locales/zh-CN.json',
+        'tools/formatting/xml/xml.css',
+        'tools/formatting/xml/xml.html',
+        'tools/formatting/xml/xml.js',
+        'tools/formatting/yaml/locales/en-US.json',
+        'tools/formatting/yaml/locales/zh-CN.json',
+        'tools/formatting/yaml/yaml.css',
+        'tools/formatting/yaml/yaml.html',
+        'tools/formatting/yaml/yaml.js',
+        'tools/generators/barcode-scanner/barcode-scanner.css',
+        'tools/generators/barcode-scanner/barcode-scanner.html',
+        'tools/generators/barcode-scanner/barcode-scanner.js',
+        'tools/generators/barcode-scanner/locales/en-US.json',
+        'tools/generators/barcode-scanner/locales/zh-CN.json',
+        'tools/generators/keypair/keypair.css',
+        'tools/generators/keypair/keypair.html',
+        'tools/generators/keypair/keypair.js',
+        'tools/generators/keypair/locales/en-US.json',
+        'tools/generators/keypair/locales/zh-CN.json',
+        'tools/generators/lorem-ipsum/locales/en-US.json',
+        'tools/generators/lorem-ipsum/locales/zh-CN.json',
+        'tools/generators/lorem-ipsum/lorem-ipsum.css',
+        'tools/generators/lorem-ipsum/lorem-ipsum.html',
+        'tools/generators/lorem-ipsum/lorem-ipsum.js',
+        'tools/generators/objectid/locales/en-US.json',
+        'tools/generators/objectid/locales/zh-CN.json',
+        'tools/generators/objectid/objectid.css',
+        'tools/generators/objectid/objectid.html',
+        'tools/generators/objectid/objectid.js',
+        'tools/generators/password/locales/en-US.json',
+        'tools/generators/password/locales/zh-CN.json',
+        'tools/generators/password/password.css',
+        'tools/generators/password/password.html',
+        'tools/generators/password/password.js',
+        'tools/generators/qrcode/locales/en-US.json',
+        'tools/generators/qrcode/locales/zh-CN.json',
+        'tools/generators/qrcode/qrcode.css',
+        'tools/generators/qrcode/qrcode.html',
+        'tools/generators/qrcode/qrcode.js',
+        'tools/generators/random-string/locales/en-US.json',
+        'tools/generators/random-string/locales/zh-CN.json',
+        'tools/generators/random-string/random-string.css',
+        'tools/generators/random-string/random-string.html',
+        'tools/generators/random-string/random-string.js',
+        'tools/generators/snowflake/locales/en-US.json',
+        'tools/generators/snowflake/locales/zh-CN.json',
+        'tools/generators/snowflake/snowflake.css',
+        'tools/generators/snowflake/snowflake.html',
+        'tools/generators/snowflake/snowflake.js',
+        'tools/generators/timestamp/locales/en-US.json',
+        'tools/generators/timestamp/locales/zh-CN.json',
+        'tools/generators/timestamp/timestamp.css',
+        'tools/generators/timestamp/timestamp.html',
+        'tools/generators/timestamp/timestamp.js',
+        'tools/generators/timestamp-guesser/locales/en-US.json',
+        'tools/generators/timestamp-guesser/locales/zh-CN.json',
+        'tools/generators/timestamp-guesser/timestamp-guesser.css',
+        'tools/generators/timestamp-guesser/timestamp-guesser.html',
+        'tools/generators/timestamp-guesser/timestamp-guesser.js',
+        'tools/generators/ulid/locales/en-US.json',
+        'tools/generators/ulid/locales/zh-CN.json',
+        'tools/generators/ulid/ulid.css',
+        'tools/generators/ulid/ulid.html',
+        'tools/generators/ulid/ulid.js',
+        'tools/generators/uuid/locales/en-US.json',
+        'tools/generators/uuid/locales/zh-CN.json',
+        'tools/generators/uuid/uuid.html',
+        'tools/generators/uuid/uuid.js',
+        'tools/hashing/blake2/blake2-core.js',
+        'tools/hashing/blake2/blake2.css',
+        'tools/hashing/blake2/blake2.html',
+        'tools/hashing/blake2/blake2.js',
+        'tools/hashing/blake2/blake3-core.js',
+        'tools/hashing/blake2/locales/en-US.json',
+        'tools/hashing/blake2/locales/zh-CN.json',
+        'tools/hashing/crc/crc-core.js',
+        'tools/hashing/crc/crc-worker.js',
+        'tools/hashing/crc/crc.css',
+        'tools/hashing/crc/crc.html',
+        'tools/hashing/crc/crc.js',
+        'tools/hashing/crc/locales/en-US.json',
+        'tools/hashing/crc/locales/zh-CN.json',
+        'tools/hashing/hash-identifier/hash-crack-core.js',
+        'tools/hashing/hash-identifier/hash-crack-worker.js',
+        'tools/hashing/hash-identifier/hash-formats.js',
+        'tools/hashing/hash-identifier/hash-identifier.css',
+        'tools/hashing/hash-identifier/hash-identifier.html',
+        'tools/hashing/hash-identifier/hash-identifier.js',
+        'tools/hashing/hash-identifier/locales/en-US.json',
+        'tools/hashing/hash-identifier/locales/zh-CN.json',
+        'tools/hashing/hkdf/hkdf.css',
+        'tools/hashing/hkdf/hkdf.html',
+        'tools/hashing/hkdf/hkdf.js',
+        'tools/hashing/hkdf/locales/en-US.json',
+        'tools/hashing/hkdf/locales/zh-CN.json',
+        'tools/hashing/hmac/hmac-core.js',
+        'tools/hashing/hmac/hmac.css',
+        'tools/hashing/hmac/hmac.html',
+        'tools/hashing/hmac/hmac.js',
+        'tools/hashing/hmac/locales/en-US.json',
+        'tools/hashing/hmac/locales/zh-CN.json',
+        'tools/hashing/kdf/kdf-core.js',
+        'tools/hashing/kdf/kdf-worker.js',
+        'tools/hashing/kdf/kdf.css',
+        'tools/hashing/kdf/kdf.html',
+        'tools/hashing/kdf/kdf.js',
+        'tools/hashing/kdf/locales/en-US.json',
+        'tools/hashing/kdf/locales/zh-CN.json',
+        'tools/hashing/length-extension/length-extension-core.js',
+        'tools/hashing/length-extension/length-extension.css',
+        'tools/hashing/length-extension/length-extension.html',
+        'tools/hashing/length-extension/length-extension.js',
+        'tools/hashing/length-extension/locales/en-US.json',
+        'tools/hashing/length-extension/locales/zh-CN.json',
+        'tools/hashing/md5/locales/en-US.json',
+        'tools/hashing/md5/locales/zh-CN.json',
+        'tools/hashing/md5/md-core.js',
+        'tools/hashing/md5/md5.html',
+        'tools/hashing/md5/md5.js',
+        'tools/hashing/ripemd/locales/en-US.json',
+        'tools/hashing/ripemd/locales/zh-CN.json',
+        'tools/hashing/ripemd/ripemd-core.js',
+        'tools/hashing/ripemd/ripemd.css',
+        'tools/hashing/ripemd/ripemd.html',
+        'tools/hashing/ripemd/ripemd.js',
+        'tools/hashing/sha/locales/en-US.json',
+        'tools/hashing/sha/locales/zh-CN.json',
+        'tools/hashing/sha/sha-core.js',
+        'tools/hashing/sha/sha.html',
+        'tools/hashing/sha/sha.js',
+        'tools/hashing/sha3/k12-core.js',
+        'tools/hashing/sha3/locales/en-US.json',
+        'tools/hashing/sha3/locales/zh-CN.json',
+        'tools/hashing/sha3/sha3.css',
+        'tools/hashing/sha3/sha3.html',
+        'tools/hashing/sha3/sha3.js',
+        'tools/hashing/xxhash/locales/en-US.json',
+        'tools/hashing/xxhash/locales/zh-CN.json',
+        'tools/hashing/xxhash/xxhash.css',
+        'tools/hashing/xxhash/xxhash.html',
+        'tools/hashing/xxhash/xxhash.js',
+        'tools/media/exif-viewer/exif-viewer.css',
+        'tools/media/exif-viewer/exif-viewer.html',
+        'tools/media/exif-viewer/exif-viewer.js',
+        'tools/media/exif-viewer/locales/en-US.json',
+        'tools/media/exif-viewer/locales/zh-CN.json',
+        'tools/network/cidr/cidr.css',
+        'tools/network/cidr/cidr.html',
+        'tools/network/cidr/cidr.js',
+        'tools/network/cidr/locales/en-US.json',
+        'tools/network/cidr/locales/zh-CN.json',
+        'tools/network/cookie-parser/cookie-parser.css',
+        'tools/network/cookie-parser/cookie-parser.html',
+        'tools/network/cookie-parser/cookie-parser.js',
+        'tools/network/cookie-parser/locales/en-US.json',
+        'tools/network/cookie-parser/locales/zh-CN.json',
+        'tools/network/curl-converter/curl-converter.css',
+        'tools/network/curl-converter/curl-converter.html',
+        'tools/network/curl-converter/curl-converter.js',
+        'tools/network/curl-converter/generators/base.js',
+        'tools/network/curl-converter/generators/csharp.js',
+        'tools/network/curl-converter/generators/go.js',
+        'tools/network/curl-converter/generators/index.js',
+        'tools/network/curl-converter/generators/java.js',
+        'tools/network/curl-converter/generators/javascript.js',
+        'tools/network/curl-converter/generators/kotlin.js',
+        'tools/network/curl-converter/generators/php.js',
+        'tools/network/curl-converter/generators/python.js',
+        'tools/network/curl-converter/generators/ruby.js',
+        'tools/network/curl-converter/generators/rust.js',
+        'tools/network/curl-converter/generators/swift.js',
+        'tools/network/curl-converter/locales/en-US.json',
+        'tools/network/curl-converter/locales/zh-CN.json',
+        'tools/network/http-headers/http-headers.css',
+        'tools/network/http-headers/http-headers.html',
+        'tools/network/http-headers/http-headers.js',
+        'tools/network/http-headers/locales/en-US.json',
+        'tools/network/http-headers/locales/zh-CN.json',
+        'tools/network/ip-converter/ip-converter.css',
+        'tools/network/ip-converter/ip-converter.html',
+        'tools/network/ip-converter/ip-converter.js',
+        'tools/network/ip-converter/locales/en-US.json',
+        'tools/network/ip-converter/locales/zh-CN.json',
+        'tools/network/url-parser/locales/en-US.json',
+        'tools/network/url-parser/locales/zh-CN.json',
+        'tools/network/url-parser/url-parser.css',
+        'tools/network/url-parser/url-parser.html',
+        'tools/network/url-parser/url-parser.js',
+        'tools/network/user-agent/locales/en-US.json',
+        'tools/network/user-agent/locales/zh-CN.json',
+        'tools/network/user-agent/user-agent.css',
+        'tools/network/user-agent/user-agent.html',
+        'tools/network/user-agent/user-agent.js',
+        'tools/protocol/asn1/asn1.css',
+        'tools/protocol/asn1/asn1.html',
+        'tools/protocol/asn1/asn1.js',
+        'tools/protocol/asn1/locales/en-US.json',
+        'tools/protocol/asn1/locales/zh-CN.json',
+        'tools/protocol/jwt/jwt-crack-worker.js',
+        'tools/protocol/jwt/jwt.css',
+        'tools/protocol/jwt/jwt.html',
+        'tools/protocol/jwt/jwt.js',
+        'tools/protocol/jwt/locales/en-US.json',
+        'tools/protocol/jwt/locales/zh-CN.json',
+        'tools/protocol/msgpack/locales/en-US.json',
+        'tools/protocol/msgpack/locales/zh-CN.json',
+        'tools/protocol/msgpack/msgpack-core.js',
+        'tools/protocol/msgpack/msgpack.css',
+        'tools/protocol/msgpack/msgpack.html',
+        'tools/protocol/msgpack/msgpack.js',
+        'tools/protocol/pem/locales/en-US.json',
+        'tools/protocol/pem/locales/zh-CN.json',
+        'tools/protocol/pem/pem.css',
+        'tools/protocol/pem/pem.html',
+        'tools/protocol/pem/pem.js',
+        'tools/protocol/plist/locales/en-US.json',
+        'tools/protocol/plist/locales/zh-CN.json',
+        'tools/protocol/plist/plist.css',
+        'tools/protocol/plist/plist.html',
+        'tools/protocol/plist/plist.js',
+        'tools/protocol/protobuf/locales/en-US.json',
+        'tools/protocol/protobuf/locales/zh-CN.json',
+        'tools/protocol/protobuf/protobuf-core.js',
+        'tools/protocol/protobuf/protobuf.css',
+        'tools/protocol/protobuf/protobuf.html',
+        'tools/protocol/protobuf/protobuf.js',
+        'tools/protocol/x509/locales/en-US.json',
+        'tools/protocol/x509/locales/zh-CN.json',
+        'tools/protocol/x509/x509.css',
+        'tools/protocol/x509/x509.html',
+        'tools/protocol/x509/x509.js',
+        'tools/reverse/block-cipher/block-cipher.css',
+        'tools/reverse/block-cipher/block-cipher.html',
+        'tools/reverse/block-cipher/block-cipher.js',
+        'tools/reverse/block-cipher/locales/en-US.json',
+        'tools/reverse/block-cipher/locales/zh-CN.json',
+        'tools/reverse/classical-cipher/classical-cipher.css',
+        'tools/reverse/classical-cipher/classical-cipher.html',
+        'tools/reverse/classical-cipher/classical-cipher.js',
+        'tools/reverse/classical-cipher/classical-core.js',
+        'tools/reverse/classical-cipher/locales/en-US.json',
+        'tools/reverse/classical-cipher/locales/zh-CN.json',
+        'tools/reverse/frequency-analyzer/frequency-analyzer.css',
+        'tools/reverse/frequency-analyzer/frequency-analyzer.html',
+        'tools/reverse/frequency-analyzer/frequency-analyzer.js',
+        'tools/reverse/frequency-analyzer/frequency-core.js',
+        'tools/reverse/frequency-analyzer/locales/en-US.json',
+        'tools/reverse/frequency-analyzer/locales/zh-CN.json',
+        'tools/reverse/offset-calculator/locales/en-US.json',
+        'tools/reverse/offset-calculator/locales/zh-CN.json',
+        'tools/reverse/offset-calculator/offset-calculator.css',
+        'tools/reverse/offset-calculator/offset-calculator.html',
+        'tools/reverse/offset-calculator/offset-calculator.js',
+        'tools/reverse/pattern-search/locales/en-US.json',
+        'tools/reverse/pattern-search/locales/zh-CN.json',
+        'tools/reverse/pattern-search/pattern-search.css',
+        'tools/reverse/pattern-search/pattern-search.html',
+        'tools/reverse/pattern-search/pattern-search.js',
+        'tools/reverse/recipe/locales/en-US.json',
+        'tools/reverse/recipe/locales/zh-CN.json',
+        'tools/reverse/recipe/recipe.css',
+        'tools/reverse/recipe/recipe.html',
+        'tools/reverse/recipe/recipe.js',
+        'tools/reverse/strings-extractor/locales/en-US.json',
+        'tools/reverse/strings-extractor/locales/zh-CN.json',
+        'tools/reverse/strings-extractor/strings-extractor.css',
+        'tools/reverse/strings-extractor/strings-extractor.html',
+        'tools/reverse/strings-extractor/strings-extractor.js',
+        'tools/reverse/struct-parser/locales/en-US.json',
+        'tools/reverse/struct-parser/locales/zh-CN.json',
+        'tools/reverse/struct-parser/struct-parser.css',
+        'tools/reverse/struct-parser/struct-parser.html',
+        'tools/reverse/struct-parser/struct-parser.js',
+        'tools/reverse/xor-analyzer/locales/en-US.json',
+        'tools/reverse/xor-analyzer/locales/zh-CN.json',
+        'tools/reverse/xor-analyzer/xor-analyzer.css',
+        'tools/reverse/xor-analyzer/xor-analyzer.html',
+        'tools/reverse/xor-analyzer/xor-analyzer.js',
+        'tools/reverse/xor-analyzer/xor-core.js',
+        'tools/system/chmod/chmod.css',
+        'tools/system/chmod/chmod.html',
+        'tools/system/chmod/chmod.js',
+        'tools/system/chmod/locales/en-US.json',
+        'tools/system/chmod/locales/zh-CN.json',
+        'tools/system/crontab/crontab.css',
+        'tools/system/crontab/crontab.html',
+        'tools/system/crontab/crontab.js',
+        'tools/system/crontab/locales/en-US.json',
+        'tools/system/crontab/locales/zh-CN.json',
+        'tools/text/case-converter/case-converter.html',
+        'tools/text/case-converter/case-converter.js',
+        'tools/text/case-converter/locales/en-US.json',
+        'tools/text/case-converter/locales/zh-CN.json',
+        'tools/text/dedup/locales/en-US.json',
+        'tools/text/dedup/locales/zh-CN.json',
+        'tools/text/dedup/text-dedup.html',
+        'tools/text/dedup/text-dedup.js',
+        'tools/text/diff/locales/en-US.json',
+        'tools/text/diff/locales/zh-CN.json',
+        'tools/text/diff/text-diff.css',
+        'tools/text/diff/text-diff.html',
+        'tools/text/diff/text-diff.js',
+        'tools/text/regex/locales/en-US.json',
+        'tools/text/regex/locales/zh-CN.json',
+        'tools/text/regex/regex.css',
+        'tools/text/regex/regex.html',
+        'tools/text/regex/regex.js',
+        'tools/text/sort/locales/en-US.json',
+        'tools/text/sort/locales/zh-CN.json',
+        'tools/text/sort/text-sort.html',
+        'tools/text/sort/text-sort.js',
+        'tools/text/statistics/locales/en-US.json',
+        'tools/text/statistics/locales/zh-CN.json',
+        'tools/text/statistics/text-statistics.css',
+        'tools/text/statistics/text-statistics.html',
+        'tools/text/statistics/text-statistics.js'
+    ]
+};
@@ -0,0 +1,113 @@
+/**
+ * REOT - 预缓存清单生成脚本
+ * 扫描应用外壳、第三方库和全部工具页面，生成 Service Worker 使用的 precache-manifest.js
+ * 清单版本号由文件内容计算，任何文件变化都会让已安装的 Service Worker 更新缓存
+ *
+ * 用法: npm run precache（新增或修改工具、依赖后执行，并提交生成的文件）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+/* eslint-env node */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+
+// 根目录下需要缓存的文件
+const SHELL_FILES = ['index.html', 'manifest.webmanifest'];
+
+// 递归扫描的目录
+const SCAN_DIRS = ['assets', 'libs', 'locales', 'tools'];
+
+// 需要缓存的文件类型
+const EXTENSIONS = new Set(['.html', '.js', '.mjs', '.css', '.json', '.svg', '.png', '.ico', '.wasm', '.woff', '.woff2']);
+
+/**
+ * 递归列出目录下需要缓存的文件（站点根目录相对路径，按字典序）
+ * @param {string} dir - 站点根目录相对路径
+ * @returns {string[]}
+ */
+function walk(dir) {
+    const entries = fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    return entries.flatMap(entry => {
+        const relative = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) {
+            return walk(relative);
+        }
+        return EXTENSIONS.has(path.extname(entry.name).toLowerCase()) ? [relative] : [];
+    });
+}
+
+/**
+ * 收集全部预缓存文件
+ * @returns {string[]}
+ */
+function collectFiles() {
+    return [...SHELL_FILES, ...SCAN_DIRS.flatMap(walk)];
+}
+
+/**
+ * 根据文件路径和内容计算清单版本
+ * @param {string[]} files
+ * @returns {string}
+ */
+function computeVersion(files) {
+    const hash = crypto.createHash('sha256');
+    files.forEach(file => {
+        hash.update(file);
+        hash.update('\0');
+        hash.update(fs.readFileSync(path.join(ROOT, file)));
+        hash.update('\0');
+    });
+    return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * 生成清单脚本内容
+ * @param {string[]} files
+ * @param {string} version
+ * @returns {string}
+ */
+function render(files, version) {
+    return [
+        '/**',
+        ' * REOT - Service Worker 预缓存清单',
+        ' * 此文件由 scripts/build-precache.js 生成，请勿手动修改（执行 npm run precache 更新）',
+        ' */',
+        '',
+        'self.REOT_PRECACHE = {',
+        `    version: '${version}',`,
+        '    files: [',
+        files.map(file => `        '${file}'`).join(',\n'),
+        '    ]',
+        '};',
+        ''
+    ].join('\n');
+}
+
+/**
+ * 生成当前目录状态对应的清单内容
+ * @returns {{files: string[], version: string, content: string}}
+ */
+function build() {
+    const files = collectFiles();
+    const version = computeVersion(files);
+    return { files, version, content: render(files, version) };
+}
+
+if (require.main === module) {
+    const { files, version, content } = build();
+    fs.writeFileSync(OUTPUT, content);
+    process.stdout.write(`precache-manifest.js: ${files.length} 个文件，版本 ${version}\n`);
+}
+
+module.exports = { OUTPUT, collectFiles, computeVersion, render, build };
@@ -0,0 +1,83 @@
+/**
+ * REOT - Service Worker
+ * 离线支持：安装时预缓存应用外壳、第三方库和全部工具页面，之后静态资源优先从缓存响应，
+ * 首次访问后即可在无网络环境中使用全部工具
+ * 缓存文件列表见 precache-manifest.js（由 scripts/build-precache.js 生成）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+/* eslint-env serviceworker */
+
+'use strict';
+
+importScripts('precache-manifest.js');
+
+const CACHE_PREFIX = 'reot-precache-';
+const CACHE_NAME = CACHE_PREFIX + self.REOT_PRECACHE.version;
+const SCOPE = self.registration.scope;
+const INDEX_URL = new URL('index.html', SCOPE).href;
+
+/**
+ * 安装：预缓存清单中的全部文件
+ * 服务器对静态资源设置了长期缓存，这里绕过 HTTP 缓存，保证与清单版本一致
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(
+            self.REOT_PRECACHE.files.map(file => new Request(new URL(file, SCOPE), { cache: 'reload' }))
+        ))
+    );
+});
+
+/**
+ * 激活：清理旧版本缓存，并立即接管已打开的页面
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * 页面导航：优先请求网络，离线时回退到缓存的 index.html（由前端路由处理路径）
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(CACHE_NAME);
+        return (await cache.match(INDEX_URL)) || Response.error();
+    }
+}
+
+/**
+ * 静态资源：缓存优先，未缓存的资源直接请求网络
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleAsset(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else {
+        event.respondWith(handleAsset(request));
+    }
+});
@@ -0,0 +1,74 @@
+/**
+ * Fake Worker
+ * 在 jsdom 中模拟 Web Worker：在当前进程内执行 Worker 脚本，消息异步投递
+ * 脚本路径相对仓库根目录；也可以用 FakeWorker.define() 注册内联的 Worker 实现
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '../..');
+
+class FakeWorker {
+    constructor(url) {
+        FakeWorker.instances.push(this);
+        this.url = url;
+        this.terminated = false;
+        this.onmessage = null;
+        this.onerror = null;
+
+        // Worker 全局作用域，共享测试进程中的 REOT 命名空间
+        this.scope = {
+            REOT: global.REOT,
+            navigator: global.navigator,
+            postMessage: (data) => {
+                setTimeout(() => {
+                    if (!this.terminated && this.onmessage) {
+                        this.onmessage({ data });
+                    }
+                }, 0);
+            }
+        };
+
+        if (FakeWorker.scripts.has(url)) {
+            FakeWorker.scripts.get(url)(this.scope);
+        } else {
+            const source = fs.readFileSync(path.join(ROOT, url), 'utf8');
+            new Function('self', 'importScripts', source)(this.scope, () => {});
+        }
+    }
+
+    postMessage(data) {
+        setTimeout(() => {
+            if (!this.terminated && this.scope.onmessage) {
+                this.scope.onmessage({ data });
+            }
+        }, 0);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    /**
+     * 注册内联的 Worker 实现
+     * @param {string} url
+     * @param {Function} setup - 参数为 Worker 全局作用域
+     */
+    static define(url, setup) {
+        FakeWorker.scripts.set(url, setup);
+    }
+
+    /**
+     * 安装为全局 Worker
+     */
+    static install() {
+        global.Worker = FakeWorker;
+        window.Worker = FakeWorker;
+    }
+}
+
+FakeWorker.instances = [];
+FakeWorker.scripts = new Map();
+
+module.exports = FakeWorker;
@@ -43,6 +43,18 @@ if (!crypto.randomUUID) {
     };
 }
 
+// 模拟 TextEncoder / TextDecoder（jsdom 未提供）
+// Node 的 TextEncoder 返回的 Uint8Array 来自另一个 realm，这里重新包装以保证 instanceof 判断正确
+if (typeof TextEncoder === 'undefined') {
+    const util = require('util');
+    global.TextEncoder = class TextEncoder {
+        encode(str = '') {
+            return new Uint8Array(new util.TextEncoder().encode(str));
+        }
+    };
+    global.TextDecoder = util.TextDecoder;
+}
+
 // 全局 REOT 对象
 global.REOT = {
     utils: {},
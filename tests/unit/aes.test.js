@@ -0,0 +1,185 @@
+/**
+ * AES Core Unit Tests
+ * AES 核心单元测试（向量来自 NIST SP 800-38A、GCM 规范和 RFC 8452 的测试用例）
+ */
+
+require('../../assets/js/bytes.js');
+require('../../tools/encryption/aes/aes-core.js');
+
+const aes = REOT.aes;
+const hex = str => REOT.bytes.fromHex(str);
+const toHex = data => REOT.bytes.toHex(data);
+
+const KEY = hex('2b7e151628aed2a6abf7158809cf4f3c');
+const IV = hex('000102030405060708090a0b0c0d0e0f');
+const PLAINTEXT = hex('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e51');
+
+const GCM_KEY = hex('feffe9928665731c6d6a8f9467308308');
+const GCM_PLAINTEXT = hex('d9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a72' +
+    '1c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39');
+const GCM_AAD = hex('feedfacedeadbeeffeedfacedeadbeefabaddad2');
+
+describe('REOT.aes', () => {
+    describe('工作模式', () => {
+        test.each([
+            ['ECB', '3ad77bb40d7a3660a89ecaf32466ef97f5d3d58503b9699de785895a96fdbaaf'],
+            ['CBC', '7649abac8119b246cee98e9b12e9197d5086cb9b507219ee95db113a917678b2'],
+            ['CFB', '3b3fd92eb72dad20333449f8e83cfb4ac8a64537a0b3a93fcde3cdad9f1ce58b'],
+            ['CFB8', '3b79424c9c0dd436bace9e0ed4586a4f32b9ded50ae3ba69d472e88267fb5052'],
+            ['OFB', '3b3fd92eb72dad20333449f8e83cfb4a7789508d16918f03f53c52dac54ed825']
+        ])('%s 已知向量', (mode, expected) => {
+            const options = { mode, iv: IV, padding: 'none' };
+            const encrypted = aes.encrypt(PLAINTEXT, KEY, options);
+            expect(toHex(encrypted)).toBe(expected);
+            expect(toHex(aes.decrypt(encrypted, KEY, options).data)).toBe(toHex(PLAINTEXT));
+        });
+
+        test('CTR 已知向量', () => {
+            const counter = hex('f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff');
+            const encrypted = aes.encrypt(PLAINTEXT, KEY, { mode: 'CTR', iv: counter });
+            expect(toHex(encrypted)).toBe('874d6191b620e3261bef6864990db6ce9806f66b7970fdff8617187bb9fffdff');
+        });
+
+        test('AES-256', () => {
+            const key = hex('603deb1015ca71be2b73aef0857d77811f352c073b6108d72d9810a30914dff4');
+            const encrypted = aes.encrypt(PLAINTEXT, key, { mode: 'ECB', padding: 'none' });
+            expect(toHex(encrypted)).toBe('f3eed1bdb5d2a03c064b5a7e3db181f8591ccb10d410ed26dc5ba74a31362870');
+        });
+
+        test('流模式支持不完整的最后一块', () => {
+            ['CFB', 'CFB8', 'OFB', 'CTR'].forEach(mode => {
+                const data = PLAINTEXT.subarray(0, 21);
+                const encrypted = aes.encrypt(data, KEY, { mode, iv: IV });
+                expect(encrypted).toHaveLength(21);
+                expect(toHex(aes.decrypt(encrypted, KEY, { mode, iv: IV }).data)).toBe(toHex(data));
+            });
+        });
+
+        test('参数错误', () => {
+            expect(() => aes.encrypt(PLAINTEXT, KEY.subarray(0, 10), { mode: 'ECB' })).toThrow('AES 密钥长度必须为 16/24/32 字节，当前为 10 字节');
+            expect(() => aes.encrypt(PLAINTEXT, KEY, { mode: 'CBC', iv: IV.subarray(0, 8) })).toThrow('IV 长度必须为 16 字节，当前为 8 字节');
+            expect(() => aes.encrypt(PLAINTEXT, KEY, { mode: 'XTS' })).toThrow('不支持的 AES 模式: XTS');
+            expect(() => aes.encrypt(PLAINTEXT.subarray(0, 5), KEY, { mode: 'ECB', padding: 'none' })).toThrow('无填充模式要求输入长度为16的倍数');
+            expect(() => aes.decrypt(PLAINTEXT.subarray(0, 5), KEY, { mode: 'ECB' })).toThrow('密文长度必须是16的倍数');
+        });
+    });
+
+    describe('GCM', () => {
+        test('96 位 IV 和 AAD', () => {
+            const options = { mode: 'GCM', iv: hex('cafebabefacedbaddecaf888'), aad: GCM_AAD };
+            const encrypted = aes.encrypt(GCM_PLAINTEXT, GCM_KEY, options);
+            expect(toHex(encrypted)).toBe('42831ec2217774244b7221b784d0d49ce3aa212f2c02a4e035c17e2329aca12e' +
+                '21d514b25466931c7d8f6a5aac84aa051ba30b396a0aac973d58e091' + '5bc94fbc3221a5db94fae95ae7121a47');
+
+            const decrypted = aes.decrypt(encrypted, GCM_KEY, options);
+            expect(decrypted.tag.valid).toBe(true);
+            expect(decrypted.padding).toBeNull();
+            expect(toHex(decrypted.data)).toBe(toHex(GCM_PLAINTEXT));
+        });
+
+        test('非 96 位 IV 和截断的标签', () => {
+            const iv = hex('9313225df88406e555909c5aff5269aa6a7a9538534f7da1e4c303d2a318a728' +
+                'c3c0c95156809539fcf0e2429a6b525416aedbf5a0de6a57a637b39b');
+            const encrypted = aes.encrypt(GCM_PLAINTEXT, GCM_KEY, { mode: 'GCM', iv, aad: GCM_AAD, tagLength: 12 });
+            expect(toHex(encrypted.subarray(GCM_PLAINTEXT.length))).toBe('619cc5aefffe0bfa462af43c');
+        });
+
+        test('标签不匹配时报告而不是抛出错误', () => {
+            const options = { mode: 'GCM', iv: hex('cafebabefacedbaddecaf888') };
+            const encrypted = aes.encrypt(GCM_PLAINTEXT, GCM_KEY, options);
+            const decrypted = aes.decrypt(encrypted, GCM_KEY, { ...options, aad: GCM_AAD });
+            expect(decrypted.tag.valid).toBe(false);
+            expect(toHex(decrypted.data)).toBe(toHex(GCM_PLAINTEXT));
+            expect(() => aes.encrypt(GCM_PLAINTEXT, GCM_KEY, { ...options, tagLength: 10 })).toThrow('GCM 标签长度必须为 4、8 或 12-16 字节，当前为 10 字节');
+        });
+    });
+
+    describe('GCM-SIV', () => {
+        // RFC 8452 附录 C
+        const nonce = hex('030000000000000000000000');
+        const key128 = hex('01000000000000000000000000000000');
+        const key256 = hex('0100000000000000000000000000000000000000000000000000000000000000');
+
+        test.each([
+            [key128, '', '', 'dc20e2d83f25705bb49e439eca56de25'],
+            [key128, '0100000000000000', '', 'b5d839330ac7b786578782fff6013b815b287c22493a364c'],
+            [key128, '0200000000000000', '01', '1e6daba35669f4273b0a1a2560969cdf790d99759abd1508'],
+            [key256, '', '', '07f5f4169bbf55a8400cd47ea6fd400f'],
+            [key256, '0100000000000000', '', 'c2ef328e5c71c83b843122130f7364b761e0b97427e3df28']
+        ])('RFC 8452 向量 %#', (key, plaintext, aad, expected) => {
+            const options = { mode: 'GCM-SIV', iv: nonce, aad: hex(aad) };
+            const encrypted = aes.encrypt(hex(plaintext), key, options);
+            expect(toHex(encrypted)).toBe(expected);
+            const decrypted = aes.decrypt(encrypted, key, options);
+            expect(decrypted).toEqual({ data: hex(plaintext), padding: null, tag: { valid: true, expected: encrypted.subarray(-16) } });
+        });
+
+        test('篡改后标签校验失败', () => {
+            const options = { mode: 'GCM-SIV', iv: nonce, aad: GCM_AAD };
+            const encrypted = aes.encrypt(GCM_PLAINTEXT, key256, options);
+            encrypted[0] ^= 1;
+            expect(aes.decrypt(encrypted, key256, options).tag.valid).toBe(false);
+            expect(() => aes.encrypt(GCM_PLAINTEXT, GCM_KEY, { mode: 'GCM-SIV', iv: IV })).toThrow('GCM-SIV 的 nonce 长度必须为 12 字节，当前为 16 字节');
+            expect(() => aes.encrypt(GCM_PLAINTEXT, hex('00'.repeat(24)), options)).toThrow('GCM-SIV 密钥长度必须为 16 或 32 字节，当前为 24 字节');
+        });
+    });
+
+    describe('填充', () => {
+        const data = REOT.bytes.fromText('Hello, AES!');
+
+        test('PKCS7 与 OpenSSL 一致', () => {
+            const key = REOT.bytes.fromText('my-secret-key-16');
+            expect(toHex(aes.encrypt(data, key, { mode: 'ECB' }))).toBe('20af4527b753401b71774b40c560ca58');
+        });
+
+        test.each([
+            ['pkcs7', '0505050505'],
+            ['zero', '0000000000'],
+            ['ansix923', '0000000005']
+        ])('%s 填充内容', (padding, tail) => {
+            expect(toHex(aes.pad(data, padding).subarray(data.length))).toBe(tail);
+            expect(aes.unpad(aes.pad(data, padding), padding)).toEqual({
+                data,
+                padding: { valid: true, scheme: padding, length: 5, reason: null }
+            });
+        });
+
+        test('ISO 10126 只校验长度字节', () => {
+            const padded = aes.pad(data, 'iso10126');
+            expect(padded).toHaveLength(16);
+            expect(padded[15]).toBe(5);
+            expect(aes.unpad(padded, 'iso10126').data).toEqual(data);
+        });
+
+        test('整块数据的填充', () => {
+            const block = new Uint8Array(16);
+            expect(aes.pad(block, 'pkcs7')).toHaveLength(32);
+            expect(aes.pad(block, 'zero')).toHaveLength(16);
+            expect(aes.pad(block, 'none')).toBe(block);
+        });
+
+        test('解密时报告填充无效的原因并保留原始数据', () => {
+            const encrypted = aes.encrypt(data, KEY, { mode: 'CBC', iv: IV, padding: 'zero' });
+            const decrypted = aes.decrypt(encrypted, KEY, { mode: 'CBC', iv: IV, padding: 'pkcs7' });
+            expect(decrypted.padding).toEqual({ valid: false, scheme: 'pkcs7', length: 0, reason: '末字节 0x00 不是有效的填充长度' });
+            expect(decrypted.data).toHaveLength(16);
+
+            const padded = aes.pad(data, 'pkcs7');
+            padded[13] = 0x04;
+            expect(aes.unpad(padded, 'pkcs7').padding.reason).toBe('填充字节不一致: 倒数第 3 字节为 0x04，应为 0x05');
+            expect(aes.unpad(padded, 'ansix923').padding.valid).toBe(false);
+            expect(aes.unpad(new Uint8Array(0), 'pkcs7').padding.reason).toBe('数据为空');
+        });
+
+        test('不支持的填充方式', () => {
+            expect(() => aes.pad(data, 'pkcs5')).toThrow('不支持的填充方式: pkcs5');
+        });
+    });
+
+    test('createCipher 单块加解密', () => {
+        const cipher = aes.createCipher(KEY);
+        const block = cipher.encryptBlock(PLAINTEXT.subarray(0, 16));
+        expect(toHex(block)).toBe('3ad77bb40d7a3660a89ecaf32466ef97');
+        expect(toHex(cipher.decryptBlock(block))).toBe(toHex(PLAINTEXT.subarray(0, 16)));
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * BLAKE2 / BLAKE3 Core Unit Tests
+ * 增量式 BLAKE2b、BLAKE2s 与 BLAKE3 单元测试
+ */
+
+const nodeCrypto = require('crypto');
+
+require('../../assets/js/bytes.js');
+require('../../tools/hashing/blake2/blake2-core.js');
+require('../../tools/hashing/blake2/blake3-core.js');
+
+const hex = data => Buffer.from(data).toString('hex');
+
+// BLAKE3 官方测试向量的输入：第 i 个字节为 i % 251
+const pattern = length => Uint8Array.from({ length }, (_, i) => i % 251);
+
+/**
+ * 按固定大小分块 update
+ */
+function updateInChunks(hasher, data, size) {
+    for (let offset = 0; offset < data.length; offset += size) {
+        hasher.update(data.subarray(offset, offset + size));
+    }
+    return hasher;
+}
+
+describe('REOT.blake2', () => {
+    const blake2 = REOT.blake2;
+
+    test.each([
+        ['blake2b', 'blake2b512'],
+        ['blake2s', 'blake2s256']
+    ])('%s 分块更新与 Node 一致', (variant, nodeName) => {
+        for (const length of [0, 1, 63, 64, 65, 127, 128, 129, 1000]) {
+            const data = new Uint8Array(nodeCrypto.randomBytes(length));
+            const digest = updateInChunks(blake2.create(variant), data, 50).digest();
+            expect(hex(digest)).toBe(nodeCrypto.createHash(nodeName).update(data).digest('hex'));
+        }
+    });
+
+    test('带密钥（RFC 7693 / BLAKE2 官方 KAT）', () => {
+        const key = Uint8Array.from({ length: 64 }, (_, i) => i);
+        expect(hex(blake2.blake2b(new Uint8Array(0), { key })).slice(0, 32)).toBe('10ebb67700b1868efb4417987acf4690');
+        expect(hex(blake2.blake2s(new Uint8Array(0), { key: key.subarray(0, 32) })))
+            .toBe('48a8997da407876b3d79c0d92325ad3b89cbb754d86ab71aee047ad345fd2c49');
+    });
+
+    test('截断输出与参数检查', () => {
+        expect(blake2.blake2b('abc', { length: 32 })).toHaveLength(32);
+        expect(() => blake2.create('blake2x')).toThrow('不支持的 BLAKE2 变体');
+        expect(() => blake2.blake2s('abc', { length: 33 })).toThrow('BLAKE2s 输出长度');
+        expect(() => blake2.blake2s('abc', { key: new Uint8Array(33) })).toThrow('BLAKE2s 密钥不能超过 32 字节');
+    });
+});
+
+describe('REOT.blake3', () => {
+    const blake3 = REOT.blake3;
+    const KEY = 'whats the Elvish word for friend';
+    const CONTEXT = 'BLAKE3 2019-12-27 16:29:52 test vectors context';
+
+    test('三种模式的官方测试向量', () => {
+        expect(hex(blake3.hash(''))).toBe('af1349b9f5f9a1a6a0404dea36dcc9499bcb25c9adc112b7cc9a93cae41f3262');
+        expect(hex(blake3.hash('', { key: KEY }))).toBe('92b2b75604ed3c761f9d6f62392c8a9227ad0ea3f09573e783f1498a4ed60d26');
+        expect(hex(blake3.deriveKey(CONTEXT, ''))).toBe('2cc39783c223154fea8dfb7c1b1660f2ac2dcbd1c1de8277b0b0dd39b7e50d7d');
+        expect(hex(blake3.hash(pattern(1))).slice(0, 16)).toBe('2d3adedff11b61f1');
+        expect(hex(blake3.hash(pattern(1024)))).toBe('42214739f095a406f3fc83deb889744ac00df831c10daa55189b5d121c855af7');
+    });
+
+    test('任意长度输出的前缀一致', () => {
+        const long = blake3.hash('abc', { length: 200 });
+        expect(long).toHaveLength(200);
+        expect(hex(long.subarray(0, 32))).toBe('6437b3ac38465133ffb63b75273a8db548c558465d79db03fd359c6cd5bd9d85');
+        expect(hex(blake3.hash('', { length: 64 })).slice(64)).toBe('e00f03e7b69af26b7faaf09fcd333050338ddfe085b8cc869ca98b206c08243a');
+    });
+
+    test('多块（树结构）输入与分块方式无关', () => {
+        for (const length of [1023, 1025, 2048, 3073, 8193, 31745]) {
+            const data = pattern(length);
+            const expected = hex(blake3.hash(data, { key: KEY }));
+            for (const size of [1, 64, 1000, 4096]) {
+                const hasher = updateInChunks(blake3.create({ key: KEY }), data, size);
+                expect(hex(hasher.digest())).toBe(expected);
+            }
+        }
+    });
+
+    test('参数检查', () => {
+        expect(() => blake3.create({ key: 'short' })).toThrow('BLAKE3 密钥必须是 32 字节');
+        expect(() => blake3.create().digest(0)).toThrow('BLAKE3 输出长度');
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Block Cipher Tool Unit Tests
+ * 分组密码分析单元测试（填充预言攻击、ECB 检测、CBC 比特翻转）
+ */
+
+require('../../assets/js/i18n.js');
+require('../../assets/js/bytes.js');
+require('../../tools/encryption/aes/aes-core.js');
+
+require('../../tools/reverse/block-cipher/block-cipher.js');
+
+const tool = window.BlockCipherTool;
+const aes = REOT.aes;
+const hex = str => REOT.bytes.fromHex(str);
+const text = str => REOT.bytes.fromText(str);
+
+const KEY = hex('000102030405060708090a0b0c0d0e0f');
+const IV = hex('0f0e0d0c0b0a09080706050403020100');
+
+describe('BlockCipherTool', () => {
+    describe('paddingOracleAttack', () => {
+        test('已知密钥判定恢复全部明文', async () => {
+            const plaintext = text('user=guest;role=user');
+            const ciphertext = REOT.bytes.concat([IV, aes.encrypt(plaintext, KEY, { mode: 'CBC', iv: IV })]);
+            const steps = [];
+            const result = await tool.paddingOracleAttack(ciphertext, {
+                oracle: tool.createKeyOracle(KEY),
+                onStep: step => steps.push(step)
+            });
+
+            expect(result.cancelled).toBe(false);
+            expect(REOT.bytes.toText(result.plaintext.subarray(0, plaintext.length))).toBe('user=guest;role=user');
+            expect(Array.from(result.plaintext.subarray(plaintext.length))).toEqual(new Array(12).fill(12));
+            expect(result.recovered).toBe(32);
+            expect(steps).toHaveLength(32);
+            expect(steps[0]).toMatchObject({ block: 0, position: 15, plaintext: 0x3d, recovered: 1 });
+            expect(result.queries).toBeLessThanOrEqual(32 * 257);
+        });
+
+        test('明文以 02 02 结尾时复核末字节', async () => {
+            // 末块明文 ... 02 02，第一次命中的往往是使末字节变为 02 的猜测
+            const block = new Uint8Array(16).fill(0x41);
+            block[14] = 2;
+            block[15] = 2;
+            const ciphertext = aes.encrypt(block, KEY, { mode: 'CBC', iv: IV, padding: 'none' });
+            const result = await tool.paddingOracleAttack(ciphertext, { oracle: tool.createKeyOracle(KEY), iv: IV });
+            expect(Array.from(result.plaintext)).toEqual(Array.from(block));
+        });
+
+        test('自定义判定函数与 8 字节分组', async () => {
+            // 用 XOR "分组密码" 模拟 8 字节分组的 CBC + PKCS#7
+            const xorKey = hex('5a5a5a5a5a5a5a5a');
+            const decryptBlock = block => block.map((byte, i) => byte ^ xorKey[i]);
+            const encrypt = (data, iv) => {
+                const out = [];
+                let previous = iv;
+                for (let offset = 0; offset < data.length; offset += 8) {
+                    previous = decryptBlock(data.subarray(offset, offset + 8).map((byte, i) => byte ^ previous[i]));
+                    out.push(previous);
+                }
+                return REOT.bytes.concat(out);
+            };
+            window.testDecryptBlock = decryptBlock;
+            const oracle = tool.compileOracle(`
+                const plain = window.testDecryptBlock(data.subarray(8)).map((byte, i) => byte ^ data[i]);
+                const pad = plain[7];
+                return pad >= 1 && pad <= 8 && plain.subarray(8 - pad).every(byte => byte === pad);
+            `);
+            const iv = hex('0102030405060708');
+            const padded = REOT.bytes.concat([text('secret!!!'), new Uint8Array(7).fill(7)]);
+            const result = await tool.paddingOracleAttack(encrypt(padded, iv), { oracle, iv, blockSize: 8 });
+            expect(Array.from(result.plaintext)).toEqual(Array.from(padded));
+            delete window.testDecryptBlock;
+        });
+
+        test('取消后返回已恢复的部分', async () => {
+            const ciphertext = REOT.bytes.concat([IV, aes.encrypt(text('hello'), KEY, { mode: 'CBC', iv: IV })]);
+            let cancelled = false;
+            const result = await tool.paddingOracleAttack(ciphertext, {
+                oracle: tool.createKeyOracle(KEY),
+                onStep: step => {
+                    cancelled = step.recovered === 3;
+                },
+                isCancelled: () => cancelled
+            });
+            expect(result).toMatchObject({ cancelled: true, recovered: 3 });
+        });
+
+        test('错误处理', async () => {
+            await expect(tool.paddingOracleAttack(new Uint8Array(16), { oracle: () => true }))
+                .rejects.toThrow('密文至少需要 2 个分组（首块作为 IV），当前为 16 字节');
+            await expect(tool.paddingOracleAttack(new Uint8Array(20), { oracle: () => true }))
+                .rejects.toThrow('密文长度必须是 16 的倍数，当前为 20 字节');
+            await expect(tool.paddingOracleAttack(new Uint8Array(32), { oracle: () => false }))
+                .rejects.toThrow('第 1 块第 16 字节没有找到使填充有效的值，请检查判定函数');
+            await expect(tool.paddingOracleAttack(new Uint8Array(32), { oracle: tool.compileOracle('throw new Error("offline");') }))
+                .rejects.toThrow('判定函数执行出错: offline');
+            expect(() => tool.compileOracle('return (')).toThrow('判定函数语法错误');
+        });
+    });
+
+    describe('detectEcb', () => {
+        test('统计重复分组', () => {
+            const plaintext = REOT.bytes.concat([text('YELLOW SUBMARINE'), text('0123456789abcdef'), text('YELLOW SUBMARINE'), text('YELLOW SUBMARINE')]);
+            const ciphertext = aes.encrypt(plaintext, KEY, { mode: 'ECB', padding: 'none' });
+            const result = tool.detectEcb(REOT.bytes.concat([ciphertext, hex('abcd')]));
+
+            expect(result).toMatchObject({ blocks: 4, uniqueBlocks: 2, duplicates: 2, ratio: 0.5, trailing: 2, likelyEcb: true });
+            expect(result.repeated).toEqual([{ hex: REOT.bytes.toHex(ciphertext.subarray(0, 16)), indices: [0, 2, 3] }]);
+        });
+
+        test('CBC 密文没有重复分组', () => {
+            const plaintext = new Uint8Array(64).fill(0x41);
+            const result = tool.detectEcb(aes.encrypt(plaintext, KEY, { mode: 'CBC', iv: IV }), 16);
+            expect(result).toMatchObject({ blocks: 5, duplicates: 0, likelyEcb: false });
+            expect(tool.detectEcb(new Uint8Array(16).fill(1), 8)).toMatchObject({ blocks: 2, duplicates: 1 });
+        });
+    });
+
+    describe('cbcBitFlip', () => {
+        const plaintext = text('comment=hello;user=guest;role=user');
+
+        test('修改前一块密文后解密得到目标明文', () => {
+            const ciphertext = REOT.bytes.concat([IV, aes.encrypt(plaintext, KEY, { mode: 'CBC', iv: IV })]);
+            const result = tool.cbcBitFlip(ciphertext, { original: text('guest'), desired: text('admin'), offset: 19 });
+
+            expect(result.iv).toBeNull();
+            expect(result.garbledBlocks).toEqual([0]);
+            expect(result.changes.map(change => change.plaintextOffset)).toEqual([19, 20, 21, 22, 23]);
+            expect(result.changes[0]).toMatchObject({ block: 1, target: 'ciphertext', index: 3, delta: 0x67 ^ 0x61 });
+
+            const decrypted = aes.decrypt(result.ciphertext.subarray(16), KEY, { mode: 'CBC', iv: result.ciphertext.subarray(0, 16) });
+            expect(REOT.bytes.toText(decrypted.data.subarray(16))).toBe('er=admin;role=user');
+        });
+
+        test('第一块的修改落在单独提供的 IV 上', () => {
+            const ciphertext = aes.encrypt(plaintext, KEY, { mode: 'CBC', iv: IV });
+            const result = tool.cbcBitFlip(ciphertext, { original: text('comment'), desired: text('COMMENT'), iv: IV });
+
+            expect(result.garbledBlocks).toEqual([]);
+            expect(result.changes.every(change => change.target === 'iv')).toBe(true);
+            expect(result.ciphertext).toEqual(ciphertext);
+
+            const decrypted = aes.decrypt(result.ciphertext, KEY, { mode: 'CBC', iv: result.iv });
+            expect(REOT.bytes.toText(decrypted.data)).toBe('COMMENT=hello;user=guest;role=user');
+        });
+
+        test('参数错误', () => {
+            const ciphertext = new Uint8Array(32);
+            expect(() => tool.cbcBitFlip(ciphertext, { original: text('ab'), desired: text('abc') })).toThrow('原始明文和目标明文的长度必须相同（2 / 3 字节）');
+            expect(() => tool.cbcBitFlip(ciphertext, { original: text('ab'), desired: text('cd'), offset: 15 })).toThrow('修改范围超出明文长度（16 字节）');
+            expect(() => tool.cbcBitFlip(ciphertext, { original: text('ab'), desired: text('cd'), iv: new Uint8Array(8) })).toThrow('IV 长度必须为 16 字节，当前为 8 字节');
+        });
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * Bytes Unit Tests
+ * 字节编解码模块单元测试
+ */
+
+require('../../assets/js/bytes.js');
+
+const bytes = REOT.bytes;
+const HELLO = [0x48, 0x65, 0x6c, 0x6c, 0x6f];
+
+describe('REOT.bytes', () => {
+    describe('hex', () => {
+        test('忽略空白、0x / \\x 前缀和分隔符', () => {
+            expect(Array.from(bytes.fromHex('48 65:6C,6c-6F'))).toEqual(HELLO);
+            expect(Array.from(bytes.fromHex('0x48 0x65 0x6c 0x6c 0x6f'))).toEqual(HELLO);
+            expect(Array.from(bytes.fromHex('\\x48\\x65\\x6c\\x6c\\x6f'))).toEqual(HELLO);
+        });
+
+        test('无效字符和奇数长度给出明确错误', () => {
+            expect(() => bytes.fromHex('zz')).toThrow('无效的十六进制字符 "z"');
+            expect(() => bytes.fromHex('abc')).toThrow('十六进制数据长度必须为偶数，当前为 3 个字符');
+        });
+
+        test('输出支持分隔符和大写', () => {
+            const data = new Uint8Array([0xde, 0xad]);
+            expect(bytes.toHex(data)).toBe('dead');
+            expect(bytes.toHex(data, { separator: ' ', uppercase: true })).toBe('DE AD');
+        });
+    });
+
+    describe('base64', () => {
+        test('兼容 URL 安全字母表和缺失的填充', () => {
+            expect(Array.from(bytes.fromBase64('+/8='))).toEqual([0xfb, 0xff]);
+            expect(Array.from(bytes.fromBase64('-_8'))).toEqual([0xfb, 0xff]);
+        });
+
+        test('无效字符和长度', () => {
+            expect(() => bytes.fromBase64('ab$c')).toThrow('无效的 Base64 字符 "$"');
+            expect(() => bytes.fromBase64('abcde')).toThrow('Base64 数据长度无效');
+        });
+
+        test('Base64URL 默认去除填充', () => {
+            const data = new Uint8Array([0xfb, 0xff]);
+            expect(bytes.toBase64(data)).toBe('+/8=');
+            expect(bytes.toBase64Url(data)).toBe('-_8');
+            expect(bytes.toBase64Url(data, true)).toBe('-_8=');
+        });
+    });
+
+    describe('binary', () => {
+        test('往返转换', () => {
+            const data = new Uint8Array([0x41, 0x0f]);
+            expect(bytes.toBinary(data)).toBe('01000001 00001111');
+            expect(Array.from(bytes.fromBinary('01000001 00001111'))).toEqual([0x41, 0x0f]);
+        });
+
+        test('位数不是 8 的倍数', () => {
+            expect(() => bytes.fromBinary('0101')).toThrow('二进制数据位数必须是 8 的倍数');
+        });
+    });
+
+    describe('C 数组', () => {
+        test('解析十六进制、十进制、八进制和字符常量', () => {
+            const src = 'unsigned char buf[] = { 0x48, 101, 0154, \'l\', /* o */ 0x6f };';
+            expect(Array.from(bytes.fromCArray(src))).toEqual(HELLO);
+        });
+
+        test('超出字节范围', () => {
+            expect(() => bytes.fromCArray('{ 0x100 }')).toThrow('超出字节范围');
+        });
+
+        test('输出带变量名和长度', () => {
+            expect(bytes.toCArray(new Uint8Array([1, 2]), { name: 'key' }))
+                .toBe('unsigned char key[2] = {\n    0x01, 0x02\n};');
+        });
+    });
+
+    describe('Python bytes', () => {
+        test('解析转义和相邻字面量', () => {
+            expect(Array.from(bytes.fromPythonBytes('b\'\\x48e\' b"llo"'))).toEqual(HELLO);
+            expect(Array.from(bytes.fromPythonBytes('rb\'\\x\''))).toEqual([0x5c, 0x78]);
+        });
+
+        test('输出与 Python repr 一致', () => {
+            expect(bytes.toPythonBytes(new Uint8Array([0x41, 0x00, 0x0a, 0x27]))).toBe('b"A\\x00\\n\'"');
+        });
+
+        test('不是 bytes 字面量', () => {
+            expect(() => bytes.fromPythonBytes('hello')).toThrow('无效的 Python bytes 字面量');
+        });
+    });
+
+    describe('\\x 转义', () => {
+        test('往返转换', () => {
+            expect(Array.from(bytes.fromEscaped('"\\x48ello"'))).toEqual(HELLO);
+            expect(bytes.toEscaped(new Uint8Array([0x48, 0x69]))).toBe('\\x48\\x69');
+        });
+    });
+
+    describe('parse / format', () => {
+        test('每种格式都能往返', () => {
+            const data = new Uint8Array([0x00, 0x7f, 0x80, 0xff, 0x27, 0x5c]);
+            bytes.FORMATS.filter(f => f !== 'text').forEach(format => {
+                expect(Array.from(bytes.parse(bytes.format(data, format), format))).toEqual(Array.from(data));
+            });
+        });
+
+        test('未知格式', () => {
+            expect(() => bytes.format(new Uint8Array(1), 'nope')).toThrow();
+        });
+    });
+
+    describe('from', () => {
+        test('字符串按 UTF-8 编码', () => {
+            expect(Array.from(bytes.from('Hi 你'))).toEqual([0x48, 0x69, 0x20, 0xe4, 0xbd, 0xa0]);
+        });
+
+        test('Uint8Array 原样返回，ArrayBuffer 和其他视图共享内存', () => {
+            const data = new Uint8Array([1, 2, 3, 4]);
+            expect(bytes.from(data)).toBe(data);
+            expect(Array.from(bytes.from(data.buffer))).toEqual([1, 2, 3, 4]);
+            const view = bytes.from(new DataView(data.buffer, 1, 2));
+            expect(Array.from(view)).toEqual([2, 3]);
+            view[0] = 9;
+            expect(data[1]).toBe(9);
+        });
+
+        test('数字数组', () => {
+            expect(Array.from(bytes.from([0, 255]))).toEqual([0, 255]);
+        });
+    });
+
+    describe('detect', () => {
+        test.each([
+            ['48656c6c6f', 'hex'],
+            ['48 65 6c 6c 6f', 'hex'],
+            ['SGVsbG8gV29ybGQh', 'base64'],
+            ['SGVsbG8_V29ybGQh-w', 'base64url'],
+            ['01001000 01101001', 'binary'],
+            ['{ 0x48, 0x69 }', 'c-array'],
+            ['b\'\\x48i\'', 'python'],
+            ['\\x48\\x69', 'escaped'],
+            ['hello world', 'text'],
+            ['test', 'text']
+        ])('%s → %s', (input, expected) => {
+            expect(bytes.detect(input)).toBe(expected);
+        });
+
+        test('不允许文本时回退到 Base64 或返回 null', () => {
+            expect(bytes.detect('test', { allowText: false })).toBe('base64');
+            expect(bytes.detect('hello world!', { allowText: false })).toBeNull();
+        });
+
+        test('parse 默认自动检测', () => {
+            expect(Array.from(bytes.parse('0x48, 0x69'))).toEqual([0x48, 0x69]);
+            expect(bytes.toText(bytes.parse('hi'))).toBe('hi');
+        });
+    });
+
+    test('isPrintableText 拒绝控制字符和无效 UTF-8', () => {
+        expect(bytes.isPrintableText(bytes.fromText('héllo\n'))).toBe(true);
+        expect(bytes.isPrintableText(new Uint8Array([0x41, 0x00]))).toBe(false);
+        expect(bytes.isPrintableText(new Uint8Array([0xff]))).toBe(false);
+        // 允许少量控制字符
+        const mostlyText = bytes.concat([bytes.fromText('a'.repeat(19)), new Uint8Array([0x00])]);
+        expect(bytes.isPrintableText(mostlyText)).toBe(false);
+        expect(bytes.isPrintableText(mostlyText, 0.05)).toBe(true);
+        expect(bytes.isPrintableText(new Uint8Array([0x41, 0x00]), 0.05)).toBe(false);
+    });
+
+    test('bytesToWords 支持小端序和大端序，末尾不足 4 字节时补零', () => {
+        const data = bytes.fromHex('0123456789abcdef01');
+        expect(Array.from(bytes.bytesToWords(data))).toEqual([0x67452301, 0xefcdab89, 0x01]);
+        expect(Array.from(bytes.bytesToWords(data, false))).toEqual([0x01234567, 0x89abcdef, 0x01000000]);
+        expect(bytes.toHex(bytes.wordsToBytes(bytes.bytesToWords(data.subarray(0, 8))))).toBe('0123456789abcdef');
+    });
+
+    test('wordsToBytes 按小端序输出，接受有符号整数', () => {
+        expect(bytes.toHex(bytes.wordsToBytes(new Uint32Array([0x67452301, 0xefcdab89])))).toBe('0123456789abcdef');
+        expect(bytes.toHex(bytes.wordsToBytes([-1, 0x80]))).toBe('ffffffff80000000');
+        expect(bytes.wordsToBytes([])).toHaveLength(0);
+    });
+});
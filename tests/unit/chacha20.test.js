@@ -0,0 +1,169 @@
+/**
+ * ChaCha20 Core Unit Tests
+ * ChaCha20 / Salsa20 核心单元测试（向量来自 RFC 8439、XChaCha20 草案、RFC 7748 和 NaCl，并与 Node 的 crypto 模块交叉验证）
+ */
+
+const nodeCrypto = require('crypto');
+
+require('../../assets/js/bytes.js');
+require('../../tools/encryption/chacha20/chacha20-core.js');
+
+const chacha = REOT.chacha20;
+const hex = str => REOT.bytes.fromHex(str);
+const toHex = data => REOT.bytes.toHex(data);
+const text = str => REOT.bytes.fromText(str);
+const random = length => new Uint8Array(nodeCrypto.randomBytes(length));
+
+// NaCl 论文中 Alice 与 Bob 的密钥（同 RFC 7748 第 6.1 节）
+const ALICE_SECRET = hex('77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a');
+const ALICE_PUBLIC = hex('8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a');
+const BOB_SECRET = hex('5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb');
+const BOB_PUBLIC = hex('de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f');
+const BOX_NONCE = hex('69696ee955b62b73cd62bda875fc73d68219e0036b7a0b37');
+const BOX_MESSAGE = hex('be075fc53c81f2d5cf141316ebeb0c7b5228c52a4c62cbd44b66849b64244ffce5ecbaaf33bd751a' +
+    '1ac728d45e6c61296cdc3c01233561f41db66cce314adb310e3be8250c46f06dceea3a7fa1348057e2f6556ad6b1318a' +
+    '024a838f21af1fde048977eb48f59ffd4924ca1c60902e52f0a089bc76897040e082f937763848645e0705');
+const BOX_CIPHERTEXT = 'f3ffc7703f9400e52a7dfb4b3d3305d98e993b9f48681273c29650ba32fc76ce48332ea7164d96a4476fb8c531a1186a' +
+    'c0dfc17c98dce87b4da7f011ec48c97271d2c20f9b928fe2270d6fb863d51738b48eeee314a7cc8ab932164548e526ae9022' +
+    '4368517acfeabd6bb3732bc0e9da99832b61ca01b6de56244a9e88d5f9b37973f622a43d14a6599b1f654cb45a74e355a5';
+
+describe('REOT.chacha20', () => {
+    describe('流密码', () => {
+        test('ChaCha20 与 Node 一致', () => {
+            const key = random(32);
+            const nonce = random(12);
+            const data = random(300);
+            // Node 的 16 字节 IV 为 32 位小端计数器 || 12 字节 nonce
+            const iv = Buffer.concat([Buffer.from([7, 0, 0, 0]), nonce]);
+            const expected = nodeCrypto.createCipheriv('chacha20', key, iv).update(data);
+            expect(toHex(chacha.streamXor('chacha20', data, key, nonce, 7))).toBe(expected.toString('hex'));
+            expect(chacha.encrypt(data, key, { nonce, counter: 7 })).toEqual(new Uint8Array(expected));
+        });
+
+        test('原始 ChaCha20 的 64 位计数器', () => {
+            const key = random(32);
+            const nonce = random(8);
+            const data = random(130);
+            // 8 字节 nonce 时计数器占两个字，等价于 IETF 版本的 nonce 前 4 字节为计数器高位
+            const ietfNonce = REOT.bytes.concat([new Uint8Array(4), nonce]);
+            expect(chacha.streamXor('chacha20', data, key, nonce)).toEqual(chacha.streamXor('chacha20', data, key, ietfNonce));
+            expect(() => chacha.streamXor('chacha20', data, key, ietfNonce, 0xffffffff)).toThrow('块计数器超出 32 位范围');
+        });
+
+        test('HChaCha20（XChaCha20 草案 2.2.1）', () => {
+            const key = hex('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+            expect(toHex(chacha.hchacha20(key, hex('000000090000004a0000000031415927'))))
+                .toBe('82413b4227b27bfed30e42508a877d73a0f9e4d58a74a853c12ec41326d3ecdc');
+        });
+
+        test('Salsa20 与 XSalsa20 可逆', () => {
+            const key = random(32);
+            const data = random(100);
+            ['salsa20', 'xsalsa20', 'xchacha20'].forEach(algorithm => {
+                const nonce = random(chacha.ALGORITHMS[algorithm].nonceLengths[0]);
+                const encrypted = chacha.encrypt(data, key, { algorithm, nonce });
+                expect(encrypted).not.toEqual(data);
+                expect(chacha.decrypt(encrypted, key, { algorithm, nonce })).toEqual({ data, nonce, tag: null });
+            });
+        });
+
+        test('参数校验', () => {
+            expect(() => chacha.encrypt(text('x'), random(16), { nonce: random(12) })).toThrow('密钥长度必须为 32 字节，当前为 16 字节');
+            expect(() => chacha.encrypt(text('x'), random(32), { algorithm: 'xchacha20', nonce: random(12) }))
+                .toThrow('XChaCha20 的 nonce 长度必须为 24 字节，当前为 12 字节');
+            expect(() => chacha.encrypt(text('x'), random(32), { algorithm: 'rc4' })).toThrow('不支持的算法: rc4');
+        });
+    });
+
+    describe('认证加密', () => {
+        test('Poly1305（RFC 8439 2.5.2）', () => {
+            const key = hex('85d6be7857556d337f4452fe42d506a80103808afb0db2fd4abff6af4149f51b');
+            expect(toHex(chacha.poly1305(text('Cryptographic Forum Research Group'), key))).toBe('a8061dc1305136c6c22b8baf0c0127a9');
+        });
+
+        test('ChaCha20-Poly1305 与 Node 互通', () => {
+            const key = random(32);
+            const nonce = random(12);
+            const aad = random(13);
+            const data = random(150);
+            const cipher = nodeCrypto.createCipheriv('chacha20-poly1305', key, nonce, { authTagLength: 16 });
+            cipher.setAAD(aad);
+            const expected = Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+
+            const options = { algorithm: 'chacha20-poly1305', nonce, aad };
+            const encrypted = chacha.encrypt(data, key, options);
+            expect(Buffer.from(encrypted).equals(expected)).toBe(true);
+
+            const decrypted = chacha.decrypt(encrypted, key, options);
+            expect(decrypted.data).toEqual(data);
+            expect(decrypted.tag).toEqual({ valid: true, expected: encrypted.subarray(-16), actual: encrypted.subarray(-16) });
+        });
+
+        test('XChaCha20-Poly1305（XChaCha20 草案 A.3.1）', () => {
+            const key = hex('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f');
+            const plaintext = text('Ladies and Gentlemen of the class of \'99: If I could offer you only one tip for the future, sunscreen would be it.');
+            const options = {
+                algorithm: 'xchacha20-poly1305',
+                nonce: hex('404142434445464748494a4b4c4d4e4f5051525354555657'),
+                aad: hex('50515253c0c1c2c3c4c5c6c7')
+            };
+            const encrypted = chacha.encrypt(plaintext, key, options);
+            expect(toHex(encrypted)).toBe('bd6d179d3e83d43b9576579493c0e939572a1700252bfaccbed2902c21396cbb' +
+                '731c7f1b0b4aa6440bf3a82f4eda7e39ae64c6708c54c216cb96b72e1213b4522f8c9ba40db5d945b11b69b982c1bb9e' +
+                '3f3fac2bc369488f76b2383565d3fff921f9664c97637da9768812f615c68b13b52e' + 'c0875924c1c7987947deafd8780acf49');
+            expect(chacha.decrypt(encrypted, key, options).data).toEqual(plaintext);
+        });
+
+        test('标签不匹配时报告而不是抛出错误', () => {
+            const key = random(32);
+            const options = { algorithm: 'chacha20-poly1305', nonce: random(12), aad: text('header') };
+            const encrypted = chacha.encrypt(text('secret'), key, options);
+            const decrypted = chacha.decrypt(encrypted, key, { ...options, aad: text('tampered') });
+            expect(decrypted.tag.valid).toBe(false);
+            expect(decrypted.tag.actual).toEqual(encrypted.subarray(-16));
+            expect(REOT.bytes.toText(decrypted.data)).toBe('secret');
+            expect(() => chacha.decrypt(new Uint8Array(10), key, options)).toThrow('密文长度不足 16 字节');
+        });
+    });
+
+    describe('libsodium 兼容', () => {
+        test('X25519（RFC 7748 6.1）', () => {
+            expect(chacha.getPublicKey(ALICE_SECRET)).toEqual(ALICE_PUBLIC);
+            expect(chacha.getPublicKey(BOB_SECRET)).toEqual(BOB_PUBLIC);
+            expect(toHex(chacha.x25519(ALICE_SECRET, BOB_PUBLIC))).toBe('4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742');
+            expect(() => chacha.boxKey(new Uint8Array(32), ALICE_SECRET)).toThrow('共享密钥为全零');
+        });
+
+        test('X25519 与 Node 一致', () => {
+            const alice = nodeCrypto.generateKeyPairSync('x25519');
+            const bob = nodeCrypto.generateKeyPairSync('x25519');
+            const raw = key => new Uint8Array(Buffer.from(key.export({ format: 'jwk' })[key.type === 'private' ? 'd' : 'x'], 'base64url'));
+            expect(chacha.getPublicKey(raw(alice.privateKey))).toEqual(raw(alice.publicKey));
+            const expected = nodeCrypto.diffieHellman({ privateKey: alice.privateKey, publicKey: bob.publicKey });
+            expect(chacha.x25519(raw(alice.privateKey), raw(bob.publicKey))).toEqual(new Uint8Array(expected));
+        });
+
+        test('crypto_box（NaCl 测试向量）', () => {
+            expect(toHex(chacha.boxKey(BOB_PUBLIC, ALICE_SECRET))).toBe('1b27556473e985d462cd51197a9a46c76009549eac6474f206c4ee0844f68389');
+            const boxed = chacha.box(BOX_MESSAGE, ALICE_SECRET, BOB_PUBLIC, { nonce: BOX_NONCE });
+            expect(toHex(boxed)).toBe(BOX_CIPHERTEXT);
+
+            // Bob 用自己的私钥和 Alice 的公钥打开
+            const opened = chacha.boxOpen(boxed, BOB_SECRET, ALICE_PUBLIC, { nonce: BOX_NONCE });
+            expect(opened.data).toEqual(BOX_MESSAGE);
+            expect(opened.tag.valid).toBe(true);
+        });
+
+        test('secretbox 的 nonce 前置格式', () => {
+            const key = chacha.boxKey(BOB_PUBLIC, ALICE_SECRET);
+            const framed = chacha.encrypt(BOX_MESSAGE, key, { algorithm: 'xsalsa20-poly1305', nonce: BOX_NONCE, prefixNonce: true });
+            expect(toHex(framed)).toBe(toHex(BOX_NONCE) + BOX_CIPHERTEXT);
+
+            const opened = chacha.decrypt(framed, key, { algorithm: 'xsalsa20-poly1305', prefixNonce: true });
+            expect(opened.nonce).toEqual(BOX_NONCE);
+            expect(opened.data).toEqual(BOX_MESSAGE);
+            expect(() => chacha.encrypt(BOX_MESSAGE, key, { algorithm: 'xsalsa20-poly1305', nonce: BOX_NONCE, aad: text('x') }))
+                .toThrow('XSalsa20-Poly1305（secretbox）不支持附加认证数据');
+        });
+    });
+});
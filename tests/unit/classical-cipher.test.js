@@ -0,0 +1,131 @@
+/**
+ * Classical Cipher Core Unit Tests
+ * 古典密码与英文频率统计核心单元测试
+ */
+
+require('../../tools/reverse/frequency-analyzer/frequency-core.js');
+require('../../tools/reverse/classical-cipher/classical-core.js');
+
+const classical = REOT.classical;
+const frequency = REOT.frequency;
+
+const PLAINTEXT = 'The quick development of computing made it possible for small teams to build software that reaches ' +
+    'millions of people. Yet most programs still depend on careful design, clear documentation and a willingness ' +
+    'to test every assumption before release. When a system fails, engineers look at logs, reproduce the problem ' +
+    'and write a fix that keeps the rest of the code working as before.';
+
+/**
+ * 可复现的线性同余随机数
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+describe('REOT.frequency', () => {
+    test('卡方值与重合指数', () => {
+        expect(frequency.chiSquared(PLAINTEXT)).toBeLessThan(50);
+        expect(frequency.chiSquared(classical.caesar(PLAINTEXT, 10))).toBeGreaterThan(500);
+        expect(frequency.chiSquared('123 !?')).toBe(Infinity);
+        expect(frequency.indexOfCoincidence('AABB')).toBeCloseTo(1 / 3);
+        expect(frequency.indexOfCoincidence('A')).toBe(0);
+        expect(frequency.indexOfCoincidence(PLAINTEXT)).toBeGreaterThan(0.06);
+    });
+
+    test('三字母组评分', () => {
+        expect(frequency.getTrigramTable()).toHaveLength(26 ** 3);
+        expect(frequency.trigramScore(PLAINTEXT)).toBeGreaterThan(frequency.trigramScore(classical.atbash(PLAINTEXT)));
+        expect(frequency.trigramScore('the')).toBeGreaterThan(frequency.trigramScore('qzx'));
+        expect(frequency.trigramScore('ab')).toBe(-Infinity);
+    });
+});
+
+describe('REOT.classical', () => {
+    describe('加解密', () => {
+        test('Caesar、Atbash 与 Affine', () => {
+            expect(classical.caesar('Hello, World!', 3)).toBe('Khoor, Zruog!');
+            expect(classical.caesar('Khoor, Zruog!', 3, true)).toBe('Hello, World!');
+            expect(classical.caesar('abc', -1)).toBe('zab');
+            expect(classical.atbash('Wizard')).toBe('Draziw');
+            expect(classical.affine('AFFINE cipher', 5, 8)).toBe('IHHWVC swfrcp');
+            expect(classical.affine('IHHWVC swfrcp', 5, 8, true)).toBe('AFFINE cipher');
+            expect(() => classical.affine('x', 13, 1)).toThrow('a 必须与 26 互素（可选值：1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25）');
+        });
+
+        test('Vigenère 只对字母消耗密钥', () => {
+            expect(classical.vigenere('ATTACK AT DAWN', 'LEMON')).toBe('LXFOPV EF RNHR');
+            expect(classical.vigenere('LXFOPV EF RNHR', 'lemon', true)).toBe('ATTACK AT DAWN');
+            expect(() => classical.vigenere('x', '123')).toThrow('密钥必须包含字母');
+        });
+
+        test('Playfair', () => {
+            expect(classical.playfairSquare('playfair example')).toBe('PLAYFIREXMBCDGHKNOQSTUVWZ');
+            const encrypted = classical.playfair('Hide the gold in the tree stump', 'playfair example');
+            expect(encrypted).toBe('BMODZBXDNABEKUDMUIXMMOUVIF');
+            // 解密结果保留插入的填充字母 X
+            expect(classical.playfair(encrypted, 'playfair example', true)).toBe('HIDETHEGOLDINTHETREXESTUMP');
+            expect(() => classical.playfair('ABC', 'key', true)).toThrow('Playfair 密文的字母数必须为偶数');
+        });
+
+        test('栅栏密码', () => {
+            expect(classical.railFence('WEAREDISCOVEREDFLEEATONCE', 3)).toBe('WECRLTEERDSOEEFEAOCAIVDEN');
+            expect(classical.railFence('WECRLTEERDSOEEFEAOCAIVDEN', 3, 0, true)).toBe('WEAREDISCOVEREDFLEEATONCE');
+            const encrypted = classical.railFence('Hello, World!', 4, 3);
+            expect(classical.railFence(encrypted, 4, 3, true)).toBe('Hello, World!');
+            expect(() => classical.railFence('abc', 1)).toThrow('栏数至少为 2');
+        });
+
+        test('单表替换支持密码表和关键词', () => {
+            expect(classical.keywordAlphabet('zebras')).toBe('ZEBRASCDFGHIJKLMNOPQTUVWXY');
+            expect(classical.substitution('Flee at once', 'zebras')).toBe('Siaa zq lkba');
+            expect(classical.substitution('Siaa zq lkba', 'ZEBRASCDFGHIJKLMNOPQTUVWXY', true)).toBe('Flee at once');
+        });
+
+        test('统一入口', () => {
+            expect(classical.encrypt('vigenere', 'attack', { key: 'lemon' })).toBe('lxfopv');
+            expect(classical.decrypt('rail-fence', 'WECRLTEERDSOEEFEAOCAIVDEN', { rails: 3 })).toBe('WEAREDISCOVEREDFLEEATONCE');
+            expect(() => classical.encrypt('enigma', 'x')).toThrow('不支持的密码: enigma');
+        });
+    });
+
+    describe('自动破解', () => {
+        test('Caesar 与 Affine 穷举按卡方值排序', () => {
+            const caesar = classical.solveCaesar(classical.caesar(PLAINTEXT, 17));
+            expect(caesar).toHaveLength(26);
+            expect(caesar[0]).toMatchObject({ shift: 17, text: PLAINTEXT });
+
+            const affine = classical.solveAffine(classical.affine(PLAINTEXT, 7, 3));
+            expect(affine).toHaveLength(312);
+            expect(affine[0]).toMatchObject({ a: 7, b: 3, text: PLAINTEXT });
+        });
+
+        test.each(['KEY', 'LEMON', 'SECRET', 'CRYPTOGRAPHY'])('Vigenère 密钥 %s', key => {
+            const ciphertext = classical.vigenere(PLAINTEXT, key);
+            // 密文较短时密钥长度的约数或倍数可能排在前面，由候选明文的三字母组评分最终确定
+            const lengths = classical.vigenereKeyLengths(ciphertext).map(item => item.length);
+            expect(lengths.slice(0, 5)).toContain(key.length);
+            expect(classical.solveVigenere(ciphertext)[0]).toMatchObject({ key, text: PLAINTEXT });
+        });
+
+        test('单表替换爬山', () => {
+            const key = 'QWERTYUIOPASDFGHJKLZXCVBNM';
+            const result = classical.solveSubstitution(classical.substitution(PLAINTEXT, key), { random: seededRandom(1) });
+            expect(result.text).toBe(PLAINTEXT);
+            // 明文中出现过的字母都应还原为正确的密文字母
+            new Set(frequency.lettersOnly(PLAINTEXT)).forEach(letter => {
+                const index = letter.charCodeAt(0) - 65;
+                expect(result.key[index]).toBe(key[index]);
+            });
+            expect(() => classical.solveSubstitution('ab')).toThrow('密文字母太少，无法破解');
+        });
+
+        test('周期性重复的密钥化简为最短周期', () => {
+            const results = classical.solveVigenere(classical.vigenere(PLAINTEXT, 'KEYKEY'), { candidates: 8 });
+            expect(results[0].key).toBe('KEY');
+            expect(results.map(item => item.key)).not.toContain('KEYKEY');
+        });
+    });
+});
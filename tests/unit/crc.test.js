@@ -0,0 +1,211 @@
+/**
+ * CRC Core Unit Tests
+ * Rocksoft 参数模型、RevEng 目录和参数恢复单元测试
+ */
+
+const nodeCrypto = require('crypto');
+const zlib = require('zlib');
+const FakeWorker = require('../helpers/fake-worker');
+
+require('../../assets/js/workers.js');
+require('../../tools/hashing/crc/crc-core.js');
+
+const crc = REOT.crc;
+const text = str => new TextEncoder().encode(str);
+
+// 可复现的伪随机消息
+function message(length, seed) {
+    const data = new Uint8Array(length);
+    let offset = 0;
+    for (let block = 0; offset < length; block++) {
+        const digest = nodeCrypto.createHash('sha256').update(`${seed}:${block}`).digest();
+        data.set(digest.subarray(0, Math.min(32, length - offset)), offset);
+        offset += 32;
+    }
+    return data;
+}
+
+function samplesFor(model, lengths) {
+    return lengths.map((length, i) => {
+        const data = message(length, `${model.name || 'custom'}-${i}`);
+        return { data, crc: crc.compute(model, data) };
+    });
+}
+
+describe('REOT.crc', () => {
+    describe('目录', () => {
+        test('包含位宽 3 到 64 的 RevEng 算法', () => {
+            expect(crc.CATALOGUE.length).toBeGreaterThanOrEqual(110);
+            const widths = crc.CATALOGUE.map(model => model.width);
+            expect(Math.min(...widths)).toBe(3);
+            expect(Math.max(...widths)).toBe(64);
+        });
+
+        test.each(crc.CATALOGUE.map(model => [model.name, model]))('%s 的校验值正确', (name, model) => {
+            expect(crc.compute(model, crc.CHECK_INPUT)).toBe(model.check);
+        });
+
+        test('按名称或别名查找（不区分大小写）', () => {
+            expect(crc.find('crc-32').name).toBe('CRC-32/ISO-HDLC');
+            expect(crc.find('CRC-32C').name).toBe('CRC-32/ISCSI');
+            expect(crc.find('modbus').name).toBe('CRC-16/MODBUS');
+            expect(crc.find('CRC-16/CCITT-FALSE').name).toBe('CRC-16/IBM-3740');
+            expect(crc.find('CRC-99')).toBeNull();
+        });
+
+        test('按参数查找目录算法', () => {
+            expect(crc.lookup({ width: 16, poly: 0x1021, init: 0, refin: true, refout: true, xorout: 0 }).name).toBe('CRC-16/KERMIT');
+            expect(crc.lookup({ width: 16, poly: 0x1021, init: 1, refin: true, refout: true, xorout: 0 })).toBeNull();
+        });
+    });
+
+    describe('计算', () => {
+        test('CRC-32 与 zlib 一致', () => {
+            const data = message(1000, 'zlib');
+            if (zlib.crc32) {
+                expect(crc.compute('CRC-32', data)).toBe(BigInt(zlib.crc32(data)));
+            }
+            expect(crc.compute('CRC-32', text('The quick brown fox jumps over the lazy dog'))).toBe(0x414fa339n);
+        });
+
+        test('增量计算与一次性计算一致', () => {
+            const data = message(300, 'incremental');
+            for (const name of ['CRC-5/USB', 'CRC-16/ARC', 'CRC-24/OPENPGP', 'CRC-40/GSM', 'CRC-64/XZ']) {
+                const state = crc.create(name);
+                state.update(data.subarray(0, 7)).update(data.subarray(7, 200)).update(data.subarray(200));
+                expect(state.digest()).toBe(crc.compute(name, data));
+            }
+        });
+
+        test('参数可以是数字、BigInt 或十六进制字符串', () => {
+            const model = { width: 16, poly: '0x8005', init: 0xffff, refin: true, refout: true, xorout: 0n };
+            expect(crc.compute(model, text('123456789'))).toBe(0x4b37n);
+        });
+
+        test('参数校验', () => {
+            expect(() => crc.compute({ width: 2, poly: 1 }, text('a'))).toThrow('CRC 位宽必须是 3–64 之间的整数');
+            expect(() => crc.compute({ width: 65, poly: 1 }, text('a'))).toThrow('CRC 位宽必须是 3–64 之间的整数');
+            expect(() => crc.compute({ width: 8, poly: 0x107 }, text('a'))).toThrow('poly 超出 8 位');
+            expect(() => crc.compute({ width: 8, poly: 'xyz' }, text('a'))).toThrow('无效的 poly 参数: xyz');
+            expect(() => crc.create('CRC-99')).toThrow('未知的 CRC 算法: CRC-99');
+        });
+    });
+
+    describe('参数字符串', () => {
+        test('解析 RevEng 格式', () => {
+            const model = crc.parseModel('width=16 poly=0x1021 init=0xffff refin=false refout=false xorout=0x0000 check=0x29b1 residue=0x0000 name="CRC-16/IBM-3740"');
+            expect(model).toMatchObject({ width: 16, poly: 0x1021n, init: 0xffffn, refin: false, refout: false, xorout: 0n, check: 0x29b1n, name: 'CRC-16/IBM-3740' });
+        });
+
+        test('省略的 init、xorout、refin、refout 默认为 0 / false', () => {
+            expect(crc.parseModel('width=8 poly=0x07')).toMatchObject({ init: 0n, xorout: 0n, refin: false, refout: false });
+        });
+
+        test('缺少参数或取值错误时报错', () => {
+            expect(() => crc.parseModel('poly=0x07')).toThrow('参数字符串缺少 width');
+            expect(() => crc.parseModel('width=8 poly=0x07 refin=yes')).toThrow('refin 必须是 true 或 false');
+        });
+
+        test('输出 RevEng 格式并附带校验值', () => {
+            expect(crc.formatModel(crc.find('CRC-16/MODBUS')))
+                .toBe('width=16 poly=0x8005 init=0xffff refin=true refout=true xorout=0x0000 check=0x4b37 name="CRC-16/MODBUS"');
+            expect(crc.formatModel({ width: 5, poly: 5, init: 0x1f, refin: true, refout: true, xorout: 0x1f }))
+                .toBe('width=5 poly=0x05 init=0x1f refin=true refout=true xorout=0x1f check=0x19');
+        });
+    });
+
+    describe('参数恢复', () => {
+        test.each(crc.CATALOGUE.map(model => [model.name, model]))('从样本恢复 %s', (name, model) => {
+            const result = crc.recover(samplesFor(model, [5, 9, 9, 12, 7]), { width: model.width });
+            expect(result.catalogue.map(entry => entry.name)).toContain(name);
+            expect(result.models.map(entry => entry.name)).toContain(name);
+            expect(result.incomplete).toBe(false);
+        });
+
+        test('未指定位宽时按 CRC 值推测', () => {
+            const model = crc.find('CRC-16/XMODEM');
+            const result = crc.recover(samplesFor(model, [4, 11, 20, 6]));
+            expect(result.models[0].name).toBe('CRC-16/XMODEM');
+        });
+
+        test('恢复不在目录中的参数', () => {
+            const model = { width: 24, poly: 0x1a2b3dn, init: 0x123456n, refin: true, refout: false, xorout: 0xabcdefn };
+            const result = crc.recover(samplesFor(model, [3, 6, 10, 4, 8]));
+            expect(result.catalogue).toEqual([]);
+            expect(result.models).toHaveLength(1);
+            expect(result.models[0]).toMatchObject({ ...model, name: null, check: crc.compute(model, crc.CHECK_INPUT) });
+        });
+
+        test('恢复 64 位参数', () => {
+            const model = { width: 64, poly: 0x1bn, init: 5n, refin: false, refout: true, xorout: 3n };
+            const result = crc.recover(samplesFor(model, [30, 31, 40, 33]), { width: 64 });
+            expect(result.models[0]).toMatchObject(model);
+        });
+
+        test('所有消息长度相同时标记为无法区分 init 和 xorout', () => {
+            const model = crc.find('CRC-16/MODBUS');
+            const result = crc.recover(samplesFor(model, [8, 8, 8, 8]), { width: 16 });
+            expect(result.ambiguous).toBe(true);
+            expect(result.models[0].name).toBe('CRC-16/MODBUS');
+        });
+
+        test('样本不足时标记为不完整，仍然给出目录匹配', () => {
+            const model = crc.find('CRC-32/ISCSI');
+            const result = crc.recover(samplesFor(model, [10, 14]), { width: 32 });
+            expect(result.incomplete).toBe(true);
+            expect(result.models).toEqual([]);
+            expect(result.catalogue.map(entry => entry.name)).toEqual(['CRC-32/ISCSI']);
+        });
+
+        test('可以限定输入输出反转', () => {
+            const model = crc.find('CRC-12/UMTS');
+            const samples = samplesFor(model, [3, 5, 7, 9, 11]);
+            expect(crc.recover(samples, { width: 12, refin: false, refout: true }).models[0].name).toBe('CRC-12/UMTS');
+            expect(crc.recover(samples, { width: 12, refin: true, refout: true }).models).toEqual([]);
+        });
+
+        test('参数错误', () => {
+            expect(() => crc.recover([{ data: text('a'), crc: 1 }])).toThrow('至少需要两组消息/CRC 样本');
+            expect(() => crc.recover([{ data: text('a'), crc: 0xffff }, { data: text('b'), crc: 1 }], { width: 8 }))
+                .toThrow('CRC 位宽必须是 3–64 之间且能容纳样本中的 CRC 值');
+        });
+
+        test('按位宽和反转组合报告进度', () => {
+            const progress = [];
+            crc.recover(samplesFor(crc.find('CRC-8/SMBUS'), [3, 5, 7]), { width: [8, 9], onProgress: p => progress.push(p) });
+            expect(progress).toHaveLength(8);
+            expect(progress.at(-1)).toEqual({ done: 8, total: 8 });
+        });
+    });
+
+    describe('Worker', () => {
+        beforeAll(() => {
+            FakeWorker.install();
+        });
+
+        afterAll(() => {
+            delete global.Worker;
+            delete window.Worker;
+        });
+
+        test('在 Worker 中恢复参数并上报进度', async () => {
+            const samples = samplesFor(crc.find('CRC-16/XMODEM'), [4, 11, 20, 6]);
+            const progress = [];
+            const result = await crc.recoverInWorker(samples, { width: 16, onProgress: p => progress.push(p) }).promise;
+            expect(result).toEqual(crc.recover(samples, { width: 16 }));
+            expect(progress.at(-1)).toEqual({ done: 4, total: 4 });
+            expect(FakeWorker.instances.at(-1).url).toBe(crc.WORKER_SCRIPT);
+            expect(FakeWorker.instances.every(worker => worker.terminated)).toBe(true);
+        });
+
+        test('取消时返回 null', async () => {
+            const job = crc.recoverInWorker(samplesFor(crc.find('CRC-32/ISO-HDLC'), [8, 16, 24]));
+            job.cancel();
+            expect(await job.promise).toBeNull();
+        });
+
+        test('Worker 中的错误', async () => {
+            await expect(crc.recoverInWorker([{ data: text('a'), crc: 1 }]).promise).rejects.toThrow('至少需要两组消息/CRC 样本');
+        });
+    });
+});
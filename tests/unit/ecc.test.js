@@ -0,0 +1,183 @@
+/**
+ * ECC Core Unit Tests
+ * 椭圆曲线核心单元测试（与 Node 的 crypto 模块和 RFC 6979 测试向量交叉验证）
+ */
+
+const nodeCrypto = require('crypto');
+
+if (!globalThis.crypto.subtle) {
+    Object.defineProperty(globalThis.crypto, 'subtle', { value: nodeCrypto.webcrypto.subtle });
+}
+
+require('../../assets/js/bytes.js');
+require('../../assets/js/keys.js');
+require('../../tools/encryption/ecc/ecc-core.js');
+
+const ecc = REOT.ecc;
+const text = str => REOT.bytes.fromText(str);
+const hex = bytes => REOT.bytes.toHex(bytes);
+const big = str => BigInt('0x' + str);
+
+const NODE_CURVES = {
+    'P-256': 'prime256v1',
+    'P-384': 'secp384r1',
+    'P-521': 'secp521r1',
+    'secp256k1': 'secp256k1'
+};
+
+describe('REOT.ecc', () => {
+    test('曲线参数：基点在曲线上且阶为 n', () => {
+        ecc.CURVES.forEach(name => {
+            const curve = ecc.getCurve(name);
+            expect(ecc.isOnCurve(curve, curve.G)).toBe(true);
+            expect(ecc.multiply(curve, curve.G, curve.n - 1n)).toEqual({ x: curve.G.x, y: curve.p - curve.G.y });
+            expect(ecc.add(curve, curve.G, ecc.multiply(curve, curve.G, curve.n - 1n))).toBeNull();
+        });
+        expect(ecc.getCurve('prime256v1').name).toBe('P-256');
+        expect(ecc.getCurve('sm2p256v1').name).toBe('SM2');
+        expect(ecc.getCurve('1.3.132.0.10').name).toBe('secp256k1');
+        expect(() => ecc.getCurve('P-192')).toThrow('不支持的曲线: P-192');
+    });
+
+    describe('密钥', () => {
+        test.each(Object.keys(NODE_CURVES))('与 Node 生成的 %s 密钥互通', name => {
+            const pair = nodeCrypto.generateKeyPairSync('ec', { namedCurve: NODE_CURVES[name] });
+            const jwk = pair.privateKey.export({ format: 'jwk' });
+            const key = ecc.parseKey(pair.privateKey.export({ format: 'pem', type: 'pkcs8' }));
+            expect(key).toMatchObject({ curve: name, type: 'private' });
+            expect(key.d).toBe(BigInt('0x' + Buffer.from(jwk.d, 'base64url').toString('hex')));
+            expect(key.Q.x).toBe(BigInt('0x' + Buffer.from(jwk.x, 'base64url').toString('hex')));
+
+            // SEC1、SPKI 与 JWK
+            expect(ecc.parseKey(pair.privateKey.export({ format: 'pem', type: 'sec1' })).d).toBe(key.d);
+            expect(ecc.parseKey(pair.publicKey.export({ format: 'pem', type: 'spki' }))).toEqual({ ...key, d: null, type: 'public' });
+            expect(ecc.parseKey(JSON.stringify(jwk))).toEqual(key);
+
+            // 导出的 PEM 可被 Node 读取
+            const exported = nodeCrypto.createPrivateKey(ecc.toPem(key)).export({ format: 'jwk' });
+            expect(exported).toEqual(jwk);
+            expect(nodeCrypto.createPublicKey(ecc.toPem(key, { type: 'public' })).export({ format: 'jwk' }))
+                .toEqual({ kty: 'EC', crv: jwk.crv, x: jwk.x, y: jwk.y });
+        });
+
+        test('十六进制私钥与公钥点', () => {
+            const key = ecc.generateKey('secp256k1');
+            const d = key.d.toString(16).padStart(64, '0');
+            expect(ecc.parseKey(d, { curve: 'secp256k1' })).toEqual(key);
+            expect(ecc.parseKey(hex(ecc.encodePoint('secp256k1', key.Q, { compressed: true })), { curve: 'secp256k1' }).Q).toEqual(key.Q);
+            expect(() => ecc.parseKey(d)).toThrow('十六进制的密钥需要指定曲线');
+            expect(() => ecc.parseKey(ecc.toPem(key), { curve: 'P-256' })).toThrow('密钥曲线为 secp256k1，与所选的 P-256 不一致');
+            expect(() => ecc.parseKey('00', { curve: 'P-256' })).toThrow('私钥必须在 1 到 n-1 之间');
+        });
+    });
+
+    test('点的压缩与解压', () => {
+        ecc.CURVES.forEach(name => {
+            const { Q } = ecc.generateKey(name);
+            const uncompressed = ecc.encodePoint(name, Q);
+            const compressed = ecc.convertPoint(name, uncompressed, true);
+            expect(compressed[0]).toBe(Q.y & 1n ? 3 : 2);
+            expect(ecc.convertPoint(name, compressed, false)).toEqual(uncompressed);
+        });
+        // secp256k1 的基点
+        const g = '0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798';
+        expect(ecc.decodePoint('secp256k1', REOT.bytes.fromHex(g))).toEqual(ecc.getCurve('secp256k1').G);
+        expect(() => ecc.decodePoint('P-256', REOT.bytes.fromHex('05' + '00'.repeat(32)))).toThrow('应为 33 字节');
+        expect(() => ecc.decodePoint('P-256', REOT.bytes.fromHex('04' + '00'.repeat(64)))).toThrow('该点不在 P-256 曲线上');
+    });
+
+    describe('ECDSA', () => {
+        // RFC 6979 A.2.5：P-256，消息 "sample"
+        const rfcKey = () => ecc.parseKey('c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721', { curve: 'P-256' });
+
+        test('RFC 6979 确定性签名', async () => {
+            const key = rfcKey();
+            expect(await ecc.sign(text('sample'), key)).toMatchObject({
+                r: big('efd48b2aacb6a8fd1140dd9cd45e81d69d2c877b56aaf991c34d0ea84eaf3716'),
+                s: big('f7cb1c942d657c41d436c7a1b6e29f65f3e900dbb9aff4064dc4ab2f843acda8')
+            });
+            expect(await ecc.sign(text('test'), key, { hash: 'SHA-512' })).toMatchObject({
+                r: big('461d93f31b6540894788fd206c07cfa0cc35f46fa3c91816fff1040ad1581a04'),
+                s: big('39af9f15de0db8d97e72719c74820d304ce5226e32dedae67519e840d1194e55')
+            });
+            const lowS = await ecc.sign(text('sample'), key, { lowS: true });
+            expect(lowS.s).toBe(ecc.getCurve('P-256').n - big('f7cb1c942d657c41d436c7a1b6e29f65f3e900dbb9aff4064dc4ab2f843acda8'));
+            expect(await ecc.verify(text('sample'), lowS, key)).toBe(true);
+        });
+
+        test.each(Object.keys(NODE_CURVES))('%s 签名与 Node 互相验证', async name => {
+            const pair = nodeCrypto.generateKeyPairSync('ec', { namedCurve: NODE_CURVES[name] });
+            const key = ecc.parseKey(pair.privateKey.export({ format: 'pem', type: 'pkcs8' }));
+            const message = text('hello ecdsa');
+
+            const signature = await ecc.sign(message, key, { hash: 'SHA-384', nonce: 'random' });
+            const der = ecc.encodeSignature(signature, 'der', name);
+            expect(nodeCrypto.verify('sha384', message, pair.publicKey, der)).toBe(true);
+
+            const nodeSignature = nodeCrypto.sign('sha256', message, { key: pair.privateKey, dsaEncoding: 'ieee-p1363' });
+            expect(await ecc.verify(message, new Uint8Array(nodeSignature), key)).toBe(true);
+            expect(await ecc.verify(text('tampered'), new Uint8Array(nodeSignature), key)).toBe(false);
+        });
+
+        test('DER 与 r||s 编码互转', () => {
+            const signature = { r: 0x80n, s: 0x7fn };
+            const der = ecc.encodeSignature(signature, 'der', 'P-256');
+            expect(hex(der)).toBe('3007020200800201' + '7f');
+            const raw = ecc.convertSignature(der, 'raw', 'P-256');
+            expect(raw).toHaveLength(64);
+            expect(ecc.decodeSignature(raw, 'P-256')).toEqual({ ...signature, format: 'raw', recovery: null });
+            expect(ecc.convertSignature(raw, 'der', 'P-256')).toEqual(der);
+            expect(ecc.decodeSignature(REOT.bytes.concat([raw, new Uint8Array([28])]), 'P-256').recovery).toBe(1);
+            expect(() => ecc.decodeSignature(new Uint8Array(10), 'P-256')).toThrow('既不是 DER 结构');
+        });
+
+        test('由签名恢复公钥', async () => {
+            const key = ecc.generateKey('secp256k1');
+            const digest = REOT.bytes.fromHex('ab'.repeat(32));
+            const signature = await ecc.sign(digest, key, { prehashed: true, lowS: true });
+            const [recovered] = await ecc.recoverPublicKey(digest, signature, { curve: 'secp256k1', prehashed: true, recovery: signature.recovery });
+            expect(recovered).toEqual({ recovery: signature.recovery, Q: key.Q });
+
+            // 未知恢复标识时列出全部候选
+            const candidates = await ecc.recoverPublicKey(digest, { r: signature.r, s: signature.s }, { curve: 'secp256k1', prehashed: true });
+            expect(candidates.length).toBeGreaterThanOrEqual(2);
+            expect(candidates.filter(candidate => candidate.Q.x === key.Q.x && candidate.Q.y === key.Q.y)).toHaveLength(1);
+        });
+
+        test('重复使用 k 时恢复私钥', async () => {
+            const key = ecc.generateKey('secp256k1');
+            const nonce = 0x1234567890abcdefn;
+            const items = [];
+            for (const message of ['first', 'second', 'third']) {
+                const signature = await ecc.sign(text(message), key, { nonce: message === 'third' ? 'rfc6979' : nonce, lowS: message === 'second' });
+                items.push({ message: text(message), signature: ecc.encodeSignature(signature, 'der', 'secp256k1') });
+            }
+            const findings = await ecc.findNonceReuse(items, { curve: 'secp256k1', publicKey: ecc.toPem(key, { type: 'public' }) });
+            expect(findings).toHaveLength(1);
+            expect(findings[0]).toMatchObject({ indices: [0, 1], d: key.d, matchesPublicKey: true });
+            expect([nonce, ecc.getCurve('secp256k1').n - nonce]).toContain(findings[0].k);
+
+            // 重复录入的签名（r 与摘要都相同）不影响其余签名的检测
+            const withDuplicate = [items[2], items[2], ...items];
+            const rescanned = await ecc.findNonceReuse(withDuplicate, { curve: 'secp256k1' });
+            expect(rescanned).toHaveLength(1);
+            expect(rescanned[0]).toMatchObject({ indices: [2, 3], d: key.d, matchesPublicKey: null });
+
+            expect(ecc.recoverNonceReuse('secp256k1', { z: 1n, r: 2n, s: 3n }, { z: 4n, r: 5n, s: 6n })).toBeNull();
+            expect(() => ecc.recoverNonceReuse('secp256k1', { z: 1n, r: 2n, s: 3n }, { z: 1n, r: 2n, s: 3n })).toThrow('消息摘要相同');
+        });
+    });
+
+    test('ECDH 与 Node 一致', () => {
+        ['P-256', 'secp256k1'].forEach(name => {
+            const alice = nodeCrypto.createECDH(NODE_CURVES[name]);
+            alice.generateKeys();
+            const bob = ecc.generateKey(name);
+            const alicePublic = ecc.parseKey(alice.getPublicKey('hex', 'compressed'), { curve: name });
+            const shared = ecc.deriveSharedSecret(bob, alicePublic);
+            expect(Buffer.from(shared).toString('hex')).toBe(alice.computeSecret(Buffer.from(ecc.encodePoint(name, bob.Q))).toString('hex'));
+        });
+        const sm2 = ecc.generateKey('SM2');
+        expect(() => ecc.deriveSharedSecret(sm2, ecc.generateKey('P-256'))).toThrow('双方曲线不一致：SM2 / P-256');
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * File Hash Core Unit Tests
+ * 流式多算法文件哈希、Worker 调度与校验清单单元测试
+ */
+
+const nodeCrypto = require('crypto');
+const zlib = require('zlib');
+const FakeWorker = require('../helpers/fake-worker');
+
+window.SparkMD5 = require('../../libs/spark-md5/spark-md5.min.js');
+window.XXH = require('../../libs/xxhash/xxhash.min.js');
+Object.assign(window, require('../../libs/js-sha3/sha3.min.js'));
+
+require('../../assets/js/bytes.js');
+require('../../assets/js/workers.js');
+require('../../tools/hashing/sha/sha-core.js');
+require('../../tools/hashing/blake2/blake2-core.js');
+require('../../tools/hashing/blake2/blake3-core.js');
+require('../../tools/hashing/crc/crc-core.js');
+require('../../tools/binary/file-hash/file-hash-core.js');
+
+const fileHash = REOT.fileHash;
+const ALL = Object.keys(fileHash.ALGORITHMS);
+
+// Node 中对应的算法名
+const NODE_NAMES = {
+    md5: 'md5',
+    sha1: 'sha1',
+    sha224: 'sha224',
+    sha256: 'sha256',
+    sha384: 'sha384',
+    sha512: 'sha512',
+    'sha3-224': 'sha3-224',
+    'sha3-256': 'sha3-256',
+    'sha3-384': 'sha3-384',
+    'sha3-512': 'sha3-512',
+    'blake2b-512': 'blake2b512',
+    'blake2s-256': 'blake2s256'
+};
+
+const sha256 = data => nodeCrypto.createHash('sha256').update(data).digest('hex');
+const md5 = data => nodeCrypto.createHash('md5').update(data).digest('hex');
+
+/**
+ * 模拟 File：slice().arrayBuffer() 返回测试环境中的 ArrayBuffer（xxhash 库用 instanceof ArrayBuffer 判断输入类型）
+ * @param {string} name
+ * @param {string|Buffer} content
+ */
+function testFile(name, content) {
+    const data = new Uint8Array(Buffer.from(content));
+    return {
+        name,
+        size: data.length,
+        slice: (start, end) => ({ arrayBuffer: async () => data.slice(start, end).buffer })
+    };
+}
+
+describe('REOT.fileHash', () => {
+    describe('hashBlob', () => {
+        test('分块读取时所有算法与参考实现一致', async () => {
+            const data = nodeCrypto.randomBytes(100000);
+            const progress = [];
+            const digests = await fileHash.hashBlob(testFile('data', data), ALL, {
+                chunkSize: 30001,
+                onProgress: (loaded, total) => progress.push([loaded, total])
+            });
+
+            Object.entries(NODE_NAMES).forEach(([id, name]) => {
+                expect(digests[id]).toBe(nodeCrypto.createHash(name).update(data).digest('hex'));
+            });
+            expect(digests.blake3).toBe(Buffer.from(REOT.blake3.hash(new Uint8Array(data))).toString('hex'));
+            expect(digests.xxh64).toBe(XXH.h64(0).update(new Uint8Array(data).buffer).digest().toString(16).padStart(16, '0'));
+            expect(digests.xxh32).toBe(XXH.h32(0).update(new Uint8Array(data).buffer).digest().toString(16).padStart(8, '0'));
+            if (zlib.crc32) {
+                expect(digests.crc32).toBe(zlib.crc32(data).toString(16).padStart(8, '0'));
+            }
+            expect(progress).toEqual([[30001, 100000], [60002, 100000], [90003, 100000], [100000, 100000]]);
+        });
+
+        test('空文件与补零', async () => {
+            const digests = await fileHash.hashBlob(testFile('empty', ''), ['crc32', 'xxh32', 'xxh64', 'md5']);
+            expect(digests).toEqual({
+                crc32: '00000000',
+                xxh32: '02cc5d05',
+                xxh64: 'ef46db3751d8e999',
+                md5: 'd41d8cd98f00b204e9800998ecf8427e'
+            });
+            expect((await fileHash.hashBlob(testFile('check', '123456789'), ['crc32'])).crc32).toBe('cbf43926');
+        });
+
+        test('参数检查', async () => {
+            await expect(fileHash.hashBlob(testFile('x', 'x'), [])).rejects.toThrow('请至少选择一种哈希算法');
+            await expect(fileHash.hashBlob(testFile('x', 'x'), ['md6'])).rejects.toThrow('不支持的算法: md6');
+        });
+    });
+
+    describe('plan', () => {
+        test('文件足够多时每个文件一个任务', () => {
+            const files = [1, 2, 3].map(i => testFile(`f${i}`, 'x'));
+            const tasks = fileHash.plan(files, ['md5', 'sha256'], 2);
+            expect(tasks.map(task => [task.index, task.algorithms])).toEqual([
+                [0, ['md5', 'sha256']],
+                [1, ['md5', 'sha256']],
+                [2, ['md5', 'sha256']]
+            ]);
+        });
+
+        test('单个文件时按耗时把算法分给空闲的 Worker', () => {
+            const tasks = fileHash.plan([testFile('iso', 'x')], ['md5', 'sha1', 'sha512', 'blake2b-512'], 3);
+            expect(tasks).toHaveLength(3);
+            expect(tasks.map(task => task.algorithms)).toEqual([['blake2b-512'], ['sha512'], ['md5', 'sha1']]);
+            expect(tasks.every(task => task.index === 0)).toBe(true);
+        });
+    });
+
+    describe('hashFiles', () => {
+        const files = [
+            { file: testFile('a.bin', 'alpha'.repeat(1000)), path: 'dir/a.bin' },
+            { file: testFile('b.bin', 'beta'), path: 'dir/sub/b.bin' }
+        ];
+
+        test('没有 Worker 时在当前线程依次计算', async () => {
+            const done = [];
+            const progress = [];
+            const job = fileHash.hashFiles(files, ['sha256', 'md5'], {
+                onFile: result => done.push(result.path),
+                onProgress: info => progress.push(info.loaded)
+            });
+            const { results, cancelled } = await job.promise;
+
+            expect(cancelled).toBe(false);
+            expect(done).toEqual(['dir/a.bin', 'dir/sub/b.bin']);
+            expect(results[1]).toEqual({
+                index: 1,
+                name: 'b.bin',
+                path: 'dir/sub/b.bin',
+                size: 4,
+                digests: { sha256: sha256('beta'), md5: md5('beta') },
+                error: null
+            });
+            expect(progress.at(-1)).toBe(5004);
+        });
+
+        test('取消', async () => {
+            // 取消在读完当前块之后生效
+            const job = fileHash.hashFiles(files, ['md5'], { chunkSize: 1000 });
+            job.cancel();
+            const { results, cancelled } = await job.promise;
+            expect(cancelled).toBe(true);
+            expect(results[0].digests).toEqual({});
+        });
+
+        describe('Worker', () => {
+            beforeAll(() => {
+                FakeWorker.install();
+            });
+
+            afterAll(() => {
+                delete global.Worker;
+                delete window.Worker;
+            });
+
+            beforeEach(() => {
+                FakeWorker.instances.length = 0;
+            });
+
+            test('拆分算法并行计算，汇总进度和结果', async () => {
+                const data = nodeCrypto.randomBytes(50000);
+                const progress = [];
+                const done = [];
+                const job = fileHash.hashFiles([testFile('big.iso', data)], ['md5', 'sha256', 'blake3'], {
+                    size: 3,
+                    chunkSize: 8192,
+                    onProgress: info => progress.push(info),
+                    onFile: result => done.push(result)
+                });
+                const { results } = await job.promise;
+
+                expect(FakeWorker.instances).toHaveLength(3);
+                expect(FakeWorker.instances[0].url).toBe(fileHash.WORKER_SCRIPT);
+                expect(FakeWorker.instances.every(worker => worker.terminated)).toBe(true);
+                // 按所选顺序合并各 Worker 的结果
+                expect(Object.keys(results[0].digests)).toEqual(['md5', 'sha256', 'blake3']);
+                expect(results[0].digests.sha256).toBe(sha256(data));
+                expect(results[0].digests.md5).toBe(md5(data));
+                expect(done).toHaveLength(1);
+                // 三个任务各读一遍文件
+                expect(progress.at(-1)).toMatchObject({ loaded: 150000, total: 150000 });
+                expect(progress.length).toBeGreaterThan(3);
+            });
+
+            test('单个文件读取失败不影响其他文件', async () => {
+                const broken = testFile('broken', 'x');
+                broken.slice = () => ({ arrayBuffer: () => Promise.reject(new Error('NotReadableError')) });
+                const { results } = await fileHash.hashFiles([broken, testFile('ok', 'fine')], ['sha1'], { size: 2 }).promise;
+                expect(results[0].error).toBe('NotReadableError');
+                expect(results[1].digests.sha1).toBe(nodeCrypto.createHash('sha1').update('fine').digest('hex'));
+            });
+        });
+    });
+
+    describe('校验清单', () => {
+        const results = [
+            { index: 0, name: 'a.iso', path: 'release/a.iso', size: 1, digests: { sha256: sha256('a'), md5: md5('a') }, error: null },
+            { index: 1, name: 'b.txt', path: 'release/docs/b.txt', size: 1, digests: { sha256: sha256('b') }, error: null }
+        ];
+
+        test('解析 GNU、BSD 和只有哈希值的行', () => {
+            const text = [
+                '# SHA256SUMS',
+                `${sha256('a')}  a.iso`,
+                `${md5('a').toUpperCase()} *release/a.iso`,
+                `SHA256 (docs/b.txt) = ${sha256('b')}`,
+                `SHA3-256(x.bin)= ${'ab'.repeat(32)}`,
+                `\\${md5('x')}  line\\nbreak\\\\name`,
+                'not a checksum line',
+                `MD5 (bad) = ${sha256('a')}`,
+                '',
+                md5('b')
+            ].join('\r\n');
+            const { entries, errors } = fileHash.parseManifest(text);
+
+            expect(entries.map(entry => [entry.line, entry.name, entry.algorithms])).toEqual([
+                [2, 'a.iso', ['sha256', 'sha3-256', 'blake2s-256', 'blake3']],
+                [3, 'release/a.iso', ['md5']],
+                [4, 'docs/b.txt', ['sha256']],
+                [5, 'x.bin', ['sha3-256']],
+                [6, 'line\nbreak\\name', ['md5']],
+                [10, null, ['md5']]
+            ]);
+            expect(entries[1].hash).toBe(md5('a'));
+            // 标签与哈希长度不符的行视为无法解析
+            expect(errors.map(error => error.line)).toEqual([7, 8]);
+        });
+
+        test('核对：通过、不匹配、缺少文件和未计算', () => {
+            const { entries } = fileHash.parseManifest([
+                `${sha256('a')}  a.iso`,
+                `SHA256 (./docs/b.txt) = ${sha256('changed')}`,
+                `${md5('c')}  missing.bin`,
+                `${'0'.repeat(40)}  a.iso`,
+                md5('a')
+            ].join('\n'));
+            const verified = fileHash.verifyManifest(entries, results);
+
+            expect(verified.map(item => [item.status, item.result?.path ?? null, item.algorithm])).toEqual([
+                ['ok', 'release/a.iso', 'sha256'],
+                ['failed', 'release/docs/b.txt', 'sha256'],
+                ['missing', null, null],
+                ['pending', 'release/a.iso', null],
+                ['ok', 'release/a.iso', 'md5']
+            ]);
+            expect(verified[1].actual).toBe(sha256('b'));
+            expect(fileHash.missingAlgorithms(entries, results)).toEqual(['sha1']);
+        });
+
+        test('生成的清单可以被重新解析', () => {
+            const gnu = fileHash.formatManifest(results, 'sha256');
+            expect(gnu).toBe(`${sha256('a')}  release/a.iso\n${sha256('b')}  release/docs/b.txt`);
+            const bsd = fileHash.formatManifest(results, 'md5', { style: 'bsd', uppercase: true });
+            expect(bsd).toBe(`MD5 (release/a.iso) = ${md5('a').toUpperCase()}`);
+
+            const all = fileHash.parseManifest(`${gnu}\n${bsd}`).entries;
+            expect(fileHash.verifyManifest(all, results).every(item => item.status === 'ok')).toBe(true);
+
+            // 文件名中的反斜杠按 GNU 规则转义
+            const odd = [{ path: 'a\\b', digests: { crc32: 'cbf43926' } }];
+            expect(fileHash.formatManifest(odd, 'crc32')).toBe('\\cbf43926  a\\\\b');
+            expect(fileHash.parseManifest('\\cbf43926  a\\\\b').entries[0].name).toBe('a\\b');
+            expect(() => fileHash.formatManifest(results, 'md6')).toThrow('不支持的算法');
+        });
+    });
+});
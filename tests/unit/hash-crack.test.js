@@ -0,0 +1,177 @@
+/**
+ * Hash Crack Unit Tests
+ * MD4/MD5/NTLM、RIPEMD-160 核心与哈希字典破解单元测试
+ */
+
+const nodeCrypto = require('crypto');
+const FakeWorker = require('../helpers/fake-worker');
+
+if (!globalThis.crypto.subtle) {
+    Object.defineProperty(globalThis.crypto, 'subtle', { value: nodeCrypto.webcrypto.subtle });
+}
+
+require('../../assets/js/bytes.js');
+require('../../assets/js/workers.js');
+require('../../tools/hashing/md5/md-core.js');
+require('../../tools/hashing/ripemd/ripemd-core.js');
+require('../../tools/hashing/hash-identifier/hash-crack-core.js');
+
+const hashCrack = REOT.hashCrack;
+const hex = bytes => REOT.bytes.toHex(bytes);
+
+describe('REOT.md', () => {
+    test('MD5 与 Node crypto 一致', () => {
+        ['', 'abc', 'Hello, World!', '中文密码', 'a'.repeat(1000)].forEach(text => {
+            expect(hex(REOT.md.md5(text))).toBe(nodeCrypto.createHash('md5').update(text).digest('hex'));
+        });
+    });
+
+    test('MD4 测试向量（RFC 1320）', () => {
+        expect(hex(REOT.md.md4(''))).toBe('31d6cfe0d16ae931b73c59d7e0c089c0');
+        expect(hex(REOT.md.md4('abc'))).toBe('a448017aaf21d8525fc10ae87aa6729d');
+        expect(hex(REOT.md.md4('12345678901234567890123456789012345678901234567890123456789012345678901234567890')))
+            .toBe('e33b4ddc9c38f2199c3e7b164fcc0536');
+    });
+
+    test('NTLM', () => {
+        expect(hex(REOT.md.ntlm('password'))).toBe('8846f7eaee8fb117ad06bdd830b7586c');
+        expect(hex(REOT.md.ntlm(''))).toBe('31d6cfe0d16ae931b73c59d7e0c089c0');
+    });
+});
+
+describe('REOT.ripemd', () => {
+    test('RIPEMD-160 测试向量', () => {
+        expect(hex(REOT.ripemd.ripemd160(''))).toBe('9c1185a5c5e9fc54612808977ee8f548b2258d31');
+        expect(hex(REOT.ripemd.ripemd160('abc'))).toBe('8eb208f7e05d987a9b044a8e98c6b087f15a0bfc');
+    });
+});
+
+describe('REOT.hashCrack', () => {
+    describe('字典变形', () => {
+        test('不加规则时只有原词', () => {
+            expect(hashCrack.expandWord('Secret')).toEqual(['Secret']);
+        });
+
+        test('大小写变体去重', () => {
+            expect(hashCrack.expandWord('pAss', ['case'])).toEqual(['pAss', 'pass', 'PASS', 'Pass', 'PaSS']);
+            expect(hashCrack.expandWord('123', ['case'])).toEqual(['123']);
+        });
+
+        test('Leetspeak 与数字后缀', () => {
+            expect(hashCrack.expandWord('Password', ['leet'])).toEqual(['Password', 'P455w0rd', 'P@$$w0rd']);
+            const withDigits = hashCrack.expandWord('admin', ['digits']);
+            expect(withDigits).toHaveLength(1 + hashCrack.DIGIT_SUFFIXES.length);
+            expect(withDigits).toEqual(expect.arrayContaining(['admin', 'admin7', 'admin07', 'admin1234']));
+        });
+
+        test('规则叠加与候选项计数', () => {
+            const words = hashCrack.expandWord('letmein', ['case', 'leet', 'digits']);
+            expect(words).toEqual(expect.arrayContaining(['L37M31N20', 'L3tm3!n123']));
+            expect(new Set(words).size).toBe(words.length);
+            expect(hashCrack.countCandidates(['a', 'letmein'], ['case'])).toBe(2 + 3);
+        });
+
+        test('按块展开', async () => {
+            const chunks = [];
+            for await (const chunk of hashCrack.expandChunks(['ab', 'cd'], ['case'], 3)) {
+                chunks.push(chunk);
+            }
+            expect(chunks).toEqual([['ab', 'AB', 'Ab'], ['cd', 'CD', 'Cd']]);
+        });
+    });
+
+    describe('parseHashes', () => {
+        test('支持纯哈希、user:hash 与 pwdump 格式', () => {
+            const text = [
+                '5F4DCC3B5AA765D61D8327DEB882CF99',
+                'alice:8846f7eaee8fb117ad06bdd830b7586c',
+                'Administrator:500:aad3b435b51404eeaad3b435b51404ee:31d6cfe0d16ae931b73c59d7e0c089c0:::',
+                'not-a-hash'
+            ].join('\n');
+            const { entries, invalid } = hashCrack.parseHashes(text, 'ntlm');
+            expect(entries).toEqual([
+                { hash: '5f4dcc3b5aa765d61d8327deb882cf99', user: '' },
+                { hash: '8846f7eaee8fb117ad06bdd830b7586c', user: 'alice' },
+                { hash: '31d6cfe0d16ae931b73c59d7e0c089c0', user: 'Administrator' }
+            ]);
+            expect(invalid).toEqual(['not-a-hash']);
+        });
+
+        test('长度不符合算法', () => {
+            expect(hashCrack.parseHashes('5f4dcc3b5aa765d61d8327deb882cf99', 'sha1').invalid).toHaveLength(1);
+            expect(() => hashCrack.parseHashes('x', 'lm')).toThrow('不支持的算法: lm');
+        });
+    });
+
+    test('digest 支持全部算法', async () => {
+        const expected = {
+            md5: nodeCrypto.createHash('md5').update('p@ss').digest('hex'),
+            // OpenSSL 3 默认不提供 MD4，使用上面已经验证过的实现
+            md4: hex(REOT.md.md4('p@ss')),
+            ntlm: hex(REOT.md.ntlm('p@ss')),
+            sha1: nodeCrypto.createHash('sha1').update('p@ss').digest('hex'),
+            ripemd160: nodeCrypto.createHash('ripemd160').update('p@ss').digest('hex'),
+            sha256: nodeCrypto.createHash('sha256').update('p@ss').digest('hex'),
+            sha384: nodeCrypto.createHash('sha384').update('p@ss').digest('hex'),
+            sha512: nodeCrypto.createHash('sha512').update('p@ss').digest('hex')
+        };
+        for (const algorithm of Object.keys(hashCrack.ALGORITHMS)) {
+            expect(await hashCrack.digest(algorithm, 'p@ss')).toBe(expected[algorithm]);
+        }
+    });
+
+    describe('crack', () => {
+        const md5 = text => nodeCrypto.createHash('md5').update(text).digest('hex');
+
+        beforeAll(() => {
+            FakeWorker.install();
+        });
+
+        test('一次破解多个哈希，全部找到后提前结束', async () => {
+            const hashes = [md5('Dragon7'), md5('$3cr3t'), md5('Dragon7')];
+            const words = ['monkey', 'dragon', 'secret', 'shadow', 'master'];
+            const progress = [];
+            const matches = [];
+            const job = hashCrack.crack(hashes, 'md5', words, {
+                rules: ['case', 'leet', 'digits'],
+                size: 2,
+                chunkSize: 50,
+                onProgress: info => progress.push(info),
+                onMatch: match => matches.push(match)
+            });
+            const result = await job.promise;
+
+            expect(result.cancelled).toBe(false);
+            expect(result.found).toEqual(expect.arrayContaining([
+                { hash: md5('Dragon7'), plaintext: 'Dragon7' },
+                { hash: md5('$3cr3t'), plaintext: '$3cr3t' }
+            ]));
+            expect(result.found).toHaveLength(2);
+            expect(matches).toHaveLength(2);
+            // 找到全部哈希后不再继续尝试
+            expect(result.tried).toBeLessThan(hashCrack.countCandidates(words, ['case', 'leet', 'digits']));
+            expect(progress[0].total).toBe(hashCrack.countCandidates(words, ['case', 'leet', 'digits']));
+            expect(FakeWorker.instances.every(worker => worker.terminated)).toBe(true);
+        });
+
+        test('NTLM 与按块产出的字典', async () => {
+            async function* wordlist() {
+                yield ['admin', 'root'];
+                yield ['password'];
+            }
+            const result = await hashCrack.crack(['8846F7EAEE8FB117AD06BDD830B7586C'], 'ntlm', wordlist(), { size: 1 }).promise;
+            expect(result.found).toEqual([{ hash: '8846f7eaee8fb117ad06bdd830b7586c', plaintext: 'password' }]);
+            expect(result.tried).toBe(3);
+        });
+
+        test('字典中没有口令', async () => {
+            const result = await hashCrack.crack([md5('unknown')], 'md5', ['a', 'b'], { rules: ['case'], size: 1 }).promise;
+            expect(result).toMatchObject({ found: [], tried: 4, cancelled: false });
+        });
+
+        test('参数错误', () => {
+            expect(() => hashCrack.crack([], 'md5', ['a'])).toThrow('没有可破解的哈希');
+            expect(() => hashCrack.crack(['00'], 'crc32', ['a'])).toThrow('不支持的算法: crc32');
+        });
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * Hash Formats Unit Tests
+ * 结构化哈希格式解析与口令验证单元测试
+ */
+
+const nodeCrypto = require('crypto');
+
+if (!globalThis.crypto.subtle) {
+    Object.defineProperty(globalThis.crypto, 'subtle', { value: nodeCrypto.webcrypto.subtle });
+}
+
+require('../../assets/js/bytes.js');
+require('../../tools/hashing/md5/md-core.js');
+require('../../tools/hashing/hmac/hmac-core.js');
+require('../../tools/hashing/blake2/blake2-core.js');
+require('../../tools/hashing/kdf/kdf-core.js');
+require('../../tools/hashing/hash-identifier/hash-formats.js');
+
+const hashFormats = REOT.hashFormats;
+
+// hashcat 示例哈希，口令均为 hashcat
+const HASHCAT_EXAMPLES = {
+    md5crypt: '$1$28772684$iEwNOgGugqO9.bIz5sk8k/',
+    apr1: '$apr1$71850310$gh9m4xcAn3MGxogwX/ztb.',
+    sha256crypt: '$5$rounds=5000$GX7BopJZJxPc/KEK$le16UF8I2Anb.rOrn22AUPWvzUETDGefUmAV8AZkGcD',
+    sha512crypt: '$6$52450745$k5ka2p8bFuSmoVT1tzOyyuaREkkKBcCNqoDKzYiJL9RaE8yMnPgh2XzzF0NDrUhgrcLwg78xs1w5pJiypEdFX/',
+    bcrypt: '$2a$05$LhayLxezLhK1LhWvKxCyLOj0j1u.Kj0jZ0pEmm134uzrQlFvQJLF6',
+    phpass: '$P$984478476IagS59wHZvyQMArzfx58u.',
+    drupal7: '$S$C33783772bRXEx1aCsvY.dqgaaSu76XmVlKrW9Qu8IQlvxHlmzLf',
+    'django-pbkdf2': 'pbkdf2_sha256$20000$H0dPx8NeajVu$GiC4k5kqbbR9qWBlsRgDywNqC2vd9kqfk7zdorEnNas=',
+    'django-salted': 'sha1$fe76b$02d5916550edf7fc8c886f044887f4b1abf9b013',
+    ldap: '{SSHA}AZKja92fbuuB9SpRlHqaoXxbTc43Mzc2MDM1Ng==',
+    mysql41: '*FCF7C1B8749CF99D88E5F34271D636178FB5D130',
+    netntlmv2: 'admin::N46iSNekpT:08ca45b7d7ea58ee:88dcbe4446168966a153a0064958dac6:5c7830315c7830310000000000000b45c67103d07d7b95acd12ffa11230e0000000052920b85f78d013c31cdb3b92f5d765c783030',
+    cisco8: '$8$TnGX/fE4KGHOVU$pEhnEvxrvaynpi8j4f.EMHr6M.FzU8xnZnBr/tJdFWk',
+    cisco9: '$9$2MJBozw/9R3UsU$2lFhcKvpghcyw8deP25GOfyZaagyUOGBymkryvOdfo6',
+    'scrypt-hashcat': 'SCRYPT:1024:1:1:MDIwMzMwNTQwNDQyNQ==:5FW+zWivLxgCWj7qLiQbeC8zaNQ+qdO0NUinvqyFcfo=',
+    oracle11: 'S:AC5F1E62D21FD0529428B84D42E8955B0496670338445748184477378130'
+};
+
+describe('REOT.hashFormats', () => {
+    describe('parse', () => {
+        test('sha-crypt 的轮数、盐和摘要', () => {
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.sha256crypt)).toEqual({
+                id: 'sha256crypt',
+                name: 'SHA-256crypt',
+                hashcat: 7400,
+                john: 'sha256crypt',
+                verifiable: true,
+                algorithm: 'SHA-256',
+                params: { rounds: 5000 },
+                salt: 'GX7BopJZJxPc/KEK',
+                digest: 'le16UF8I2Anb.rOrn22AUPWvzUETDGefUmAV8AZkGcD'
+            });
+            // 未指定 rounds 时为默认值 5000，超出范围时按规范截断
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.sha512crypt).params).toEqual({ rounds: 5000 });
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.sha512crypt.replace('$6$', '$6$rounds=10$')).params).toEqual({ rounds: 1000 });
+        });
+
+        test('bcrypt 与 Argon2 的代价参数', () => {
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.bcrypt)).toMatchObject({
+                id: 'bcrypt',
+                hashcat: 3200,
+                params: { variant: '2a', cost: 5 },
+                salt: 'LhayLxezLhK1LhWvKxCyLO'
+            });
+            expect(hashFormats.parse('$argon2id$v=19$m=65536,t=3,p=4$c29tZXNhbHQ$RdescudvJCsgt3ub+b+dWRWJTmaaJObG')).toMatchObject({
+                id: 'argon2',
+                algorithm: 'Argon2id',
+                params: { v: 19, m: 65536, t: 3, p: 4 },
+                salt: 'c29tZXNhbHQ'
+            });
+        });
+
+        test('scrypt 与 Cisco Type 9', () => {
+            expect(hashFormats.parse('$scrypt$ln=16,r=8,p=1$aM15713r3Xsvxbi31lqr1Q$nFNh2CVHVjNldFVKDHDlm4CbdRSCdEBsjjJxD.iCs5E').params)
+                .toEqual({ N: 65536, r: 8, p: 1 });
+            expect(hashFormats.parse('SCRYPT:1024:1:1:MDIwMzMwNTQwNDQyNQ==:5FW+zWivLxgCWj7qLiQbeC8zaNQ+qdO0NUinvqyFcfo=')).toMatchObject({
+                id: 'scrypt-hashcat',
+                hashcat: 8900,
+                params: { N: 1024, r: 1, p: 1 }
+            });
+            expect(hashFormats.parse('$9$2MJBozw/9R3UsU$2lFhcKvpghcyw8deP25GOfyZaagyUOGBymkryvOdfo6')).toMatchObject({
+                id: 'cisco9',
+                hashcat: 9300,
+                params: { N: 16384, r: 1, p: 1 },
+                salt: '2MJBozw/9R3UsU'
+            });
+        });
+
+        test('LDAP 拆分摘要与盐', () => {
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.ldap)).toMatchObject({
+                hashcat: 111,
+                john: 'salted-sha1',
+                params: { scheme: '{SSHA}' },
+                salt: '3733373630333536',
+                digest: '0192a36bdd9f6eeb81f52a51947a9aa17c5b4dce'
+            });
+            expect(hashFormats.parse('{SHA}uJ6qx+YUFzQbcQtyd2gpTQ5qJ3s=')).toMatchObject({ hashcat: 101, salt: '' });
+            // 不加盐的方案长度必须等于摘要长度
+            expect(hashFormats.parse('{SHA}AZKja92fbuuB9SpRlHqaoXxbTc43Mzc2MDM1Ng==')).toBeNull();
+        });
+
+        test('NetNTLM、Django 与数据库格式', () => {
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.netntlmv2)).toMatchObject({
+                hashcat: 5600,
+                john: 'netntlmv2',
+                params: { user: 'admin', domain: 'N46iSNekpT' }
+            });
+            expect(hashFormats.parse(HASHCAT_EXAMPLES['django-pbkdf2'])).toMatchObject({
+                algorithm: 'PBKDF2-HMAC-SHA256',
+                params: { iterations: 20000 },
+                hashcat: 10000,
+                john: 'django'
+            });
+            expect(hashFormats.parse('pbkdf2_sha1$10000$salt$Zm9v')).toMatchObject({ hashcat: null, john: null });
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.mysql41)).toMatchObject({ hashcat: 300, john: 'mysql-sha1' });
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.oracle11)).toMatchObject({ salt: '38445748184477378130' });
+            expect(hashFormats.parse('md5a6343a68d964ca596d9752250d54bb8a')).toMatchObject({ id: 'postgres-md5', verifiable: false });
+        });
+
+        test('Cisco Type 7 直接解码', () => {
+            expect(hashFormats.decodeCisco7('0822455D0A16')).toBe('cisco');
+            expect(hashFormats.parse('7 0822455D0A16')).toMatchObject({ id: 'cisco7', plaintext: 'cisco' });
+            // 普通的十六进制哈希解码后不是可打印文本
+            expect(hashFormats.parse('5f4dcc3b5aa765d61d8327deb882cf99')).toBeNull();
+        });
+
+        test('无法识别的输入', () => {
+            expect(hashFormats.parse('')).toBeNull();
+            expect(hashFormats.parse('$1$toolongsalt$iEwNOgGugqO9.bIz5sk8k/')).toBeNull();
+        });
+
+        test('phpass 与 Drupal 7 的代价超出 7–30', () => {
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.phpass)).toMatchObject({ params: { rounds: 2048 } });
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.phpass.replace('$P$9', '$P$z'))).toBeNull();
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.phpass.replace('$P$9', '$P$4'))).toBeNull();
+            expect(hashFormats.parse(HASHCAT_EXAMPLES.drupal7.replace('$S$C', '$S$U'))).toBeNull();
+        });
+    });
+
+    describe('verify', () => {
+        beforeAll(() => {
+            REOT.loader = { load: async () => require('../../libs/bcrypt/bcrypt.min.js') };
+        });
+
+        test.each(Object.entries(HASHCAT_EXAMPLES))('%s', async (id, hash) => {
+            expect(hashFormats.parse(hash).id).toBe(id);
+            expect(await hashFormats.verify(hash, 'hashcat')).toBe(true);
+            expect(await hashFormats.verify(hash, 'hashcaT')).toBe(false);
+        });
+
+        test('与 openssl passwd 的输出一致', async () => {
+            // openssl passwd -1 / -apr1 / -5 / -6
+            const password = 'a-very-long-password-exceeding-thirty-two-bytes-中文-and-more-chars-to-pass-64-bytes-x';
+            const hashes = [
+                '$5$0123456789abcdef$FnGJwDndWwAWXBw.oOl/u/h.QeZ94..XokoQdtHThO3',
+                '$6$ab$vDlVNhjqamg1rtETqOIfM1Gkz.6LPc8SuUNOLbsoAziNdu1yk3ehm/1v/t8CiG9wlmLBFXdF2B.kKY4svT2G9/',
+                '$1$$gV2gXHWGeAnC6Y5SNoUrq/'
+            ];
+            for (const hash of hashes) {
+                expect(await hashFormats.verify(hash, password)).toBe(true);
+            }
+            expect(await hashFormats.verify('$apr1$xy$43..WIhbfuznGvwoCyUek/', '')).toBe(true);
+        });
+
+        test('Argon2 与 passlib scrypt（KDF 核心）', async () => {
+            // Argon2 参考实现的测试向量
+            const argon2 = '$argon2id$v=19$m=256,t=2,p=1$c29tZXNhbHQ$nf65EOgLrQMR/uIPnA4rEsF5h7TKyQwu9U1bMCHGi/4';
+            expect(await hashFormats.verify(argon2, 'password')).toBe(true);
+            expect(await hashFormats.verify(argon2, 'hashcat')).toBe(false);
+            // passlib 的 Base64 用 . 代替 +，....AQID 即 fbefbe010203
+            const digest = nodeCrypto.scryptSync('password', Buffer.from('fbefbe010203', 'hex'), 32, { N: 1024, r: 8, p: 1 })
+                .toString('base64').replace(/=+$/, '').replace(/\+/g, '.');
+            expect(await hashFormats.verify(`$scrypt$ln=10,r=8,p=1$....AQID$${digest}`, 'password')).toBe(true);
+        });
+
+        test('Cisco Type 7', async () => {
+            expect(await hashFormats.verify('0822455D0A16', 'cisco')).toBe(true);
+        });
+
+        test('不支持验证或无法识别', async () => {
+            await expect(hashFormats.verify('$y$j9T$F5Jx5fExrKuPp53xLKQ..1$X3DX6M94c7o.9agCG9G317fhZg9SqC.5i5rd.RhAtQ7', 'hashcat'))
+                .rejects.toThrow('yescrypt 不支持在浏览器中验证');
+            await expect(hashFormats.verify('not a hash', 'x')).rejects.toThrow('无法识别的哈希格式');
+            await expect(hashFormats.verify('$P$z84478476IagS59wHZvyQMArzfx58u.', 'hashcat')).rejects.toThrow('无法识别的哈希格式');
+        });
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * HMAC Core Unit Tests
+ * 多算法 HMAC、SM3 核心与常量时间比较单元测试（结果与 Node crypto 交叉验证）
+ */
+
+const nodeCrypto = require('crypto');
+
+if (!globalThis.crypto.subtle) {
+    Object.defineProperty(globalThis.crypto, 'subtle', { value: nodeCrypto.webcrypto.subtle });
+}
+
+Object.assign(window, require('../../libs/js-sha3/sha3.min.js'));
+
+require('../../assets/js/bytes.js');
+require('../../tools/hashing/md5/md-core.js');
+require('../../tools/hashing/ripemd/ripemd-core.js');
+require('../../tools/encryption/sm2/sm3-core.js');
+require('../../tools/hashing/hmac/hmac-core.js');
+
+const hmac = REOT.hmac;
+const hex = buffer => Buffer.from(buffer).toString('hex');
+
+// REOT 算法名与 Node crypto 算法名
+const NODE_NAMES = {
+    'SHA-1': 'sha1',
+    'SHA-256': 'sha256',
+    'SHA-384': 'sha384',
+    'SHA-512': 'sha512',
+    'SHA3-224': 'sha3-224',
+    'SHA3-256': 'sha3-256',
+    'SHA3-384': 'sha3-384',
+    'SHA3-512': 'sha3-512',
+    'MD5': 'md5',
+    'SM3': 'sm3',
+    'RIPEMD-160': 'ripemd160'
+};
+
+const nodeHmac = (algorithm, key, message) => nodeCrypto.createHmac(NODE_NAMES[algorithm], key).update(message).digest();
+
+describe('REOT.sm3', () => {
+    test.each([
+        ['abc', '66c7f0f462eeedd9d1f2d46bdc10e4e24167c4875cf2f7a2297da02b8f4ba8e0'],
+        ['abcd'.repeat(16), 'debe9ff92275b8a138604889c18e5a4d6fdb70e5387e5765293dcba39c0c5732']
+    ])('GB/T 32905 示例 %s', (message, expected) => {
+        expect(hex(REOT.sm3.hash(message))).toBe(expected);
+    });
+
+    test('接受字节数组和 ArrayBuffer', () => {
+        const bytes = new TextEncoder().encode('abc');
+        expect(hex(REOT.sm3.hash(bytes))).toBe(hex(REOT.sm3.hash(bytes.buffer)));
+    });
+});
+
+describe('REOT.hmac', () => {
+    test('ALGORITHMS 保持为 WebCrypto 算法，ALL_ALGORITHMS 包含全部算法', () => {
+        expect(hmac.ALGORITHMS).toEqual(['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512']);
+        expect(hmac.ALL_ALGORITHMS).toEqual(Object.keys(NODE_NAMES));
+    });
+
+    describe.each(Object.keys(NODE_NAMES))('%s', (algorithm) => {
+        test.each([
+            ['短密钥', 'key', 'The quick brown fox jumps over the lazy dog'],
+            ['超过分组长度的密钥', 'k'.repeat(200), 'message'],
+            ['空消息', 'secret', ''],
+            ['空密钥', '', 'message']
+        ])('%s', async (_, key, message) => {
+            const result = await hmac.calculate(message, key, algorithm);
+            expect(Object.prototype.toString.call(result)).toBe('[object ArrayBuffer]');
+            expect(hex(result)).toBe(hex(nodeHmac(algorithm, key, message)));
+        });
+    });
+
+    test('RFC 2202 HMAC-MD5 测试用例 1', async () => {
+        const key = new Uint8Array(16).fill(0x0b);
+        expect(hex(await hmac.calculate('Hi There', key, 'MD5'))).toBe('9294727a3638bb1c13f48ef8158bfc9d');
+    });
+
+    test('密钥和消息可以是字节数组', async () => {
+        const key = Uint8Array.from([0x00, 0xff, 0x80]);
+        const message = Uint8Array.from([0xde, 0xad, 0xbe, 0xef]);
+        expect(hex(await hmac.calculate(message, key, 'SM3'))).toBe(hex(nodeHmac('SM3', key, message)));
+    });
+
+    test('不支持的算法', async () => {
+        await expect(hmac.calculate('m', 'k', 'SHA-224')).rejects.toThrow('不支持的 HMAC 算法: SHA-224');
+        expect(() => hmac.dependencies('BLAKE2')).toThrow('不支持的 HMAC 算法: BLAKE2');
+    });
+
+    test('依赖声明', () => {
+        expect(hmac.dependencies('SHA-256')).toEqual({ scripts: [], library: null });
+        expect(hmac.dependencies('SHA3-256')).toEqual({ scripts: [], library: 'js-sha3' });
+        expect(hmac.dependencies('SM3')).toEqual({ scripts: ['tools/encryption/sm2/sm3-core.js'], library: null });
+    });
+
+    describe('timingSafeEqual', () => {
+        test('相同内容', () => {
+            expect(hmac.timingSafeEqual(Uint8Array.from([1, 2, 3]), Uint8Array.from([1, 2, 3]))).toBe(true);
+            expect(hmac.timingSafeEqual(new Uint8Array(0), new Uint8Array(0))).toBe(true);
+        });
+
+        test('内容或长度不同', () => {
+            expect(hmac.timingSafeEqual(Uint8Array.from([1, 2, 3]), Uint8Array.from([1, 2, 4]))).toBe(false);
+            expect(hmac.timingSafeEqual(Uint8Array.from([1, 2]), Uint8Array.from([1, 2, 0]))).toBe(false);
+            expect(hmac.timingSafeEqual(Uint8Array.from([0]), new Uint8Array(0))).toBe(false);
+        });
+    });
+
+    describe('identify', () => {
+        const encode = value => new TextEncoder().encode(value);
+        const keys = [
+            { label: 'text', key: encode('deadbeef') },
+            { label: 'hex', key: Uint8Array.from([0xde, 0xad, 0xbe, 0xef]) }
+        ];
+
+        test('找出算法和密钥解释', async () => {
+            const signature = nodeHmac('SM3', Buffer.from('deadbeef', 'hex'), 'payload');
+            expect(await hmac.identify('payload', keys, [signature])).toEqual([{ algorithm: 'SM3', label: 'hex' }]);
+        });
+
+        test('任一签名解码结果匹配即可', async () => {
+            const signature = nodeHmac('RIPEMD-160', 'deadbeef', 'payload');
+            const matches = await hmac.identify('payload', keys, [new Uint8Array(20), signature]);
+            expect(matches).toEqual([{ algorithm: 'RIPEMD-160', label: 'text' }]);
+        });
+
+        test('可限定算法范围，无匹配时返回空数组', async () => {
+            const signature = nodeHmac('MD5', 'deadbeef', 'payload');
+            expect(await hmac.identify('payload', keys, [signature], ['SHA-256', 'SHA3-256'])).toEqual([]);
+            expect(await hmac.identify('payload', keys, [new Uint8Array(32)])).toEqual([]);
+        });
+    });
+});
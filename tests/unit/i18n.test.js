@@ -0,0 +1,54 @@
+/**
+ * I18n Unit Tests
+ * 国际化模块单元测试（翻译查找、默认文本与参数替换）
+ */
+
+require('../../assets/js/i18n.js');
+
+describe('REOT.i18n.t', () => {
+    const i18n = REOT.i18n;
+
+    beforeEach(() => {
+        i18n.currentLocale = 'en-US';
+        i18n.locales = {
+            'zh-CN': { common: { copy: '复制' }, tools: { demo: { zhOnly: '仅中文' } } },
+            'en-US': { common: { copy: 'Copy' }, tools: { demo: { line: 'Line {line} of {total}' } } }
+        };
+    });
+
+    test('返回当前语言的翻译，缺失时回退到中文', () => {
+        expect(i18n.t('common.copy')).toBe('Copy');
+        expect(i18n.t('tools.demo.zhOnly')).toBe('仅中文');
+    });
+
+    test('第二个参数为对象时作为替换参数', () => {
+        expect(i18n.t('tools.demo.line', { line: 3, total: 10 })).toBe('Line 3 of 10');
+    });
+
+    test('翻译存在时忽略默认文本', () => {
+        expect(i18n.t('common.copy', '复制结果')).toBe('Copy');
+        expect(i18n.t('tools.demo.line', '第 {line} 行', { line: 2, total: 5 })).toBe('Line 2 of 5');
+    });
+
+    test('翻译键不存在时使用默认文本并替换参数', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(i18n.t('tools.demo.missing', '默认文本')).toBe('默认文本');
+        expect(i18n.t('tools.demo.missing', '第 {line} 行，共 {line} 行', { line: 4 })).toBe('第 4 行，共 4 行');
+        expect(warn).not.toHaveBeenCalled();
+
+        expect(i18n.t('tools.demo.missing')).toBe('tools.demo.missing');
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+    });
+
+    test('尚未初始化时使用默认文本，否则返回键的最后一段', () => {
+        i18n.locales = null;
+        expect(i18n.t('tools.demo.missing', '默认文本')).toBe('默认文本');
+        expect(i18n.t('tools.demo.missing')).toBe('missing');
+    });
+
+    test('$t 快捷方法支持默认文本', () => {
+        expect(window.$t('common.copy')).toBe('Copy');
+        expect(window.$t('tools.demo.missing', '第 {line} 行', { line: 1 })).toBe('第 1 行');
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * KangarooTwelve Core Unit Tests
+ * TurboSHAKE128 与 KangarooTwelve（RFC 9861 测试向量）单元测试
+ */
+
+require('../../assets/js/bytes.js');
+require('../../tools/hashing/sha3/k12-core.js');
+
+const k12 = REOT.k12;
+const hex = bytes => Buffer.from(bytes).toString('hex');
+
+// RFC 9861 的 ptn(n)：0x00..0xFA 循环
+const ptn = n => Uint8Array.from({ length: n }, (_, i) => i % 251);
+
+describe('REOT.k12', () => {
+    describe('TurboSHAKE128', () => {
+        test('空消息', () => {
+            expect(hex(k12.turboShake128('', 0x1f, 32))).toBe('1e415f1c5983aff2169217277d17bb538cd945a397ddec541f1ce41af2c1b74c');
+        });
+
+        test('较短输出是较长输出的前缀', () => {
+            const data = ptn(500);
+            const long = k12.turboShake128(data, 0x1f, 400);
+            expect(hex(k12.turboShake128(data, 0x1f, 168))).toBe(hex(long.subarray(0, 168)));
+            expect(hex(k12.turboShake128(data, 0x1f, 17))).toBe(hex(long.subarray(0, 17)));
+        });
+
+        test('不同域分隔字节输出不同', () => {
+            expect(hex(k12.turboShake128('abc', 0x01))).not.toBe(hex(k12.turboShake128('abc', 0x1f)));
+        });
+
+        test('参数校验', () => {
+            expect(() => k12.turboShake128('', 0x80)).toThrow('TurboSHAKE 域分隔字节必须在 0x01–0x7F 之间');
+            expect(() => k12.turboShake128('', 0)).toThrow('TurboSHAKE 域分隔字节必须在 0x01–0x7F 之间');
+            expect(() => k12.turboShake128('', 0x1f, 0)).toThrow('输出长度必须是正整数');
+        });
+    });
+
+    describe('KangarooTwelve', () => {
+        test('空消息，32 和 64 字节输出', () => {
+            expect(hex(k12.kangarooTwelve(''))).toBe('1ac2d450fc3b4205d19da7bfca1b37513c0803577ac7167f06fe2ce1f0ef39e5');
+            expect(hex(k12.kangarooTwelve('', { length: 64 })).slice(0, 64)).toBe('1ac2d450fc3b4205d19da7bfca1b37513c0803577ac7167f06fe2ce1f0ef39e5');
+        });
+
+        test('长输出的末尾 32 字节', () => {
+            expect(hex(k12.kangarooTwelve('', { length: 10032 }).subarray(10000)))
+                .toBe('e8dc563642f7228c84684c898405d3a834799158c079b12880277a1d28e2ff6d');
+        });
+
+        test.each([
+            [1, '2bda92450e8b147f8a7cb629e784a058efca7cf7d8218e02d345dfaa65244a1f'],
+            [17, '6bf75fa2239198db4772e36478f8e19b0f371205f6a9a93a273f51df37122888'],
+            [17 ** 2, '0c315ebcdedbf61426de7dcf8fb725d1e74675d7f5327a5067f367b108ecb67c'],
+            [17 ** 3, 'cb552e2ec77d9910701d578b457ddf772c12e322e4ee7fe417f92c758f0d59d0'],
+            [17 ** 4, '8701045e22205345ff4dda05555cbb5c3af1a771c2b89baef37db43d9998b9fe']
+        ])('M = ptn(%i)', (length, expected) => {
+            expect(hex(k12.kangarooTwelve(ptn(length)))).toBe(expected);
+        });
+
+        test.each([
+            [[], 1, 'fab658db63e94a246188bf7af69a133045f46ee984c56e3c3328caaf1aa1a583'],
+            [[0xff], 41, 'd848c5068ced736f4462159b9867fd4c20b808acc3d5bc48e0b06ba0a3762ec4'],
+            [[0xff, 0xff, 0xff], 41 ** 2, 'c389e5009ae57120854c2e8c64670ac01358cf4c1baf89447a724234dc7ced74']
+        ])('M = %j, C = ptn(%i)', (message, customLength, expected) => {
+            const result = k12.kangarooTwelve(new Uint8Array(message), { customization: ptn(customLength) });
+            expect(hex(result)).toBe(expected);
+        });
+
+        test('字符串按 UTF-8 编码', () => {
+            expect(hex(k12.kangarooTwelve('密钥', { customization: 'app' })))
+                .toBe(hex(k12.kangarooTwelve(new TextEncoder().encode('密钥'), { customization: new TextEncoder().encode('app') })));
+        });
+
+        test('输出长度校验', () => {
+            expect(() => k12.kangarooTwelve('', { length: 1.5 })).toThrow('输出长度必须是正整数');
+        });
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * KDF Core Unit Tests
+ * Argon2、PBKDF2、scrypt 与 PHC 字符串单元测试
+ */
+
+const nodeCrypto = require('crypto');
+const FakeWorker = require('../helpers/fake-worker');
+
+if (!globalThis.crypto.subtle) {
+    Object.defineProperty(globalThis.crypto, 'subtle', { value: nodeCrypto.webcrypto.subtle });
+}
+
+require('../../assets/js/bytes.js');
+require('../../assets/js/workers.js');
+require('../../tools/hashing/blake2/blake2-core.js');
+require('../../tools/hashing/kdf/kdf-core.js');
+
+const kdf = REOT.kdf;
+const hex = data => Buffer.from(data).toString('hex');
+
+// RFC 9106 第 5 节的测试向量
+const RFC9106 = {
+    password: new Uint8Array(32).fill(0x01),
+    salt: new Uint8Array(16).fill(0x02),
+    secret: new Uint8Array(8).fill(0x03),
+    associatedData: new Uint8Array(12).fill(0x04),
+    memory: 32,
+    iterations: 3,
+    parallelism: 4,
+    length: 32
+};
+
+describe('REOT.kdf', () => {
+    describe('argon2', () => {
+        test.each([
+            ['argon2d', '512b391b6f1162975371d30919734294f868e3be3984f3c1a13a4db9fabe4acb'],
+            ['argon2i', 'c814d9d1dc7f37aa13f0d77f2494bda1c8de6b016dd388d29952a4c4672b6ce8'],
+            ['argon2id', '0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659']
+        ])('RFC 9106 %s', (type, expected) => {
+            expect(hex(kdf.argon2({ ...RFC9106, type }))).toBe(expected);
+        });
+
+        test('参考实现的测试向量（含 1.0 版）', () => {
+            const options = { password: 'password', salt: 'somesalt', memory: 256, iterations: 2, parallelism: 1 };
+            expect(hex(kdf.argon2({ ...options, type: 'argon2i', version: 0x10 })))
+                .toBe('fd4dd83d762c49bdeaf57c47bdcd0c2f1babf863fdeb490df63ede9975fccf06');
+            expect(hex(kdf.argon2({ ...options, type: 'argon2id' })))
+                .toBe('9dfeb910e80bad0311fee20f9c0e2b12c17987b4cac90c2ef54d5b3021c68bfe');
+        });
+
+        test('输出长度大于 64 字节时使用变长哈希', () => {
+            const key = kdf.argon2({ password: 'password', salt: 'somesalt', memory: 64, iterations: 1, length: 100 });
+            expect(key).toHaveLength(100);
+            expect(kdf.argon2({ password: 'password', salt: 'somesalt', memory: 64, iterations: 1, length: 64 })).not.toEqual(key.subarray(0, 64));
+        });
+
+        test('参数检查', () => {
+            expect(() => kdf.argon2({ password: 'x', salt: 'short' })).toThrow('至少需要 8 字节');
+            expect(() => kdf.argon2({ password: 'x', salt: 'somesalt', memory: 16, parallelism: 4 })).toThrow('内存');
+            expect(() => kdf.argon2({ password: 'x', salt: 'somesalt', type: 'argon2x' })).toThrow('不支持的 Argon2 类型');
+            expect(() => kdf.argon2({ password: 'x', salt: 'somesalt', version: 0x12 })).toThrow('不支持的 Argon2 版本');
+        });
+    });
+
+    describe('pbkdf2', () => {
+        test('RFC 6070 测试向量', async () => {
+            expect(hex(await kdf.pbkdf2('password', 'salt', 2, 20, 'SHA-1'))).toBe('ea6c014dc72d6f8ccd1ed92ace1d41f0d8de8957');
+            expect(hex(await kdf.pbkdf2('pass\0word', 'sa\0lt', 4096, 16, 'SHA-1'))).toBe('56fa6aa75548099dcc37d7f03425e0c3');
+        });
+
+        test.each([
+            ['SHA-256', 'password', 'salt', 1000, 32],
+            ['SHA-512', '中文口令', new Uint8Array([1, 2, 3]), 10, 80]
+        ])('%s 与 Node 一致', async (hash, password, salt, iterations, length) => {
+            const expected = nodeCrypto.pbkdf2Sync(password, salt, iterations, length, hash.replace('-', '').toLowerCase());
+            expect(hex(await kdf.pbkdf2(password, salt, iterations, length, hash))).toBe(expected.toString('hex'));
+        });
+    });
+
+    describe('scrypt', () => {
+        test('RFC 7914 测试向量', async () => {
+            const key = await kdf.scrypt({ password: '', salt: '', N: 16, r: 1, p: 1, length: 64 });
+            expect(hex(key)).toBe('77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442' +
+                'fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906');
+        });
+
+        test.each([
+            ['password', 'NaCl', 1024, 8, 16, 64],
+            ['pleaseletmein', 'SodiumChloride', 256, 2, 3, 37],
+            ['中文口令', 'salt', 2, 1, 1, 1]
+        ])('%s / %s 与 Node 一致', async (password, salt, N, r, p, length) => {
+            const key = await kdf.scrypt({ password, salt, N, r, p, length });
+            expect(hex(key)).toBe(nodeCrypto.scryptSync(password, salt, length, { N, r, p }).toString('hex'));
+        });
+
+        test('参数检查', async () => {
+            await expect(kdf.scrypt({ password: 'x', salt: 'y', N: 1000 })).rejects.toThrow('2 的幂');
+            await expect(kdf.scrypt({ password: 'x', salt: 'y', N: 2 ** 20, r: 16 })).rejects.toThrow('内存超过');
+        });
+    });
+
+    describe('PHC 字符串', () => {
+        test('生成并解析 Argon2', () => {
+            const salt = new TextEncoder().encode('somesalt');
+            const params = { type: 'argon2id', memory: 256, iterations: 2, parallelism: 1 };
+            const key = kdf.argon2({ ...params, password: 'password', salt });
+            const encoded = kdf.encodeArgon2(params, salt, key);
+            expect(encoded).toBe('$argon2id$v=19$m=256,t=2,p=1$c29tZXNhbHQ$nf65EOgLrQMR/uIPnA4rEsF5h7TKyQwu9U1bMCHGi/4');
+            expect(kdf.parsePHC(encoded)).toEqual({
+                algorithm: 'argon2',
+                params: { ...params, version: 19 },
+                salt,
+                hash: key
+            });
+            // 没有 v= 字段时为 1.0 版
+            expect(kdf.parsePHC('$argon2i$m=256,t=2,p=1$c29tZXNhbHQ$/U3YPXYsSb3q9Xx8').params.version).toBe(0x10);
+        });
+
+        test('生成并解析 passlib scrypt', async () => {
+            const salt = new Uint8Array([0xfb, 0xef, 0xbe, 1, 2, 3]);
+            const key = await kdf.scrypt({ password: 'password', salt, N: 1024, r: 8, p: 1, length: 32 });
+            const encoded = kdf.encodeScrypt({ N: 1024, r: 8, p: 1 }, salt, key);
+            // passlib 的 Base64 用 . 代替 +
+            expect(encoded).toMatch(/^\$scrypt\$ln=10,r=8,p=1\$\.\.\.\.AQID\$/);
+            expect(kdf.parsePHC(encoded)).toEqual({ algorithm: 'scrypt', params: { N: 1024, r: 8, p: 1 }, salt, hash: key });
+        });
+
+        test('verifyPHC', async () => {
+            const argon2 = '$argon2id$v=19$m=256,t=2,p=1$c29tZXNhbHQ$nf65EOgLrQMR/uIPnA4rEsF5h7TKyQwu9U1bMCHGi/4';
+            expect(await kdf.verifyPHC(argon2, 'password')).toBe(true);
+            expect(await kdf.verifyPHC(argon2, 'Password')).toBe(false);
+            // passlib 文档中的示例
+            const scrypt = '$scrypt$ln=16,r=8,p=1$aM15713r3Xsvxbi31lqr1Q$nFNh2CVHVjNldFVKDHDlm4CbdRSCdEBsjjJxD.iCs5E';
+            expect(await kdf.verifyPHC(scrypt, 'password')).toBe(true);
+        }, 30000);
+
+        test('无法解析的字符串', () => {
+            expect(() => kdf.parsePHC('$2a$10$abc')).toThrow('无法解析的 PHC 字符串');
+            expect(() => kdf.parsePHC('$argon2id$v=19$m=256$c29tZXNhbHQ$abc')).toThrow('无法解析的 PHC 字符串');
+        });
+    });
+
+    describe('Worker', () => {
+        beforeAll(() => {
+            FakeWorker.install();
+        });
+
+        afterAll(() => {
+            delete global.Worker;
+            delete window.Worker;
+        });
+
+        test('在 Worker 中派生', async () => {
+            const job = { algorithm: 'argon2', type: 'argon2id', password: 'password', salt: 'somesalt', memory: 256, iterations: 2 };
+            const result = await kdf.deriveInWorker(job).promise;
+            expect(hex(result.key)).toBe('9dfeb910e80bad0311fee20f9c0e2b12c17987b4cac90c2ef54d5b3021c68bfe');
+            expect(result.cancelled).toBe(false);
+            expect(FakeWorker.instances.at(-1).url).toBe(kdf.WORKER_SCRIPT);
+            expect(FakeWorker.instances.every(worker => worker.terminated)).toBe(true);
+        });
+
+        test('Worker 中的错误', async () => {
+            await expect(kdf.run({ algorithm: 'scrypt', password: 'x', salt: 'y', N: 3 })).rejects.toThrow('2 的幂');
+            await expect(kdf.run({ algorithm: 'pbkdf2' })).rejects.toThrow('不支持的算法');
+        });
+
+        test('Worker 没有返回结果时 run / verifyPHC 抛出而不是比较 null', async () => {
+            FakeWorker.define(kdf.WORKER_SCRIPT, (scope) => {
+                REOT.workers.serve({ test: () => null }, scope);
+            });
+            try {
+                const argon2 = '$argon2id$v=19$m=256,t=2,p=1$c29tZXNhbHQ$nf65EOgLrQMR/uIPnA4rEsF5h7TKyQwu9U1bMCHGi/4';
+                await expect(kdf.run({ algorithm: 'scrypt', password: 'x', salt: 'y', N: 2 })).rejects.toThrow('没有返回派生结果');
+                await expect(kdf.verifyPHC(argon2, 'password')).rejects.toThrow('没有返回派生结果');
+            } finally {
+                FakeWorker.scripts.delete(kdf.WORKER_SCRIPT);
+            }
+        });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Length Extension Core Unit Tests
+ * MD5 / SHA-1 / SHA-256 / SHA-512 长度扩展攻击单元测试
+ */
+
+const nodeCrypto = require('crypto');
+
+require('../../assets/js/bytes.js');
+require('../../tools/hashing/md5/md-core.js');
+require('../../tools/hashing/sha/sha-core.js');
+require('../../tools/hashing/length-extension/length-extension-core.js');
+
+const lengthExtension = REOT.lengthExtension;
+const hex = data => Buffer.from(data).toString('hex');
+
+// 服务端的签名方式：H(secret || message)
+const sign = (algorithm, secret, message) => nodeCrypto.createHash(algorithm).update(secret).update(message).digest('hex');
+
+describe('REOT.lengthExtension', () => {
+    describe('填充', () => {
+        test('MD5 长度字段为小端序', () => {
+            expect(hex(lengthExtension.padding('md5', 3))).toBe('80' + '00'.repeat(52) + '1800000000000000');
+        });
+
+        test('SHA 长度字段为大端序，SHA-512 为 128 位', () => {
+            expect(hex(lengthExtension.padding('sha1', 3))).toBe('80' + '00'.repeat(52) + '0000000000000018');
+            expect(hex(lengthExtension.padding('sha512', 3))).toBe('80' + '00'.repeat(108) + '00'.repeat(15) + '18');
+        });
+
+        test('填充后的长度是分组长度的整数倍', () => {
+            for (const [algorithm, spec] of Object.entries(lengthExtension.ALGORITHMS)) {
+                for (const length of [0, 1, 55, 56, 63, 64, 111, 112, 127, 128, 1000]) {
+                    const pad = lengthExtension.padding(algorithm, length);
+                    expect((length + pad.length) % spec.blockSize).toBe(0);
+                    expect(pad.length).toBeGreaterThan(spec.blockSize / 8);
+                }
+            }
+        });
+    });
+
+    describe('伪造', () => {
+        test.each([
+            ['md5', 'md5'],
+            ['sha1', 'sha1'],
+            ['sha256', 'sha256'],
+            ['sha512', 'sha512']
+        ])('%s 伪造的摘要与 H(secret || 伪造消息) 一致', (algorithm, nodeAlgorithm) => {
+            const message = 'user=guest&expires=1700000000';
+            for (const secretLength of [0, 1, 16, 40, 63, 64, 120, 200]) {
+                const secret = nodeCrypto.randomBytes(secretLength);
+                const result = lengthExtension.extend(algorithm, {
+                    digest: sign(nodeAlgorithm, secret, message),
+                    message,
+                    append: '&role=admin',
+                    secretLength
+                });
+                expect(hex(result.digest)).toBe(sign(nodeAlgorithm, secret, result.message));
+                expect(Buffer.from(result.message).toString('latin1')).toMatch(/^user=guest&expires=1700000000\x80.*&role=admin$/s);
+            }
+        });
+
+        test('按密钥长度范围逐个构造，只有正确长度的摘要成立', () => {
+            const secret = Buffer.from('s3cr3t-key');
+            const results = lengthExtension.forge('sha256', {
+                digest: sign('sha256', secret, 'count=10'),
+                message: 'count=10',
+                append: new Uint8Array([0x3b, 0x00]),
+                minSecretLength: 4,
+                maxSecretLength: 16
+            });
+            expect(results.map(result => result.secretLength)).toEqual(Array.from({ length: 13 }, (_, i) => i + 4));
+            const valid = results.filter(result => hex(result.digest) === sign('sha256', secret, result.message));
+            expect(valid.map(result => result.secretLength)).toEqual([secret.length]);
+        });
+
+        test('接受字节形式的摘要和消息，算法名不区分写法', () => {
+            const secret = Buffer.from('k');
+            const message = new Uint8Array([0, 1, 2, 255]);
+            const digest = nodeCrypto.createHash('sha1').update(secret).update(message).digest();
+            const result = lengthExtension.extend('SHA-1', { digest: new Uint8Array(digest), message, append: 'x', secretLength: 1 });
+            expect(hex(result.digest)).toBe(sign('sha1', secret, result.message));
+        });
+
+        test('经典示例：MD5 空追加数据的伪造', () => {
+            // secret 长度为 0 时，伪造摘要就是 message || padding || append 的普通 MD5
+            const result = lengthExtension.extend('md5', { digest: sign('md5', '', 'abc'), message: 'abc', append: 'def', secretLength: 0 });
+            expect(hex(result.digest)).toBe(nodeCrypto.createHash('md5').update(result.message).digest('hex'));
+            expect(hex(result.padding)).toBe(hex(lengthExtension.padding('md5', 3)));
+        });
+    });
+
+    describe('算法识别与参数校验', () => {
+        test('按摘要长度推测算法', () => {
+            expect(lengthExtension.detect('d41d8cd98f00b204e9800998ecf8427e')).toBe('md5');
+            expect(lengthExtension.detect('0x' + 'ab'.repeat(20))).toBe('sha1');
+            expect(lengthExtension.detect(new Uint8Array(32))).toBe('sha256');
+            expect(lengthExtension.detect('ab'.repeat(64))).toBe('sha512');
+            expect(lengthExtension.detect('ab'.repeat(48))).toBeNull();
+            expect(lengthExtension.detect('d4 1d 8c d9 8f 00 b2 04 e9 80 09 98 ec f8 42 7e')).toBe('md5');
+            expect(lengthExtension.detect('not hex')).toBeNull();
+        });
+
+        test('参数错误', () => {
+            const digest = 'ab'.repeat(32);
+            expect(() => lengthExtension.extend('sha384', { digest, secretLength: 1 })).toThrow('不支持长度扩展的算法: sha384');
+            expect(() => lengthExtension.extend('sha256', { digest: 'abcd', secretLength: 1 })).toThrow('SHA-256 摘要应为 32 字节，实际为 2 字节');
+            expect(() => lengthExtension.extend('sha256', { digest: 'zz', secretLength: 1 })).toThrow('无效的十六进制字符 "z"');
+            expect(() => lengthExtension.extend('sha256', { digest: 'abc', secretLength: 1 })).toThrow('十六进制数据长度必须为偶数');
+            expect(() => lengthExtension.extend('sha256', { digest, secretLength: -1 })).toThrow('密钥长度必须是非负整数');
+            expect(() => lengthExtension.forge('sha256', { digest, minSecretLength: 8, maxSecretLength: 4 })).toThrow('密钥长度范围无效');
+            expect(() => lengthExtension.forge('sha256', { digest, minSecretLength: 0, maxSecretLength: 5000 })).toThrow('一次最多尝试 1024 个密钥长度');
+        });
+    });
+});
+
+describe('REOT.md 状态导入', () => {
+    test('从摘要和已处理长度继续计算 MD5', () => {
+        const first = Buffer.from('a'.repeat(50));
+        const state = REOT.md.md5(first);
+        const padded = Buffer.concat([first, Buffer.from(lengthExtension.padding('md5', 50))]);
+        const resumed = REOT.md.md5('more data', { state, length: 64 });
+        expect(hex(resumed)).toBe(nodeCrypto.createHash('md5').update(padded).update('more data').digest('hex'));
+    });
+
+    test('参数校验', () => {
+        expect(() => REOT.md.md5('', { state: new Uint8Array(8) })).toThrow('MD5 初始状态必须是 16 字节');
+        expect(() => REOT.md.md5('', { length: 10 })).toThrow('已处理长度必须是 64 的整数倍');
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Loader Unit Tests
+ * 第三方库加载模块单元测试
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+require('../../assets/js/loader.js');
+
+const loader = REOT.loader;
+
+describe('REOT.loader', () => {
+    let appendSpy;
+    let appended;
+
+    // 模拟脚本加载：libs/fail/ 下的脚本触发 onerror，其余脚本设置 window.FakeLib 后触发 onload
+    beforeEach(() => {
+        appended = [];
+        appendSpy = jest.spyOn(document.head, 'appendChild').mockImplementation(node => {
+            appended.push(node.src);
+            setTimeout(() => {
+                if (node.src.includes('/libs/fail/')) {
+                    node.onerror();
+                } else {
+                    window.FakeLib = { loaded: true };
+                    node.onload();
+                }
+            }, 0);
+            return node;
+        });
+    });
+
+    afterEach(() => {
+        appendSpy.mockRestore();
+        delete window.FakeLib;
+        delete window.CryptoJS;
+    });
+
+    test('相对路径基于站点根目录解析', () => {
+        expect(loader.resolve('libs/pako/pako.min.js')).toBe('/libs/pako/pako.min.js');
+        expect(loader.resolve('https://example.com/a.js')).toBe('https://example.com/a.js');
+    });
+
+    test('同一脚本只加载一次', async () => {
+        await Promise.all([loader.loadScript('libs/once/a.js'), loader.loadScript('libs/once/a.js')]);
+        await loader.loadScript('libs/once/a.js');
+        expect(appended).toHaveLength(1);
+    });
+
+    test('加载失败后允许重试', async () => {
+        await expect(loader.loadScript('libs/fail/a.js')).rejects.toThrow('无法加载脚本: libs/fail/a.js');
+        await expect(loader.loadScript('libs/fail/a.js')).rejects.toThrow();
+        expect(appended).toHaveLength(2);
+    });
+
+    test('按名称加载并返回全局变量', async () => {
+        loader.LIBRARIES['fake-lib'] = { src: 'libs/fake/fake.min.js', global: 'FakeLib' };
+        await expect(loader.load('fake-lib')).resolves.toEqual({ loaded: true });
+        expect(appended).toEqual(['http://localhost/libs/fake/fake.min.js']);
+        delete loader.LIBRARIES['fake-lib'];
+    });
+
+    test('全局变量已存在时不再加载', async () => {
+        window.CryptoJS = { existing: true };
+        await expect(loader.load('crypto-js')).resolves.toEqual({ existing: true });
+        expect(appended).toHaveLength(0);
+    });
+
+    test('未知的库', async () => {
+        await expect(loader.load('left-pad')).rejects.toThrow('未知的库: left-pad');
+    });
+
+    test.each(Object.keys(loader.LIBRARIES))('%s 使用 libs/ 下的本地文件', (name) => {
+        const { src } = loader.LIBRARIES[name];
+        expect(src).toMatch(/^libs\//);
+        expect(fs.existsSync(path.join(__dirname, '../..', src))).toBe(true);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * MessagePack Core Unit Tests
+ * MessagePack 编解码核心单元测试（结果与 MessagePack 规范示例比对）
+ */
+
+require('../../assets/js/bytes.js');
+require('../../tools/protocol/msgpack/msgpack-core.js');
+
+const msgpack = REOT.msgpack;
+const hex = bytes => REOT.bytes.toHex(bytes);
+const fromHex = str => REOT.bytes.fromHex(str);
+
+describe('REOT.msgpack', () => {
+    test('规范示例 {"compact":true,"schema":0}', () => {
+        const encoded = '82a7636f6d70616374c3a6736368656d6100';
+        expect(hex(msgpack.encode({ compact: true, schema: 0 }))).toBe(encoded);
+        expect(msgpack.toPlainValue(msgpack.decode(fromHex(encoded)))).toEqual({ compact: true, schema: 0 });
+    });
+
+    test.each([
+        [-1, 'ff'],
+        [-33, 'd0df'],
+        [200, 'ccc8'],
+        [65536, 'ce00010000'],
+        [2 ** 40, 'cf0000010000000000'],
+        [-(2 ** 40), 'd3ffffff0000000000'],
+        [1.5, 'cb3ff8000000000000'],
+        [null, 'c0'],
+        ['a'.repeat(32), 'd920' + '61'.repeat(32)]
+    ])('编码 %p', (value, expected) => {
+        const encoded = msgpack.encode(value);
+        expect(hex(encoded)).toBe(expected);
+        expect(msgpack.toPlainValue(msgpack.decode(encoded))).toEqual(value);
+    });
+
+    test('解码结果保留类型信息', () => {
+        expect(msgpack.decode(fromHex('cd0100'))).toEqual({ type: 'uint16', value: 256 });
+        expect(msgpack.decode(fromHex('92c2a0'))).toEqual({
+            type: 'array',
+            length: 2,
+            value: [{ type: 'bool', value: false }, { type: 'str', value: '' }]
+        });
+        expect(msgpack.decode(fromHex('a2ff00'))).toEqual({ type: 'str', value: 'ff00', isHex: true });
+    });
+
+    test('超出安全整数范围的 64 位整数保留为字符串', () => {
+        expect(msgpack.decode(fromHex('cfffffffffffffffff')).value).toBe('18446744073709551615');
+        expect(msgpack.decode(fromHex('d38000000000000000')).value).toBe('-9223372036854775808');
+    });
+
+    test('bin / ext 和非字符串键转换为 JSON', () => {
+        const decoded = msgpack.decode(fromHex('83c4020102a16201d407ff9101c0'));
+        expect(msgpack.toPlainValue(decoded)).toEqual({ '<bin:2>01 02': 'b', '1': '<ext:7>ff', '[1]': null });
+    });
+
+    test('Decoder 可从子数组解码并记录偏移', () => {
+        const data = fromHex('00cd0100c3');
+        const decoder = new msgpack.Decoder(data.subarray(1));
+        expect(decoder.decode()).toEqual({ type: 'uint16', value: 256 });
+        expect(decoder.offset).toBe(3);
+    });
+
+    test.each([
+        ['', '意外的数据结束'],
+        ['cd01', '意外的数据结束'],
+        ['a36162', '意外的数据结束'],
+        ['c4056162', '意外的数据结束'],
+        ['c1', '遇到保留字节 0xc1'],
+        ['0102', '解码后剩余 1 字节未使用']
+    ])('无效数据 %p', (input, message) => {
+        expect(() => msgpack.decode(fromHex(input))).toThrow(message);
+    });
+
+    test('不支持的类型', () => {
+        expect(() => msgpack.encode(() => {})).toThrow('不支持的类型: function');
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Operations Unit Tests
+ * 操作注册与 Recipe 流水线单元测试
+ */
+
+require('../../assets/js/bytes.js');
+require('../../assets/js/operations.js');
+require('../../assets/js/operations/encoding.js');
+require('../../assets/js/operations/encryption.js');
+require('../../assets/js/operations/protocol.js');
+require('../../tools/encryption/rc4/rc4-core.js');
+require('../../tools/reverse/xor-analyzer/xor-core.js');
+require('../../tools/protocol/protobuf/protobuf-core.js');
+require('../../tools/protocol/msgpack/msgpack-core.js');
+
+const ops = REOT.operations;
+
+// 核心脚本已直接加载，loadScript 只记录调用
+REOT.loader = { loadScript: jest.fn().mockResolvedValue() };
+
+describe('REOT.operations', () => {
+    describe('register', () => {
+        test('缺少必需字段时拒绝注册', () => {
+            const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            expect(ops.register({ id: 'broken', category: 'encoding' })).toBe(false);
+            expect(ops.get('broken')).toBeNull();
+            spy.mockRestore();
+        });
+
+        test('无效的数据类型时拒绝注册', () => {
+            const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const result = ops.register({
+                id: 'bad-type', category: 'encoding', name: 'Bad', input: 'number', output: 'bytes', run: x => x
+            });
+            expect(result).toBe(false);
+            spy.mockRestore();
+        });
+
+        test('重复 ID 不会覆盖已有操作', () => {
+            const original = ops.get('to-hex');
+            expect(ops.register({ ...original, name: 'Other' })).toBe(false);
+            expect(ops.get('to-hex').name).toBe('To Hex');
+        });
+
+        test('按分类获取操作', () => {
+            const ids = ops.getByCategory('encoding').map(op => op.id);
+            expect(ids).toContain('from-base64');
+            expect(ids).not.toContain('xor');
+        });
+    });
+
+    describe('coerce', () => {
+        test('字符串转字节', () => {
+            expect(Array.from(ops.coerce('AB', 'bytes'))).toEqual([0x41, 0x42]);
+        });
+
+        test('字节转字符串', () => {
+            expect(ops.coerce(new Uint8Array([0x68, 0x69]), 'string')).toBe('hi');
+        });
+
+        test('字符串转 JSON', () => {
+            expect(ops.coerce('{"a":1}', 'json')).toEqual({ a: 1 });
+        });
+
+        test('无效 JSON 抛出错误', () => {
+            expect(() => ops.coerce('not json', 'json')).toThrow('输入不是有效的 JSON');
+        });
+    });
+
+    describe('parseBytesArg', () => {
+        test('十六进制', () => {
+            expect(Array.from(ops.parseBytesArg({ value: '0x01 ff', format: 'hex' }))).toEqual([1, 255]);
+        });
+
+        test('Base64', () => {
+            expect(Array.from(ops.parseBytesArg({ value: 'AQI', format: 'base64' }))).toEqual([1, 2]);
+        });
+
+        test('文本', () => {
+            expect(Array.from(ops.parseBytesArg('k'))).toEqual([0x6b]);
+        });
+
+        test('无效十六进制', () => {
+            expect(() => ops.parseBytesArg({ value: 'abc', format: 'hex' })).toThrow('十六进制数据长度必须为偶数');
+        });
+    });
+
+    describe('run', () => {
+        test('自动转换输入类型', async () => {
+            expect(await ops.run('to-hex', 'AB')).toBe('4142');
+        });
+
+        test('使用参数默认值', async () => {
+            expect(await ops.run('to-hex', 'AB', { delimiter: 'space' })).toBe('41 42');
+        });
+
+        test('XOR 两次还原原文', async () => {
+            const args = { key: { value: '2a', format: 'hex' } };
+            const encrypted = await ops.run('xor', 'secret', args);
+            const decrypted = await ops.run('xor', encrypted, args);
+            expect(ops.coerce(decrypted, 'string')).toBe('secret');
+            expect(REOT.loader.loadScript).toHaveBeenCalledWith('tools/reverse/xor-analyzer/xor-core.js');
+            await expect(ops.run('xor', 'secret', { key: { value: '', format: 'hex' } })).rejects.toThrow('密钥不能为空');
+        });
+
+        test('RC4 已知向量', async () => {
+            const output = await ops.run('rc4', 'Plaintext', { key: 'Key' });
+            expect(await ops.run('to-hex', output)).toBe('bbf316e8d940af0ad3');
+            expect(REOT.loader.loadScript).toHaveBeenCalledWith('tools/encryption/rc4/rc4-core.js');
+            await expect(ops.run('rc4', 'Plaintext', { key: '' })).rejects.toThrow('密钥不能为空');
+        });
+
+        test('AES 使用纯 JS 核心', async () => {
+            require('../../tools/encryption/aes/aes-core.js');
+            REOT.loader = { loadScript: jest.fn().mockResolvedValue() };
+            const args = {
+                mode: 'CFB8',
+                key: { value: '2b7e151628aed2a6abf7158809cf4f3c', format: 'hex' },
+                iv: { value: '000102030405060708090a0b0c0d0e0f', format: 'hex' }
+            };
+            const encrypted = await ops.run('aes-encrypt', REOT.bytes.fromHex('6bc1bee22e409f96'), args);
+            expect(await ops.run('to-hex', encrypted)).toBe('3b79424c9c0dd436');
+            expect(REOT.loader.loadScript).toHaveBeenCalledWith('tools/encryption/aes/aes-core.js');
+
+            const wrongPadding = { ...args, mode: 'CBC', padding: 'pkcs7' };
+            const ciphertext = await ops.run('aes-encrypt', 'data', { ...wrongPadding, padding: 'zero' });
+            await expect(ops.run('aes-decrypt', ciphertext, wrongPadding)).rejects.toThrow('填充无效');
+        });
+
+        test('JWT 解码', async () => {
+            const token = 'eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.sig';
+            const result = await ops.run('jwt-decode', token);
+            expect(result.header).toEqual({ alg: 'HS256' });
+            expect(result.payload).toEqual({ sub: '1' });
+        });
+
+        test('未知操作', async () => {
+            await expect(ops.run('no-such-op', '')).rejects.toThrow('未知的操作');
+        });
+    });
+
+    describe('runRecipe', () => {
+        test('返回每一步的中间结果', async () => {
+            const results = await ops.runRecipe([
+                { op: 'from-base64' },
+                { op: 'to-hex' }
+            ], 'SGk=');
+            expect(results).toHaveLength(2);
+            expect(results[0].type).toBe('bytes');
+            expect(results[1].output).toBe('4869');
+            expect(results[1].error).toBeNull();
+        });
+
+        test('禁用的步骤直接透传', async () => {
+            const results = await ops.runRecipe([
+                { op: 'url-encode', disabled: true },
+                { op: 'to-base64' }
+            ], 'a b');
+            expect(results[0].skipped).toBe(true);
+            expect(results[1].output).toBe('YSBi');
+        });
+
+        test('某一步失败后停止执行', async () => {
+            const results = await ops.runRecipe([
+                { op: 'from-hex' },
+                { op: 'to-base64' }
+            ], 'zz');
+            expect(results[0].error).toBe('无效的十六进制字符 "z"');
+            expect(results[1].skipped).toBe(true);
+        });
+
+        test('Protobuf 解码嵌套消息', async () => {
+            const results = await ops.runRecipe([
+                { op: 'from-hex' },
+                { op: 'protobuf-decode' }
+            ], '08 96 01 12 03 61 62 63');
+            expect(results[1].output).toEqual({ field_1: 150, field_2: 'abc' });
+            expect(REOT.loader.loadScript).toHaveBeenCalledWith('tools/protocol/protobuf/protobuf-core.js');
+        });
+
+        test('Protobuf 解码失败时报错', async () => {
+            const results = await ops.runRecipe([
+                { op: 'from-hex' },
+                { op: 'protobuf-decode' }
+            ], '08 96');
+            expect(results[1].error).toBe('无法解析为 Protobuf 消息');
+        });
+
+        test('MessagePack 解码为普通 JSON 值', async () => {
+            const results = await ops.runRecipe([
+                { op: 'from-hex' },
+                { op: 'msgpack-decode' }
+            ], '82 a7 63 6f 6d 70 61 63 74 c3 a6 73 63 68 65 6d 61 00');
+            expect(results[1].output).toEqual({ compact: true, schema: 0 });
+            expect(REOT.loader.loadScript).toHaveBeenCalledWith('tools/protocol/msgpack/msgpack-core.js');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Precache Manifest Unit Tests
+ * Service Worker 预缓存清单单元测试
+ */
+
+const fs = require('fs');
+const path = require('path');
+const precache = require('../../scripts/build-precache.js');
+
+describe('precache-manifest.js', () => {
+    const { files, content } = precache.build();
+
+    test('与当前文件保持同步（不一致时执行 npm run precache）', () => {
+        expect(fs.readFileSync(precache.OUTPUT, 'utf8')).toBe(content);
+    });
+
+    test('包含应用外壳和本地第三方库', () => {
+        expect(files).toEqual(expect.arrayContaining([
+            'index.html',
+            'assets/js/loader.js',
+            'libs/pako/pako.min.js',
+            'libs/brotli-wasm/pkg.web/brotli_wasm_bg.wasm'
+        ]));
+    });
+
+    test('包含工具注册表中每个工具的页面和脚本', () => {
+        const registry = fs.readFileSync(path.join(__dirname, '../../assets/js/tools-registry.js'), 'utf8');
+        const tools = [...registry.matchAll(/id: '([^']+)',[^}]*?path: '\/([^']+)'/g)];
+        expect(tools.length).toBeGreaterThan(50);
+        tools.forEach(([, id, toolPath]) => {
+            expect(files).toContain(`${toolPath}${id}.html`);
+            expect(files).toContain(`${toolPath}${id}.js`);
+        });
+    });
+
+    test('不依赖外部 CDN', () => {
+        files.filter(file => /\.(js|html)$/.test(file) && !file.startsWith('libs/')).forEach(file => {
+            const source = fs.readFileSync(path.join(__dirname, '../..', file), 'utf8');
+            expect(source).not.toMatch(/cdn\.jsdelivr\.net|unpkg\.com|cdnjs\.cloudflare\.com/);
+        });
+    });
+});
+
+describe('Service Worker 注册', () => {
+    let register;
+
+    beforeAll(() => {
+        require('../../assets/js/loader.js');
+        // main.js 加载时会自动初始化，这里只测试注册逻辑
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        require('../../assets/js/main.js');
+    });
+
+    beforeEach(() => {
+        register = jest.fn().mockResolvedValue({});
+        Object.defineProperty(navigator, 'serviceWorker', { value: { register }, configurable: true });
+        Object.defineProperty(window, 'isSecureContext', { value: true, configurable: true });
+    });
+
+    afterEach(() => {
+        delete REOT.router;
+        window.history.replaceState(null, '', '/');
+    });
+
+    test('从工具页深链接进入时仍从站点根目录注册', () => {
+        window.history.replaceState(null, '', '/tools/encoding/base64/');
+        REOT.app.registerServiceWorker();
+        expect(register).toHaveBeenCalledWith('/sw.js', { scope: '/' });
+    });
+
+    test('子目录部署时使用路由的路径前缀', () => {
+        REOT.router = { pathPrefix: '/Reverse-Engineering-Online-Toolkit' };
+        window.history.replaceState(null, '', '/Reverse-Engineering-Online-Toolkit/tools/hashing/hmac/');
+        REOT.app.registerServiceWorker();
+        expect(register).toHaveBeenCalledWith('/Reverse-Engineering-Online-Toolkit/sw.js', { scope: '/Reverse-Engineering-Online-Toolkit/' });
+    });
+});
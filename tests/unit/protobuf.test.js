@@ -0,0 +1,340 @@
+/**
+ * Protobuf Tool Unit Tests
+ * Protobuf wire 格式核心与 Schema 解码/编码单元测试（二进制由 protoc --encode 生成）
+ */
+
+require('../../assets/js/i18n.js');
+require('../../assets/js/bytes.js');
+require('../../assets/js/loader.js');
+
+window.Long = require('../../libs/long/long.min.js');
+window.protobuf = require('../../libs/protobufjs/protobuf.min.js');
+window.pako = require('../../libs/pako/pako.min.js');
+
+require('../../tools/protocol/protobuf/protobuf-core.js');
+require('../../tools/protocol/protobuf/protobuf.js');
+
+const tool = window.ProtobufTool;
+
+const COMMON_PROTO = `syntax = "proto3";
+
+package common;
+
+enum Role {
+    ROLE_UNKNOWN = 0;
+    ROLE_ADMIN = 1;
+    ROLE_USER = 2;
+}
+
+message Address {
+    string city = 1;
+    int32 zip = 2;
+}`;
+
+const EXAMPLE_PROTO = `syntax = "proto3";
+
+package example;
+
+import "google/protobuf/timestamp.proto";
+import "google/protobuf/duration.proto";
+import "google/protobuf/any.proto";
+import "google/protobuf/struct.proto";
+import "google/protobuf/wrappers.proto";
+import "google/protobuf/field_mask.proto";
+import "common.proto";
+
+message User {
+    int64 id = 1;
+    string name = 2;
+    common.Role role = 3;
+    repeated int32 scores = 4;
+    repeated string tags = 5;
+    map<string, common.Address> addresses = 6;
+    oneof contact {
+        string email = 7;
+        string phone = 8;
+    }
+    google.protobuf.Timestamp created_at = 9;
+    google.protobuf.Duration ttl = 10;
+    google.protobuf.Any extra = 11;
+    google.protobuf.Struct meta = 12;
+    google.protobuf.Int32Value age = 13;
+    bytes avatar = 14;
+    uint64 big = 15;
+    double ratio = 16;
+    google.protobuf.FieldMask mask = 17;
+}`;
+
+// protoc -I. --encode=example.User example.proto
+const USER_HEX = '08d6ffffffffffffffff011206e5bca0e4b889180122040102ac022a01612a016232150a04686f6d65120d0a074265696a696e6710a08d06' +
+    '3a0d7a406578616d706c652e636f6d4a0c0880e2cfaa061080cab5ee01521608ffffffffffffffffff011080b6ca91feffffffff015a2d0a2274' +
+    '7970652e676f6f676c65617069732e636f6d2f636f6d6d6f6e2e4164647265737312070a055061726973622a0a080a026f6b120220010a1e0a04' +
+    '6c697374121632140a0911000000000000f83f0a0208000a031a01786a02081e720300ff1078ffffffffffffffffff018101000000000000d03f' +
+    '8a010c0a046e616d650a04726f6c65';
+
+const USER_JSON = {
+    id: '-42',
+    name: '张三',
+    role: 'ROLE_ADMIN',
+    scores: [1, 2, 300],
+    tags: ['a', 'b'],
+    addresses: { home: { city: 'Beijing', zip: 100000 } },
+    email: 'z@example.com',
+    created_at: '2023-11-14T22:13:20.500Z',
+    ttl: '-1.500s',
+    extra: { '@type': 'type.googleapis.com/common.Address', city: 'Paris' },
+    meta: { ok: true, list: [1.5, null, 'x'] },
+    age: 30,
+    avatar: 'AP8Q',
+    big: '18446744073709551615',
+    ratio: 0.25,
+    mask: 'name,role'
+};
+
+const FILES = [
+    { name: 'common.proto', content: COMMON_PROTO },
+    { name: 'example.proto', content: EXAMPLE_PROTO }
+];
+
+describe('REOT.protobuf', () => {
+    const core = REOT.protobuf;
+    const hex = value => REOT.bytes.fromHex(value);
+
+    test('decode 转换为 JSON：嵌套消息、重复字段、定长字段与字节', () => {
+        expect(core.decode(hex('089601120361626308010802'))).toEqual({ field_1: [150, 1, 2], field_2: 'abc' });
+        expect(core.decode(hex('1a020801'))).toEqual({ field_3: { field_1: 1 } });
+        // 超出安全整数范围的 64 位整数保留为字符串
+        expect(core.decode(hex('0dffffffff110000000000000040'))).toEqual({ field_1: -1, field_2: '4611686018427387904' });
+        expect(core.decode(hex('1202ff00'))).toEqual({ field_2: 'ff 00' });
+    });
+
+    test('数据不完整或有剩余字节时 decode 报错', () => {
+        expect(() => core.decode(hex('0896'))).toThrow('无法解析为 Protobuf 消息');
+        expect(() => core.decode(hex('08960100'))).toThrow('无法解析为 Protobuf 消息');
+        expect(() => core.decode(new Uint8Array(0))).toThrow('无法解析为 Protobuf 消息');
+    });
+
+    test('readVarint', () => {
+        expect(core.readVarint(hex('9601'), 0)).toEqual({ value: 150n, bytesRead: 2 });
+        expect(() => core.readVarint(hex('96'), 0)).toThrow('数据不完整');
+        expect(() => core.readVarint(hex('ff'.repeat(11)), 0)).toThrow('Varint 过长');
+    });
+
+    test('parse 在残缺字段处停止并保留剩余字节', () => {
+        const decoded = core.parse(hex('08011296'));
+        expect(decoded.parts.map(part => part.fieldNumber)).toEqual([1]);
+        expect(decoded.leftOver).toEqual(hex('1296'));
+    });
+
+    test('interpret 可禁止解析为嵌套消息', () => {
+        const [part] = core.parse(hex('12020801')).parts;
+        expect(core.interpret(part).subType).toBe('protobuf');
+        expect(core.interpret(part, false)).toMatchObject({ subType: 'string', nested: null });
+    });
+
+    test('varint 的多种解释', () => {
+        expect(core.decodeVarintParts(3n)).toEqual([{ type: 'uint', value: '3' }, { type: 'sint', value: '-2' }]);
+        expect(core.decodeStringOrBytes(hex('ff00'))).toEqual({ type: 'bytes', value: 'ff 00' });
+    });
+});
+
+describe('ProtobufTool Schema', () => {
+    let root;
+
+    beforeAll(async () => {
+        root = await tool.loadSchema(FILES);
+    });
+
+    test('列出消息类型', () => {
+        expect(tool.listMessageTypes(root)).toEqual(['common.Address', 'example.User']);
+    });
+
+    test('按 Schema 解码（枚举、map、oneof、Well-Known Types、64 位整数）', () => {
+        const json = tool.decodeWithSchema(root, 'example.User', REOT.bytes.fromHex(USER_HEX));
+        expect(json).toEqual(USER_JSON);
+    });
+
+    test('编码结果与 protoc 一致', () => {
+        const bytes = tool.encodeWithSchema(root, 'example.User', JSON.stringify(USER_JSON));
+        expect(REOT.bytes.toHex(bytes)).toBe(USER_HEX);
+    });
+
+    test('接受 lowerCamelCase 字段名与数字枚举', () => {
+        const bytes = tool.encodeWithSchema(root, 'example.User', { createdAt: '1970-01-01T08:00:01+08:00', role: 2 });
+        expect(tool.decodeWithSchema(root, 'example.User', bytes)).toEqual({
+            role: 'ROLE_USER',
+            created_at: '1970-01-01T00:00:01Z'
+        });
+    });
+
+    test('NaN 与 Infinity 以字符串表示', () => {
+        const bytes = tool.encodeWithSchema(root, 'example.User', { ratio: 'NaN' });
+        expect(tool.decodeWithSchema(root, 'example.User', bytes)).toEqual({ ratio: 'NaN' });
+    });
+
+    test('无效的 JSON', () => {
+        expect(() => tool.encodeWithSchema(root, 'example.User', '{')).toThrow('JSON 解析失败');
+        expect(() => tool.encodeWithSchema(root, 'example.User', { nickname: 'x' })).toThrow('example.User 中没有字段 nickname');
+        expect(() => tool.encodeWithSchema(root, 'example.User', { role: 'ROLE_ROOT' })).toThrow('role: 未知的枚举值 ROLE_ROOT');
+        expect(() => tool.encodeWithSchema(root, 'example.User', { created_at: '2024-01-01' })).toThrow('无效的 Timestamp');
+        expect(() => tool.encodeWithSchema(root, 'example.User', { tags: 'a' })).toThrow('example.User.tags 应为数组');
+        expect(() => tool.encodeWithSchema(root, 'example.Missing', {})).toThrow('找不到消息类型: example.Missing');
+    });
+
+    test('Schema 错误', async () => {
+        await expect(tool.loadSchema('')).rejects.toThrow('请输入 .proto 定义');
+        await expect(tool.loadSchema([{ name: 'bad.proto', content: 'message {' }])).rejects.toThrow('bad.proto 解析失败');
+        await expect(tool.loadSchema([{ name: 'example.proto', content: EXAMPLE_PROTO }])).rejects.toThrow('Schema 解析失败');
+    });
+
+    test('报告 Schema 中没有定义的字段', async () => {
+        const schema = await tool.loadSchema('syntax = "proto3"; message Outer { Inner inner = 1; } message Inner { int32 a = 1; }');
+        // inner { a: 1, 2: 2 }, 99: 1
+        const data = REOT.bytes.fromHex('0a04080110029806 01'.replace(/\s/g, ''));
+        expect(tool.findUnknownFields(schema, 'Outer', data)).toEqual(['inner.2', '99']);
+        expect(tool.decodeWithSchema(schema, 'Outer', data)).toEqual({ inner: { a: 1 } });
+    });
+});
+
+describe('ProtobufTool Schema 推断', () => {
+    // protoc --encode=t.Sample，原始定义：
+    // message Point { sint32 dx = 1; sint32 dy = 2; }
+    // message Item { string title = 1; int32 count = 2; }
+    // message Sample {
+    //     int64 id = 1; string name = 2; bytes digest = 3; repeated int32 scores = 4; Item item = 5;
+    //     repeated Point path = 6; double ratio = 7; float weight = 8; fixed32 crc = 9; int32 delta = 10;
+    //     bool flag = 11; repeated string tags = 12; repeated uint32 raw = 13 [packed = false]; sint64 offset = 14;
+    // }
+    const SAMPLES = [
+        '08fbd095ffbc311205616c6963651a068a01ff00109c22040102ac022a070a0370656e10033204080510083204080a1001390000000000' +
+            '00e83f450000c03f4defbeadde50f9ffffffffffffffff0158016201616201626805680670ef01',
+        '082a1203626f621a05deadbeef002201072a060a04626f6f6b3204081410273900000000000004c0450000803e4d01000000500c68097042',
+        '08071206e5bca0e4b889220204053204080110013202080432021012390000000000005940500358016201787009'
+    ].map(hex => REOT.bytes.fromHex(hex));
+
+    test('合并多个样本推断字段类型', () => {
+        const schema = tool.inferSchema(SAMPLES, { messageName: 'Sample' });
+        const types = Object.fromEntries(schema.fields.map(field => [field.number, field]));
+
+        expect(schema).toMatchObject({ name: 'Sample', samples: 3 });
+        expect(types[1]).toMatchObject({ type: 'int64', repeated: false });
+        expect(types[2]).toMatchObject({ type: 'string', example: '"alice"' });
+        expect(types[3].type).toBe('bytes');
+        expect(types[4]).toMatchObject({ type: 'int32', repeated: true, packed: true });
+        expect(types[5].message.fields.map(field => field.type)).toEqual(['string', 'int32']);
+        expect(types[6]).toMatchObject({ type: 'Field6', repeated: true });
+        expect(types[6].message.fields.map(field => field.type)).toEqual(['sint32', 'sint32']);
+        expect(types[7].type).toBe('double');
+        expect(types[8].type).toBe('float');
+        expect(types[9].type).toBe('fixed32');
+        expect(types[10]).toMatchObject({ type: 'int32', example: '-7' });
+        expect(types[11].type).toBe('bool');
+        expect(types[12]).toMatchObject({ type: 'string', repeated: true });
+        expect(types[13]).toMatchObject({ type: 'int32', repeated: true, packed: false });
+        expect(types[14]).toMatchObject({ type: 'sint32', example: '-120' });
+    });
+
+    test('同一字段同时以 packed 和逐个编码出现', () => {
+        // 字段 1: 逐个编码的 3、packed 的 [4, 5]
+        const schema = tool.inferSchema([REOT.bytes.fromHex('0803'), REOT.bytes.fromHex('0a020405')]);
+        expect(schema.fields).toEqual([
+            expect.objectContaining({ number: 1, type: 'int32', repeated: true, packed: true })
+        ]);
+    });
+
+    test('生成的 .proto 可以直接用于解码，且重新编码后与样本一致', async () => {
+        const schema = tool.inferSchema(SAMPLES, { messageName: 'Sample' });
+        const proto = tool.generateProto(schema, { packageName: 'app.v1' });
+
+        expect(proto).toContain('package app.v1;');
+        expect(proto).toContain('    repeated int32 field_13 = 13 [packed = false]; // 例: 5');
+        expect(proto).toContain('    repeated Field6 field_6 = 6;');
+        expect(proto).toContain('    message Field5 {');
+
+        const root = await tool.loadSchema(proto);
+        expect(tool.listMessageTypes(root)).toEqual(['app.v1.Sample', 'app.v1.Sample.Field5', 'app.v1.Sample.Field6']);
+        for (const sample of SAMPLES) {
+            const json = tool.decodeWithSchema(root, 'app.v1.Sample', sample);
+            expect(tool.encodeWithSchema(root, 'app.v1.Sample', json)).toEqual(sample);
+        }
+    });
+
+    test('无效的参数', () => {
+        expect(() => tool.inferSchema([])).toThrow('请至少提供一个样本');
+        expect(() => tool.inferSchema(SAMPLES, { messageName: '1x' })).toThrow('无效的消息名: 1x');
+        expect(() => tool.inferSchema([new Uint8Array([0])])).toThrow('样本中没有可解析的字段');
+        expect(() => tool.generateProto(tool.inferSchema(SAMPLES), { packageName: 'a-b' })).toThrow('无效的包名: a-b');
+    });
+});
+
+describe('ProtobufTool gRPC 帧', () => {
+    const GREETING_PROTO = 'syntax = "proto3"; package demo; message Greeting { string text = 1; int32 n = 2; }';
+    const frame = (flags, payload) => {
+        const header = new Uint8Array(5);
+        header[0] = flags;
+        new DataView(header.buffer).setUint32(1, payload.length);
+        return REOT.bytes.concat([header, payload]);
+    };
+    const trailer = text => frame(0x80, new TextEncoder().encode(text));
+
+    let root;
+    let messages;
+
+    beforeAll(async () => {
+        root = await tool.loadSchema(GREETING_PROTO);
+        messages = [
+            { text: 'hello', n: 1 },
+            { text: 'world'.repeat(20), n: 2 },
+            { text: '压缩', n: 3 }
+        ].map(json => tool.encodeWithSchema(root, 'demo.Greeting', json));
+    });
+
+    test('拆分多条消息，解压 gzip / deflate，并解析 trailer', async () => {
+        const data = REOT.bytes.concat([
+            frame(0, messages[0]),
+            frame(1, window.pako.gzip(messages[1])),
+            frame(1, window.pako.deflate(messages[2])),
+            trailer('grpc-status: 0\r\ngrpc-message: all%20done\r\n')
+        ]);
+        const stream = await tool.decodeGrpcStream(data);
+
+        expect(stream.messages.map(message => message.encoding)).toEqual([null, 'gzip', 'deflate']);
+        expect(stream.messages.map(message => tool.decodeWithSchema(root, 'demo.Greeting', message.data).n)).toEqual([1, 2, 3]);
+        expect(stream.messages[1].length).toBeLessThan(stream.messages[1].data.length);
+        expect(stream.trailers).toEqual({ 'grpc-status': '0', 'grpc-message': 'all done' });
+        expect(stream.leftOver).toHaveLength(0);
+    });
+
+    test('gRPC-Web text：逐段解码各自补齐的 Base64', async () => {
+        const body = REOT.bytes.toBase64(frame(0, messages[0])) +
+            REOT.bytes.toBase64(trailer('grpc-status:5\r\ngrpc-message:%E6%9C%AA%E6%89%BE%E5%88%B0\r\n'));
+        expect(body.indexOf('=')).toBeLessThan(body.length - 2);
+
+        const stream = await tool.decodeGrpcStream(tool.decodeGrpcWebText(body));
+        expect(stream.messages).toHaveLength(1);
+        expect(stream.trailers).toEqual({ 'grpc-status': '5', 'grpc-message': '未找到' });
+    });
+
+    test('末尾不完整的帧和无效的帧', () => {
+        const data = REOT.bytes.concat([frame(0, messages[0]), frame(0, messages[1]).slice(0, 8)]);
+        const { frames, leftOver } = tool.parseGrpcFrames(data);
+        expect(frames).toHaveLength(1);
+        expect(leftOver).toHaveLength(8);
+
+        expect(() => tool.parseGrpcFrames(messages[0])).toThrow('不是有效的 gRPC 帧');
+        expect(() => tool.parseGrpcFrames(new Uint8Array([0, 0, 0]))).toThrow('帧头不完整');
+        expect(() => tool.parseGrpcFrames(new Uint8Array([0, 0, 0, 0, 9, 1]))).toThrow('帧声明长度为 9 字节');
+    });
+
+    test('无法解压时报告消息序号', async () => {
+        const data = REOT.bytes.concat([frame(0, messages[0]), frame(1, new Uint8Array([0xff, 0xff, 0xff]))]);
+        await expect(tool.decodeGrpcStream(data)).rejects.toThrow('第 2 条消息: 无法解压消息');
+    });
+
+    test('重新组帧', async () => {
+        const data = tool.encodeGrpcFrames(messages);
+        const stream = await tool.decodeGrpcStream(data);
+        expect(stream.messages.map(message => message.data)).toEqual(messages);
+        expect(stream.trailers).toBeNull();
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * RC4 Core Unit Tests
+ * RC4 流加密单元测试（结果与 RFC 6229 及常用测试向量比对）
+ */
+
+require('../../assets/js/bytes.js');
+require('../../tools/encryption/rc4/rc4-core.js');
+
+const rc4 = REOT.rc4;
+const hex = bytes => REOT.bytes.toHex(bytes);
+const text = str => new TextEncoder().encode(str);
+
+describe('REOT.rc4', () => {
+    test.each([
+        ['Key', 'Plaintext', 'bbf316e8d940af0ad3'],
+        ['Wiki', 'pedia', '1021bf0420'],
+        ['Secret', 'Attack at dawn', '45a01f645fc35b383552544b9bf5']
+    ])('密钥 %s 加密 %s', (key, plaintext, expected) => {
+        const ciphertext = rc4.crypt(text(plaintext), text(key));
+        expect(hex(ciphertext)).toBe(expected);
+        expect(new TextDecoder().decode(rc4.crypt(ciphertext, text(key)))).toBe(plaintext);
+    });
+
+    test('RFC 6229 密钥流', () => {
+        const stream = rc4.keystream(REOT.bytes.fromHex('0102030405'), 32);
+        expect(hex(stream.subarray(0, 16))).toBe('b2396305f03dc027ccc3524a0a1118a8');
+        expect(hex(stream.subarray(16))).toBe('6982944f18fc82d589c403a47a0d0919');
+    });
+
+    test('不修改输入', () => {
+        const data = text('data');
+        rc4.crypt(data, text('key'));
+        expect(new TextDecoder().decode(data)).toBe('data');
+    });
+
+    test('密钥长度', () => {
+        expect(() => rc4.crypt(text('a'), new Uint8Array(0))).toThrow('密钥不能为空');
+        expect(() => rc4.crypt(text('a'), new Uint8Array(257))).toThrow('密钥长度不能超过 256 字节');
+        expect(rc4.crypt(text('a'), new Uint8Array(256))).toHaveLength(1);
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * RSA Attack Unit Tests
+ * RSA 弱密钥攻击单元测试（素数由 Node 的 crypto 模块生成）
+ */
+
+const nodeCrypto = require('crypto');
+const FakeWorker = require('../helpers/fake-worker');
+
+require('../../assets/js/i18n.js');
+require('../../assets/js/bytes.js');
+require('../../assets/js/keys.js');
+require('../../assets/js/workers.js');
+require('../../tools/encryption/rsa/rsa-core.js');
+require('../../tools/encryption/rsa-attack/rsa-attack-core.js');
+
+require('../../tools/encryption/rsa-attack/rsa-attack.js');
+
+const rsa = REOT.rsa;
+const attack = REOT.rsaAttack;
+const prime = bits => nodeCrypto.generatePrimeSync(bits, { bigint: true });
+const message = text => rsa.toBigInt(REOT.bytes.fromText(text));
+
+describe('REOT.rsaAttack', () => {
+    describe('整数运算', () => {
+        test('iroot 与 crt', () => {
+            expect(attack.iroot(10n ** 60n, 3)).toEqual({ root: 10n ** 20n, exact: true });
+            expect(attack.iroot(10n ** 60n + 1n, 3)).toEqual({ root: 10n ** 20n, exact: false });
+            expect(attack.isqrt(99n)).toBe(9n);
+            expect(attack.crt([2n, 3n, 2n], [3n, 5n, 7n])).toEqual({ value: 23n, modulus: 105n });
+            expect(() => attack.crt([1n, 2n], [6n, 9n])).toThrow('模数不互素');
+        });
+
+        test('素数生成', () => {
+            const p = attack.randomPrime(128);
+            expect(p.toString(2)).toMatch(/^11[01]{126}$/);
+            expect(nodeCrypto.checkPrimeSync(p)).toBe(true);
+            expect(attack.isProbablePrime(561n)).toBe(false);
+        });
+    });
+
+    describe('攻击', () => {
+        const n = prime(512) * prime(512);
+        const m = message('flag{cube_root}');
+
+        test('小指数开方', () => {
+            expect(attack.smallExponent(n, 3n, rsa.modPow(m, 3n, n))).toEqual({ m, k: 0 });
+            // 50³ = 38·3233 + 2146
+            expect(attack.smallExponent(3233n, 3n, 2146n)).toEqual({ m: 50n, k: 38 });
+            expect(attack.smallExponent(n, 3n, rsa.modPow(m << 400n, 3n, n), { maxK: 10 })).toBeNull();
+        });
+
+        test('共模攻击', () => {
+            const c1 = rsa.modPow(m, 17n, n);
+            const c2 = rsa.modPow(m, 65537n, n);
+            expect(attack.commonModulus(n, 17n, c1, 65537n, c2)).toEqual({ m, g: 1n });
+            // gcd(e1, e2) = 3 时得到 m³ 后开方
+            expect(attack.commonModulus(n, 6n, rsa.modPow(m, 6n, n), 9n, rsa.modPow(m, 9n, n))).toEqual({ m, g: 3n });
+        });
+
+        test('批量 GCD 找出共享的素数', () => {
+            const [p, q, r, s] = [prime(256), prime(256), prime(256), prime(256)];
+            const other = prime(256) * prime(256);
+            // p·q 的两个素数都被共享，需要两两比较
+            const factors = attack.sharedPrimes([p * q, p * r, q * s, other, other]);
+            expect(factors[0] === p || factors[0] === q).toBe(true);
+            expect(factors.slice(1)).toEqual([p, q, null, null]);
+        });
+
+        test('Wiener 攻击', () => {
+            let key = null;
+            while (!key) {
+                const [p, q, d] = [prime(512), prime(512), prime(250)];
+                try {
+                    key = { p, q, d, n: p * q, e: rsa.modInverse(d, (p - 1n) * (q - 1n)) };
+                } catch (error) {
+                    // d 与 φ(n) 不互素
+                }
+            }
+            const result = attack.wiener(key.n, key.e);
+            expect(result.d).toBe(key.d);
+            expect(result.p * result.q).toBe(key.n);
+            expect(attack.wiener(n, 65537n)).toBeNull();
+        });
+
+        test('Fermat 分解相近的素数', () => {
+            const p = prime(512);
+            let q = p + 2n;
+            while (!nodeCrypto.checkPrimeSync(q)) {
+                q += 2n;
+            }
+            expect(attack.fermat(p * q)).toMatchObject({ p: q, q: p, iterations: 1 });
+            expect(attack.fermat(n, { iterations: 1000 })).toBeNull();
+        });
+
+        test('Håstad 广播攻击', () => {
+            const long = m << 600n;
+            const items = [1, 2, 3].map(() => {
+                const modulus = prime(512) * prime(512);
+                return { n: modulus, c: rsa.modPow(long, 3n, modulus) };
+            });
+            expect(attack.hastad(3n, items)).toEqual({ m: long });
+            expect(() => attack.hastad(3n, items.slice(0, 2))).toThrow('Håstad 广播攻击需要至少 3 组密文，当前为 2 组');
+        });
+    });
+
+    describe('输入与任务', () => {
+        test('解析 PEM、参数和编号参数', () => {
+            const pem = rsa.toPem(rsa.createKey({ n: 3233n, e: 17n }), { type: 'public' });
+            const entries = attack.parseEntries(`${pem}\nc = 0x0ae6\n\nn = 3233, e = 17\n\nn1 = 77\ne1 = 3\nc1 = 8\nn2 = 0x23, e2 = 3`);
+            expect(entries).toEqual([
+                { n: 3233n, e: 17n, c: 2790n },
+                { n: 3233n, e: 17n, c: null },
+                { n: 77n, e: 3n, c: 8n },
+                { n: 35n, e: 3n, c: null }
+            ]);
+            expect(() => attack.parseEntries('n = 3233, e = 17\n\nn = 1')).toThrow('第 2 组输入: 缺少公钥指数 e 或私钥指数 d');
+        });
+
+        test('按输入规划攻击', () => {
+            const entries = [
+                { n: 35n, e: 3n, c: 1n },
+                { n: 35n, e: 5n, c: 2n },
+                { n: 77n, e: 65537n, c: null }
+            ];
+            const jobs = attack.planAttacks(entries, { attacks: ['small-e', 'common-modulus', 'shared-primes', 'hastad'] });
+            expect(jobs.map(job => `${job.attack}:${job.targets}`)).toEqual([
+                'small-e:0', 'small-e:1', 'common-modulus:0,1', 'shared-primes:0,1,2'
+            ]);
+        });
+
+        test('分解成功后补全私钥并解密', () => {
+            const p = prime(256);
+            const entries = [
+                { n: p * prime(256), e: 65537n, c: null },
+                { n: p * prime(256), e: 65537n, c: null }
+            ];
+            entries[1].c = rsa.modPow(message('shared'), 65537n, entries[1].n);
+            const result = attack.runAttack({ attack: 'shared-primes', targets: [0, 1] }, entries);
+            expect(result).toMatchObject({ attack: 'shared-primes', success: true, detail: null });
+            expect(result.findings.map(finding => finding.index)).toEqual([0, 1]);
+
+            const finding = result.findings[1];
+            expect(REOT.bytes.toText(attack.decodePlaintext(finding.m, entries[1].n).bytes)).toBe('shared');
+            const pem = rsa.toPem(rsa.createKey({ n: entries[1].n, e: 65537n, p: finding.p, q: finding.q }), { type: 'private' });
+            const jwk = nodeCrypto.createPrivateKey(pem).export({ format: 'jwk' });
+            expect(BigInt('0x' + Buffer.from(jwk.d, 'base64url').toString('hex'))).toBe(finding.d);
+        });
+
+        test('识别 PKCS#1 v1.5 加密填充', async () => {
+            const pair = nodeCrypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+            const key = rsa.parseKey(pair.privateKey.export({ format: 'pem', type: 'pkcs1' }));
+            const ciphertext = await rsa.encrypt(REOT.bytes.fromText('padded'), key, { padding: 'pkcs1' });
+            const m = rsa.modPow(rsa.toBigInt(ciphertext), key.d, key.n);
+            const plaintext = attack.decodePlaintext(m, key.n);
+            expect(plaintext.padding).toBe('pkcs1');
+            expect(REOT.bytes.toText(plaintext.bytes)).toBe('padded');
+            expect(attack.decodePlaintext(65n, key.n)).toEqual({ bytes: new Uint8Array([65]), padding: null });
+        });
+    });
+});
+
+describe('RSAAttackTool.attack', () => {
+    beforeAll(() => {
+        FakeWorker.install();
+    });
+
+    test('在 Worker 中执行全部攻击', async () => {
+        const m = message('flag{broadcast}') << 300n;
+        const entries = [1, 2, 3].map(() => {
+            const n = prime(256) * prime(256);
+            return { n, e: 3n, c: rsa.modPow(m, 3n, n) };
+        });
+        const progress = [];
+        const job = window.RSAAttackTool.attack(entries, {
+            size: 2,
+            maxK: 10,
+            fermatIterations: 1000,
+            onProgress: info => progress.push(info.tried)
+        });
+        const { results, cancelled } = await job.promise;
+
+        expect(cancelled).toBe(false);
+        expect(results).toHaveLength(job.jobs.length);
+        expect(progress[progress.length - 1]).toBe(job.jobs.length);
+        const hastad = results.find(result => result.attack === 'hastad');
+        expect(hastad.success).toBe(true);
+        expect(hastad.findings.map(finding => finding.m)).toEqual([m, m, m]);
+        expect(results.filter(result => result.success)).toHaveLength(1);
+        expect(FakeWorker.instances.every(worker => worker.terminated)).toBe(true);
+    });
+
+    test('出错的攻击单独报告', async () => {
+        const entries = [{ n: 35n, e: 3n, c: 1n }, { n: 77n, e: 3n, c: 1n }, { n: 21n, e: 3n, c: 1n }];
+        const { results } = await window.RSAAttackTool.attack(entries, { attacks: ['hastad'], size: 1 }).promise;
+        expect(results).toEqual([{
+            attack: 'hastad', targets: [0, 1, 2], success: false, detail: null, findings: [],
+            error: '模数不互素，无法使用中国剩余定理（可先尝试公因子攻击）'
+        }]);
+        expect(() => window.RSAAttackTool.attack(entries, { attacks: ['common-modulus'] })).toThrow('没有适用的攻击');
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * RSA Core Unit Tests
+ * RSA 核心单元测试（与 Node 的 crypto 模块交叉验证）
+ */
+
+const nodeCrypto = require('crypto');
+
+if (!globalThis.crypto.subtle) {
+    Object.defineProperty(globalThis.crypto, 'subtle', { value: nodeCrypto.webcrypto.subtle });
+}
+
+require('../../assets/js/bytes.js');
+require('../../assets/js/keys.js');
+require('../../tools/encryption/rsa/rsa-core.js');
+
+const rsa = REOT.rsa;
+const text = str => REOT.bytes.fromText(str);
+
+describe('REOT.rsa', () => {
+    let pair;
+    let publicKey;
+    let privateKey;
+
+    beforeAll(() => {
+        pair = nodeCrypto.generateKeyPairSync('rsa', {
+            modulusLength: 1024,
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs1', format: 'pem' }
+        });
+        publicKey = rsa.parseKey(pair.publicKey);
+        privateKey = rsa.parseKey(pair.privateKey);
+    });
+
+    describe('密钥解析', () => {
+        test('PEM 公钥和私钥', () => {
+            expect(publicKey).toMatchObject({ bits: 1024, size: 128, type: 'public', e: 65537n, d: null });
+            expect(privateKey).toMatchObject({ type: 'private', n: publicKey.n });
+            expect(privateKey.p * privateKey.q).toBe(privateKey.n);
+        });
+
+        test('DER、JWK 与参数文本', () => {
+            const der = nodeCrypto.createPublicKey(pair.publicKey).export({ format: 'der', type: 'pkcs1' });
+            expect(rsa.parseKey(der.toString('base64')).n).toBe(publicKey.n);
+            expect(rsa.parseKey(new Uint8Array(der)).n).toBe(publicKey.n);
+
+            const jwk = nodeCrypto.createPrivateKey(pair.privateKey).export({ format: 'jwk' });
+            expect(rsa.parseKey(JSON.stringify(jwk)).d).toBe(privateKey.d);
+
+            const params = rsa.parseKey(`n = 0x${publicKey.n.toString(16)}, e = 65537\nd = ${privateKey.d}\nc = 12345`);
+            expect(params).toMatchObject({ type: 'private', p: null, d: privateKey.d });
+        });
+
+        test('openssl rsa -text 输出', () => {
+            const key = rsa.parseKey(`Private-Key: (16 bit, 2 primes)
+modulus: 3233 (0xca1)
+publicExponent: 17 (0x11)
+privateExponent: 2753 (0xac1)
+prime1: 61 (0x3d)
+prime2: 53 (0x35)
+exponent1:
+    00:35
+exponent2: 49 (0x31)
+coefficient: 38 (0x26)`);
+            expect(key).toMatchObject({ n: 3233n, e: 17n, d: 2753n, p: 61n, q: 53n, dp: 53n, dq: 49n, qi: 38n });
+        });
+
+        test('由 p、q 补全私钥参数', () => {
+            const key = rsa.parseKey({ p: 61n, q: 53n, e: 17n });
+            expect(key).toMatchObject({ n: 3233n, d: 2753n, dp: 53n, dq: 49n, qi: 38n, type: 'private' });
+            expect(() => rsa.parseKey({ n: 3233n, p: 61n, q: 59n, e: 17n })).toThrow('p × q 与模数 n 不一致');
+            expect(() => rsa.parseKey('n = 3233')).toThrow('缺少公钥指数 e 或私钥指数 d');
+            expect(() => rsa.parseKey('n = xyz, e = 3')).toThrow('参数 n 无法解析整数: xyz');
+        });
+
+        test('导出 PEM 与 JWK', () => {
+            expect(rsa.toPem(publicKey)).toBe(pair.publicKey.trim());
+            expect(rsa.toPem(privateKey, { pkcs1: true })).toBe(pair.privateKey.trim());
+            expect(rsa.toPem(privateKey, { type: 'public', pkcs1: true })).toContain('BEGIN RSA PUBLIC KEY');
+            expect(rsa.toJwk(privateKey, { publicOnly: true })).toEqual({ kty: 'RSA', n: expect.any(String), e: 'AQAB' });
+            expect(() => rsa.toPem(rsa.parseKey({ n: 3233n, d: 2753n, e: 17n }), { type: 'private' })).toThrow('缺少 p、q');
+        });
+    });
+
+    describe('加密填充', () => {
+        const message = text('legacy client payload');
+
+        test('解密 Node 生成的 PKCS#1 v1.5 密文', async () => {
+            const ciphertext = nodeCrypto.publicEncrypt({ key: pair.publicKey, padding: nodeCrypto.constants.RSA_PKCS1_PADDING }, message);
+            const plaintext = await rsa.decrypt(new Uint8Array(ciphertext), privateKey, { padding: 'pkcs1' });
+            expect(REOT.bytes.toText(plaintext)).toBe('legacy client payload');
+        });
+
+        test('PKCS#1 v1.5 加密的编码结构', async () => {
+            const ciphertext = await rsa.encrypt(message, publicKey, { padding: 'pkcs1' });
+            expect(ciphertext).toHaveLength(128);
+            const em = rsa.fromBigInt(rsa.modPow(rsa.toBigInt(ciphertext), privateKey.d, privateKey.n), 128);
+            expect(Array.from(em.subarray(0, 2))).toEqual([0, 2]);
+            expect(em.subarray(2, 128 - message.length - 1).includes(0)).toBe(false);
+            await expect(rsa.encrypt(new Uint8Array(118), publicKey, { padding: 'pkcs1' }))
+                .rejects.toThrow('PKCS#1 v1.5 填充最多可加密 117 字节，当前为 118 字节');
+        });
+
+        test.each(['SHA-1', 'SHA-256'])('OAEP %s 与标签', async hash => {
+            const oaepHash = hash.replace('-', '').toLowerCase();
+            const label = text('label');
+            const ciphertext = nodeCrypto.publicEncrypt({
+                key: pair.publicKey, padding: nodeCrypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash, oaepLabel: label
+            }, message);
+            expect(REOT.bytes.toText(await rsa.decrypt(new Uint8Array(ciphertext), privateKey, { hash, label }))).toBe('legacy client payload');
+
+            const encrypted = await rsa.encrypt(message, publicKey, { hash, label });
+            const decrypted = nodeCrypto.privateDecrypt({
+                key: pair.privateKey, padding: nodeCrypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash, oaepLabel: label
+            }, encrypted);
+            expect(decrypted.toString()).toBe('legacy client payload');
+            await expect(rsa.decrypt(encrypted, privateKey, { hash })).rejects.toThrow('OAEP 解码失败: 标签哈希不匹配');
+        });
+
+        test('填充方式不匹配时说明原因', async () => {
+            const ciphertext = await rsa.encrypt(message, publicKey, { padding: 'oaep' });
+            await expect(rsa.decrypt(ciphertext, privateKey, { padding: 'pkcs1' })).rejects.toThrow(/^PKCS#1 v1.5 填充无效: 前两个字节为 0x00 0x/);
+        });
+
+        test('无填充的教科书 RSA', async () => {
+            const key = rsa.parseKey('n = 3233, e = 17, d = 2753');
+            const ciphertext = await rsa.encrypt(rsa.fromBigInt(65n), key, { padding: 'none' });
+            expect(rsa.toBigInt(ciphertext)).toBe(2790n);
+            expect(await rsa.decrypt(ciphertext, key, { padding: 'none' })).toEqual(new Uint8Array([65]));
+            await expect(rsa.encrypt(rsa.fromBigInt(5000n), key, { padding: 'none' })).rejects.toThrow('输入数值必须小于模数 n');
+            await expect(rsa.decrypt(ciphertext, rsa.parseKey('n = 3233, e = 17'), { padding: 'none' })).rejects.toThrow('需要私钥');
+        });
+    });
+
+    describe('签名', () => {
+        const message = text('sign me');
+
+        test('PKCS#1 v1.5 签名与 Node 一致', async () => {
+            const signature = await rsa.sign(message, privateKey, { hash: 'SHA-256' });
+            expect(Buffer.from(signature).equals(nodeCrypto.sign('sha256', message, pair.privateKey))).toBe(true);
+            expect(await rsa.verify(message, signature, publicKey)).toEqual({ valid: true, reason: null, hash: 'SHA-256' });
+        });
+
+        test('验签失败时识别实际使用的哈希算法', async () => {
+            const signature = new Uint8Array(nodeCrypto.sign('sha1', message, pair.privateKey));
+            expect(await rsa.verify(message, signature, publicKey, { hash: 'SHA-256' })).toEqual({
+                valid: false, reason: '签名使用的哈希算法是 SHA-1，而不是 SHA-256', hash: 'SHA-1'
+            });
+            expect((await rsa.verify(text('other'), signature, publicKey, { hash: 'SHA-1' })).reason).toBe('摘要不匹配（消息内容不正确）');
+        });
+
+        test('PSS 签名与盐值长度识别', async () => {
+            const signature = await rsa.sign(message, privateKey, { scheme: 'pss', hash: 'SHA-256' });
+            expect(nodeCrypto.verify('sha256', message, {
+                key: pair.publicKey, padding: nodeCrypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32
+            }, signature)).toBe(true);
+
+            const maxSalt = new Uint8Array(nodeCrypto.sign('sha256', message, {
+                key: pair.privateKey, padding: nodeCrypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: nodeCrypto.constants.RSA_PSS_SALTLEN_MAX_SIGN
+            }));
+            expect(await rsa.verify(message, maxSalt, publicKey, { scheme: 'pss' })).toEqual({ valid: true, reason: null, saltLength: 94 });
+            expect((await rsa.verify(message, maxSalt, publicKey, { scheme: 'pss', saltLength: 32 })).reason).toBe('盐值长度为 94 字节，而不是 32 字节');
+            expect((await rsa.verify(message, maxSalt, publicKey, { scheme: 'pkcs1' })).reason).toMatch('PKCS#1 v1.5 签名格式不正确');
+        });
+    });
+});
+
+describe('REOT.keys DER', () => {
+    test('按结构识别 DER 密钥', () => {
+        const pair = nodeCrypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const sec1 = pair.privateKey.export({ format: 'der', type: 'sec1' });
+        const spki = pair.publicKey.export({ format: 'der', type: 'spki' });
+        expect(REOT.keys.parse(sec1.toString('hex'))).toMatchObject({ format: 'pkcs8', kty: 'EC', curve: 'P-256' });
+        expect(REOT.keys.parseDer(new Uint8Array(spki))).toMatchObject({ format: 'spki', type: 'public', kty: 'EC' });
+        expect(() => REOT.keys.parse('MAMCAQE=')).toThrow('DER 解析失败: 无法识别的 DER 密钥结构');
+    });
+});
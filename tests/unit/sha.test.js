@@ -0,0 +1,62 @@
+/**
+ * SHA Core Unit Tests
+ * 增量式 SHA-1 / SHA-2 单元测试
+ */
+
+const nodeCrypto = require('crypto');
+
+require('../../assets/js/bytes.js');
+require('../../tools/hashing/sha/sha-core.js');
+
+const sha = REOT.sha;
+const hex = data => Buffer.from(data).toString('hex');
+
+describe('REOT.sha', () => {
+    test('FIPS 180-4 示例', () => {
+        expect(hex(sha.hash('sha1', 'abc'))).toBe('a9993e364706816aba3e25717850c26c9cd0d89d');
+        expect(hex(sha.hash('SHA-256', 'abc'))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        expect(hex(sha.hash('sha512', ''))).toBe('cf83e1357eefb8bdf1542850d66d8007d620e4050b5715dc83f4a921d36ce9ce' +
+            '47d0d13c5d85f2b0ff8318d2877eec2f63b931bd47417a81a538327af927da3e');
+    });
+
+    test.each(sha.ALGORITHMS)('%s 分块更新与 Node 一致', (algorithm) => {
+        // 覆盖填充跨块（55/56、111/112 字节）和多块的情况
+        for (const length of [0, 1, 55, 56, 64, 111, 112, 128, 1000]) {
+            const data = nodeCrypto.randomBytes(length);
+            const hasher = sha.create(algorithm);
+            for (let offset = 0; offset < length; offset += 37) {
+                hasher.update(new Uint8Array(data.subarray(offset, offset + 37)));
+            }
+            expect(hex(hasher.digest())).toBe(nodeCrypto.createHash(algorithm).update(data).digest('hex'));
+        }
+    });
+
+    test('接受 ArrayBuffer', () => {
+        const buffer = new Uint8Array([1, 2, 3]).buffer;
+        expect(hex(sha.hash('sha224', buffer))).toBe(nodeCrypto.createHash('sha224').update(Buffer.from([1, 2, 3])).digest('hex'));
+    });
+
+    test('从摘要和已处理长度继续计算', () => {
+        // 55 字节的消息填充后恰好是一个分组，其摘要就是处理完第一个分组后的内部状态
+        const first = nodeCrypto.randomBytes(55);
+        const state = sha.hash('sha256', first);
+        const padded = Buffer.concat([first, Buffer.from([0x80]), Buffer.from([0, 0, 0, 0, 0, 0, 0x01, 0xb8])]);
+        const resumed = sha.create('sha256', { state, length: 64 }).update('tail').digest();
+        expect(hex(resumed)).toBe(nodeCrypto.createHash('sha256').update(padded).update('tail').digest('hex'));
+    });
+
+    test('状态导入的参数校验', () => {
+        expect(() => sha.create('sha256', { length: 10 })).toThrow('已处理长度必须是 64 的整数倍');
+        expect(() => sha.create('sha512', { length: 64 })).toThrow('已处理长度必须是 128 的整数倍');
+        expect(() => sha.create('sha1', { state: new Uint8Array(16) })).toThrow('SHA-1 初始状态必须是 20 字节');
+        expect(() => sha.create('sha384', { state: new Uint8Array(48) })).toThrow('SHA-384 的摘要是截断输出');
+    });
+
+    test('错误处理', () => {
+        expect(() => sha.create('sha3')).toThrow('不支持的 SHA 算法');
+        const hasher = sha.create('sha1');
+        hasher.digest();
+        expect(() => hasher.update('x')).toThrow('哈希已经完成');
+        expect(() => hasher.digest()).toThrow('哈希已经完成');
+    });
+});
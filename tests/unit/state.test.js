@@ -0,0 +1,159 @@
+/**
+ * State Unit Tests
+ * 工具状态分享单元测试
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+require('../../assets/js/state.js');
+
+describe('REOT.state', () => {
+    let container;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="tool-content">
+                <div class="tool-container">
+                    <select id="mode-select">
+                        <option value="CBC">CBC</option>
+                        <option value="GCM">GCM</option>
+                    </select>
+                    <input type="text" id="key-input" value="secret-key">
+                    <input type="text" id="public-key" value="-----BEGIN PUBLIC KEY-----">
+                    <input type="text" id="iv-input" value="0011">
+                    <input type="password" id="passphrase" value="hunter2">
+                    <input type="checkbox" id="auto-run" checked>
+                    <input type="text" id="search" data-state="ignore" value="aes">
+                    <textarea id="input">Hello</textarea>
+                    <textarea id="output" readonly>ignored</textarea>
+                </div>
+            </div>
+        `;
+        container = document.querySelector('.tool-container');
+        window.history.replaceState(null, '', '/');
+    });
+
+    describe('isSensitiveName', () => {
+        test('密钥与口令类名称', () => {
+            expect(REOT.state.isSensitiveName('key-input')).toBe(true);
+            expect(REOT.state.isSensitiveName('hmac_secret')).toBe(true);
+            expect(REOT.state.isSensitiveName('private-key')).toBe(true);
+            expect(REOT.state.isSensitiveName('hkdf-ikm')).toBe(true);
+        });
+
+        test('公钥与普通字段', () => {
+            expect(REOT.state.isSensitiveName('public-key')).toBe(false);
+            expect(REOT.state.isSensitiveName('keyword')).toBe(false);
+            expect(REOT.state.isSensitiveName('iv-input')).toBe(false);
+        });
+    });
+
+    describe('collect', () => {
+        test('收集可分享字段并排除敏感、只读和忽略的字段', () => {
+            const { fields, omitted } = REOT.state.collect(container);
+            expect(fields).toEqual({
+                'mode-select': 'CBC',
+                'public-key': '-----BEGIN PUBLIC KEY-----',
+                'iv-input': '0011',
+                'auto-run': true,
+                input: 'Hello'
+            });
+            expect(omitted).toBe(2);
+        });
+
+        test('data-state="share" 覆盖默认的敏感判断', () => {
+            document.getElementById('key-input').dataset.state = 'share';
+            expect(REOT.state.collect(container).fields['key-input']).toBe('secret-key');
+        });
+
+        test.each([
+            ['hashing/hkdf/hkdf.html', ['hkdf-ikm'], ['hkdf-salt', 'hkdf-info']],
+            ['hashing/xxhash/xxhash.html', ['xxhash-seed'], ['xxhash-input']],
+            ['encryption/chacha20/chacha20.html', ['key-input', 'nonce-input'], ['peer-key-input', 'input']],
+            ['encryption/aes/aes.html', ['key-input', 'iv-input'], ['aad-input', 'input']],
+            ['reverse/xor-analyzer/xor-analyzer.html', ['key-input'], ['multi-key-length', 'data-input']]
+        ])('工具页面 %s 的密钥材料不写入链接', (page, secret, shared) => {
+            const html = fs.readFileSync(path.join(__dirname, '../../tools', page), 'utf8');
+            document.body.innerHTML = new DOMParser().parseFromString(html, 'text/html').body.innerHTML;
+            document.querySelectorAll('input[type="text"], textarea').forEach(el => {
+                el.value = 'x';
+            });
+            const { fields } = REOT.state.collect(document.body);
+            secret.forEach(id => expect(fields).not.toHaveProperty(id));
+            shared.forEach(id => expect(fields).toHaveProperty(id));
+        });
+
+        test('分组密码工作台的自定义判定函数不写入链接', () => {
+            const html = fs.readFileSync(path.join(__dirname, '../../tools/reverse/block-cipher/block-cipher.html'), 'utf8');
+            document.body.innerHTML = new DOMParser().parseFromString(html, 'text/html').body.innerHTML;
+            document.getElementById('oracle-type').value = 'custom';
+            document.getElementById('oracle-source').value = 'return fetch("https://evil.example/");';
+            const { fields } = REOT.state.collect(document.body);
+            expect(fields).not.toHaveProperty('oracle-source');
+            expect(fields).not.toHaveProperty('oracle-type');
+        });
+    });
+
+    describe('apply', () => {
+        test('恢复字段并触发 change 事件', () => {
+            const onChange = jest.fn();
+            container.addEventListener('change', onChange);
+
+            const count = REOT.state.apply(container, { 'mode-select': 'GCM', 'auto-run': false, input: 'World', missing: 'x' });
+
+            expect(count).toBe(3);
+            expect(document.getElementById('mode-select').value).toBe('GCM');
+            expect(document.getElementById('auto-run').checked).toBe(false);
+            expect(document.getElementById('input').value).toBe('World');
+            expect(onChange).toHaveBeenCalledTimes(3);
+        });
+
+        test('不恢复 data-state="ignore" 的字段', () => {
+            expect(REOT.state.apply(container, { search: 'injected' })).toBe(0);
+            expect(document.getElementById('search').value).toBe('aes');
+        });
+    });
+
+    describe('encode / decode', () => {
+        test('往返一致', async () => {
+            const state = { v: 1, fields: { input: '你好 🌏', mode: 'CBC' } };
+            const encoded = await REOT.state.encode(state);
+            expect(encoded).toMatch(/^[zj][A-Za-z0-9_-]+$/);
+            expect(await REOT.state.decode(encoded)).toEqual(state);
+        });
+
+        test('无法识别的格式', async () => {
+            await expect(REOT.state.decode('xAAAA')).rejects.toThrow('无法识别的状态格式');
+        });
+    });
+
+    describe('restore', () => {
+        test('从 URL 片段恢复字段和自定义状态', async () => {
+            const restoreExtra = jest.fn();
+            REOT.state.register('demo', { serialize: () => ({}), restore: restoreExtra });
+
+            const encoded = await REOT.state.encode({ v: 1, fields: { input: 'From link' }, extra: { steps: [] } });
+            window.history.replaceState(null, '', `/#state=${encoded}`);
+
+            expect(await REOT.state.restore('demo')).toBe(true);
+            expect(document.getElementById('input').value).toBe('From link');
+            expect(restoreExtra).toHaveBeenCalledWith({ steps: [] });
+        });
+
+        test('没有状态时不做任何修改', async () => {
+            expect(await REOT.state.restore('demo')).toBe(false);
+            expect(document.getElementById('input').value).toBe('Hello');
+        });
+    });
+
+    describe('createShareUrl', () => {
+        test('链接中不包含敏感字段', async () => {
+            const { url, omitted } = await REOT.state.createShareUrl('aes');
+            const decoded = await REOT.state.decode(new URL(url).hash.replace('#state=', ''));
+            expect(omitted).toBe(2);
+            expect(decoded.fields['key-input']).toBeUndefined();
+            expect(decoded.fields['iv-input']).toBe('0011');
+        });
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Workers Module Unit Tests
+ * Worker 池单元测试（使用进程内的 FakeWorker）
+ */
+
+const { Blob } = require('buffer');
+const FakeWorker = require('../helpers/fake-worker');
+
+require('../../assets/js/workers.js');
+
+const workers = REOT.workers;
+
+// 候选项等于 init.target 时命中；遇到 'boom' 时抛出错误
+FakeWorker.define('test-worker.js', (scope) => {
+    let target = null;
+    REOT.workers.serve({
+        init(data) {
+            target = data.target;
+        },
+        async test(item, report) {
+            if (item === 'boom') {
+                throw new Error('测试错误');
+            }
+            if (item.startsWith('slow')) {
+                report({ item, step: 1 });
+                report({ item, step: 2 });
+            }
+            return item === target ? item.toUpperCase() : null;
+        }
+    }, scope);
+});
+
+const range = (count, prefix = 'w') => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+
+describe('REOT.workers', () => {
+    beforeAll(() => {
+        FakeWorker.install();
+    });
+
+    beforeEach(() => {
+        FakeWorker.instances.length = 0;
+    });
+
+    describe('splitLines', () => {
+        test('去掉 \\r 并忽略空行', () => {
+            expect(workers.splitLines('a\r\nb\n\n c \r\n')).toEqual(['a', 'b', ' c ']);
+            expect(workers.splitLines('')).toEqual([]);
+        });
+    });
+
+    describe('readLines', () => {
+        test('跨读取块边界拆分行，并按 chunkSize 分块', async () => {
+            const lines = range(50, '密钥');
+            const file = new Blob([lines.join('\r\n') + '\n']);
+            const reads = [];
+            const chunks = [];
+            for await (const chunk of workers.readLines(file, { chunkSize: 8, readSize: 7, onRead: read => reads.push(read) })) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks.flat()).toEqual(lines);
+            expect(chunks.slice(0, -1).every(chunk => chunk.length === 8)).toBe(true);
+            expect(reads[reads.length - 1]).toBe(file.size);
+        });
+
+        test('最后一行没有换行符', async () => {
+            const chunks = [];
+            for await (const chunk of workers.readLines(new Blob(['a\nb']))) {
+                chunks.push(chunk);
+            }
+            expect(chunks).toEqual([['a', 'b']]);
+        });
+    });
+
+    describe('search', () => {
+        test('找到结果后停止并结束所有 Worker', async () => {
+            const progress = [];
+            const job = workers.search({
+                script: 'test-worker.js',
+                init: { target: 'w42' },
+                candidates: range(100),
+                chunkSize: 10,
+                size: 3,
+                onProgress: info => progress.push(info)
+            });
+            const result = await job.promise;
+
+            expect(result.matches).toEqual(['W42']);
+            expect(result.cancelled).toBe(false);
+            expect(result.tried).toBeLessThan(100);
+            expect(progress[progress.length - 1].total).toBe(100);
+            expect(FakeWorker.instances).toHaveLength(3);
+            expect(FakeWorker.instances.every(worker => worker.terminated)).toBe(true);
+        });
+
+        test('stopOnMatch 为 false 时测试全部候选项', async () => {
+            const matches = [];
+            const job = workers.search({
+                script: 'test-worker.js',
+                init: { target: 'x' },
+                // 同步可迭代对象的每一项即为一块
+                candidates: [['a', 'x'], ['x', 'b'], ['c']].values(),
+                size: 2,
+                stopOnMatch: false,
+                onMatch: match => matches.push(match)
+            });
+            const result = await job.promise;
+
+            expect(result).toMatchObject({ matches: ['X', 'X'], tried: 5, cancelled: false });
+            expect(matches).toEqual(['X', 'X']);
+        });
+
+        test('支持异步可迭代的候选项', async () => {
+            async function* chunks() {
+                yield ['a', 'b'];
+                yield [];
+                yield ['target'];
+            }
+            const result = await workers.search({
+                script: 'test-worker.js',
+                init: { target: 'target' },
+                candidates: chunks(),
+                size: 1
+            }).promise;
+            expect(result).toMatchObject({ matches: ['TARGET'], tried: 3 });
+        });
+
+        test('未命中时返回空结果', async () => {
+            const result = await workers.search({
+                script: 'test-worker.js',
+                init: { target: 'none' },
+                candidates: range(25),
+                chunkSize: 4,
+                size: 2
+            }).promise;
+            expect(result).toMatchObject({ matches: [], tried: 25, cancelled: false });
+        });
+
+        test('取消任务', async () => {
+            const job = workers.search({
+                script: 'test-worker.js',
+                init: { target: 'none' },
+                candidates: range(1000),
+                chunkSize: 1,
+                size: 1
+            });
+            job.cancel();
+            const result = await job.promise;
+            expect(result.cancelled).toBe(true);
+            expect(result.tried).toBe(0);
+            expect(FakeWorker.instances[0].terminated).toBe(true);
+        });
+
+        test('Worker 上报单个候选项的进度', async () => {
+            const reports = [];
+            const result = await workers.search({
+                script: 'test-worker.js',
+                init: { target: 'slow-b' },
+                candidates: ['slow-a', 'slow-b'],
+                chunkSize: 1,
+                size: 1,
+                stopOnMatch: false,
+                onItemProgress: data => reports.push(data)
+            }).promise;
+            expect(result).toMatchObject({ matches: ['SLOW-B'], tried: 2 });
+            expect(reports).toEqual([
+                { item: 'slow-a', step: 1 },
+                { item: 'slow-a', step: 2 },
+                { item: 'slow-b', step: 1 },
+                { item: 'slow-b', step: 2 }
+            ]);
+        });
+
+        test('Worker 中的错误会使任务失败', async () => {
+            const job = workers.search({
+                script: 'test-worker.js',
+                init: { target: 'none' },
+                candidates: ['a', 'boom'],
+                size: 1
+            });
+            await expect(job.promise).rejects.toThrow('测试错误');
+        });
+
+        test('无效的候选项', () => {
+            expect(() => workers.search({ script: 'test-worker.js', candidates: 42 })).toThrow('候选项必须是数组或可迭代对象');
+        });
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * XOR Core Unit Tests
+ * 循环密钥 XOR、暴力破解与密钥长度检测单元测试
+ */
+
+require('../../assets/js/bytes.js');
+require('../../tools/reverse/xor-analyzer/xor-core.js');
+
+const xor = REOT.xor;
+const text = str => new TextEncoder().encode(str);
+
+const PLAINTEXT = 'The quick brown fox jumps over the lazy dog. ' +
+    'Pack my box with five dozen liquor jugs, and then sit by the river while the sun goes down. ' +
+    'How vexingly quick daft zebras jump when the weather is warm and the wind is calm.';
+
+describe('REOT.xor', () => {
+    test('循环密钥 XOR 两次还原原文', () => {
+        const key = text('key');
+        const ciphertext = xor.crypt(text('secret'), key);
+        expect(REOT.bytes.toHex(ciphertext)).toBe('18001a19000d');
+        expect(REOT.bytes.toText(xor.crypt(ciphertext, key))).toBe('secret');
+        expect(() => xor.crypt(text('secret'), new Uint8Array(0))).toThrow('密钥不能为空');
+    });
+
+    test('汉明距离', () => {
+        expect(xor.hammingDistance(text('this is a test'), text('wokka wokka!!!'))).toBe(37);
+        expect(() => xor.hammingDistance(text('a'), text('ab'))).toThrow('数组长度不一致');
+    });
+
+    test('单字节暴力破解', () => {
+        const ciphertext = xor.crypt(text(PLAINTEXT), Uint8Array.of(0x5a));
+        const [best] = xor.bruteforceSingleByte(ciphertext);
+        expect(best.key).toBe(0x5a);
+        expect(best.keyHex).toBe('0x5A');
+        expect(best.keyChar).toBe('Z');
+        expect(best.text).toBe(PLAINTEXT);
+    });
+
+    test('单字节暴力破解按已知明文过滤', () => {
+        const ciphertext = xor.crypt(text(PLAINTEXT), Uint8Array.of(0x20));
+        const results = xor.bruteforceSingleByte(ciphertext, 'lazy dog');
+        expect(results.map(result => result.key)).toEqual([0x20]);
+    });
+
+    test('检测密钥长度并恢复多字节密钥', () => {
+        const key = text('ICE');
+        const ciphertext = xor.crypt(text(PLAINTEXT), key);
+        const lengths = xor.detectKeyLength(ciphertext, 10).slice(0, 3).map(result => result.keyLength);
+        expect(lengths.some(length => length % 3 === 0)).toBe(true);
+
+        const result = xor.bruteforceMultiByte(ciphertext, 3);
+        expect(result.keyText).toBe('ICE');
+        expect(result.keyHex).toBe('49 43 45');
+        expect(result.text).toBe(PLAINTEXT);
+    });
+
+    test('尝试多个密钥长度时优先返回匹配已知明文的结果', () => {
+        const ciphertext = xor.crypt(text(PLAINTEXT), text('ICE'));
+        const results = xor.bruteforceMultipleLengths(ciphertext, [2, 3, 5], 'quick brown');
+        expect(results).toHaveLength(1);
+        expect(results[0]).toMatchObject({ keyLength: 3, keyText: 'ICE', matchesKnown: true });
+    });
+});
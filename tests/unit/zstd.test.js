@@ -0,0 +1,180 @@
+/**
+ * Zstandard Codec Unit Tests
+ * Zstandard 编码器与帧解析器单元测试（压缩结果使用 fzstd 解压验证）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fzstd = require('../../libs/fzstd/fzstd.min.js');
+
+require('../../assets/js/bytes.js');
+require('../../tools/compression/zstd/zstd-codec.js');
+
+const zstd = REOT.zstd;
+
+/**
+ * 生成可复现的伪随机字节（不可压缩数据）
+ */
+function randomBytes(length, seed = 1) {
+    const out = new Uint8Array(length);
+    let state = seed;
+    for (let i = 0; i < length; i++) {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        out[i] = state >>> 24;
+    }
+    return out;
+}
+
+const text = fs.readFileSync(path.join(__dirname, '../../README.md'));
+
+describe('REOT.zstd', () => {
+    describe('xxh64', () => {
+        test('标准测试向量', () => {
+            expect(zstd.xxh64(new Uint8Array(0)).toString(16)).toBe('ef46db3751d8e999');
+            expect(zstd.xxh64(new TextEncoder().encode('abc')).toString(16)).toBe('44bc2cf5ad770999');
+            expect(zstd.xxh64(new TextEncoder().encode('abc'), 1n).toString(16)).not.toBe('44bc2cf5ad770999');
+        });
+    });
+
+    describe('compress', () => {
+        const samples = {
+            empty: new Uint8Array(0),
+            single: new Uint8Array([0x61]),
+            short: new TextEncoder().encode('hello hello hello hello world'),
+            text,
+            utf8: new TextEncoder().encode('压缩测试：Zstandard 标准帧。'.repeat(200)),
+            random: randomBytes(5000),
+            zeros: new Uint8Array(200000)
+        };
+
+        test.each(Object.keys(samples))('%s 可被 fzstd 解压', (name) => {
+            const data = samples[name];
+            [1, 3, 9, 19].forEach(level => {
+                const compressed = zstd.compress(data, { level });
+                expect(Array.from(compressed.subarray(0, 4))).toEqual([0x28, 0xB5, 0x2F, 0xFD]);
+                expect(Buffer.from(fzstd.decompress(compressed)).equals(Buffer.from(data))).toBe(true);
+            });
+        });
+
+        test('接受字符串输入', () => {
+            const compressed = zstd.compress('abcabcabcabcabcabc');
+            expect(new TextDecoder().decode(fzstd.decompress(compressed))).toBe('abcabcabcabcabcabc');
+        });
+
+        test('文本数据确实被压缩', () => {
+            const compressed = zstd.compress(text);
+            expect(compressed.length).toBeLessThan(text.length / 2);
+        });
+
+        test('超过 128 KB 时拆分为多个块', () => {
+            const data = new Uint8Array(300000);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = text[i % text.length];
+            }
+            const compressed = zstd.compress(data, { level: 1 });
+            const frame = zstd.inspect(compressed).frames[0];
+            expect(frame.blocks.length).toBe(3);
+            expect(frame.blocks.map(block => block.last)).toEqual([false, false, true]);
+            expect(Buffer.from(fzstd.decompress(compressed)).equals(Buffer.from(data))).toBe(true);
+        });
+
+        test('不可压缩数据使用原始块，重复字节使用 RLE 块', () => {
+            expect(zstd.inspect(zstd.compress(randomBytes(1000))).frames[0].blocks[0].type).toBe('Raw');
+            expect(zstd.inspect(zstd.compress(new Uint8Array(1000).fill(7))).frames[0].blocks[0].type).toBe('RLE');
+        });
+
+        test('默认写入原始大小和校验和', () => {
+            const frame = zstd.inspect(zstd.compress(text)).frames[0];
+            expect(frame.contentSize).toBe(text.length);
+            expect(frame.singleSegment).toBe(true);
+            expect(frame.checksum).toBe(Number(zstd.xxh64(text) & 0xFFFFFFFFn));
+        });
+
+        test('可关闭校验和与原始大小', () => {
+            const compressed = zstd.compress(text, { checksum: false, contentSize: false });
+            const frame = zstd.inspect(compressed).frames[0];
+            expect(frame.checksumFlag).toBe(false);
+            expect(frame.contentSize).toBeNull();
+            expect(frame.singleSegment).toBe(false);
+            expect(frame.windowSize).toBeGreaterThanOrEqual(text.length);
+            expect(Buffer.from(fzstd.decompress(compressed)).equals(text)).toBe(true);
+        });
+
+        test('写入字典 ID', () => {
+            [[0, null], [200, 200], [40000, 40000], [0x12345678, 0x12345678]].forEach(([dictId, expected]) => {
+                expect(zstd.inspect(zstd.compress('data', { dictId })).frames[0].dictId).toBe(expected);
+            });
+        });
+
+        test('原始内容字典提升小数据的压缩率', () => {
+            const dictionary = text.subarray(0, 4000);
+            const sample = text.subarray(1000, 1400);
+            const withDict = zstd.compress(sample, { dictionary, checksum: false });
+            const withoutDict = zstd.compress(sample, { checksum: false });
+            expect(withDict.length).toBeLessThan(withoutDict.length / 2);
+            expect(zstd.inspect(withDict).frames[0].dictId).toBeNull();
+        });
+
+        test('无效的 zstd 格式字典', () => {
+            const dictionary = new Uint8Array([0x37, 0xA4, 0x30, 0xEC, 1, 0, 0, 0, 0x80]);
+            expect(() => zstd.compress('data', { dictionary })).toThrow('zstd 字典无效');
+        });
+
+        test('无效的选项', () => {
+            expect(() => zstd.compress('data', { level: 23 })).toThrow('压缩级别必须在 1-22 之间');
+            expect(() => zstd.compress('data', { dictId: -1 })).toThrow('字典 ID 必须是');
+        });
+    });
+
+    describe('FSE 表头', () => {
+        test('归一化分布写入后可读回', () => {
+            const { normalizeCounts, writeNCount, readNCount } = zstd._internal;
+            const counts = [50, 0, 0, 0, 3, 1, 0, 200, 9, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1];
+            const norm = normalizeCounts(counts, counts.length - 1, 8);
+            expect(norm.reduce((a, b) => a + b, 0)).toBe(256);
+
+            const header = writeNCount(norm, 8);
+            const parsed = readNCount(header, 0);
+            expect(parsed.tableLog).toBe(8);
+            expect(parsed.norm).toEqual(norm);
+            expect(parsed.size).toBe(header.length);
+        });
+    });
+
+    describe('inspect', () => {
+        test('解析多个帧、可跳过帧和尾部数据', () => {
+            const skippable = [0x5A, 0x2A, 0x4D, 0x18, 3, 0, 0, 0, 1, 2, 3];
+            const first = zstd.compress('abc');
+            const second = zstd.compress(text, { checksum: false });
+            const data = new Uint8Array([...first, ...skippable, ...second, 0xAA, 0xBB]);
+
+            const result = zstd.inspect(data);
+            expect(result.frames.map(frame => frame.type)).toEqual(['zstd', 'skippable', 'zstd']);
+            expect(result.frames[1]).toMatchObject({ offset: first.length, variant: 10, contentSize: 3, size: 11 });
+            expect(result.frames[2].offset).toBe(first.length + 11);
+            expect(result.frames[2].size).toBe(second.length);
+            expect(result.trailing).toBe(2);
+        });
+
+        test('压缩块显示字面量与序列信息', () => {
+            const block = zstd.inspect(zstd.compress(text)).frames[0].blocks[0];
+            expect(block.type).toBe('Compressed');
+            expect(block.literals.type).toBe('Compressed');
+            expect(block.literals.streams).toBe(4);
+            expect(block.sequences.count).toBeGreaterThan(0);
+            expect(block.sequences.literalLengthsMode).toBeDefined();
+        });
+
+        test('截断的帧记录错误信息', () => {
+            const compressed = zstd.compress(text);
+            const frame = zstd.inspect(compressed.subarray(0, 40)).frames[0];
+            expect(frame.error).toBe('第 1 个块的数据被截断');
+            expect(frame.blocks).toHaveLength(1);
+        });
+
+        test('非 zstd 数据', () => {
+            expect(() => zstd.inspect(new Uint8Array([1, 2, 3, 4, 5]))).toThrow('未知的魔数 0x04030201');
+            expect(() => zstd.inspect(new Uint8Array([1, 2]))).toThrow('数据太短');
+        });
+    });
+});
@@ -45,15 +45,9 @@
 
         // Hex 类型特殊处理
         if (dataType === 'hex') {
-            input = input.replace(/\s/g, '').replace(/^0x/i, '');
-            if (!/^[0-9a-fA-F]*$/.test(input)) {
-                throw new Error('无效的十六进制字符串');
-            }
-            // 确保偶数长度
-            if (input.length % 2 !== 0) {
-                input = '0' + input;
-            }
-            return hexToBytes(input);
+            const hex = input.replace(/\s/g, '').replace(/^0x/i, '');
+            // 按数值处理，奇数长度时在高位补 0
+            return REOT.bytes.fromHex(hex.length % 2 !== 0 ? '0' + hex : hex);
         }
 
         let value;
@@ -123,26 +117,6 @@
         return new Uint8Array([...bytes].reverse());
     }
 
-    /**
-     * 字节数组转十六进制字符串
-     */
-    function bytesToHex(bytes, separator = '') {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0').toUpperCase())
-            .join(separator);
-    }
-
-    /**
-     * 十六进制字符串转字节数组
-     */
-    function hexToBytes(hex) {
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
-        }
-        return bytes;
-    }
-
     /**
      * 从字节数组解析数值 (大端序)
      */
@@ -150,7 +124,7 @@
         const typeInfo = getDataTypeInfo(dataType);
 
         if (dataType === 'hex') {
-            return bytesToHex(bytes);
+            return REOT.bytes.toHex(bytes, { uppercase: true });
         }
 
         const buffer = new ArrayBuffer(bytes.length);
@@ -274,12 +248,12 @@
         // 显示结果
         if (resultSection) resultSection.style.display = 'block';
 
-        if (beHex) beHex.textContent = '0x' + bytesToHex(bytesBE);
-        if (beBytes) beBytes.textContent = bytesToHex(bytesBE, ' ');
+        if (beHex) beHex.textContent = '0x' + REOT.bytes.toHex(bytesBE, { uppercase: true });
+        if (beBytes) beBytes.textContent = REOT.bytes.toHex(bytesBE, { separator: ' ', uppercase: true });
         if (beDecimal) beDecimal.textContent = formatValue(valueBE, dataType);
 
-        if (leHex) leHex.textContent = '0x' + bytesToHex(bytesLE);
-        if (leBytes) leBytes.textContent = bytesToHex(bytesLE, ' ');
+        if (leHex) leHex.textContent = '0x' + REOT.bytes.toHex(bytesLE, { uppercase: true });
+        if (leBytes) leBytes.textContent = REOT.bytes.toHex(bytesLE, { separator: ' ', uppercase: true });
         if (leDecimal) leDecimal.textContent = formatValue(valueLE, dataType);
 
         // 渲染字节可视化
@@ -308,7 +282,7 @@
             const newValue = bytesToValueBE(bytesLE, dataType);
 
             if (inputFormat === 'hex') {
-                inputEl.value = '0x' + bytesToHex(bytesLE);
+                inputEl.value = '0x' + REOT.bytes.toHex(bytesLE, { uppercase: true });
             } else if (inputFormat === 'binary') {
                 inputEl.value = '0b' + BigInt(newValue).toString(2);
             } else {
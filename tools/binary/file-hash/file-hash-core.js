@@ -0,0 +1,539 @@
+/**
+ * 文件哈希核心
+ * @description 不依赖 DOM 的流式文件哈希：用 File.slice() 分块读取，同时增量计算多种摘要；
+ *              多个文件（或一个大文件的多组算法）分发到 Worker 池并行计算，并解析 / 生成 sha256sum、md5sum 风格的校验清单
+ *              需要先加载 bytes.js、workers.js、sha-core.js、blake2-core.js、blake3-core.js、crc-core.js，以及 spark-md5、js-sha3、xxhash 库
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // Worker 脚本
+    const WORKER_SCRIPT = 'tools/binary/file-hash/file-hash-worker.js';
+
+    // 每次读取的字节数
+    const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024;
+
+    // ========== 增量哈希 ==========
+
+    /**
+     * 取出字节数组对应的独立 ArrayBuffer（部分库只接受 ArrayBuffer）
+     * @param {Uint8Array} bytes
+     * @returns {ArrayBuffer}
+     */
+    function toArrayBuffer(bytes) {
+        if (bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength) {
+            return bytes.buffer;
+        }
+        return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+
+    /**
+     * CRC-32（IEEE 802.3，即 CRC-32/ISO-HDLC），使用 CRC 工具的核心（REOT.crc）
+     */
+    function createCRC32() {
+        const crc = root.REOT.crc.create('CRC-32');
+        return {
+            update: bytes => crc.update(bytes),
+            digest: () => root.REOT.crc.toHex(crc.digest(), 32)
+        };
+    }
+
+    /**
+     * 包装返回字节数组的增量哈希（REOT.sha / REOT.blake2 / REOT.blake3）
+     */
+    function wrapBytes(hasher) {
+        return {
+            update: bytes => hasher.update(bytes),
+            digest: () => root.REOT.bytes.toHex(hasher.digest())
+        };
+    }
+
+    /**
+     * 包装 js-sha3 的增量哈希
+     */
+    function createSHA3(name) {
+        const hasher = root[name].create();
+        return {
+            update: bytes => hasher.update(bytes),
+            digest: () => hasher.hex()
+        };
+    }
+
+    /**
+     * 包装 xxhash 库的增量哈希（种子为 0）
+     */
+    function createXXH(name, digits) {
+        const hasher = root.XXH[name](0);
+        return {
+            update: bytes => hasher.update(toArrayBuffer(bytes)),
+            digest: () => hasher.digest().toString(16).padStart(digits, '0')
+        };
+    }
+
+    /**
+     * 支持的算法
+     * tag 为 BSD 风格清单（--tag）中的名称；cost 为相对耗时，用于在 Worker 之间均衡分配算法
+     */
+    const ALGORITHMS = {
+        md5: {
+            name: 'MD5', tag: 'MD5', length: 32, cost: 2,
+            create() {
+                const spark = new root.SparkMD5.ArrayBuffer();
+                return {
+                    update: bytes => spark.append(toArrayBuffer(bytes)),
+                    digest: () => spark.end()
+                };
+            }
+        },
+        sha1: { name: 'SHA-1', tag: 'SHA1', length: 40, cost: 3, create: () => wrapBytes(root.REOT.sha.create('sha1')) },
+        sha224: { name: 'SHA-224', tag: 'SHA224', length: 56, cost: 4, create: () => wrapBytes(root.REOT.sha.create('sha224')) },
+        sha256: { name: 'SHA-256', tag: 'SHA256', length: 64, cost: 5, create: () => wrapBytes(root.REOT.sha.create('sha256')) },
+        sha384: { name: 'SHA-384', tag: 'SHA384', length: 96, cost: 10, create: () => wrapBytes(root.REOT.sha.create('sha384')) },
+        sha512: { name: 'SHA-512', tag: 'SHA512', length: 128, cost: 11, create: () => wrapBytes(root.REOT.sha.create('sha512')) },
+        'sha3-224': { name: 'SHA3-224', tag: 'SHA3-224', length: 56, cost: 12, create: () => createSHA3('sha3_224') },
+        'sha3-256': { name: 'SHA3-256', tag: 'SHA3-256', length: 64, cost: 12, create: () => createSHA3('sha3_256') },
+        'sha3-384': { name: 'SHA3-384', tag: 'SHA3-384', length: 96, cost: 14, create: () => createSHA3('sha3_384') },
+        'sha3-512': { name: 'SHA3-512', tag: 'SHA3-512', length: 128, cost: 23, create: () => createSHA3('sha3_512') },
+        'blake2b-512': {
+            name: 'BLAKE2b-512', tag: 'BLAKE2b', length: 128, cost: 27,
+            create: () => wrapBytes(root.REOT.blake2.create('blake2b'))
+        },
+        'blake2s-256': {
+            name: 'BLAKE2s-256', tag: 'BLAKE2s', length: 64, cost: 17,
+            create: () => wrapBytes(root.REOT.blake2.create('blake2s'))
+        },
+        blake3: { name: 'BLAKE3', tag: 'BLAKE3', length: 64, cost: 18, create: () => wrapBytes(root.REOT.blake3.create()) },
+        xxh32: { name: 'xxHash32', tag: 'XXH32', length: 8, cost: 3, create: () => createXXH('h32', 8) },
+        xxh64: { name: 'xxHash64', tag: 'XXH64', length: 16, cost: 27, create: () => createXXH('h64', 16) },
+        crc32: { name: 'CRC32', tag: 'CRC32', length: 8, cost: 3, create: createCRC32 }
+    };
+
+    /**
+     * 检查算法列表
+     * @param {string[]} algorithms
+     */
+    function checkAlgorithms(algorithms) {
+        if (!algorithms || algorithms.length === 0) {
+            throw new Error('请至少选择一种哈希算法');
+        }
+        algorithms.forEach(id => {
+            if (!ALGORITHMS[id]) {
+                throw new Error(`不支持的算法: ${id}`);
+            }
+        });
+    }
+
+    /**
+     * 分块读取文件并同时计算多种摘要
+     * @param {Blob} file
+     * @param {string[]} algorithms - ALGORITHMS 的键
+     * @param {Object} [options]
+     * @param {number} [options.chunkSize=4194304] - 每次读取的字节数
+     * @param {Function} [options.onProgress] - 每读完一块回调，参数为 (已读字节, 总字节)
+     * @param {Function} [options.isCancelled] - 返回 true 时停止读取并返回 null
+     * @returns {Promise<Object<string, string>|null>} 算法 → 小写十六进制摘要
+     */
+    async function hashBlob(file, algorithms, options = {}) {
+        checkAlgorithms(algorithms);
+        const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+        const hashers = algorithms.map(id => ALGORITHMS[id].create());
+
+        for (let offset = 0; offset < file.size; offset += chunkSize) {
+            if (options.isCancelled?.()) {
+                return null;
+            }
+            const end = Math.min(file.size, offset + chunkSize);
+            const bytes = new Uint8Array(await file.slice(offset, end).arrayBuffer());
+            hashers.forEach(hasher => hasher.update(bytes));
+            options.onProgress?.(end, file.size);
+        }
+
+        const digests = {};
+        algorithms.forEach((id, i) => {
+            digests[id] = hashers[i].digest();
+        });
+        return digests;
+    }
+
+    // ========== 多文件调度 ==========
+
+    /**
+     * 统一文件项：File / Blob，或 {file, path}（拖入文件夹时带相对路径）
+     * @param {Blob|{file: Blob, path: string}} item
+     * @returns {{file: Blob, path: string}}
+     */
+    function toEntry(item) {
+        if (item && item.file) {
+            return { file: item.file, path: item.path || item.file.name || '' };
+        }
+        return { file: item, path: item.webkitRelativePath || item.name || '' };
+    }
+
+    /**
+     * 按相对耗时把算法分成若干组（最长处理时间优先的贪心分配）
+     * @param {string[]} algorithms
+     * @param {number} count
+     * @returns {string[][]}
+     */
+    function splitAlgorithms(algorithms, count) {
+        const groups = Array.from({ length: Math.min(count, algorithms.length) }, () => ({ cost: 0, algorithms: [] }));
+        [...algorithms]
+            .sort((a, b) => ALGORITHMS[b].cost - ALGORITHMS[a].cost)
+            .forEach(id => {
+                const group = groups.reduce((min, item) => (item.cost < min.cost ? item : min));
+                group.algorithms.push(id);
+                group.cost += ALGORITHMS[id].cost;
+            });
+        return groups.map(group => algorithms.filter(id => group.algorithms.includes(id)));
+    }
+
+    /**
+     * 生成任务：文件数不少于 Worker 数时每个文件一个任务；
+     * 否则把每个文件的算法拆成多组，让空闲的 Worker 各读一遍文件、各算一部分摘要
+     * @param {Array} files
+     * @param {string[]} algorithms
+     * @param {number} size - Worker 数量
+     * @returns {Array<{id: number, index: number, file: Blob, algorithms: string[]}>}
+     */
+    function plan(files, algorithms, size) {
+        const groupCount = files.length >= size ? 1 : Math.floor(size / files.length);
+        const groups = splitAlgorithms(algorithms, groupCount);
+        const tasks = [];
+        files.forEach((item, index) => {
+            groups.forEach(group => {
+                tasks.push({ id: tasks.length, index, file: toEntry(item).file, algorithms: group });
+            });
+        });
+        return tasks;
+    }
+
+    /**
+     * 计算多个文件的摘要：有 Worker 时并行计算，否则在当前线程依次计算
+     * @param {Array<Blob|{file: Blob, path: string}>} files
+     * @param {string[]} algorithms
+     * @param {Object} [options]
+     * @param {number} [options.size] - Worker 数量，默认为 REOT.workers.defaultSize()
+     * @param {number} [options.chunkSize=4194304] - 每次读取的字节数
+     * @param {Function} [options.onProgress] - 进度回调，参数为 {loaded, total, elapsed, rate}（字节、字节/秒）
+     * @param {Function} [options.onFile] - 单个文件的全部摘要算完时回调，参数为结果项
+     * @returns {{promise: Promise<{results: Array, elapsed: number, cancelled: boolean}>, cancel: Function}}
+     *          results 与 files 一一对应，每项为 {index, name, path, size, digests, error}
+     */
+    function hashFiles(files, algorithms, options = {}) {
+        checkAlgorithms(algorithms);
+        if (!files || files.length === 0) {
+            throw new Error('请先选择文件');
+        }
+
+        const startTime = Date.now();
+        const results = files.map((item, index) => {
+            const entry = toEntry(item);
+            return { index, name: entry.file.name || entry.path, path: entry.path, size: entry.file.size, digests: {}, error: null };
+        });
+
+        const progress = (loaded, total) => {
+            const elapsed = Date.now() - startTime;
+            options.onProgress?.({ loaded, total, elapsed, rate: elapsed > 0 ? Math.round(loaded * 1000 / elapsed) : 0 });
+        };
+
+        if (typeof Worker === 'function' && root.REOT.workers) {
+            return hashInWorkers(files, algorithms, options, results, progress);
+        }
+        return hashInPlace(files, algorithms, options, results, progress);
+    }
+
+    /**
+     * 在 Worker 池中计算
+     */
+    function hashInWorkers(files, algorithms, options, results, progress) {
+        const workers = root.REOT.workers;
+        const tasks = plan(files, algorithms, options.size || workers.defaultSize());
+        const total = tasks.reduce((sum, task) => sum + task.file.size, 0);
+        const loaded = new Array(tasks.length).fill(0);
+        const pending = results.map((_, index) => tasks.filter(task => task.index === index).length);
+        tasks.forEach(task => {
+            task.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+        });
+
+        const sum = () => loaded.reduce((a, b) => a + b, 0);
+        const job = workers.search({
+            script: WORKER_SCRIPT,
+            candidates: tasks,
+            chunkSize: 1,
+            size: Math.min(tasks.length, options.size || workers.defaultSize()),
+            stopOnMatch: false,
+            onItemProgress(data) {
+                loaded[data.id] = data.loaded;
+                progress(sum(), total);
+            },
+            onMatch(match) {
+                const result = results[match.index];
+                loaded[match.id] = tasks[match.id].file.size;
+                if (match.error) {
+                    result.error = match.error;
+                } else {
+                    Object.assign(result.digests, match.digests);
+                }
+                progress(sum(), total);
+                if (--pending[match.index] === 0) {
+                    // 保持与所选算法相同的顺序
+                    const digests = {};
+                    algorithms.filter(id => id in result.digests).forEach(id => {
+                        digests[id] = result.digests[id];
+                    });
+                    result.digests = digests;
+                    options.onFile?.(result);
+                }
+            }
+        });
+
+        return {
+            promise: job.promise.then(outcome => ({ results, elapsed: outcome.elapsed, cancelled: outcome.cancelled })),
+            cancel: job.cancel
+        };
+    }
+
+    /**
+     * 在当前线程依次计算（不支持 Worker 时）
+     */
+    function hashInPlace(files, algorithms, options, results, progress) {
+        const startTime = Date.now();
+        const total = results.reduce((sum, result) => sum + result.size, 0);
+        let cancelled = false;
+
+        const promise = (async () => {
+            let done = 0;
+            for (let index = 0; index < files.length && !cancelled; index++) {
+                const result = results[index];
+                try {
+                    const digests = await hashBlob(toEntry(files[index]).file, algorithms, {
+                        chunkSize: options.chunkSize,
+                        onProgress: loaded => progress(done + loaded, total),
+                        isCancelled: () => cancelled
+                    });
+                    if (!digests) {
+                        break;
+                    }
+                    result.digests = digests;
+                } catch (error) {
+                    result.error = error.message;
+                }
+                done += result.size;
+                progress(done, total);
+                options.onFile?.(result);
+            }
+            return { results, elapsed: Date.now() - startTime, cancelled };
+        })();
+
+        return {
+            promise,
+            cancel() {
+                cancelled = true;
+            }
+        };
+    }
+
+    // ========== 校验清单 ==========
+
+    /**
+     * 按摘要长度（十六进制字符数）推测可能的算法
+     * @param {string} hash
+     * @returns {string[]}
+     */
+    function guessAlgorithms(hash) {
+        return Object.keys(ALGORITHMS).filter(id => ALGORITHMS[id].length === hash.length);
+    }
+
+    /**
+     * BSD 风格标签对应的算法（不区分大小写，BLAKE2b-512 等写法也可以）
+     * @param {string} tag
+     * @returns {string|null}
+     */
+    function algorithmFromTag(tag) {
+        const normalized = tag.toLowerCase().replace(/^sha-/, 'sha');
+        const found = Object.keys(ALGORITHMS).find(id => id === normalized || ALGORITHMS[id].tag.toLowerCase() === normalized);
+        return found || null;
+    }
+
+    /**
+     * 反转义 GNU 格式中的文件名（以 \ 开头的行中 \\ 表示 \，\n 表示换行）
+     * @param {string} name
+     * @returns {string}
+     */
+    function unescapeName(name) {
+        return name.replace(/\\(\\|n|r)/g, (_, c) => ({ '\\': '\\', n: '\n', r: '\r' })[c]);
+    }
+
+    /**
+     * 解析校验清单
+     * 支持 GNU 格式（"hash  name"、"hash *name"，xxhsum / b3sum 相同）、
+     * BSD 格式（"SHA256 (name) = hash"，OpenSSL 的 "SHA256(name)= hash"）以及只有摘要的行
+     * @param {string} text
+     * @returns {{entries: Array<{line: number, name: string|null, hash: string, algorithms: string[]}>, errors: Array<{line: number, text: string}>}}
+     */
+    function parseManifest(text) {
+        const entries = [];
+        const errors = [];
+
+        String(text).split('\n').forEach((raw, i) => {
+            const line = raw.replace(/\r$/, '');
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('#')) {
+                return;
+            }
+
+            let name = null;
+            let hash = null;
+            let algorithms = null;
+
+            const bsd = trimmed.match(/^([A-Za-z0-9-]+) ?\((.*)\) ?= ?([0-9a-fA-F]+)$/);
+            const gnu = line.match(/^(\\?)([0-9a-fA-F]+)(?: [ *]|\t)(.+)$/);
+            if (bsd) {
+                const algorithm = algorithmFromTag(bsd[1]);
+                hash = bsd[3].toLowerCase();
+                name = bsd[2];
+                algorithms = algorithm && ALGORITHMS[algorithm].length === hash.length ? [algorithm] : [];
+            } else if (gnu) {
+                hash = gnu[2].toLowerCase();
+                name = gnu[1] ? unescapeName(gnu[3]) : gnu[3];
+                algorithms = guessAlgorithms(hash);
+            } else if (/^[0-9a-fA-F]+$/.test(trimmed)) {
+                hash = trimmed.toLowerCase();
+                algorithms = guessAlgorithms(hash);
+            }
+
+            if (!hash || algorithms.length === 0) {
+                errors.push({ line: i + 1, text: line });
+                return;
+            }
+            entries.push({ line: i + 1, name, hash, algorithms });
+        });
+
+        return { entries, errors };
+    }
+
+    /**
+     * 规范化路径：统一为 /，去掉开头的 ./ 和 /
+     * @param {string} path
+     * @returns {string}
+     */
+    function normalizePath(path) {
+        return path.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+    }
+
+    /**
+     * 为清单项查找对应的文件：先比较完整相对路径，再比较路径后缀，最后比较文件名
+     * @param {string} name
+     * @param {Array} results
+     * @returns {Object|null}
+     */
+    function findResult(name, results) {
+        const target = normalizePath(name);
+        const base = target.split('/').pop();
+        return results.find(result => normalizePath(result.path) === target) ||
+            results.find(result => normalizePath(result.path).endsWith(`/${target}`)) ||
+            results.find(result => result.name === base) ||
+            null;
+    }
+
+    /**
+     * 用已算出的摘要核对清单
+     * 状态：ok（一致）、failed（不一致）、missing（没有对应的文件）、pending（还没有计算所需的算法）
+     * 只有摘要的清单项会与所有文件比较
+     * @param {Array} entries - parseManifest() 的 entries
+     * @param {Array} results - hashFiles() 的 results
+     * @returns {Array<{entry: Object, status: string, result: Object|null, algorithm: string|null, actual: string|null}>}
+     */
+    function verifyManifest(entries, results) {
+        return entries.map(entry => {
+            const candidates = entry.name === null ? results : [findResult(entry.name, results)].filter(Boolean);
+            if (candidates.length === 0) {
+                return { entry, status: 'missing', result: null, algorithm: null, actual: null };
+            }
+
+            let computed = null;
+            for (const result of candidates) {
+                for (const algorithm of entry.algorithms) {
+                    const actual = result.digests[algorithm];
+                    if (actual === undefined) {
+                        continue;
+                    }
+                    if (actual === entry.hash) {
+                        return { entry, status: 'ok', result, algorithm, actual };
+                    }
+                    computed = computed || { result, algorithm, actual };
+                }
+            }
+            if (computed) {
+                return { entry, status: 'failed', ...computed };
+            }
+            return { entry, status: 'pending', result: candidates[0], algorithm: null, actual: null };
+        });
+    }
+
+    /**
+     * 核对清单还需要计算的算法：某个清单项的候选算法都还没有算过时，计算它的全部候选算法，以便确定是哪一种
+     * @param {Array} entries
+     * @param {Array} results
+     * @returns {string[]}
+     */
+    function missingAlgorithms(entries, results) {
+        const needed = new Set();
+        verifyManifest(entries, results)
+            .filter(item => item.status === 'pending')
+            .forEach(item => item.entry.algorithms.forEach(id => needed.add(id)));
+        return Object.keys(ALGORITHMS).filter(id => needed.has(id));
+    }
+
+    /**
+     * 生成校验清单
+     * @param {Array} results - hashFiles() 的 results
+     * @param {string} algorithm
+     * @param {Object} [options]
+     * @param {string} [options.style='gnu'] - gnu（sha256sum 格式）或 bsd（--tag 格式）
+     * @param {boolean} [options.uppercase=false]
+     * @returns {string}
+     */
+    function formatManifest(results, algorithm, options = {}) {
+        const spec = ALGORITHMS[algorithm];
+        if (!spec) {
+            throw new Error(`不支持的算法: ${algorithm}`);
+        }
+        return results
+            .filter(result => result.digests[algorithm])
+            .map(result => {
+                const hash = options.uppercase ? result.digests[algorithm].toUpperCase() : result.digests[algorithm];
+                if (options.style === 'bsd') {
+                    return `${spec.tag} (${result.path}) = ${hash}`;
+                }
+                // GNU 格式：文件名含 \ 或换行时整行以 \ 开头并转义
+                if (/[\\\n\r]/.test(result.path)) {
+                    const escaped = result.path.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+                    return `\\${hash}  ${escaped}`;
+                }
+                return `${hash}  ${result.path}`;
+            })
+            .join('\n');
+    }
+
+    root.REOT.fileHash = {
+        WORKER_SCRIPT,
+        DEFAULT_CHUNK_SIZE,
+        ALGORITHMS,
+        hashBlob,
+        plan,
+        hashFiles,
+        guessAlgorithms,
+        parseManifest,
+        verifyManifest,
+        missingAlgorithms,
+        formatManifest
+    };
+
+})(typeof window !== 'undefined' ? window : self);
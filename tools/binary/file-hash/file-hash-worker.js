@@ -0,0 +1,47 @@
+/**
+ * 文件哈希 Worker
+ * @description 在 Worker 中分块读取文件并增量计算摘要（每个候选项是一个文件与一组算法），每读完一块上报进度
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+/* global importScripts */
+
+(function(root) {
+    'use strict';
+
+    if (typeof importScripts === 'function' && !root.REOT?.workers) {
+        importScripts(
+            '../../../assets/js/bytes.js',
+            '../../../assets/js/workers.js',
+            '../../../libs/spark-md5/spark-md5.min.js',
+            '../../../libs/js-sha3/sha3.min.js',
+            '../../../libs/xxhash/xxhash.min.js',
+            '../../hashing/sha/sha-core.js',
+            '../../hashing/blake2/blake2-core.js',
+            '../../hashing/blake2/blake3-core.js',
+            '../../hashing/crc/crc-core.js',
+            'file-hash-core.js'
+        );
+    }
+
+    root.REOT.workers.serve({
+        /**
+         * @param {{id: number, index: number, file: Blob, algorithms: string[], chunkSize: number}} task
+         * @param {Function} report - 上报已读字节数
+         * @returns {Promise<{id: number, index: number, digests?: Object, error?: string}>}
+         */
+        async test(task, report) {
+            try {
+                const digests = await root.REOT.fileHash.hashBlob(task.file, task.algorithms, {
+                    chunkSize: task.chunkSize,
+                    onProgress: loaded => report({ id: task.id, loaded })
+                });
+                return { id: task.id, index: task.index, digests };
+            } catch (error) {
+                return { id: task.id, index: task.index, error: error.message };
+            }
+        }
+    }, root);
+
+})(self);
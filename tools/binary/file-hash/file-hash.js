@@ -1,6 +1,6 @@
 /**
  * 文件哈希计算工具
- * @description 计算文件的各种哈希值
+ * @description 在 Worker 中分块流式计算多个文件（或拖入的整个文件夹）的各种哈希值，并核对 sha256sum / md5sum 风格的校验清单
  * @author Evil0ctal
  * @license Apache-2.0
  */
@@ -8,47 +8,24 @@
 (function() {
     'use strict';
 
-    let currentFile = null;
-    let hashResults = {};
-    let sparkMD5LoadPromise = null;
-
-    /**
-     * 动态加载 SparkMD5 库 (用于 MD5 计算)
-     */
-    function loadSparkMD5() {
-        if (sparkMD5LoadPromise) {
-            return sparkMD5LoadPromise;
-        }
-
-        if (window.SparkMD5) {
-            return Promise.resolve();
-        }
-
-        sparkMD5LoadPromise = new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/spark-md5@3.0.2/spark-md5.min.js';
-
-            script.onload = () => {
-                const checkGlobal = () => {
-                    if (window.SparkMD5) {
-                        resolve();
-                    } else {
-                        setTimeout(checkGlobal, 10);
-                    }
-                };
-                checkGlobal();
-            };
-
-            script.onerror = () => {
-                sparkMD5LoadPromise = null;
-                reject(new Error('无法加载 SparkMD5 库'));
-            };
-
-            document.head.appendChild(script);
-        });
-
-        return sparkMD5LoadPromise;
-    }
+    // 文件哈希核心及其依赖（按加载顺序）
+    const CORE_SCRIPTS = [
+        'tools/hashing/sha/sha-core.js',
+        'tools/hashing/blake2/blake2-core.js',
+        'tools/hashing/blake2/blake3-core.js',
+        'tools/hashing/crc/crc-core.js',
+        'tools/binary/file-hash/file-hash-core.js'
+    ];
+
+    // 不支持 Worker 时在页面中计算所需的库（Worker 自行加载）
+    const LIBRARIES = ['spark-md5', 'js-sha3', 'xxhash'];
+
+    // 已选择的文件：{file, path}
+    let selectedFiles = [];
+    // 与 selectedFiles 一一对应的结果：{index, name, path, size, digests, error}
+    let hashResults = [];
+    // 正在进行的计算
+    let currentJob = null;
 
     /**
      * 检查当前是否在文件哈希工具页面
@@ -62,7 +39,9 @@
      * 格式化文件大小
      */
     function formatFileSize(bytes) {
-        if (bytes === 0) return '0 B';
+        if (bytes === 0) {
+            return '0 B';
+        }
         const k = 1024;
         const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
         const i = Math.floor(Math.log(bytes) / Math.log(k));
@@ -73,320 +52,547 @@
      * 格式化日期
      */
     function formatDate(timestamp) {
-        const date = new Date(timestamp);
-        return date.toLocaleString();
+        return timestamp ? new Date(timestamp).toLocaleString() : '-';
+    }
+
+    /**
+     * 加载文件哈希核心
+     * @returns {Promise<Object>} REOT.fileHash
+     */
+    async function loadCore() {
+        if (typeof Worker !== 'function') {
+            await Promise.all(LIBRARIES.map(name => REOT.loader.load(name)));
+        }
+        for (const script of CORE_SCRIPTS) {
+            await REOT.loader.loadScript(script);
+        }
+        return REOT.fileHash;
     }
 
     /**
      * 获取选中的算法
+     * @returns {string[]}
      */
     function getSelectedAlgorithms() {
-        const algorithms = [];
-        if (document.getElementById('algo-md5')?.checked) algorithms.push('MD5');
-        if (document.getElementById('algo-sha1')?.checked) algorithms.push('SHA-1');
-        if (document.getElementById('algo-sha256')?.checked) algorithms.push('SHA-256');
-        if (document.getElementById('algo-sha384')?.checked) algorithms.push('SHA-384');
-        if (document.getElementById('algo-sha512')?.checked) algorithms.push('SHA-512');
-        return algorithms;
+        return Array.from(document.querySelectorAll('.algo-checkbox:checked')).map(input => input.value);
     }
 
     /**
-     * 更新进度条
+     * 按大小写选项格式化哈希值
      */
-    function updateProgress(percent) {
-        const progressSection = document.getElementById('progress-section');
-        const progressFill = document.getElementById('progress-fill');
-        const progressPercent = document.getElementById('progress-percent');
-
-        if (progressSection) progressSection.style.display = 'block';
-        if (progressFill) progressFill.style.width = percent + '%';
-        if (progressPercent) progressPercent.textContent = Math.round(percent) + '%';
+    function formatHash(hash) {
+        return document.getElementById('uppercase-output')?.checked ? hash.toUpperCase() : hash;
     }
 
     /**
-     * 隐藏进度条
+     * 算法显示名称
      */
-    function hideProgress() {
-        const progressSection = document.getElementById('progress-section');
-        if (progressSection) progressSection.style.display = 'none';
+    function algorithmName(id) {
+        return REOT.fileHash?.ALGORITHMS[id]?.name || id;
     }
 
+    // ========== 文件选择 ==========
+
     /**
-     * 使用 SparkMD5 计算 MD5 (支持大文件分块)
+     * 读取目录中的全部条目（readEntries 每次最多返回 100 项，需要循环读到空为止）
+     * @param {FileSystemDirectoryEntry} directory
+     * @returns {Promise<FileSystemEntry[]>}
      */
-    async function calculateMD5(file, onProgress) {
-        await loadSparkMD5();
-
-        return new Promise((resolve, reject) => {
-            const blobSlice = File.prototype.slice || File.prototype.mozSlice || File.prototype.webkitSlice;
-            const chunkSize = 2097152; // 2MB chunks
-            const chunks = Math.ceil(file.size / chunkSize);
-            let currentChunk = 0;
-            const spark = new SparkMD5.ArrayBuffer();
-            const fileReader = new FileReader();
-
-            fileReader.onload = function(e) {
-                spark.append(e.target.result);
-                currentChunk++;
-
-                if (onProgress) {
-                    onProgress(currentChunk / chunks * 100);
-                }
+    async function readDirectory(directory) {
+        const reader = directory.createReader();
+        const entries = [];
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) {
+                return entries;
+            }
+            entries.push(...batch);
+        }
+    }
 
-                if (currentChunk < chunks) {
-                    loadNext();
-                } else {
-                    resolve(spark.end());
+    /**
+     * 递归展开拖入的文件和文件夹
+     * @param {FileSystemEntry[]} entries - 在 drop 事件中同步取得的条目
+     * @returns {Promise<Array<{file: File, path: string}>>}
+     */
+    async function collectEntries(entries) {
+        const files = [];
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+            } else if (entry.isDirectory) {
+                for (const child of await readDirectory(entry)) {
+                    await walk(child);
                 }
-            };
-
-            fileReader.onerror = function() {
-                reject(new Error('MD5 计算失败'));
-            };
-
-            function loadNext() {
-                const start = currentChunk * chunkSize;
-                const end = Math.min(start + chunkSize, file.size);
-                fileReader.readAsArrayBuffer(blobSlice.call(file, start, end));
             }
+        };
+        for (const entry of entries) {
+            await walk(entry);
+        }
+        return files;
+    }
 
-            loadNext();
-        });
+    /**
+     * 取得拖放的文件：支持文件夹时递归展开，否则使用 dataTransfer.files
+     * @param {DataTransfer} dataTransfer
+     * @returns {Promise<Array<{file: File, path: string}>>}
+     */
+    function collectDroppedFiles(dataTransfer) {
+        const items = Array.from(dataTransfer.items || []);
+        // 条目必须在事件处理函数返回前取得
+        const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+        if (entries.length > 0) {
+            return collectEntries(entries);
+        }
+        return Promise.resolve(Array.from(dataTransfer.files || []).map(file => ({ file, path: file.name })));
     }
 
     /**
-     * 使用 Web Crypto API 计算 SHA 哈希
+     * 设置待计算的文件
+     * @param {Array<{file: File, path: string}>} files
      */
-    async function calculateSHA(file, algorithm, onProgress) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = async function(e) {
-                try {
-                    if (onProgress) onProgress(50);
-
-                    const hashBuffer = await crypto.subtle.digest(algorithm, e.target.result);
-                    const hashArray = Array.from(new Uint8Array(hashBuffer));
-                    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-
-                    if (onProgress) onProgress(100);
-                    resolve(hashHex);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+    function setFiles(files) {
+        cancelJob();
+        selectedFiles = files;
+        hashResults = files.map((entry, index) => ({
+            index,
+            name: entry.file.name,
+            path: entry.path,
+            size: entry.file.size,
+            digests: {},
+            error: null
+        }));
+        renderFileList();
 
-            reader.onerror = function() {
-                reject(new Error(`${algorithm} 计算失败`));
-            };
+        const resultsSection = document.getElementById('results-section');
+        const verifyResult = document.getElementById('verify-result');
+        if (resultsSection) {
+            resultsSection.style.display = 'none';
+        }
+        if (verifyResult) {
+            verifyResult.style.display = 'none';
+        }
+    }
 
-            reader.onprogress = function(e) {
-                if (e.lengthComputable && onProgress) {
-                    onProgress(e.loaded / e.total * 50);
-                }
-            };
+    /**
+     * 显示文件列表
+     */
+    function renderFileList() {
+        const section = document.getElementById('file-info-section');
+        const summary = document.getElementById('file-summary');
+        const list = document.getElementById('file-list');
+        if (!section || !summary || !list) {
+            return;
+        }
 
-            reader.readAsArrayBuffer(file);
-        });
+        section.style.display = selectedFiles.length > 0 ? 'block' : 'none';
+        const totalSize = selectedFiles.reduce((sum, entry) => sum + entry.file.size, 0);
+        summary.textContent = `${selectedFiles.length} ${REOT.i18n.t('tools.file-hash.files', '个文件')} · ${formatFileSize(totalSize)}`;
+
+        const escape = REOT.utils.escapeHtml;
+        list.innerHTML = selectedFiles.map((entry, index) => `
+            <tr>
+                <td class="file-path" title="${escape(entry.file.type || '')}">${escape(entry.path)}</td>
+                <td>${formatFileSize(entry.file.size)}</td>
+                <td>${formatDate(entry.file.lastModified)}</td>
+                <td class="file-status" id="file-status-${index}">${REOT.i18n.t('tools.file-hash.statusWaiting', '等待')}</td>
+            </tr>
+        `).join('');
     }
 
     /**
-     * 计算所有选中的哈希值
+     * 更新单个文件的状态
+     * @param {number} index
+     * @param {string} text
+     * @param {string} [state] - done / error
      */
-    async function calculateAllHashes(file) {
-        const algorithms = getSelectedAlgorithms();
-        if (algorithms.length === 0) {
-            throw new Error('请至少选择一种哈希算法');
+    function setFileStatus(index, text, state = '') {
+        const cell = document.getElementById(`file-status-${index}`);
+        if (cell) {
+            cell.textContent = text;
+            cell.className = `file-status ${state}`;
         }
+    }
 
-        hashResults = {};
-        const totalAlgorithms = algorithms.length;
-        let completedAlgorithms = 0;
+    // ========== 计算 ==========
 
-        for (const algo of algorithms) {
-            try {
-                let hash;
-                const onProgress = (percent) => {
-                    const overallProgress = (completedAlgorithms + percent / 100) / totalAlgorithms * 100;
-                    updateProgress(overallProgress);
-                };
-
-                if (algo === 'MD5') {
-                    hash = await calculateMD5(file, onProgress);
-                } else {
-                    hash = await calculateSHA(file, algo, onProgress);
-                }
+    /**
+     * 更新进度条
+     * @param {{loaded: number, total: number, rate: number}} progress
+     * @param {number} filesDone
+     * @param {number} fileCount
+     */
+    function updateProgress(progress, filesDone, fileCount) {
+        const progressSection = document.getElementById('progress-section');
+        const progressFill = document.getElementById('progress-fill');
+        const progressPercent = document.getElementById('progress-percent');
+        const progressText = document.getElementById('progress-text');
+        const progressDetail = document.getElementById('progress-detail');
+        const percent = progress.total > 0 ? Math.floor(progress.loaded * 100 / progress.total) : 100;
 
-                hashResults[algo] = hash;
-                completedAlgorithms++;
-                updateProgress(completedAlgorithms / totalAlgorithms * 100);
-            } catch (error) {
-                console.error(`${algo} 计算失败:`, error);
-                hashResults[algo] = 'Error';
-            }
+        if (progressSection) {
+            progressSection.style.display = 'block';
+        }
+        if (progressFill) {
+            progressFill.style.width = percent + '%';
+        }
+        if (progressPercent) {
+            progressPercent.textContent = percent + '%';
+        }
+        if (progressText) {
+            progressText.textContent = `${REOT.i18n.t('tools.file-hash.calculating', '计算中...')} ${filesDone} / ${fileCount}`;
+        }
+        if (progressDetail) {
+            progressDetail.textContent = `${formatFileSize(progress.loaded)} / ${formatFileSize(progress.total)} · ${formatFileSize(progress.rate)}/s`;
         }
-
-        return hashResults;
     }
 
     /**
-     * 显示哈希结果
+     * 隐藏进度条
      */
-    function displayResults(results) {
-        const resultsSection = document.getElementById('results-section');
-        if (resultsSection) resultsSection.style.display = 'block';
-
-        const algorithmMap = {
-            'MD5': 'md5',
-            'SHA-1': 'sha1',
-            'SHA-256': 'sha256',
-            'SHA-384': 'sha384',
-            'SHA-512': 'sha512'
-        };
+    function hideProgress() {
+        const progressSection = document.getElementById('progress-section');
+        if (progressSection) {
+            progressSection.style.display = 'none';
+        }
+    }
 
-        // 隐藏所有结果
-        for (const key of Object.values(algorithmMap)) {
-            const resultEl = document.getElementById(`result-${key}`);
-            if (resultEl) resultEl.style.display = 'none';
+    /**
+     * 切换计算 / 停止按钮
+     */
+    function setRunning(running) {
+        const calculateBtn = document.getElementById('calculate-btn');
+        const cancelBtn = document.getElementById('cancel-btn');
+        const verifyBtn = document.getElementById('verify-btn');
+        if (calculateBtn) {
+            calculateBtn.disabled = running;
+        }
+        if (verifyBtn) {
+            verifyBtn.disabled = running;
         }
+        if (cancelBtn) {
+            cancelBtn.style.display = running ? '' : 'none';
+        }
+    }
 
-        // 显示计算的结果
-        for (const [algo, hash] of Object.entries(results)) {
-            const key = algorithmMap[algo];
-            const resultEl = document.getElementById(`result-${key}`);
-            const lowerEl = document.getElementById(`${key}-lower`);
-            const upperEl = document.getElementById(`${key}-upper`);
+    /**
+     * 停止正在进行的计算
+     */
+    function cancelJob() {
+        if (currentJob) {
+            currentJob.cancel();
+            currentJob = null;
+        }
+    }
 
-            if (resultEl && hash !== 'Error') {
-                resultEl.style.display = 'block';
-                if (lowerEl) lowerEl.value = hash;
-                if (upperEl) upperEl.value = hash.toUpperCase();
+    /**
+     * 计算全部文件的指定算法，结果合并到 hashResults
+     * @param {string[]} algorithms
+     * @returns {Promise<{elapsed: number, cancelled: boolean}>}
+     */
+    async function hashSelectedFiles(algorithms) {
+        const fileHash = await loadCore();
+        // 计算过程中重新选择文件时，旧任务的结果不再写入
+        const results = hashResults;
+        const isCurrent = () => results === hashResults;
+        let filesDone = 0;
+        let lastProgress = { loaded: 0, total: 0, rate: 0 };
+
+        selectedFiles.forEach((_, index) => setFileStatus(index, REOT.i18n.t('tools.file-hash.statusHashing', '计算中')));
+        const job = fileHash.hashFiles(selectedFiles, algorithms, {
+            onProgress(progress) {
+                lastProgress = progress;
+                updateProgress(progress, filesDone, selectedFiles.length);
+            },
+            onFile(result) {
+                filesDone++;
+                const target = results[result.index];
+                if (!isCurrent()) {
+                    return;
+                }
+                if (result.error) {
+                    target.error = result.error;
+                    setFileStatus(result.index, result.error, 'error');
+                } else {
+                    Object.assign(target.digests, result.digests);
+                    setFileStatus(result.index, REOT.i18n.t('tools.file-hash.statusDone', '完成'), 'done');
+                }
+                updateProgress(lastProgress, filesDone, selectedFiles.length);
             }
+        });
+        currentJob = job;
+        setRunning(true);
+
+        try {
+            const outcome = await job.promise;
+            if (outcome.cancelled && isCurrent()) {
+                results.forEach((result, index) => {
+                    if (algorithms.some(id => !(id in result.digests)) && !result.error) {
+                        setFileStatus(index, REOT.i18n.t('tools.file-hash.statusCancelled', '已停止'));
+                    }
+                });
+            }
+            return outcome;
+        } finally {
+            if (currentJob === job) {
+                currentJob = null;
+            }
+            setRunning(false);
+            hideProgress();
         }
     }
 
     /**
-     * 显示文件信息
+     * 显示结果
      */
-    function displayFileInfo(file) {
-        const fileInfoSection = document.getElementById('file-info-section');
-        const fileNameEl = document.getElementById('file-name');
-        const fileSizeEl = document.getElementById('file-size');
-        const fileTypeEl = document.getElementById('file-type');
-        const fileModifiedEl = document.getElementById('file-modified');
-
-        if (fileInfoSection) fileInfoSection.style.display = 'block';
-        if (fileNameEl) fileNameEl.textContent = file.name;
-        if (fileSizeEl) fileSizeEl.textContent = formatFileSize(file.size);
-        if (fileTypeEl) fileTypeEl.textContent = file.type || 'unknown';
-        if (fileModifiedEl) fileModifiedEl.textContent = formatDate(file.lastModified);
+    function renderResults() {
+        const resultsSection = document.getElementById('results-section');
+        const resultsList = document.getElementById('results-list');
+        if (!resultsSection || !resultsList) {
+            return;
+        }
+
+        const escape = REOT.utils.escapeHtml;
+        const computed = hashResults.filter(result => Object.keys(result.digests).length > 0 || result.error);
+        resultsSection.style.display = computed.length > 0 ? 'block' : 'none';
+        resultsList.innerHTML = computed.map(result => `
+            <div class="hash-result">
+                <div class="hash-header">
+                    <span class="hash-name">${escape(result.path)}</span>
+                    <span class="hash-size">${formatFileSize(result.size)}</span>
+                </div>
+                ${result.error ? `<div class="hash-error">${escape(result.error)}</div>` : ''}
+                <div class="hash-values">
+                    ${Object.entries(result.digests).map(([id, hash]) => `
+                        <div class="hash-value-row">
+                            <span class="value-label">${escape(algorithmName(id))}</span>
+                            <input type="text" class="hash-input" value="${formatHash(hash)}" readonly>
+                            <button class="btn btn--small copy-hash-btn" data-index="${result.index}" data-algorithm="${id}">
+                                <span>${REOT.i18n.t('common.copy', '复制')}</span>
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
     }
 
     /**
-     * 清除所有内容
+     * 计算按钮
      */
-    function clearAll() {
-        currentFile = null;
-        hashResults = {};
+    async function calculateAll() {
+        if (selectedFiles.length === 0) {
+            REOT.utils?.showNotification(REOT.i18n.t('tools.file-hash.errorNoFile', '请先选择文件'), 'warning');
+            return;
+        }
+        const algorithms = getSelectedAlgorithms();
+        if (algorithms.length === 0) {
+            REOT.utils?.showNotification(REOT.i18n.t('tools.file-hash.errorNoAlgorithm', '请至少选择一种哈希算法'), 'warning');
+            return;
+        }
 
-        const fileInput = document.getElementById('file-input');
-        const fileInfoSection = document.getElementById('file-info-section');
-        const progressSection = document.getElementById('progress-section');
-        const resultsSection = document.getElementById('results-section');
-        const verifyInput = document.getElementById('verify-input');
-        const verifyResult = document.getElementById('verify-result');
+        try {
+            const outcome = await hashSelectedFiles(algorithms);
+            renderResults();
+            if (!outcome.cancelled) {
+                REOT.utils?.showNotification(
+                    `${REOT.i18n.t('tools.file-hash.done', '计算完成')} (${(outcome.elapsed / 1000).toFixed(2)} s)`, 'success');
+            }
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+    }
 
-        if (fileInput) fileInput.value = '';
-        if (fileInfoSection) fileInfoSection.style.display = 'none';
-        if (progressSection) progressSection.style.display = 'none';
-        if (resultsSection) resultsSection.style.display = 'none';
-        if (verifyInput) verifyInput.value = '';
-        if (verifyResult) verifyResult.style.display = 'none';
+    // ========== 复制 ==========
 
-        // 清除所有哈希输入框
-        const hashInputs = document.querySelectorAll('.hash-input');
-        hashInputs.forEach(input => input.value = '');
+    function copyText(text) {
+        REOT.utils?.copyToClipboard(text).then(success => {
+            if (success) {
+                REOT.utils?.showNotification(REOT.i18n.t('common.copied', '已复制'), 'success');
+            }
+        });
     }
 
     /**
-     * 验证哈希
+     * 复制全部结果（每个文件一段，每个算法一行）
      */
-    function verifyHash(inputHash) {
-        if (!inputHash) return null;
-
-        inputHash = inputHash.trim().toLowerCase();
-        const algorithms = {
-            32: 'MD5',
-            40: 'SHA-1',
-            64: 'SHA-256',
-            96: 'SHA-384',
-            128: 'SHA-512'
-        };
+    function copyAllResults() {
+        const text = hashResults
+            .filter(result => Object.keys(result.digests).length > 0)
+            .map(result => [result.path]
+                .concat(Object.entries(result.digests).map(([id, hash]) => `${algorithmName(id)}: ${formatHash(hash)}`))
+                .join('\n'))
+            .join('\n\n');
+        if (text) {
+            copyText(text);
+        }
+    }
 
-        const expectedAlgo = algorithms[inputHash.length];
-        if (!expectedAlgo) {
-            return { match: false, algorithm: null, message: '无效的哈希长度' };
+    /**
+     * 复制所选算法的校验清单
+     */
+    function copyManifest() {
+        const algorithm = document.getElementById('manifest-algorithm')?.value || 'sha256';
+        const style = document.getElementById('manifest-style')?.value || 'gnu';
+        if (!REOT.fileHash || !hashResults.some(result => result.digests[algorithm])) {
+            REOT.utils?.showNotification(
+                `${REOT.i18n.t('tools.file-hash.errorNotComputed', '尚未计算该算法')}: ${algorithmName(algorithm)}`, 'warning');
+            return;
         }
+        const uppercase = document.getElementById('uppercase-output')?.checked;
+        copyText(REOT.fileHash.formatManifest(hashResults, algorithm, { style, uppercase }) + '\n');
+    }
 
-        const storedHash = hashResults[expectedAlgo];
-        if (!storedHash) {
-            return { match: false, algorithm: expectedAlgo, message: `未计算 ${expectedAlgo}` };
+    // ========== 校验 ==========
+
+    /**
+     * 核对输入的哈希值或校验清单，缺少的算法先补算
+     */
+    async function verifyInput() {
+        const input = document.getElementById('verify-input')?.value || '';
+        if (!input.trim()) {
+            REOT.utils?.showNotification(REOT.i18n.t('tools.file-hash.errorNoHash', '请输入要验证的哈希值'), 'warning');
+            return;
+        }
+        if (selectedFiles.length === 0) {
+            REOT.utils?.showNotification(REOT.i18n.t('tools.file-hash.errorNoFile', '请先选择文件'), 'warning');
+            return;
         }
 
-        const match = storedHash.toLowerCase() === inputHash;
-        return {
-            match,
-            algorithm: expectedAlgo,
-            message: match ? '匹配' : '不匹配'
-        };
+        try {
+            const fileHash = await loadCore();
+            const manifest = fileHash.parseManifest(input);
+            if (manifest.entries.length === 0) {
+                REOT.utils?.showNotification(REOT.i18n.t('tools.file-hash.errorInvalidManifest', '没有可识别的哈希值'), 'error');
+                return;
+            }
+
+            const missing = fileHash.missingAlgorithms(manifest.entries, hashResults);
+            if (missing.length > 0) {
+                const outcome = await hashSelectedFiles(missing);
+                renderResults();
+                if (outcome.cancelled) {
+                    return;
+                }
+            }
+            renderVerification(fileHash.verifyManifest(manifest.entries, hashResults), manifest.errors);
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
     }
 
     /**
-     * 复制所有哈希结果
+     * 显示核对结果
+     * @param {Array} items - verifyManifest() 的结果
+     * @param {Array} errors - 无法解析的行
      */
-    function copyAllResults() {
-        if (Object.keys(hashResults).length === 0) {
-            REOT.utils?.showNotification('没有可复制的结果', 'warning');
+    function renderVerification(items, errors) {
+        const verifyResult = document.getElementById('verify-result');
+        const summary = document.getElementById('verify-summary');
+        const list = document.getElementById('verify-list');
+        if (!verifyResult || !summary || !list) {
             return;
         }
 
-        const fileName = currentFile?.name || 'file';
-        let text = `File: ${fileName}\n`;
-        text += '-'.repeat(50) + '\n';
+        const labels = {
+            ok: REOT.i18n.t('tools.file-hash.statusOk', '✓ 通过'),
+            failed: REOT.i18n.t('tools.file-hash.statusFailed', '✗ 不匹配'),
+            missing: REOT.i18n.t('tools.file-hash.statusMissing', '? 缺少文件'),
+            pending: REOT.i18n.t('tools.file-hash.statusPending', '- 未计算')
+        };
+        const count = status => items.filter(item => item.status === status).length;
+        const parts = [
+            `<span class="verify-count ok">${labels.ok} ${count('ok')}</span>`,
+            `<span class="verify-count failed">${labels.failed} ${count('failed')}</span>`,
+            `<span class="verify-count missing">${labels.missing} ${count('missing')}</span>`
+        ];
+        if (errors.length > 0) {
+            const lines = errors.map(error => error.line).join(', ');
+            parts.push(`<span class="verify-count skipped">${REOT.i18n.t('tools.file-hash.invalidLines', '无法解析的行')}: ${lines}</span>`);
+        }
+
+        const escape = REOT.utils.escapeHtml;
+        summary.innerHTML = parts.join('');
+        list.innerHTML = items.map(item => {
+            const name = item.entry.name ?? item.result?.path ?? '-';
+            const algorithm = item.algorithm
+                ? algorithmName(item.algorithm)
+                : item.entry.algorithms.map(algorithmName).join(' / ');
+            const actual = item.status === 'failed'
+                ? `<div class="verify-actual">${REOT.i18n.t('tools.file-hash.actual', '实际')}: ${formatHash(item.actual)}</div>`
+                : '';
+            return `
+                <tr class="verify-row ${item.status}">
+                    <td class="verify-status">${labels[item.status]}</td>
+                    <td class="file-path">${escape(name)}</td>
+                    <td>${escape(algorithm)}</td>
+                    <td class="verify-hash">${formatHash(item.entry.hash)}${actual}</td>
+                </tr>
+            `;
+        }).join('');
+        verifyResult.style.display = 'block';
+    }
 
-        for (const [algo, hash] of Object.entries(hashResults)) {
-            if (hash !== 'Error') {
-                text += `${algo}: ${hash}\n`;
+    // ========== 清除 ==========
+
+    function clearAll() {
+        cancelJob();
+        selectedFiles = [];
+        hashResults = [];
+
+        ['file-input', 'folder-input', 'manifest-file-input'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = '';
             }
+        });
+        const verifyInput = document.getElementById('verify-input');
+        if (verifyInput) {
+            verifyInput.value = '';
         }
-
-        REOT.utils?.copyToClipboard(text).then(success => {
-            if (success) {
-                REOT.utils?.showNotification(REOT.i18n?.t('common.copied') || '已复制', 'success');
+        ['file-info-section', 'results-section', 'verify-result'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.style.display = 'none';
             }
         });
+        hideProgress();
     }
 
-    // 文件上传处理
-    document.addEventListener('change', (e) => {
-        if (!isFileHashToolActive()) return;
+    // ========== 事件 ==========
 
-        if (e.target.id === 'file-input') {
-            const file = e.target.files[0];
-            if (file) {
-                currentFile = file;
-                displayFileInfo(file);
+    // 文件、文件夹和清单文件选择
+    document.addEventListener('change', async (e) => {
+        if (!isFileHashToolActive()) {
+            return;
+        }
 
-                // 隐藏之前的结果
-                const resultsSection = document.getElementById('results-section');
-                if (resultsSection) resultsSection.style.display = 'none';
+        if (e.target.id === 'file-input' || e.target.id === 'folder-input') {
+            const files = Array.from(e.target.files || []);
+            if (files.length > 0) {
+                setFiles(files.map(file => ({ file, path: file.webkitRelativePath || file.name })));
             }
         }
+
+        if (e.target.id === 'manifest-file-input') {
+            const file = e.target.files?.[0];
+            const verifyInput = document.getElementById('verify-input');
+            if (file && verifyInput) {
+                verifyInput.value = await file.text();
+            }
+        }
+
+        if (e.target.id === 'uppercase-output') {
+            renderResults();
+        }
     });
 
     // 拖拽处理
     document.addEventListener('dragover', (e) => {
-        if (!isFileHashToolActive()) return;
+        if (!isFileHashToolActive()) {
+            return;
+        }
 
         const uploadArea = document.getElementById('upload-area');
         if (uploadArea && uploadArea.contains(e.target)) {
@@ -396,7 +602,9 @@
     });
 
     document.addEventListener('dragleave', (e) => {
-        if (!isFileHashToolActive()) return;
+        if (!isFileHashToolActive()) {
+            return;
+        }
 
         const uploadArea = document.getElementById('upload-area');
         if (uploadArea && uploadArea.contains(e.target)) {
@@ -404,113 +612,76 @@
         }
     });
 
-    document.addEventListener('drop', (e) => {
-        if (!isFileHashToolActive()) return;
+    document.addEventListener('drop', async (e) => {
+        if (!isFileHashToolActive()) {
+            return;
+        }
 
         const uploadArea = document.getElementById('upload-area');
         if (uploadArea && uploadArea.contains(e.target)) {
             e.preventDefault();
             uploadArea.classList.remove('drag-over');
 
-            const file = e.dataTransfer.files[0];
-            if (file) {
-                currentFile = file;
-                displayFileInfo(file);
-
-                // 更新 file input
-                const fileInput = document.getElementById('file-input');
-                if (fileInput) {
-                    const dataTransfer = new DataTransfer();
-                    dataTransfer.items.add(file);
-                    fileInput.files = dataTransfer.files;
+            try {
+                const files = await collectDroppedFiles(e.dataTransfer);
+                if (files.length > 0) {
+                    setFiles(files);
                 }
-
-                // 隐藏之前的结果
-                const resultsSection = document.getElementById('results-section');
-                if (resultsSection) resultsSection.style.display = 'none';
+            } catch (error) {
+                REOT.utils?.showNotification(error.message, 'error');
             }
         }
     });
 
     // 点击事件处理
-    document.addEventListener('click', async (e) => {
-        if (!isFileHashToolActive()) return;
+    document.addEventListener('click', (e) => {
+        if (!isFileHashToolActive()) {
+            return;
+        }
 
         const target = e.target;
 
-        // 计算按钮
-        if (target.id === 'calculate-btn' || target.closest('#calculate-btn')) {
-            if (!currentFile) {
-                REOT.utils?.showNotification('请先选择文件', 'warning');
-                return;
-            }
+        if (target.closest('#calculate-btn')) {
+            calculateAll();
+        }
 
-            try {
-                const results = await calculateAllHashes(currentFile);
-                displayResults(results);
-                hideProgress();
-                REOT.utils?.showNotification('计算完成', 'success');
-            } catch (error) {
-                hideProgress();
-                REOT.utils?.showNotification(error.message, 'error');
-            }
+        if (target.closest('#cancel-btn')) {
+            cancelJob();
         }
 
-        // 清除按钮
-        if (target.id === 'clear-btn' || target.closest('#clear-btn')) {
+        if (target.closest('#clear-btn')) {
             clearAll();
         }
 
-        // 复制全部按钮
-        if (target.id === 'copy-all-btn' || target.closest('#copy-all-btn')) {
+        if (target.closest('#copy-all-btn')) {
             copyAllResults();
         }
 
-        // 单个哈希复制按钮
-        if (target.classList.contains('copy-hash-btn') || target.closest('.copy-hash-btn')) {
-            const btn = target.classList.contains('copy-hash-btn') ? target : target.closest('.copy-hash-btn');
-            const algorithm = btn.dataset.algorithm;
-            const lowerEl = document.getElementById(`${algorithm}-lower`);
-
-            if (lowerEl && lowerEl.value) {
-                REOT.utils?.copyToClipboard(lowerEl.value).then(success => {
-                    if (success) {
-                        REOT.utils?.showNotification(REOT.i18n?.t('common.copied') || '已复制', 'success');
-                    }
-                });
-            }
+        if (target.closest('#copy-manifest-btn')) {
+            copyManifest();
         }
 
-        // 验证按钮
-        if (target.id === 'verify-btn' || target.closest('#verify-btn')) {
-            const verifyInput = document.getElementById('verify-input');
-            const verifyResult = document.getElementById('verify-result');
-            const verifyStatus = document.getElementById('verify-status');
-            const verifyAlgorithm = document.getElementById('verify-algorithm');
-
-            if (!verifyInput?.value) {
-                REOT.utils?.showNotification('请输入要验证的哈希值', 'warning');
-                return;
+        // 单个哈希复制按钮
+        const copyBtn = target.closest('.copy-hash-btn');
+        if (copyBtn) {
+            const hash = hashResults[copyBtn.dataset.index]?.digests[copyBtn.dataset.algorithm];
+            if (hash) {
+                copyText(formatHash(hash));
             }
+        }
 
-            const result = verifyHash(verifyInput.value);
-            if (verifyResult && verifyStatus && verifyAlgorithm) {
-                verifyResult.style.display = 'flex';
-                verifyStatus.textContent = result.message;
-                verifyStatus.className = 'verify-status ' + (result.match ? 'match' : 'no-match');
-                verifyAlgorithm.textContent = result.algorithm || '';
-            }
+        if (target.closest('#verify-btn')) {
+            verifyInput();
         }
     });
 
-    // 预加载 SparkMD5
-    loadSparkMD5().catch(err => console.warn('SparkMD5 预加载失败:', err.message));
-
     // 导出工具函数
     window.FileHashTool = {
-        calculateMD5,
-        calculateSHA,
-        formatFileSize
+        loadCore,
+        formatFileSize,
+        collectDroppedFiles,
+        hashSelectedFiles,
+        getResults: () => hashResults
     };
 
 })();
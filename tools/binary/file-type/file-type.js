@@ -247,15 +247,6 @@
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
-    /**
-     * 字节数组转 Hex 字符串
-     */
-    function bytesToHex(bytes, separator = ' ') {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0').toUpperCase())
-            .join(separator);
-    }
-
     /**
      * 字节数组转可打印 ASCII
      */
@@ -341,7 +332,7 @@
 
         // 显示 Magic Number (前 16 字节)
         const magicBytes = bytes.slice(0, Math.min(16, bytes.length));
-        if (magicHex) magicHex.textContent = bytesToHex(magicBytes);
+        if (magicHex) magicHex.textContent = REOT.bytes.toHex(magicBytes, { separator: ' ', uppercase: true });
         if (magicAscii) magicAscii.textContent = bytesToAscii(magicBytes);
 
         // 检查扩展名是否匹配
@@ -9,58 +9,6 @@
     'use strict';
 
     let currentFileData = null;
-    let brotliWasm = null;
-    let brotliLoadPromise = null;
-
-    /**
-     * 动态加载 brotli-wasm 库
-     */
-    async function loadBrotliWasm() {
-        if (brotliWasm) {
-            return brotliWasm;
-        }
-
-        if (brotliLoadPromise) {
-            return brotliLoadPromise;
-        }
-
-        brotliLoadPromise = (async () => {
-            try {
-                // 使用动态 import 加载 ESM 模块
-                const module = await import('https://cdn.jsdelivr.net/npm/brotli-wasm@3.0.1/index.web.js');
-                brotliWasm = await module.default;
-                return brotliWasm;
-            } catch (e) {
-                console.error('brotli-wasm ESM 加载失败，尝试备用方案:', e);
-
-                // 备用方案：使用 script 标签加载
-                return new Promise((resolve, reject) => {
-                    const script = document.createElement('script');
-                    script.type = 'module';
-                    script.textContent = `
-                        import brotliPromise from 'https://cdn.jsdelivr.net/npm/brotli-wasm@3.0.1/index.web.js';
-                        window.__brotliWasmPromise = brotliPromise;
-                    `;
-                    script.onload = async () => {
-                        try {
-                            if (window.__brotliWasmPromise) {
-                                brotliWasm = await window.__brotliWasmPromise;
-                                resolve(brotliWasm);
-                            } else {
-                                reject(new Error('brotli-wasm 加载失败'));
-                            }
-                        } catch (err) {
-                            reject(err);
-                        }
-                    };
-                    script.onerror = () => reject(new Error('brotli-wasm 脚本加载失败'));
-                    document.head.appendChild(script);
-                });
-            }
-        })();
-
-        return brotliLoadPromise;
-    }
 
     /**
      * 压缩数据
@@ -73,7 +21,7 @@
             input = new Uint8Array(data);
         }
 
-        const brotli = await loadBrotliWasm();
+        const brotli = await REOT.loader.load('brotli-wasm');
         return brotli.compress(input);
     }
 
@@ -81,52 +29,12 @@
      * 解压数据
      */
     async function decompress(data) {
-        const brotli = await loadBrotliWasm();
+        const brotli = await REOT.loader.load('brotli-wasm');
         return brotli.decompress(data);
     }
 
     // ========== 工具函数 ==========
 
-    function stringToUint8Array(str) {
-        return new TextEncoder().encode(str);
-    }
-
-    function uint8ArrayToString(arr) {
-        return new TextDecoder().decode(arr);
-    }
-
-    function uint8ArrayToBase64(arr) {
-        let binary = '';
-        for (let i = 0; i < arr.length; i++) {
-            binary += String.fromCharCode(arr[i]);
-        }
-        return btoa(binary);
-    }
-
-    function base64ToUint8Array(base64) {
-        const binary = atob(base64);
-        const arr = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            arr[i] = binary.charCodeAt(i);
-        }
-        return arr;
-    }
-
-    function uint8ArrayToHex(arr) {
-        return Array.from(arr)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    function hexToUint8Array(hex) {
-        hex = hex.replace(/\s/g, '');
-        const arr = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < arr.length; i++) {
-            arr[i] = parseInt(hex.substr(i * 2, 2), 16);
-        }
-        return arr;
-    }
-
     function formatFileSize(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
@@ -168,7 +76,7 @@
 
         if (format === 'base64') {
             try {
-                const binary = base64ToUint8Array(output.value);
+                const binary = REOT.bytes.fromBase64(output.value);
                 data = new Blob([binary], { type: 'application/x-brotli' });
                 filename = 'compressed.br';
             } catch (e) {
@@ -253,14 +161,12 @@
 
                 REOT.utils?.showNotification('正在加载 Brotli 库并压缩...', 'info');
 
-                const inputData = typeof data === 'string' ? stringToUint8Array(data) : data;
+                const inputData = typeof data === 'string' ? REOT.bytes.fromText(data) : data;
                 const compressed = await compress(data);
                 updateStats(inputData.length, compressed.length);
 
                 if (output) {
-                    output.value = format === 'base64'
-                        ? uint8ArrayToBase64(compressed)
-                        : uint8ArrayToHex(compressed);
+                    output.value = REOT.bytes.format(compressed, format);
                 }
 
                 REOT.utils?.showNotification('压缩成功', 'success');
@@ -281,13 +187,9 @@
                     compressedData = currentFileData;
                 } else if (input.value.trim()) {
                     try {
-                        if (format === 'base64') {
-                            compressedData = base64ToUint8Array(input.value.trim());
-                        } else {
-                            compressedData = hexToUint8Array(input.value.trim());
-                        }
+                        compressedData = REOT.bytes.parse(input.value.trim(), format);
                     } catch (e) {
-                        throw new Error('输入格式无效');
+                        throw new Error(`输入格式无效: ${e.message}`);
                     }
                 } else {
                     REOT.utils?.showNotification('请输入要解压的内容或上传文件', 'warning');
@@ -301,9 +203,9 @@
 
                 if (output) {
                     try {
-                        output.value = uint8ArrayToString(decompressed);
+                        output.value = REOT.bytes.toText(decompressed);
                     } catch (e) {
-                        output.value = uint8ArrayToBase64(decompressed);
+                        output.value = REOT.bytes.toBase64(decompressed);
                     }
                 }
 
@@ -354,7 +256,7 @@
         compress,
         decompress,
         formatFileSize,
-        loadBrotliWasm
+        loadBrotliWasm: () => REOT.loader.load('brotli-wasm')
     };
 
     // 设置默认示例数据
@@ -375,6 +277,6 @@ Brotli typically achieves better compression than gzip for web content.`;
     }
 
     // 预加载 brotli-wasm 库
-    loadBrotliWasm().catch(err => console.warn('Brotli 预加载失败:', err.message));
+    REOT.loader.preload('brotli-wasm');
 
 })();
@@ -9,57 +9,6 @@
     'use strict';
 
     let currentFileData = null;
-    let pakoLoadPromise = null;
-
-    /**
-     * 动态加载 pako 库
-     */
-    function loadPako() {
-        if (pakoLoadPromise) {
-            return pakoLoadPromise;
-        }
-
-        if (window.pako) {
-            return Promise.resolve();
-        }
-
-        pakoLoadPromise = new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/pako@2.1.0/dist/pako.min.js';
-
-            script.onload = () => {
-                const checkGlobal = () => {
-                    if (window.pako) {
-                        resolve();
-                    } else {
-                        setTimeout(checkGlobal, 10);
-                    }
-                };
-                checkGlobal();
-            };
-
-            script.onerror = () => {
-                pakoLoadPromise = null;
-                reject(new Error('无法加载 pako 库，请检查网络连接'));
-            };
-
-            document.head.appendChild(script);
-        });
-
-        return pakoLoadPromise;
-    }
-
-    /**
-     * 确保库已加载
-     */
-    async function ensureLibraryLoaded() {
-        if (!window.pako) {
-            await loadPako();
-        }
-        if (!window.pako) {
-            throw new Error('pako 库加载失败');
-        }
-    }
 
     /**
      * 获取压缩级别
@@ -85,66 +34,6 @@
         return rawCheckbox?.checked ?? true;
     }
 
-    /**
-     * 字符串转 Uint8Array
-     */
-    function stringToUint8Array(str) {
-        const encoder = new TextEncoder();
-        return encoder.encode(str);
-    }
-
-    /**
-     * Uint8Array 转字符串
-     */
-    function uint8ArrayToString(arr) {
-        const decoder = new TextDecoder();
-        return decoder.decode(arr);
-    }
-
-    /**
-     * Uint8Array 转 Base64
-     */
-    function uint8ArrayToBase64(arr) {
-        let binary = '';
-        for (let i = 0; i < arr.length; i++) {
-            binary += String.fromCharCode(arr[i]);
-        }
-        return btoa(binary);
-    }
-
-    /**
-     * Base64 转 Uint8Array
-     */
-    function base64ToUint8Array(base64) {
-        const binary = atob(base64);
-        const arr = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            arr[i] = binary.charCodeAt(i);
-        }
-        return arr;
-    }
-
-    /**
-     * Uint8Array 转 Hex
-     */
-    function uint8ArrayToHex(arr) {
-        return Array.from(arr)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    /**
-     * Hex 转 Uint8Array
-     */
-    function hexToUint8Array(hex) {
-        hex = hex.replace(/\s/g, '');
-        const arr = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < arr.length; i++) {
-            arr[i] = parseInt(hex.substr(i * 2, 2), 16);
-        }
-        return arr;
-    }
-
     /**
      * 格式化文件大小
      */
@@ -166,7 +55,7 @@
 
         let input;
         if (typeof data === 'string') {
-            input = stringToUint8Array(data);
+            input = REOT.bytes.fromText(data);
         } else {
             input = data;
         }
@@ -179,11 +68,7 @@
         // 更新统计信息
         updateStats(input.length, compressed.length);
 
-        if (format === 'base64') {
-            return uint8ArrayToBase64(compressed);
-        } else {
-            return uint8ArrayToHex(compressed);
-        }
+        return REOT.bytes.format(compressed, format);
     }
 
     /**
@@ -195,13 +80,9 @@
 
         let input;
         try {
-            if (format === 'base64') {
-                input = base64ToUint8Array(data);
-            } else {
-                input = hexToUint8Array(data);
-            }
+            input = REOT.bytes.parse(data, format);
         } catch (e) {
-            throw new Error('输入格式无效');
+            throw new Error(`输入格式无效: ${e.message}`);
         }
 
         try {
@@ -215,10 +96,10 @@
 
             // 尝试转换为字符串
             try {
-                return uint8ArrayToString(decompressed);
+                return REOT.bytes.toText(decompressed);
             } catch (e) {
                 // 如果无法转换为字符串，返回 Base64
-                return uint8ArrayToBase64(decompressed);
+                return REOT.bytes.toBase64(decompressed);
             }
         } catch (e) {
             throw new Error('解压失败: 数据格式无效或已损坏');
@@ -269,7 +150,7 @@
 
         if (format === 'base64') {
             try {
-                const binary = base64ToUint8Array(output.value);
+                const binary = REOT.bytes.fromBase64(output.value);
                 data = new Blob([binary], { type: 'application/octet-stream' });
                 filename = 'compressed.deflate';
             } catch (e) {
@@ -335,7 +216,7 @@
         // 压缩按钮
         if (target.id === 'compress-btn' || target.closest('#compress-btn')) {
             try {
-                await ensureLibraryLoaded();
+                await REOT.loader.load('pako');
                 const input = document.getElementById('input');
                 const output = document.getElementById('output');
 
@@ -365,7 +246,7 @@
         // 解压按钮
         if (target.id === 'decompress-btn' || target.closest('#decompress-btn')) {
             try {
-                await ensureLibraryLoaded();
+                await REOT.loader.load('pako');
                 const input = document.getElementById('input');
                 const output = document.getElementById('output');
 
@@ -377,13 +258,9 @@
                     // 从文本输入解析
                     const format = getOutputFormat();
                     try {
-                        if (format === 'base64') {
-                            compressedData = base64ToUint8Array(input.value.trim());
-                        } else {
-                            compressedData = hexToUint8Array(input.value.trim());
-                        }
+                        compressedData = REOT.bytes.parse(input.value.trim(), format);
                     } catch (e) {
-                        throw new Error('输入格式无效');
+                        throw new Error(`输入格式无效: ${e.message}`);
                     }
                 } else {
                     REOT.utils?.showNotification('请输入要解压的内容或上传文件', 'warning');
@@ -416,9 +293,9 @@
 
                 if (output) {
                     try {
-                        output.value = uint8ArrayToString(decompressed);
+                        output.value = REOT.bytes.toText(decompressed);
                     } catch (e) {
-                        output.value = uint8ArrayToBase64(decompressed);
+                        output.value = REOT.bytes.toBase64(decompressed);
                     }
                 }
 
@@ -484,6 +361,6 @@ Deflate combines LZ77 and Huffman coding algorithms.`;
     }
 
     // 预加载 pako 库
-    loadPako().catch(err => console.warn('pako 预加载失败:', err.message));
+    REOT.loader.preload('pako');
 
 })();
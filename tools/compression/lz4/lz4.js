@@ -522,46 +522,6 @@
 
     // ========== 工具函数 ==========
 
-    function stringToUint8Array(str) {
-        return new TextEncoder().encode(str);
-    }
-
-    function uint8ArrayToString(arr) {
-        return new TextDecoder().decode(arr);
-    }
-
-    function uint8ArrayToBase64(arr) {
-        let binary = '';
-        for (let i = 0; i < arr.length; i++) {
-            binary += String.fromCharCode(arr[i]);
-        }
-        return btoa(binary);
-    }
-
-    function base64ToUint8Array(base64) {
-        const binary = atob(base64);
-        const arr = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            arr[i] = binary.charCodeAt(i);
-        }
-        return arr;
-    }
-
-    function uint8ArrayToHex(arr) {
-        return Array.from(arr)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    function hexToUint8Array(hex) {
-        hex = hex.replace(/\s/g, '');
-        const arr = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < arr.length; i++) {
-            arr[i] = parseInt(hex.substr(i * 2, 2), 16);
-        }
-        return arr;
-    }
-
     function formatFileSize(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
@@ -608,7 +568,7 @@
 
         if (format === 'base64') {
             try {
-                const binary = base64ToUint8Array(output.value);
+                const binary = REOT.bytes.fromBase64(output.value);
                 data = new Blob([binary], { type: 'application/x-lz4' });
                 filename = 'compressed.lz4';
             } catch (e) {
@@ -694,14 +654,12 @@
 
                 const compressed = compress(data, mode);
                 updateStats(
-                    typeof data === 'string' ? stringToUint8Array(data).length : data.length,
+                    typeof data === 'string' ? REOT.bytes.fromText(data).length : data.length,
                     compressed.length
                 );
 
                 if (output) {
-                    output.value = format === 'base64'
-                        ? uint8ArrayToBase64(compressed)
-                        : uint8ArrayToHex(compressed);
+                    output.value = REOT.bytes.format(compressed, format);
                 }
 
                 REOT.utils?.showNotification('压缩成功', 'success');
@@ -724,13 +682,9 @@
                 } else if (input.value.trim()) {
                     // 从文本输入解析
                     try {
-                        if (format === 'base64') {
-                            compressedData = base64ToUint8Array(input.value.trim());
-                        } else {
-                            compressedData = hexToUint8Array(input.value.trim());
-                        }
+                        compressedData = REOT.bytes.parse(input.value.trim(), format);
                     } catch (e) {
-                        throw new Error('输入格式无效');
+                        throw new Error(`输入格式无效: ${e.message}`);
                     }
                 } else {
                     REOT.utils?.showNotification('请输入要解压的内容或上传文件', 'warning');
@@ -742,9 +696,9 @@
 
                 if (output) {
                     try {
-                        output.value = uint8ArrayToString(decompressed);
+                        output.value = REOT.bytes.toText(decompressed);
                     } catch (e) {
-                        output.value = uint8ArrayToBase64(decompressed);
+                        output.value = REOT.bytes.toBase64(decompressed);
                     }
                 }
 
@@ -0,0 +1,1610 @@
+/**
+ * Zstandard 编码器与帧解析器
+ * @description 纯 JavaScript 实现的 Zstandard (RFC 8878) 压缩，输出标准帧，可直接被 zstd -d 等实现解压；
+ *              同时提供帧结构解析（帧头、块类型与大小），用于分析抓包得到的 zstd 数据。依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    root.REOT = root.REOT || {};
+
+    // ========== 常量 ==========
+
+    const ZSTD_MAGIC = 0xFD2FB528;
+    const DICT_MAGIC = 0xEC30A437;
+    const SKIPPABLE_MASK = 0xFFFFFFF0;
+    const SKIPPABLE_MAGIC = 0x184D2A50;
+    const LEGACY_MAGIC_MIN = 0xFD2FB51E;
+    const LEGACY_MAGIC_MAX = 0xFD2FB527;
+
+    const BLOCK_SIZE_MAX = 128 * 1024;
+    const MIN_MATCH = 4;
+    const HUF_MAX_BITS = 11;
+    const HUF_WEIGHTS_LOG = 6;
+
+    const BLOCK_TYPES = ['Raw', 'RLE', 'Compressed', 'Reserved'];
+    const LITERALS_TYPES = ['Raw', 'RLE', 'Compressed', 'Treeless'];
+    const SEQUENCE_MODES = ['Predefined', 'RLE', 'FSE', 'Repeat'];
+
+    // 字面量长度、匹配长度代码表（基值与附加位数）
+    const LL_BASE = [
+        0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+        16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512, 1024, 2048, 4096,
+        8192, 16384, 32768, 65536
+    ];
+    const LL_BITS = [
+        0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+        1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12,
+        13, 14, 15, 16
+    ];
+    const ML_BASE = [
+        3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18,
+        19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
+        35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051,
+        4099, 8195, 16387, 32771, 65539
+    ];
+    const ML_BITS = [
+        0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+        1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11,
+        12, 13, 14, 15, 16
+    ];
+
+    // 预定义 FSE 分布（RFC 8878 3.1.1.3.2.2）
+    const LL_DEFAULT = {
+        tableLog: 6,
+        norm: [
+            4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1,
+            2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1,
+            -1, -1, -1, -1
+        ]
+    };
+    const ML_DEFAULT = {
+        tableLog: 6,
+        norm: [
+            1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+            1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+            1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1,
+            -1, -1, -1, -1, -1
+        ]
+    };
+    const OF_DEFAULT = {
+        tableLog: 5,
+        norm: [
+            1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+            1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1
+        ]
+    };
+
+    // 各序列流允许的最大符号与精度
+    const SEQUENCE_STREAMS = {
+        ll: { maxSymbol: 35, maxLog: 9, defaults: LL_DEFAULT },
+        of: { maxSymbol: 31, maxLog: 8, defaults: OF_DEFAULT },
+        ml: { maxSymbol: 52, maxLog: 9, defaults: ML_DEFAULT }
+    };
+
+    /**
+     * 压缩级别参数：[窗口大小 log, 哈希表 log, 搜索深度, 惰性匹配步数]
+     */
+    const LEVELS = [
+        null,
+        [19, 14, 1, 0],
+        [19, 15, 2, 0],
+        [20, 16, 4, 0],
+        [20, 17, 6, 1],
+        [21, 17, 8, 1],
+        [21, 17, 12, 1],
+        [21, 18, 16, 1],
+        [21, 18, 24, 2],
+        [22, 18, 32, 2],
+        [22, 18, 48, 2],
+        [22, 19, 64, 2],
+        [22, 19, 96, 2],
+        [22, 19, 128, 2],
+        [22, 20, 192, 2],
+        [22, 20, 256, 2],
+        [22, 20, 384, 2],
+        [23, 20, 512, 2],
+        [23, 21, 768, 2],
+        [23, 21, 1024, 2],
+        [25, 21, 1024, 2],
+        [26, 22, 1536, 2],
+        [27, 22, 2048, 2]
+    ];
+
+    const MIN_LEVEL = 1;
+    const MAX_LEVEL = LEVELS.length - 1;
+    const DEFAULT_LEVEL = 3;
+
+    // ========== 基础工具 ==========
+
+    function highbit(value) {
+        return 31 - Math.clz32(value);
+    }
+
+    function readU32(data, pos) {
+        return (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+    }
+
+    function writeLE(out, value, size) {
+        for (let i = 0; i < size; i++) {
+            out.push(value % 256);
+            value = Math.floor(value / 256);
+        }
+    }
+
+    function readLE(data, pos, size) {
+        let value = 0;
+        for (let i = size - 1; i >= 0; i--) {
+            value = value * 256 + data[pos + i];
+        }
+        return value;
+    }
+
+    /**
+     * 可增长的字节缓冲区
+     * @param {number} capacity - 预估字节数
+     */
+    function createByteWriter(capacity) {
+        let buffer = new Uint8Array(Math.max(64, capacity));
+        let length = 0;
+
+        function reserve(size) {
+            if (length + size > buffer.length) {
+                const grown = new Uint8Array(Math.max(buffer.length * 2, length + size));
+                grown.set(buffer.subarray(0, length));
+                buffer = grown;
+            }
+        }
+
+        return {
+            push(byte) {
+                reserve(1);
+                buffer[length++] = byte;
+            },
+            append(bytes) {
+                reserve(bytes.length);
+                buffer.set(bytes, length);
+                length += bytes.length;
+            },
+            finish() {
+                return buffer.slice(0, length);
+            }
+        };
+    }
+
+    /**
+     * 按基值表构建小数值 → 代码的查找表
+     * @param {number[]} base
+     * @param {number} size
+     * @param {number} offset - 基值偏移（匹配长度从 3 开始）
+     * @returns {Uint8Array}
+     */
+    function buildCodeLookup(base, size, offset) {
+        const lookup = new Uint8Array(size);
+        let code = 0;
+        for (let value = 0; value < size; value++) {
+            while (code + 1 < base.length && base[code + 1] - offset <= value) {
+                code++;
+            }
+            lookup[value] = code;
+        }
+        return lookup;
+    }
+
+    const LL_LOOKUP = buildCodeLookup(LL_BASE, 64, 0);
+    const ML_LOOKUP = buildCodeLookup(ML_BASE, 128, 3);
+
+    function literalLengthCode(length) {
+        return length < 64 ? LL_LOOKUP[length] : highbit(length) + 19;
+    }
+
+    function matchLengthCode(length) {
+        const value = length - 3;
+        return value < 128 ? ML_LOOKUP[value] : highbit(value) + 36;
+    }
+
+    /**
+     * 位写入器（低位在前）
+     * 反向比特流（FSE/Huffman）结束时写入终止标记位，解码器从末尾开始读取
+     * @param {number} capacity - 预估字节数
+     */
+    function createBitWriter(capacity) {
+        let buffer = new Uint8Array(Math.max(16, capacity));
+        let length = 0;
+        let container = 0;
+        let count = 0;
+
+        function pushByte(byte) {
+            if (length === buffer.length) {
+                const grown = new Uint8Array(buffer.length * 2);
+                grown.set(buffer);
+                buffer = grown;
+            }
+            buffer[length++] = byte;
+        }
+
+        function addChunk(value, nbBits) {
+            container += (value & ((1 << nbBits) - 1)) * Math.pow(2, count);
+            count += nbBits;
+            while (count >= 8) {
+                pushByte(container & 0xFF);
+                container = Math.floor(container / 256);
+                count -= 8;
+            }
+        }
+
+        return {
+            addBits(value, nbBits) {
+                while (nbBits > 16) {
+                    addChunk(value % 65536, 16);
+                    value = Math.floor(value / 65536);
+                    nbBits -= 16;
+                }
+                if (nbBits > 0) {
+                    addChunk(value, nbBits);
+                }
+            },
+
+            /**
+             * 结束写入
+             * @param {boolean} marker - 是否写入反向比特流的终止标记
+             * @returns {Uint8Array}
+             */
+            finish(marker) {
+                if (marker) {
+                    addChunk(1, 1);
+                }
+                if (count > 0) {
+                    pushByte(container & 0xFF);
+                    container = 0;
+                    count = 0;
+                }
+                return buffer.subarray(0, length);
+            }
+        };
+    }
+
+    // ========== XXH64 ==========
+
+    const U64 = 0xFFFFFFFFFFFFFFFFn;
+    const PRIME64_1 = 0x9E3779B185EBCA87n;
+    const PRIME64_2 = 0xC2B2AE3D27D4EB4Fn;
+    const PRIME64_3 = 0x165667B19E3779F9n;
+    const PRIME64_4 = 0x85EBCA77C2B2AE63n;
+    const PRIME64_5 = 0x27D4EB2F165667C5n;
+
+    function rotl64(value, bits) {
+        return ((value << bits) | (value >> (64n - bits))) & U64;
+    }
+
+    function xxhRound(acc, input) {
+        acc = (acc + input * PRIME64_2) & U64;
+        return (rotl64(acc, 31n) * PRIME64_1) & U64;
+    }
+
+    function xxhMerge(acc, value) {
+        acc ^= xxhRound(0n, value);
+        return (acc * PRIME64_1 + PRIME64_4) & U64;
+    }
+
+    /**
+     * 计算 XXH64（帧校验和使用其低 32 位）
+     * @param {Uint8Array} data
+     * @param {bigint} [seed=0n]
+     * @returns {bigint}
+     */
+    function xxh64(data, seed = 0n) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const length = data.length;
+        let pos = 0;
+        let hash;
+
+        if (length >= 32) {
+            let v1 = (seed + PRIME64_1 + PRIME64_2) & U64;
+            let v2 = (seed + PRIME64_2) & U64;
+            let v3 = seed;
+            let v4 = (seed - PRIME64_1) & U64;
+            while (pos <= length - 32) {
+                v1 = xxhRound(v1, view.getBigUint64(pos, true));
+                v2 = xxhRound(v2, view.getBigUint64(pos + 8, true));
+                v3 = xxhRound(v3, view.getBigUint64(pos + 16, true));
+                v4 = xxhRound(v4, view.getBigUint64(pos + 24, true));
+                pos += 32;
+            }
+            hash = (rotl64(v1, 1n) + rotl64(v2, 7n) + rotl64(v3, 12n) + rotl64(v4, 18n)) & U64;
+            hash = xxhMerge(hash, v1);
+            hash = xxhMerge(hash, v2);
+            hash = xxhMerge(hash, v3);
+            hash = xxhMerge(hash, v4);
+        } else {
+            hash = (seed + PRIME64_5) & U64;
+        }
+
+        hash = (hash + BigInt(length)) & U64;
+
+        while (pos + 8 <= length) {
+            hash ^= xxhRound(0n, view.getBigUint64(pos, true));
+            hash = (rotl64(hash, 27n) * PRIME64_1 + PRIME64_4) & U64;
+            pos += 8;
+        }
+        if (pos + 4 <= length) {
+            hash ^= (BigInt(view.getUint32(pos, true)) * PRIME64_1) & U64;
+            hash = (rotl64(hash, 23n) * PRIME64_2 + PRIME64_3) & U64;
+            pos += 4;
+        }
+        while (pos < length) {
+            hash ^= (BigInt(data[pos]) * PRIME64_5) & U64;
+            hash = (rotl64(hash, 11n) * PRIME64_1) & U64;
+            pos++;
+        }
+
+        hash ^= hash >> 33n;
+        hash = (hash * PRIME64_2) & U64;
+        hash ^= hash >> 29n;
+        hash = (hash * PRIME64_3) & U64;
+        hash ^= hash >> 32n;
+        return hash;
+    }
+
+    // ========== FSE ==========
+
+    /**
+     * 选择 FSE 表精度
+     * @param {number} maxLog - 允许的最大精度
+     * @param {number} total - 符号总数
+     * @param {number} maxSymbol - 最大符号值
+     * @returns {number}
+     */
+    function optimalTableLog(maxLog, total, maxSymbol) {
+        const minBits = Math.min(highbit(total) + 1, highbit(Math.max(maxSymbol, 1)) + 2);
+        let tableLog = Math.min(maxLog, highbit(Math.max(total - 1, 1)) - 2);
+        tableLog = Math.max(tableLog, minBits);
+        return Math.min(Math.max(tableLog, 5), maxLog);
+    }
+
+    /**
+     * 将符号频次归一化为总和 2^tableLog 的分布（出现过的符号至少为 1）
+     * @param {Uint32Array|number[]} counts
+     * @param {number} maxSymbol
+     * @param {number} tableLog
+     * @returns {number[]}
+     */
+    function normalizeCounts(counts, maxSymbol, tableLog) {
+        const tableSize = 1 << tableLog;
+        const norm = new Array(maxSymbol + 1).fill(0);
+        let total = 0;
+        for (let s = 0; s <= maxSymbol; s++) {
+            total += counts[s];
+        }
+
+        let sum = 0;
+        for (let s = 0; s <= maxSymbol; s++) {
+            if (counts[s]) {
+                norm[s] = Math.max(1, Math.round(counts[s] * tableSize / total));
+                sum += norm[s];
+            }
+        }
+
+        // 误差由概率最大的符号吸收
+        while (sum !== tableSize) {
+            let largest = 0;
+            for (let s = 1; s <= maxSymbol; s++) {
+                if (norm[s] > norm[largest]) {
+                    largest = s;
+                }
+            }
+            if (sum < tableSize) {
+                norm[largest] += tableSize - sum;
+                sum = tableSize;
+            } else {
+                const take = Math.min(sum - tableSize, norm[largest] - 1);
+                norm[largest] -= take;
+                sum -= take;
+            }
+        }
+        return norm;
+    }
+
+    /**
+     * 序列化归一化分布（FSE 表头）
+     * @param {number[]} norm
+     * @param {number} tableLog
+     * @returns {Uint8Array}
+     */
+    function writeNCount(norm, tableLog) {
+        const writer = createBitWriter(norm.length + 4);
+        const tableSize = 1 << tableLog;
+        let remaining = tableSize + 1;
+        let threshold = tableSize;
+        let nbBits = tableLog + 1;
+        let symbol = 0;
+        let previousIs0 = false;
+
+        writer.addBits(tableLog - 5, 4);
+
+        while (symbol < norm.length && remaining > 1) {
+            if (previousIs0) {
+                let start = symbol;
+                while (symbol < norm.length && !norm[symbol]) {
+                    symbol++;
+                }
+                while (symbol >= start + 24) {
+                    start += 24;
+                    writer.addBits(0xFFFF, 16);
+                }
+                while (symbol >= start + 3) {
+                    start += 3;
+                    writer.addBits(3, 2);
+                }
+                writer.addBits(symbol - start, 2);
+            }
+
+            let count = norm[symbol++];
+            const max = (2 * threshold - 1) - remaining;
+            remaining -= Math.abs(count);
+            count++;
+            if (count >= threshold) {
+                count += max;
+            }
+            writer.addBits(count, count < max ? nbBits - 1 : nbBits);
+            previousIs0 = count === 1;
+            while (remaining < threshold) {
+                nbBits--;
+                threshold >>= 1;
+            }
+        }
+
+        return writer.finish(false).slice();
+    }
+
+    /**
+     * 读取 FSE 表头
+     * @param {Uint8Array} data
+     * @param {number} pos
+     * @returns {{tableLog: number, norm: number[], size: number}}
+     */
+    function readNCount(data, pos) {
+        let bitPos = pos * 8;
+        const peek = n => {
+            let value = 0;
+            for (let i = n - 1; i >= 0; i--) {
+                const bit = bitPos + i;
+                if ((bit >> 3) >= data.length) {
+                    throw new Error('FSE 表头数据被截断');
+                }
+                value = value * 2 + ((data[bit >> 3] >> (bit & 7)) & 1);
+            }
+            return value;
+        };
+        const read = n => {
+            const value = peek(n);
+            bitPos += n;
+            return value;
+        };
+
+        const tableLog = read(4) + 5;
+        let remaining = (1 << tableLog) + 1;
+        let threshold = 1 << tableLog;
+        let nbBits = tableLog + 1;
+        const norm = [];
+        let previousIs0 = false;
+
+        while (remaining > 1) {
+            if (previousIs0) {
+                let repeat;
+                do {
+                    repeat = read(2);
+                    for (let i = 0; i < repeat; i++) {
+                        norm.push(0);
+                    }
+                } while (repeat === 3);
+            }
+            if (norm.length > 255) {
+                throw new Error('FSE 表头无效');
+            }
+
+            const max = (2 * threshold - 1) - remaining;
+            let count;
+            if (peek(nbBits - 1) < max) {
+                count = read(nbBits - 1);
+            } else {
+                count = read(nbBits);
+                if (count >= threshold) {
+                    count -= max;
+                }
+            }
+            count--;
+            remaining -= Math.abs(count);
+            norm.push(count);
+            previousIs0 = count === 0;
+            while (remaining < threshold) {
+                nbBits--;
+                threshold >>= 1;
+            }
+        }
+
+        if (remaining !== 1) {
+            throw new Error('FSE 表头无效');
+        }
+        return { tableLog, norm, size: Math.ceil(bitPos / 8) - pos };
+    }
+
+    /**
+     * 构建 FSE 编码表
+     * @param {number[]} norm - 归一化分布（-1 表示低概率符号）
+     * @param {number} tableLog
+     * @returns {Object}
+     */
+    function buildEncodingTable(norm, tableLog) {
+        const tableSize = 1 << tableLog;
+        const mask = tableSize - 1;
+        const step = (tableSize >> 1) + (tableSize >> 3) + 3;
+        const symbols = new Uint8Array(tableSize);
+        const cumul = new Array(norm.length + 1);
+        let highThreshold = tableSize - 1;
+
+        cumul[0] = 0;
+        for (let s = 0; s < norm.length; s++) {
+            if (norm[s] === -1) {
+                cumul[s + 1] = cumul[s] + 1;
+                symbols[highThreshold--] = s;
+            } else {
+                cumul[s + 1] = cumul[s] + norm[s];
+            }
+        }
+
+        let position = 0;
+        for (let s = 0; s < norm.length; s++) {
+            for (let i = 0; i < norm[s]; i++) {
+                symbols[position] = s;
+                position = (position + step) & mask;
+                while (position > highThreshold) {
+                    position = (position + step) & mask;
+                }
+            }
+        }
+
+        const stateTable = new Uint16Array(tableSize);
+        const next = cumul.slice();
+        for (let u = 0; u < tableSize; u++) {
+            stateTable[next[symbols[u]]++] = tableSize + u;
+        }
+
+        const deltaNbBits = new Int32Array(norm.length);
+        const deltaFindState = new Int32Array(norm.length);
+        let total = 0;
+        for (let s = 0; s < norm.length; s++) {
+            const count = norm[s];
+            if (count === 0) {
+                deltaNbBits[s] = ((tableLog + 1) << 16) - tableSize;
+            } else if (count === -1 || count === 1) {
+                deltaNbBits[s] = (tableLog << 16) - tableSize;
+                deltaFindState[s] = total - 1;
+                total++;
+            } else {
+                const maxBitsOut = tableLog - highbit(count - 1);
+                deltaNbBits[s] = (maxBitsOut << 16) - (count << maxBitsOut);
+                deltaFindState[s] = total - count;
+                total += count;
+            }
+        }
+
+        return { tableLog, stateTable, deltaNbBits, deltaFindState };
+    }
+
+    /**
+     * 单一符号（RLE 模式）的编码表：不输出任何状态位
+     * @param {number} symbol
+     * @returns {Object}
+     */
+    function buildRleTable(symbol) {
+        return {
+            tableLog: 0,
+            stateTable: new Uint16Array(1),
+            deltaNbBits: new Int32Array(symbol + 1),
+            deltaFindState: new Int32Array(symbol + 1)
+        };
+    }
+
+    function fseInitState(table, symbol) {
+        const nbBitsOut = (table.deltaNbBits[symbol] + (1 << 15)) >> 16;
+        const value = (nbBitsOut << 16) - table.deltaNbBits[symbol];
+        return table.stateTable[(value >> nbBitsOut) + table.deltaFindState[symbol]];
+    }
+
+    function fseEncode(writer, table, state, symbol) {
+        const nbBitsOut = (state + table.deltaNbBits[symbol]) >> 16;
+        writer.addBits(state, nbBitsOut);
+        return table.stateTable[(state >> nbBitsOut) + table.deltaFindState[symbol]];
+    }
+
+    /**
+     * 估算使用指定分布编码的位数
+     * @returns {number} - 不支持某个符号时返回 Infinity
+     */
+    function estimateBits(counts, maxSymbol, norm, tableLog) {
+        let bits = 0;
+        for (let s = 0; s <= maxSymbol; s++) {
+            if (!counts[s]) {
+                continue;
+            }
+            const probability = s < norm.length ? Math.abs(norm[s]) : 0;
+            if (!probability) {
+                return Infinity;
+            }
+            bits += counts[s] * (tableLog - Math.log2(probability));
+        }
+        return bits;
+    }
+
+    // ========== Huffman ==========
+
+    /**
+     * 计算 Huffman 码长（不限长度）
+     * @param {Uint32Array} counts
+     * @param {number[]} present - 出现过的符号
+     * @returns {Uint8Array}
+     */
+    function huffmanLengths(counts, present) {
+        const leaves = present.slice().sort((a, b) => counts[a] - counts[b] || a - b);
+        const count = leaves.length;
+        const weight = new Float64Array(2 * count);
+        const parent = new Int32Array(2 * count);
+        const depth = new Uint8Array(2 * count);
+
+        for (let i = 0; i < count; i++) {
+            weight[i] = counts[leaves[i]];
+        }
+
+        let leafIndex = 0;
+        let nodeIndex = count;
+        let nodeEnd = count;
+        const pick = () => {
+            if (leafIndex < count && (nodeIndex >= nodeEnd || weight[leafIndex] <= weight[nodeIndex])) {
+                return leafIndex++;
+            }
+            return nodeIndex++;
+        };
+
+        while (nodeEnd < 2 * count - 1) {
+            const a = pick();
+            const b = pick();
+            weight[nodeEnd] = weight[a] + weight[b];
+            parent[a] = nodeEnd;
+            parent[b] = nodeEnd;
+            nodeEnd++;
+        }
+
+        for (let i = 2 * count - 3; i >= 0; i--) {
+            depth[i] = depth[parent[i]] + 1;
+        }
+
+        const lengths = new Uint8Array(256);
+        for (let i = 0; i < count; i++) {
+            lengths[leaves[i]] = depth[i];
+        }
+        return lengths;
+    }
+
+    /**
+     * 构建长度受限（≤ 11 位）的 Huffman 编码
+     * 超长时将频次减半后重建，直到满足限制
+     * @param {Uint32Array} counts
+     * @param {number} maxSymbol
+     * @returns {{maxBits: number, lengths: Uint8Array, codes: Uint16Array, weights: Uint8Array}}
+     */
+    function buildHuffman(counts, maxSymbol) {
+        const present = [];
+        for (let s = 0; s <= maxSymbol; s++) {
+            if (counts[s]) {
+                present.push(s);
+            }
+        }
+
+        let scaled = counts;
+        let lengths;
+        let maxBits;
+        for (;;) {
+            lengths = huffmanLengths(scaled, present);
+            maxBits = 0;
+            present.forEach(s => {
+                maxBits = Math.max(maxBits, lengths[s]);
+            });
+            if (maxBits <= HUF_MAX_BITS) {
+                break;
+            }
+            scaled = scaled.map(c => (c ? (c + 1) >> 1 : 0));
+        }
+
+        // 权重与规范编码：按权重从小到大、同权重按符号值依次分配
+        const weights = new Uint8Array(maxSymbol + 1);
+        present.forEach(s => {
+            weights[s] = maxBits + 1 - lengths[s];
+        });
+
+        const codes = new Uint16Array(256);
+        let rank = 0;
+        for (let w = 1; w <= maxBits; w++) {
+            for (let s = 0; s <= maxSymbol; s++) {
+                if (weights[s] === w) {
+                    codes[s] = rank >> (w - 1);
+                    rank += 1 << (w - 1);
+                }
+            }
+        }
+
+        return { maxBits, lengths, codes, weights };
+    }
+
+    /**
+     * 使用 FSE 压缩 Huffman 权重（双状态交替编码）
+     * @param {Uint8Array} weights - 不含最后一个符号的权重
+     * @returns {Uint8Array|null}
+     */
+    function compressWeights(weights) {
+        const counts = new Uint32Array(HUF_MAX_BITS + 1);
+        let maxWeight = 0;
+        let distinct = 0;
+        weights.forEach(w => {
+            if (!counts[w]) {
+                distinct++;
+            }
+            counts[w]++;
+            maxWeight = Math.max(maxWeight, w);
+        });
+        if (distinct < 2) {
+            return null;
+        }
+
+        const tableLog = optimalTableLog(HUF_WEIGHTS_LOG, weights.length, maxWeight);
+        const norm = normalizeCounts(counts, maxWeight, tableLog);
+        const table = buildEncodingTable(norm, tableLog);
+        const header = writeNCount(norm, tableLog);
+        const writer = createBitWriter(weights.length);
+
+        let i = weights.length;
+        let state1;
+        let state2;
+        if (i & 1) {
+            state1 = fseInitState(table, weights[--i]);
+            state2 = fseInitState(table, weights[--i]);
+            state1 = fseEncode(writer, table, state1, weights[--i]);
+        } else {
+            state2 = fseInitState(table, weights[--i]);
+            state1 = fseInitState(table, weights[--i]);
+        }
+        while (i > 0) {
+            state2 = fseEncode(writer, table, state2, weights[--i]);
+            state1 = fseEncode(writer, table, state1, weights[--i]);
+        }
+        writer.addBits(state2, tableLog);
+        writer.addBits(state1, tableLog);
+        const stream = writer.finish(true);
+
+        const size = header.length + stream.length;
+        if (size >= 128) {
+            return null;
+        }
+
+        const out = new Uint8Array(1 + size);
+        out[0] = size;
+        out.set(header, 1);
+        out.set(stream, 1 + header.length);
+        return out;
+    }
+
+    /**
+     * 序列化 Huffman 树描述（选择直接表示与 FSE 压缩中较短的一种）
+     * @param {Uint8Array} weights - 全部符号的权重
+     * @returns {Uint8Array|null}
+     */
+    function writeHuffmanTree(weights) {
+        const transmitted = weights.subarray(0, weights.length - 1);
+        const candidates = [compressWeights(transmitted)];
+
+        if (transmitted.length <= 128) {
+            const direct = new Uint8Array(1 + Math.ceil(transmitted.length / 2));
+            direct[0] = 127 + transmitted.length;
+            for (let i = 0; i < transmitted.length; i++) {
+                direct[1 + (i >> 1)] |= (i & 1) ? transmitted[i] : transmitted[i] << 4;
+            }
+            candidates.push(direct);
+        }
+
+        return candidates.filter(Boolean).sort((a, b) => a.length - b.length)[0] || null;
+    }
+
+    function huffmanStream(literals, start, end, huffman) {
+        const writer = createBitWriter(end - start + 8);
+        for (let i = end - 1; i >= start; i--) {
+            const s = literals[i];
+            writer.addBits(huffman.codes[s], huffman.lengths[s]);
+        }
+        return writer.finish(true);
+    }
+
+    // ========== 字面量段 ==========
+
+    function rawLiteralsHeader(type, size) {
+        if (size < 32) {
+            return [type | (size << 3)];
+        }
+        if (size < 4096) {
+            return [type | (1 << 2) | ((size & 0x0F) << 4), size >> 4];
+        }
+        return [type | (3 << 2) | ((size & 0x0F) << 4), (size >> 4) & 0xFF, size >> 12];
+    }
+
+    /**
+     * Huffman 压缩字面量
+     * @param {Uint8Array} literals
+     * @param {Uint32Array} counts
+     * @param {number} maxSymbol
+     * @returns {Uint8Array|null}
+     */
+    function compressLiterals(literals, counts, maxSymbol) {
+        const huffman = buildHuffman(counts, maxSymbol);
+        const tree = writeHuffmanTree(huffman.weights);
+        if (!tree) {
+            return null;
+        }
+
+        const size = literals.length;
+        let streams;
+        if (size < 1024) {
+            streams = [huffmanStream(literals, 0, size, huffman)];
+        } else {
+            const segment = Math.floor((size + 3) / 4);
+            streams = [0, 1, 2, 3].map(i => huffmanStream(
+                literals, i * segment, Math.min(size, (i + 1) * segment), huffman
+            ));
+            if (streams.slice(0, 3).some(stream => stream.length > 0xFFFF)) {
+                return null;
+            }
+        }
+
+        const jumpTable = streams.length === 4 ? 6 : 0;
+        const compressedSize = tree.length + jumpTable + streams.reduce((sum, s) => sum + s.length, 0);
+
+        let sizeFormat;
+        let fieldBits;
+        if (streams.length === 1) {
+            if (compressedSize > 1023) {
+                return null;
+            }
+            sizeFormat = 0;
+            fieldBits = 10;
+        } else {
+            const largest = Math.max(size, compressedSize);
+            sizeFormat = largest < 1024 ? 1 : largest < 16384 ? 2 : 3;
+            fieldBits = sizeFormat === 1 ? 10 : sizeFormat === 2 ? 14 : 18;
+        }
+
+        const out = [];
+        const headerValue = 2 + (sizeFormat << 2) + size * 16 + compressedSize * Math.pow(2, 4 + fieldBits);
+        writeLE(out, headerValue, (4 + 2 * fieldBits) / 8);
+        tree.forEach(b => out.push(b));
+        if (jumpTable) {
+            for (let i = 0; i < 3; i++) {
+                writeLE(out, streams[i].length, 2);
+            }
+        }
+
+        const result = new Uint8Array(out.length + compressedSize - tree.length - jumpTable);
+        result.set(out, 0);
+        let pos = out.length;
+        streams.forEach(stream => {
+            result.set(stream, pos);
+            pos += stream.length;
+        });
+        return result;
+    }
+
+    /**
+     * 编码字面量段：选择 Raw / RLE / Huffman 中最短的形式
+     * @param {Uint8Array} literals
+     * @returns {Uint8Array}
+     */
+    function encodeLiteralsSection(literals) {
+        const size = literals.length;
+        const counts = new Uint32Array(256);
+        let maxSymbol = 0;
+        let distinct = 0;
+        for (let i = 0; i < size; i++) {
+            const b = literals[i];
+            if (!counts[b]) {
+                distinct++;
+            }
+            counts[b]++;
+            if (b > maxSymbol) {
+                maxSymbol = b;
+            }
+        }
+
+        if (distinct === 1 && size > 2) {
+            return Uint8Array.from([...rawLiteralsHeader(1, size), literals[0]]);
+        }
+
+        const header = rawLiteralsHeader(0, size);
+        const raw = new Uint8Array(header.length + size);
+        raw.set(header, 0);
+        raw.set(literals, header.length);
+
+        if (size < 32 || distinct < 2) {
+            return raw;
+        }
+        const compressed = compressLiterals(literals, counts, maxSymbol);
+        return compressed && compressed.length < raw.length ? compressed : raw;
+    }
+
+    // ========== 序列段 ==========
+
+    /**
+     * 为一个序列流选择编码模式（预定义 / RLE / FSE）
+     * @param {Uint8Array} codes
+     * @param {Object} config - SEQUENCE_STREAMS 中的项
+     * @returns {{mode: number, table: Object, header: number[]}}
+     */
+    function chooseSequenceTable(codes, config) {
+        const counts = new Uint32Array(config.maxSymbol + 1);
+        let maxSymbol = 0;
+        let distinct = 0;
+        codes.forEach(code => {
+            if (!counts[code]) {
+                distinct++;
+            }
+            counts[code]++;
+            maxSymbol = Math.max(maxSymbol, code);
+        });
+
+        if (distinct === 1 && codes.length > 2) {
+            return { mode: 1, table: buildRleTable(maxSymbol), header: [maxSymbol] };
+        }
+
+        const { defaults } = config;
+        const predefinedBits = estimateBits(counts, maxSymbol, defaults.norm, defaults.tableLog);
+
+        if (distinct > 1) {
+            const tableLog = optimalTableLog(config.maxLog, codes.length, maxSymbol);
+            const norm = normalizeCounts(counts, maxSymbol, tableLog);
+            const header = writeNCount(norm, tableLog);
+            const compressedBits = estimateBits(counts, maxSymbol, norm, tableLog) + header.length * 8;
+            if (compressedBits < predefinedBits) {
+                return { mode: 2, table: buildEncodingTable(norm, tableLog), header: Array.from(header) };
+            }
+        }
+
+        if (predefinedBits === Infinity) {
+            // 预定义表不支持的单一符号（仅可能出现于极少量序列）
+            return { mode: 1, table: buildRleTable(maxSymbol), header: [maxSymbol] };
+        }
+        return { mode: 0, table: buildEncodingTable(defaults.norm, defaults.tableLog), header: [] };
+    }
+
+    /**
+     * 编码序列段
+     * @param {Object[]} sequences - { litLength, matchLength, offsetValue }
+     * @returns {number[]|Uint8Array}
+     */
+    function encodeSequencesSection(sequences) {
+        const count = sequences.length;
+        const out = [];
+        if (count < 128) {
+            out.push(count);
+        } else if (count < 0x7F00) {
+            out.push((count >> 8) + 0x80, count & 0xFF);
+        } else {
+            out.push(0xFF);
+            writeLE(out, count - 0x7F00, 2);
+        }
+        if (count === 0) {
+            return out;
+        }
+
+        const llCodes = new Uint8Array(count);
+        const mlCodes = new Uint8Array(count);
+        const ofCodes = new Uint8Array(count);
+        sequences.forEach((seq, i) => {
+            llCodes[i] = literalLengthCode(seq.litLength);
+            mlCodes[i] = matchLengthCode(seq.matchLength);
+            ofCodes[i] = highbit(seq.offsetValue);
+        });
+
+        const ll = chooseSequenceTable(llCodes, SEQUENCE_STREAMS.ll);
+        const of = chooseSequenceTable(ofCodes, SEQUENCE_STREAMS.of);
+        const ml = chooseSequenceTable(mlCodes, SEQUENCE_STREAMS.ml);
+        out.push((ll.mode << 6) | (of.mode << 4) | (ml.mode << 2));
+        ll.header.concat(of.header, ml.header).forEach(b => out.push(b));
+
+        const writer = createBitWriter(count * 4 + 16);
+        const addExtraBits = i => {
+            const seq = sequences[i];
+            writer.addBits(seq.litLength - LL_BASE[llCodes[i]], LL_BITS[llCodes[i]]);
+            writer.addBits(seq.matchLength - ML_BASE[mlCodes[i]], ML_BITS[mlCodes[i]]);
+            writer.addBits(seq.offsetValue - Math.pow(2, ofCodes[i]), ofCodes[i]);
+        };
+
+        const last = count - 1;
+        let mlState = fseInitState(ml.table, mlCodes[last]);
+        let ofState = fseInitState(of.table, ofCodes[last]);
+        let llState = fseInitState(ll.table, llCodes[last]);
+        addExtraBits(last);
+
+        for (let i = count - 2; i >= 0; i--) {
+            ofState = fseEncode(writer, of.table, ofState, ofCodes[i]);
+            mlState = fseEncode(writer, ml.table, mlState, mlCodes[i]);
+            llState = fseEncode(writer, ll.table, llState, llCodes[i]);
+            addExtraBits(i);
+        }
+
+        writer.addBits(mlState, ml.table.tableLog);
+        writer.addBits(ofState, of.table.tableLog);
+        writer.addBits(llState, ll.table.tableLog);
+        const stream = writer.finish(true);
+
+        const result = new Uint8Array(out.length + stream.length);
+        result.set(out, 0);
+        result.set(stream, out.length);
+        return result;
+    }
+
+    // ========== 匹配查找 ==========
+
+    /**
+     * 创建哈希链匹配器
+     * @param {Uint8Array} buffer - 字典内容 + 待压缩数据
+     * @param {Object} params
+     */
+    function createMatcher(buffer, params) {
+        const hashLog = params.hashLog;
+        const head = new Int32Array(1 << hashLog).fill(-1);
+        const chainMask = (1 << params.chainLog) - 1;
+        const chain = new Int32Array(chainMask + 1);
+        let inserted = 0;
+
+        const hash = p => Math.imul(
+            buffer[p] | (buffer[p + 1] << 8) | (buffer[p + 2] << 16) | (buffer[p + 3] << 24),
+            0x9E3779B1
+        ) >>> (32 - hashLog);
+
+        function insertUpTo(target) {
+            const end = Math.min(target, buffer.length - 3);
+            for (; inserted < end; inserted++) {
+                const h = hash(inserted);
+                chain[inserted & chainMask] = head[h];
+                head[h] = inserted;
+            }
+            inserted = Math.max(inserted, target);
+        }
+
+        function matchLength(ref, pos, limit) {
+            let length = 0;
+            while (pos + length < limit && buffer[ref + length] === buffer[pos + length]) {
+                length++;
+            }
+            return length;
+        }
+
+        /**
+         * 查找 pos 处的最长匹配
+         * @param {number} pos
+         * @param {number} limit - 匹配不能超过的位置（块结尾）
+         * @param {number[]} reps - 当前重复偏移
+         * @returns {{length: number, offset: number}|null}
+         */
+        function find(pos, limit, reps) {
+            insertUpTo(pos);
+            const lowest = Math.max(0, pos - params.windowSize);
+            let bestLength = MIN_MATCH - 1;
+            let bestOffset = 0;
+
+            for (const rep of reps) {
+                const ref = pos - rep;
+                if (ref >= lowest && ref < pos) {
+                    const length = matchLength(ref, pos, limit);
+                    if (length > bestLength) {
+                        bestLength = length;
+                        bestOffset = rep;
+                    }
+                }
+            }
+
+            let candidate = head[hash(pos)];
+            let depth = params.searchDepth;
+            while (candidate >= lowest && depth-- > 0) {
+                if (buffer[candidate + bestLength] === buffer[pos + bestLength]) {
+                    const length = matchLength(candidate, pos, limit);
+                    if (length > bestLength) {
+                        bestLength = length;
+                        bestOffset = pos - candidate;
+                        if (pos + length >= limit) {
+                            break;
+                        }
+                    }
+                }
+                const next = chain[candidate & chainMask];
+                if (next >= candidate || pos - next > chainMask) {
+                    break;
+                }
+                candidate = next;
+            }
+
+            return bestOffset ? { length: bestLength, offset: bestOffset } : null;
+        }
+
+        return { find };
+    }
+
+    /**
+     * 计算偏移编码值并更新重复偏移历史
+     * @param {number} offset - 实际偏移
+     * @param {number} litLength
+     * @param {number[]} reps - 会被原地更新
+     * @returns {number} - Offset_Value
+     */
+    function encodeOffset(offset, litLength, reps) {
+        const [rep1, rep2, rep3] = reps;
+        const candidates = litLength > 0 ? [rep1, rep2, rep3] : [rep2, rep3, rep1 - 1];
+        const index = candidates.indexOf(offset);
+        const offsetValue = index >= 0 ? index + 1 : offset + 3;
+
+        if (offset === rep1 && litLength > 0) {
+            return offsetValue;
+        }
+        if (offset === rep2) {
+            reps[0] = rep2;
+            reps[1] = rep1;
+        } else if (offset === rep3) {
+            reps[0] = rep3;
+            reps[1] = rep1;
+            reps[2] = rep2;
+        } else {
+            reps[0] = offset;
+            reps[1] = rep1;
+            reps[2] = rep2;
+        }
+        return offsetValue;
+    }
+
+    /**
+     * 在 [start, end) 范围内查找序列
+     * @returns {{sequences: Object[], literals: Uint8Array}}
+     */
+    function findSequences(buffer, start, end, matcher, params, reps) {
+        const sequences = [];
+        const literals = new Uint8Array(end - start);
+        let literalCount = 0;
+        let anchor = start;
+        let pos = start;
+
+        while (pos + MIN_MATCH <= end) {
+            let match = matcher.find(pos, end, reps);
+            if (!match) {
+                pos++;
+                continue;
+            }
+
+            // 惰性匹配：下一个位置有更长的匹配时推迟输出
+            for (let step = 0; step < params.lazy && pos + 1 + MIN_MATCH <= end; step++) {
+                const next = matcher.find(pos + 1, end, reps);
+                if (!next || next.length <= match.length) {
+                    break;
+                }
+                match = next;
+                pos++;
+            }
+
+            const litLength = pos - anchor;
+            literals.set(buffer.subarray(anchor, pos), literalCount);
+            literalCount += litLength;
+            sequences.push({
+                litLength,
+                matchLength: match.length,
+                offsetValue: encodeOffset(match.offset, litLength, reps)
+            });
+            pos += match.length;
+            anchor = pos;
+        }
+
+        literals.set(buffer.subarray(anchor, end), literalCount);
+        literalCount += end - anchor;
+        return { sequences, literals: literals.subarray(0, literalCount) };
+    }
+
+    // ========== 帧编码 ==========
+
+    /**
+     * 解析字典：zstd 格式字典返回 ID、内容与初始重复偏移，否则视为原始内容字典
+     * @param {Uint8Array} dictionary
+     * @returns {{id: number, content: Uint8Array, reps: number[]}}
+     */
+    function parseDictionary(dictionary) {
+        if (dictionary.length < 8 || readU32(dictionary, 0) !== DICT_MAGIC) {
+            return { id: 0, content: dictionary, reps: [1, 4, 8] };
+        }
+
+        try {
+            const id = readU32(dictionary, 4);
+            let pos = 8;
+            const treeHeader = dictionary[pos];
+            pos += treeHeader < 128 ? 1 + treeHeader : 1 + Math.ceil((treeHeader - 127) / 2);
+            for (let i = 0; i < 3; i++) {
+                pos += readNCount(dictionary, pos).size;
+            }
+            if (pos + 12 > dictionary.length) {
+                throw new Error('数据被截断');
+            }
+            const reps = [0, 1, 2].map(i => readU32(dictionary, pos + i * 4));
+            const content = dictionary.subarray(pos + 12);
+            if (reps.some(rep => rep === 0 || rep > content.length)) {
+                throw new Error('重复偏移无效');
+            }
+            return { id, content, reps };
+        } catch (e) {
+            throw new Error(`zstd 字典无效: ${e.message}`);
+        }
+    }
+
+    function resolveParams(level, totalSize) {
+        const [levelWindowLog, levelHashLog, searchDepth, lazy] = LEVELS[level];
+        const dataLog = Math.max(10, Math.ceil(Math.log2(Math.max(totalSize, 1))));
+        const windowLog = Math.min(levelWindowLog, dataLog);
+        return {
+            windowLog,
+            windowSize: Math.pow(2, windowLog),
+            hashLog: Math.min(levelHashLog, windowLog + 1),
+            chainLog: Math.min(windowLog, 24),
+            searchDepth,
+            lazy
+        };
+    }
+
+    function writeFrameHeader(out, options) {
+        const { contentSize, singleSegment, checksum, dictId, windowLog } = options;
+        const dictIdSize = !dictId ? 0 : dictId < 256 ? 1 : dictId < 65536 ? 2 : 4;
+        let fcsSize = 0;
+        if (contentSize !== null) {
+            if (contentSize < 256) {
+                fcsSize = singleSegment ? 1 : 4;
+            } else if (contentSize < 65536 + 256) {
+                fcsSize = 2;
+            } else if (contentSize <= 0xFFFFFFFF) {
+                fcsSize = 4;
+            } else {
+                fcsSize = 8;
+            }
+        }
+
+        const fcsFlag = { 0: 0, 1: 0, 2: 1, 4: 2, 8: 3 }[fcsSize];
+        const dictFlag = { 0: 0, 1: 1, 2: 2, 4: 3 }[dictIdSize];
+        writeLE(out, ZSTD_MAGIC, 4);
+        out.push((fcsFlag << 6) | (singleSegment ? 0x20 : 0) | (checksum ? 0x04 : 0) | dictFlag);
+        if (!singleSegment) {
+            out.push((windowLog - 10) << 3);
+        }
+        writeLE(out, dictId, dictIdSize);
+        writeLE(out, fcsSize === 2 ? contentSize - 256 : contentSize, fcsSize);
+    }
+
+    function writeBlockHeader(out, last, type, size) {
+        writeLE(out, (last ? 1 : 0) | (type << 1) | (size << 3), 3);
+    }
+
+    /**
+     * 压缩为标准 Zstandard 帧
+     * @param {Uint8Array|ArrayBuffer|string} data
+     * @param {Object} [options]
+     * @param {number} [options.level=3] - 压缩级别 1-22
+     * @param {boolean} [options.checksum=true] - 写入内容校验和（XXH64 低 32 位）
+     * @param {boolean} [options.contentSize=true] - 在帧头写入原始大小
+     * @param {Uint8Array} [options.dictionary] - 字典（zstd 格式字典或原始内容）
+     * @param {number} [options.dictId] - 帧头中的字典 ID，默认取 zstd 格式字典的 ID，0 表示不写入
+     * @returns {Uint8Array}
+     */
+    function compress(data, options = {}) {
+        const input = root.REOT.bytes.from(data);
+        const level = Math.round(Number(options.level ?? DEFAULT_LEVEL));
+        if (!(level >= MIN_LEVEL && level <= MAX_LEVEL)) {
+            throw new Error(`压缩级别必须在 ${MIN_LEVEL}-${MAX_LEVEL} 之间`);
+        }
+
+        const dictionary = options.dictionary && options.dictionary.length
+            ? parseDictionary(root.REOT.bytes.from(options.dictionary))
+            : { id: 0, content: new Uint8Array(0), reps: [1, 4, 8] };
+        const dictId = Number(options.dictId ?? dictionary.id);
+        if (!Number.isInteger(dictId) || dictId < 0 || dictId > 0xFFFFFFFF) {
+            throw new Error('字典 ID 必须是 0-4294967295 之间的整数');
+        }
+
+        const base = dictionary.content.length;
+        const buffer = new Uint8Array(base + input.length);
+        buffer.set(dictionary.content, 0);
+        buffer.set(input, base);
+
+        const params = resolveParams(level, buffer.length);
+        const withContentSize = options.contentSize !== false;
+        const singleSegment = withContentSize && input.length <= params.windowSize;
+        const blockSize = Math.min(BLOCK_SIZE_MAX, params.windowSize);
+
+        const out = createByteWriter(input.length + 64);
+        writeFrameHeader(out, {
+            contentSize: withContentSize ? input.length : null,
+            singleSegment,
+            checksum: options.checksum !== false,
+            dictId,
+            windowLog: params.windowLog
+        });
+
+        const matcher = createMatcher(buffer, params);
+        const reps = dictionary.reps.slice();
+        let start = base;
+
+        do {
+            const end = Math.min(buffer.length, start + blockSize);
+            const last = end === buffer.length;
+            const block = buffer.subarray(start, end);
+
+            if (block.length > 1 && block.every(b => b === block[0])) {
+                writeBlockHeader(out, last, 1, block.length);
+                out.push(block[0]);
+            } else {
+                const saved = reps.slice();
+                const { sequences, literals } = findSequences(buffer, start, end, matcher, params, reps);
+                const literalsSection = encodeLiteralsSection(literals);
+                const sequencesSection = encodeSequencesSection(sequences);
+                const size = literalsSection.length + sequencesSection.length;
+
+                if (size < block.length) {
+                    writeBlockHeader(out, last, 2, size);
+                    out.append(literalsSection);
+                    out.append(sequencesSection);
+                } else {
+                    // 压缩无收益时输出原始块，重复偏移历史回退到块开始前
+                    reps.splice(0, 3, ...saved);
+                    writeBlockHeader(out, last, 0, block.length);
+                    out.append(block);
+                }
+            }
+            start = end;
+        } while (start < buffer.length);
+
+        if (options.checksum !== false) {
+            writeLE(out, Number(xxh64(input) & 0xFFFFFFFFn), 4);
+        }
+
+        return out.finish();
+    }
+
+    // ========== 帧解析 ==========
+
+    /**
+     * 解析压缩块的字面量段与序列段头部
+     * @param {Uint8Array} data
+     * @param {number} pos - 块内容起始位置
+     * @param {number} size - 块大小
+     * @returns {Object}
+     */
+    function inspectCompressedBlock(data, pos, size) {
+        const end = pos + size;
+        const first = data[pos];
+        const type = first & 3;
+        const sizeFormat = (first >> 2) & 3;
+        const literals = { type: LITERALS_TYPES[type] };
+        let headerSize;
+
+        if (type < 2) {
+            if ((sizeFormat & 1) === 0) {
+                headerSize = 1;
+                literals.regeneratedSize = first >> 3;
+            } else if (sizeFormat === 1) {
+                headerSize = 2;
+                literals.regeneratedSize = (first >> 4) + (data[pos + 1] << 4);
+            } else {
+                headerSize = 3;
+                literals.regeneratedSize = (first >> 4) + (data[pos + 1] << 4) + (data[pos + 2] << 12);
+            }
+            literals.size = headerSize + (type === 0 ? literals.regeneratedSize : 1);
+        } else {
+            const fieldBits = sizeFormat < 2 ? 10 : sizeFormat === 2 ? 14 : 18;
+            headerSize = (4 + 2 * fieldBits) / 8;
+            const value = readLE(data, pos, headerSize);
+            const fieldMax = Math.pow(2, fieldBits);
+            literals.regeneratedSize = Math.floor(value / 16) % fieldMax;
+            literals.compressedSize = Math.floor(value / Math.pow(2, 4 + fieldBits)) % fieldMax;
+            literals.streams = sizeFormat === 0 ? 1 : 4;
+            literals.size = headerSize + literals.compressedSize;
+        }
+
+        let seqPos = pos + literals.size;
+        if (seqPos > end) {
+            throw new Error('字面量段超出块范围');
+        }
+
+        const sequences = { count: 0 };
+        const byte0 = data[seqPos];
+        if (byte0 < 128) {
+            sequences.count = byte0;
+            seqPos += 1;
+        } else if (byte0 < 255) {
+            sequences.count = ((byte0 - 0x80) << 8) + data[seqPos + 1];
+            seqPos += 2;
+        } else {
+            sequences.count = data[seqPos + 1] + (data[seqPos + 2] << 8) + 0x7F00;
+            seqPos += 3;
+        }
+        if (sequences.count > 0) {
+            const modes = data[seqPos];
+            sequences.literalLengthsMode = SEQUENCE_MODES[modes >> 6];
+            sequences.offsetsMode = SEQUENCE_MODES[(modes >> 4) & 3];
+            sequences.matchLengthsMode = SEQUENCE_MODES[(modes >> 2) & 3];
+        }
+        sequences.size = end - (pos + literals.size);
+
+        return { literals, sequences };
+    }
+
+    /**
+     * 解析单个 Zstandard 帧
+     * @param {Uint8Array} data
+     * @param {number} offset - 帧起始位置（魔数处）
+     * @returns {Object}
+     */
+    function inspectZstdFrame(data, offset) {
+        const frame = { type: 'zstd', offset, blocks: [] };
+        let pos = offset + 4;
+        const need = (n, what) => {
+            if (pos + n > data.length) {
+                throw new Error(`${what}被截断`);
+            }
+        };
+
+        try {
+            need(1, '帧头');
+            const descriptor = data[pos++];
+            const fcsFlag = descriptor >> 6;
+            frame.singleSegment = Boolean(descriptor & 0x20);
+            frame.checksumFlag = Boolean(descriptor & 0x04);
+            if (descriptor & 0x08) {
+                throw new Error('帧头保留位不为 0');
+            }
+            const dictIdSize = [0, 1, 2, 4][descriptor & 3];
+            const fcsSize = [frame.singleSegment ? 1 : 0, 2, 4, 8][fcsFlag];
+
+            need((frame.singleSegment ? 0 : 1) + dictIdSize + fcsSize, '帧头');
+            if (!frame.singleSegment) {
+                const windowDescriptor = data[pos++];
+                const windowLog = 10 + (windowDescriptor >> 3);
+                const windowBase = Math.pow(2, windowLog);
+                frame.windowSize = windowBase + (windowBase / 8) * (windowDescriptor & 7);
+            }
+            frame.dictId = dictIdSize ? readLE(data, pos, dictIdSize) : null;
+            pos += dictIdSize;
+            if (fcsSize) {
+                frame.contentSize = readLE(data, pos, fcsSize) + (fcsSize === 2 ? 256 : 0);
+                pos += fcsSize;
+            } else {
+                frame.contentSize = null;
+            }
+            if (frame.singleSegment) {
+                frame.windowSize = frame.contentSize;
+            }
+            frame.headerSize = pos - offset;
+
+            const blockMax = Math.min(BLOCK_SIZE_MAX, frame.windowSize);
+            let last = false;
+            while (!last) {
+                need(3, `第 ${frame.blocks.length + 1} 个块的块头`);
+                const header = readLE(data, pos, 3);
+                last = Boolean(header & 1);
+                const type = (header >> 1) & 3;
+                const size = header >> 3;
+                const block = {
+                    offset: pos,
+                    last,
+                    type: BLOCK_TYPES[type],
+                    size,
+                    compressedSize: type === 1 ? 1 : size
+                };
+                frame.blocks.push(block);
+                pos += 3;
+
+                if (type === 3) {
+                    throw new Error('块类型为保留值');
+                }
+                if (size > blockMax) {
+                    throw new Error(`块大小 ${size} 超过上限 ${blockMax}`);
+                }
+                need(block.compressedSize, `第 ${frame.blocks.length} 个块的数据`);
+                if (type < 2) {
+                    block.decompressedSize = size;
+                } else {
+                    Object.assign(block, inspectCompressedBlock(data, pos, size));
+                }
+                pos += block.compressedSize;
+            }
+
+            if (frame.checksumFlag) {
+                need(4, '校验和');
+                frame.checksum = readU32(data, pos);
+                pos += 4;
+            }
+        } catch (e) {
+            frame.error = e.message;
+            pos = data.length;
+        }
+
+        frame.size = pos - offset;
+        return frame;
+    }
+
+    /**
+     * 解析数据中的全部帧（Zstandard 帧与可跳过帧）
+     * @param {Uint8Array|ArrayBuffer} data
+     * @returns {{frames: Object[], trailing: number}}
+     */
+    function inspect(data) {
+        data = root.REOT.bytes.from(data);
+        if (data.length < 4) {
+            throw new Error('数据太短，不是 Zstandard 数据');
+        }
+
+        const frames = [];
+        let pos = 0;
+        while (pos + 4 <= data.length) {
+            const magic = readU32(data, pos);
+
+            if (magic === ZSTD_MAGIC) {
+                const frame = inspectZstdFrame(data, pos);
+                frames.push(frame);
+                pos += frame.size;
+            } else if ((magic & SKIPPABLE_MASK) >>> 0 === SKIPPABLE_MAGIC) {
+                const frame = { type: 'skippable', offset: pos, variant: magic & 0x0F };
+                if (pos + 8 > data.length) {
+                    frame.error = '可跳过帧头被截断';
+                    frame.size = data.length - pos;
+                } else {
+                    frame.contentSize = readU32(data, pos + 4);
+                    frame.size = 8 + frame.contentSize;
+                    if (pos + frame.size > data.length) {
+                        frame.error = '可跳过帧数据被截断';
+                        frame.size = data.length - pos;
+                    }
+                }
+                frames.push(frame);
+                pos += frame.size;
+            } else if (magic >= LEGACY_MAGIC_MIN && magic <= LEGACY_MAGIC_MAX) {
+                frames.push({
+                    type: 'legacy',
+                    offset: pos,
+                    version: `0.${magic - 0xFD2FB520}`,
+                    size: data.length - pos,
+                    error: '旧版 (v0.x) 帧格式，不支持解析'
+                });
+                pos = data.length;
+            } else if (frames.length === 0) {
+                throw new Error(`不是 Zstandard 数据：未知的魔数 0x${magic.toString(16).toUpperCase().padStart(8, '0')}`);
+            } else {
+                break;
+            }
+        }
+
+        return { frames, trailing: data.length - pos };
+    }
+
+    root.REOT.zstd = {
+        MIN_LEVEL,
+        MAX_LEVEL,
+        DEFAULT_LEVEL,
+        compress,
+        inspect,
+        parseDictionary,
+        xxh64,
+        // 供测试使用的内部实现
+        _internal: { writeNCount, readNCount, normalizeCounts, buildHuffman }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -9,84 +9,46 @@
     'use strict';
 
     let currentFileData = null;
-    let fzstdLoaded = false;
 
-    // ========== ZSTD 常量 ==========
+    let currentDictionary = null;
 
-    // ZSTD Magic Number: 0xFD2FB528 (little-endian)
-    const ZSTD_MAGIC = new Uint8Array([0x28, 0xB5, 0x2F, 0xFD]);
+    // ========== 编码器 ==========
 
-    // ========== 动态加载 fzstd 库 ==========
-
-    function loadFzstd() {
-        return new Promise((resolve, reject) => {
-            if (fzstdLoaded && window.fzstd) {
-                resolve(window.fzstd);
-                return;
-            }
-
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/fzstd@0.1.1/umd/index.js';
-            script.onload = () => {
-                fzstdLoaded = true;
-                resolve(window.fzstd);
-            };
-            script.onerror = () => {
-                reject(new Error('无法加载 ZSTD 解压库'));
-            };
-            document.head.appendChild(script);
-        });
+    /**
+     * 加载 Zstandard 编码器与帧解析器
+     * @returns {Promise<Object>} - REOT.zstd
+     */
+    async function loadCodec() {
+        await REOT.loader.loadScript('tools/compression/zstd/zstd-codec.js');
+        return REOT.zstd;
     }
 
-    // ========== 简化的压缩实现 ==========
-    // 注意：这是简化实现，生成的文件只能被本工具解压
-    // 真实的 ZSTD 压缩需要更复杂的实现
-
     /**
-     * 简单的 LZ77 压缩 (用于演示)
+     * 压缩为标准 Zstandard 帧（可被 zstd -d 解压）
+     * @param {Uint8Array|string} data
+     * @param {Object|number} [options] - 压缩选项，见 REOT.zstd.compress；传入数字时作为压缩级别
+     * @returns {Promise<Uint8Array>}
      */
-    function simpleLz77Compress(data, level) {
-        const result = [];
-        let i = 0;
-
-        const windowSize = Math.min(32768, 1024 * Math.pow(2, Math.floor(level / 3)));
-        const minMatch = 4;
-        const maxMatch = 255;
-
-        while (i < data.length) {
-            let bestLen = 0;
-            let bestDist = 0;
-
-            const searchStart = Math.max(0, i - windowSize);
-            for (let j = searchStart; j < i; j++) {
-                let len = 0;
-                while (len < maxMatch && i + len < data.length && data[j + len] === data[i + len]) {
-                    len++;
-                }
-                if (len >= minMatch && len > bestLen) {
-                    bestLen = len;
-                    bestDist = i - j;
-                }
-            }
-
-            if (bestLen >= minMatch) {
-                result.push(0x01);
-                result.push(bestLen);
-                result.push(bestDist & 0xFF);
-                result.push((bestDist >> 8) & 0xFF);
-                i += bestLen;
-            } else {
-                result.push(0x00);
-                result.push(data[i]);
-                i++;
-            }
-        }
+    async function compress(data, options = {}) {
+        const codec = await loadCodec();
+        return codec.compress(data, typeof options === 'number' ? { level: options } : options);
+    }
 
-        return new Uint8Array(result);
+    /**
+     * 解析帧结构
+     * @param {Uint8Array} data
+     * @returns {Promise<{frames: Object[], trailing: number}>}
+     */
+    async function inspect(data) {
+        const codec = await loadCodec();
+        return codec.inspect(data);
     }
 
+    // ========== 旧版格式 ==========
+    // 早期版本的压缩功能输出 "REOT" 开头的私有 LZ77 格式，这里保留解压支持
+
     /**
-     * 解压简化的 LZ77 数据
+     * 解压旧版私有 LZ77 数据
      */
     function simpleLz77Decompress(data) {
         const output = [];
@@ -116,37 +78,6 @@
         return new Uint8Array(output);
     }
 
-    // 自定义压缩标记 (避免与真实 ZSTD 混淆)
-    const CUSTOM_MAGIC = new Uint8Array([0x52, 0x45, 0x4F, 0x54]); // "REOT"
-
-    /**
-     * 压缩数据 (简化实现)
-     */
-    function compress(data, level = 3) {
-        let input;
-        if (typeof data === 'string') {
-            input = new TextEncoder().encode(data);
-        } else {
-            input = new Uint8Array(data);
-        }
-
-        const compressedData = simpleLz77Compress(input, level);
-
-        // 使用自定义头，包含原始大小
-        const header = new Uint8Array(8);
-        header.set(CUSTOM_MAGIC, 0);
-        header[4] = input.length & 0xFF;
-        header[5] = (input.length >> 8) & 0xFF;
-        header[6] = (input.length >> 16) & 0xFF;
-        header[7] = (input.length >> 24) & 0xFF;
-
-        const output = new Uint8Array(header.length + compressedData.length);
-        output.set(header, 0);
-        output.set(compressedData, header.length);
-
-        return output;
-    }
-
     /**
      * 检查是否是真实的 ZSTD 格式
      */
@@ -156,7 +87,7 @@
     }
 
     /**
-     * 检查是否是自定义压缩格式
+     * 检查是否是旧版私有格式（"REOT" 开头）
      */
     function isCustomFormat(data) {
         if (data.length < 4) return false;
@@ -173,8 +104,14 @@
 
         // 检查是否是真实的 ZSTD 格式
         if (isRealZstd(data)) {
+            const { frames } = await inspect(data);
+            const withDict = frames.find(frame => frame.dictId);
+            if (withDict) {
+                throw new Error(`该数据需要字典解压 (Dictionary ID: ${withDict.dictId})，请使用 zstd -d -D <字典> 解压`);
+            }
+
             // 使用 fzstd 库解压
-            const fzstd = await loadFzstd();
+            const fzstd = await REOT.loader.load('fzstd');
             try {
                 return fzstd.decompress(data);
             } catch (e) {
@@ -182,7 +119,7 @@
             }
         }
 
-        // 检查是否是自定义格式
+        // 检查是否是旧版私有格式
         if (isCustomFormat(data)) {
             const originalSize = data[4] | (data[5] << 8) | (data[6] << 16) | (data[7] << 24);
             const compressedData = data.slice(8);
@@ -200,62 +137,148 @@
 
     // ========== 工具函数 ==========
 
-    function stringToUint8Array(str) {
-        return new TextEncoder().encode(str);
+    function formatFileSize(bytes) {
+        if (bytes === 0) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
-    function uint8ArrayToString(arr) {
-        return new TextDecoder().decode(arr);
+    /**
+     * 读取压缩选项
+     * @returns {Object}
+     */
+    function getCompressOptions() {
+        const level = parseInt(document.getElementById('compression-level')?.value || '3', 10);
+        const dictIdValue = document.getElementById('dict-id')?.value.trim();
+        const options = {
+            level,
+            checksum: document.getElementById('with-checksum')?.checked !== false,
+            contentSize: document.getElementById('with-content-size')?.checked !== false
+        };
+
+        if (currentDictionary) {
+            options.dictionary = currentDictionary;
+        }
+        if (dictIdValue) {
+            if (!/^\d+$/.test(dictIdValue)) {
+                throw new Error('字典 ID 必须是 0-4294967295 之间的整数');
+            }
+            options.dictId = Number(dictIdValue);
+        }
+        return options;
     }
 
-    function uint8ArrayToBase64(arr) {
-        let binary = '';
-        for (let i = 0; i < arr.length; i++) {
-            binary += String.fromCharCode(arr[i]);
-        }
-        return btoa(binary);
+    function getOutputFormat() {
+        const formatSelect = document.getElementById('output-format');
+        return formatSelect?.value || 'base64';
     }
 
-    function base64ToUint8Array(base64) {
-        const binary = atob(base64);
-        const arr = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            arr[i] = binary.charCodeAt(i);
+    /**
+     * 渲染块信息表格行
+     * @param {Object} block
+     * @param {number} index
+     * @returns {string}
+     */
+    function renderBlock(block, index) {
+        let detail = block.decompressedSize !== undefined
+            ? `${REOT.i18n.t('tools.zstd.decompressedSize', '解压大小')}: ${block.decompressedSize} B`
+            : '';
+
+        if (block.literals) {
+            const { literals, sequences } = block;
+            detail = `Literals: ${literals.type}, ${literals.regeneratedSize} B`;
+            if (literals.streams) {
+                detail += ` → ${literals.compressedSize} B (${literals.streams} streams)`;
+            }
+            detail += `<br>Sequences: ${sequences.count}`;
+            if (sequences.count) {
+                detail += ` (LL ${sequences.literalLengthsMode} / OF ${sequences.offsetsMode} / ML ${sequences.matchLengthsMode})`;
+            }
         }
-        return arr;
-    }
 
-    function uint8ArrayToHex(arr) {
-        return Array.from(arr)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+        return `
+            <tr>
+                <td>${index + 1}${block.last ? ' (last)' : ''}</td>
+                <td>${block.offset}</td>
+                <td>${block.type}</td>
+                <td>${block.size}</td>
+                <td>${detail}</td>
+            </tr>
+        `;
     }
 
-    function hexToUint8Array(hex) {
-        hex = hex.replace(/\s/g, '');
-        const arr = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < arr.length; i++) {
-            arr[i] = parseInt(hex.substr(i * 2, 2), 16);
+    /**
+     * 渲染帧结构
+     * @param {{frames: Object[], trailing: number}} result
+     */
+    function renderFrames(result) {
+        const section = document.getElementById('frames-section');
+        const container = document.getElementById('frames-info');
+        if (!section || !container) {
+            return;
         }
-        return arr;
-    }
 
-    function formatFileSize(bytes) {
-        if (bytes === 0) return '0 B';
-        const k = 1024;
-        const sizes = ['B', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-    }
+        const escape = str => REOT.utils.escapeHtml(String(str));
+        const yes = REOT.i18n.t('tools.zstd.yes', '是');
+        const no = REOT.i18n.t('tools.zstd.no', '否');
+        const hex = value => '0x' + value.toString(16).toUpperCase().padStart(8, '0');
+        const size = value => (value === null || value === undefined ? '-' : `${value} B`);
+
+        const html = result.frames.map((frame, index) => {
+            const rows = [[REOT.i18n.t('tools.zstd.frameOffset', '偏移'), frame.offset], [REOT.i18n.t('tools.zstd.frameSize', '帧大小'), size(frame.size)]];
+            let blocks = '';
+
+            if (frame.type === 'zstd') {
+                rows.push(
+                    ['Single_Segment', frame.singleSegment ? yes : no],
+                    ['Window_Size', size(frame.windowSize)],
+                    ['Frame_Content_Size', size(frame.contentSize)],
+                    ['Dictionary_ID', frame.dictId ?? '-'],
+                    ['Content_Checksum', frame.checksum !== undefined ? hex(frame.checksum) : no]
+                );
 
-    function getCompressionLevel() {
-        const levelSelect = document.getElementById('compression-level');
-        return parseInt(levelSelect?.value || '3', 10);
-    }
+                blocks = `
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>${REOT.i18n.t('tools.zstd.frameOffset', '偏移')}</th>
+                                <th>${REOT.i18n.t('tools.zstd.blockType', '块类型')}</th>
+                                <th>Block_Size</th>
+                                <th>${REOT.i18n.t('tools.zstd.blockDetail', '详情')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${frame.blocks.map(renderBlock).join('')}
+                        </tbody>
+                    </table>
+                `;
+            } else if (frame.type === 'skippable') {
+                rows.push(['Magic_Number', hex(0x184D2A50 + frame.variant)], ['Frame_Size', size(frame.contentSize)]);
+            } else {
+                rows.push(['Version', frame.version]);
+            }
 
-    function getOutputFormat() {
-        const formatSelect = document.getElementById('output-format');
-        return formatSelect?.value || 'base64';
+            return `
+                <div class="frame-card">
+                    <div class="frame-title">#${index + 1} ${escape(frame.type === 'zstd' ? 'Zstandard' : frame.type === 'skippable' ? 'Skippable' : 'Legacy')}</div>
+                    ${frame.error ? `<div class="frame-error">${escape(frame.error)}</div>` : ''}
+                    <dl class="frame-fields">
+                        ${rows.map(([key, value]) => `<dt>${escape(key)}</dt><dd>${escape(value)}</dd>`).join('')}
+                    </dl>
+                    ${blocks}
+                </div>
+            `;
+        }).join('');
+
+        const trailing = result.trailing
+            ? `<div class="frame-error">${REOT.i18n.t('tools.zstd.trailingBytes', '帧之后的未识别数据')}: ${result.trailing} B</div>`
+            : '';
+
+        container.innerHTML = html + trailing;
+        section.style.display = 'block';
     }
 
     function updateStats(originalSize, compressedSize) {
@@ -290,7 +313,7 @@
             filename = 'decompressed.bin';
         } else if (format === 'base64') {
             try {
-                const binary = base64ToUint8Array(output.value);
+                const binary = REOT.bytes.fromBase64(output.value);
                 data = new Blob([binary], { type: 'application/octet-stream' });
                 filename = 'compressed.bin';
             } catch (e) {
@@ -320,6 +343,39 @@
     document.addEventListener('change', (e) => {
         if (!isZstdToolActive()) return;
 
+        if (e.target.id === 'dict-input') {
+            const file = e.target.files[0];
+            const dictInfo = document.getElementById('dict-info');
+            if (!file) {
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = async (event) => {
+                currentDictionary = new Uint8Array(event.target.result);
+                try {
+                    const dictionary = (await loadCodec()).parseDictionary(currentDictionary);
+                    if (dictInfo) {
+                        dictInfo.style.display = 'block';
+                        dictInfo.innerHTML = `
+                            <span class="file-name">${REOT.utils.escapeHtml(file.name)}</span>
+                            <span class="file-size">${formatFileSize(file.size)}</span>
+                            <span class="file-size">${dictionary.id ? `Dictionary ID: ${dictionary.id}` : REOT.i18n.t('tools.zstd.rawDictionary', '原始内容字典')}</span>
+                        `;
+                    }
+                } catch (error) {
+                    currentDictionary = null;
+                    e.target.value = '';
+                    if (dictInfo) {
+                        dictInfo.style.display = 'none';
+                    }
+                    REOT.utils?.showNotification(error.message, 'error');
+                }
+            };
+            reader.readAsArrayBuffer(file);
+            return;
+        }
+
         if (e.target.id === 'file-input') {
             const file = e.target.files[0];
             if (!file) return;
@@ -345,7 +401,7 @@
                     if (isRealZstd(currentFileData)) {
                         fileType = 'ZSTD 压缩文件';
                     } else if (isCustomFormat(currentFileData)) {
-                        fileType = '本工具压缩文件';
+                        fileType = '旧版本工具压缩文件';
                     }
                     input.value = `[${fileType}已加载: ${file.name}]`;
                     input.disabled = true;
@@ -367,7 +423,7 @@
                 const input = document.getElementById('input');
                 const output = document.getElementById('output');
                 const format = getOutputFormat();
-                const level = getCompressionLevel();
+                const options = getCompressOptions();
 
                 let data;
                 if (currentFileData) {
@@ -381,19 +437,17 @@
                     return;
                 }
 
-                const compressed = compress(data, level);
+                const compressed = await compress(data, options);
                 updateStats(
-                    typeof data === 'string' ? stringToUint8Array(data).length : data.length,
+                    typeof data === 'string' ? REOT.bytes.fromText(data).length : data.length,
                     compressed.length
                 );
 
                 if (output) {
-                    output.value = format === 'base64'
-                        ? uint8ArrayToBase64(compressed)
-                        : uint8ArrayToHex(compressed);
+                    output.value = REOT.bytes.format(compressed, format);
                 }
 
-                REOT.utils?.showNotification('压缩成功 (本工具格式)', 'success');
+                REOT.utils?.showNotification('压缩成功', 'success');
             } catch (error) {
                 REOT.utils?.showNotification(error.message, 'error');
             }
@@ -413,13 +467,9 @@
                     compressedData = currentFileData;
                 } else if (input.value.trim()) {
                     try {
-                        if (format === 'base64') {
-                            compressedData = base64ToUint8Array(input.value.trim());
-                        } else {
-                            compressedData = hexToUint8Array(input.value.trim());
-                        }
+                        compressedData = REOT.bytes.parse(input.value.trim(), format);
                     } catch (e) {
-                        throw new Error('输入格式无效');
+                        throw new Error(`输入格式无效: ${e.message}`);
                     }
                 } else {
                     REOT.utils?.showNotification('请输入要解压的内容或上传文件', 'warning');
@@ -435,10 +485,10 @@
                 if (output) {
                     try {
                         // 尝试作为文本显示
-                        output.value = uint8ArrayToString(decompressed);
+                        output.value = REOT.bytes.toText(decompressed);
                     } catch (e) {
                         // 如果不是有效文本，显示为 Base64
-                        output.value = uint8ArrayToBase64(decompressed);
+                        output.value = REOT.bytes.toBase64(decompressed);
                     }
                 }
 
@@ -448,6 +498,30 @@
             }
         }
 
+        // 帧结构按钮
+        if (target.id === 'inspect-btn' || target.closest('#inspect-btn')) {
+            try {
+                const input = document.getElementById('input');
+                let data;
+                if (currentFileData) {
+                    data = currentFileData;
+                } else if (input.value.trim()) {
+                    try {
+                        data = REOT.bytes.parse(input.value.trim(), getOutputFormat());
+                    } catch (e) {
+                        throw new Error(`输入格式无效: ${e.message}`);
+                    }
+                } else {
+                    REOT.utils?.showNotification('请输入要解析的 ZSTD 数据或上传文件', 'warning');
+                    return;
+                }
+
+                renderFrames(await inspect(data));
+            } catch (error) {
+                REOT.utils?.showNotification(error.message, 'error');
+            }
+        }
+
         // 清除按钮
         if (target.id === 'clear-btn' || target.closest('#clear-btn')) {
             const input = document.getElementById('input');
@@ -455,6 +529,7 @@
             const fileInfo = document.getElementById('file-info');
             const fileInput = document.getElementById('file-input');
             const statsSection = document.getElementById('stats-section');
+            const framesSection = document.getElementById('frames-section');
 
             if (input) {
                 input.value = '';
@@ -464,6 +539,9 @@
             if (fileInfo) fileInfo.style.display = 'none';
             if (fileInput) fileInput.value = '';
             if (statsSection) statsSection.style.display = 'none';
+            if (framesSection) {
+                framesSection.style.display = 'none';
+            }
             currentFileData = null;
         }
 
@@ -488,9 +566,10 @@
     window.ZstdTool = {
         compress,
         decompress,
+        inspect,
         formatFileSize,
         isRealZstd,
-        loadFzstd
+        loadFzstd: () => REOT.loader.load('fzstd')
     };
 
     // 设置默认示例数据
@@ -507,16 +586,14 @@ ZSTD (Zstandard) 是由 Facebook 开发的快速压缩算法。
 4. 广泛应用于数据存储和传输
 
 提示：
-- 上传 .zst 文件可以解压真实的 ZSTD 压缩文件
-- 本工具的压缩功能使用简化算法，仅供演示
+- 压缩结果是标准 ZSTD 帧，可以用 zstd -d 解压
+- 上传 .zst 文件可以解压或查看帧结构
 
 This is sample text for demonstrating compression.`;
         defaultInput.value = sampleText;
     }
 
     // 预加载 fzstd 库
-    loadFzstd().catch(() => {
-        console.warn('fzstd 库预加载失败，将在需要时重试');
-    });
+    REOT.loader.preload('fzstd');
 
 })();
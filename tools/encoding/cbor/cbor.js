@@ -8,47 +8,6 @@
 (function() {
     'use strict';
 
-    // ==================== CBOR 库动态加载 ====================
-
-    let cborLoaded = false;
-    let cborLoadingPromise = null;
-
-    /**
-     * 动态加载 CBOR 库
-     */
-    function loadCBORLibrary() {
-        if (cborLoaded && typeof CBOR !== 'undefined') {
-            return Promise.resolve();
-        }
-
-        if (cborLoadingPromise) {
-            return cborLoadingPromise;
-        }
-
-        cborLoadingPromise = new Promise((resolve, reject) => {
-            if (typeof CBOR !== 'undefined') {
-                cborLoaded = true;
-                resolve();
-                return;
-            }
-
-            const script = document.createElement('script');
-            const basePath = window.REOT?.router?.pathPrefix || '';
-            script.src = `${basePath}/libs/cbor/cbor.min.js`;
-            script.onload = () => {
-                cborLoaded = true;
-                resolve();
-            };
-            script.onerror = () => {
-                cborLoadingPromise = null;
-                reject(new Error('无法加载 CBOR 库'));
-            };
-            document.head.appendChild(script);
-        });
-
-        return cborLoadingPromise;
-    }
-
     // ==================== DOM 元素 ====================
 
     // 模式切换
@@ -82,70 +41,6 @@
 
     // ==================== 工具函数 ====================
 
-    /**
-     * Hex 字符串转 ArrayBuffer
-     */
-    function hexToArrayBuffer(hex) {
-        const cleaned = hex.replace(/\s/g, '');
-        const bytes = new Uint8Array(cleaned.length / 2);
-        for (let i = 0; i < cleaned.length; i += 2) {
-            bytes[i / 2] = parseInt(cleaned.substr(i, 2), 16);
-        }
-        return bytes.buffer;
-    }
-
-    /**
-     * ArrayBuffer 转 Hex
-     */
-    function arrayBufferToHex(buffer) {
-        const bytes = new Uint8Array(buffer);
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    /**
-     * ArrayBuffer 转 Base64
-     */
-    function arrayBufferToBase64(buffer) {
-        const bytes = new Uint8Array(buffer);
-        let binary = '';
-        bytes.forEach(b => binary += String.fromCharCode(b));
-        return btoa(binary);
-    }
-
-    /**
-     * Base64 转 ArrayBuffer
-     */
-    function base64ToArrayBuffer(base64) {
-        const binary = atob(base64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
-        }
-        return bytes.buffer;
-    }
-
-    /**
-     * 验证 Hex 字符串
-     */
-    function isValidHex(str) {
-        const cleaned = str.replace(/\s/g, '');
-        return /^[0-9a-fA-F]*$/.test(cleaned) && cleaned.length % 2 === 0;
-    }
-
-    /**
-     * 验证 Base64 字符串
-     */
-    function isValidBase64(str) {
-        try {
-            atob(str.trim());
-            return true;
-        } catch (e) {
-            return false;
-        }
-    }
-
     /**
      * 获取选中的编码格式
      */
@@ -186,7 +81,7 @@
     async function encodeCBOR() {
         try {
             // 先加载库
-            await loadCBORLibrary();
+            await REOT.loader.load('cbor');
 
             const jsonStr = encodeInput.value.trim();
             if (!jsonStr) {
@@ -210,9 +105,9 @@
             // 格式化输出
             const format = getEncodeFormat();
             if (format === 'base64') {
-                encodeOutput.value = arrayBufferToBase64(encoded);
+                encodeOutput.value = REOT.bytes.toBase64(new Uint8Array(encoded));
             } else {
-                encodeOutput.value = arrayBufferToHex(encoded);
+                encodeOutput.value = REOT.bytes.toHex(new Uint8Array(encoded));
             }
 
             // 显示字节大小
@@ -282,7 +177,7 @@
     async function decodeCBOR() {
         try {
             // 先加载库
-            await loadCBORLibrary();
+            await REOT.loader.load('cbor');
 
             const input = decodeInput.value.trim();
             if (!input) {
@@ -290,24 +185,13 @@
                 return;
             }
 
-            // 转换输入为 ArrayBuffer
-            let buffer;
-            const format = getDecodeInputFormat();
-
-            if (format === 'base64') {
-                if (!isValidBase64(input)) {
-                    throw new Error('无效的 Base64 格式');
-                }
-                buffer = base64ToArrayBuffer(input);
-            } else {
-                if (!isValidHex(input)) {
-                    throw new Error('无效的 Hex 格式');
-                }
-                buffer = hexToArrayBuffer(input);
-            }
+            // 转换输入为字节
+            const bytes = getDecodeInputFormat() === 'base64'
+                ? REOT.bytes.fromBase64(input)
+                : REOT.bytes.fromHex(input);
 
             // 解码 CBOR
-            const decoded = CBOR.decode(buffer);
+            const decoded = CBOR.decode(bytes.buffer);
 
             // 格式化输出
             const pretty = prettyOutputCheckbox.checked;
@@ -357,7 +241,7 @@
         reader.onload = function(e) {
             const buffer = e.target.result;
             // 将文件内容转为 Hex 显示
-            decodeInput.value = arrayBufferToHex(buffer);
+            decodeInput.value = REOT.bytes.toHex(new Uint8Array(buffer));
 
             // 切换到 Hex 格式
             const hexRadio = document.querySelector('input[name="decode-input-format"][value="hex"]');
@@ -404,9 +288,9 @@
             if (currentEncodedBuffer) {
                 const format = getEncodeFormat();
                 if (format === 'base64') {
-                    encodeOutput.value = arrayBufferToBase64(currentEncodedBuffer);
+                    encodeOutput.value = REOT.bytes.toBase64(new Uint8Array(currentEncodedBuffer));
                 } else {
-                    encodeOutput.value = arrayBufferToHex(currentEncodedBuffer);
+                    encodeOutput.value = REOT.bytes.toHex(new Uint8Array(currentEncodedBuffer));
                 }
             }
         });
@@ -449,11 +333,7 @@
     // 导出到全局
     window.CBORTool = {
         encode: encodeCBOR,
-        decode: decodeCBOR,
-        hexToArrayBuffer,
-        arrayBufferToHex,
-        arrayBufferToBase64,
-        base64ToArrayBuffer
+        decode: decodeCBOR
     };
 
 })();
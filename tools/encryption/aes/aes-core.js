@@ -0,0 +1,707 @@
+/**
+ * AES 计算核心
+ * @description 不依赖 DOM 和 WebCrypto 的纯 JS AES 实现（ECB / CBC / CFB / CFB8 / OFB / CTR / GCM / GCM-SIV），
+ *     支持多种填充方式，供 AES 工具页面和操作链共用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    const BLOCK_SIZE = 16;
+
+    // 分组模式需要填充或整块输入，其余为流模式
+    const BLOCK_MODES = ['ECB', 'CBC'];
+    const MODES = ['ECB', 'CBC', 'CFB', 'CFB8', 'OFB', 'CTR', 'GCM', 'GCM-SIV'];
+    // 认证加密模式不使用填充，输出为密文 || 标签
+    const AEAD_MODES = ['GCM', 'GCM-SIV'];
+    const PADDINGS = ['pkcs7', 'zero', 'iso10126', 'ansix923', 'none'];
+    const GCM_TAG_LENGTHS = [4, 8, 12, 13, 14, 15, 16];
+
+    // ========== 查找表 ==========
+
+    const SBOX = new Uint8Array(256);
+    const INV_SBOX = new Uint8Array(256);
+    const TE = [0, 1, 2, 3].map(() => new Uint32Array(256));
+    const TD = [0, 1, 2, 3].map(() => new Uint32Array(256));
+
+    /**
+     * GF(2^8) 乘法
+     * @param {number} a
+     * @param {number} b
+     * @returns {number}
+     */
+    function gmul(a, b) {
+        let result = 0;
+        while (b) {
+            if (b & 1) {
+                result ^= a;
+            }
+            a = (a << 1) ^ (a & 0x80 ? 0x11b : 0);
+            b >>= 1;
+        }
+        return result;
+    }
+
+    /**
+     * 生成 S 盒和轮函数查找表（T 表每项为一列 MixColumns 的结果，按大端排列）
+     */
+    (function buildTables() {
+        const exp = new Uint8Array(256);
+        const log = new Uint8Array(256);
+        for (let i = 0, x = 1; i < 255; i++) {
+            exp[i] = x;
+            log[x] = i;
+            x ^= gmul(x, 2);
+        }
+
+        for (let x = 0; x < 256; x++) {
+            const inv = x === 0 ? 0 : exp[(255 - log[x]) % 255];
+            let s = inv;
+            for (let i = 1; i <= 4; i++) {
+                s ^= ((inv << i) | (inv >>> (8 - i))) & 0xff;
+            }
+            s ^= 0x63;
+            SBOX[x] = s;
+            INV_SBOX[s] = x;
+        }
+
+        for (let x = 0; x < 256; x++) {
+            const s = SBOX[x];
+            const si = INV_SBOX[x];
+            const te = ((gmul(s, 2) << 24) | (s << 16) | (s << 8) | gmul(s, 3)) >>> 0;
+            const td = ((gmul(si, 14) << 24) | (gmul(si, 9) << 16) | (gmul(si, 13) << 8) | gmul(si, 11)) >>> 0;
+            for (let i = 0; i < 4; i++) {
+                TE[i][x] = ((te >>> (8 * i)) | (te << (32 - 8 * i))) >>> 0;
+                TD[i][x] = ((td >>> (8 * i)) | (td << (32 - 8 * i))) >>> 0;
+            }
+        }
+    })();
+
+    // ========== 分组加解密 ==========
+
+    /**
+     * 密钥扩展
+     * @param {Uint8Array} key - 16 / 24 / 32 字节
+     * @returns {{rounds: number, encKeys: Uint32Array, decKeys: Uint32Array}}
+     */
+    function expandKey(key) {
+        if (!(key instanceof Uint8Array) || ![16, 24, 32].includes(key.length)) {
+            throw new Error(`AES 密钥长度必须为 16/24/32 字节，当前为 ${key?.length || 0} 字节`);
+        }
+        const nk = key.length / 4;
+        const rounds = nk + 6;
+        const total = 4 * (rounds + 1);
+        const encKeys = new Uint32Array(total);
+
+        for (let i = 0; i < nk; i++) {
+            encKeys[i] = ((key[4 * i] << 24) | (key[4 * i + 1] << 16) | (key[4 * i + 2] << 8) | key[4 * i + 3]) >>> 0;
+        }
+        let rcon = 1;
+        for (let i = nk; i < total; i++) {
+            let temp = encKeys[i - 1];
+            if (i % nk === 0 || (nk > 6 && i % nk === 4)) {
+                if (i % nk === 0) {
+                    temp = (temp << 8) | (temp >>> 24);
+                }
+                temp = (SBOX[temp >>> 24] << 24) | (SBOX[(temp >>> 16) & 0xff] << 16) |
+                    (SBOX[(temp >>> 8) & 0xff] << 8) | SBOX[temp & 0xff];
+                if (i % nk === 0) {
+                    temp ^= rcon << 24;
+                    rcon = gmul(rcon, 2);
+                }
+            }
+            encKeys[i] = (encKeys[i - nk] ^ temp) >>> 0;
+        }
+
+        // 等价解密轮密钥：逆序，中间各轮施加 InvMixColumns
+        const decKeys = new Uint32Array(total);
+        for (let round = 0; round <= rounds; round++) {
+            for (let j = 0; j < 4; j++) {
+                const w = encKeys[4 * (rounds - round) + j];
+                decKeys[4 * round + j] = round === 0 || round === rounds
+                    ? w
+                    : (TD[0][SBOX[w >>> 24]] ^ TD[1][SBOX[(w >>> 16) & 0xff]] ^
+                        TD[2][SBOX[(w >>> 8) & 0xff]] ^ TD[3][SBOX[w & 0xff]]) >>> 0;
+            }
+        }
+
+        return { rounds, encKeys, decKeys };
+    }
+
+    /**
+     * 执行一次分组变换
+     * @param {Uint8Array} block - 16 字节
+     * @param {Uint32Array} keys - 轮密钥
+     * @param {number} rounds
+     * @param {boolean} inverse - 是否解密
+     * @returns {Uint8Array}
+     */
+    function transformBlock(block, keys, rounds, inverse) {
+        const T = inverse ? TD : TE;
+        const S = inverse ? INV_SBOX : SBOX;
+        // 解密时行移位方向相反
+        const a = inverse ? 3 : 1;
+        const c = inverse ? 1 : 3;
+        let s = [0, 1, 2, 3].map(j => ((block[4 * j] << 24) | (block[4 * j + 1] << 16) |
+            (block[4 * j + 2] << 8) | block[4 * j + 3]) ^ keys[j]);
+
+        for (let round = 1; round < rounds; round++) {
+            s = [0, 1, 2, 3].map(j => (T[0][s[j] >>> 24] ^ T[1][(s[(j + a) & 3] >>> 16) & 0xff] ^
+                T[2][(s[(j + 2) & 3] >>> 8) & 0xff] ^ T[3][s[(j + c) & 3] & 0xff] ^ keys[4 * round + j]));
+        }
+
+        const out = new Uint8Array(BLOCK_SIZE);
+        for (let j = 0; j < 4; j++) {
+            const w = ((S[s[j] >>> 24] << 24) | (S[(s[(j + a) & 3] >>> 16) & 0xff] << 16) |
+                (S[(s[(j + 2) & 3] >>> 8) & 0xff] << 8) | S[s[(j + c) & 3] & 0xff]) ^ keys[4 * rounds + j];
+            out[4 * j] = w >>> 24;
+            out[4 * j + 1] = (w >>> 16) & 0xff;
+            out[4 * j + 2] = (w >>> 8) & 0xff;
+            out[4 * j + 3] = w & 0xff;
+        }
+        return out;
+    }
+
+    /**
+     * 创建 AES 分组密码
+     * @param {Uint8Array} key - 16 / 24 / 32 字节
+     * @returns {{encryptBlock: Function, decryptBlock: Function}}
+     */
+    function createCipher(key) {
+        const { rounds, encKeys, decKeys } = expandKey(key);
+        return {
+            encryptBlock: block => transformBlock(block, encKeys, rounds, false),
+            decryptBlock: block => transformBlock(block, decKeys, rounds, true)
+        };
+    }
+
+    // ========== 填充 ==========
+
+    /**
+     * 填充到分组长度的整数倍
+     * @param {Uint8Array} data
+     * @param {string} scheme - pkcs7 | zero | iso10126 | ansix923 | none
+     * @returns {Uint8Array}
+     */
+    function pad(data, scheme) {
+        if (!PADDINGS.includes(scheme)) {
+            throw new Error(`不支持的填充方式: ${scheme}`);
+        }
+        if (scheme === 'none') {
+            return data;
+        }
+        // 零填充在数据恰好为整块时不追加
+        if (scheme === 'zero' && data.length % BLOCK_SIZE === 0) {
+            return data;
+        }
+        const count = BLOCK_SIZE - (data.length % BLOCK_SIZE);
+        const result = new Uint8Array(data.length + count);
+        result.set(data);
+        if (scheme === 'pkcs7') {
+            result.fill(count, data.length);
+        } else if (scheme === 'iso10126') {
+            crypto.getRandomValues(result.subarray(data.length, result.length - 1));
+            result[result.length - 1] = count;
+        } else if (scheme === 'ansix923') {
+            result[result.length - 1] = count;
+        }
+        return result;
+    }
+
+    /**
+     * 去除填充；填充无效时不抛出错误，而是原样返回数据并说明原因
+     * @param {Uint8Array} data
+     * @param {string} scheme - pkcs7 | zero | iso10126 | ansix923 | none
+     * @returns {{data: Uint8Array, padding: {valid: boolean, scheme: string, length: number, reason: string|null}}}
+     */
+    function unpad(data, scheme) {
+        if (!PADDINGS.includes(scheme)) {
+            throw new Error(`不支持的填充方式: ${scheme}`);
+        }
+        const report = (valid, length, reason = null) => ({
+            data: valid ? data.subarray(0, data.length - length) : data,
+            padding: { valid, scheme, length: valid ? length : 0, reason }
+        });
+
+        if (scheme === 'none') {
+            return report(true, 0);
+        }
+        if (scheme === 'zero') {
+            let length = 0;
+            while (length < data.length && data[data.length - 1 - length] === 0) {
+                length++;
+            }
+            return report(true, length);
+        }
+
+        if (data.length === 0) {
+            return report(false, 0, '数据为空');
+        }
+        if (data.length % BLOCK_SIZE !== 0) {
+            return report(false, 0, `数据长度 ${data.length} 不是 ${BLOCK_SIZE} 的倍数`);
+        }
+        const last = data[data.length - 1];
+        if (last < 1 || last > BLOCK_SIZE) {
+            return report(false, 0, `末字节 0x${last.toString(16).padStart(2, '0')} 不是有效的填充长度`);
+        }
+        // ISO 10126 的填充内容是随机的，只校验长度
+        if (scheme !== 'iso10126') {
+            const expected = scheme === 'pkcs7' ? last : 0;
+            for (let i = 2; i <= last; i++) {
+                const value = data[data.length - i];
+                if (value !== expected) {
+                    const hex = n => `0x${n.toString(16).padStart(2, '0')}`;
+                    return report(false, 0, `填充字节不一致: 倒数第 ${i} 字节为 ${hex(value)}，应为 ${hex(expected)}`);
+                }
+            }
+        }
+        return report(true, last);
+    }
+
+    // ========== 工作模式 ==========
+
+    /**
+     * 逐字节异或
+     * @param {Uint8Array} a
+     * @param {Uint8Array} b
+     * @param {number} [length=a.length]
+     * @returns {Uint8Array}
+     */
+    function xorBytes(a, b, length = a.length) {
+        const result = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            result[i] = a[i] ^ b[i];
+        }
+        return result;
+    }
+
+    /**
+     * 拼接两个字节数组
+     * @param {Uint8Array} a
+     * @param {Uint8Array} b
+     * @returns {Uint8Array}
+     */
+    function concatBytes(a, b) {
+        const result = new Uint8Array(a.length + b.length);
+        result.set(a);
+        result.set(b, a.length);
+        return result;
+    }
+
+    /**
+     * 计数器加一（大端）
+     * @param {Uint8Array} counter - 原地修改
+     * @param {number} [from=0] - 参与计数的起始字节（GCM 只递增末尾 32 位）
+     */
+    function increment(counter, from = 0) {
+        for (let i = counter.length - 1; i >= from; i--) {
+            counter[i] = (counter[i] + 1) & 0xff;
+            if (counter[i] !== 0) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * 以密钥流方式处理数据（OFB / CTR / CFB）
+     * @param {Uint8Array} data
+     * @param {Function} nextKeystream - 参数为上一块的密文，返回下一块密钥流
+     * @param {boolean} feedbackCipher - 下一块密钥流是否依赖密文（CFB）
+     * @param {boolean} isEncrypt
+     * @returns {Uint8Array}
+     */
+    function streamBlocks(data, nextKeystream, feedbackCipher, isEncrypt) {
+        const result = new Uint8Array(data.length);
+        let previous = null;
+        for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+            const chunk = data.subarray(offset, offset + BLOCK_SIZE);
+            const out = xorBytes(chunk, nextKeystream(previous), chunk.length);
+            result.set(out, offset);
+            if (feedbackCipher) {
+                previous = isEncrypt ? out : chunk;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 按模式处理数据（不含填充和 GCM）
+     * @param {Object} cipher - createCipher() 的返回值
+     * @param {string} mode
+     * @param {Uint8Array} data
+     * @param {Uint8Array} iv
+     * @param {boolean} isEncrypt
+     * @returns {Uint8Array}
+     */
+    function runMode(cipher, mode, data, iv, isEncrypt) {
+        if (BLOCK_MODES.includes(mode) && data.length % BLOCK_SIZE !== 0) {
+            throw new Error(isEncrypt ? '无填充模式要求输入长度为16的倍数' : '密文长度必须是16的倍数');
+        }
+        const result = new Uint8Array(data.length);
+
+        switch (mode) {
+        case 'ECB':
+            for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+                const block = data.subarray(offset, offset + BLOCK_SIZE);
+                result.set(isEncrypt ? cipher.encryptBlock(block) : cipher.decryptBlock(block), offset);
+            }
+            return result;
+
+        case 'CBC': {
+            let previous = iv;
+            for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+                const block = data.subarray(offset, offset + BLOCK_SIZE);
+                if (isEncrypt) {
+                    previous = cipher.encryptBlock(xorBytes(block, previous));
+                    result.set(previous, offset);
+                } else {
+                    result.set(xorBytes(cipher.decryptBlock(block), previous), offset);
+                    previous = block;
+                }
+            }
+            return result;
+        }
+
+        case 'CFB':
+            return streamBlocks(data, previous => cipher.encryptBlock(previous || iv), true, isEncrypt);
+
+        case 'CFB8': {
+            const register = Uint8Array.from(iv);
+            for (let i = 0; i < data.length; i++) {
+                result[i] = data[i] ^ cipher.encryptBlock(register)[0];
+                register.copyWithin(0, 1);
+                register[BLOCK_SIZE - 1] = isEncrypt ? result[i] : data[i];
+            }
+            return result;
+        }
+
+        case 'OFB': {
+            let keystream = iv;
+            return streamBlocks(data, () => (keystream = cipher.encryptBlock(keystream)), false, isEncrypt);
+        }
+
+        case 'CTR': {
+            const counter = Uint8Array.from(iv);
+            return streamBlocks(data, () => {
+                const keystream = cipher.encryptBlock(counter);
+                increment(counter);
+                return keystream;
+            }, false, isEncrypt);
+        }
+
+        default:
+            throw new Error(`不支持的 AES 模式: ${mode}`);
+        }
+    }
+
+    // ========== GCM ==========
+
+    /**
+     * GF(2^128) 乘法（GCM 位序）
+     * @param {Uint8Array} x
+     * @param {Uint8Array} y
+     * @returns {Uint8Array}
+     */
+    function gfMultiply(x, y) {
+        const z = new Uint32Array(4);
+        const v = new Uint32Array(4);
+        for (let i = 0; i < 4; i++) {
+            v[i] = (y[4 * i] << 24) | (y[4 * i + 1] << 16) | (y[4 * i + 2] << 8) | y[4 * i + 3];
+        }
+        for (let i = 0; i < 128; i++) {
+            if (x[i >>> 3] & (0x80 >>> (i & 7))) {
+                z[0] ^= v[0];
+                z[1] ^= v[1];
+                z[2] ^= v[2];
+                z[3] ^= v[3];
+            }
+            const lsb = v[3] & 1;
+            v[3] = (v[3] >>> 1) | (v[2] << 31);
+            v[2] = (v[2] >>> 1) | (v[1] << 31);
+            v[1] = (v[1] >>> 1) | (v[0] << 31);
+            v[0] = v[0] >>> 1;
+            if (lsb) {
+                v[0] ^= 0xe1000000;
+            }
+        }
+        const result = new Uint8Array(BLOCK_SIZE);
+        for (let i = 0; i < 4; i++) {
+            result[4 * i] = z[i] >>> 24;
+            result[4 * i + 1] = (z[i] >>> 16) & 0xff;
+            result[4 * i + 2] = (z[i] >>> 8) & 0xff;
+            result[4 * i + 3] = z[i] & 0xff;
+        }
+        return result;
+    }
+
+    /**
+     * GHASH：各部分分别补零到整块，最后附加各部分的位长度（各 64 位）
+     * @param {Uint8Array} h - 哈希子密钥
+     * @param {Array<Uint8Array>} parts
+     * @returns {Uint8Array}
+     */
+    function ghash(h, parts) {
+        let y = new Uint8Array(BLOCK_SIZE);
+        const lengths = new Uint8Array(8 * parts.length);
+        const view = new DataView(lengths.buffer);
+
+        parts.forEach((part, index) => {
+            for (let offset = 0; offset < part.length; offset += BLOCK_SIZE) {
+                const block = new Uint8Array(BLOCK_SIZE);
+                block.set(part.subarray(offset, offset + BLOCK_SIZE));
+                y = gfMultiply(xorBytes(y, block), h);
+            }
+            const bits = part.length * 8;
+            view.setUint32(8 * index, Math.floor(bits / 0x100000000));
+            view.setUint32(8 * index + 4, bits >>> 0);
+        });
+        for (let offset = 0; offset < lengths.length; offset += BLOCK_SIZE) {
+            y = gfMultiply(xorBytes(y, lengths.subarray(offset, offset + BLOCK_SIZE)), h);
+        }
+        return y;
+    }
+
+    /**
+     * GCM 加解密（不含标签处理）
+     * @param {Object} cipher
+     * @param {Uint8Array} data
+     * @param {Uint8Array} iv
+     * @param {Uint8Array} aad
+     * @param {boolean} isEncrypt
+     * @returns {{data: Uint8Array, tag: Uint8Array}} - tag 为完整的 16 字节标签
+     */
+    function gcm(cipher, data, iv, aad, isEncrypt) {
+        const h = cipher.encryptBlock(new Uint8Array(BLOCK_SIZE));
+        let j0;
+        if (iv.length === 12) {
+            j0 = new Uint8Array(BLOCK_SIZE);
+            j0.set(iv);
+            j0[BLOCK_SIZE - 1] = 1;
+        } else {
+            // J0 = GHASH(IV || 0^s || 0^64 || len(IV))
+            j0 = ghash(h, [new Uint8Array(0), iv]);
+        }
+
+        const counter = Uint8Array.from(j0);
+        const output = streamBlocks(data, () => {
+            increment(counter, BLOCK_SIZE - 4);
+            return cipher.encryptBlock(counter);
+        }, false, isEncrypt);
+
+        const ciphertext = isEncrypt ? output : data;
+        const tag = xorBytes(cipher.encryptBlock(j0), ghash(h, [aad, ciphertext]));
+        return { data: output, tag };
+    }
+
+    // ========== GCM-SIV ==========
+
+    /**
+     * 字节序反转
+     * @param {Uint8Array} block
+     * @returns {Uint8Array}
+     */
+    function reverseBytes(block) {
+        return Uint8Array.from(block).reverse();
+    }
+
+    /**
+     * POLYVAL（RFC 8452 附录 A）：借助 GHASH 的乘法实现
+     * POLYVAL(H, X1..Xn) = ByteReverse(GHASH(mulX_GHASH(ByteReverse(H)), ByteReverse(X1)..ByteReverse(Xn)))
+     * @param {Uint8Array} h - 认证密钥
+     * @param {Array<Uint8Array>} parts - 各部分分别补零到整块
+     * @returns {Uint8Array}
+     */
+    function polyval(h, parts) {
+        // mulX_GHASH：GHASH 位序下乘以 x，即整体右移一位并按需约简
+        const key = reverseBytes(h);
+        const carry = key[BLOCK_SIZE - 1] & 1;
+        for (let i = BLOCK_SIZE - 1; i > 0; i--) {
+            key[i] = (key[i] >>> 1) | ((key[i - 1] & 1) << 7);
+        }
+        key[0] >>>= 1;
+        if (carry) {
+            key[0] ^= 0xe1;
+        }
+
+        let y = new Uint8Array(BLOCK_SIZE);
+        parts.forEach(part => {
+            for (let offset = 0; offset < part.length; offset += BLOCK_SIZE) {
+                const block = new Uint8Array(BLOCK_SIZE);
+                block.set(part.subarray(offset, offset + BLOCK_SIZE));
+                y = gfMultiply(xorBytes(y, reverseBytes(block)), key);
+            }
+        });
+        return reverseBytes(y);
+    }
+
+    /**
+     * GCM-SIV 加解密（RFC 8452，抗 nonce 重用）
+     * 由密钥生成密钥和 nonce 派生认证密钥与加密密钥，标签同时作为 CTR 的初始计数器
+     * @param {Uint8Array} key - 16 / 32 字节
+     * @param {Uint8Array} data - 加密时为明文，解密时为不含标签的密文
+     * @param {Uint8Array} nonce - 12 字节
+     * @param {Uint8Array} aad
+     * @param {Uint8Array|null} tag - 解密时传入收到的标签
+     * @returns {{data: Uint8Array, tag: Uint8Array}} - tag 为根据明文计算的标签
+     */
+    function gcmSiv(key, data, nonce, aad, tag) {
+        if (key.length !== 16 && key.length !== 32) {
+            throw new Error(`GCM-SIV 密钥长度必须为 16 或 32 字节，当前为 ${key.length} 字节`);
+        }
+        const keyCipher = createCipher(key);
+        const derived = new Uint8Array(16 + key.length);
+        for (let i = 0; i < derived.length / 8; i++) {
+            const block = new Uint8Array(BLOCK_SIZE);
+            new DataView(block.buffer).setUint32(0, i, true);
+            block.set(nonce, 4);
+            derived.set(keyCipher.encryptBlock(block).subarray(0, 8), 8 * i);
+        }
+        const authKey = derived.subarray(0, 16);
+        const cipher = createCipher(derived.subarray(16));
+
+        const ctr = (counterBlock, input) => {
+            const counter = Uint8Array.from(counterBlock);
+            counter[BLOCK_SIZE - 1] |= 0x80;
+            const view = new DataView(counter.buffer);
+            return streamBlocks(input, () => {
+                const keystream = cipher.encryptBlock(counter);
+                view.setUint32(0, (view.getUint32(0, true) + 1) >>> 0, true);
+                return keystream;
+            }, false, true);
+        };
+
+        const plaintext = tag ? ctr(tag, data) : data;
+        const lengths = new Uint8Array(BLOCK_SIZE);
+        const lengthView = new DataView(lengths.buffer);
+        lengthView.setUint32(0, (aad.length * 8) >>> 0, true);
+        lengthView.setUint32(4, Math.floor(aad.length / 0x20000000), true);
+        lengthView.setUint32(8, (plaintext.length * 8) >>> 0, true);
+        lengthView.setUint32(12, Math.floor(plaintext.length / 0x20000000), true);
+
+        const s = polyval(authKey, [aad, plaintext, lengths]);
+        for (let i = 0; i < nonce.length; i++) {
+            s[i] ^= nonce[i];
+        }
+        s[BLOCK_SIZE - 1] &= 0x7f;
+        const expected = cipher.encryptBlock(s);
+        return { data: tag ? plaintext : ctr(expected, data), tag: expected };
+    }
+
+    // ========== 参数校验 ==========
+
+    /**
+     * 校验并规范化加解密选项
+     * @param {Object} options
+     * @returns {Object}
+     */
+    function normalizeOptions(options) {
+        const {
+            mode = 'CBC',
+            iv = new Uint8Array(0),
+            padding = BLOCK_MODES.includes(mode) ? 'pkcs7' : 'none',
+            tagLength = 16,
+            aad = new Uint8Array(0)
+        } = options;
+
+        if (!MODES.includes(mode)) {
+            throw new Error(`不支持的 AES 模式: ${mode}`);
+        }
+        if (!PADDINGS.includes(padding)) {
+            throw new Error(`不支持的填充方式: ${padding}`);
+        }
+        if (mode === 'GCM') {
+            if (iv.length === 0) {
+                throw new Error('GCM 模式的 IV 不能为空');
+            }
+            if (!GCM_TAG_LENGTHS.includes(tagLength)) {
+                throw new Error(`GCM 标签长度必须为 4、8 或 12-16 字节，当前为 ${tagLength} 字节`);
+            }
+        } else if (mode === 'GCM-SIV') {
+            if (iv.length !== 12) {
+                throw new Error(`GCM-SIV 的 nonce 长度必须为 12 字节，当前为 ${iv.length} 字节`);
+            }
+            if (tagLength !== 16) {
+                throw new Error('GCM-SIV 的标签长度固定为 16 字节');
+            }
+        } else if (mode !== 'ECB' && iv.length !== BLOCK_SIZE) {
+            throw new Error(`IV 长度必须为 16 字节，当前为 ${iv.length} 字节`);
+        }
+        return { mode, iv, padding, tagLength, aad };
+    }
+
+    root.REOT.aes = {
+        BLOCK_SIZE,
+        MODES,
+        BLOCK_MODES,
+        AEAD_MODES,
+        PADDINGS,
+        GCM_TAG_LENGTHS,
+
+        createCipher,
+        pad,
+        unpad,
+
+        /**
+         * AES 加密
+         * GCM / GCM-SIV 模式不使用填充，输出为密文 || 标签；其余模式先按 padding 填充
+         * @param {Uint8Array} data - 明文
+         * @param {Uint8Array} key - 16 / 24 / 32 字节（GCM-SIV 为 16 / 32 字节）
+         * @param {Object} [options]
+         * @param {string} [options.mode='CBC'] - ECB | CBC | CFB | CFB8 | OFB | CTR | GCM | GCM-SIV
+         * @param {Uint8Array} [options.iv] - IV（CTR 为初始计数器块，GCM-SIV 为 12 字节 nonce），ECB 不需要
+         * @param {string} [options.padding] - 分组模式默认 pkcs7，流模式默认 none
+         * @param {number} [options.tagLength=16] - GCM 标签字节数（GCM-SIV 固定 16）
+         * @param {Uint8Array} [options.aad] - GCM / GCM-SIV 附加认证数据
+         * @returns {Uint8Array}
+         */
+        encrypt(data, key, options = {}) {
+            const { mode, iv, padding, tagLength, aad } = normalizeOptions(options);
+            if (mode === 'GCM-SIV') {
+                const result = gcmSiv(key, data, iv, aad, null);
+                return concatBytes(result.data, result.tag);
+            }
+            const cipher = createCipher(key);
+            if (mode === 'GCM') {
+                const result = gcm(cipher, data, iv, aad, true);
+                return concatBytes(result.data, result.tag.subarray(0, tagLength));
+            }
+            return runMode(cipher, mode, pad(data, padding), iv, true);
+        },
+
+        /**
+         * AES 解密
+         * 填充无效或认证标签不匹配时不抛出错误，而是在结果中报告（填充无效时返回未去除填充的数据）
+         * @param {Uint8Array} data - 密文（GCM / GCM-SIV 为密文 || 标签）
+         * @param {Uint8Array} key
+         * @param {Object} [options] - 同 encrypt
+         * @returns {{data: Uint8Array, padding: Object|null, tag: {valid: boolean, expected: Uint8Array}|null}}
+         */
+        decrypt(data, key, options = {}) {
+            const { mode, iv, padding, tagLength, aad } = normalizeOptions(options);
+            if (AEAD_MODES.includes(mode)) {
+                if (data.length < tagLength) {
+                    throw new Error(`密文长度不足 ${tagLength} 字节，无法包含认证标签`);
+                }
+                const ciphertext = data.subarray(0, data.length - tagLength);
+                const actual = data.subarray(ciphertext.length);
+                const result = mode === 'GCM'
+                    ? gcm(createCipher(key), ciphertext, iv, aad, false)
+                    : gcmSiv(key, ciphertext, iv, aad, actual);
+                const expected = result.tag.subarray(0, tagLength);
+                return {
+                    data: result.data,
+                    padding: null,
+                    tag: { valid: expected.every((byte, i) => byte === actual[i]), expected }
+                };
+            }
+            const plaintext = runMode(createCipher(key), mode, data, iv, false);
+            return { ...unpad(plaintext, padding), tag: null };
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
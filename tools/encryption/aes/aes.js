@@ -1,6 +1,6 @@
 /**
  * AES 加解密工具
- * @description AES 对称加密与解密，支持多种模式
+ * @description AES 对称加密与解密，支持 ECB / CBC / CFB / CFB8 / OFB / CTR / GCM / GCM-SIV 模式和多种填充方式
  * @author Evil0ctal
  * @license Apache-2.0
  */
@@ -10,14 +10,25 @@
 
     // DOM 元素
     const modeSelect = document.getElementById('mode-select');
+    const paddingSelect = document.getElementById('padding-select');
     const keySizeSelect = document.getElementById('key-size-select');
+    const plaintextFormatSelect = document.getElementById('plaintext-format');
     const outputFormatSelect = document.getElementById('output-format');
+    const keyFormatSelect = document.getElementById('key-format');
     const keyInput = document.getElementById('key-input');
+    const ivFormatSelect = document.getElementById('iv-format');
     const ivInput = document.getElementById('iv-input');
+    const ivRow = document.getElementById('iv-row');
+    const ivHint = document.getElementById('iv-hint');
+    const gcmRow = document.getElementById('gcm-row');
+    const aadFormatSelect = document.getElementById('aad-format');
+    const aadInput = document.getElementById('aad-input');
+    const tagLengthSelect = document.getElementById('tag-length-select');
     const generateKeyBtn = document.getElementById('generate-key-btn');
     const generateIvBtn = document.getElementById('generate-iv-btn');
     const inputEl = document.getElementById('input');
     const outputEl = document.getElementById('output');
+    const decryptStatus = document.getElementById('decrypt-status');
     const encryptBtn = document.getElementById('encrypt-btn');
     const decryptBtn = document.getElementById('decrypt-btn');
     const swapBtn = document.getElementById('swap-btn');
@@ -25,10 +36,46 @@
     const copyBtn = document.getElementById('copy-btn');
     const keyHint = document.getElementById('key-hint');
 
+    // GCM 推荐的 IV 长度，也是 GCM-SIV 要求的 nonce 长度
+    const GCM_IV_SIZE = 12;
+
+    /**
+     * 当前模式是否为认证加密模式（GCM / GCM-SIV）
+     * @returns {boolean}
+     */
+    function isAeadMode() {
+        return ['GCM', 'GCM-SIV'].includes(modeSelect.value);
+    }
+
+    /**
+     * 加载 AES 核心（纯 JS 实现，与操作链共用）
+     * @returns {Promise<Object>} REOT.aes
+     */
+    async function loadCore() {
+        await REOT.loader.loadScript('tools/encryption/aes/aes-core.js');
+        return REOT.aes;
+    }
+
     /**
      * 更新密钥长度提示
+     * 自动补齐模式按所选密钥长度提示；原始密钥按实际长度提示，并同步密钥长度下拉框
      */
     function updateKeyHint() {
+        if (keyFormatSelect && keyFormatSelect.value !== 'auto') {
+            let length = 0;
+            try {
+                length = parseBytes(keyInput.value.trim(), keyFormatSelect.value).length;
+            } catch (e) {
+                // 输入尚未完整，按 0 字节提示
+            }
+            if ([16, 24, 32].includes(length)) {
+                keySizeSelect.value = String(length * 8);
+            }
+            keyHint.removeAttribute('data-i18n');
+            keyHint.textContent = REOT.i18n.t('tools.aes.keyHintRaw', '原始密钥，当前 {length} 字节，需要 16 / 24 / 32 字节', { length });
+            return;
+        }
+
         const keySize = parseInt(keySizeSelect.value);
         const bytes = keySize / 8;
         const i18nKey = `tools.aes.keyHint${keySize}`;
@@ -42,179 +89,168 @@
     }
 
     /**
-     * 生成随机字节
-     * @param {number} length - 字节长度
-     * @returns {Uint8Array}
+     * 按模式显示 IV / GCM 选项
      */
-    function generateRandomBytes(length) {
-        return crypto.getRandomValues(new Uint8Array(length));
-    }
-
-    /**
-     * 字节数组转 Hex 字符串
-     * @param {Uint8Array} bytes
-     * @returns {string}
-     */
-    function bytesToHex(bytes) {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+    function updateModeOptions() {
+        const mode = modeSelect.value;
+        ivRow.hidden = mode === 'ECB';
+        gcmRow.hidden = !isAeadMode();
+        paddingSelect.disabled = isAeadMode();
+        // GCM-SIV 的标签固定为 16 字节
+        tagLengthSelect.disabled = mode === 'GCM-SIV';
+        if (mode === 'GCM-SIV') {
+            tagLengthSelect.value = '16';
+        }
+        if (mode === 'GCM') {
+            ivHint.textContent = REOT.i18n.t('tools.aes.ivHintGcm', '推荐 12 字节 (96 bit)，也支持其他长度');
+        } else if (mode === 'GCM-SIV') {
+            ivHint.textContent = REOT.i18n.t('tools.aes.ivHintGcmSiv', '需要 12 字节 (96 bit) 的 nonce，密钥为 16 或 32 字节');
+        } else {
+            ivHint.textContent = REOT.i18n.t('tools.aes.ivHint', '需要 16 字节 (128 bit)');
+        }
     }
 
     /**
-     * Hex 字符串转字节数组
-     * @param {string} hex
-     * @returns {Uint8Array}
+     * 切换模式：流模式默认不填充，分组模式默认 PKCS7
      */
-    function hexToBytes(hex) {
-        hex = hex.replace(/\s/g, '');
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    function onModeChange() {
+        const isBlockMode = ['ECB', 'CBC'].includes(modeSelect.value);
+        if (!isBlockMode) {
+            paddingSelect.value = 'none';
+        } else if (paddingSelect.value === 'none') {
+            paddingSelect.value = 'pkcs7';
         }
-        return bytes;
+        updateModeOptions();
     }
 
     /**
-     * 字符串转字节数组 (UTF-8)
-     * @param {string} str
+     * 生成随机字节
+     * @param {number} length - 字节长度
      * @returns {Uint8Array}
      */
-    function stringToBytes(str) {
-        return new TextEncoder().encode(str);
+    function generateRandomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
     }
 
     /**
-     * 字节数组转字符串 (UTF-8)
-     * @param {Uint8Array} bytes
+     * 按输入格式输出随机生成的密钥 / IV
+     * @param {number} length - 字节长度
+     * @param {string} format - auto | text | hex | base64
      * @returns {string}
      */
-    function bytesToString(bytes) {
-        return new TextDecoder().decode(bytes);
+    function generateValue(length, format) {
+        const randomBytes = generateRandomBytes(length);
+        if (format === 'base64') {
+            return REOT.bytes.toBase64(randomBytes);
+        }
+        if (format === 'text') {
+            // 文本格式生成可打印字符，保证字节数不变
+            const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+            return Array.from(randomBytes, byte => chars[byte % chars.length]).join('');
+        }
+        return REOT.bytes.toHex(randomBytes);
     }
 
     /**
-     * Base64 编码
-     * @param {Uint8Array} bytes
-     * @returns {string}
+     * 按格式解析输入
+     * @param {string} value
+     * @param {string} format - text | hex | base64
+     * @returns {Uint8Array}
      */
-    function bytesToBase64(bytes) {
-        let binary = '';
-        bytes.forEach(b => binary += String.fromCharCode(b));
-        return btoa(binary);
+    function parseBytes(value, format) {
+        return format === 'text' ? REOT.bytes.fromText(value) : REOT.bytes.parse(value, format);
     }
 
     /**
-     * Base64 解码
-     * @param {string} base64
+     * 自动补齐：长度恰好匹配的 Hex 直接解析，否则按 UTF-8 文本循环填充或截断到目标长度
+     * @param {string} str
+     * @param {number} size - 目标字节数
      * @returns {Uint8Array}
      */
-    function base64ToBytes(base64) {
-        const binary = atob(base64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
+    function fitBytes(str, size) {
+        if (/^[0-9a-fA-F]+$/.test(str) && str.length === size * 2) {
+            return REOT.bytes.fromHex(str);
         }
-        return bytes;
+
+        const bytes = REOT.bytes.fromText(str);
+        const result = new Uint8Array(size);
+
+        for (let i = 0; i < size; i++) {
+            result[i] = bytes[i % bytes.length] || 0;
+        }
+
+        return result;
     }
 
     /**
-     * 获取密钥字节
+     * 获取密钥字节（原始密钥格式下长度由核心校验）
      * @returns {Uint8Array}
      */
     function getKeyBytes() {
         const keyStr = keyInput.value.trim();
-        const keySize = parseInt(keySizeSelect.value) / 8;
-
-        // 尝试解析为 Hex
-        if (/^[0-9a-fA-F]+$/.test(keyStr) && keyStr.length === keySize * 2) {
-            return hexToBytes(keyStr);
-        }
-
-        // 作为 UTF-8 字符串，填充或截断到目标长度
-        const keyBytes = stringToBytes(keyStr);
-        const result = new Uint8Array(keySize);
-
-        for (let i = 0; i < keySize; i++) {
-            result[i] = keyBytes[i % keyBytes.length] || 0;
+        if (keyFormatSelect.value === 'auto') {
+            return fitBytes(keyStr, parseInt(keySizeSelect.value) / 8);
         }
-
-        return result;
+        return parseBytes(keyStr, keyFormatSelect.value);
     }
 
     /**
-     * 获取 IV 字节
+     * 获取 IV 字节（ECB 不需要 IV）
      * @returns {Uint8Array}
      */
     function getIvBytes() {
-        const ivStr = ivInput.value.trim();
-        const ivSize = 16; // AES block size is always 16 bytes
-
-        // 尝试解析为 Hex
-        if (/^[0-9a-fA-F]+$/.test(ivStr) && ivStr.length === ivSize * 2) {
-            return hexToBytes(ivStr);
+        if (modeSelect.value === 'ECB') {
+            return new Uint8Array(0);
         }
-
-        // 作为 UTF-8 字符串，填充或截断到目标长度
-        const ivBytes = stringToBytes(ivStr);
-        const result = new Uint8Array(ivSize);
-
-        for (let i = 0; i < ivSize; i++) {
-            result[i] = ivBytes[i % ivBytes.length] || 0;
+        const ivStr = ivInput.value.trim();
+        if (ivFormatSelect.value === 'auto') {
+            // GCM-SIV 的 nonce 固定 12 字节，其余按分组长度补齐
+            return fitBytes(ivStr, modeSelect.value === 'GCM-SIV' ? GCM_IV_SIZE : 16);
         }
-
-        return result;
+        return parseBytes(ivStr, ivFormatSelect.value);
     }
 
     /**
-     * 导入密钥
-     * @param {Uint8Array} keyBytes
-     * @param {string} mode
-     * @returns {Promise<CryptoKey>}
+     * 收集加解密选项
+     * @returns {Object}
      */
-    async function importKey(keyBytes, mode) {
-        const algorithm = mode === 'GCM' ? 'AES-GCM' : mode === 'CTR' ? 'AES-CTR' : 'AES-CBC';
-        return await crypto.subtle.importKey(
-            'raw',
-            keyBytes,
-            { name: algorithm },
-            false,
-            ['encrypt', 'decrypt']
-        );
+    function getOptions() {
+        const mode = modeSelect.value;
+        return {
+            mode,
+            iv: getIvBytes(),
+            padding: isAeadMode() ? 'none' : paddingSelect.value,
+            tagLength: mode === 'GCM-SIV' ? 16 : parseInt(tagLengthSelect.value),
+            aad: isAeadMode() ? parseBytes(aadInput.value, aadFormatSelect.value) : new Uint8Array(0)
+        };
     }
 
     /**
      * AES 加密
-     * @param {string} plaintext
+     * @param {string} plaintext - 按明文格式解析
      * @returns {Promise<string>}
      */
     async function encrypt(plaintext) {
-        const mode = modeSelect.value;
-        const outputFormat = outputFormatSelect.value;
-
-        const keyBytes = getKeyBytes();
-        const ivBytes = getIvBytes();
-        const plaintextBytes = stringToBytes(plaintext);
-
-        const key = await importKey(keyBytes, mode);
-
-        let algorithm;
-        if (mode === 'GCM') {
-            algorithm = { name: 'AES-GCM', iv: ivBytes };
-        } else if (mode === 'CTR') {
-            algorithm = { name: 'AES-CTR', counter: ivBytes, length: 64 };
-        } else {
-            algorithm = { name: 'AES-CBC', iv: ivBytes };
-        }
-
-        const ciphertext = await crypto.subtle.encrypt(algorithm, key, plaintextBytes);
-        const ciphertextBytes = new Uint8Array(ciphertext);
+        const aes = await loadCore();
+        const plaintextBytes = parseBytes(plaintext, plaintextFormatSelect.value);
+        const ciphertextBytes = aes.encrypt(plaintextBytes, getKeyBytes(), getOptions());
+        return REOT.bytes.format(ciphertextBytes, outputFormatSelect.value);
+    }
 
-        if (outputFormat === 'hex') {
-            return bytesToHex(ciphertextBytes);
-        } else {
-            return bytesToBase64(ciphertextBytes);
-        }
+    /**
+     * AES 解密，同时返回填充和认证标签的校验结果
+     * @param {string} ciphertext - 按输出格式解析
+     * @returns {Promise<{output: string, padding: Object|null, tag: Object|null}>}
+     */
+    async function decryptWithStatus(ciphertext) {
+        const aes = await loadCore();
+        const ciphertextBytes = REOT.bytes.parse(ciphertext, outputFormatSelect.value);
+        const result = aes.decrypt(ciphertextBytes, getKeyBytes(), getOptions());
+        return {
+            output: REOT.bytes.format(result.data, plaintextFormatSelect.value),
+            padding: result.padding,
+            tag: result.tag
+        };
     }
 
     /**
@@ -223,32 +259,36 @@
      * @returns {Promise<string>}
      */
     async function decrypt(ciphertext) {
-        const mode = modeSelect.value;
-        const outputFormat = outputFormatSelect.value;
-
-        const keyBytes = getKeyBytes();
-        const ivBytes = getIvBytes();
-
-        let ciphertextBytes;
-        if (outputFormat === 'hex') {
-            ciphertextBytes = hexToBytes(ciphertext);
-        } else {
-            ciphertextBytes = base64ToBytes(ciphertext);
-        }
-
-        const key = await importKey(keyBytes, mode);
+        return (await decryptWithStatus(ciphertext)).output;
+    }
 
-        let algorithm;
-        if (mode === 'GCM') {
-            algorithm = { name: 'AES-GCM', iv: ivBytes };
-        } else if (mode === 'CTR') {
-            algorithm = { name: 'AES-CTR', counter: ivBytes, length: 64 };
-        } else {
-            algorithm = { name: 'AES-CBC', iv: ivBytes };
+    /**
+     * 显示解密校验结果（填充是否有效 / GCM 标签是否匹配）
+     * @param {Object|null} status - decryptWithStatus() 的返回值，null 时隐藏
+     */
+    function showDecryptStatus(status) {
+        let text = '';
+        let valid = true;
+        if (status?.tag) {
+            valid = status.tag.valid;
+            text = valid
+                ? REOT.i18n.t('tools.aes.tagValid', '认证标签校验通过')
+                : REOT.i18n.t('tools.aes.tagInvalid', '认证标签校验失败，输出的明文未经认证（计算得到的标签: {tag}）', { tag: REOT.bytes.toHex(status.tag.expected) });
+        } else if (status?.padding && status.padding.scheme !== 'none') {
+            valid = status.padding.valid;
+            const scheme = paddingSelect.selectedOptions[0]?.textContent || status.padding.scheme;
+            text = valid
+                ? REOT.i18n.t('tools.aes.paddingValid', '填充有效（{scheme}，去除 {length} 字节）', {
+                    scheme,
+                    length: status.padding.length
+                })
+                : REOT.i18n.t('tools.aes.paddingInvalid', '填充无效: {reason}，输出的是未去除填充的数据', { reason: status.padding.reason });
         }
 
-        const plaintext = await crypto.subtle.decrypt(algorithm, key, ciphertextBytes);
-        return bytesToString(new Uint8Array(plaintext));
+        decryptStatus.hidden = !text;
+        decryptStatus.textContent = text;
+        decryptStatus.classList.toggle('success', Boolean(text) && valid);
+        decryptStatus.classList.toggle('error', Boolean(text) && !valid);
     }
 
     /**
@@ -257,6 +297,7 @@
      */
     function showError(message) {
         outputEl.value = `错误: ${message}`;
+        showDecryptStatus(null);
         if (window.REOT?.utils?.showNotification) {
             window.REOT.utils.showNotification(message, 'error');
         }
@@ -267,18 +308,29 @@
         keySizeSelect.addEventListener('change', updateKeyHint);
     }
 
+    if (keyFormatSelect) {
+        keyFormatSelect.addEventListener('change', updateKeyHint);
+        keyInput.addEventListener('input', updateKeyHint);
+    }
+
+    if (modeSelect) {
+        modeSelect.addEventListener('change', onModeChange);
+    }
+
     if (generateKeyBtn) {
         generateKeyBtn.addEventListener('click', () => {
             const keySize = parseInt(keySizeSelect.value) / 8;
-            const keyBytes = generateRandomBytes(keySize);
-            keyInput.value = bytesToHex(keyBytes);
+            keyInput.value = generateValue(keySize, keyFormatSelect.value);
+            updateKeyHint();
         });
     }
 
     if (generateIvBtn) {
         generateIvBtn.addEventListener('click', () => {
-            const ivBytes = generateRandomBytes(16);
-            ivInput.value = bytesToHex(ivBytes);
+            // 自动补齐格式下 GCM 的 IV 按 16 字节处理，GCM-SIV 始终为 12 字节
+            const isGcm = modeSelect.value === 'GCM' && ivFormatSelect.value !== 'auto';
+            const ivSize = isGcm || modeSelect.value === 'GCM-SIV' ? GCM_IV_SIZE : 16;
+            ivInput.value = generateValue(ivSize, ivFormatSelect.value);
         });
     }
 
@@ -294,13 +346,14 @@
                     showError('请输入密钥');
                     return;
                 }
-                if (!ivInput.value.trim()) {
+                if (modeSelect.value !== 'ECB' && !ivInput.value.trim()) {
                     showError('请输入 IV 向量');
                     return;
                 }
 
                 const result = await encrypt(input);
                 outputEl.value = result;
+                showDecryptStatus(null);
             } catch (error) {
                 showError(error.message);
             }
@@ -319,13 +372,14 @@
                     showError('请输入密钥');
                     return;
                 }
-                if (!ivInput.value.trim()) {
+                if (modeSelect.value !== 'ECB' && !ivInput.value.trim()) {
                     showError('请输入 IV 向量');
                     return;
                 }
 
-                const result = await decrypt(input);
-                outputEl.value = result;
+                const result = await decryptWithStatus(input);
+                outputEl.value = result.output;
+                showDecryptStatus(result);
             } catch (error) {
                 showError('解密失败: ' + error.message);
             }
@@ -344,6 +398,7 @@
         clearBtn.addEventListener('click', () => {
             inputEl.value = '';
             outputEl.value = '';
+            showDecryptStatus(null);
         });
     }
 
@@ -360,6 +415,7 @@
 
     // 初始化
     updateKeyHint();
+    updateModeOptions();
 
     // 导出到全局
     window.AESTool = { encrypt, decrypt };
@@ -8,58 +8,6 @@
 (function() {
     'use strict';
 
-    let cryptoJsLoadPromise = null;
-
-    /**
-     * 动态加载 CryptoJS 库
-     */
-    function loadCryptoJS() {
-        if (cryptoJsLoadPromise) {
-            return cryptoJsLoadPromise;
-        }
-
-        if (window.CryptoJS && window.CryptoJS.Blowfish) {
-            return Promise.resolve();
-        }
-
-        cryptoJsLoadPromise = new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/crypto-js@4.2.0/crypto-js.min.js';
-
-            script.onload = () => {
-                const checkGlobal = () => {
-                    if (window.CryptoJS && window.CryptoJS.Blowfish) {
-                        resolve();
-                    } else {
-                        setTimeout(checkGlobal, 10);
-                    }
-                };
-                checkGlobal();
-            };
-
-            script.onerror = () => {
-                cryptoJsLoadPromise = null;
-                reject(new Error('无法加载 CryptoJS 库'));
-            };
-
-            document.head.appendChild(script);
-        });
-
-        return cryptoJsLoadPromise;
-    }
-
-    /**
-     * 确保库已加载
-     */
-    async function ensureLibraryLoaded() {
-        if (!window.CryptoJS || !window.CryptoJS.Blowfish) {
-            await loadCryptoJS();
-        }
-        if (!window.CryptoJS || !window.CryptoJS.Blowfish) {
-            throw new Error('CryptoJS Blowfish 模块加载失败');
-        }
-    }
-
     /**
      * 检查当前是否在 Blowfish 工具页面
      */
@@ -73,7 +21,7 @@
      */
     function generateRandomHex(length) {
         const bytes = crypto.getRandomValues(new Uint8Array(length));
-        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+        return REOT.bytes.toHex(bytes);
     }
 
     /**
@@ -153,7 +101,7 @@
      * Blowfish 加密
      */
     async function encrypt(plaintext) {
-        await ensureLibraryLoaded();
+        await REOT.loader.load('crypto-js');
 
         const config = getCryptoConfig();
 
@@ -201,7 +149,7 @@
      * Blowfish 解密
      */
     async function decrypt(ciphertext) {
-        await ensureLibraryLoaded();
+        await REOT.loader.load('crypto-js');
 
         const config = getCryptoConfig();
 
@@ -369,7 +317,7 @@
     }
 
     // 预加载 CryptoJS
-    loadCryptoJS().catch(err => console.warn('CryptoJS 预加载失败:', err.message));
+    REOT.loader.preload('crypto-js');
 
     // 页面加载完成后初始化
     if (document.readyState === 'loading') {
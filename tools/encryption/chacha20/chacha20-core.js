@@ -0,0 +1,611 @@
+/**
+ * ChaCha20 / Salsa20 计算核心
+ * @description 纯 JS 实现的 ChaCha20、XChaCha20、Salsa20、XSalsa20 流密码与 Poly1305，
+ *     提供 ChaCha20-Poly1305（RFC 8439）、XChaCha20-Poly1305 和 XSalsa20-Poly1305 认证加密，
+ *     以及与 libsodium crypto_secretbox / crypto_box 兼容的封装
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    const KEY_LENGTH = 32;
+    const TAG_LENGTH = 16;
+    const BLOCK_LENGTH = 64;
+
+    // "expand 32-byte k"
+    const SIGMA = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+    /**
+     * 支持的算法
+     * nonceLengths 的第一项为默认长度；ChaCha20 的 8 字节 nonce 为原始（DJB）版本，计数器为 64 位
+     * tagFirst 表示组合格式为 标签 || 密文（libsodium secretbox）
+     */
+    const ALGORITHMS = {
+        'chacha20': { name: 'ChaCha20', nonceLengths: [12, 8], aead: false },
+        'xchacha20': { name: 'XChaCha20', nonceLengths: [24], aead: false },
+        'salsa20': { name: 'Salsa20', nonceLengths: [8], aead: false },
+        'xsalsa20': { name: 'XSalsa20', nonceLengths: [24], aead: false },
+        'chacha20-poly1305': { name: 'ChaCha20-Poly1305', nonceLengths: [12], aead: true, aad: true },
+        'xchacha20-poly1305': { name: 'XChaCha20-Poly1305', nonceLengths: [24], aead: true, aad: true },
+        'xsalsa20-poly1305': { name: 'XSalsa20-Poly1305', nonceLengths: [24], aead: true, aad: false, tagFirst: true }
+    };
+
+    // ========== 工具函数 ==========
+
+    /**
+     * 32 位循环左移
+     * @param {number} v
+     * @param {number} n
+     * @returns {number}
+     */
+    function rotl(v, n) {
+        return (v << n) | (v >>> (32 - n));
+    }
+
+    /**
+     * 按小端序读取 32 位字
+     * @param {Uint8Array} bytes
+     * @param {number} [count] - 字数，默认读取全部
+     * @returns {Array<number>}
+     */
+    function toWords(bytes, count = bytes.length / 4) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        return Array.from({ length: count }, (_, i) => view.getUint32(4 * i, true));
+    }
+
+    /**
+     * 32 位字按小端序写出
+     * @param {Array<number>|Uint32Array} words
+     * @returns {Uint8Array}
+     */
+    function fromWords(words) {
+        const bytes = new Uint8Array(4 * words.length);
+        const view = new DataView(bytes.buffer);
+        words.forEach((word, i) => view.setUint32(4 * i, word >>> 0, true));
+        return bytes;
+    }
+
+    /**
+     * 小端序字节转 BigInt
+     * @param {Uint8Array} bytes
+     * @returns {bigint}
+     */
+    function fromLittleEndian(bytes) {
+        let value = 0n;
+        for (let i = bytes.length - 1; i >= 0; i--) {
+            value = (value << 8n) | BigInt(bytes[i]);
+        }
+        return value;
+    }
+
+    /**
+     * BigInt 转定长小端序字节
+     * @param {bigint} value
+     * @param {number} length
+     * @returns {Uint8Array}
+     */
+    function toLittleEndian(value, length) {
+        const bytes = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            bytes[i] = Number(value & 0xffn);
+            value >>= 8n;
+        }
+        return bytes;
+    }
+
+    /**
+     * 比较两个字节数组是否相等
+     * @param {Uint8Array} a
+     * @param {Uint8Array} b
+     * @returns {boolean}
+     */
+    function equalBytes(a, b) {
+        return a.length === b.length && a.every((byte, i) => byte === b[i]);
+    }
+
+    // ========== 核心置换 ==========
+
+    /**
+     * ChaCha 核心：20 轮后可选地加上输入状态
+     * @param {Array<number>} input - 16 个 32 位字
+     * @param {boolean} addInput - HChaCha20 不加输入
+     * @returns {Int32Array}
+     */
+    function chachaCore(input, addInput) {
+        const x = Int32Array.from(input);
+        const quarter = (a, b, c, d) => {
+            x[a] += x[b]; x[d] = rotl(x[d] ^ x[a], 16);
+            x[c] += x[d]; x[b] = rotl(x[b] ^ x[c], 12);
+            x[a] += x[b]; x[d] = rotl(x[d] ^ x[a], 8);
+            x[c] += x[d]; x[b] = rotl(x[b] ^ x[c], 7);
+        };
+        for (let i = 0; i < 10; i++) {
+            quarter(0, 4, 8, 12);
+            quarter(1, 5, 9, 13);
+            quarter(2, 6, 10, 14);
+            quarter(3, 7, 11, 15);
+            quarter(0, 5, 10, 15);
+            quarter(1, 6, 11, 12);
+            quarter(2, 7, 8, 13);
+            quarter(3, 4, 9, 14);
+        }
+        if (addInput) {
+            for (let i = 0; i < 16; i++) {
+                x[i] += input[i];
+            }
+        }
+        return x;
+    }
+
+    /**
+     * Salsa20 核心：20 轮后可选地加上输入状态
+     * @param {Array<number>} input - 16 个 32 位字
+     * @param {boolean} addInput - HSalsa20 不加输入
+     * @returns {Int32Array}
+     */
+    function salsaCore(input, addInput) {
+        const x = Int32Array.from(input);
+        const quarter = (a, b, c, d) => {
+            x[b] ^= rotl(x[a] + x[d], 7);
+            x[c] ^= rotl(x[b] + x[a], 9);
+            x[d] ^= rotl(x[c] + x[b], 13);
+            x[a] ^= rotl(x[d] + x[c], 18);
+        };
+        for (let i = 0; i < 10; i++) {
+            // 列变换
+            quarter(0, 4, 8, 12);
+            quarter(5, 9, 13, 1);
+            quarter(10, 14, 2, 6);
+            quarter(15, 3, 7, 11);
+            // 行变换
+            quarter(0, 1, 2, 3);
+            quarter(5, 6, 7, 4);
+            quarter(10, 11, 8, 9);
+            quarter(15, 12, 13, 14);
+        }
+        if (addInput) {
+            for (let i = 0; i < 16; i++) {
+                x[i] += input[i];
+            }
+        }
+        return x;
+    }
+
+    /**
+     * ChaCha20 初始状态
+     * @param {Uint8Array} key - 32 字节
+     * @param {Uint8Array} nonce - 12 字节（IETF）或 8 字节（原始版本）
+     * @returns {Array<number>} - 计数器位于第 12 个字（8 字节 nonce 时为第 12、13 个字）
+     */
+    function chachaState(key, nonce) {
+        const counterWords = nonce.length === 8 ? [0, 0] : [0];
+        return [...SIGMA, ...toWords(key), ...counterWords, ...toWords(nonce)];
+    }
+
+    /**
+     * Salsa20 初始状态
+     * @param {Uint8Array} key - 32 字节
+     * @param {Uint8Array} input - 8 字节 nonce（计数器随后填入）或 16 字节（HSalsa20）
+     * @returns {Array<number>}
+     */
+    function salsaState(key, input) {
+        const k = toWords(key);
+        const n = toWords(input);
+        while (n.length < 4) {
+            n.push(0);
+        }
+        return [
+            SIGMA[0], k[0], k[1], k[2],
+            k[3], SIGMA[1], n[0], n[1],
+            n[2], n[3], SIGMA[2], k[4],
+            k[5], k[6], k[7], SIGMA[3]
+        ];
+    }
+
+    /**
+     * HChaCha20：由密钥和 16 字节 nonce 派生子密钥（XChaCha20 使用）
+     * @param {Uint8Array} key - 32 字节
+     * @param {Uint8Array} nonce - 16 字节
+     * @returns {Uint8Array} - 32 字节
+     */
+    function hchacha20(key, nonce) {
+        const x = chachaCore([...SIGMA, ...toWords(key), ...toWords(nonce)], false);
+        return fromWords([x[0], x[1], x[2], x[3], x[12], x[13], x[14], x[15]]);
+    }
+
+    /**
+     * HSalsa20：由密钥和 16 字节输入派生子密钥（XSalsa20 与 crypto_box 使用）
+     * @param {Uint8Array} key - 32 字节
+     * @param {Uint8Array} input - 16 字节
+     * @returns {Uint8Array} - 32 字节
+     */
+    function hsalsa20(key, input) {
+        const x = salsaCore(salsaState(key, input), false);
+        return fromWords([x[0], x[5], x[10], x[15], x[6], x[7], x[8], x[9]]);
+    }
+
+    /**
+     * 生成密钥流并与数据异或
+     * @param {Array<number>} state - 初始状态
+     * @param {Function} core - chachaCore | salsaCore
+     * @param {Array<number>} counterIndex - 计数器所在的字（低位在前）
+     * @param {Uint8Array} data
+     * @param {number} counter - 起始块计数
+     * @returns {Uint8Array}
+     */
+    function xorKeystream(state, core, counterIndex, data, counter) {
+        const blocks = Math.ceil(data.length / BLOCK_LENGTH);
+        if (counterIndex.length === 1 && counter + blocks > 0x100000000) {
+            throw new Error('块计数器超出 32 位范围');
+        }
+        const result = new Uint8Array(data.length);
+        for (let block = 0; block < blocks; block++) {
+            const value = counter + block;
+            state[counterIndex[0]] = value >>> 0;
+            if (counterIndex.length > 1) {
+                state[counterIndex[1]] = Math.floor(value / 0x100000000) >>> 0;
+            }
+            const keystream = fromWords(core(state, true));
+            const offset = block * BLOCK_LENGTH;
+            const end = Math.min(offset + BLOCK_LENGTH, data.length);
+            for (let i = offset; i < end; i++) {
+                result[i] = data[i] ^ keystream[i - offset];
+            }
+        }
+        return result;
+    }
+
+    // ========== 流密码 ==========
+
+    /**
+     * 校验算法、密钥与 nonce
+     * @param {string} algorithm
+     * @param {Uint8Array} key
+     * @param {Uint8Array} nonce
+     * @returns {Object} - ALGORITHMS 中的定义
+     */
+    function checkParams(algorithm, key, nonce) {
+        const spec = ALGORITHMS[algorithm];
+        if (!spec) {
+            throw new Error(`不支持的算法: ${algorithm}`);
+        }
+        if (!(key instanceof Uint8Array) || key.length !== KEY_LENGTH) {
+            throw new Error(`密钥长度必须为 ${KEY_LENGTH} 字节，当前为 ${key?.length || 0} 字节`);
+        }
+        if (!(nonce instanceof Uint8Array) || !spec.nonceLengths.includes(nonce.length)) {
+            throw new Error(`${spec.name} 的 nonce 长度必须为 ${spec.nonceLengths.join(' 或 ')} 字节，当前为 ${nonce?.length || 0} 字节`);
+        }
+        return spec;
+    }
+
+    /**
+     * 用流密码加解密（加密与解密相同）
+     * @param {string} algorithm - chacha20 | xchacha20 | salsa20 | xsalsa20（AEAD 名称取其底层流密码）
+     * @param {Uint8Array} data
+     * @param {Uint8Array} key - 32 字节
+     * @param {Uint8Array} nonce
+     * @param {number} [counter=0] - 起始块计数
+     * @returns {Uint8Array}
+     */
+    function streamXor(algorithm, data, key, nonce, counter = 0) {
+        const cipher = algorithm.replace(/-poly1305$/, '');
+        checkParams(cipher, key, nonce);
+        if (!Number.isSafeInteger(counter) || counter < 0) {
+            throw new Error(`计数器必须为非负整数，当前为 ${counter}`);
+        }
+
+        switch (cipher) {
+        case 'chacha20':
+            return xorKeystream(chachaState(key, nonce), chachaCore, nonce.length === 8 ? [12, 13] : [12], data, counter);
+        case 'xchacha20': {
+            const subNonce = new Uint8Array(12);
+            subNonce.set(nonce.subarray(16), 4);
+            return xorKeystream(chachaState(hchacha20(key, nonce.subarray(0, 16)), subNonce), chachaCore, [12], data, counter);
+        }
+        case 'salsa20':
+            return xorKeystream(salsaState(key, nonce), salsaCore, [8, 9], data, counter);
+        default:
+            return xorKeystream(salsaState(hsalsa20(key, nonce.subarray(0, 16)), nonce.subarray(16)), salsaCore, [8, 9], data, counter);
+        }
+    }
+
+    // ========== Poly1305 ==========
+
+    const P1305 = (1n << 130n) - 5n;
+    const R_CLAMP = 0x0ffffffc0ffffffc0ffffffc0fffffffn;
+    const MASK128 = (1n << 128n) - 1n;
+
+    /**
+     * Poly1305 一次性消息认证码
+     * @param {Uint8Array} message
+     * @param {Uint8Array} key - 32 字节（r || s），同一密钥只能使用一次
+     * @returns {Uint8Array} - 16 字节标签
+     */
+    function poly1305(message, key) {
+        if (key.length !== 32) {
+            throw new Error(`Poly1305 密钥长度必须为 32 字节，当前为 ${key.length} 字节`);
+        }
+        const r = fromLittleEndian(key.subarray(0, 16)) & R_CLAMP;
+        const s = fromLittleEndian(key.subarray(16, 32));
+        let h = 0n;
+        for (let offset = 0; offset < message.length; offset += 16) {
+            const block = message.subarray(offset, offset + 16);
+            // 每块末尾附加 0x01
+            h = ((h + fromLittleEndian(block) + (1n << BigInt(8 * block.length))) * r) % P1305;
+        }
+        return toLittleEndian((h + s) & MASK128, TAG_LENGTH);
+    }
+
+    /**
+     * RFC 8439 的 MAC 输入：AAD 与密文分别补零到 16 字节，再附加两者的 64 位长度
+     * @param {Uint8Array} aad
+     * @param {Uint8Array} ciphertext
+     * @returns {Uint8Array}
+     */
+    function macData(aad, ciphertext) {
+        const padded = length => Math.ceil(length / 16) * 16;
+        const result = new Uint8Array(padded(aad.length) + padded(ciphertext.length) + 16);
+        const view = new DataView(result.buffer);
+        result.set(aad);
+        result.set(ciphertext, padded(aad.length));
+        const offset = result.length - 16;
+        view.setUint32(offset, aad.length >>> 0, true);
+        view.setUint32(offset + 4, Math.floor(aad.length / 0x100000000), true);
+        view.setUint32(offset + 8, ciphertext.length >>> 0, true);
+        view.setUint32(offset + 12, Math.floor(ciphertext.length / 0x100000000), true);
+        return result;
+    }
+
+    // ========== 认证加密 ==========
+
+    /**
+     * 计算认证标签并加解密
+     * ChaCha20 系列：Poly1305 密钥为块 0 的前 32 字节，数据从块 1 开始；
+     * XSalsa20-Poly1305（secretbox）：Poly1305 密钥为密钥流前 32 字节，数据紧随其后，只认证密文
+     * @param {string} algorithm
+     * @param {Uint8Array} data
+     * @param {Uint8Array} key
+     * @param {Uint8Array} nonce
+     * @param {Uint8Array} aad
+     * @param {boolean} isEncrypt
+     * @returns {{data: Uint8Array, tag: Uint8Array}} - tag 为根据密文计算的标签
+     */
+    function aead(algorithm, data, key, nonce, aad, isEncrypt) {
+        const spec = checkParams(algorithm, key, nonce);
+        if (!spec.aead) {
+            throw new Error(`${spec.name} 不是认证加密算法`);
+        }
+        if (!spec.aad && aad.length > 0) {
+            throw new Error(`${spec.name}（secretbox）不支持附加认证数据`);
+        }
+
+        if (spec.tagFirst) {
+            const stream = streamXor(algorithm, root.REOT.bytes.concat([new Uint8Array(32), data]), key, nonce);
+            const output = stream.subarray(32);
+            return { data: output, tag: poly1305(isEncrypt ? output : data, stream.subarray(0, 32)) };
+        }
+
+        const polyKey = streamXor(algorithm, new Uint8Array(32), key, nonce, 0);
+        const output = streamXor(algorithm, data, key, nonce, 1);
+        return { data: output, tag: poly1305(macData(aad, isEncrypt ? output : data), polyKey) };
+    }
+
+    /**
+     * 规范化加解密选项
+     * @param {Object} options
+     * @returns {Object}
+     */
+    function normalizeOptions(options) {
+        const {
+            algorithm = 'chacha20',
+            nonce = new Uint8Array(0),
+            aad = new Uint8Array(0),
+            counter = 0,
+            prefixNonce = false
+        } = options;
+        if (!ALGORITHMS[algorithm]) {
+            throw new Error(`不支持的算法: ${algorithm}`);
+        }
+        return { algorithm, spec: ALGORITHMS[algorithm], nonce, aad, counter, prefixNonce };
+    }
+
+    // ========== X25519 与 crypto_box ==========
+
+    const P25519 = (1n << 255n) - 19n;
+
+    /**
+     * 模 p 幂
+     * @param {bigint} base
+     * @param {bigint} exponent
+     * @returns {bigint}
+     */
+    function powMod(base, exponent) {
+        let result = 1n;
+        base %= P25519;
+        while (exponent > 0n) {
+            if (exponent & 1n) {
+                result = (result * base) % P25519;
+            }
+            base = (base * base) % P25519;
+            exponent >>= 1n;
+        }
+        return result;
+    }
+
+    /**
+     * X25519 标量乘（RFC 7748 蒙哥马利阶梯）
+     * @param {Uint8Array} scalar - 32 字节私钥（自动钳位）
+     * @param {Uint8Array} u - 32 字节公钥（u 坐标）
+     * @returns {Uint8Array} - 32 字节
+     */
+    function x25519(scalar, u) {
+        if (scalar.length !== 32 || u.length !== 32) {
+            throw new Error(`X25519 的私钥和公钥都必须为 32 字节，当前为 ${scalar.length} / ${u.length} 字节`);
+        }
+        const k = Uint8Array.from(scalar);
+        k[0] &= 248;
+        k[31] = (k[31] & 127) | 64;
+        const n = fromLittleEndian(k);
+        const uBytes = Uint8Array.from(u);
+        uBytes[31] &= 127;
+        const x1 = fromLittleEndian(uBytes) % P25519;
+
+        const mod = value => ((value % P25519) + P25519) % P25519;
+        let [x2, z2, x3, z3] = [1n, 0n, x1, 1n];
+        let swap = 0n;
+        for (let t = 254n; t >= 0n; t--) {
+            const bit = (n >> t) & 1n;
+            if (swap ^ bit) {
+                [x2, x3] = [x3, x2];
+                [z2, z3] = [z3, z2];
+            }
+            swap = bit;
+            const a = x2 + z2;
+            const aa = mod(a * a);
+            const b = x2 - z2;
+            const bb = mod(b * b);
+            const e = aa - bb;
+            const da = mod((x3 - z3) * a);
+            const cb = mod((x3 + z3) * b);
+            x3 = mod((da + cb) ** 2n);
+            z3 = mod(x1 * mod((da - cb) ** 2n));
+            x2 = mod(aa * bb);
+            z2 = mod(e * (aa + 121665n * e));
+        }
+        if (swap) {
+            [x2, z2] = [x3, z3];
+        }
+        return toLittleEndian(mod(x2 * powMod(z2, P25519 - 2n)), 32);
+    }
+
+    /**
+     * 由 X25519 私钥计算公钥
+     * @param {Uint8Array} secretKey - 32 字节
+     * @returns {Uint8Array}
+     */
+    function getPublicKey(secretKey) {
+        const base = new Uint8Array(32);
+        base[0] = 9;
+        return x25519(secretKey, base);
+    }
+
+    /**
+     * crypto_box_beforenm：X25519 共享密钥经 HSalsa20 得到 secretbox 密钥
+     * @param {Uint8Array} publicKey - 对方公钥
+     * @param {Uint8Array} secretKey - 己方私钥
+     * @returns {Uint8Array} - 32 字节
+     */
+    function boxKey(publicKey, secretKey) {
+        const shared = x25519(secretKey, publicKey);
+        if (shared.every(byte => byte === 0)) {
+            throw new Error('共享密钥为全零，对方公钥是小阶点');
+        }
+        return hsalsa20(shared, new Uint8Array(16));
+    }
+
+    root.REOT.chacha20 = {
+        KEY_LENGTH,
+        TAG_LENGTH,
+        ALGORITHMS,
+
+        hchacha20,
+        hsalsa20,
+        streamXor,
+        poly1305,
+        x25519,
+        getPublicKey,
+        boxKey,
+
+        /**
+         * 加密
+         * 流密码直接输出密文；ChaCha20 / XChaCha20-Poly1305 输出 密文 || 标签，
+         * XSalsa20-Poly1305 与 libsodium crypto_secretbox_easy 一致输出 标签 || 密文
+         * @param {Uint8Array} data - 明文
+         * @param {Uint8Array} key - 32 字节
+         * @param {Object} options
+         * @param {string} [options.algorithm='chacha20'] - ALGORITHMS 中的名称
+         * @param {Uint8Array} options.nonce
+         * @param {Uint8Array} [options.aad] - ChaCha20 / XChaCha20-Poly1305 的附加认证数据
+         * @param {number} [options.counter=0] - 流密码的起始块计数
+         * @param {boolean} [options.prefixNonce=false] - 在输出前附加 nonce（如 PyNaCl 的组合格式）
+         * @returns {Uint8Array}
+         */
+        encrypt(data, key, options = {}) {
+            const { algorithm, spec, nonce, aad, counter, prefixNonce } = normalizeOptions(options);
+            let output;
+            if (spec.aead) {
+                const result = aead(algorithm, data, key, nonce, aad, true);
+                output = spec.tagFirst ? root.REOT.bytes.concat([result.tag, result.data]) : root.REOT.bytes.concat([result.data, result.tag]);
+            } else {
+                output = streamXor(algorithm, data, key, nonce, counter);
+            }
+            return prefixNonce ? root.REOT.bytes.concat([nonce, output]) : output;
+        },
+
+        /**
+         * 解密
+         * 标签不匹配时不抛出错误，而是在结果中报告（输出的明文未经认证）
+         * @param {Uint8Array} data - 与 encrypt 的输出格式相同
+         * @param {Uint8Array} key
+         * @param {Object} options - 同 encrypt；prefixNonce 为 true 时从数据开头读取 nonce
+         * @returns {{data: Uint8Array, nonce: Uint8Array, tag: {valid: boolean, expected: Uint8Array, actual: Uint8Array}|null}}
+         */
+        decrypt(data, key, options = {}) {
+            const { algorithm, spec, aad, counter, prefixNonce } = normalizeOptions(options);
+            let { nonce } = options;
+            if (prefixNonce) {
+                const length = spec.nonceLengths[0];
+                if (data.length < length) {
+                    throw new Error(`数据长度不足 ${length} 字节，无法包含 nonce`);
+                }
+                nonce = data.subarray(0, length);
+                data = data.subarray(length);
+            }
+            if (!spec.aead) {
+                return { data: streamXor(algorithm, data, key, nonce, counter), nonce, tag: null };
+            }
+
+            if (data.length < TAG_LENGTH) {
+                throw new Error(`密文长度不足 ${TAG_LENGTH} 字节，无法包含认证标签`);
+            }
+            const actual = spec.tagFirst ? data.subarray(0, TAG_LENGTH) : data.subarray(data.length - TAG_LENGTH);
+            const ciphertext = spec.tagFirst ? data.subarray(TAG_LENGTH) : data.subarray(0, data.length - TAG_LENGTH);
+            const result = aead(algorithm, ciphertext, key, nonce, aad, false);
+            return {
+                data: result.data,
+                nonce,
+                tag: { valid: equalBytes(result.tag, actual), expected: result.tag, actual }
+            };
+        },
+
+        /**
+         * crypto_box_easy：X25519 + XSalsa20-Poly1305，输出 标签 || 密文
+         * @param {Uint8Array} data
+         * @param {Uint8Array} secretKey - 己方私钥
+         * @param {Uint8Array} publicKey - 对方公钥
+         * @param {Object} options - nonce 与 prefixNonce，同 encrypt
+         * @returns {Uint8Array}
+         */
+        box(data, secretKey, publicKey, options = {}) {
+            return this.encrypt(data, boxKey(publicKey, secretKey), { ...options, algorithm: 'xsalsa20-poly1305' });
+        },
+
+        /**
+         * crypto_box_open_easy
+         * @param {Uint8Array} data
+         * @param {Uint8Array} secretKey - 己方私钥
+         * @param {Uint8Array} publicKey - 对方公钥
+         * @param {Object} options - 同 decrypt
+         * @returns {Object} - 同 decrypt
+         */
+        boxOpen(data, secretKey, publicKey, options = {}) {
+            return this.decrypt(data, boxKey(publicKey, secretKey), { ...options, algorithm: 'xsalsa20-poly1305' });
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
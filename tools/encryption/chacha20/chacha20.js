@@ -1,6 +1,7 @@
 /**
  * ChaCha20 加解密工具
- * @description ChaCha20 流加密算法
+ * @description ChaCha20 / XChaCha20 / Salsa20 / XSalsa20 流加密，ChaCha20-Poly1305、XChaCha20-Poly1305、
+ *     XSalsa20-Poly1305 认证加密，以及 libsodium crypto_secretbox / crypto_box 兼容格式
  * @author Evil0ctal
  * @license Apache-2.0
  */
@@ -8,504 +9,308 @@
 (function() {
     'use strict';
 
+    // crypto_box 以 XSalsa20-Poly1305 加密，密钥由 X25519 协商
+    const BOX_VARIANT = 'box';
+
     /**
-     * ChaCha20 核心实现
-     * 基于 RFC 7539 规范
+     * 加载 ChaCha20 核心
+     * @returns {Promise<Object>} REOT.chacha20
      */
-    class ChaCha20 {
-        constructor(key, nonce, counter = 0) {
-            if (key.length !== 32) {
-                throw new Error('密钥必须是 32 字节');
-            }
-            if (nonce.length !== 12) {
-                throw new Error('Nonce 必须是 12 字节');
-            }
-
-            this.key = key;
-            this.nonce = nonce;
-            this.counter = counter;
-        }
-
-        /**
-         * Quarter Round 操作
-         */
-        static quarterRound(state, a, b, c, d) {
-            state[a] = (state[a] + state[b]) >>> 0;
-            state[d] = ChaCha20.rotl32(state[d] ^ state[a], 16);
-            state[c] = (state[c] + state[d]) >>> 0;
-            state[b] = ChaCha20.rotl32(state[b] ^ state[c], 12);
-            state[a] = (state[a] + state[b]) >>> 0;
-            state[d] = ChaCha20.rotl32(state[d] ^ state[a], 8);
-            state[c] = (state[c] + state[d]) >>> 0;
-            state[b] = ChaCha20.rotl32(state[b] ^ state[c], 7);
-        }
-
-        /**
-         * 32位左旋转
-         */
-        static rotl32(v, n) {
-            return ((v << n) | (v >>> (32 - n))) >>> 0;
-        }
-
-        /**
-         * 小端序读取 32 位整数
-         */
-        static littleEndian32(data, offset) {
-            return (data[offset] |
-                    (data[offset + 1] << 8) |
-                    (data[offset + 2] << 16) |
-                    (data[offset + 3] << 24)) >>> 0;
-        }
-
-        /**
-         * 小端序写入 32 位整数
-         */
-        static storeLittleEndian32(data, offset, value) {
-            data[offset] = value & 0xff;
-            data[offset + 1] = (value >>> 8) & 0xff;
-            data[offset + 2] = (value >>> 16) & 0xff;
-            data[offset + 3] = (value >>> 24) & 0xff;
-        }
-
-        /**
-         * 生成 ChaCha20 块
-         */
-        generateBlock(counter) {
-            // 初始化状态
-            // "expand 32-byte k"
-            const state = new Uint32Array([
-                0x61707865, 0x3320646e, 0x79622d32, 0x6b206574,
-                ChaCha20.littleEndian32(this.key, 0),
-                ChaCha20.littleEndian32(this.key, 4),
-                ChaCha20.littleEndian32(this.key, 8),
-                ChaCha20.littleEndian32(this.key, 12),
-                ChaCha20.littleEndian32(this.key, 16),
-                ChaCha20.littleEndian32(this.key, 20),
-                ChaCha20.littleEndian32(this.key, 24),
-                ChaCha20.littleEndian32(this.key, 28),
-                counter >>> 0,
-                ChaCha20.littleEndian32(this.nonce, 0),
-                ChaCha20.littleEndian32(this.nonce, 4),
-                ChaCha20.littleEndian32(this.nonce, 8)
-            ]);
-
-            const working = new Uint32Array(state);
-
-            // 20 轮 (10 次双轮)
-            for (let i = 0; i < 10; i++) {
-                // 列轮
-                ChaCha20.quarterRound(working, 0, 4, 8, 12);
-                ChaCha20.quarterRound(working, 1, 5, 9, 13);
-                ChaCha20.quarterRound(working, 2, 6, 10, 14);
-                ChaCha20.quarterRound(working, 3, 7, 11, 15);
-                // 对角线轮
-                ChaCha20.quarterRound(working, 0, 5, 10, 15);
-                ChaCha20.quarterRound(working, 1, 6, 11, 12);
-                ChaCha20.quarterRound(working, 2, 7, 8, 13);
-                ChaCha20.quarterRound(working, 3, 4, 9, 14);
-            }
-
-            // 加上初始状态
-            for (let i = 0; i < 16; i++) {
-                working[i] = (working[i] + state[i]) >>> 0;
-            }
-
-            // 转换为字节
-            const output = new Uint8Array(64);
-            for (let i = 0; i < 16; i++) {
-                ChaCha20.storeLittleEndian32(output, i * 4, working[i]);
-            }
-
-            return output;
-        }
-
-        /**
-         * 加密/解密 (XOR 操作，加密和解密相同)
-         */
-        process(data) {
-            const output = new Uint8Array(data.length);
-            let counter = this.counter;
-
-            for (let i = 0; i < data.length; i += 64) {
-                const block = this.generateBlock(counter++);
-                const chunkSize = Math.min(64, data.length - i);
+    async function loadCore() {
+        await REOT.loader.loadScript('tools/encryption/chacha20/chacha20-core.js');
+        return REOT.chacha20;
+    }
 
-                for (let j = 0; j < chunkSize; j++) {
-                    output[i + j] = data[i + j] ^ block[j];
-                }
-            }
+    // ========== 工具函数 ==========
 
-            return output;
-        }
+    /**
+     * 生成随机字节
+     */
+    function generateRandomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
     }
 
     /**
-     * Poly1305 MAC 实现
-     * 用于 ChaCha20-Poly1305 AEAD
+     * 按格式解析输入
+     * @param {string} value
+     * @param {string} format - text | hex | base64
+     * @returns {Uint8Array}
      */
-    class Poly1305 {
-        constructor(key) {
-            if (key.length !== 32) {
-                throw new Error('Poly1305 密钥必须是 32 字节');
-            }
-
-            // 解析 r 和 s
-            this.r = this.clamp(key.slice(0, 16));
-            this.s = key.slice(16, 32);
-            this.acc = [0, 0, 0, 0, 0];
-        }
-
-        clamp(r) {
-            const clamped = new Uint8Array(r);
-            clamped[3] &= 0x0f;
-            clamped[7] &= 0x0f;
-            clamped[11] &= 0x0f;
-            clamped[15] &= 0x0f;
-            clamped[4] &= 0xfc;
-            clamped[8] &= 0xfc;
-            clamped[12] &= 0xfc;
-            return clamped;
-        }
-
-        update(data) {
-            // 简化的 Poly1305 实现
-            // 注意：这是简化版，实际生产环境应使用完整实现
-            for (let i = 0; i < data.length; i += 16) {
-                const chunk = data.slice(i, Math.min(i + 16, data.length));
-                this.processBlock(chunk, i + 16 <= data.length);
-            }
-        }
-
-        processBlock(block, full) {
-            // 简化处理，将块转换为数值进行计算
-            let n = BigInt(0);
-            for (let i = block.length - 1; i >= 0; i--) {
-                n = (n << 8n) | BigInt(block[i]);
-            }
-            if (full) {
-                n |= (1n << BigInt(block.length * 8));
-            }
-
-            // 累加
-            let acc = BigInt(0);
-            for (let i = 4; i >= 0; i--) {
-                acc = (acc << 26n) | BigInt(this.acc[i]);
-            }
-            acc += n;
-
-            // 乘以 r
-            let r = BigInt(0);
-            for (let i = this.r.length - 1; i >= 0; i--) {
-                r = (r << 8n) | BigInt(this.r[i]);
-            }
+    function parseBytes(value, format) {
+        return format === 'text' ? REOT.bytes.fromText(value) : REOT.bytes.parse(value, format);
+    }
 
-            acc = (acc * r) % ((1n << 130n) - 5n);
+    /**
+     * 获取密钥字节 (32 字节)
+     */
+    function getKeyBytes() {
+        const keyInput = document.getElementById('key-input');
+        const keyStr = keyInput?.value.trim() || '';
 
-            // 存回
-            for (let i = 0; i < 5; i++) {
-                this.acc[i] = Number(acc & 0x3ffffffn);
-                acc >>= 26n;
-            }
+        if (/^[0-9a-fA-F]+$/.test(keyStr) && keyStr.length === 64) {
+            return REOT.bytes.fromHex(keyStr);
         }
 
-        finish() {
-            // 最终化
-            let acc = BigInt(0);
-            for (let i = 4; i >= 0; i--) {
-                acc = (acc << 26n) | BigInt(this.acc[i]);
-            }
-
-            // 加上 s
-            let s = BigInt(0);
-            for (let i = this.s.length - 1; i >= 0; i--) {
-                s = (s << 8n) | BigInt(this.s[i]);
-            }
-
-            acc = (acc + s) & ((1n << 128n) - 1n);
-
-            // 转换为字节
-            const tag = new Uint8Array(16);
-            for (let i = 0; i < 16; i++) {
-                tag[i] = Number(acc & 0xffn);
-                acc >>= 8n;
-            }
-
-            return tag;
+        const keyBytes = REOT.bytes.fromText(keyStr);
+        const result = new Uint8Array(32);
+        for (let i = 0; i < 32; i++) {
+            result[i] = keyBytes[i % keyBytes.length] || 0;
         }
+        return result;
     }
 
     /**
-     * ChaCha20-Poly1305 AEAD
+     * 获取 Nonce 字节：长度符合算法要求的 Hex 直接解析，否则按文本循环填充到默认长度
+     * @param {Array<number>} lengths - 算法允许的 nonce 长度，第一项为默认值
+     * @returns {Uint8Array}
      */
-    class ChaCha20Poly1305 {
-        constructor(key) {
-            if (key.length !== 32) {
-                throw new Error('密钥必须是 32 字节');
-            }
-            this.key = key;
-        }
-
-        encrypt(nonce, plaintext, aad = new Uint8Array(0)) {
-            // 生成 Poly1305 密钥
-            const chacha = new ChaCha20(this.key, nonce, 0);
-            const polyKey = chacha.generateBlock(0).slice(0, 32);
-
-            // 加密明文 (从 counter = 1 开始)
-            const chachaEnc = new ChaCha20(this.key, nonce, 1);
-            const ciphertext = chachaEnc.process(plaintext);
-
-            // 计算认证标签
-            const poly = new Poly1305(polyKey);
-            poly.update(this.pad16(aad));
-            poly.update(this.pad16(ciphertext));
-            poly.update(this.lengthBytes(aad.length, ciphertext.length));
-            const tag = poly.finish();
-
-            // 返回密文 + 标签
-            const result = new Uint8Array(ciphertext.length + 16);
-            result.set(ciphertext);
-            result.set(tag, ciphertext.length);
-
-            return result;
-        }
-
-        decrypt(nonce, ciphertext, aad = new Uint8Array(0)) {
-            if (ciphertext.length < 16) {
-                throw new Error('密文太短');
-            }
-
-            const actualCiphertext = ciphertext.slice(0, -16);
-            const tag = ciphertext.slice(-16);
-
-            // 生成 Poly1305 密钥
-            const chacha = new ChaCha20(this.key, nonce, 0);
-            const polyKey = chacha.generateBlock(0).slice(0, 32);
-
-            // 验证标签
-            const poly = new Poly1305(polyKey);
-            poly.update(this.pad16(aad));
-            poly.update(this.pad16(actualCiphertext));
-            poly.update(this.lengthBytes(aad.length, actualCiphertext.length));
-            const expectedTag = poly.finish();
-
-            // 常量时间比较
-            let diff = 0;
-            for (let i = 0; i < 16; i++) {
-                diff |= tag[i] ^ expectedTag[i];
-            }
-            if (diff !== 0) {
-                throw new Error('认证失败：标签不匹配');
-            }
-
-            // 解密
-            const chachaDec = new ChaCha20(this.key, nonce, 1);
-            return chachaDec.process(actualCiphertext);
-        }
+    function getNonceBytes(lengths) {
+        const nonceInput = document.getElementById('nonce-input');
+        const nonceStr = nonceInput?.value.trim() || '';
 
-        pad16(data) {
-            const padLen = (16 - (data.length % 16)) % 16;
-            if (padLen === 0) return data;
-            const padded = new Uint8Array(data.length + padLen);
-            padded.set(data);
-            return padded;
+        if (/^[0-9a-fA-F]+$/.test(nonceStr) && lengths.includes(nonceStr.length / 2)) {
+            return REOT.bytes.fromHex(nonceStr);
         }
 
-        lengthBytes(aadLen, ciphertextLen) {
-            const result = new Uint8Array(16);
-            // 小端序存储长度
-            let n = aadLen;
-            for (let i = 0; i < 8; i++) {
-                result[i] = n & 0xff;
-                n >>>= 8;
-            }
-            n = ciphertextLen;
-            for (let i = 8; i < 16; i++) {
-                result[i] = n & 0xff;
-                n >>>= 8;
-            }
-            return result;
+        const nonceBytes = REOT.bytes.fromText(nonceStr);
+        const result = new Uint8Array(lengths[0]);
+        for (let i = 0; i < result.length; i++) {
+            result[i] = nonceBytes[i % nonceBytes.length] || 0;
         }
+        return result;
     }
 
-    // ========== 工具函数 ==========
-
     /**
-     * 字节数组转 Hex 字符串
+     * 获取计数器
      */
-    function bytesToHex(bytes) {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+    function getCounter() {
+        const counterInput = document.getElementById('counter-input');
+        return parseInt(counterInput?.value || '0', 10);
     }
 
     /**
-     * Hex 字符串转字节数组
+     * 获取变体
      */
-    function hexToBytes(hex) {
-        hex = hex.replace(/\s/g, '');
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
-        }
-        return bytes;
+    function getVariant() {
+        const variantSelect = document.getElementById('variant-select');
+        return variantSelect?.value || 'chacha20';
     }
 
     /**
-     * 字符串转字节数组
+     * 变体对应的核心算法名
+     * @param {string} variant
+     * @returns {string}
      */
-    function stringToBytes(str) {
-        return new TextEncoder().encode(str);
+    function getAlgorithm(variant) {
+        return variant === BOX_VARIANT ? 'xsalsa20-poly1305' : variant;
     }
 
     /**
-     * 字节数组转字符串
+     * 获取输出格式
      */
-    function bytesToString(bytes) {
-        return new TextDecoder().decode(bytes);
+    function getOutputFormat() {
+        const formatSelect = document.getElementById('output-format');
+        return formatSelect?.value || 'base64';
     }
 
     /**
-     * Base64 编码
+     * 获取明文格式
      */
-    function bytesToBase64(bytes) {
-        let binary = '';
-        bytes.forEach(b => binary += String.fromCharCode(b));
-        return btoa(binary);
+    function getPlaintextFormat() {
+        const formatSelect = document.getElementById('plaintext-format');
+        return formatSelect?.value || 'text';
     }
 
     /**
-     * Base64 解码
+     * 获取附加认证数据
+     * @param {Object} spec - 算法定义
+     * @returns {Uint8Array}
      */
-    function base64ToBytes(base64) {
-        const binary = atob(base64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
+    function getAad(spec) {
+        const aadInput = document.getElementById('aad-input');
+        const aadFormat = document.getElementById('aad-format');
+        if (!spec.aad || !aadInput?.value) {
+            return new Uint8Array(0);
         }
-        return bytes;
+        return parseBytes(aadInput.value, aadFormat?.value || 'text');
     }
 
     /**
-     * 生成随机字节
+     * 是否在密文前附加 nonce
+     * @returns {boolean}
      */
-    function generateRandomBytes(length) {
-        return crypto.getRandomValues(new Uint8Array(length));
+    function isNoncePrefixed() {
+        return document.getElementById('framing-select')?.value === 'nonce-prefix';
     }
 
     /**
-     * 获取密钥字节 (32 字节)
+     * 解析对方的 X25519 公钥（Hex 或 Base64）
+     * @returns {Uint8Array}
      */
-    function getKeyBytes() {
-        const keyInput = document.getElementById('key-input');
-        const keyStr = keyInput?.value.trim() || '';
-
-        if (/^[0-9a-fA-F]+$/.test(keyStr) && keyStr.length === 64) {
-            return hexToBytes(keyStr);
+    function getPeerPublicKey() {
+        const value = document.getElementById('peer-key-input')?.value.trim() || '';
+        if (!value) {
+            throw new Error('请输入对方公钥');
         }
-
-        const keyBytes = stringToBytes(keyStr);
-        const result = new Uint8Array(32);
-        for (let i = 0; i < 32; i++) {
-            result[i] = keyBytes[i % keyBytes.length] || 0;
+        const format = REOT.bytes.detect(value, { allowText: false });
+        if (!format) {
+            throw new Error('对方公钥应为 Hex 或 Base64');
         }
-        return result;
+        const publicKey = REOT.bytes.parse(value, format);
+        if (publicKey.length !== 32) {
+            throw new Error(`X25519 公钥必须为 32 字节，当前为 ${publicKey.length} 字节`);
+        }
+        return publicKey;
     }
 
     /**
-     * 获取 Nonce 字节 (12 字节)
+     * 收集加解密参数；crypto_box 先由 X25519 协商出 secretbox 密钥
+     * @param {Object} core - REOT.chacha20
+     * @returns {{key: Uint8Array, spec: Object, options: Object}}
      */
-    function getNonceBytes() {
-        const nonceInput = document.getElementById('nonce-input');
-        const nonceStr = nonceInput?.value.trim() || '';
+    function getParams(core) {
+        const variant = getVariant();
+        const algorithm = getAlgorithm(variant);
+        const spec = core.ALGORITHMS[algorithm];
+        const key = variant === BOX_VARIANT ? core.boxKey(getPeerPublicKey(), getKeyBytes()) : getKeyBytes();
+        return {
+            key,
+            spec,
+            options: {
+                algorithm,
+                nonce: getNonceBytes(spec.nonceLengths),
+                aad: getAad(spec),
+                counter: getCounter(),
+                prefixNonce: spec.aead && isNoncePrefixed()
+            }
+        };
+    }
 
-        if (/^[0-9a-fA-F]+$/.test(nonceStr) && nonceStr.length === 24) {
-            return hexToBytes(nonceStr);
-        }
+    /**
+     * 加密，同时返回使用的 nonce 和认证标签
+     * @param {string} plaintext - 按明文格式解析
+     * @returns {Promise<{output: string, nonce: Uint8Array, tag: Uint8Array|null}>}
+     */
+    async function encryptWithDetails(plaintext) {
+        const core = await loadCore();
+        const { key, spec, options } = getParams(core);
+        const result = core.encrypt(parseBytes(plaintext, getPlaintextFormat()), key, options);
 
-        const nonceBytes = stringToBytes(nonceStr);
-        const result = new Uint8Array(12);
-        for (let i = 0; i < 12; i++) {
-            result[i] = nonceBytes[i % nonceBytes.length] || 0;
+        let tag = null;
+        if (spec.aead) {
+            const body = options.prefixNonce ? result.subarray(options.nonce.length) : result;
+            tag = spec.tagFirst ? body.subarray(0, core.TAG_LENGTH) : body.subarray(body.length - core.TAG_LENGTH);
         }
-        return result;
+        return { output: REOT.bytes.format(result, getOutputFormat()), nonce: options.nonce, tag };
     }
 
     /**
-     * 获取计数器
+     * 解密，同时返回 nonce 和认证标签的校验结果
+     * @param {string} ciphertext - 按输出格式解析
+     * @returns {Promise<{output: string, nonce: Uint8Array, tag: Object|null}>}
      */
-    function getCounter() {
-        const counterInput = document.getElementById('counter-input');
-        return parseInt(counterInput?.value || '0', 10);
+    async function decryptWithStatus(ciphertext) {
+        const core = await loadCore();
+        const { key, options } = getParams(core);
+        const result = core.decrypt(REOT.bytes.parse(ciphertext, getOutputFormat()), key, options);
+        return {
+            output: REOT.bytes.format(result.data, getPlaintextFormat()),
+            nonce: result.nonce,
+            tag: result.tag
+        };
     }
 
     /**
-     * 获取变体
+     * 加密
+     * @param {string} plaintext
+     * @returns {Promise<string>}
      */
-    function getVariant() {
-        const variantSelect = document.getElementById('variant-select');
-        return variantSelect?.value || 'chacha20';
+    async function encrypt(plaintext) {
+        return (await encryptWithDetails(plaintext)).output;
     }
 
     /**
-     * 获取输出格式
+     * 解密
+     * @param {string} ciphertext
+     * @returns {Promise<string>}
      */
-    function getOutputFormat() {
-        const formatSelect = document.getElementById('output-format');
-        return formatSelect?.value || 'base64';
+    async function decrypt(ciphertext) {
+        return (await decryptWithStatus(ciphertext)).output;
     }
 
+    // ========== 界面 ==========
+
     /**
-     * 加密
+     * 显示 nonce、认证标签和校验结果，null 时隐藏
+     * @param {Object|null} details
+     * @param {Uint8Array} details.nonce
+     * @param {Uint8Array|Object|null} details.tag - 加密时为标签，解密时为校验结果
      */
-    function encrypt(plaintext) {
-        const key = getKeyBytes();
-        const nonce = getNonceBytes();
-        const counter = getCounter();
-        const variant = getVariant();
-        const format = getOutputFormat();
-
-        const plaintextBytes = stringToBytes(plaintext);
-        let result;
-
-        if (variant === 'chacha20-poly1305') {
-            const aead = new ChaCha20Poly1305(key);
-            result = aead.encrypt(nonce, plaintextBytes);
-        } else {
-            const chacha = new ChaCha20(key, nonce, counter);
-            result = chacha.process(plaintextBytes);
+    function showDetails(details) {
+        const container = document.getElementById('aead-details');
+        const status = document.getElementById('tag-status');
+        if (!container || !status) {
+            return;
+        }
+        container.hidden = !details?.tag;
+        if (!details?.tag) {
+            return;
+        }
+
+        const check = details.tag.expected ? details.tag : null;
+        document.getElementById('nonce-value').textContent = REOT.bytes.toHex(details.nonce);
+        document.getElementById('tag-value').textContent = REOT.bytes.toHex(check ? check.actual : details.tag);
+        status.hidden = !check;
+        if (check) {
+            status.textContent = check.valid
+                ? REOT.i18n.t('tools.chacha20.tagValid', '认证标签校验通过')
+                : REOT.i18n.t('tools.chacha20.tagInvalid', '认证标签校验失败，输出的明文未经认证（计算得到的标签: {tag}）', { tag: REOT.bytes.toHex(check.expected) });
+            status.classList.toggle('success', check.valid);
+            status.classList.toggle('error', !check.valid);
         }
+    }
 
-        return format === 'hex' ? bytesToHex(result) : bytesToBase64(result);
+    /**
+     * 由私钥计算并显示己方 X25519 公钥
+     */
+    async function updatePublicKey() {
+        const output = document.getElementById('public-key-output');
+        if (!output || getVariant() !== BOX_VARIANT) {
+            return;
+        }
+        const core = await loadCore();
+        output.value = document.getElementById('key-input')?.value.trim()
+            ? REOT.bytes.toHex(core.getPublicKey(getKeyBytes()))
+            : '';
     }
 
     /**
-     * 解密
+     * 按变体显示计数器、AAD、封装格式和 crypto_box 选项，并更新 nonce 提示
      */
-    function decrypt(ciphertext) {
-        const key = getKeyBytes();
-        const nonce = getNonceBytes();
-        const counter = getCounter();
+    async function updateVariantOptions() {
+        const core = await loadCore();
         const variant = getVariant();
-        const format = getOutputFormat();
-
-        let ciphertextBytes;
-        if (format === 'hex') {
-            ciphertextBytes = hexToBytes(ciphertext);
-        } else {
-            ciphertextBytes = base64ToBytes(ciphertext);
-        }
-
-        let result;
-
-        if (variant === 'chacha20-poly1305') {
-            const aead = new ChaCha20Poly1305(key);
-            result = aead.decrypt(nonce, ciphertextBytes);
-        } else {
-            const chacha = new ChaCha20(key, nonce, counter);
-            result = chacha.process(ciphertextBytes);
-        }
-
-        return bytesToString(result);
+        const spec = core.ALGORITHMS[getAlgorithm(variant)];
+        const toggle = (id, visible) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.hidden = !visible;
+            }
+        };
+        toggle('counter-row', !spec.aead);
+        toggle('aad-row', Boolean(spec.aad));
+        toggle('framing-group', spec.aead);
+        toggle('box-row', variant === BOX_VARIANT);
+
+        const nonceHint = document.getElementById('nonce-hint');
+        if (nonceHint) {
+            nonceHint.textContent = REOT.i18n.t('tools.chacha20.nonceHintLength', '{name} 需要 {length} 字节，可输入 Hex 或文本', {
+                name: variant === BOX_VARIANT ? 'crypto_box' : spec.name,
+                length: spec.nonceLengths.join(' / ')
+            });
+        }
+        showDetails(null);
+        await updatePublicKey();
     }
 
     // ========== 检查当前页面 ==========
@@ -518,7 +323,9 @@
     // ========== 事件处理 ==========
 
     document.addEventListener('click', async (e) => {
-        if (!isChaCha20ToolActive()) return;
+        if (!isChaCha20ToolActive()) {
+            return;
+        }
 
         const target = e.target;
         const inputEl = document.getElementById('input');
@@ -529,13 +336,19 @@
         // 生成密钥
         if (target.id === 'generate-key-btn' || target.closest('#generate-key-btn')) {
             const keyBytes = generateRandomBytes(32);
-            if (keyInput) keyInput.value = bytesToHex(keyBytes);
+            if (keyInput) {
+                keyInput.value = REOT.bytes.toHex(keyBytes);
+            }
+            await updatePublicKey();
         }
 
         // 生成 Nonce
         if (target.id === 'generate-nonce-btn' || target.closest('#generate-nonce-btn')) {
-            const nonceBytes = generateRandomBytes(12);
-            if (nonceInput) nonceInput.value = bytesToHex(nonceBytes);
+            const core = await loadCore();
+            const nonceBytes = generateRandomBytes(core.ALGORITHMS[getAlgorithm(getVariant())].nonceLengths[0]);
+            if (nonceInput) {
+                nonceInput.value = REOT.bytes.toHex(nonceBytes);
+            }
         }
 
         // 加密
@@ -554,12 +367,18 @@
                     return;
                 }
 
-                const result = encrypt(inputEl.value);
-                if (outputEl) outputEl.value = result;
+                const result = await encryptWithDetails(inputEl.value);
+                if (outputEl) {
+                    outputEl.value = result.output;
+                }
+                showDetails(result);
                 REOT.utils?.showNotification('加密成功', 'success');
             } catch (error) {
                 REOT.utils?.showNotification('加密失败: ' + error.message, 'error');
-                if (outputEl) outputEl.value = '错误: ' + error.message;
+                if (outputEl) {
+                    outputEl.value = '错误: ' + error.message;
+                }
+                showDetails(null);
             }
         }
 
@@ -574,17 +393,28 @@
                     REOT.utils?.showNotification('请输入密钥', 'warning');
                     return;
                 }
-                if (!nonceInput?.value.trim()) {
+                // nonce 在密文开头时可以不填
+                if (!nonceInput?.value.trim() && !isNoncePrefixed()) {
                     REOT.utils?.showNotification('请输入 Nonce', 'warning');
                     return;
                 }
 
-                const result = decrypt(inputEl.value);
-                if (outputEl) outputEl.value = result;
-                REOT.utils?.showNotification('解密成功', 'success');
+                const result = await decryptWithStatus(inputEl.value);
+                if (outputEl) {
+                    outputEl.value = result.output;
+                }
+                showDetails(result);
+                if (result.tag && !result.tag.valid) {
+                    REOT.utils?.showNotification('认证标签不匹配', 'warning');
+                } else {
+                    REOT.utils?.showNotification('解密成功', 'success');
+                }
             } catch (error) {
                 REOT.utils?.showNotification('解密失败: ' + error.message, 'error');
-                if (outputEl) outputEl.value = '错误: ' + error.message;
+                if (outputEl) {
+                    outputEl.value = '错误: ' + error.message;
+                }
+                showDetails(null);
             }
         }
 
@@ -599,8 +429,13 @@
 
         // 清除
         if (target.id === 'clear-btn' || target.closest('#clear-btn')) {
-            if (inputEl) inputEl.value = '';
-            if (outputEl) outputEl.value = '';
+            if (inputEl) {
+                inputEl.value = '';
+            }
+            if (outputEl) {
+                outputEl.value = '';
+            }
+            showDetails(null);
         }
 
         // 复制
@@ -616,20 +451,30 @@
 
     // 变体切换时更新 UI
     document.addEventListener('change', (e) => {
-        if (!isChaCha20ToolActive()) return;
+        if (!isChaCha20ToolActive()) {
+            return;
+        }
 
         if (e.target.id === 'variant-select') {
-            const counterRow = document.getElementById('counter-row');
-            if (counterRow) {
-                counterRow.style.display = e.target.value === 'chacha20' ? 'block' : 'none';
-            }
+            updateVariantOptions().catch(error => {
+                REOT.utils?.showNotification(error.message, 'error');
+            });
         }
     });
 
+    // 私钥变化时更新公钥
+    document.addEventListener('input', (e) => {
+        if (!isChaCha20ToolActive() || e.target.id !== 'key-input') {
+            return;
+        }
+        updatePublicKey().catch(() => {
+            // 输入未完成时忽略
+        });
+    });
+
     // 导出到全局
     window.ChaCha20Tool = {
-        ChaCha20,
-        ChaCha20Poly1305,
+        loadCore,
         encrypt,
         decrypt
     };
@@ -649,4 +494,10 @@
         nonceInput.value = 'unique-nonce';
     }
 
+    if (document.getElementById('variant-select')) {
+        updateVariantOptions().catch(() => {
+            // 核心加载失败时在加解密时报告
+        });
+    }
+
 })();
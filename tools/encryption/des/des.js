@@ -8,58 +8,6 @@
 (function() {
     'use strict';
 
-    let cryptoJsLoadPromise = null;
-
-    /**
-     * 动态加载 CryptoJS 库
-     */
-    function loadCryptoJS() {
-        if (cryptoJsLoadPromise) {
-            return cryptoJsLoadPromise;
-        }
-
-        if (window.CryptoJS) {
-            return Promise.resolve();
-        }
-
-        cryptoJsLoadPromise = new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/crypto-js@4.2.0/crypto-js.min.js';
-
-            script.onload = () => {
-                const checkGlobal = () => {
-                    if (window.CryptoJS) {
-                        resolve();
-                    } else {
-                        setTimeout(checkGlobal, 10);
-                    }
-                };
-                checkGlobal();
-            };
-
-            script.onerror = () => {
-                cryptoJsLoadPromise = null;
-                reject(new Error('无法加载 CryptoJS 库'));
-            };
-
-            document.head.appendChild(script);
-        });
-
-        return cryptoJsLoadPromise;
-    }
-
-    /**
-     * 确保库已加载
-     */
-    async function ensureLibraryLoaded() {
-        if (!window.CryptoJS) {
-            await loadCryptoJS();
-        }
-        if (!window.CryptoJS) {
-            throw new Error('CryptoJS 库加载失败');
-        }
-    }
-
     /**
      * 检查当前是否在 DES 工具页面
      */
@@ -73,7 +21,7 @@
      */
     function generateRandomHex(length) {
         const bytes = crypto.getRandomValues(new Uint8Array(length));
-        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+        return REOT.bytes.toHex(bytes);
     }
 
     /**
@@ -186,7 +134,7 @@
      * DES/3DES 加密
      */
     async function encrypt(plaintext) {
-        await ensureLibraryLoaded();
+        await REOT.loader.load('crypto-js');
 
         const config = getCryptoConfig();
         const keyLength = getKeyLength();
@@ -231,7 +179,7 @@
      * DES/3DES 解密
      */
     async function decrypt(ciphertext) {
-        await ensureLibraryLoaded();
+        await REOT.loader.load('crypto-js');
 
         const config = getCryptoConfig();
         const keyLength = getKeyLength();
@@ -411,7 +359,7 @@
     }
 
     // 预加载 CryptoJS
-    loadCryptoJS().catch(err => console.warn('CryptoJS 预加载失败:', err.message));
+    REOT.loader.preload('crypto-js');
 
     // 页面加载完成后初始化
     if (document.readyState === 'loading') {
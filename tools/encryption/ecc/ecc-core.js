@@ -0,0 +1,1094 @@
+/**
+ * 椭圆曲线计算核心
+ * @description 基于 BigInt 的短 Weierstrass 曲线运算（P-256 / P-384 / P-521 / secp256k1 / SM2 曲线）：
+ *     密钥解析与导出、点的压缩与解压、ECDSA 签名验签（RFC 6979 确定性 k）、DER 与 r||s 签名编码、
+ *     由签名恢复公钥、ECDH 以及重复 k 的检测与私钥恢复。哈希使用 crypto.subtle，
+ *     不依赖 DOM，可在 Web Worker 中使用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    const OID_EC = '1.2.840.10045.2.1';
+
+    // 曲线参数（十六进制），余因子均为 1
+    const CURVE_PARAMS = {
+        'P-256': {
+            oid: '1.2.840.10045.3.1.7',
+            p: 'ffffffff00000001000000000000000000000000ffffffffffffffffffffffff',
+            a: 'ffffffff00000001000000000000000000000000fffffffffffffffffffffffc',
+            b: '5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604b',
+            n: 'ffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551',
+            gx: '6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296',
+            gy: '4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5'
+        },
+        'P-384': {
+            oid: '1.3.132.0.34',
+            p: 'fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffeffffffff0000000000000000ffffffff',
+            a: 'fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffeffffffff0000000000000000fffffffc',
+            b: 'b3312fa7e23ee7e4988e056be3f82d19181d9c6efe8141120314088f5013875ac656398d8a2ed19d2a85c8edd3ec2aef',
+            n: 'ffffffffffffffffffffffffffffffffffffffffffffffffc7634d81f4372ddf581a0db248b0a77aecec196accc52973',
+            gx: 'aa87ca22be8b05378eb1c71ef320ad746e1d3b628ba79b9859f741e082542a385502f25dbf55296c3a545e3872760ab7',
+            gy: '3617de4a96262c6f5d9e98bf9292dc29f8f41dbd289a147ce9da3113b5f0b8c00a60b1ce1d7e819d7a431d7c90ea0e5f'
+        },
+        'P-521': {
+            oid: '1.3.132.0.35',
+            p: '01ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff',
+            a: '01fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffc',
+            b: '0051953eb9618e1c9a1f929a21a0b68540eea2da725b99b315f3b8b489918ef109e156193951ec7e937b1652c0bd3bb1bf073573df883d2c34f1ef451fd46b503f00',
+            n: '01fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffa51868783bf2f966b7fcc0148f709a5d03bb5c9b8899c47aebb6fb71e91386409',
+            gx: '00c6858e06b70404e9cd9e3ecb662395b4429c648139053fb521f828af606b4d3dbaa14b5e77efe75928fe1dc127a2ffa8de3348b3c1856a429bf97e7e31c2e5bd66',
+            gy: '011839296a789a3bc0045c8a5fb42c7d1bd998f54449579b446817afbd17273e662c97ee72995ef42640c550b9013fad0761353c7086a272c24088be94769fd16650'
+        },
+        'secp256k1': {
+            oid: '1.3.132.0.10',
+            p: 'fffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f',
+            a: '00',
+            b: '07',
+            n: 'fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141',
+            gx: '79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798',
+            gy: '483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8'
+        },
+        'SM2': {
+            oid: '1.2.156.10197.1.301',
+            p: 'fffffffeffffffffffffffffffffffffffffffff00000000ffffffffffffffff',
+            a: 'fffffffeffffffffffffffffffffffffffffffff00000000fffffffffffffffc',
+            b: '28e9fa9e9d9f5e344d5a9e4bcf6509a7f39789f515ab8f92ddbcbd414d940e93',
+            n: 'fffffffeffffffffffffffffffffffff7203df6b21c6052b53bbf40939d54123',
+            gx: '32c4ae2c1f1981195f9904466a39c9948fe30bbff2660be1715a4589334c74c7',
+            gy: 'bc3736a2f4f6779c59bdcee36b692153d0a9877cc62a474002df32e52139f0a0'
+        }
+    };
+
+    // 曲线别名（openssl / SEC / JWK 中的名称）
+    const CURVE_ALIASES = {
+        'p256': 'P-256',
+        'secp256r1': 'P-256',
+        'prime256v1': 'P-256',
+        'p384': 'P-384',
+        'secp384r1': 'P-384',
+        'p521': 'P-521',
+        'secp521r1': 'P-521',
+        'secp256k1': 'secp256k1',
+        'p256k': 'secp256k1',
+        'sm2': 'SM2',
+        'sm2p256v1': 'SM2'
+    };
+
+    // 哈希算法的摘要长度
+    const HASHES = {
+        'SHA-1': 20,
+        'SHA-256': 32,
+        'SHA-384': 48,
+        'SHA-512': 64
+    };
+
+    const SIGNATURE_FORMATS = ['der', 'raw'];
+
+    const curveCache = {};
+
+    // ========== 大整数工具 ==========
+
+    /**
+     * 字节数组（大端）转 BigInt
+     * @param {Uint8Array} bytes
+     * @returns {bigint}
+     */
+    function toBigInt(bytes) {
+        const hex = root.REOT.bytes.toHex(bytes);
+        return hex ? BigInt('0x' + hex) : 0n;
+    }
+
+    /**
+     * BigInt 转定长字节数组（大端）
+     * @param {bigint} value
+     * @param {number} length
+     * @returns {Uint8Array}
+     */
+    function fromBigInt(value, length) {
+        const hex = value.toString(16).padStart(length * 2, '0');
+        if (hex.length > length * 2) {
+            throw new Error(`整数超出 ${length} 字节`);
+        }
+        return root.REOT.bytes.fromHex(hex);
+    }
+
+    /**
+     * 非负取模
+     * @param {bigint} a
+     * @param {bigint} m
+     * @returns {bigint}
+     */
+    function mod(a, m) {
+        const r = a % m;
+        return r < 0n ? r + m : r;
+    }
+
+    /**
+     * 模幂
+     * @param {bigint} base
+     * @param {bigint} exponent
+     * @param {bigint} modulus
+     * @returns {bigint}
+     */
+    function modPow(base, exponent, modulus) {
+        let result = 1n;
+        base = mod(base, modulus);
+        while (exponent > 0n) {
+            if (exponent & 1n) {
+                result = result * base % modulus;
+            }
+            exponent >>= 1n;
+            base = base * base % modulus;
+        }
+        return result;
+    }
+
+    /**
+     * 模逆元
+     * @param {bigint} a
+     * @param {bigint} modulus
+     * @returns {bigint}
+     */
+    function modInverse(a, modulus) {
+        let [oldR, r] = [mod(a, modulus), modulus];
+        let [oldS, s] = [1n, 0n];
+        while (r) {
+            const quotient = oldR / r;
+            [oldR, r] = [r, oldR - quotient * r];
+            [oldS, s] = [s, oldS - quotient * s];
+        }
+        if (oldR !== 1n) {
+            throw new Error('不存在模逆元');
+        }
+        return mod(oldS, modulus);
+    }
+
+    /**
+     * 二进制位数
+     * @param {bigint} value
+     * @returns {number}
+     */
+    function bitLength(value) {
+        return value === 0n ? 0 : value.toString(2).length;
+    }
+
+    /**
+     * 生成 [1, n-1] 内的随机整数
+     * @param {bigint} n
+     * @returns {bigint}
+     */
+    function randomScalar(n) {
+        const bytes = new Uint8Array(Math.ceil(bitLength(n) / 8) + 8);
+        root.crypto.getRandomValues(bytes);
+        return mod(toBigInt(bytes), n - 1n) + 1n;
+    }
+
+    // ========== 曲线与点运算 ==========
+
+    /**
+     * 获取曲线参数
+     * @param {string|Object} name - 曲线名（支持 secp256r1、prime256v1、sm2p256v1 等别名、OID）或 getCurve() 的结果
+     * @returns {{name: string, oid: string, p: bigint, a: bigint, b: bigint, n: bigint,
+     *     G: {x: bigint, y: bigint}, size: number, bits: number}}
+     */
+    function getCurve(name) {
+        if (name && typeof name === 'object' && name.G) {
+            return name;
+        }
+        const key = String(name || '');
+        const resolved = CURVE_PARAMS[key] ? key
+            : CURVE_ALIASES[key.toLowerCase().replace(/[-_\s]/g, '')]
+            || Object.keys(CURVE_PARAMS).find(curve => CURVE_PARAMS[curve].oid === key);
+        if (!resolved) {
+            throw new Error(`不支持的曲线: ${key || '(空)'}`);
+        }
+        if (!curveCache[resolved]) {
+            const params = CURVE_PARAMS[resolved];
+            const n = BigInt('0x' + params.n);
+            const p = BigInt('0x' + params.p);
+            curveCache[resolved] = Object.freeze({
+                name: resolved,
+                oid: params.oid,
+                p,
+                a: BigInt('0x' + params.a),
+                b: BigInt('0x' + params.b),
+                n,
+                G: Object.freeze({ x: BigInt('0x' + params.gx), y: BigInt('0x' + params.gy) }),
+                size: Math.ceil(bitLength(p) / 8),
+                bits: bitLength(n)
+            });
+        }
+        return curveCache[resolved];
+    }
+
+    /**
+     * 判断点是否在曲线上（无穷远点返回 false）
+     * @param {string|Object} curve
+     * @param {{x: bigint, y: bigint}|null} point
+     * @returns {boolean}
+     */
+    function isOnCurve(curve, point) {
+        curve = getCurve(curve);
+        if (!point) {
+            return false;
+        }
+        const { p, a, b } = curve;
+        const { x, y } = point;
+        if (x < 0n || x >= p || y < 0n || y >= p) {
+            return false;
+        }
+        return mod(y * y - (x * x * x + a * x + b), p) === 0n;
+    }
+
+    /**
+     * Jacobian 坐标倍点
+     * @param {Object} curve
+     * @param {bigint[]} P - [X, Y, Z]，Z 为 0 表示无穷远点
+     * @returns {bigint[]}
+     */
+    function jacobianDouble(curve, [X, Y, Z]) {
+        const { p, a } = curve;
+        if (Z === 0n || Y === 0n) {
+            return [0n, 1n, 0n];
+        }
+        const YY = Y * Y % p;
+        const ZZ = Z * Z % p;
+        const S = 4n * X * YY % p;
+        const M = (3n * X * X + a * ZZ % p * ZZ) % p;
+        const X3 = mod(M * M - 2n * S, p);
+        const Y3 = mod(M * (S - X3) - 8n * YY * YY, p);
+        const Z3 = 2n * Y * Z % p;
+        return [X3, Y3, Z3];
+    }
+
+    /**
+     * Jacobian 坐标点加
+     * @param {Object} curve
+     * @param {bigint[]} P1
+     * @param {bigint[]} P2
+     * @returns {bigint[]}
+     */
+    function jacobianAdd(curve, P1, P2) {
+        const { p } = curve;
+        const [X1, Y1, Z1] = P1;
+        const [X2, Y2, Z2] = P2;
+        if (Z1 === 0n) {
+            return P2;
+        }
+        if (Z2 === 0n) {
+            return P1;
+        }
+        const Z1Z1 = Z1 * Z1 % p;
+        const Z2Z2 = Z2 * Z2 % p;
+        const U1 = X1 * Z2Z2 % p;
+        const U2 = X2 * Z1Z1 % p;
+        const S1 = Y1 * Z2 % p * Z2Z2 % p;
+        const S2 = Y2 * Z1 % p * Z1Z1 % p;
+        if (U1 === U2) {
+            return S1 === S2 ? jacobianDouble(curve, P1) : [0n, 1n, 0n];
+        }
+        const H = mod(U2 - U1, p);
+        const R = mod(S2 - S1, p);
+        const HH = H * H % p;
+        const HHH = H * HH % p;
+        const V = U1 * HH % p;
+        const X3 = mod(R * R - HHH - 2n * V, p);
+        const Y3 = mod(R * (V - X3) - S1 * HHH, p);
+        const Z3 = Z1 * Z2 % p * H % p;
+        return [X3, Y3, Z3];
+    }
+
+    /**
+     * Jacobian 坐标转仿射坐标
+     * @param {Object} curve
+     * @param {bigint[]} P
+     * @returns {{x: bigint, y: bigint}|null} - 无穷远点返回 null
+     */
+    function toAffine(curve, [X, Y, Z]) {
+        if (Z === 0n) {
+            return null;
+        }
+        const { p } = curve;
+        const zInv = modInverse(Z, p);
+        const zInv2 = zInv * zInv % p;
+        return { x: X * zInv2 % p, y: Y * zInv2 % p * zInv % p };
+    }
+
+    /**
+     * 点加
+     * @param {string|Object} curve
+     * @param {{x: bigint, y: bigint}|null} P
+     * @param {{x: bigint, y: bigint}|null} Q
+     * @returns {{x: bigint, y: bigint}|null}
+     */
+    function add(curve, P, Q) {
+        curve = getCurve(curve);
+        const toJacobian = point => point ? [point.x, point.y, 1n] : [0n, 1n, 0n];
+        return toAffine(curve, jacobianAdd(curve, toJacobian(P), toJacobian(Q)));
+    }
+
+    /**
+     * 标量乘 k·P
+     * @param {string|Object} curve
+     * @param {{x: bigint, y: bigint}|null} point
+     * @param {bigint} k
+     * @returns {{x: bigint, y: bigint}|null}
+     */
+    function multiply(curve, point, k) {
+        curve = getCurve(curve);
+        k = mod(k, curve.n);
+        if (!point || k === 0n) {
+            return null;
+        }
+        const base = [point.x, point.y, 1n];
+        let result = [0n, 1n, 0n];
+        for (const bit of k.toString(2)) {
+            result = jacobianDouble(curve, result);
+            if (bit === '1') {
+                result = jacobianAdd(curve, result, base);
+            }
+        }
+        return toAffine(curve, result);
+    }
+
+    /**
+     * 由 x 坐标和 y 的奇偶性求点（曲线的 p 均满足 p ≡ 3 mod 4）
+     * @param {Object} curve
+     * @param {bigint} x
+     * @param {boolean} odd
+     * @returns {{x: bigint, y: bigint}|null} - x 不对应曲线上的点时返回 null
+     */
+    function liftX(curve, x, odd) {
+        const { p, a, b } = curve;
+        if (x >= p) {
+            return null;
+        }
+        const alpha = mod(x * x * x + a * x + b, p);
+        let y = modPow(alpha, (p + 1n) / 4n, p);
+        if (y * y % p !== alpha) {
+            return null;
+        }
+        if ((y & 1n) !== (odd ? 1n : 0n)) {
+            y = mod(-y, p);
+        }
+        return { x, y };
+    }
+
+    /**
+     * 编码点（SEC1：04||x||y 或 02/03||x）
+     * @param {string|Object} curve
+     * @param {{x: bigint, y: bigint}} point
+     * @param {Object} [options]
+     * @param {boolean} [options.compressed=false]
+     * @returns {Uint8Array}
+     */
+    function encodePoint(curve, point, options = {}) {
+        curve = getCurve(curve);
+        if (!point) {
+            throw new Error('无法编码无穷远点');
+        }
+        const x = fromBigInt(point.x, curve.size);
+        if (options.compressed) {
+            return root.REOT.bytes.concat([new Uint8Array([point.y & 1n ? 3 : 2]), x]);
+        }
+        return root.REOT.bytes.concat([new Uint8Array([4]), x, fromBigInt(point.y, curve.size)]);
+    }
+
+    /**
+     * 解码点（支持压缩、未压缩与混合格式），并检查点在曲线上
+     * @param {string|Object} curve
+     * @param {Uint8Array} bytes
+     * @returns {{x: bigint, y: bigint}}
+     */
+    function decodePoint(curve, bytes) {
+        curve = getCurve(curve);
+        const { size } = curve;
+        const prefix = bytes[0];
+        let point = null;
+        if ((prefix === 2 || prefix === 3) && bytes.length === size + 1) {
+            point = liftX(curve, toBigInt(bytes.subarray(1)), prefix === 3);
+        } else if ([4, 6, 7].includes(prefix) && bytes.length === size * 2 + 1) {
+            point = { x: toBigInt(bytes.subarray(1, size + 1)), y: toBigInt(bytes.subarray(size + 1)) };
+            if (prefix !== 4 && (point.y & 1n) !== BigInt(prefix & 1)) {
+                throw new Error('混合格式的前缀与 y 的奇偶性不一致');
+            }
+        } else {
+            throw new Error(`${curve.name} 的公钥点应为 ${size + 1} 字节（压缩）或 ${size * 2 + 1} 字节（未压缩），当前为 ${bytes.length} 字节`);
+        }
+        if (!point || !isOnCurve(curve, point)) {
+            throw new Error(`该点不在 ${curve.name} 曲线上`);
+        }
+        return point;
+    }
+
+    // ========== 密钥 ==========
+
+    /**
+     * 构造密钥，未提供公钥点时由私钥计算
+     * @param {Object} fields
+     * @param {string|Object} fields.curve
+     * @param {bigint} [fields.d] - 私钥
+     * @param {{x: bigint, y: bigint}} [fields.Q] - 公钥点
+     * @returns {{curve: string, d: bigint|null, Q: {x: bigint, y: bigint}, type: string}}
+     */
+    function createKey(fields) {
+        const curve = getCurve(fields.curve);
+        const d = typeof fields.d === 'bigint' ? fields.d : null;
+        if (d !== null && (d <= 0n || d >= curve.n)) {
+            throw new Error(`私钥必须在 1 到 n-1 之间（${curve.name}）`);
+        }
+        let Q = fields.Q || null;
+        if (d !== null) {
+            const derived = multiply(curve, curve.G, d);
+            if (Q && (Q.x !== derived.x || Q.y !== derived.y)) {
+                throw new Error('公钥与私钥不匹配');
+            }
+            Q = derived;
+        }
+        if (!Q) {
+            throw new Error('缺少公钥或私钥');
+        }
+        if (!isOnCurve(curve, Q)) {
+            throw new Error(`公钥点不在 ${curve.name} 曲线上`);
+        }
+        return { curve: curve.name, d, Q, type: d === null ? 'public' : 'private' };
+    }
+
+    /**
+     * 生成密钥对
+     * @param {string} curve
+     * @returns {Object} - createKey() 的结果
+     */
+    function generateKey(curve) {
+        return createKey({ curve, d: randomScalar(getCurve(curve).n) });
+    }
+
+    /**
+     * 从 REOT.keys.parse() 的结果中读取 EC 参数
+     * @param {Object} descriptor
+     * @returns {Object} - createKey() 的结果
+     */
+    function keyFromDescriptor(descriptor) {
+        if (descriptor.kty !== 'EC') {
+            throw new Error(`不是 EC 密钥（${descriptor.kty}）`);
+        }
+        const curve = getCurve(descriptor.curve);
+        if (descriptor.format === 'jwk') {
+            const jwk = descriptor.data;
+            const read = name => toBigInt(root.REOT.bytes.fromBase64(jwk[name]));
+            return createKey({
+                curve,
+                d: jwk.d ? read('d') : undefined,
+                Q: jwk.x && jwk.y ? { x: read('x'), y: read('y') } : null
+            });
+        }
+
+        const { readNode, readChildren } = root.REOT.keys.der;
+        const der = descriptor.data;
+        const children = readChildren(der, readNode(der, 0));
+        if (descriptor.format === 'spki') {
+            // BIT STRING 内容的首字节是未使用位数
+            return createKey({ curve, Q: decodePoint(curve, der.subarray(children[1].start + 1, children[1].end)) });
+        }
+        // PKCS#8 中的 ECPrivateKey: version, privateKey, [0] parameters, [1] publicKey
+        const fields = readChildren(der, readNode(der, children[2].start));
+        const d = toBigInt(der.subarray(fields[1].start, fields[1].end));
+        const publicField = fields.find(field => field.tag === 0xA1);
+        let Q = null;
+        if (publicField) {
+            const bitString = readNode(der, publicField.start);
+            Q = decodePoint(curve, der.subarray(bitString.start + 1, bitString.end));
+        }
+        return createKey({ curve, d, Q });
+    }
+
+    /**
+     * 判断输入是否为十六进制的私钥标量或 SEC1 公钥点（DER 结构另行解析）
+     * @param {string} text
+     * @param {string} [curve]
+     * @returns {boolean}
+     */
+    function isRawHexKey(text, curve) {
+        const hex = text.trim().replace(/[\s:]/g, '').replace(/^0x/i, '');
+        if (!/^[0-9a-f]+$/i.test(hex) || hex.length % 2) {
+            return false;
+        }
+        if (!curve) {
+            if (hex.startsWith('30')) {
+                return false;
+            }
+            throw new Error('十六进制的密钥需要指定曲线');
+        }
+        const { size } = getCurve(curve);
+        const length = hex.length / 2;
+        const prefix = parseInt(hex.slice(0, 2), 16);
+        return length <= size || (prefix !== 0x30 && (length === size + 1 || length === size * 2 + 1));
+    }
+
+    /**
+     * 解析 EC 密钥
+     * @param {string|Object|Uint8Array} input - PEM（SPKI / PKCS#8 / SEC1）、DER、JWK，
+     *     十六进制的公钥点（02/03/04 开头）或私钥标量，或 createKey() 的结果
+     * @param {Object} [options]
+     * @param {string} [options.curve] - 十六进制输入必须指定；其他格式指定时检查是否一致
+     * @returns {Object} - createKey() 的结果
+     */
+    function parseKey(input, options = {}) {
+        let key;
+        if (input && typeof input === 'object' && !(input instanceof Uint8Array) && (input.Q || typeof input.d === 'bigint')) {
+            key = createKey({ curve: options.curve, ...input });
+        } else if (typeof input === 'string' && isRawHexKey(input, options.curve)) {
+            const curve = getCurve(options.curve);
+            const bytes = root.REOT.bytes.fromHex(input.trim().replace(/[\s:]/g, '').replace(/^0x/i, ''));
+            if (bytes.length <= curve.size) {
+                key = createKey({ curve, d: toBigInt(bytes) });
+            } else {
+                key = createKey({ curve, Q: decodePoint(curve, bytes) });
+            }
+        } else {
+            key = keyFromDescriptor(root.REOT.keys.parse(input));
+        }
+        if (options.curve && getCurve(options.curve).name !== key.curve) {
+            throw new Error(`密钥曲线为 ${key.curve}，与所选的 ${getCurve(options.curve).name} 不一致`);
+        }
+        return key;
+    }
+
+    /**
+     * 导出为 PEM（公钥为 SPKI，私钥为 PKCS#8，内含公钥点）
+     * @param {Object} key
+     * @param {Object} [options]
+     * @param {string} [options.type] - public | private，默认按密钥类型
+     * @returns {string}
+     */
+    function toPem(key, options = {}) {
+        const { encodeNode, encodeOid } = root.REOT.keys.der;
+        const curve = getCurve(key.curve);
+        const type = options.type || key.type;
+        const algorithm = encodeNode(0x30, encodeNode(0x06, encodeOid(OID_EC)), encodeNode(0x06, encodeOid(curve.oid)));
+        const publicBits = encodeNode(0x03, [0x00], encodePoint(curve, key.Q));
+        if (type === 'public') {
+            return root.REOT.keys.pemEncode(encodeNode(0x30, algorithm, publicBits), 'PUBLIC KEY');
+        }
+        if (key.d === null) {
+            throw new Error('公钥无法导出为私钥');
+        }
+        const ecPrivateKey = encodeNode(0x30, [0x02, 0x01, 0x01], encodeNode(0x04, fromBigInt(key.d, Math.ceil(curve.bits / 8))),
+            encodeNode(0xA1, publicBits));
+        return root.REOT.keys.pemEncode(encodeNode(0x30, [0x02, 0x01, 0x00], algorithm, encodeNode(0x04, ecPrivateKey)), 'PRIVATE KEY');
+    }
+
+    /**
+     * 规范化输入的密钥
+     * @param {Object|string|Uint8Array} key
+     * @param {string} [curve]
+     * @returns {Object}
+     */
+    function resolveKey(key, curve) {
+        return key && key.Q && typeof key.curve === 'string' && key.type ? key : parseKey(key, { curve });
+    }
+
+    // ========== 签名编码 ==========
+
+    /**
+     * 编码 DER INTEGER 内容（最短表示，最高位为 1 时补 0）
+     * @param {bigint} value
+     * @returns {Uint8Array}
+     */
+    function integerContent(value) {
+        let hex = value.toString(16);
+        if (hex.length % 2) {
+            hex = '0' + hex;
+        }
+        if (parseInt(hex.slice(0, 2), 16) & 0x80) {
+            hex = '00' + hex;
+        }
+        return root.REOT.bytes.fromHex(hex);
+    }
+
+    /**
+     * 编码签名
+     * @param {{r: bigint, s: bigint}} signature
+     * @param {string} format - der | raw（r||s 定长拼接，即 IEEE P1363 / WebCrypto 格式）
+     * @param {string|Object} curve
+     * @returns {Uint8Array}
+     */
+    function encodeSignature(signature, format, curve) {
+        curve = getCurve(curve);
+        const size = Math.ceil(curve.bits / 8);
+        switch (format) {
+        case 'der': {
+            const { encodeNode } = root.REOT.keys.der;
+            return encodeNode(0x30, encodeNode(0x02, integerContent(signature.r)), encodeNode(0x02, integerContent(signature.s)));
+        }
+        case 'raw':
+            return root.REOT.bytes.concat([fromBigInt(signature.r, size), fromBigInt(signature.s, size)]);
+        default:
+            throw new Error(`不支持的签名格式: ${format}`);
+        }
+    }
+
+    /**
+     * 按 DER 解析签名
+     * @param {Uint8Array} bytes
+     * @returns {{r: bigint, s: bigint}|null} - 不是 DER 结构时返回 null
+     */
+    function decodeDerSignature(bytes) {
+        const { readNode, readChildren } = root.REOT.keys.der;
+        try {
+            const top = readNode(bytes, 0);
+            if (top.tag !== 0x30 || top.end !== bytes.length) {
+                return null;
+            }
+            const children = readChildren(bytes, top);
+            if (children.length !== 2 || children.some(child => child.tag !== 0x02)) {
+                return null;
+            }
+            const [r, s] = children.map(child => toBigInt(bytes.subarray(child.start, child.end)));
+            return { r, s };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 解析签名，自动识别 DER、r||s 以及附带恢复标识的 r||s||v（v 为 0-3 或 27-34）
+     * @param {Uint8Array} bytes
+     * @param {string|Object} curve
+     * @returns {{r: bigint, s: bigint, format: string, recovery: (number|null)}}
+     */
+    function decodeSignature(bytes, curve) {
+        curve = getCurve(curve);
+        const size = Math.ceil(curve.bits / 8);
+        const der = bytes[0] === 0x30 ? decodeDerSignature(bytes) : null;
+        let signature;
+        if (der) {
+            signature = { ...der, format: 'der', recovery: null };
+        } else if (bytes.length === size * 2 || bytes.length === size * 2 + 1) {
+            let recovery = null;
+            if (bytes.length > size * 2) {
+                const v = bytes[size * 2];
+                if (v <= 3) {
+                    recovery = v;
+                } else if (v >= 27 && v <= 34) {
+                    recovery = (v - 27) & 3;
+                } else {
+                    throw new Error(`无法识别的恢复标识 v = ${v}`);
+                }
+            }
+            signature = {
+                r: toBigInt(bytes.subarray(0, size)),
+                s: toBigInt(bytes.subarray(size, size * 2)),
+                format: 'raw',
+                recovery
+            };
+        } else {
+            throw new Error(`签名既不是 DER 结构，也不是 ${size * 2} 字节的 r||s（当前 ${bytes.length} 字节）`);
+        }
+        if (signature.r <= 0n || signature.r >= curve.n || signature.s <= 0n || signature.s >= curve.n) {
+            throw new Error('签名的 r、s 必须在 1 到 n-1 之间');
+        }
+        return signature;
+    }
+
+    /**
+     * 规范化输入的签名
+     * @param {Object|Uint8Array} signature
+     * @param {Object} curve
+     * @returns {{r: bigint, s: bigint, recovery: (number|null)}}
+     */
+    function resolveSignature(signature, curve) {
+        if (signature instanceof Uint8Array) {
+            return decodeSignature(signature, curve);
+        }
+        return { recovery: null, ...signature };
+    }
+
+    // ========== 哈希 ==========
+
+    /**
+     * 计算摘要
+     * @param {string} hash
+     * @param {Uint8Array} data
+     * @returns {Promise<Uint8Array>}
+     */
+    async function digest(hash, data) {
+        if (!HASHES[hash]) {
+            throw new Error(`不支持的哈希算法: ${hash}`);
+        }
+        if (!root.crypto?.subtle) {
+            throw new Error('当前环境不支持 crypto.subtle（需要 HTTPS 或 localhost）');
+        }
+        return new Uint8Array(await root.crypto.subtle.digest(hash, data));
+    }
+
+    /**
+     * HMAC
+     * @param {string} hash
+     * @param {Uint8Array} key
+     * @param {...Uint8Array} parts
+     * @returns {Promise<Uint8Array>}
+     */
+    async function hmac(hash, key, ...parts) {
+        const cryptoKey = await root.crypto.subtle.importKey('raw', key, { name: 'HMAC', hash }, false, ['sign']);
+        return new Uint8Array(await root.crypto.subtle.sign('HMAC', cryptoKey, root.REOT.bytes.concat(parts)));
+    }
+
+    /**
+     * 摘要转整数：取最左侧与 n 等长的位（SEC1 / FIPS 186 的 bits2int）
+     * @param {Uint8Array} bytes
+     * @param {Object} curve
+     * @returns {bigint}
+     */
+    function bitsToInt(bytes, curve) {
+        const value = toBigInt(bytes);
+        const excess = bytes.length * 8 - curve.bits;
+        return excess > 0 ? value >> BigInt(excess) : value;
+    }
+
+    /**
+     * 计算消息对应的整数 z
+     * @param {Uint8Array} message
+     * @param {string|Object} curve
+     * @param {Object} [options]
+     * @param {string} [options.hash='SHA-256']
+     * @param {boolean} [options.prehashed=false] - message 已经是摘要（如 Keccak-256）
+     * @returns {Promise<{digest: Uint8Array, z: bigint}>}
+     */
+    async function hashMessage(message, curve, options = {}) {
+        curve = getCurve(curve);
+        const { hash = 'SHA-256', prehashed = false } = options;
+        const hashed = prehashed ? message : await digest(hash, message);
+        return { digest: hashed, z: bitsToInt(hashed, curve) };
+    }
+
+    /**
+     * RFC 6979 确定性 k 的生成器
+     * @param {Object} curve
+     * @param {bigint} d - 私钥
+     * @param {Uint8Array} hashed - 消息摘要
+     * @param {string} hash - HMAC 使用的哈希
+     * @returns {function(): Promise<bigint>} - 每次调用返回下一个候选 k
+     */
+    function rfc6979(curve, d, hashed, hash) {
+        const length = Math.ceil(curve.bits / 8);
+        const hashLength = HASHES[hash];
+        if (!hashLength) {
+            throw new Error(`不支持的哈希算法: ${hash}`);
+        }
+        const x = fromBigInt(d, length);
+        const h = fromBigInt(mod(bitsToInt(hashed, curve), curve.n), length);
+        let V = new Uint8Array(hashLength).fill(1);
+        let K = new Uint8Array(hashLength);
+        let started = false;
+
+        return async function next() {
+            if (!started) {
+                started = true;
+                K = await hmac(hash, K, V, new Uint8Array([0]), x, h);
+                V = await hmac(hash, K, V);
+                K = await hmac(hash, K, V, new Uint8Array([1]), x, h);
+                V = await hmac(hash, K, V);
+            } else {
+                K = await hmac(hash, K, V, new Uint8Array([0]));
+                V = await hmac(hash, K, V);
+            }
+            let k = 0n;
+            do {
+                const parts = [];
+                let collected = 0;
+                while (collected < length) {
+                    V = await hmac(hash, K, V);
+                    parts.push(V);
+                    collected += V.length;
+                }
+                k = bitsToInt(root.REOT.bytes.concat(parts).subarray(0, length), curve);
+                if (k <= 0n || k >= curve.n) {
+                    K = await hmac(hash, K, V, new Uint8Array([0]));
+                    V = await hmac(hash, K, V);
+                }
+            } while (k <= 0n || k >= curve.n);
+            return k;
+        };
+    }
+
+    // ========== 公钥恢复与重复 k ==========
+
+    /**
+     * 由签名恢复公钥点：Q = r⁻¹(sR − zG)
+     * @param {Object} curve
+     * @param {bigint} z
+     * @param {bigint} r
+     * @param {bigint} s
+     * @param {number} recovery - 0-3：低位为 R.y 的奇偶性，高位表示 R.x = r + n
+     * @returns {{x: bigint, y: bigint}|null}
+     */
+    function recoverPoint(curve, z, r, s, recovery) {
+        const R = liftX(curve, r + (recovery & 2 ? curve.n : 0n), (recovery & 1) === 1);
+        if (!R) {
+            return null;
+        }
+        const rInv = modInverse(r, curve.n);
+        return add(curve, multiply(curve, R, s * rInv), multiply(curve, curve.G, mod(-z * rInv, curve.n)));
+    }
+
+    /**
+     * 由两个使用相同 k 的签名求出 k 与私钥
+     * s 可能被规范化为 n − s，因此两种符号组合都会尝试，并用 kG 的 x 坐标确认
+     * @param {string|Object} curve
+     * @param {{z: bigint, r: bigint, s: bigint}} first
+     * @param {{z: bigint, r: bigint, s: bigint}} second
+     * @returns {{k: bigint, d: bigint}|null} - r 不同（k 未重复）时返回 null
+     */
+    function recoverNonceReuse(curve, first, second) {
+        curve = getCurve(curve);
+        const { n } = curve;
+        if (first.r !== second.r) {
+            return null;
+        }
+        if (mod(first.z - second.z, n) === 0n) {
+            throw new Error('两个签名的消息摘要相同，无法求解');
+        }
+        for (const sign of [1n, -1n]) {
+            const denominator = mod(first.s - sign * second.s, n);
+            if (denominator === 0n) {
+                continue;
+            }
+            const k = mod((first.z - second.z) * modInverse(denominator, n), n);
+            const R = multiply(curve, curve.G, k);
+            if (R && mod(R.x, n) === first.r) {
+                const d = mod((first.s * k - first.z) * modInverse(first.r, n), n);
+                return { k, d };
+            }
+        }
+        throw new Error('两个签名的 r 相同，但无法求出一致的 k（消息或哈希算法可能不匹配）');
+    }
+
+    // ========== 导出的模块 ==========
+
+    root.REOT.ecc = {
+        CURVES: Object.keys(CURVE_PARAMS),
+        HASHES: Object.keys(HASHES),
+        SIGNATURE_FORMATS,
+
+        getCurve,
+        isOnCurve,
+        add,
+        multiply,
+        encodePoint,
+        decodePoint,
+
+        createKey,
+        generateKey,
+        parseKey,
+        toPem,
+
+        encodeSignature,
+        decodeSignature,
+        hashMessage,
+        recoverNonceReuse,
+
+        /**
+         * 压缩 / 解压公钥点
+         * @param {string|Object} curve
+         * @param {Uint8Array} bytes - SEC1 编码的点
+         * @param {boolean} compressed - 输出压缩格式
+         * @returns {Uint8Array}
+         */
+        convertPoint(curve, bytes, compressed) {
+            return encodePoint(curve, decodePoint(curve, bytes), { compressed });
+        },
+
+        /**
+         * 转换签名编码
+         * @param {Uint8Array} bytes - DER 或 r||s
+         * @param {string} format - der | raw
+         * @param {string|Object} curve
+         * @returns {Uint8Array}
+         */
+        convertSignature(bytes, format, curve) {
+            return encodeSignature(decodeSignature(bytes, curve), format, curve);
+        },
+
+        /**
+         * ECDSA 签名
+         * @param {Uint8Array} message
+         * @param {Object|string} key - 私钥（parseKey() 的结果或其支持的输入）
+         * @param {Object} [options]
+         * @param {string} [options.curve] - 十六进制私钥需要指定
+         * @param {string} [options.hash='SHA-256'] - 消息哈希，同时用于 RFC 6979
+         * @param {boolean} [options.prehashed=false] - message 已经是摘要
+         * @param {string|bigint} [options.nonce='rfc6979'] - rfc6979 | random，或直接指定 k（仅用于演示）
+         * @param {boolean} [options.lowS=false] - 将 s 规范化到 n/2 以下（比特币 / 以太坊要求）
+         * @returns {Promise<{r: bigint, s: bigint, recovery: number}>}
+         */
+        async sign(message, key, options = {}) {
+            const { hash = 'SHA-256', nonce = 'rfc6979', lowS = false } = options;
+            key = resolveKey(key, options.curve);
+            if (key.d === null) {
+                throw new Error('签名需要私钥');
+            }
+            const curve = getCurve(key.curve);
+            const { n } = curve;
+            const { digest: hashed, z } = await hashMessage(message, curve, options);
+            let nextK;
+            if (typeof nonce === 'bigint') {
+                if (nonce <= 0n || nonce >= n) {
+                    throw new Error('k 必须在 1 到 n-1 之间');
+                }
+                nextK = async () => nonce;
+            } else if (nonce === 'random') {
+                nextK = async () => randomScalar(n);
+            } else if (nonce === 'rfc6979') {
+                nextK = rfc6979(curve, key.d, hashed, hash);
+            } else {
+                throw new Error(`不支持的 k 生成方式: ${nonce}`);
+            }
+
+            for (let attempt = 0; attempt < 64; attempt++) {
+                const k = await nextK();
+                const R = multiply(curve, curve.G, k);
+                const r = mod(R.x, n);
+                let s = mod(modInverse(k, n) * (z + r * key.d), n);
+                if (r === 0n || s === 0n) {
+                    if (typeof nonce === 'bigint') {
+                        throw new Error('指定的 k 无法产生有效签名');
+                    }
+                    continue;
+                }
+                let recovery = Number(R.y & 1n) | (R.x >= n ? 2 : 0);
+                if (lowS && s > n >> 1n) {
+                    s = n - s;
+                    recovery ^= 1;
+                }
+                return { r, s, recovery };
+            }
+            throw new Error('无法生成有效签名');
+        },
+
+        /**
+         * ECDSA 验签
+         * @param {Uint8Array} message
+         * @param {Object|Uint8Array} signature - {r, s} 或 DER / r||s 编码
+         * @param {Object|string} key - 公钥或私钥
+         * @param {Object} [options] - curve / hash / prehashed，同 sign
+         * @returns {Promise<boolean>}
+         */
+        async verify(message, signature, key, options = {}) {
+            key = resolveKey(key, options.curve);
+            const curve = getCurve(key.curve);
+            const { n } = curve;
+            const { r, s } = resolveSignature(signature, curve);
+            if (r <= 0n || r >= n || s <= 0n || s >= n) {
+                return false;
+            }
+            const { z } = await hashMessage(message, curve, options);
+            const w = modInverse(s, n);
+            const point = add(curve, multiply(curve, curve.G, z * w), multiply(curve, key.Q, r * w));
+            return point !== null && mod(point.x, n) === r;
+        },
+
+        /**
+         * 由签名恢复公钥
+         * @param {Uint8Array} message
+         * @param {Object|Uint8Array} signature - {r, s, recovery} 或编码后的签名（r||s||v 自带恢复标识）
+         * @param {Object} options
+         * @param {string} options.curve
+         * @param {string} [options.hash='SHA-256']
+         * @param {boolean} [options.prehashed=false]
+         * @param {number} [options.recovery] - 恢复标识，未指定且签名中没有时返回全部候选
+         * @returns {Promise<{recovery: number, Q: {x: bigint, y: bigint}}[]>}
+         */
+        async recoverPublicKey(message, signature, options) {
+            const curve = getCurve(options.curve);
+            const { r, s, recovery } = resolveSignature(signature, curve);
+            const { z } = await hashMessage(message, curve, options);
+            const wanted = options.recovery ?? recovery;
+            const candidates = wanted === null || wanted === undefined ? [0, 1, 2, 3] : [wanted];
+            return candidates
+                .map(id => ({ recovery: id, Q: recoverPoint(curve, z, r, s, id) }))
+                .filter(candidate => candidate.Q !== null);
+        },
+
+        /**
+         * 检查一组签名中重复使用的 k，并恢复 k 与私钥
+         * r 相同但无法求解的一对（摘要相同或 k 不一致）会被跳过，不影响其余签名
+         * @param {{message: Uint8Array, signature: (Object|Uint8Array)}[]} items
+         * @param {Object} options
+         * @param {string} options.curve
+         * @param {string} [options.hash='SHA-256']
+         * @param {boolean} [options.prehashed=false]
+         * @param {Object|string} [options.publicKey] - 提供时检查恢复出的私钥是否与之对应
+         * @returns {Promise<{indices: number[], r: bigint, k: bigint, d: bigint, key: Object, matchesPublicKey: (boolean|null)}[]>}
+         */
+        async findNonceReuse(items, options) {
+            const curve = getCurve(options.curve);
+            const publicKey = options.publicKey ? resolveKey(options.publicKey, curve.name) : null;
+            const entries = [];
+            for (const item of items) {
+                const { r, s } = resolveSignature(item.signature, curve);
+                const { z } = await hashMessage(item.message, curve, options);
+                entries.push({ r, s, z });
+            }
+            const findings = [];
+            entries.forEach((first, i) => {
+                for (let j = i + 1; j < entries.length; j++) {
+                    const second = entries[j];
+                    // 摘要也相同的一对（如重复录入的同一签名）无法求解，跳过以免中断整组扫描
+                    if (first.r !== second.r || first.z === second.z || findings.some(finding => finding.r === first.r)) {
+                        continue;
+                    }
+                    let recovered;
+                    try {
+                        recovered = recoverNonceReuse(curve, first, second);
+                    } catch (e) {
+                        continue;
+                    }
+                    const { k, d } = recovered;
+                    const key = createKey({ curve, d });
+                    findings.push({
+                        indices: [i, j],
+                        r: first.r,
+                        k,
+                        d,
+                        key,
+                        matchesPublicKey: publicKey ? publicKey.Q.x === key.Q.x && publicKey.Q.y === key.Q.y : null
+                    });
+                }
+            });
+            return findings;
+        },
+
+        /**
+         * ECDH：返回共享点的 x 坐标
+         * @param {Object|string} privateKey
+         * @param {Object|string} publicKey
+         * @param {Object} [options]
+         * @param {string} [options.curve]
+         * @returns {Uint8Array}
+         */
+        deriveSharedSecret(privateKey, publicKey, options = {}) {
+            privateKey = resolveKey(privateKey, options.curve);
+            publicKey = resolveKey(publicKey, options.curve || privateKey.curve);
+            if (privateKey.d === null) {
+                throw new Error('ECDH 需要私钥');
+            }
+            if (privateKey.curve !== publicKey.curve) {
+                throw new Error(`双方曲线不一致：${privateKey.curve} / ${publicKey.curve}`);
+            }
+            const curve = getCurve(privateKey.curve);
+            const shared = multiply(curve, publicKey.Q, privateKey.d);
+            if (!shared) {
+                throw new Error('共享点为无穷远点');
+            }
+            return fromBigInt(shared.x, curve.size);
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
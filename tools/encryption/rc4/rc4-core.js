@@ -0,0 +1,102 @@
+/**
+ * RC4 计算核心
+ * @description 不依赖 DOM 的 RC4 流加密（KSA + PRGA），加密和解密是同一操作，供 RC4 工具页面和操作链共用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // 密钥最大长度（字节），更长的部分不会参与密钥调度
+    const MAX_KEY_LENGTH = 256;
+
+    /**
+     * 检查密钥长度
+     * @param {Uint8Array} key
+     * @throws {Error} 密钥为空或超过 256 字节时抛出
+     */
+    function checkKey(key) {
+        if (key.length === 0) {
+            throw new Error('密钥不能为空');
+        }
+        if (key.length > MAX_KEY_LENGTH) {
+            throw new Error(`密钥长度不能超过 ${MAX_KEY_LENGTH} 字节`);
+        }
+    }
+
+    /**
+     * RC4 密钥调度算法 (KSA)
+     * @param {Uint8Array} key - 密钥字节数组
+     * @returns {Uint8Array} - 初始化后的 S 盒
+     */
+    function ksa(key) {
+        const S = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            S[i] = i;
+        }
+
+        let j = 0;
+        for (let i = 0; i < 256; i++) {
+            j = (j + S[i] + key[i % key.length]) & 0xff;
+            // 交换 S[i] 和 S[j]
+            [S[i], S[j]] = [S[j], S[i]];
+        }
+
+        return S;
+    }
+
+    /**
+     * RC4 伪随机生成算法 (PRGA)
+     * @param {Uint8Array} S - S 盒（会被修改）
+     * @param {number} length - 需要生成的字节数
+     * @returns {Uint8Array} - 伪随机字节流
+     */
+    function prga(S, length) {
+        const stream = new Uint8Array(length);
+        let i = 0, j = 0;
+
+        for (let k = 0; k < length; k++) {
+            i = (i + 1) & 0xff;
+            j = (j + S[i]) & 0xff;
+            // 交换 S[i] 和 S[j]
+            [S[i], S[j]] = [S[j], S[i]];
+            stream[k] = S[(S[i] + S[j]) & 0xff];
+        }
+
+        return stream;
+    }
+
+    root.REOT.rc4 = {
+        MAX_KEY_LENGTH,
+
+        /**
+         * 生成密钥流
+         * @param {Uint8Array} key
+         * @param {number} length
+         * @returns {Uint8Array}
+         */
+        keystream(key, length) {
+            checkKey(key);
+            return prga(ksa(key), length);
+        },
+
+        /**
+         * RC4 加密/解密（相同操作）
+         * @param {Uint8Array} data - 输入数据
+         * @param {Uint8Array} key - 密钥（1–256 字节）
+         * @returns {Uint8Array} - 输出数据
+         */
+        crypt(data, key) {
+            const keystream = this.keystream(key, data.length);
+            for (let i = 0; i < data.length; i++) {
+                keystream[i] ^= data[i];
+            }
+            return keystream;
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -1,6 +1,6 @@
 /**
  * RC4 加解密工具
- * @description RC4 流加密算法实现
+ * @description RC4 流加密（实现位于 rc4-core.js，与操作链共用）
  * @author Evil0ctal
  * @license Apache-2.0
  */
@@ -17,131 +17,22 @@
     }
 
     /**
-     * RC4 密钥调度算法 (KSA)
-     * @param {Uint8Array} key - 密钥字节数组
-     * @returns {Uint8Array} - 初始化后的 S 盒
+     * 加载 RC4 核心（与操作链共用）
+     * @returns {Promise<Object>} REOT.rc4
      */
-    function ksa(key) {
-        const S = new Uint8Array(256);
-        for (let i = 0; i < 256; i++) {
-            S[i] = i;
-        }
-
-        let j = 0;
-        for (let i = 0; i < 256; i++) {
-            j = (j + S[i] + key[i % key.length]) % 256;
-            // 交换 S[i] 和 S[j]
-            [S[i], S[j]] = [S[j], S[i]];
-        }
-
-        return S;
-    }
-
-    /**
-     * RC4 伪随机生成算法 (PRGA)
-     * @param {Uint8Array} S - S 盒
-     * @param {number} length - 需要生成的字节数
-     * @returns {Uint8Array} - 伪随机字节流
-     */
-    function prga(S, length) {
-        const stream = new Uint8Array(length);
-        let i = 0, j = 0;
-
-        for (let k = 0; k < length; k++) {
-            i = (i + 1) % 256;
-            j = (j + S[i]) % 256;
-            // 交换 S[i] 和 S[j]
-            [S[i], S[j]] = [S[j], S[i]];
-            stream[k] = S[(S[i] + S[j]) % 256];
-        }
-
-        return stream;
+    async function loadCore() {
+        await REOT.loader.loadScript('tools/encryption/rc4/rc4-core.js');
+        return REOT.rc4;
     }
 
     /**
-     * RC4 加密/解密 (相同操作)
+     * RC4 加密/解密 (相同操作)，需先加载核心
      * @param {Uint8Array} data - 输入数据
      * @param {Uint8Array} key - 密钥
      * @returns {Uint8Array} - 输出数据
      */
     function rc4(data, key) {
-        if (key.length === 0) {
-            throw new Error('密钥不能为空');
-        }
-        if (key.length > 256) {
-            throw new Error('密钥长度不能超过 256 字节');
-        }
-
-        const S = ksa(key);
-        const keystream = prga(S, data.length);
-        const output = new Uint8Array(data.length);
-
-        for (let i = 0; i < data.length; i++) {
-            output[i] = data[i] ^ keystream[i];
-        }
-
-        return output;
-    }
-
-    /**
-     * 字符串转 Uint8Array (UTF-8)
-     */
-    function stringToBytes(str) {
-        return new TextEncoder().encode(str);
-    }
-
-    /**
-     * Uint8Array 转字符串 (UTF-8)
-     */
-    function bytesToString(bytes) {
-        return new TextDecoder().decode(bytes);
-    }
-
-    /**
-     * Hex 字符串转 Uint8Array
-     */
-    function hexToBytes(hex) {
-        hex = hex.replace(/\s/g, '');
-        if (hex.length % 2 !== 0) {
-            throw new Error('无效的 Hex 字符串');
-        }
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
-        }
-        return bytes;
-    }
-
-    /**
-     * Uint8Array 转 Hex 字符串
-     */
-    function bytesToHex(bytes) {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    /**
-     * Base64 转 Uint8Array
-     */
-    function base64ToBytes(base64) {
-        const binary = atob(base64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
-        }
-        return bytes;
-    }
-
-    /**
-     * Uint8Array 转 Base64
-     */
-    function bytesToBase64(bytes) {
-        let binary = '';
-        for (let i = 0; i < bytes.length; i++) {
-            binary += String.fromCharCode(bytes[i]);
-        }
-        return btoa(binary);
+        return REOT.rc4.crypt(data, key);
     }
 
     /**
@@ -149,52 +40,28 @@
      */
     function generateRandomKey(length = 16) {
         const bytes = crypto.getRandomValues(new Uint8Array(length));
-        return bytesToHex(bytes);
-    }
-
-    /**
-     * 解析输入数据
-     */
-    function parseInput(input, format) {
-        switch (format) {
-            case 'hex':
-                return hexToBytes(input);
-            case 'base64':
-                return base64ToBytes(input);
-            case 'text':
-            default:
-                return stringToBytes(input);
-        }
+        return REOT.bytes.toHex(bytes);
     }
 
     /**
      * 格式化输出数据
      */
     function formatOutput(bytes, format) {
-        switch (format) {
-            case 'hex':
-                return bytesToHex(bytes);
-            case 'base64':
-                return bytesToBase64(bytes);
-            case 'text':
-            default:
-                try {
-                    return bytesToString(bytes);
-                } catch (e) {
-                    // 如果无法解码为 UTF-8，返回 Hex
-                    return bytesToHex(bytes);
-                }
+        if (format === 'text' && !REOT.bytes.isPrintableText(bytes)) {
+            // 如果无法解码为可读的 UTF-8 文本，返回 Hex
+            return REOT.bytes.toHex(bytes);
         }
+        return REOT.bytes.format(bytes, format);
     }
 
     /**
      * 处理加密/解密
      */
-    function process() {
+    async function process() {
         const inputEl = document.getElementById('input');
         const outputEl = document.getElementById('output');
         const keyInput = document.getElementById('key-input');
-        const inputFormat = document.getElementById('input-format')?.value || 'text';
+        const inputFormat = document.getElementById('input-format')?.value || 'auto';
         const outputFormat = document.getElementById('output-format')?.value || 'hex';
 
         if (!inputEl?.value.trim()) {
@@ -206,18 +73,19 @@
         }
 
         // 解析输入
-        const inputBytes = parseInput(inputEl.value.trim(), inputFormat);
+        const inputBytes = REOT.bytes.parse(inputEl.value.trim(), inputFormat);
 
         // 解析密钥 (支持 Hex 或文本)
         let keyBytes;
         const keyStr = keyInput.value.trim();
         if (/^[0-9a-fA-F]+$/.test(keyStr) && keyStr.length % 2 === 0) {
-            keyBytes = hexToBytes(keyStr);
+            keyBytes = REOT.bytes.fromHex(keyStr);
         } else {
-            keyBytes = stringToBytes(keyStr);
+            keyBytes = REOT.bytes.fromText(keyStr);
         }
 
         // RC4 处理
+        await loadCore();
         const outputBytes = rc4(inputBytes, keyBytes);
 
         // 格式化输出
@@ -247,7 +115,7 @@
         // 处理按钮
         if (target.id === 'process-btn' || target.closest('#process-btn')) {
             try {
-                process();
+                await process();
                 REOT.utils?.showNotification('处理成功', 'success');
             } catch (error) {
                 REOT.utils?.showNotification(error.message, 'error');
@@ -263,6 +131,11 @@
             const inputFormat = document.getElementById('input-format');
             const outputFormat = document.getElementById('output-format');
 
+            // 自动检测时按检测结果交换
+            const currentInputFormat = inputFormat?.value === 'auto'
+                ? REOT.bytes.detect(inputEl?.value)
+                : inputFormat?.value;
+
             if (inputEl && outputEl) {
                 const temp = inputEl.value;
                 inputEl.value = outputEl.value;
@@ -271,7 +144,7 @@
 
             // 交换格式
             if (inputFormat && outputFormat) {
-                const tempFormat = inputFormat.value;
+                const tempFormat = currentInputFormat;
                 inputFormat.value = outputFormat.value;
                 outputFormat.value = tempFormat;
             }
@@ -308,6 +181,12 @@
         if (keyInput && !keyInput.value) {
             keyInput.value = 'mysecretkey';
         }
+
+        // 输入格式自动检测
+        const inputFormat = document.getElementById('input-format');
+        if (inputFormat && inputEl) {
+            REOT.bytes.bindFormatSelect(inputFormat, inputEl);
+        }
     }
 
     // 页面加载完成后初始化
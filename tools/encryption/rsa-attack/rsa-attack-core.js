@@ -0,0 +1,670 @@
+/**
+ * RSA 弱密钥攻击核心
+ * @description 基于 BigInt 的经典 RSA 攻击：小指数开方、共模攻击、批量 GCD 公因子、Wiener 连分数、
+ *     Fermat 分解相近素数、Håstad 广播攻击。依赖 REOT.rsa（tools/encryption/rsa/rsa-core.js），
+ *     不依赖 DOM，可在 Web Worker 中使用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    const ATTACKS = ['small-e', 'common-modulus', 'shared-primes', 'wiener', 'fermat', 'hastad'];
+
+    // 小指数开方与 Håstad 广播攻击只对 e 较小的密钥有意义
+    const SMALL_EXPONENT_MAX = 1000n;
+
+    // 小指数攻击默认尝试的 k 上限（m^e = c + k·n）
+    const DEFAULT_MAX_K = 10000;
+
+    // Fermat 分解默认的迭代次数
+    const DEFAULT_FERMAT_ITERATIONS = 10000000;
+
+    // Fermat 分解的平方剩余筛：b² = a² - n 模这些数必须是平方剩余
+    const SQUARE_FILTERS = [64, 63, 65, 11].map(modulus => {
+        const table = new Uint8Array(modulus);
+        for (let i = 0; i < modulus; i++) {
+            table[(i * i) % modulus] = 1;
+        }
+        return { modulus, table };
+    });
+
+    /**
+     * @returns {Object} REOT.rsa
+     */
+    function rsa() {
+        if (!root.REOT.rsa) {
+            throw new Error('需要先加载 RSA 核心（rsa-core.js）');
+        }
+        return root.REOT.rsa;
+    }
+
+    // ========== 整数运算 ==========
+
+    /**
+     * 整数 k 次方根（向下取整）
+     * @param {bigint} value - 非负整数
+     * @param {number|bigint} k
+     * @returns {{root: bigint, exact: boolean}}
+     */
+    function iroot(value, k) {
+        k = BigInt(k);
+        if (value < 0n) {
+            throw new Error('不能对负数开方');
+        }
+        if (k < 1n) {
+            throw new Error('开方次数必须为正整数');
+        }
+        if (value < 2n || k === 1n) {
+            return { root: value, exact: true };
+        }
+        // 初值 2^⌈bits/k⌉ 不小于真实的根，牛顿迭代单调下降
+        let x = 1n << ((BigInt(value.toString(2).length) + k - 1n) / k);
+        let y = ((k - 1n) * x + value / (x ** (k - 1n))) / k;
+        while (y < x) {
+            x = y;
+            y = ((k - 1n) * x + value / (x ** (k - 1n))) / k;
+        }
+        return { root: x, exact: x ** k === value };
+    }
+
+    /**
+     * 整数平方根（向下取整）
+     * @param {bigint} value
+     * @returns {bigint}
+     */
+    function isqrt(value) {
+        return iroot(value, 2).root;
+    }
+
+    /**
+     * 扩展欧几里得算法
+     * @param {bigint} a
+     * @param {bigint} b
+     * @returns {{g: bigint, x: bigint, y: bigint}} - a·x + b·y = g
+     */
+    function extendedGcd(a, b) {
+        let [oldR, r] = [a, b];
+        let [oldX, x] = [1n, 0n];
+        let [oldY, y] = [0n, 1n];
+        while (r) {
+            const quotient = oldR / r;
+            [oldR, r] = [r, oldR - quotient * r];
+            [oldX, x] = [x, oldX - quotient * x];
+            [oldY, y] = [y, oldY - quotient * y];
+        }
+        return { g: oldR, x: oldX, y: oldY };
+    }
+
+    /**
+     * 中国剩余定理
+     * @param {bigint[]} remainders
+     * @param {bigint[]} moduli - 两两互素
+     * @returns {{value: bigint, modulus: bigint}}
+     */
+    function crt(remainders, moduli) {
+        const { gcd, modInverse } = rsa();
+        let value = 0n;
+        let modulus = 1n;
+        remainders.forEach((remainder, i) => {
+            const m = moduli[i];
+            if (gcd(modulus, m) !== 1n) {
+                throw new Error('模数不互素，无法使用中国剩余定理（可先尝试公因子攻击）');
+            }
+            const t = (((remainder - value) % m + m) % m) * modInverse(modulus % m, m) % m;
+            value += modulus * t;
+            modulus *= m;
+        });
+        return { value, modulus };
+    }
+
+    /**
+     * 带负指数的模幂（负指数使用模逆元）
+     * @param {bigint} base
+     * @param {bigint} exponent
+     * @param {bigint} modulus
+     * @returns {bigint}
+     */
+    function signedModPow(base, exponent, modulus) {
+        const { modPow, modInverse } = rsa();
+        return exponent < 0n
+            ? modPow(modInverse(base, modulus), -exponent, modulus)
+            : modPow(base, exponent, modulus);
+    }
+
+    /**
+     * Miller-Rabin 素性测试
+     * @param {bigint} n
+     * @param {number} [rounds=32]
+     * @returns {boolean}
+     */
+    function isProbablePrime(n, rounds = 32) {
+        if (n < 2n) {
+            return false;
+        }
+        for (const small of [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n]) {
+            if (n % small === 0n) {
+                return n === small;
+            }
+        }
+        const { modPow } = rsa();
+        let d = n - 1n;
+        let s = 0;
+        while (d % 2n === 0n) {
+            d /= 2n;
+            s++;
+        }
+        for (let i = 0; i < rounds; i++) {
+            const a = 2n + randomBelow(n - 3n);
+            let x = modPow(a, d, n);
+            if (x === 1n || x === n - 1n) {
+                continue;
+            }
+            let composite = true;
+            for (let r = 1; r < s; r++) {
+                x = x * x % n;
+                if (x === n - 1n) {
+                    composite = false;
+                    break;
+                }
+            }
+            if (composite) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 小于 limit 的随机非负整数
+     * @param {bigint} limit
+     * @returns {bigint}
+     */
+    function randomBelow(limit) {
+        const size = Math.ceil(limit.toString(2).length / 8) + 8;
+        return rsa().toBigInt(root.crypto.getRandomValues(new Uint8Array(size))) % limit;
+    }
+
+    /**
+     * 生成指定位数的随机素数（最高两位为 1，保证两个素数的乘积达到 2·bits 位）
+     * @param {number} bits
+     * @returns {bigint}
+     */
+    function randomPrime(bits) {
+        const top = 3n << BigInt(bits - 2);
+        let candidate;
+        do {
+            candidate = randomBelow(1n << BigInt(bits)) | top | 1n;
+        } while (!isProbablePrime(candidate));
+        return candidate;
+    }
+
+    // ========== 攻击 ==========
+
+    /**
+     * 小指数攻击：m^e 没有（或只略微）超过 n 时，对 c + k·n 开 e 次方
+     * @param {bigint} n
+     * @param {bigint} e
+     * @param {bigint} c
+     * @param {Object} [options]
+     * @param {number} [options.maxK=10000] - k 的上限
+     * @returns {{m: bigint, k: number}|null}
+     */
+    function smallExponent(n, e, c, options = {}) {
+        const maxK = options.maxK ?? DEFAULT_MAX_K;
+        let value = c;
+        for (let k = 0; k <= maxK; k++) {
+            const { root: m, exact } = iroot(value, e);
+            if (exact) {
+                return { m, k };
+            }
+            value += n;
+        }
+        return null;
+    }
+
+    /**
+     * 共模攻击：同一消息用相同的 n、不同的 e 加密两次
+     * gcd(e1, e2) = g 时得到 m^g，g > 1 时再尝试开 g 次方
+     * @param {bigint} n
+     * @param {bigint} e1
+     * @param {bigint} c1
+     * @param {bigint} e2
+     * @param {bigint} c2
+     * @returns {{m: bigint, g: bigint}|null}
+     */
+    function commonModulus(n, e1, c1, e2, c2) {
+        const { g, x, y } = extendedGcd(e1, e2);
+        const power = signedModPow(c1, x, n) * signedModPow(c2, y, n) % n;
+        if (g === 1n) {
+            return { m: power, g };
+        }
+        const { root: m, exact } = iroot(power, g);
+        return exact ? { m, g } : null;
+    }
+
+    /**
+     * 批量 GCD（Bernstein 乘积树 / 余数树）：找出与其他模数共享素因子的模数
+     * 两个素因子都被共享时（gcd 等于模数本身）退回两两比较
+     * @param {bigint[]} moduli
+     * @returns {Array<bigint|null>} - 与 moduli 一一对应的非平凡因子，未找到为 null
+     */
+    function sharedPrimes(moduli) {
+        const { gcd } = rsa();
+        if (moduli.length < 2) {
+            return moduli.map(() => null);
+        }
+
+        // 乘积树：tree[0] 为各模数，逐层两两相乘直到根
+        const tree = [moduli.slice()];
+        while (tree[tree.length - 1].length > 1) {
+            const level = tree[tree.length - 1];
+            const next = [];
+            for (let i = 0; i < level.length; i += 2) {
+                next.push(i + 1 < level.length ? level[i] * level[i + 1] : level[i]);
+            }
+            tree.push(next);
+        }
+
+        // 余数树：自顶向下计算 P mod x²
+        let remainders = tree[tree.length - 1];
+        for (let depth = tree.length - 2; depth >= 0; depth--) {
+            remainders = tree[depth].map((value, i) => remainders[i >> 1] % (value * value));
+        }
+
+        return moduli.map((n, i) => {
+            const g = gcd(remainders[i] / n, n);
+            if (g === 1n) {
+                return null;
+            }
+            if (g !== n) {
+                return g;
+            }
+            for (let j = 0; j < moduli.length; j++) {
+                const shared = gcd(n, moduli[j]);
+                if (shared !== 1n && shared !== n) {
+                    return shared;
+                }
+            }
+            // 只与相同的模数"共享"因子（重复的公钥），无法分解
+            return null;
+        });
+    }
+
+    /**
+     * Wiener 攻击：d < n^¼ / 3 时，k/d 是 e/n 连分数的某个渐近分数
+     * @param {bigint} n
+     * @param {bigint} e
+     * @returns {{d: bigint, p: bigint, q: bigint}|null}
+     */
+    function wiener(n, e) {
+        let [numerator, denominator] = [e, n];
+        let [h1, h2] = [1n, 0n];
+        let [k1, k2] = [0n, 1n];
+        while (denominator) {
+            const a = numerator / denominator;
+            [numerator, denominator] = [denominator, numerator - a * denominator];
+            [h1, h2] = [a * h1 + h2, h1];
+            [k1, k2] = [a * k1 + k2, k1];
+
+            // 渐近分数 h1/k1 ≈ k/d
+            const k = h1;
+            const d = k1;
+            if (k === 0n || (e * d - 1n) % k !== 0n) {
+                continue;
+            }
+            const phi = (e * d - 1n) / k;
+            const sum = n - phi + 1n;
+            const discriminant = sum * sum - 4n * n;
+            if (discriminant < 0n) {
+                continue;
+            }
+            const { root, exact } = iroot(discriminant, 2);
+            if (exact && (sum + root) % 2n === 0n) {
+                const p = (sum + root) / 2n;
+                const q = (sum - root) / 2n;
+                if (q > 1n && p * q === n) {
+                    return { d, p, q };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fermat 分解：p、q 接近时，从 a = ⌈√n⌉ 开始寻找使 a² - n 为完全平方数的 a
+     * @param {bigint} n
+     * @param {Object} [options]
+     * @param {number} [options.iterations=10000000] - 最多尝试的 a 的个数
+     * @returns {{p: bigint, q: bigint, iterations: number}|null}
+     */
+    function fermat(n, options = {}) {
+        const iterations = options.iterations ?? DEFAULT_FERMAT_ITERATIONS;
+        if (n % 2n === 0n) {
+            return n > 2n ? { p: n / 2n, q: 2n, iterations: 0 } : null;
+        }
+        let start = isqrt(n);
+        if (start * start < n) {
+            start++;
+        }
+
+        // 用 Number 跟踪 a 和 n 模各筛选数的余数，只有通过筛选的 a 才做 BigInt 开方
+        const filters = SQUARE_FILTERS.map(({ modulus, table }) => ({
+            modulus,
+            table,
+            a: Number(start % BigInt(modulus)),
+            n: Number(n % BigInt(modulus))
+        }));
+        for (let i = 0; i < iterations; i++) {
+            let candidate = true;
+            for (const filter of filters) {
+                const residue = ((filter.a * filter.a - filter.n) % filter.modulus + filter.modulus) % filter.modulus;
+                if (!filter.table[residue]) {
+                    candidate = false;
+                    break;
+                }
+            }
+            if (candidate) {
+                const a = start + BigInt(i);
+                const { root: b, exact } = iroot(a * a - n, 2);
+                if (exact) {
+                    const p = a + b;
+                    const q = a - b;
+                    return q > 1n ? { p, q, iterations: i + 1 } : null;
+                }
+            }
+            for (const filter of filters) {
+                filter.a = (filter.a + 1) % filter.modulus;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Håstad 广播攻击：同一消息用相同的小指数 e 和 e 个不同的模数加密
+     * @param {bigint} e
+     * @param {Array<{n: bigint, c: bigint}>} items - 至少 e 组，使用前 e 组
+     * @returns {{m: bigint}|null}
+     */
+    function hastad(e, items) {
+        const count = Number(e);
+        if (items.length < count) {
+            throw new Error(`Håstad 广播攻击需要至少 ${count} 组密文，当前为 ${items.length} 组`);
+        }
+        const used = items.slice(0, count);
+        const { value } = crt(used.map(item => item.c), used.map(item => item.n));
+        const { root: m, exact } = iroot(value, e);
+        return exact ? { m } : null;
+    }
+
+    // ========== 任务 ==========
+
+    /**
+     * 根据输入的公钥 / 密文规划可以尝试的攻击
+     * @param {Array<{n: bigint, e: bigint, c: bigint|null}>} entries
+     * @param {Object} [options]
+     * @param {string[]} [options.attacks] - 启用的攻击，默认全部
+     * @param {number} [options.maxK] - 小指数攻击的 k 上限
+     * @param {number} [options.fermatIterations] - Fermat 分解的迭代次数
+     * @returns {Array<{attack: string, targets: number[], options: Object}>}
+     */
+    function planAttacks(entries, options = {}) {
+        const enabled = new Set(options.attacks || ATTACKS);
+        const jobOptions = { maxK: options.maxK, fermatIterations: options.fermatIterations };
+        const jobs = [];
+        const add = (attack, targets) => {
+            if (enabled.has(attack)) {
+                jobs.push({ attack, targets, options: jobOptions });
+            }
+        };
+
+        entries.forEach((entry, i) => {
+            if (entry.c !== null && entry.e <= SMALL_EXPONENT_MAX) {
+                add('small-e', [i]);
+            }
+        });
+
+        // 共模：相同 n、不同 e 的两组密文
+        entries.forEach((first, i) => {
+            for (let j = i + 1; j < entries.length; j++) {
+                const second = entries[j];
+                if (first.c !== null && second.c !== null && first.n === second.n && first.e !== second.e) {
+                    add('common-modulus', [i, j]);
+                }
+            }
+        });
+
+        if (new Set(entries.map(entry => entry.n)).size >= 2) {
+            add('shared-primes', entries.map((_, i) => i));
+        }
+
+        entries.forEach((entry, i) => {
+            add('wiener', [i]);
+            add('fermat', [i]);
+        });
+
+        // Håstad：相同的小 e、不同的 n，密文组数不少于 e
+        const groups = new Map();
+        entries.forEach((entry, i) => {
+            if (entry.c === null || entry.e > SMALL_EXPONENT_MAX) {
+                return;
+            }
+            const group = groups.get(entry.e) || [];
+            if (!group.some(index => entries[index].n === entry.n)) {
+                group.push(i);
+            }
+            groups.set(entry.e, group);
+        });
+        groups.forEach((group, e) => {
+            if (group.length >= Number(e) && e > 1n) {
+                add('hastad', group.slice(0, Number(e)));
+            }
+        });
+
+        return jobs;
+    }
+
+    /**
+     * 执行一个攻击任务
+     * findings 中每项对应一个输入：分解出 p、q 时同时给出 d，恢复出明文时给出 m
+     * @param {{attack: string, targets: number[], options?: Object}} job
+     * @param {Array<{n: bigint, e: bigint, c: bigint|null}>} entries
+     * @returns {{attack: string, targets: number[], success: boolean, detail: string|null,
+     *     findings: Array<{index: number, p?: bigint, q?: bigint, d?: bigint, m?: bigint}>}}
+     */
+    function runAttack(job, entries) {
+        const { attack, targets } = job;
+        const options = job.options || {};
+        const findings = [];
+        let detail = null;
+
+        // 分解成功后补全私钥指数，有密文时顺便解密
+        const factored = (index, p, q) => {
+            const { n, e, c } = entries[index];
+            const { modInverse, modPow } = rsa();
+            const d = modInverse(e, (p - 1n) * (q - 1n));
+            const finding = { index, p: p > q ? p : q, q: p > q ? q : p, d };
+            if (c !== null) {
+                finding.m = modPow(c, d, n);
+            }
+            findings.push(finding);
+        };
+
+        switch (attack) {
+        case 'small-e': {
+            const { n, e, c } = entries[targets[0]];
+            const result = smallExponent(n, e, c, { maxK: options.maxK });
+            if (result) {
+                findings.push({ index: targets[0], m: result.m });
+                detail = `k = ${result.k}`;
+            }
+            break;
+        }
+        case 'common-modulus': {
+            const [first, second] = targets.map(index => entries[index]);
+            const result = commonModulus(first.n, first.e, first.c, second.e, second.c);
+            if (result) {
+                targets.forEach(index => findings.push({ index, m: result.m }));
+                detail = `gcd(e1, e2) = ${result.g}`;
+            }
+            break;
+        }
+        case 'shared-primes': {
+            const factors = sharedPrimes(targets.map(index => entries[index].n));
+            factors.forEach((p, i) => {
+                if (p !== null) {
+                    factored(targets[i], p, entries[targets[i]].n / p);
+                }
+            });
+            break;
+        }
+        case 'wiener': {
+            const { n, e, c } = entries[targets[0]];
+            const result = wiener(n, e);
+            if (result) {
+                const finding = { index: targets[0], p: result.p, q: result.q, d: result.d };
+                if (c !== null) {
+                    finding.m = rsa().modPow(c, result.d, n);
+                }
+                findings.push(finding);
+            }
+            break;
+        }
+        case 'fermat': {
+            const result = fermat(entries[targets[0]].n, { iterations: options.fermatIterations });
+            if (result) {
+                factored(targets[0], result.p, result.q);
+                detail = `a - ⌈√n⌉ = ${result.iterations - 1}`;
+            }
+            break;
+        }
+        case 'hastad': {
+            const items = targets.map(index => entries[index]);
+            const result = hastad(items[0].e, items);
+            if (result) {
+                targets.forEach(index => findings.push({ index, m: result.m }));
+            }
+            break;
+        }
+        default:
+            throw new Error(`不支持的攻击: ${attack}`);
+        }
+
+        return { attack, targets, success: findings.length > 0, detail, findings };
+    }
+
+    // ========== 输入解析 ==========
+
+    /**
+     * 解析密文整数：十进制、十六进制（0x 前缀或含 a-f）或 Base64
+     * @param {string} text
+     * @returns {bigint}
+     */
+    function parseCiphertext(text) {
+        try {
+            return rsa().parseInteger(text);
+        } catch (error) {
+            try {
+                return rsa().toBigInt(root.REOT.bytes.fromBase64(text.trim()));
+            } catch (e) {
+                throw new Error(`无法解析密文: ${text.length > 20 ? text.slice(0, 20) + '…' : text}`);
+            }
+        }
+    }
+
+    /**
+     * 解析一段输入：密钥（PEM / DER / JWK / n、e 参数）加可选的 c = … 密文行
+     * @param {string} block
+     * @returns {{n: bigint, e: bigint, c: bigint|null}}
+     */
+    function parseEntry(block) {
+        const match = block.match(/(?:^|[\s,;])(?:c|ct|ciphertext)\s*[=:]\s*([^\s,;]+)/i);
+        const key = rsa().parseKey(block);
+        if (key.e === null) {
+            throw new Error('缺少公钥指数 e');
+        }
+        return { n: key.n, e: key.e, c: match ? parseCiphertext(match[1]) : null };
+    }
+
+    /**
+     * 解析多组公钥 / 密文
+     * 各组之间用空行分隔；同一组内 n1 / e1 / c1、n2 / e2 / c2 … 形式的编号参数拆分为多组
+     * @param {string} text
+     * @returns {Array<{n: bigint, e: bigint, c: bigint|null}>}
+     */
+    function parseEntries(text) {
+        const entries = [];
+        text.split(/\r?\n\s*\r?\n/).map(block => block.trim()).filter(Boolean).forEach((block, blockIndex) => {
+            const numbered = new Map();
+            if (!block.includes('-----BEGIN')) {
+                block.split(/[\n,;]/).forEach(part => {
+                    const field = part.match(/^\s*([nec])_?(\d+)\s*[=:]\s*(\S+)\s*$/i);
+                    if (field) {
+                        const lines = numbered.get(field[2]) || [];
+                        lines.push(`${field[1]} = ${field[3]}`);
+                        numbered.set(field[2], lines);
+                    }
+                });
+            }
+            const blocks = numbered.size > 0 ? Array.from(numbered.values(), lines => lines.join('\n')) : [block];
+            blocks.forEach(item => {
+                try {
+                    entries.push(parseEntry(item));
+                } catch (error) {
+                    throw new Error(`第 ${blockIndex + 1} 组输入: ${error.message}`);
+                }
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * 将恢复出的明文整数还原为字节，识别并去除 PKCS#1 v1.5 加密填充
+     * @param {bigint} m
+     * @param {bigint} n
+     * @returns {{bytes: Uint8Array, padding: string|null}}
+     */
+    function decodePlaintext(m, n) {
+        const size = Math.ceil(n.toString(2).length / 8);
+        const raw = rsa().fromBigInt(m);
+        if (m < n) {
+            const em = rsa().fromBigInt(m, size);
+            const separator = em.indexOf(0, 2);
+            if (em[0] === 0 && em[1] === 2 && separator >= 10) {
+                return { bytes: em.slice(separator + 1), padding: 'pkcs1' };
+            }
+        }
+        return { bytes: raw, padding: null };
+    }
+
+    root.REOT.rsaAttack = {
+        ATTACKS,
+        DEFAULT_MAX_K,
+        DEFAULT_FERMAT_ITERATIONS,
+
+        iroot,
+        isqrt,
+        extendedGcd,
+        crt,
+        isProbablePrime,
+        randomPrime,
+
+        smallExponent,
+        commonModulus,
+        sharedPrimes,
+        wiener,
+        fermat,
+        hastad,
+
+        planAttacks,
+        runAttack,
+
+        parseEntries,
+        decodePlaintext
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,41 @@
+/**
+ * RSA 弱密钥攻击 Worker
+ * @description 在 Worker 中执行攻击任务（每个候选项是一个任务），避免大数运算阻塞页面
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+/* global importScripts */
+
+(function(root) {
+    'use strict';
+
+    if (typeof importScripts === 'function' && !root.REOT?.workers) {
+        importScripts('../../../assets/js/bytes.js', '../../../assets/js/workers.js', '../rsa/rsa-core.js', 'rsa-attack-core.js');
+    }
+
+    // 全部输入（BigInt 可以直接通过 postMessage 传递）
+    let entries = [];
+
+    root.REOT.workers.serve({
+        /**
+         * @param {Array<{n: bigint, e: bigint, c: bigint|null}>} data
+         */
+        init(data) {
+            entries = data;
+        },
+
+        /**
+         * @param {{attack: string, targets: number[], options: Object}} job
+         * @returns {Object} - runAttack() 的结果；出错时 success 为 false 并附带 error
+         */
+        test(job) {
+            try {
+                return root.REOT.rsaAttack.runAttack(job, entries);
+            } catch (error) {
+                return { attack: job.attack, targets: job.targets, success: false, detail: null, findings: [], error: error.message };
+            }
+        }
+    }, root);
+
+})(self);
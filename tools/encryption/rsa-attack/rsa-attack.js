@@ -0,0 +1,413 @@
+/**
+ * RSA 弱密钥攻击工具
+ * @description 对一组 RSA 公钥 / 密文执行经典攻击（小指数、共模、公因子、Wiener、Fermat、Håstad），
+ *     计算在 Web Worker 中进行，恢复的私钥可导出为 PEM 并在 RSA 工具中打开
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    const WORKER_SCRIPT = 'tools/encryption/rsa-attack/rsa-attack-worker.js';
+
+    // 交给 RSA 工具的密钥（RSA 工具加载时读取一次后删除）
+    const RSA_IMPORT_KEY = 'reot-rsa-import';
+
+    // 当前攻击任务
+    let attackJob = null;
+
+    // 当前的输入与恢复出的私钥（按结果卡片编号）
+    let currentEntries = [];
+    let recoveredKeys = [];
+
+    /**
+     * 检查当前是否在 RSA 弱密钥攻击工具页面
+     */
+    function isRsaAttackToolActive() {
+        const route = REOT.router?.getRoute();
+        return route && route.includes('/tools/encryption/rsa-attack');
+    }
+
+    /**
+     * 转义 HTML
+     */
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+
+    /**
+     * 加载 RSA 核心与攻击核心
+     * @returns {Promise<Object>} REOT.rsaAttack
+     */
+    async function loadCore() {
+        await REOT.loader.loadScript('tools/encryption/rsa/rsa-core.js');
+        await REOT.loader.loadScript('tools/encryption/rsa-attack/rsa-attack-core.js');
+        return REOT.rsaAttack;
+    }
+
+    // ========== 结果整理 ==========
+
+    /**
+     * 由攻击结果构造恢复出的密钥和明文
+     * @param {Object} finding - runAttack() 结果中的一项
+     * @param {{n: bigint, e: bigint, c: bigint|null}} entry
+     * @returns {{key: Object|null, pem: string|null, plaintext: Object|null}}
+     */
+    function describeFinding(finding, entry) {
+        const rsa = REOT.rsa;
+        let key = null;
+        let pem = null;
+        if (finding.p !== undefined) {
+            key = rsa.createKey({ n: entry.n, e: entry.e, p: finding.p, q: finding.q });
+            pem = rsa.toPem(key, { type: 'private' });
+        } else if (finding.d !== undefined) {
+            key = rsa.createKey({ n: entry.n, e: entry.e, d: finding.d });
+        }
+        const plaintext = finding.m !== undefined ? REOT.rsaAttack.decodePlaintext(finding.m, entry.n) : null;
+        return { key, pem, plaintext };
+    }
+
+    /**
+     * 渲染一个数值行
+     * @param {string} label
+     * @param {bigint} value
+     * @returns {string}
+     */
+    function renderValue(label, value) {
+        return `<div class="finding-row"><label>${escapeHtml(label)}</label><code>${value}</code></div>`;
+    }
+
+    /**
+     * 渲染一项攻击结果
+     * @param {Object} result - runAttack() 的结果
+     * @returns {string}
+     */
+    function renderResult(result) {
+        const name = REOT.i18n.t(`tools.rsa-attack.attack.${result.attack}`, result.attack);
+        const targets = result.targets.map(index => `#${index + 1}`).join(', ');
+        let status;
+        if (result.error) {
+            status = `<span class="attack-status error">${escapeHtml(REOT.i18n.t('tools.rsa-attack.failed', '出错'))}: ${escapeHtml(result.error)}</span>`;
+        } else if (result.success) {
+            status = `<span class="attack-status success">${escapeHtml(REOT.i18n.t('tools.rsa-attack.success', '成功'))}</span>`;
+        } else {
+            status = `<span class="attack-status">${escapeHtml(REOT.i18n.t('tools.rsa-attack.notVulnerable', '未发现该弱点'))}</span>`;
+        }
+
+        const findings = result.findings.map(finding => {
+            const entry = currentEntries[finding.index];
+            const { key, pem, plaintext } = describeFinding(finding, entry);
+            const rows = [`<div class="finding-title">#${finding.index + 1}</div>`];
+            if (finding.p !== undefined) {
+                rows.push(renderValue('p', finding.p), renderValue('q', finding.q));
+            }
+            if (key?.d) {
+                rows.push(renderValue('d', key.d));
+            }
+            if (pem) {
+                const id = recoveredKeys.push({ pem, publicPem: REOT.rsa.toPem(key, { type: 'public' }) }) - 1;
+                rows.push(`
+                    <label>${escapeHtml(REOT.i18n.t('tools.rsa-attack.privateKey', '恢复的私钥'))}</label>
+                    <textarea id="recovered-key-${id}" class="form-textarea form-input--mono" rows="6" readonly>${escapeHtml(pem)}</textarea>
+                    <div class="finding-actions">
+                        <button class="btn btn--sm btn--outline copy-btn" data-target="recovered-key-${id}">${escapeHtml(REOT.i18n.t('common.copy', '复制'))}</button>
+                        <button class="btn btn--sm btn--outline open-rsa-btn" data-key="${id}">${escapeHtml(REOT.i18n.t('tools.rsa-attack.openInRsa', '在 RSA 工具中打开'))}</button>
+                    </div>
+                `);
+            }
+            if (plaintext) {
+                const text = REOT.bytes.isPrintableText(plaintext.bytes) ? REOT.bytes.toText(plaintext.bytes) : null;
+                const padding = plaintext.padding === 'pkcs1' ? `（${escapeHtml(REOT.i18n.t('tools.rsa-attack.pkcs1Removed', '已去除 PKCS#1 v1.5 填充'))}）` : '';
+                rows.push(`<label>${escapeHtml(REOT.i18n.t('tools.rsa-attack.plaintext', '明文'))}${padding}</label>`);
+                if (text !== null) {
+                    rows.push(`<pre class="finding-plaintext">${escapeHtml(text)}</pre>`);
+                }
+                rows.push(renderValue('Hex', REOT.bytes.toHex(plaintext.bytes) || '00'));
+            }
+            return `<div class="finding">${rows.join('')}</div>`;
+        }).join('');
+
+        return `
+            <div class="attack-card${result.success ? ' success' : ''}">
+                <div class="attack-card-header">
+                    <strong>${escapeHtml(name)}</strong>
+                    <span class="attack-targets">${targets}</span>
+                    ${status}
+                    ${result.detail ? `<span class="attack-detail">${escapeHtml(result.detail)}</span>` : ''}
+                </div>
+                ${findings}
+            </div>
+        `;
+    }
+
+    /**
+     * 显示解析出的输入概要
+     * @param {Array<{n: bigint, e: bigint, c: bigint|null}>} entries
+     */
+    function renderSummary(entries) {
+        document.getElementById('entries-summary').textContent = entries.map((entry, i) => {
+            const cipher = entry.c !== null ? REOT.i18n.t('tools.rsa-attack.withCiphertext', '，含密文') : '';
+            // Wiener 等场景下 e 与 n 一样长，只显示位数
+            const e = entry.e.toString().length > 20 ? `(${REOT.rsa.bitLength(entry.e)} bit)` : entry.e;
+            return `#${i + 1}: ${REOT.rsa.bitLength(entry.n)} bit, e = ${e}${cipher}`;
+        }).join('；');
+    }
+
+    // ========== 操作 ==========
+
+    /**
+     * 读取选中的攻击与参数
+     * @returns {Object} planAttacks() 的选项
+     */
+    function getAttackOptions() {
+        const attacks = Array.from(document.querySelectorAll('input[name="attack"]:checked'), input => input.value);
+        if (attacks.length === 0) {
+            throw new Error('请至少选择一种攻击方式');
+        }
+        return {
+            attacks,
+            maxK: parseInt(document.getElementById('max-k').value) || 0,
+            fermatIterations: parseInt(document.getElementById('fermat-iterations').value) || 1
+        };
+    }
+
+    /**
+     * 在 Worker 池中执行全部适用的攻击（每个 Worker 一次处理一项攻击）
+     * @param {Array<{n: bigint, e: bigint, c: bigint|null}>} entries - REOT.rsaAttack.parseEntries() 的结果
+     * @param {Object} [options] - planAttacks() 的选项，以及 size / onMatch / onProgress（传给 REOT.workers.search）
+     * @returns {{jobs: Array, promise: Promise<{results: Array, elapsed: number, cancelled: boolean}>, cancel: Function}}
+     */
+    function attack(entries, options = {}) {
+        const jobs = REOT.rsaAttack.planAttacks(entries, options);
+        if (jobs.length === 0) {
+            throw new Error('没有适用的攻击：共模、Håstad 等攻击需要多组密文');
+        }
+        const job = REOT.workers.search({
+            script: WORKER_SCRIPT,
+            init: entries,
+            candidates: jobs,
+            chunkSize: 1,
+            size: Math.min(jobs.length, options.size || REOT.workers.defaultSize()),
+            stopOnMatch: false,
+            onMatch: options.onMatch,
+            onProgress: options.onProgress
+        });
+        return {
+            jobs,
+            cancel: job.cancel,
+            promise: job.promise.then(result => ({
+                results: result.matches,
+                elapsed: result.elapsed,
+                cancelled: result.cancelled
+            }))
+        };
+    }
+
+    /**
+     * 解析输入并执行攻击，逐项显示结果
+     */
+    async function runAttacks() {
+        if (attackJob) {
+            return;
+        }
+        const core = await loadCore();
+        const text = document.getElementById('entries-input').value;
+        if (!text.trim()) {
+            throw new Error('请输入公钥');
+        }
+        const entries = core.parseEntries(text);
+        currentEntries = entries;
+        recoveredKeys = [];
+        renderSummary(entries);
+
+        const progressEl = document.getElementById('attack-progress');
+        const resultsEl = document.getElementById('attack-results');
+        const results = [];
+        let total = 0;
+        const render = () => {
+            // 成功的排在前面
+            const sorted = results.slice().sort((a, b) => Number(b.success) - Number(a.success));
+            recoveredKeys = [];
+            resultsEl.innerHTML = sorted.map(renderResult).join('');
+        };
+        const updateProgress = done => {
+            progressEl.textContent = REOT.i18n.t('tools.rsa-attack.progress', '已完成 {done} / {total} 项攻击，{found} 项成功', {
+                done,
+                total,
+                found: results.filter(result => result.success).length
+            });
+        };
+
+        const job = attack(entries, {
+            ...getAttackOptions(),
+            onMatch: result => {
+                results.push(result);
+                render();
+            },
+            onProgress: ({ tried }) => updateProgress(tried)
+        });
+        attackJob = job;
+        total = job.jobs.length;
+
+        const startBtn = document.getElementById('attack-start-btn');
+        const stopBtn = document.getElementById('attack-stop-btn');
+        startBtn.disabled = true;
+        stopBtn.disabled = false;
+        resultsEl.innerHTML = '';
+        document.getElementById('attack-result').hidden = false;
+        updateProgress(0);
+
+        try {
+            const { cancelled } = await job.promise;
+            if (cancelled) {
+                REOT.utils?.showNotification(REOT.i18n.t('tools.rsa-attack.stopped', '已停止'), 'info');
+            } else if (results.some(result => result.success)) {
+                REOT.utils?.showNotification(REOT.i18n.t('tools.rsa-attack.found', '发现可利用的弱点'), 'success');
+            } else {
+                REOT.utils?.showNotification(REOT.i18n.t('tools.rsa-attack.nothingFound', '没有发现可利用的弱点'), 'info');
+            }
+        } finally {
+            attackJob = null;
+            startBtn.disabled = false;
+            stopBtn.disabled = true;
+        }
+    }
+
+    /**
+     * 读取密钥文件：文本文件原样使用，二进制（DER）转为 Base64
+     * @param {FileList} files
+     */
+    async function loadFiles(files) {
+        const blocks = [];
+        for (const file of files) {
+            const data = new Uint8Array(await file.arrayBuffer());
+            blocks.push(REOT.bytes.isPrintableText(data) ? REOT.bytes.toText(data).trim() : REOT.bytes.toBase64(data));
+        }
+        const input = document.getElementById('entries-input');
+        input.value = [input.value.trim(), ...blocks].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * 生成演示数据：Håstad 广播、Wiener 小私钥、相近素数、共享素数各一组（512 位模数）
+     */
+    async function generateDemo() {
+        const core = await loadCore();
+        const rsa = REOT.rsa;
+        const prime = () => core.randomPrime(256);
+        const message = rsa.toBigInt(REOT.bytes.fromText('flag{br0adc4st_s4me_m3ss4ge}'));
+        const blocks = [];
+
+        // Håstad：同一明文，e = 3，三个不同的模数
+        blocks.push([1, 2, 3].map(i => {
+            const n = prime() * prime();
+            return `n${i} = ${n}\ne${i} = 3\nc${i} = ${rsa.modPow(message, 3n, n)}`;
+        }).join('\n'));
+
+        // Wiener：私钥指数只有 64 位
+        let wienerKey = null;
+        while (!wienerKey) {
+            const p = prime();
+            const q = prime();
+            const d = core.randomPrime(64);
+            try {
+                wienerKey = { n: p * q, e: rsa.modInverse(d, (p - 1n) * (q - 1n)) };
+            } catch (error) {
+                // d 与 φ(n) 不互素，重新生成
+            }
+        }
+        const wienerMessage = rsa.toBigInt(REOT.bytes.fromText('flag{sm4ll_d_w13n3r}'));
+        blocks.push(`n = ${wienerKey.n}\ne = ${wienerKey.e}\nc = ${rsa.modPow(wienerMessage, wienerKey.e, wienerKey.n)}`);
+
+        // Fermat：q 是 p 之后的下一个素数
+        const p = prime();
+        let q = p + 2n;
+        while (!core.isProbablePrime(q)) {
+            q += 2n;
+        }
+        blocks.push(rsa.toPem(rsa.createKey({ n: p * q, e: 65537n }), { type: 'public' }));
+
+        // 公因子：两个模数共享一个素数
+        const shared = prime();
+        blocks.push(`n = 0x${(shared * prime()).toString(16)}\ne = 65537`);
+        blocks.push(`n = 0x${(shared * prime()).toString(16)}\ne = 65537`);
+
+        document.getElementById('entries-input').value = blocks.join('\n\n');
+        document.getElementById('entries-summary').textContent = '';
+    }
+
+    /**
+     * 在 RSA 工具中打开恢复的私钥
+     * @param {number} id
+     */
+    function openInRsaTool(id) {
+        const key = recoveredKeys[id];
+        if (!key) {
+            return;
+        }
+        try {
+            sessionStorage.setItem(RSA_IMPORT_KEY, JSON.stringify({ privateKey: key.pem, publicKey: key.publicPem }));
+        } catch (error) {
+            throw new Error('无法传递密钥（浏览器禁用了 sessionStorage），请复制私钥后手动粘贴');
+        }
+        REOT.router.navigate('/tools/encryption/rsa/');
+    }
+
+    // ========== 事件 ==========
+
+    /**
+     * 执行操作并统一显示错误
+     * @param {Function} action
+     */
+    async function run(action) {
+        try {
+            await action();
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+    }
+
+    document.addEventListener('click', async (e) => {
+        if (!isRsaAttackToolActive()) {
+            return;
+        }
+        const target = e.target;
+
+        if (target.closest('#attack-start-btn')) {
+            await run(runAttacks);
+        } else if (target.closest('#attack-stop-btn')) {
+            attackJob?.cancel();
+        } else if (target.closest('#attack-demo-btn')) {
+            await run(generateDemo);
+        } else if (target.closest('#attack-clear-btn')) {
+            attackJob?.cancel();
+            document.getElementById('entries-input').value = '';
+            document.getElementById('entries-summary').textContent = '';
+            document.getElementById('attack-results').innerHTML = '';
+            document.getElementById('attack-result').hidden = true;
+        } else if (target.closest('.open-rsa-btn')) {
+            await run(() => openInRsaTool(Number(target.closest('.open-rsa-btn').dataset.key)));
+        } else if (target.closest('.copy-btn')) {
+            const text = document.getElementById(target.closest('.copy-btn').dataset.target)?.value;
+            if (text && await REOT.utils?.copyToClipboard(text)) {
+                REOT.utils?.showNotification(REOT.i18n.t('common.copied', '已复制'), 'success');
+            }
+        }
+    });
+
+    document.addEventListener('change', async (e) => {
+        if (!isRsaAttackToolActive()) {
+            return;
+        }
+        if (e.target.id === 'entries-file' && e.target.files.length > 0) {
+            await run(() => loadFiles(e.target.files));
+            e.target.value = '';
+        }
+    });
+
+    // 导出到全局
+    window.RSAAttackTool = { attack };
+
+})();
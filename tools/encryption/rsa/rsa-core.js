@@ -0,0 +1,857 @@
+/**
+ * RSA 计算核心
+ * @description 基于 BigInt 的 RSA 实现：密钥解析（PEM / DER / JWK / n、e、d 参数）、PKCS#1 v1.5 与 OAEP 加密、
+ *     PKCS#1 v1.5 与 PSS 签名、无填充的教科书 RSA。哈希使用 crypto.subtle.digest，
+ *     不依赖 DOM，可在 Web Worker 中使用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    const PADDINGS = ['oaep', 'pkcs1', 'none'];
+    const SIGNATURE_SCHEMES = ['pkcs1', 'pss'];
+
+    // 哈希算法：摘要长度和 PKCS#1 v1.5 签名使用的 DigestInfo 前缀
+    const HASHES = {
+        'SHA-1': { length: 20, digestInfo: '3021300906052b0e03021a05000414' },
+        'SHA-256': { length: 32, digestInfo: '3031300d060960864801650304020105000420' },
+        'SHA-384': { length: 48, digestInfo: '3041300d060960864801650304020205000430' },
+        'SHA-512': { length: 64, digestInfo: '3051300d060960864801650304020305000440' }
+    };
+
+    // 参数文本中的字段名（兼容 openssl rsa -text 的输出）
+    const FIELD_ALIASES = {
+        n: 'n',
+        modulus: 'n',
+        e: 'e',
+        publicexponent: 'e',
+        d: 'd',
+        privateexponent: 'd',
+        p: 'p',
+        prime1: 'p',
+        q: 'q',
+        prime2: 'q',
+        dp: 'dp',
+        exponent1: 'dp',
+        dmp1: 'dp',
+        dq: 'dq',
+        exponent2: 'dq',
+        dmq1: 'dq',
+        qi: 'qi',
+        coefficient: 'qi',
+        iqmp: 'qi'
+    };
+
+    const KEY_FIELDS = ['n', 'e', 'd', 'p', 'q', 'dp', 'dq', 'qi'];
+
+    // ========== 大整数工具 ==========
+
+    /**
+     * 字节数组（大端）转 BigInt
+     * @param {Uint8Array} bytes
+     * @returns {bigint}
+     */
+    function toBigInt(bytes) {
+        const hex = root.REOT.bytes.toHex(bytes);
+        return hex ? BigInt('0x' + hex) : 0n;
+    }
+
+    /**
+     * BigInt 转字节数组（大端）
+     * @param {bigint} value
+     * @param {number} [length] - 左侧补零到指定长度，未指定时使用最短表示
+     * @returns {Uint8Array}
+     */
+    function fromBigInt(value, length) {
+        let hex = value.toString(16);
+        if (hex.length % 2) {
+            hex = '0' + hex;
+        }
+        if (length !== undefined) {
+            if (hex.length / 2 > length) {
+                throw new Error(`整数超出 ${length} 字节`);
+            }
+            hex = hex.padStart(length * 2, '0');
+        }
+        return root.REOT.bytes.fromHex(hex);
+    }
+
+    /**
+     * 解析整数文本
+     * 0x 前缀或含 a-f 的按十六进制（允许 openssl 风格的冒号分隔），纯数字按十进制
+     * @param {string} text
+     * @returns {bigint}
+     */
+    function parseInteger(text) {
+        const value = String(text).trim().replace(/\s+/g, '');
+        if (/^0x[0-9a-f]+$/i.test(value)) {
+            return BigInt(value.toLowerCase());
+        }
+        if (/^[0-9]+$/.test(value)) {
+            return BigInt(value);
+        }
+        if (/^[0-9a-f:]+$/i.test(value) && /[0-9a-f]/i.test(value)) {
+            return BigInt('0x' + value.replace(/:/g, ''));
+        }
+        throw new Error(`无法解析整数: ${value.length > 20 ? value.slice(0, 20) + '…' : value}`);
+    }
+
+    /**
+     * 二进制位数
+     * @param {bigint} value
+     * @returns {number}
+     */
+    function bitLength(value) {
+        return value === 0n ? 0 : value.toString(2).length;
+    }
+
+    /**
+     * 模幂 base^exponent mod modulus
+     * @param {bigint} base
+     * @param {bigint} exponent
+     * @param {bigint} modulus
+     * @returns {bigint}
+     */
+    function modPow(base, exponent, modulus) {
+        if (modulus === 1n) {
+            return 0n;
+        }
+        let result = 1n;
+        base %= modulus;
+        if (base < 0n) {
+            base += modulus;
+        }
+        while (exponent > 0n) {
+            if (exponent & 1n) {
+                result = result * base % modulus;
+            }
+            exponent >>= 1n;
+            base = base * base % modulus;
+        }
+        return result;
+    }
+
+    /**
+     * 最大公约数
+     * @param {bigint} a
+     * @param {bigint} b
+     * @returns {bigint}
+     */
+    function gcd(a, b) {
+        a = a < 0n ? -a : a;
+        b = b < 0n ? -b : b;
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * 模逆元
+     * @param {bigint} a
+     * @param {bigint} modulus
+     * @returns {bigint}
+     */
+    function modInverse(a, modulus) {
+        let [oldR, r] = [((a % modulus) + modulus) % modulus, modulus];
+        let [oldS, s] = [1n, 0n];
+        while (r) {
+            const quotient = oldR / r;
+            [oldR, r] = [r, oldR - quotient * r];
+            [oldS, s] = [s, oldS - quotient * s];
+        }
+        if (oldR !== 1n) {
+            throw new Error('不存在模逆元（两数不互素）');
+        }
+        return ((oldS % modulus) + modulus) % modulus;
+    }
+
+    // ========== 密钥 ==========
+
+    /**
+     * 由 RSA 参数构造密钥，补全可推导的参数（n = p·q、d、CRT 参数）
+     * @param {Object} fields - n / e / d / p / q / dp / dq / qi，BigInt
+     * @returns {{n: bigint, e: bigint|null, d: bigint|null, p: bigint|null, q: bigint|null,
+     *     dp: bigint|null, dq: bigint|null, qi: bigint|null, bits: number, size: number, type: string}}
+     */
+    function createKey(fields) {
+        const key = {};
+        KEY_FIELDS.forEach(name => {
+            key[name] = typeof fields[name] === 'bigint' ? fields[name] : null;
+        });
+        if (key.n === null && key.p && key.q) {
+            key.n = key.p * key.q;
+        }
+        if (!key.n) {
+            throw new Error('缺少模数 n');
+        }
+        if (key.e === null && key.d === null) {
+            throw new Error('缺少公钥指数 e 或私钥指数 d');
+        }
+        if (key.p && key.q) {
+            if (key.p * key.q !== key.n) {
+                throw new Error('p × q 与模数 n 不一致');
+            }
+            if (key.d === null) {
+                key.d = modInverse(key.e, (key.p - 1n) * (key.q - 1n));
+            }
+            key.dp = key.dp ?? key.d % (key.p - 1n);
+            key.dq = key.dq ?? key.d % (key.q - 1n);
+            key.qi = key.qi ?? modInverse(key.q, key.p);
+        } else {
+            key.p = key.q = key.dp = key.dq = key.qi = null;
+        }
+        key.bits = bitLength(key.n);
+        key.size = Math.ceil(key.bits / 8);
+        key.type = key.d === null ? 'public' : 'private';
+        return key;
+    }
+
+    /**
+     * 解析 "n = ..., e = ..." 形式的参数文本
+     * @param {string} text
+     * @returns {Object|null} - 不是参数文本时返回 null
+     */
+    function parseFieldText(text) {
+        // 逐行切分字段；openssl 输出中 "dd:dd:be:..." 形式的续行属于上一个字段
+        const entries = [];
+        text.replace(/[,;]/g, '\n').split('\n').forEach(line => {
+            const match = line.match(/^\s*([A-Za-z][\w-]*)\s*[:=](.*)$/);
+            if (match && !/^\s*[0-9a-f]{2}(:[0-9a-f]{2})+:?\s*$/i.test(line)) {
+                entries.push({ label: match[1], value: match[2] });
+            } else if (entries.length) {
+                entries[entries.length - 1].value += line;
+            }
+        });
+
+        const fields = {};
+        entries.forEach(({ label, value }) => {
+            const name = FIELD_ALIASES[label.toLowerCase()];
+            if (!name) {
+                return;
+            }
+            try {
+                // 去掉 openssl 输出中的 "(0x10001)" 注释
+                fields[name] = parseInteger(value.replace(/\([^)]*\)/g, ''));
+            } catch (e) {
+                throw new Error(`参数 ${label} ${e.message}`);
+            }
+        });
+        return Object.keys(fields).length ? fields : null;
+    }
+
+    /**
+     * 从 REOT.keys.parse() 的结果中读取 RSA 参数
+     * @param {Object} descriptor
+     * @returns {Object}
+     */
+    function fieldsFromDescriptor(descriptor) {
+        if (descriptor.kty !== 'RSA') {
+            throw new Error(`不是 RSA 密钥（${descriptor.kty}）`);
+        }
+        const fields = {};
+        if (descriptor.format === 'jwk') {
+            KEY_FIELDS.forEach(name => {
+                if (typeof descriptor.data[name] === 'string') {
+                    fields[name] = toBigInt(root.REOT.bytes.fromBase64(descriptor.data[name]));
+                }
+            });
+            return fields;
+        }
+
+        const { readNode, readChildren } = root.REOT.keys.der;
+        const der = descriptor.data;
+        const children = readChildren(der, readNode(der, 0));
+        let integers;
+        if (descriptor.format === 'spki') {
+            // BIT STRING 内容的首字节是未使用位数
+            integers = readChildren(der, readNode(der, children[1].start + 1));
+        } else {
+            integers = readChildren(der, readNode(der, children[2].start)).slice(1);
+        }
+        const names = descriptor.format === 'spki' ? ['n', 'e'] : KEY_FIELDS;
+        names.forEach((name, i) => {
+            fields[name] = toBigInt(der.subarray(integers[i].start, integers[i].end));
+        });
+        return fields;
+    }
+
+    /**
+     * 解析 RSA 密钥
+     * @param {string|Object|Uint8Array} input - PEM、DER（字节或 Base64 / Hex 文本）、JWK、
+     *     "n = ..., e = ..., d = ..." 参数文本（十六进制或十进制），或包含 BigInt 参数的对象
+     * @returns {Object} - createKey() 的结果
+     */
+    function parseKey(input) {
+        if (input && typeof input === 'object' && KEY_FIELDS.some(name => typeof input[name] === 'bigint')) {
+            return createKey(input);
+        }
+        if (typeof input === 'string') {
+            const text = input.trim();
+            if (!text) {
+                throw new Error('请输入密钥');
+            }
+            if (!text.startsWith('{') && !text.startsWith('-----')) {
+                const fields = parseFieldText(text);
+                if (fields) {
+                    return createKey(fields);
+                }
+            }
+        }
+        return createKey(fieldsFromDescriptor(root.REOT.keys.parse(input)));
+    }
+
+    /**
+     * 编码 DER INTEGER
+     * @param {bigint} value
+     * @returns {Uint8Array}
+     */
+    function encodeInteger(value) {
+        const bytes = fromBigInt(value);
+        const content = bytes[0] & 0x80 ? root.REOT.bytes.concat([new Uint8Array([0]), bytes]) : bytes;
+        return root.REOT.keys.der.encodeNode(0x02, content);
+    }
+
+    /**
+     * 导出为 JWK
+     * @param {Object} key
+     * @param {Object} [options]
+     * @param {boolean} [options.publicOnly=false]
+     * @returns {Object}
+     */
+    function toJwk(key, options = {}) {
+        const jwk = { kty: 'RSA' };
+        const names = options.publicOnly ? ['n', 'e'] : KEY_FIELDS;
+        names.forEach(name => {
+            if (key[name] !== null && key[name] !== undefined) {
+                jwk[name] = root.REOT.bytes.toBase64Url(fromBigInt(key[name]));
+            }
+        });
+        return jwk;
+    }
+
+    /**
+     * 导出为 PEM
+     * @param {Object} key
+     * @param {Object} [options]
+     * @param {string} [options.type] - public | private，默认与密钥类型相同
+     * @param {boolean} [options.pkcs1=false] - 使用 PKCS#1（RSA PUBLIC KEY / RSA PRIVATE KEY）而不是 SPKI / PKCS#8
+     * @returns {string}
+     */
+    function toPem(key, options = {}) {
+        const { encodeNode } = root.REOT.keys.der;
+        const keys = root.REOT.keys;
+        const type = options.type || key.type;
+        if (type === 'private') {
+            if (key.d === null || key.p === null) {
+                throw new Error('缺少 p、q，无法导出私钥 PEM（可导出 JWK 或参数）');
+            }
+            const der = encodeNode(0x30, new Uint8Array([0x02, 0x01, 0x00]),
+                ...KEY_FIELDS.map(name => encodeInteger(key[name])));
+            return options.pkcs1
+                ? keys.pemEncode(der, 'RSA PRIVATE KEY')
+                : keys.pemEncode(keys.pkcs1PrivateToPkcs8(der), 'PRIVATE KEY');
+        }
+        if (key.e === null) {
+            throw new Error('缺少公钥指数 e');
+        }
+        const der = encodeNode(0x30, encodeInteger(key.n), encodeInteger(key.e));
+        return options.pkcs1
+            ? keys.pemEncode(der, 'RSA PUBLIC KEY')
+            : keys.pemEncode(keys.pkcs1PublicToSpki(der), 'PUBLIC KEY');
+    }
+
+    // ========== RSA 原语 ==========
+
+    /**
+     * 公钥运算 m^e mod n
+     * @param {bigint} value
+     * @param {Object} key
+     * @returns {bigint}
+     */
+    function publicOp(value, key) {
+        if (key.e === null) {
+            throw new Error('缺少公钥指数 e');
+        }
+        if (value >= key.n) {
+            throw new Error('输入数值必须小于模数 n');
+        }
+        return modPow(value, key.e, key.n);
+    }
+
+    /**
+     * 私钥运算 c^d mod n（有 p、q 时使用 CRT）
+     * @param {bigint} value
+     * @param {Object} key
+     * @returns {bigint}
+     */
+    function privateOp(value, key) {
+        if (key.d === null) {
+            throw new Error('需要私钥（缺少私钥指数 d）');
+        }
+        if (value >= key.n) {
+            throw new Error('输入数值必须小于模数 n');
+        }
+        if (key.p === null) {
+            return modPow(value, key.d, key.n);
+        }
+        const m1 = modPow(value % key.p, key.dp, key.p);
+        const m2 = modPow(value % key.q, key.dq, key.q);
+        let h = key.qi * (m1 - m2) % key.p;
+        if (h < 0n) {
+            h += key.p;
+        }
+        return m2 + h * key.q;
+    }
+
+    // ========== 哈希与掩码 ==========
+
+    /**
+     * 获取哈希算法参数
+     * @param {string} name
+     * @returns {{length: number, digestInfo: string}}
+     */
+    function getHash(name) {
+        if (!HASHES[name]) {
+            throw new Error(`不支持的哈希算法: ${name}`);
+        }
+        return HASHES[name];
+    }
+
+    /**
+     * 计算摘要
+     * @param {string} hash
+     * @param {Uint8Array} data
+     * @returns {Promise<Uint8Array>}
+     */
+    async function digest(hash, data) {
+        if (!root.crypto?.subtle) {
+            throw new Error('当前环境不支持 crypto.subtle（需要 HTTPS 或 localhost）');
+        }
+        return new Uint8Array(await root.crypto.subtle.digest(hash, data));
+    }
+
+    /**
+     * MGF1 掩码生成函数
+     * @param {Uint8Array} seed
+     * @param {number} length
+     * @param {string} hash
+     * @returns {Promise<Uint8Array>}
+     */
+    async function mgf1(seed, length, hash) {
+        const out = new Uint8Array(length);
+        const input = new Uint8Array(seed.length + 4);
+        input.set(seed);
+        for (let counter = 0, offset = 0; offset < length; counter++) {
+            input.set([counter >>> 24, (counter >>> 16) & 0xff, (counter >>> 8) & 0xff, counter & 0xff], seed.length);
+            const block = await digest(hash, input);
+            out.set(block.subarray(0, length - offset), offset);
+            offset += block.length;
+        }
+        return out;
+    }
+
+    /**
+     * 按字节异或（结果写入 target）
+     * @param {Uint8Array} target
+     * @param {Uint8Array} mask
+     * @returns {Uint8Array}
+     */
+    function xorInto(target, mask) {
+        for (let i = 0; i < target.length; i++) {
+            target[i] ^= mask[i];
+        }
+        return target;
+    }
+
+    /**
+     * 生成随机字节，nonZero 为 true 时不含 0x00（PKCS#1 v1.5 填充串）
+     * @param {number} length
+     * @param {boolean} [nonZero=false]
+     * @returns {Uint8Array}
+     */
+    function randomBytes(length, nonZero = false) {
+        const bytes = root.crypto.getRandomValues(new Uint8Array(length));
+        if (nonZero) {
+            for (let i = 0; i < length; i++) {
+                while (bytes[i] === 0) {
+                    bytes[i] = root.crypto.getRandomValues(new Uint8Array(1))[0];
+                }
+            }
+        }
+        return bytes;
+    }
+
+    // ========== 加密填充 ==========
+
+    /**
+     * EME-PKCS1-v1_5 编码：00 02 PS 00 M
+     * @param {Uint8Array} data
+     * @param {number} size - 模数字节数
+     * @returns {Uint8Array}
+     */
+    function encodePkcs1(data, size) {
+        if (data.length > size - 11) {
+            throw new Error(`PKCS#1 v1.5 填充最多可加密 ${Math.max(0, size - 11)} 字节，当前为 ${data.length} 字节`);
+        }
+        const em = new Uint8Array(size);
+        em[1] = 0x02;
+        em.set(randomBytes(size - data.length - 3, true), 2);
+        em.set(data, size - data.length);
+        return em;
+    }
+
+    /**
+     * EME-PKCS1-v1_5 解码
+     * @param {Uint8Array} em
+     * @returns {Uint8Array}
+     */
+    function decodePkcs1(em) {
+        if (em[0] !== 0x00 || em[1] !== 0x02) {
+            throw new Error(`PKCS#1 v1.5 填充无效: 前两个字节为 0x${hexByte(em[0])} 0x${hexByte(em[1])}，应为 0x00 0x02（填充方式或私钥不正确）`);
+        }
+        const separator = em.indexOf(0, 2);
+        if (separator < 0) {
+            throw new Error('PKCS#1 v1.5 填充无效: 找不到分隔字节 0x00');
+        }
+        if (separator < 10) {
+            throw new Error('PKCS#1 v1.5 填充无效: 填充串不足 8 字节');
+        }
+        return em.slice(separator + 1);
+    }
+
+    /**
+     * EME-OAEP 编码
+     * @param {Uint8Array} data
+     * @param {number} size
+     * @param {string} hash
+     * @param {Uint8Array} label
+     * @returns {Promise<Uint8Array>}
+     */
+    async function encodeOaep(data, size, hash, label) {
+        const hLen = getHash(hash).length;
+        const maxLength = size - 2 * hLen - 2;
+        if (data.length > maxLength) {
+            throw new Error(`OAEP（${hash}）最多可加密 ${Math.max(0, maxLength)} 字节，当前为 ${data.length} 字节`);
+        }
+        const db = new Uint8Array(size - hLen - 1);
+        db.set(await digest(hash, label));
+        db[db.length - data.length - 1] = 0x01;
+        db.set(data, db.length - data.length);
+        const seed = randomBytes(hLen);
+        xorInto(db, await mgf1(seed, db.length, hash));
+        xorInto(seed, await mgf1(db, hLen, hash));
+        const em = new Uint8Array(size);
+        em.set(seed, 1);
+        em.set(db, 1 + hLen);
+        return em;
+    }
+
+    /**
+     * EME-OAEP 解码
+     * @param {Uint8Array} em
+     * @param {string} hash
+     * @param {Uint8Array} label
+     * @returns {Promise<Uint8Array>}
+     */
+    async function decodeOaep(em, hash, label) {
+        const hLen = getHash(hash).length;
+        if (em.length < 2 * hLen + 2) {
+            throw new Error(`密钥太短，无法使用 OAEP（${hash}）`);
+        }
+        const seed = em.slice(1, 1 + hLen);
+        const db = em.slice(1 + hLen);
+        xorInto(seed, await mgf1(db, hLen, hash));
+        xorInto(db, await mgf1(seed, db.length, hash));
+        const labelHash = await digest(hash, label);
+        if (em[0] !== 0x00 || !root.REOT.bytes.equals(db.subarray(0, hLen), labelHash)) {
+            throw new Error('OAEP 解码失败: 标签哈希不匹配（检查哈希算法、标签和私钥）');
+        }
+        let index = hLen;
+        while (index < db.length && db[index] === 0) {
+            index++;
+        }
+        if (db[index] !== 0x01) {
+            throw new Error('OAEP 解码失败: 缺少分隔字节 0x01');
+        }
+        return db.slice(index + 1);
+    }
+
+    // ========== 签名编码 ==========
+
+    /**
+     * EMSA-PKCS1-v1_5 编码：00 01 FF..FF 00 DigestInfo
+     * @param {Uint8Array} message
+     * @param {number} size
+     * @param {string} hash
+     * @returns {Promise<Uint8Array>}
+     */
+    async function encodeSignaturePkcs1(message, size, hash) {
+        const digestInfo = root.REOT.bytes.concat([
+            root.REOT.bytes.fromHex(getHash(hash).digestInfo),
+            await digest(hash, message)
+        ]);
+        if (size < digestInfo.length + 11) {
+            throw new Error(`密钥太短，无法容纳 ${hash} 的 DigestInfo`);
+        }
+        const em = new Uint8Array(size).fill(0xff);
+        em[0] = 0x00;
+        em[1] = 0x01;
+        em[size - digestInfo.length - 1] = 0x00;
+        em.set(digestInfo, size - digestInfo.length);
+        return em;
+    }
+
+    /**
+     * 分析 PKCS#1 v1.5 签名解出的编码，说明校验失败的原因
+     * @param {Uint8Array} em
+     * @param {string} hash
+     * @returns {{reason: string, hash: string|null}}
+     */
+    function explainPkcs1Signature(em, hash) {
+        const separator = em.indexOf(0, 2);
+        if (em[0] !== 0x00 || em[1] !== 0x01 || separator < 10 || em.subarray(2, separator).some(byte => byte !== 0xff)) {
+            return { reason: 'PKCS#1 v1.5 签名格式不正确（可能是 PSS 签名，或公钥不匹配）', hash: null };
+        }
+        const digestInfo = root.REOT.bytes.toHex(em.subarray(separator + 1));
+        const detected = Object.keys(HASHES).find(name =>
+            digestInfo.startsWith(HASHES[name].digestInfo) && digestInfo.length === (HASHES[name].digestInfo.length / 2 + HASHES[name].length) * 2);
+        if (!detected) {
+            return { reason: 'DigestInfo 使用了不支持的哈希算法', hash: null };
+        }
+        if (detected !== hash) {
+            return { reason: `签名使用的哈希算法是 ${detected}，而不是 ${hash}`, hash: detected };
+        }
+        return { reason: '摘要不匹配（消息内容不正确）', hash: detected };
+    }
+
+    /**
+     * EMSA-PSS 编码
+     * @param {Uint8Array} message
+     * @param {number} emBits - 模数位数 - 1
+     * @param {string} hash
+     * @param {number} saltLength
+     * @returns {Promise<Uint8Array>}
+     */
+    async function encodePss(message, emBits, hash, saltLength) {
+        const hLen = getHash(hash).length;
+        const emLen = Math.ceil(emBits / 8);
+        if (emLen < hLen + saltLength + 2) {
+            throw new Error(`密钥太短：${hash} 与 ${saltLength} 字节盐值的 PSS 编码需要 ${hLen + saltLength + 2} 字节`);
+        }
+        const salt = randomBytes(saltLength);
+        const mHash = await digest(hash, message);
+        const h = await digest(hash, root.REOT.bytes.concat([new Uint8Array(8), mHash, salt]));
+        const db = new Uint8Array(emLen - hLen - 1);
+        db[db.length - saltLength - 1] = 0x01;
+        db.set(salt, db.length - saltLength);
+        xorInto(db, await mgf1(h, db.length, hash));
+        db[0] &= 0xff >> (8 * emLen - emBits);
+        return root.REOT.bytes.concat([db, h, new Uint8Array([0xbc])]);
+    }
+
+    /**
+     * EMSA-PSS 校验
+     * @param {Uint8Array} message
+     * @param {Uint8Array} em
+     * @param {number} emBits
+     * @param {string} hash
+     * @param {number} [saltLength] - 未指定时从编码中识别
+     * @returns {Promise<{valid: boolean, reason: string|null, saltLength: number|null}>}
+     */
+    async function verifyPss(message, em, emBits, hash, saltLength) {
+        const hLen = getHash(hash).length;
+        const emLen = em.length;
+        const topMask = 0xff >> (8 * emLen - emBits);
+        if (emLen < hLen + 2 || em[emLen - 1] !== 0xbc) {
+            return { valid: false, reason: '末字节不是 0xbc（可能是 PKCS#1 v1.5 签名，或公钥不匹配）', saltLength: null };
+        }
+        if (em[0] & ~topMask & 0xff) {
+            return { valid: false, reason: 'PSS 编码的最高位不为 0（公钥不匹配）', saltLength: null };
+        }
+        const h = em.subarray(emLen - hLen - 1, emLen - 1);
+        const db = xorInto(em.slice(0, emLen - hLen - 1), await mgf1(h, emLen - hLen - 1, hash));
+        db[0] &= topMask;
+        let index = 0;
+        while (index < db.length && db[index] === 0) {
+            index++;
+        }
+        if (db[index] !== 0x01) {
+            return { valid: false, reason: 'PSS 填充格式不正确（检查哈希算法）', saltLength: null };
+        }
+        const detected = db.length - index - 1;
+        if (saltLength !== undefined && saltLength !== null && saltLength !== detected) {
+            return { valid: false, reason: `盐值长度为 ${detected} 字节，而不是 ${saltLength} 字节`, saltLength: detected };
+        }
+        const mHash = await digest(hash, message);
+        const expected = await digest(hash, root.REOT.bytes.concat([new Uint8Array(8), mHash, db.subarray(index + 1)]));
+        if (!root.REOT.bytes.equals(expected, h)) {
+            return { valid: false, reason: '摘要不匹配（消息内容或哈希算法不正确）', saltLength: detected };
+        }
+        return { valid: true, reason: null, saltLength: detected };
+    }
+
+    /**
+     * 字节转两位十六进制
+     * @param {number} byte
+     * @returns {string}
+     */
+    function hexByte(byte) {
+        return (byte || 0).toString(16).padStart(2, '0');
+    }
+
+    /**
+     * 规范化输入的密钥（接受 parseKey() 支持的任意格式）
+     * @param {Object|string|Uint8Array} key
+     * @returns {Object}
+     */
+    function resolveKey(key) {
+        return key && typeof key.n === 'bigint' && typeof key.size === 'number' ? key : parseKey(key);
+    }
+
+    // ========== 导出的模块 ==========
+
+    root.REOT.rsa = {
+        PADDINGS,
+        SIGNATURE_SCHEMES,
+        HASHES: Object.keys(HASHES),
+
+        toBigInt,
+        fromBigInt,
+        parseInteger,
+        bitLength,
+        modPow,
+        modInverse,
+        gcd,
+
+        createKey,
+        parseKey,
+        toJwk,
+        toPem,
+
+        /**
+         * RSA 加密
+         * @param {Uint8Array} data - 明文（padding 为 none 时按大端整数处理）
+         * @param {Object|string} key - 公钥或私钥（parseKey() 的结果或其支持的输入）
+         * @param {Object} [options]
+         * @param {string} [options.padding='oaep'] - oaep | pkcs1 | none
+         * @param {string} [options.hash='SHA-256'] - OAEP 哈希算法（同时用于 MGF1）
+         * @param {Uint8Array} [options.label] - OAEP 标签，默认为空
+         * @returns {Promise<Uint8Array>} - 与模数等长的密文
+         */
+        async encrypt(data, key, options = {}) {
+            const { padding = 'oaep', hash = 'SHA-256', label = new Uint8Array(0) } = options;
+            key = resolveKey(key);
+            let em;
+            switch (padding) {
+            case 'oaep':
+                em = await encodeOaep(data, key.size, hash, label);
+                break;
+            case 'pkcs1':
+                em = encodePkcs1(data, key.size);
+                break;
+            case 'none':
+                em = data;
+                break;
+            default:
+                throw new Error(`不支持的填充方式: ${padding}`);
+            }
+            return fromBigInt(publicOp(toBigInt(em), key), key.size);
+        },
+
+        /**
+         * RSA 解密
+         * 填充无效时抛出错误并说明原因；padding 为 none 时返回去掉前导零的整数字节
+         * @param {Uint8Array} data - 密文（允许比模数短，如丢失了前导零）
+         * @param {Object|string} key - 私钥
+         * @param {Object} [options] - 同 encrypt
+         * @returns {Promise<Uint8Array>}
+         */
+        async decrypt(data, key, options = {}) {
+            const { padding = 'oaep', hash = 'SHA-256', label = new Uint8Array(0) } = options;
+            key = resolveKey(key);
+            if (data.length > key.size) {
+                throw new Error(`密文长度不能超过模数长度（${key.size} 字节），当前为 ${data.length} 字节`);
+            }
+            const value = privateOp(toBigInt(data), key);
+            switch (padding) {
+            case 'oaep':
+                return decodeOaep(fromBigInt(value, key.size), hash, label);
+            case 'pkcs1':
+                return decodePkcs1(fromBigInt(value, key.size));
+            case 'none':
+                return fromBigInt(value);
+            default:
+                throw new Error(`不支持的填充方式: ${padding}`);
+            }
+        },
+
+        /**
+         * RSA 签名
+         * @param {Uint8Array} message
+         * @param {Object|string} key - 私钥
+         * @param {Object} [options]
+         * @param {string} [options.scheme='pkcs1'] - pkcs1（RSASSA-PKCS1-v1_5）| pss
+         * @param {string} [options.hash='SHA-256']
+         * @param {number} [options.saltLength] - PSS 盐值字节数，默认等于摘要长度
+         * @returns {Promise<Uint8Array>}
+         */
+        async sign(message, key, options = {}) {
+            const { scheme = 'pkcs1', hash = 'SHA-256' } = options;
+            key = resolveKey(key);
+            let em;
+            if (scheme === 'pkcs1') {
+                em = await encodeSignaturePkcs1(message, key.size, hash);
+            } else if (scheme === 'pss') {
+                em = await encodePss(message, key.bits - 1, hash, options.saltLength ?? getHash(hash).length);
+            } else {
+                throw new Error(`不支持的签名方案: ${scheme}`);
+            }
+            return fromBigInt(privateOp(toBigInt(em), key), key.size);
+        },
+
+        /**
+         * RSA 验签
+         * 校验失败时说明原因（如签名使用了另一种哈希算法），PSS 未指定盐值长度时自动识别
+         * @param {Uint8Array} message
+         * @param {Uint8Array} signature
+         * @param {Object|string} key - 公钥或私钥
+         * @param {Object} [options] - 同 sign
+         * @returns {Promise<{valid: boolean, reason: string|null, hash?: string|null, saltLength?: number|null}>}
+         */
+        async verify(message, signature, key, options = {}) {
+            const { scheme = 'pkcs1', hash = 'SHA-256' } = options;
+            key = resolveKey(key);
+            getHash(hash);
+            if (!SIGNATURE_SCHEMES.includes(scheme)) {
+                throw new Error(`不支持的签名方案: ${scheme}`);
+            }
+            const value = toBigInt(signature);
+            if (signature.length > key.size || value >= key.n) {
+                return { valid: false, reason: '签名数值不小于模数 n（签名与公钥不匹配）' };
+            }
+            const em = fromBigInt(publicOp(value, key), key.size);
+
+            if (scheme === 'pkcs1') {
+                const expected = await encodeSignaturePkcs1(message, key.size, hash);
+                if (root.REOT.bytes.equals(em, expected)) {
+                    return { valid: true, reason: null, hash };
+                }
+                return { valid: false, ...explainPkcs1Signature(em, hash) };
+            }
+
+            const emBits = key.bits - 1;
+            const emLen = Math.ceil(emBits / 8);
+            if (em.subarray(0, key.size - emLen).some(byte => byte !== 0)) {
+                return { valid: false, reason: 'PSS 编码的最高位不为 0（公钥不匹配）', saltLength: null };
+            }
+            return verifyPss(message, em.slice(key.size - emLen), emBits, hash, options.saltLength);
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
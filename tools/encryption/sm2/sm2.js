@@ -145,121 +145,13 @@
     // 基点 G
     const G = new ECPoint(SM2_PARAMS.Gx, SM2_PARAMS.Gy);
 
-    // ========== SM3 哈希实现 ==========
+    // ========== SM3 哈希 ==========
 
-    const SM3_IV = [
-        0x7380166f, 0x4914b2b9, 0x172442d7, 0xda8a0600,
-        0xa96f30bc, 0x163138aa, 0xe38dee4d, 0xb0fb0e4e
-    ];
-
-    const SM3_T = [
-        0x79cc4519, 0x7a879d8a
-    ];
-
-    function rotl32(x, n) {
-        return ((x << n) | (x >>> (32 - n))) >>> 0;
-    }
-
-    function ff(j, x, y, z) {
-        if (j < 16) {
-            return (x ^ y ^ z) >>> 0;
-        }
-        return ((x & y) | (x & z) | (y & z)) >>> 0;
-    }
-
-    function gg(j, x, y, z) {
-        if (j < 16) {
-            return (x ^ y ^ z) >>> 0;
-        }
-        return ((x & y) | (~x & z)) >>> 0;
-    }
-
-    function p0(x) {
-        return (x ^ rotl32(x, 9) ^ rotl32(x, 17)) >>> 0;
-    }
-
-    function p1(x) {
-        return (x ^ rotl32(x, 15) ^ rotl32(x, 23)) >>> 0;
-    }
-
-    function sm3Compress(v, b) {
-        const w = new Array(68);
-        const w1 = new Array(64);
-
-        // 消息扩展
-        for (let i = 0; i < 16; i++) {
-            w[i] = (b[i * 4] << 24) | (b[i * 4 + 1] << 16) | (b[i * 4 + 2] << 8) | b[i * 4 + 3];
-        }
-
-        for (let i = 16; i < 68; i++) {
-            w[i] = (p1(w[i - 16] ^ w[i - 9] ^ rotl32(w[i - 3], 15)) ^ rotl32(w[i - 13], 7) ^ w[i - 6]) >>> 0;
-        }
-
-        for (let i = 0; i < 64; i++) {
-            w1[i] = (w[i] ^ w[i + 4]) >>> 0;
-        }
-
-        // 压缩函数
-        let [a, bb, c, d, e, f, g, h] = v;
-
-        for (let j = 0; j < 64; j++) {
-            const t = j < 16 ? SM3_T[0] : SM3_T[1];
-            const ss1 = rotl32((rotl32(a, 12) + e + rotl32(t, j % 32)) >>> 0, 7);
-            const ss2 = (ss1 ^ rotl32(a, 12)) >>> 0;
-            const tt1 = (ff(j, a, bb, c) + d + ss2 + w1[j]) >>> 0;
-            const tt2 = (gg(j, e, f, g) + h + ss1 + w[j]) >>> 0;
-            d = c;
-            c = rotl32(bb, 9);
-            bb = a;
-            a = tt1;
-            h = g;
-            g = rotl32(f, 19);
-            f = e;
-            e = p0(tt2);
-        }
-
-        return [
-            (a ^ v[0]) >>> 0, (bb ^ v[1]) >>> 0, (c ^ v[2]) >>> 0, (d ^ v[3]) >>> 0,
-            (e ^ v[4]) >>> 0, (f ^ v[5]) >>> 0, (g ^ v[6]) >>> 0, (h ^ v[7]) >>> 0
-        ];
-    }
+    // SM3 实现位于 sm3-core.js（与 HMAC 工具共用），页面加载时异步载入
+    const sm3Ready = REOT.loader.loadScript('tools/encryption/sm2/sm3-core.js');
 
     function sm3(message) {
-        if (typeof message === 'string') {
-            message = new TextEncoder().encode(message);
-        }
-
-        const msgLen = message.length;
-        const bitLen = BigInt(msgLen) * 8n;
-
-        // 填充
-        const padLen = (56 - (msgLen + 1) % 64 + 64) % 64;
-        const padded = new Uint8Array(msgLen + 1 + padLen + 8);
-        padded.set(message);
-        padded[msgLen] = 0x80;
-
-        // 添加长度
-        for (let i = 0; i < 8; i++) {
-            padded[padded.length - 8 + i] = Number((bitLen >> BigInt((7 - i) * 8)) & 0xffn);
-        }
-
-        // 分块处理
-        let v = [...SM3_IV];
-        for (let i = 0; i < padded.length; i += 64) {
-            const block = padded.slice(i, i + 64);
-            v = sm3Compress(v, block);
-        }
-
-        // 输出
-        const hash = new Uint8Array(32);
-        for (let i = 0; i < 8; i++) {
-            hash[i * 4] = (v[i] >>> 24) & 0xff;
-            hash[i * 4 + 1] = (v[i] >>> 16) & 0xff;
-            hash[i * 4 + 2] = (v[i] >>> 8) & 0xff;
-            hash[i * 4 + 3] = v[i] & 0xff;
-        }
-
-        return hash;
+        return REOT.sm3.hash(message);
     }
 
     // ========== SM2 核心功能 ==========
@@ -282,9 +174,7 @@
     }
 
     function sm2Encrypt(message, publicKey) {
-        if (typeof message === 'string') {
-            message = new TextEncoder().encode(message);
-        }
+        message = REOT.bytes.from(message);
 
         const n = SM2_PARAMS.n;
 
@@ -365,12 +255,8 @@
     }
 
     function sm2Sign(message, privateKey, userId = '1234567812345678') {
-        if (typeof message === 'string') {
-            message = new TextEncoder().encode(message);
-        }
-        if (typeof userId === 'string') {
-            userId = new TextEncoder().encode(userId);
-        }
+        message = REOT.bytes.from(message);
+        userId = REOT.bytes.from(userId);
 
         const n = SM2_PARAMS.n;
         const d = privateKey;
@@ -411,12 +297,8 @@
     }
 
     function sm2Verify(message, signature, publicKey, userId = '1234567812345678') {
-        if (typeof message === 'string') {
-            message = new TextEncoder().encode(message);
-        }
-        if (typeof userId === 'string') {
-            userId = new TextEncoder().encode(userId);
-        }
+        message = REOT.bytes.from(message);
+        userId = REOT.bytes.from(userId);
 
         const n = SM2_PARAMS.n;
         const r = bytesToBigInt(signature.r);
@@ -513,39 +395,6 @@
         return bytes;
     }
 
-    function bytesToHex(bytes) {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    function hexToBytes(hex) {
-        hex = hex.replace(/\s/g, '');
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
-        }
-        return bytes;
-    }
-
-    function arrayBufferToBase64(buffer) {
-        const bytes = new Uint8Array(buffer);
-        let binary = '';
-        for (let i = 0; i < bytes.length; i++) {
-            binary += String.fromCharCode(bytes[i]);
-        }
-        return btoa(binary);
-    }
-
-    function base64ToArrayBuffer(base64) {
-        const binary = atob(base64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
-        }
-        return bytes;
-    }
-
     function getOutputFormat() {
         const select = document.getElementById('output-format');
         return select?.value || 'base64';
@@ -559,7 +408,7 @@
     function parsePublicKey(str) {
         str = str.trim().replace(/\s/g, '');
         if (str.startsWith('04')) {
-            const bytes = hexToBytes(str);
+            const bytes = REOT.bytes.fromHex(str);
             const x = bytesToBigInt(bytes.slice(1, 33));
             const y = bytesToBigInt(bytes.slice(33, 65));
             return new ECPoint(x, y);
@@ -569,17 +418,17 @@
 
     function parsePrivateKey(str) {
         str = str.trim().replace(/\s/g, '');
-        return bytesToBigInt(hexToBytes(str));
+        return bytesToBigInt(REOT.bytes.fromHex(str));
     }
 
     function formatPublicKey(point) {
         const x = bigIntToBytes(point.x, 32);
         const y = bigIntToBytes(point.y, 32);
-        return '04' + bytesToHex(x) + bytesToHex(y);
+        return '04' + REOT.bytes.toHex(x) + REOT.bytes.toHex(y);
     }
 
     function formatPrivateKey(d) {
-        return bytesToHex(bigIntToBytes(d, 32));
+        return REOT.bytes.toHex(bigIntToBytes(d, 32));
     }
 
     // ========== UI 功能 ==========
@@ -623,6 +472,13 @@
 
         const target = e.target;
 
+        try {
+            await sm3Ready;
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+            return;
+        }
+
         // 生成密钥对
         if (target.id === 'generate-keys-btn' || target.closest('#generate-keys-btn')) {
             try {
@@ -663,8 +519,8 @@
 
                 if (outputEl) {
                     outputEl.value = format === 'hex'
-                        ? bytesToHex(encrypted)
-                        : arrayBufferToBase64(encrypted);
+                        ? REOT.bytes.toHex(encrypted)
+                        : REOT.bytes.toBase64(encrypted);
                 }
 
                 REOT.utils?.showNotification('加密成功', 'success');
@@ -694,18 +550,18 @@
                 const privateKey = parsePrivateKey(privateKeyEl.value);
                 let ciphertext;
                 if (format === 'hex') {
-                    ciphertext = hexToBytes(inputEl.value);
+                    ciphertext = REOT.bytes.fromHex(inputEl.value);
                 } else {
-                    ciphertext = base64ToArrayBuffer(inputEl.value);
+                    ciphertext = REOT.bytes.fromBase64(inputEl.value);
                 }
 
                 const decrypted = sm2Decrypt(ciphertext, privateKey);
 
                 if (outputEl) {
                     try {
-                        outputEl.value = new TextDecoder().decode(decrypted);
+                        outputEl.value = REOT.bytes.toText(decrypted);
                     } catch (e) {
-                        outputEl.value = arrayBufferToBase64(decrypted);
+                        outputEl.value = REOT.bytes.toBase64(decrypted);
                     }
                 }
 
@@ -742,8 +598,8 @@
 
                 if (outputEl) {
                     outputEl.value = format === 'hex'
-                        ? bytesToHex(sigBytes)
-                        : arrayBufferToBase64(sigBytes);
+                        ? REOT.bytes.toHex(sigBytes)
+                        : REOT.bytes.toBase64(sigBytes);
                 }
 
                 REOT.utils?.showNotification('签名成功', 'success');
@@ -781,9 +637,9 @@
 
                 let sigBytes;
                 if (format === 'hex') {
-                    sigBytes = hexToBytes(outputEl.value);
+                    sigBytes = REOT.bytes.fromHex(outputEl.value);
                 } else {
-                    sigBytes = base64ToArrayBuffer(outputEl.value);
+                    sigBytes = REOT.bytes.fromBase64(outputEl.value);
                 }
 
                 const signature = {
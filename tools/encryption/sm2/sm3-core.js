@@ -0,0 +1,138 @@
+/**
+ * SM3 哈希核心
+ * @description 不依赖 DOM 的国密 SM3 杂凑算法（GB/T 32905-2016），供 SM2 和 HMAC 工具共用。依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    const SM3_IV = [
+        0x7380166f, 0x4914b2b9, 0x172442d7, 0xda8a0600,
+        0xa96f30bc, 0x163138aa, 0xe38dee4d, 0xb0fb0e4e
+    ];
+
+    const SM3_T = [
+        0x79cc4519, 0x7a879d8a
+    ];
+
+    function rotl32(x, n) {
+        return ((x << n) | (x >>> (32 - n))) >>> 0;
+    }
+
+    function ff(j, x, y, z) {
+        if (j < 16) {
+            return (x ^ y ^ z) >>> 0;
+        }
+        return ((x & y) | (x & z) | (y & z)) >>> 0;
+    }
+
+    function gg(j, x, y, z) {
+        if (j < 16) {
+            return (x ^ y ^ z) >>> 0;
+        }
+        return ((x & y) | (~x & z)) >>> 0;
+    }
+
+    function p0(x) {
+        return (x ^ rotl32(x, 9) ^ rotl32(x, 17)) >>> 0;
+    }
+
+    function p1(x) {
+        return (x ^ rotl32(x, 15) ^ rotl32(x, 23)) >>> 0;
+    }
+
+    function sm3Compress(v, b) {
+        const w = new Array(68);
+        const w1 = new Array(64);
+
+        // 消息扩展
+        for (let i = 0; i < 16; i++) {
+            w[i] = (b[i * 4] << 24) | (b[i * 4 + 1] << 16) | (b[i * 4 + 2] << 8) | b[i * 4 + 3];
+        }
+
+        for (let i = 16; i < 68; i++) {
+            w[i] = (p1(w[i - 16] ^ w[i - 9] ^ rotl32(w[i - 3], 15)) ^ rotl32(w[i - 13], 7) ^ w[i - 6]) >>> 0;
+        }
+
+        for (let i = 0; i < 64; i++) {
+            w1[i] = (w[i] ^ w[i + 4]) >>> 0;
+        }
+
+        // 压缩函数
+        let [a, bb, c, d, e, f, g, h] = v;
+
+        for (let j = 0; j < 64; j++) {
+            const t = j < 16 ? SM3_T[0] : SM3_T[1];
+            const ss1 = rotl32((rotl32(a, 12) + e + rotl32(t, j % 32)) >>> 0, 7);
+            const ss2 = (ss1 ^ rotl32(a, 12)) >>> 0;
+            const tt1 = (ff(j, a, bb, c) + d + ss2 + w1[j]) >>> 0;
+            const tt2 = (gg(j, e, f, g) + h + ss1 + w[j]) >>> 0;
+            d = c;
+            c = rotl32(bb, 9);
+            bb = a;
+            a = tt1;
+            h = g;
+            g = rotl32(f, 19);
+            f = e;
+            e = p0(tt2);
+        }
+
+        return [
+            (a ^ v[0]) >>> 0, (bb ^ v[1]) >>> 0, (c ^ v[2]) >>> 0, (d ^ v[3]) >>> 0,
+            (e ^ v[4]) >>> 0, (f ^ v[5]) >>> 0, (g ^ v[6]) >>> 0, (h ^ v[7]) >>> 0
+        ];
+    }
+
+    /**
+     * SM3 哈希
+     * @param {string|ArrayBuffer|Uint8Array} message - 字符串按 UTF-8 编码
+     * @returns {Uint8Array} 32 字节摘要
+     */
+    function hash(message) {
+        message = root.REOT.bytes.from(message);
+
+        const msgLen = message.length;
+        const bitLen = BigInt(msgLen) * 8n;
+
+        // 填充
+        const padLen = (56 - (msgLen + 1) % 64 + 64) % 64;
+        const padded = new Uint8Array(msgLen + 1 + padLen + 8);
+        padded.set(message);
+        padded[msgLen] = 0x80;
+
+        // 添加长度
+        for (let i = 0; i < 8; i++) {
+            padded[padded.length - 8 + i] = Number((bitLen >> BigInt((7 - i) * 8)) & 0xffn);
+        }
+
+        // 分块处理
+        let v = [...SM3_IV];
+        for (let i = 0; i < padded.length; i += 64) {
+            const block = padded.slice(i, i + 64);
+            v = sm3Compress(v, block);
+        }
+
+        // 输出
+        const digest = new Uint8Array(32);
+        for (let i = 0; i < 8; i++) {
+            digest[i * 4] = (v[i] >>> 24) & 0xff;
+            digest[i * 4 + 1] = (v[i] >>> 16) & 0xff;
+            digest[i * 4 + 2] = (v[i] >>> 8) & 0xff;
+            digest[i * 4 + 3] = v[i] & 0xff;
+        }
+
+        return digest;
+    }
+
+    root.REOT.sm3 = {
+        BLOCK_SIZE: 64,
+        OUTPUT_LENGTH: 32,
+        hash
+    };
+
+})(typeof window !== 'undefined' ? window : self);
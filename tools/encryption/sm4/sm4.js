@@ -290,49 +290,6 @@
 
     // ========== 工具函数 ==========
 
-    function hexToBytes(hex) {
-        hex = hex.replace(/\s/g, '');
-        if (hex.length % 2 !== 0) {
-            throw new Error('十六进制字符串长度必须为偶数');
-        }
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
-        }
-        return bytes;
-    }
-
-    function bytesToHex(bytes) {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    function stringToBytes(str) {
-        return new TextEncoder().encode(str);
-    }
-
-    function bytesToString(bytes) {
-        return new TextDecoder().decode(bytes);
-    }
-
-    function bytesToBase64(bytes) {
-        let binary = '';
-        for (let i = 0; i < bytes.length; i++) {
-            binary += String.fromCharCode(bytes[i]);
-        }
-        return btoa(binary);
-    }
-
-    function base64ToBytes(base64) {
-        const binary = atob(base64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
-        }
-        return bytes;
-    }
-
     function generateRandomBytes(length) {
         const bytes = new Uint8Array(length);
         crypto.getRandomValues(bytes);
@@ -352,9 +309,9 @@
 
         let key;
         if (keyFormat === 'hex') {
-            key = hexToBytes(keyValue);
+            key = REOT.bytes.fromHex(keyValue);
         } else {
-            key = stringToBytes(keyValue);
+            key = REOT.bytes.fromText(keyValue);
         }
 
         if (key.length !== 16) {
@@ -378,9 +335,9 @@
 
         let iv;
         if (ivFormat === 'hex') {
-            iv = hexToBytes(ivValue);
+            iv = REOT.bytes.fromHex(ivValue);
         } else {
-            iv = stringToBytes(ivValue);
+            iv = REOT.bytes.fromText(ivValue);
         }
 
         if (iv.length !== 16) {
@@ -402,7 +359,7 @@
             const padding = document.getElementById('padding-select')?.value || 'pkcs7';
             const outputFormat = document.getElementById('output-format')?.value || 'hex';
 
-            const plaintext = stringToBytes(input);
+            const plaintext = REOT.bytes.fromText(input);
             let ciphertext;
 
             if (mode === 'ecb') {
@@ -415,9 +372,9 @@
             const output = document.getElementById('output');
             if (output) {
                 if (outputFormat === 'hex') {
-                    output.value = bytesToHex(ciphertext);
+                    output.value = REOT.bytes.toHex(ciphertext);
                 } else {
-                    output.value = bytesToBase64(ciphertext);
+                    output.value = REOT.bytes.toBase64(ciphertext);
                 }
             }
 
@@ -444,9 +401,9 @@
 
             let ciphertext;
             if (outputFormat === 'hex') {
-                ciphertext = hexToBytes(input.trim());
+                ciphertext = REOT.bytes.fromHex(input.trim());
             } else {
-                ciphertext = base64ToBytes(input.trim());
+                ciphertext = REOT.bytes.fromBase64(input.trim());
             }
 
             let plaintext;
@@ -460,7 +417,7 @@
 
             const output = document.getElementById('output');
             if (output) {
-                output.value = bytesToString(plaintext);
+                output.value = REOT.bytes.toText(plaintext);
             }
 
             REOT.utils?.showNotification('解密成功', 'success');
@@ -511,7 +468,7 @@
 
             if (keyInput) {
                 if (keyFormat === 'hex') {
-                    keyInput.value = bytesToHex(randomBytes);
+                    keyInput.value = REOT.bytes.toHex(randomBytes);
                 } else {
                     // 生成可打印字符
                     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
@@ -533,7 +490,7 @@
 
             if (ivInput) {
                 if (ivFormat === 'hex') {
-                    ivInput.value = bytesToHex(randomBytes);
+                    ivInput.value = REOT.bytes.toHex(randomBytes);
                 } else {
                     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
                     let result = '';
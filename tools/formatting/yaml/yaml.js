@@ -59,63 +59,6 @@
         }
     }
 
-    // js-yaml 库加载 Promise（单例）
-    let jsyamlLoadPromise = null;
-
-    /**
-     * 动态加载 js-yaml 库
-     */
-    function loadJsYaml() {
-        // 如果已经有加载 Promise，直接返回（避免重复加载）
-        if (jsyamlLoadPromise) {
-            return jsyamlLoadPromise;
-        }
-
-        // 已加载
-        if (window.jsyaml) {
-            return Promise.resolve();
-        }
-
-        jsyamlLoadPromise = new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/js-yaml@4.1.0/dist/js-yaml.min.js';
-
-            script.onload = () => {
-                // 等待全局变量可用
-                const checkGlobal = () => {
-                    if (window.jsyaml) {
-                        resolve();
-                    } else {
-                        setTimeout(checkGlobal, 10);
-                    }
-                };
-                checkGlobal();
-            };
-
-            script.onerror = () => {
-                jsyamlLoadPromise = null; // 允许重试
-                reject(new Error('无法加载 js-yaml 库，请检查网络连接'));
-            };
-
-            document.head.appendChild(script);
-        });
-
-        return jsyamlLoadPromise;
-    }
-
-    /**
-     * 确保库已加载
-     */
-    async function ensureLibraryLoaded() {
-        if (!window.jsyaml) {
-            await loadJsYaml();
-        }
-        // 再次确认
-        if (!window.jsyaml) {
-            throw new Error('js-yaml 库加载失败');
-        }
-    }
-
     /**
      * 获取缩进数量
      */
@@ -424,7 +367,7 @@
         // 格式化按钮
         if (target.id === 'format-btn' || target.closest('#format-btn')) {
             try {
-                await ensureLibraryLoaded();
+                await REOT.loader.load('js-yaml');
                 const result = formatYAML(getInputValue());
                 await showHighlightedOutput(result, false);
                 document.getElementById('validation-section').style.display = 'none';
@@ -437,7 +380,7 @@
         // 校验按钮
         if (target.id === 'validate-btn' || target.closest('#validate-btn')) {
             try {
-                await ensureLibraryLoaded();
+                await REOT.loader.load('js-yaml');
                 const result = validateYAML(getInputValue());
                 showValidationResult(result);
                 if (result.valid) {
@@ -454,7 +397,7 @@
         // 转为 JSON
         if (target.id === 'to-json-btn' || target.closest('#to-json-btn')) {
             try {
-                await ensureLibraryLoaded();
+                await REOT.loader.load('js-yaml');
                 const result = yamlToJson(getInputValue());
                 await showHighlightedOutput(result, true);
                 document.getElementById('validation-section').style.display = 'none';
@@ -467,7 +410,7 @@
         // JSON 转 YAML
         if (target.id === 'from-json-btn' || target.closest('#from-json-btn')) {
             try {
-                await ensureLibraryLoaded();
+                await REOT.loader.load('js-yaml');
                 const result = jsonToYaml(getInputValue());
                 await showHighlightedOutput(result, false);
                 document.getElementById('validation-section').style.display = 'none';
@@ -601,6 +544,6 @@ tools:
     });
 
     // 预加载 js-yaml 库
-    loadJsYaml().catch(err => console.warn('js-yaml 预加载失败:', err.message));
+    REOT.loader.preload('js-yaml');
 
 })();
@@ -8,34 +8,16 @@
 (function() {
     'use strict';
 
-    /**
-     * 动态加载脚本
-     */
-    function loadScript(src) {
-        return new Promise((resolve, reject) => {
-            // 检查是否已加载
-            if (document.querySelector(`script[src="${src}"]`)) {
-                resolve();
-                return;
-            }
-            const script = document.createElement('script');
-            script.src = src;
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
-    }
-
     /**
      * 主初始化函数
      */
     async function main() {
         // 加载依赖库
         try {
-            await loadScript('https://cdn.jsdelivr.net/npm/html5-qrcode@2.3.8/html5-qrcode.min.js');
+            await REOT.loader.load('html5-qrcode');
         } catch (e) {
             console.error('加载依赖库失败:', e);
-            alert('加载扫描库失败，请检查网络连接');
+            alert('加载扫描库失败');
             return;
         }
 
@@ -45,15 +45,6 @@
         }
     };
 
-    function arrayBufferToBase64(buffer) {
-        const bytes = new Uint8Array(buffer);
-        let binary = '';
-        for (let i = 0; i < bytes.length; i++) {
-            binary += String.fromCharCode(bytes[i]);
-        }
-        return btoa(binary);
-    }
-
     function formatPEM(base64, type) {
         const lines = [];
         for (let i = 0; i < base64.length; i += 64) {
@@ -116,8 +107,8 @@
                 const publicSpki = await crypto.subtle.exportKey('spki', keyPair.publicKey);
                 const privatePkcs8 = await crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
 
-                const publicBase64 = arrayBufferToBase64(publicSpki);
-                const privateBase64 = arrayBufferToBase64(privatePkcs8);
+                const publicBase64 = REOT.bytes.toBase64(new Uint8Array(publicSpki));
+                const privateBase64 = REOT.bytes.toBase64(new Uint8Array(privatePkcs8));
 
                 if (publicKeyEl) {
                     publicKeyEl.value = formatPEM(publicBase64, 'PUBLIC KEY');
@@ -8,35 +8,19 @@
 (function() {
     'use strict';
 
-    /**
-     * 动态加载脚本
-     */
-    function loadScript(src) {
-        return new Promise((resolve, reject) => {
-            // 检查是否已加载
-            if (document.querySelector(`script[src="${src}"]`)) {
-                resolve();
-                return;
-            }
-            const script = document.createElement('script');
-            script.src = src;
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
-    }
-
     /**
      * 初始化工具
      */
     async function init() {
         // 加载依赖库
         try {
-            await loadScript('https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js');
-            await loadScript('https://cdn.jsdelivr.net/npm/jsbarcode@3.11.6/dist/JsBarcode.all.min.js');
+            await Promise.all([
+                REOT.loader.load('qrcode-generator'),
+                REOT.loader.load('jsbarcode')
+            ]);
         } catch (e) {
             console.error('加载依赖库失败:', e);
-            alert('加载依赖库失败，请检查网络连接');
+            alert('加载依赖库失败');
             return;
         }
 
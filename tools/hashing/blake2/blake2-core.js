@@ -0,0 +1,303 @@
+/**
+ * BLAKE2 核心
+ * @description 不依赖 DOM 的增量式 BLAKE2b / BLAKE2s 实现（RFC 7693），支持密钥和可变输出长度，
+ *              可以分块 update()，用于在 Worker 中流式计算大文件的哈希。依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    const SIGMA = [
+        0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+        14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+        11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+        7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+        9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+        2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+        12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+        13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+        6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+        10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0,
+        0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+        14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3
+    ];
+
+    // ========== 基础函数 ==========
+
+    /**
+     * 从字节数组读取小端序 32 位字
+     * @param {Uint32Array} words
+     * @param {Uint8Array} bytes
+     * @param {number} offset
+     */
+    function readWords(words, bytes, offset) {
+        for (let i = 0; i < words.length; i++) {
+            const j = offset + i * 4;
+            words[i] = bytes[j] | (bytes[j + 1] << 8) | (bytes[j + 2] << 16) | (bytes[j + 3] << 24);
+        }
+    }
+
+    // ========== BLAKE2b ==========
+
+    // 64 位字按 [低 32 位, 高 32 位] 存放
+    const BLAKE2B_IV = new Uint32Array([
+        0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+        0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+    ]);
+
+    /**
+     * v[a] += v[b] + m[x]（64 位）
+     */
+    function add64(v, a, b, m, x) {
+        let lo = v[a] + v[b];
+        let hi = v[a + 1] + v[b + 1] + (lo >= 0x100000000 ? 1 : 0);
+        if (m) {
+            lo = (lo >>> 0) + m[x];
+            hi += m[x + 1] + (lo >= 0x100000000 ? 1 : 0);
+        }
+        v[a] = lo;
+        v[a + 1] = hi;
+    }
+
+    /**
+     * v[d] = (v[d] ^ v[a]) 循环右移 n 位（n 为 16、24、32 或 63）
+     */
+    function xorRotr64(v, d, a, n) {
+        const lo = v[d] ^ v[a];
+        const hi = v[d + 1] ^ v[a + 1];
+        if (n === 32) {
+            v[d] = hi;
+            v[d + 1] = lo;
+        } else if (n === 63) {
+            v[d] = (lo << 1) | (hi >>> 31);
+            v[d + 1] = (hi << 1) | (lo >>> 31);
+        } else {
+            v[d] = (lo >>> n) | (hi << (32 - n));
+            v[d + 1] = (hi >>> n) | (lo << (32 - n));
+        }
+    }
+
+    function blake2bG(v, m, a, b, c, d, x, y) {
+        add64(v, a, b, m, x * 2);
+        xorRotr64(v, d, a, 32);
+        add64(v, c, d);
+        xorRotr64(v, b, c, 24);
+        add64(v, a, b, m, y * 2);
+        xorRotr64(v, d, a, 16);
+        add64(v, c, d);
+        xorRotr64(v, b, c, 63);
+    }
+
+    /**
+     * BLAKE2b 压缩函数
+     * @param {Object} state - {h, v, m}
+     * @param {Uint8Array} bytes
+     * @param {number} offset - 128 字节块的起始位置
+     * @param {number} counter - 已处理的字节数
+     * @param {boolean} last
+     */
+    function blake2bCompress(state, bytes, offset, counter, last) {
+        const { h, v, m } = state;
+        readWords(m, bytes, offset);
+        v.set(h);
+        v.set(BLAKE2B_IV, 16);
+        v[24] ^= counter;
+        v[25] ^= counter / 0x100000000;
+        if (last) {
+            v[28] = ~v[28];
+            v[29] = ~v[29];
+        }
+        for (let round = 0; round < 12; round++) {
+            const s = round * 16;
+            blake2bG(v, m, 0, 8, 16, 24, SIGMA[s], SIGMA[s + 1]);
+            blake2bG(v, m, 2, 10, 18, 26, SIGMA[s + 2], SIGMA[s + 3]);
+            blake2bG(v, m, 4, 12, 20, 28, SIGMA[s + 4], SIGMA[s + 5]);
+            blake2bG(v, m, 6, 14, 22, 30, SIGMA[s + 6], SIGMA[s + 7]);
+            blake2bG(v, m, 0, 10, 20, 30, SIGMA[s + 8], SIGMA[s + 9]);
+            blake2bG(v, m, 2, 12, 22, 24, SIGMA[s + 10], SIGMA[s + 11]);
+            blake2bG(v, m, 4, 14, 16, 26, SIGMA[s + 12], SIGMA[s + 13]);
+            blake2bG(v, m, 6, 8, 18, 28, SIGMA[s + 14], SIGMA[s + 15]);
+        }
+        for (let i = 0; i < 16; i++) {
+            h[i] ^= v[i] ^ v[i + 16];
+        }
+    }
+
+    // ========== BLAKE2s ==========
+
+    const BLAKE2S_IV = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+
+    function blake2sG(v, m, a, b, c, d, x, y) {
+        v[a] = v[a] + v[b] + m[x];
+        v[d] ^= v[a];
+        v[d] = (v[d] >>> 16) | (v[d] << 16);
+        v[c] = v[c] + v[d];
+        v[b] ^= v[c];
+        v[b] = (v[b] >>> 12) | (v[b] << 20);
+        v[a] = v[a] + v[b] + m[y];
+        v[d] ^= v[a];
+        v[d] = (v[d] >>> 8) | (v[d] << 24);
+        v[c] = v[c] + v[d];
+        v[b] ^= v[c];
+        v[b] = (v[b] >>> 7) | (v[b] << 25);
+    }
+
+    /**
+     * BLAKE2s 压缩函数
+     * @param {Object} state - {h, v, m}
+     * @param {Uint8Array} bytes
+     * @param {number} offset - 64 字节块的起始位置
+     * @param {number} counter - 已处理的字节数
+     * @param {boolean} last
+     */
+    function blake2sCompress(state, bytes, offset, counter, last) {
+        const { h, v, m } = state;
+        readWords(m, bytes, offset);
+        v.set(h);
+        v.set(BLAKE2S_IV, 8);
+        v[12] ^= counter;
+        v[13] ^= counter / 0x100000000;
+        if (last) {
+            v[14] = ~v[14];
+        }
+        for (let round = 0; round < 10; round++) {
+            const s = round * 16;
+            blake2sG(v, m, 0, 4, 8, 12, SIGMA[s], SIGMA[s + 1]);
+            blake2sG(v, m, 1, 5, 9, 13, SIGMA[s + 2], SIGMA[s + 3]);
+            blake2sG(v, m, 2, 6, 10, 14, SIGMA[s + 4], SIGMA[s + 5]);
+            blake2sG(v, m, 3, 7, 11, 15, SIGMA[s + 6], SIGMA[s + 7]);
+            blake2sG(v, m, 0, 5, 10, 15, SIGMA[s + 8], SIGMA[s + 9]);
+            blake2sG(v, m, 1, 6, 11, 12, SIGMA[s + 10], SIGMA[s + 11]);
+            blake2sG(v, m, 2, 7, 8, 13, SIGMA[s + 12], SIGMA[s + 13]);
+            blake2sG(v, m, 3, 4, 9, 14, SIGMA[s + 14], SIGMA[s + 15]);
+        }
+        for (let i = 0; i < 8; i++) {
+            h[i] ^= v[i] ^ v[i + 8];
+        }
+    }
+
+    // ========== 增量计算 ==========
+
+    // 变体参数：块大小、最大输出 / 密钥字节数、初始值、压缩函数
+    const VARIANTS = {
+        blake2b: { name: 'BLAKE2b', blockSize: 128, maxLength: 64, iv: BLAKE2B_IV, compress: blake2bCompress },
+        blake2s: { name: 'BLAKE2s', blockSize: 64, maxLength: 32, iv: BLAKE2S_IV, compress: blake2sCompress }
+    };
+
+    /**
+     * 创建增量哈希对象
+     * BLAKE2 的最后一块需要设置结束标志，所以缓冲区满时要等到有更多数据才压缩
+     * @param {string} variant - blake2b / blake2s
+     * @param {Object} [options]
+     * @param {number} [options.length] - 输出字节数，默认为最大值（64 / 32）
+     * @param {string|Uint8Array} [options.key] - 密钥，最多与最大输出长度相同
+     * @returns {{update: function(string|ArrayBuffer|Uint8Array): Object, digest: function(): Uint8Array}}
+     */
+    function create(variant, options = {}) {
+        const spec = VARIANTS[variant];
+        if (!spec) {
+            throw new Error(`不支持的 BLAKE2 变体: ${variant}`);
+        }
+        const length = options.length ?? spec.maxLength;
+        const key = options.key ? root.REOT.bytes.from(options.key) : new Uint8Array(0);
+        if (!Number.isInteger(length) || length < 1 || length > spec.maxLength) {
+            throw new Error(`${spec.name} 输出长度必须是 1 到 ${spec.maxLength} 之间的整数`);
+        }
+        if (key.length > spec.maxLength) {
+            throw new Error(`${spec.name} 密钥不能超过 ${spec.maxLength} 字节`);
+        }
+
+        const words = spec.blockSize / 4;
+        const state = {
+            h: new Uint32Array(spec.iv),
+            v: new Uint32Array(words),
+            m: new Uint32Array(words)
+        };
+        // 参数块第一个字：摘要长度、密钥长度、fanout = 1、depth = 1
+        state.h[0] ^= 0x01010000 ^ (key.length << 8) ^ length;
+
+        const buffer = new Uint8Array(spec.blockSize);
+        let buffered = 0;
+        let counter = 0;
+        let finished = false;
+
+        const hasher = {
+            update(data) {
+                if (finished) {
+                    throw new Error('哈希已经完成，不能继续 update()');
+                }
+                const bytes = root.REOT.bytes.from(data);
+                let offset = 0;
+                while (offset < bytes.length) {
+                    if (buffered === spec.blockSize) {
+                        counter += spec.blockSize;
+                        spec.compress(state, buffer, 0, counter, false);
+                        buffered = 0;
+                    }
+                    // 缓冲区为空时直接压缩输入中的整块（保留最后一块）
+                    if (buffered === 0) {
+                        for (; bytes.length - offset > spec.blockSize; offset += spec.blockSize) {
+                            counter += spec.blockSize;
+                            spec.compress(state, bytes, offset, counter, false);
+                        }
+                    }
+                    const take = Math.min(spec.blockSize - buffered, bytes.length - offset);
+                    buffer.set(bytes.subarray(offset, offset + take), buffered);
+                    buffered += take;
+                    offset += take;
+                }
+                return this;
+            },
+
+            digest() {
+                if (finished) {
+                    throw new Error('哈希已经完成，不能重复 digest()');
+                }
+                finished = true;
+                counter += buffered;
+                buffer.fill(0, buffered);
+                spec.compress(state, buffer, 0, counter, true);
+                return root.REOT.bytes.wordsToBytes(state.h).slice(0, length);
+            }
+        };
+
+        // 有密钥时，密钥补零到一整块作为第一块
+        if (key.length > 0) {
+            hasher.update(key);
+            hasher.update(new Uint8Array(spec.blockSize - key.length));
+        }
+        return hasher;
+    }
+
+    root.REOT.blake2 = {
+        create,
+
+        /**
+         * 一次性计算 BLAKE2b
+         * @param {string|ArrayBuffer|Uint8Array} data
+         * @param {Object} [options] - 同 create()
+         * @returns {Uint8Array}
+         */
+        blake2b(data, options) {
+            return create('blake2b', options).update(data).digest();
+        },
+
+        /**
+         * 一次性计算 BLAKE2s
+         * @param {string|ArrayBuffer|Uint8Array} data
+         * @param {Object} [options] - 同 create()
+         * @returns {Uint8Array}
+         */
+        blake2s(data, options) {
+            return create('blake2s', options).update(data).digest();
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,304 @@
+/**
+ * BLAKE3 核心
+ * @description 不依赖 DOM 的增量式 BLAKE3 实现，支持 hash、keyed_hash、derive_key 三种模式和任意长度输出（XOF），
+ *              可以分块 update()，用于在 Worker 中流式计算大文件的哈希。依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    const IV = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+
+    // 每轮之后的消息字置换
+    const MSG_PERMUTATION = [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8];
+
+    // 7 轮使用的消息字下标（预先展开置换）
+    const SCHEDULE = (() => {
+        const schedule = [];
+        let order = Array.from({ length: 16 }, (_, i) => i);
+        for (let round = 0; round < 7; round++) {
+            schedule.push(order);
+            order = MSG_PERMUTATION.map(i => order[i]);
+        }
+        return schedule;
+    })();
+
+    const BLOCK_LEN = 64;
+    const CHUNK_LEN = 1024;
+
+    // 域分隔标志
+    const CHUNK_START = 1;
+    const CHUNK_END = 2;
+    const PARENT = 4;
+    const ROOT = 8;
+    const KEYED_HASH = 16;
+    const DERIVE_KEY_CONTEXT = 32;
+    const DERIVE_KEY_MATERIAL = 64;
+
+    // ========== 基础函数 ==========
+
+    /**
+     * 从字节数组读取小端序 32 位字
+     * @param {Uint32Array} words
+     * @param {Uint8Array} bytes
+     * @param {number} offset
+     */
+    function readWords(words, bytes, offset) {
+        for (let i = 0; i < words.length; i++) {
+            const j = offset + i * 4;
+            words[i] = bytes[j] | (bytes[j + 1] << 8) | (bytes[j + 2] << 16) | (bytes[j + 3] << 24);
+        }
+    }
+
+    function g(v, a, b, c, d, x, y) {
+        v[a] = v[a] + v[b] + x;
+        v[d] ^= v[a];
+        v[d] = (v[d] >>> 16) | (v[d] << 16);
+        v[c] = v[c] + v[d];
+        v[b] ^= v[c];
+        v[b] = (v[b] >>> 12) | (v[b] << 20);
+        v[a] = v[a] + v[b] + y;
+        v[d] ^= v[a];
+        v[d] = (v[d] >>> 8) | (v[d] << 24);
+        v[c] = v[c] + v[d];
+        v[b] ^= v[c];
+        v[b] = (v[b] >>> 7) | (v[b] << 25);
+    }
+
+    /**
+     * 压缩函数，结果（16 个字）写入 out；只需要链值时取前 8 个字
+     * @param {Uint32Array} cv - 8 个字的输入链值
+     * @param {Uint32Array} m - 16 个字的消息块
+     * @param {number} counter - 64 位计数器（块计数或输出块序号）
+     * @param {number} blockLen
+     * @param {number} flags
+     * @param {Uint32Array} out
+     */
+    function compress(cv, m, counter, blockLen, flags, out) {
+        out.set(cv);
+        out.set(IV.subarray(0, 4), 8);
+        out[12] = counter;
+        out[13] = counter / 0x100000000;
+        out[14] = blockLen;
+        out[15] = flags;
+        for (let round = 0; round < 7; round++) {
+            const s = SCHEDULE[round];
+            g(out, 0, 4, 8, 12, m[s[0]], m[s[1]]);
+            g(out, 1, 5, 9, 13, m[s[2]], m[s[3]]);
+            g(out, 2, 6, 10, 14, m[s[4]], m[s[5]]);
+            g(out, 3, 7, 11, 15, m[s[6]], m[s[7]]);
+            g(out, 0, 5, 10, 15, m[s[8]], m[s[9]]);
+            g(out, 1, 6, 11, 12, m[s[10]], m[s[11]]);
+            g(out, 2, 7, 8, 13, m[s[12]], m[s[13]]);
+            g(out, 3, 4, 9, 14, m[s[14]], m[s[15]]);
+        }
+        for (let i = 0; i < 8; i++) {
+            out[i] ^= out[i + 8];
+            out[i + 8] ^= cv[i];
+        }
+    }
+
+    // ========== 增量计算 ==========
+
+    /**
+     * 创建增量哈希对象
+     * @param {Object} [options]
+     * @param {string|Uint8Array} [options.key] - 32 字节密钥（keyed_hash 模式）
+     * @param {string|Uint8Array} [options.context] - 上下文字符串（derive_key 模式，输入为密钥材料）
+     * @returns {{update: function(string|ArrayBuffer|Uint8Array): Object, digest: function(number=): Uint8Array}}
+     */
+    function create(options = {}) {
+        let key = IV;
+        let baseFlags = 0;
+        if (options.key !== undefined && options.key !== null) {
+            const keyBytes = root.REOT.bytes.from(options.key);
+            if (keyBytes.length !== 32) {
+                throw new Error('BLAKE3 密钥必须是 32 字节');
+            }
+            key = new Uint32Array(8);
+            readWords(key, keyBytes, 0);
+            baseFlags = KEYED_HASH;
+        } else if (options.context !== undefined && options.context !== null) {
+            const contextKey = createWith(IV, DERIVE_KEY_CONTEXT).update(options.context).digest(32);
+            key = new Uint32Array(8);
+            readWords(key, contextKey, 0);
+            baseFlags = DERIVE_KEY_MATERIAL;
+        }
+        return createWith(key, baseFlags);
+    }
+
+    /**
+     * @param {Uint32Array} key - 8 个字的密钥（无密钥时为 IV）
+     * @param {number} baseFlags - 模式标志
+     */
+    function createWith(key, baseFlags) {
+        const m = new Uint32Array(16);
+        const out = new Uint32Array(16);
+        // 链值栈：每完成一个块就与栈顶按二叉树合并
+        const stack = [];
+
+        // 当前块（chunk）的状态
+        const cv = new Uint32Array(key);
+        const block = new Uint8Array(BLOCK_LEN);
+        let blockLen = 0;
+        let blocksCompressed = 0;
+        let chunkCounter = 0;
+        let finished = false;
+
+        const startFlag = () => (blocksCompressed === 0 ? CHUNK_START : 0);
+
+        /**
+         * 压缩一个非最后的 64 字节块
+         */
+        function compressBlock(bytes, offset) {
+            readWords(m, bytes, offset);
+            compress(cv, m, chunkCounter, BLOCK_LEN, baseFlags | startFlag(), out);
+            cv.set(out.subarray(0, 8));
+            blocksCompressed++;
+        }
+
+        /**
+         * 合并两个子链值得到父节点的链值
+         */
+        function parentCV(left, right) {
+            m.set(left);
+            m.set(right, 8);
+            compress(key, m, 0, BLOCK_LEN, baseFlags | PARENT, out);
+            return out.slice(0, 8);
+        }
+
+        /**
+         * 当前块结束：算出它的链值压入栈，并按已完成块数的二进制形式合并子树
+         */
+        function finishChunk() {
+            readWords(m, block, 0);
+            compress(cv, m, chunkCounter, blockLen, baseFlags | startFlag() | CHUNK_END, out);
+            let chunkCV = out.slice(0, 8);
+            let total = chunkCounter + 1;
+            while (total % 2 === 0) {
+                chunkCV = parentCV(stack.pop(), chunkCV);
+                total /= 2;
+            }
+            stack.push(chunkCV);
+
+            chunkCounter++;
+            cv.set(key);
+            block.fill(0);
+            blockLen = 0;
+            blocksCompressed = 0;
+        }
+
+        return {
+            update(data) {
+                if (finished) {
+                    throw new Error('哈希已经完成，不能继续 update()');
+                }
+                const bytes = root.REOT.bytes.from(data);
+                let offset = 0;
+                while (offset < bytes.length) {
+                    // 只有确定后面还有数据时才结束当前块（最后一块可能是根节点）
+                    if (blocksCompressed * BLOCK_LEN + blockLen === CHUNK_LEN) {
+                        finishChunk();
+                    }
+                    if (blockLen === BLOCK_LEN) {
+                        compressBlock(block, 0);
+                        block.fill(0);
+                        blockLen = 0;
+                    }
+                    // 缓冲区为空时直接压缩输入中当前块内的整块（保留块内最后一块）
+                    if (blockLen === 0) {
+                        while (bytes.length - offset > BLOCK_LEN && blocksCompressed < CHUNK_LEN / BLOCK_LEN - 1) {
+                            compressBlock(bytes, offset);
+                            offset += BLOCK_LEN;
+                        }
+                    }
+                    const take = Math.min(BLOCK_LEN - blockLen, bytes.length - offset);
+                    block.set(bytes.subarray(offset, offset + take), blockLen);
+                    blockLen += take;
+                    offset += take;
+                }
+                return this;
+            },
+
+            /**
+             * @param {number} [length=32] - 输出字节数（XOF，可大于 32）
+             * @returns {Uint8Array}
+             */
+            digest(length = 32) {
+                if (finished) {
+                    throw new Error('哈希已经完成，不能重复 digest()');
+                }
+                if (!Number.isInteger(length) || length < 1) {
+                    throw new Error('BLAKE3 输出长度必须是正整数');
+                }
+                finished = true;
+
+                // 根节点的输入：当前块的最后一块，或者自底向上合并栈中剩余的链值
+                let rootCV = new Uint32Array(cv);
+                let rootBlock = new Uint32Array(16);
+                readWords(rootBlock, block, 0);
+                let rootCounter = chunkCounter;
+                let rootLen = blockLen;
+                let rootFlags = baseFlags | startFlag() | CHUNK_END;
+                for (let i = stack.length - 1; i >= 0; i--) {
+                    compress(rootCV, rootBlock, rootCounter, rootLen, rootFlags, out);
+                    rootBlock = new Uint32Array(16);
+                    rootBlock.set(stack[i]);
+                    rootBlock.set(out.subarray(0, 8), 8);
+                    rootCV = new Uint32Array(key);
+                    rootCounter = 0;
+                    rootLen = BLOCK_LEN;
+                    rootFlags = baseFlags | PARENT;
+                }
+
+                // 以输出块序号为计数器重复压缩根节点，得到任意长度输出
+                const result = new Uint8Array(length);
+                for (let counter = 0, position = 0; position < length; counter++) {
+                    compress(rootCV, rootBlock, counter, rootLen, rootFlags | ROOT, out);
+                    for (let i = 0; i < 16 && position < length; i++) {
+                        for (let shift = 0; shift < 32 && position < length; shift += 8) {
+                            result[position++] = out[i] >>> shift;
+                        }
+                    }
+                }
+                return result;
+            }
+        };
+    }
+
+    root.REOT.blake3 = {
+        create,
+
+        /**
+         * 一次性计算 BLAKE3
+         * @param {string|ArrayBuffer|Uint8Array} data
+         * @param {Object} [options]
+         * @param {number} [options.length=32] - 输出字节数
+         * @param {string|Uint8Array} [options.key] - 32 字节密钥（keyed_hash 模式）
+         * @param {string|Uint8Array} [options.context] - 上下文字符串（derive_key 模式）
+         * @returns {Uint8Array}
+         */
+        hash(data, options = {}) {
+            return create(options).update(data).digest(options.length ?? 32);
+        },
+
+        /**
+         * derive_key 模式：由上下文字符串和密钥材料派生密钥
+         * @param {string|Uint8Array} context
+         * @param {string|Uint8Array} material
+         * @param {number} [length=32]
+         * @returns {Uint8Array}
+         */
+        deriveKey(context, material, length = 32) {
+            return create({ context }).update(material).digest(length);
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,775 @@
+/**
+ * CRC 核心
+ * @description 不依赖 DOM 的 Rocksoft 参数模型 CRC 实现（位宽 3–64），内置 CRC RevEng 目录中的全部命名算法，
+ *              并可以根据若干组消息/CRC 反推位宽、多项式、初始值、反转和输出异或参数（页面中在 Worker 里执行）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    const MIN_WIDTH = 3;
+    const MAX_WIDTH = 64;
+
+    // 公约式比目标位宽高出的次数不超过该值时，枚举因式得到候选多项式
+    const MAX_COFACTOR_DEGREE = 12;
+
+    // 初始值有多个解时最多枚举的个数（2 的幂次）
+    const MAX_INIT_DEGREE = 8;
+
+    // 恢复结果的最大数量
+    const MAX_RESULTS = 64;
+
+    const CHECK_INPUT = new TextEncoder().encode('123456789');
+
+    // 参数恢复 Worker 脚本
+    const WORKER_SCRIPT = 'tools/hashing/crc/crc-worker.js';
+
+    // CRC RevEng 目录（https://reveng.sourceforge.io/crc-catalogue/all.htm），位宽不超过 64 的全部算法
+    const CATALOGUE_SOURCE = [
+        ['width=3 poly=0x3 init=0x0 refin=false refout=false xorout=0x7 check=0x4 residue=0x2 name="CRC-3/GSM"'],
+        ['width=3 poly=0x3 init=0x7 refin=true refout=true xorout=0x0 check=0x6 residue=0x0 name="CRC-3/ROHC"'],
+        ['width=4 poly=0x3 init=0x0 refin=true refout=true xorout=0x0 check=0x7 residue=0x0 name="CRC-4/G-704"', ['CRC-4/ITU']],
+        ['width=4 poly=0x3 init=0xf refin=false refout=false xorout=0xf check=0xb residue=0x2 name="CRC-4/INTERLAKEN"'],
+        ['width=5 poly=0x09 init=0x09 refin=false refout=false xorout=0x00 check=0x00 residue=0x00 name="CRC-5/EPC-C1G2"', ['CRC-5/EPC']],
+        ['width=5 poly=0x15 init=0x00 refin=true refout=true xorout=0x00 check=0x07 residue=0x00 name="CRC-5/G-704"', ['CRC-5/ITU']],
+        ['width=5 poly=0x05 init=0x1f refin=true refout=true xorout=0x1f check=0x19 residue=0x06 name="CRC-5/USB"'],
+        ['width=6 poly=0x27 init=0x3f refin=false refout=false xorout=0x00 check=0x0d residue=0x00 name="CRC-6/CDMA2000-A"'],
+        ['width=6 poly=0x07 init=0x3f refin=false refout=false xorout=0x00 check=0x3b residue=0x00 name="CRC-6/CDMA2000-B"'],
+        ['width=6 poly=0x19 init=0x00 refin=true refout=true xorout=0x00 check=0x26 residue=0x00 name="CRC-6/DARC"'],
+        ['width=6 poly=0x03 init=0x00 refin=true refout=true xorout=0x00 check=0x06 residue=0x00 name="CRC-6/G-704"', ['CRC-6/ITU']],
+        ['width=6 poly=0x2f init=0x00 refin=false refout=false xorout=0x3f check=0x13 residue=0x3a name="CRC-6/GSM"'],
+        ['width=7 poly=0x09 init=0x00 refin=false refout=false xorout=0x00 check=0x75 residue=0x00 name="CRC-7/MMC"', ['CRC-7']],
+        ['width=7 poly=0x4f init=0x7f refin=true refout=true xorout=0x00 check=0x53 residue=0x00 name="CRC-7/ROHC"'],
+        ['width=7 poly=0x45 init=0x00 refin=false refout=false xorout=0x00 check=0x61 residue=0x00 name="CRC-7/UMTS"'],
+        ['width=8 poly=0x2f init=0xff refin=false refout=false xorout=0xff check=0xdf residue=0x42 name="CRC-8/AUTOSAR"'],
+        ['width=8 poly=0xa7 init=0x00 refin=true refout=true xorout=0x00 check=0x26 residue=0x00 name="CRC-8/BLUETOOTH"'],
+        ['width=8 poly=0x9b init=0xff refin=false refout=false xorout=0x00 check=0xda residue=0x00 name="CRC-8/CDMA2000"'],
+        ['width=8 poly=0x39 init=0x00 refin=true refout=true xorout=0x00 check=0x15 residue=0x00 name="CRC-8/DARC"'],
+        ['width=8 poly=0xd5 init=0x00 refin=false refout=false xorout=0x00 check=0xbc residue=0x00 name="CRC-8/DVB-S2"'],
+        ['width=8 poly=0x1d init=0x00 refin=false refout=false xorout=0x00 check=0x37 residue=0x00 name="CRC-8/GSM-A"'],
+        ['width=8 poly=0x49 init=0x00 refin=false refout=false xorout=0xff check=0x94 residue=0x53 name="CRC-8/GSM-B"'],
+        ['width=8 poly=0x1d init=0xff refin=false refout=false xorout=0x00 check=0xb4 residue=0x00 name="CRC-8/HITAG"'],
+        ['width=8 poly=0x07 init=0x00 refin=false refout=false xorout=0x55 check=0xa1 residue=0xac name="CRC-8/I-432-1"', ['CRC-8/ITU']],
+        ['width=8 poly=0x1d init=0xfd refin=false refout=false xorout=0x00 check=0x7e residue=0x00 name="CRC-8/I-CODE"'],
+        ['width=8 poly=0x9b init=0x00 refin=false refout=false xorout=0x00 check=0xea residue=0x00 name="CRC-8/LTE"'],
+        ['width=8 poly=0x31 init=0x00 refin=true refout=true xorout=0x00 check=0xa1 residue=0x00 name="CRC-8/MAXIM-DOW"', ['CRC-8/MAXIM', 'DOW-CRC']],
+        ['width=8 poly=0x1d init=0xc7 refin=false refout=false xorout=0x00 check=0x99 residue=0x00 name="CRC-8/MIFARE-MAD"'],
+        ['width=8 poly=0x31 init=0xff refin=false refout=false xorout=0x00 check=0xf7 residue=0x00 name="CRC-8/NRSC-5"'],
+        ['width=8 poly=0x2f init=0x00 refin=false refout=false xorout=0x00 check=0x3e residue=0x00 name="CRC-8/OPENSAFETY"'],
+        ['width=8 poly=0x07 init=0xff refin=true refout=true xorout=0x00 check=0xd0 residue=0x00 name="CRC-8/ROHC"'],
+        ['width=8 poly=0x1d init=0xff refin=false refout=false xorout=0xff check=0x4b residue=0xc4 name="CRC-8/SAE-J1850"'],
+        ['width=8 poly=0x07 init=0x00 refin=false refout=false xorout=0x00 check=0xf4 residue=0x00 name="CRC-8/SMBUS"', ['CRC-8']],
+        ['width=8 poly=0x1d init=0xff refin=true refout=true xorout=0x00 check=0x97 residue=0x00 name="CRC-8/TECH-3250"', ['CRC-8/AES', 'CRC-8/EBU']],
+        ['width=8 poly=0x9b init=0x00 refin=true refout=true xorout=0x00 check=0x25 residue=0x00 name="CRC-8/WCDMA"'],
+        ['width=10 poly=0x233 init=0x000 refin=false refout=false xorout=0x000 check=0x199 residue=0x000 name="CRC-10/ATM"', ['CRC-10', 'CRC-10/I-610']],
+        ['width=10 poly=0x3d9 init=0x3ff refin=false refout=false xorout=0x000 check=0x233 residue=0x000 name="CRC-10/CDMA2000"'],
+        ['width=10 poly=0x175 init=0x000 refin=false refout=false xorout=0x3ff check=0x12a residue=0x0c6 name="CRC-10/GSM"'],
+        ['width=11 poly=0x385 init=0x01a refin=false refout=false xorout=0x000 check=0x5a3 residue=0x000 name="CRC-11/FLEXRAY"', ['CRC-11']],
+        ['width=11 poly=0x307 init=0x000 refin=false refout=false xorout=0x000 check=0x061 residue=0x000 name="CRC-11/UMTS"'],
+        ['width=12 poly=0xf13 init=0xfff refin=false refout=false xorout=0x000 check=0xd4d residue=0x000 name="CRC-12/CDMA2000"'],
+        ['width=12 poly=0x80f init=0x000 refin=false refout=false xorout=0x000 check=0xf5b residue=0x000 name="CRC-12/DECT"', ['X-CRC-12']],
+        ['width=12 poly=0xd31 init=0x000 refin=false refout=false xorout=0xfff check=0xb34 residue=0x178 name="CRC-12/GSM"'],
+        ['width=12 poly=0x80f init=0x000 refin=false refout=true xorout=0x000 check=0xdaf residue=0x000 name="CRC-12/UMTS"', ['CRC-12/3GPP']],
+        ['width=13 poly=0x1cf5 init=0x0000 refin=false refout=false xorout=0x0000 check=0x04fa residue=0x0000 name="CRC-13/BBC"'],
+        ['width=14 poly=0x0805 init=0x0000 refin=true refout=true xorout=0x0000 check=0x082d residue=0x0000 name="CRC-14/DARC"'],
+        ['width=14 poly=0x202d init=0x0000 refin=false refout=false xorout=0x3fff check=0x30ae residue=0x031e name="CRC-14/GSM"'],
+        ['width=15 poly=0x4599 init=0x0000 refin=false refout=false xorout=0x0000 check=0x059e residue=0x0000 name="CRC-15/CAN"', ['CRC-15']],
+        ['width=15 poly=0x6815 init=0x0000 refin=false refout=false xorout=0x0001 check=0x2566 residue=0x6815 name="CRC-15/MPT1327"'],
+        ['width=16 poly=0x8005 init=0x0000 refin=true refout=true xorout=0x0000 check=0xbb3d residue=0x0000 name="CRC-16/ARC"', ['ARC', 'CRC-16', 'CRC-16/LHA', 'CRC-IBM']],
+        ['width=16 poly=0xc867 init=0xffff refin=false refout=false xorout=0x0000 check=0x4c06 residue=0x0000 name="CRC-16/CDMA2000"'],
+        ['width=16 poly=0x8005 init=0xffff refin=false refout=false xorout=0x0000 check=0xaee7 residue=0x0000 name="CRC-16/CMS"'],
+        ['width=16 poly=0x8005 init=0x800d refin=false refout=false xorout=0x0000 check=0x9ecf residue=0x0000 name="CRC-16/DDS-110"'],
+        ['width=16 poly=0x0589 init=0x0000 refin=false refout=false xorout=0x0001 check=0x007e residue=0x0589 name="CRC-16/DECT-R"', ['R-CRC-16']],
+        ['width=16 poly=0x0589 init=0x0000 refin=false refout=false xorout=0x0000 check=0x007f residue=0x0000 name="CRC-16/DECT-X"', ['X-CRC-16']],
+        ['width=16 poly=0x3d65 init=0x0000 refin=true refout=true xorout=0xffff check=0xea82 residue=0x66c5 name="CRC-16/DNP"'],
+        ['width=16 poly=0x3d65 init=0x0000 refin=false refout=false xorout=0xffff check=0xc2b7 residue=0xa366 name="CRC-16/EN-13757"'],
+        ['width=16 poly=0x1021 init=0xffff refin=false refout=false xorout=0xffff check=0xd64e residue=0x1d0f name="CRC-16/GENIBUS"', ['CRC-16/DARC', 'CRC-16/EPC', 'CRC-16/EPC-C1G2', 'CRC-16/I-CODE']],
+        ['width=16 poly=0x1021 init=0x0000 refin=false refout=false xorout=0xffff check=0xce3c residue=0x1d0f name="CRC-16/GSM"'],
+        ['width=16 poly=0x1021 init=0xffff refin=false refout=false xorout=0x0000 check=0x29b1 residue=0x0000 name="CRC-16/IBM-3740"', ['CRC-16/AUTOSAR', 'CRC-16/CCITT-FALSE']],
+        ['width=16 poly=0x1021 init=0xffff refin=true refout=true xorout=0xffff check=0x906e residue=0xf0b8 name="CRC-16/IBM-SDLC"', ['CRC-16/ISO-HDLC', 'CRC-16/ISO-IEC-14443-3-B', 'CRC-16/X-25', 'CRC-B', 'X-25']],
+        ['width=16 poly=0x1021 init=0xc6c6 refin=true refout=true xorout=0x0000 check=0xbf05 residue=0x0000 name="CRC-16/ISO-IEC-14443-3-A"', ['CRC-A']],
+        ['width=16 poly=0x1021 init=0x0000 refin=true refout=true xorout=0x0000 check=0x2189 residue=0x0000 name="CRC-16/KERMIT"', ['CRC-16/BLUETOOTH', 'CRC-16/CCITT', 'CRC-16/CCITT-TRUE', 'CRC-16/V-41-LSB', 'CRC-CCITT', 'KERMIT']],
+        ['width=16 poly=0x6f63 init=0x0000 refin=false refout=false xorout=0x0000 check=0xbdf4 residue=0x0000 name="CRC-16/LJ1200"'],
+        ['width=16 poly=0x5935 init=0xffff refin=false refout=false xorout=0x0000 check=0x772b residue=0x0000 name="CRC-16/M17"'],
+        ['width=16 poly=0x8005 init=0x0000 refin=true refout=true xorout=0xffff check=0x44c2 residue=0xb001 name="CRC-16/MAXIM-DOW"', ['CRC-16/MAXIM']],
+        ['width=16 poly=0x1021 init=0xffff refin=true refout=true xorout=0x0000 check=0x6f91 residue=0x0000 name="CRC-16/MCRF4XX"'],
+        ['width=16 poly=0x8005 init=0xffff refin=true refout=true xorout=0x0000 check=0x4b37 residue=0x0000 name="CRC-16/MODBUS"', ['MODBUS']],
+        ['width=16 poly=0x080b init=0xffff refin=true refout=true xorout=0x0000 check=0xa066 residue=0x0000 name="CRC-16/NRSC-5"'],
+        ['width=16 poly=0x5935 init=0x0000 refin=false refout=false xorout=0x0000 check=0x5d38 residue=0x0000 name="CRC-16/OPENSAFETY-A"'],
+        ['width=16 poly=0x755b init=0x0000 refin=false refout=false xorout=0x0000 check=0x20fe residue=0x0000 name="CRC-16/OPENSAFETY-B"'],
+        ['width=16 poly=0x1dcf init=0xffff refin=false refout=false xorout=0xffff check=0xa819 residue=0xe394 name="CRC-16/PROFIBUS"', ['CRC-16/IEC-61158-2']],
+        ['width=16 poly=0x1021 init=0xb2aa refin=true refout=true xorout=0x0000 check=0x63d0 residue=0x0000 name="CRC-16/RIELLO"'],
+        ['width=16 poly=0x1021 init=0x1d0f refin=false refout=false xorout=0x0000 check=0xe5cc residue=0x0000 name="CRC-16/SPI-FUJITSU"', ['CRC-16/AUG-CCITT']],
+        ['width=16 poly=0x8bb7 init=0x0000 refin=false refout=false xorout=0x0000 check=0xd0db residue=0x0000 name="CRC-16/T10-DIF"'],
+        ['width=16 poly=0xa097 init=0x0000 refin=false refout=false xorout=0x0000 check=0x0fb3 residue=0x0000 name="CRC-16/TELEDISK"'],
+        ['width=16 poly=0x1021 init=0x89ec refin=true refout=true xorout=0x0000 check=0x26b1 residue=0x0000 name="CRC-16/TMS37157"'],
+        ['width=16 poly=0x8005 init=0x0000 refin=false refout=false xorout=0x0000 check=0xfee8 residue=0x0000 name="CRC-16/UMTS"', ['CRC-16/BUYPASS', 'CRC-16/VERIFONE']],
+        ['width=16 poly=0x8005 init=0xffff refin=true refout=true xorout=0xffff check=0xb4c8 residue=0xb001 name="CRC-16/USB"'],
+        ['width=16 poly=0x1021 init=0x0000 refin=false refout=false xorout=0x0000 check=0x31c3 residue=0x0000 name="CRC-16/XMODEM"', ['CRC-16/ACORN', 'CRC-16/LTE', 'CRC-16/V-41-MSB', 'XMODEM', 'ZMODEM']],
+        ['width=17 poly=0x1685b init=0x00000 refin=false refout=false xorout=0x00000 check=0x04f03 residue=0x00000 name="CRC-17/CAN-FD"'],
+        ['width=21 poly=0x102899 init=0x000000 refin=false refout=false xorout=0x000000 check=0x0ed841 residue=0x000000 name="CRC-21/CAN-FD"'],
+        ['width=24 poly=0x00065b init=0x555555 refin=true refout=true xorout=0x000000 check=0xc25a56 residue=0x000000 name="CRC-24/BLE"'],
+        ['width=24 poly=0x5d6dcb init=0xfedcba refin=false refout=false xorout=0x000000 check=0x7979bd residue=0x000000 name="CRC-24/FLEXRAY-A"'],
+        ['width=24 poly=0x5d6dcb init=0xabcdef refin=false refout=false xorout=0x000000 check=0x1f23b8 residue=0x000000 name="CRC-24/FLEXRAY-B"'],
+        ['width=24 poly=0x328b63 init=0xffffff refin=false refout=false xorout=0xffffff check=0xb4f3e6 residue=0x144e63 name="CRC-24/INTERLAKEN"'],
+        ['width=24 poly=0x864cfb init=0x000000 refin=false refout=false xorout=0x000000 check=0xcde703 residue=0x000000 name="CRC-24/LTE-A"'],
+        ['width=24 poly=0x800063 init=0x000000 refin=false refout=false xorout=0x000000 check=0x23ef52 residue=0x000000 name="CRC-24/LTE-B"'],
+        ['width=24 poly=0x864cfb init=0xb704ce refin=false refout=false xorout=0x000000 check=0x21cf02 residue=0x000000 name="CRC-24/OPENPGP"', ['CRC-24']],
+        ['width=24 poly=0x800063 init=0xffffff refin=false refout=false xorout=0xffffff check=0x200fa5 residue=0x800fe3 name="CRC-24/OS-9"'],
+        ['width=30 poly=0x2030b9c7 init=0x3fffffff refin=false refout=false xorout=0x3fffffff check=0x04c34abf residue=0x34efa55a name="CRC-30/CDMA"'],
+        ['width=31 poly=0x04c11db7 init=0x7fffffff refin=false refout=false xorout=0x7fffffff check=0x0ce9e46c residue=0x4eaf26f1 name="CRC-31/PHILIPS"'],
+        ['width=32 poly=0x814141ab init=0x00000000 refin=false refout=false xorout=0x00000000 check=0x3010bf7f residue=0x00000000 name="CRC-32/AIXM"', ['CRC-32Q']],
+        ['width=32 poly=0xf4acfb13 init=0xffffffff refin=true refout=true xorout=0xffffffff check=0x1697d06a residue=0x904cddbf name="CRC-32/AUTOSAR"'],
+        ['width=32 poly=0xa833982b init=0xffffffff refin=true refout=true xorout=0xffffffff check=0x87315576 residue=0x45270551 name="CRC-32/BASE91-D"', ['CRC-32D']],
+        ['width=32 poly=0x04c11db7 init=0xffffffff refin=false refout=false xorout=0xffffffff check=0xfc891918 residue=0xc704dd7b name="CRC-32/BZIP2"', ['CRC-32/AAL5', 'CRC-32/DECT-B', 'B-CRC-32']],
+        ['width=32 poly=0x8001801b init=0x00000000 refin=true refout=true xorout=0x00000000 check=0x6ec2edc4 residue=0x00000000 name="CRC-32/CD-ROM-EDC"'],
+        ['width=32 poly=0x04c11db7 init=0x00000000 refin=false refout=false xorout=0xffffffff check=0x765e7680 residue=0xc704dd7b name="CRC-32/CKSUM"', ['CKSUM', 'CRC-32/POSIX']],
+        ['width=32 poly=0x1edc6f41 init=0xffffffff refin=true refout=true xorout=0xffffffff check=0xe3069283 residue=0xb798b438 name="CRC-32/ISCSI"', ['CRC-32/BASE91-C', 'CRC-32/CASTAGNOLI', 'CRC-32/INTERLAKEN', 'CRC-32C', 'CRC-32/NVME']],
+        ['width=32 poly=0x04c11db7 init=0xffffffff refin=true refout=true xorout=0xffffffff check=0xcbf43926 residue=0xdebb20e3 name="CRC-32/ISO-HDLC"', ['CRC-32', 'CRC-32/ADCCP', 'CRC-32/V-42', 'CRC-32/XZ', 'PKZIP']],
+        ['width=32 poly=0x04c11db7 init=0xffffffff refin=true refout=true xorout=0x00000000 check=0x340bc6d9 residue=0x00000000 name="CRC-32/JAMCRC"', ['JAMCRC']],
+        ['width=32 poly=0x741b8cd7 init=0xffffffff refin=true refout=true xorout=0x00000000 check=0xd2c22f51 residue=0x00000000 name="CRC-32/MEF"'],
+        ['width=32 poly=0x04c11db7 init=0xffffffff refin=false refout=false xorout=0x00000000 check=0x0376e6e7 residue=0x00000000 name="CRC-32/MPEG-2"'],
+        ['width=32 poly=0x000000af init=0x00000000 refin=false refout=false xorout=0x00000000 check=0xbd0be338 residue=0x00000000 name="CRC-32/XFER"', ['XFER']],
+        ['width=40 poly=0x0004820009 init=0x0000000000 refin=false refout=false xorout=0xffffffffff check=0xd4164fc646 residue=0xc4ff8071ff name="CRC-40/GSM"'],
+        ['width=64 poly=0x42f0e1eba9ea3693 init=0x0000000000000000 refin=false refout=false xorout=0x0000000000000000 check=0x6c40df5f0b497347 residue=0x0000000000000000 name="CRC-64/ECMA-182"', ['CRC-64']],
+        ['width=64 poly=0x000000000000001b init=0xffffffffffffffff refin=true refout=true xorout=0xffffffffffffffff check=0xb90956c775a41001 residue=0x5300000000000000 name="CRC-64/GO-ISO"'],
+        ['width=64 poly=0x259c84cba6426349 init=0xffffffffffffffff refin=true refout=true xorout=0x0000000000000000 check=0x75d4b74f024eceea residue=0x0000000000000000 name="CRC-64/MS"'],
+        ['width=64 poly=0xad93d23594c93659 init=0xffffffffffffffff refin=true refout=true xorout=0xffffffffffffffff check=0xae8b14860a799888 residue=0xf310303b2b6f6e42 name="CRC-64/NVME"'],
+        ['width=64 poly=0xad93d23594c935a9 init=0x0000000000000000 refin=true refout=true xorout=0x0000000000000000 check=0xe9c6d914c4b8d9ca residue=0x0000000000000000 name="CRC-64/REDIS"'],
+        ['width=64 poly=0x42f0e1eba9ea3693 init=0xffffffffffffffff refin=false refout=false xorout=0xffffffffffffffff check=0x62ec59e3f1a4f00a residue=0xfcacbebd5931a992 name="CRC-64/WE"'],
+        ['width=64 poly=0x42f0e1eba9ea3693 init=0xffffffffffffffff refin=true refout=true xorout=0xffffffffffffffff check=0x995dc9bbdf1939fa residue=0x49958c9abd7d353f name="CRC-64/XZ"', ['CRC-64/GO-ECMA']]
+    ];
+
+    // 字节位序反转表
+    const REFLECT8 = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+        let value = 0;
+        for (let bit = 0; bit < 8; bit++) {
+            value |= ((i >> bit) & 1) << (7 - bit);
+        }
+        REFLECT8[i] = value;
+    }
+
+    // 查找表缓存（按寄存器宽度和多项式）
+    const tableCache = new Map();
+
+    // ========== 基础函数 ==========
+
+    /**
+     * 反转低 width 位的位序
+     * @param {bigint} value
+     * @param {number} width
+     * @returns {bigint}
+     */
+    function reflect(value, width) {
+        let result = 0n;
+        for (let i = 0; i < width; i++) {
+            result = (result << 1n) | ((value >> BigInt(i)) & 1n);
+        }
+        return result;
+    }
+
+    /**
+     * width 位全 1 掩码
+     * @param {number} width
+     * @returns {bigint}
+     */
+    function maskOf(width) {
+        return (1n << BigInt(width)) - 1n;
+    }
+
+    /**
+     * 数值、十六进制字符串统一转换为 BigInt
+     * @param {bigint|number|string} value
+     * @param {string} field - 参数名（用于错误信息）
+     * @returns {bigint}
+     */
+    function toBigInt(value, field) {
+        if (typeof value === 'bigint') {
+            return value;
+        }
+        if (typeof value === 'number' && Number.isSafeInteger(value) && value >= 0) {
+            return BigInt(value);
+        }
+        if (typeof value === 'string') {
+            const text = value.trim();
+            if (/^(0x)?[0-9a-f]+$/i.test(text)) {
+                return BigInt(/^0x/i.test(text) ? text : '0x' + text);
+            }
+        }
+        throw new Error(`无效的 ${field} 参数: ${value}`);
+    }
+
+    /**
+     * 校验并规范化 CRC 参数模型，数值参数统一为 BigInt
+     * @param {Object} model - { width, poly, init, refin, refout, xorout, name? }
+     * @returns {Object}
+     */
+    function normalizeModel(model) {
+        const width = Number(model.width);
+        if (!Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
+            throw new Error(`CRC 位宽必须是 ${MIN_WIDTH}–${MAX_WIDTH} 之间的整数`);
+        }
+        const mask = maskOf(width);
+        const normalized = { width, refin: Boolean(model.refin), refout: Boolean(model.refout) };
+        for (const field of ['poly', 'init', 'xorout']) {
+            const value = toBigInt(model[field] ?? 0n, field);
+            if (value > mask) {
+                throw new Error(`${field} 超出 ${width} 位`);
+            }
+            normalized[field] = value;
+        }
+        if (model.name) {
+            normalized.name = model.name;
+        }
+        return normalized;
+    }
+
+    /**
+     * 生成按字节处理的查找表
+     * 位宽小于 8 时把寄存器和多项式左移到 8 位再计算
+     * @param {number} registerWidth - 寄存器宽度（至少 8）
+     * @param {bigint} poly - 已对齐到寄存器宽度的多项式
+     * @returns {Uint32Array|bigint[]} - 寄存器不超过 32 位时为 Uint32Array
+     */
+    function getTable(registerWidth, poly) {
+        const key = registerWidth + ':' + poly.toString(16);
+        if (tableCache.has(key)) {
+            return tableCache.get(key);
+        }
+        const mask = maskOf(registerWidth);
+        const topBit = 1n << BigInt(registerWidth - 1);
+        const shift = BigInt(registerWidth - 8);
+        const table = [];
+        for (let i = 0; i < 256; i++) {
+            let crc = BigInt(i) << shift;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & topBit ? ((crc << 1n) ^ poly) & mask : (crc << 1n) & mask;
+            }
+            table.push(crc);
+        }
+        const result = registerWidth <= 32 ? Uint32Array.from(table, Number) : table;
+        tableCache.set(key, result);
+        return result;
+    }
+
+    /**
+     * 处理数据，返回输出反转和异或之前的寄存器值
+     * @param {Object} model - 规范化后的参数模型
+     * @param {bigint} register - 当前寄存器值
+     * @param {Uint8Array} data
+     * @returns {bigint}
+     */
+    function feed(model, register, data) {
+        const registerWidth = Math.max(model.width, 8);
+        const shift = BigInt(registerWidth - model.width);
+        const table = getTable(registerWidth, model.poly << shift);
+        const top = registerWidth - 8;
+
+        if (registerWidth <= 32) {
+            const mask = registerWidth === 32 ? 0xFFFFFFFF : 2 ** registerWidth - 1;
+            let crc = Number(register << shift);
+            for (let i = 0; i < data.length; i++) {
+                const byte = model.refin ? REFLECT8[data[i]] : data[i];
+                crc = (((crc << 8) ^ table[((crc >>> top) ^ byte) & 0xFF]) & mask) >>> 0;
+            }
+            return BigInt(crc) >> shift;
+        }
+
+        const mask = maskOf(registerWidth);
+        const topShift = BigInt(top);
+        let crc = register << shift;
+        for (let i = 0; i < data.length; i++) {
+            const byte = model.refin ? REFLECT8[data[i]] : data[i];
+            crc = ((crc << 8n) & mask) ^ table[Number(crc >> topShift) ^ byte];
+        }
+        return crc >> shift;
+    }
+
+    /**
+     * 寄存器值经过输出反转和异或得到 CRC
+     * @param {Object} model
+     * @param {bigint} register
+     * @returns {bigint}
+     */
+    function finalize(model, register) {
+        return (model.refout ? reflect(register, model.width) : register) ^ model.xorout;
+    }
+
+    /**
+     * 创建增量计算对象
+     * @param {Object|string} model - 参数模型或目录中的算法名称
+     * @returns {{model: Object, update: function(Uint8Array): Object, digest: function(): bigint}}
+     */
+    function create(model) {
+        const params = typeof model === 'string' ? find(model) : normalizeModel(model);
+        if (!params) {
+            throw new Error(`未知的 CRC 算法: ${model}`);
+        }
+        let register = params.init;
+        return {
+            model: params,
+            update(data) {
+                register = feed(params, register, data);
+                return this;
+            },
+            digest() {
+                return finalize(params, register);
+            }
+        };
+    }
+
+    /**
+     * 一次性计算 CRC
+     * @param {Object|string} model - 参数模型或目录中的算法名称
+     * @param {Uint8Array} data
+     * @returns {bigint}
+     */
+    function compute(model, data) {
+        return create(model).update(data).digest();
+    }
+
+    /**
+     * 按位宽输出补零的十六进制
+     * @param {bigint} value
+     * @param {number} width
+     * @returns {string}
+     */
+    function toHex(value, width) {
+        return value.toString(16).padStart(Math.ceil(width / 4), '0');
+    }
+
+    // ========== 参数字符串 ==========
+
+    /**
+     * 解析 RevEng 格式的参数字符串，例如
+     * width=16 poly=0x1021 init=0xffff refin=false refout=false xorout=0x0000 name="CRC-16/IBM-3740"
+     * @param {string} text
+     * @returns {Object} - 规范化后的参数模型，附带 check、residue（若给出）
+     */
+    function parseModel(text) {
+        const fields = {};
+        const pattern = /(\w+)\s*=\s*("[^"]*"|\S+)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            fields[match[1].toLowerCase()] = match[2].replace(/^"|"$/g, '');
+        }
+        const missing = ['width', 'poly'].filter(field => fields[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`参数字符串缺少 ${missing.join('、')}`);
+        }
+        const bool = (value, field) => {
+            if (value === undefined) {
+                return false;
+            }
+            if (!/^(true|false)$/i.test(value)) {
+                throw new Error(`${field} 必须是 true 或 false`);
+            }
+            return value.toLowerCase() === 'true';
+        };
+        const model = normalizeModel({
+            width: Number(fields.width),
+            poly: fields.poly,
+            init: fields.init ?? 0n,
+            refin: bool(fields.refin, 'refin'),
+            refout: bool(fields.refout, 'refout'),
+            xorout: fields.xorout ?? 0n,
+            name: fields.name
+        });
+        for (const field of ['check', 'residue']) {
+            if (fields[field] !== undefined) {
+                model[field] = toBigInt(fields[field], field);
+            }
+        }
+        return model;
+    }
+
+    /**
+     * 输出 RevEng 格式的参数字符串
+     * @param {Object} model
+     * @returns {string}
+     */
+    function formatModel(model) {
+        const params = normalizeModel(model);
+        const hex = value => '0x' + toHex(value, params.width);
+        const parts = [
+            `width=${params.width}`,
+            `poly=${hex(params.poly)}`,
+            `init=${hex(params.init)}`,
+            `refin=${params.refin}`,
+            `refout=${params.refout}`,
+            `xorout=${hex(params.xorout)}`,
+            `check=${hex(compute(params, CHECK_INPUT))}`
+        ];
+        if (params.name) {
+            parts.push(`name="${params.name}"`);
+        }
+        return parts.join(' ');
+    }
+
+    // ========== 算法目录 ==========
+
+    const CATALOGUE = CATALOGUE_SOURCE.map(([line, aliases = []]) => Object.assign(parseModel(line), { aliases }));
+
+    /**
+     * 两个参数模型是否相同
+     */
+    function sameModel(a, b) {
+        return a.width === b.width && a.poly === b.poly && a.init === b.init &&
+            a.refin === b.refin && a.refout === b.refout && a.xorout === b.xorout;
+    }
+
+    /**
+     * 按名称或别名查找目录中的算法（不区分大小写）
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    function find(name) {
+        const key = String(name).trim().toUpperCase();
+        return CATALOGUE.find(model => model.name.toUpperCase() === key ||
+            model.aliases.some(alias => alias.toUpperCase() === key)) || null;
+    }
+
+    /**
+     * 查找参数完全相同的目录算法
+     * @param {Object} model
+     * @returns {Object|null}
+     */
+    function lookup(model) {
+        const params = normalizeModel(model);
+        return CATALOGUE.find(entry => sameModel(entry, params)) || null;
+    }
+
+    /**
+     * 找出对所有样本都成立的目录算法
+     * @param {Array<{data: Uint8Array, crc: bigint}>} samples
+     * @returns {Object[]}
+     */
+    function identify(samples) {
+        const maxBits = Math.max(...samples.map(sample => bitLength(sample.crc)));
+        return CATALOGUE.filter(model => model.width >= maxBits &&
+            samples.every(sample => compute(model, sample.data) === sample.crc));
+    }
+
+    // ========== GF(2) 多项式运算 ==========
+    // 多项式用 BigInt 表示，第 i 位是 x^i 的系数
+
+    function bitLength(value) {
+        return value === 0n ? 0 : value.toString(2).length;
+    }
+
+    /**
+     * 多项式带余除法
+     * @param {bigint} a
+     * @param {bigint} b - 非零
+     * @returns {{quotient: bigint, remainder: bigint}}
+     */
+    function polyDivmod(a, b) {
+        const degreeB = bitLength(b) - 1;
+        let quotient = 0n;
+        for (let i = bitLength(a) - 1; i >= degreeB; i--) {
+            if ((a >> BigInt(i)) & 1n) {
+                const shift = BigInt(i - degreeB);
+                a ^= b << shift;
+                quotient |= 1n << shift;
+            }
+        }
+        return { quotient, remainder: a };
+    }
+
+    function polyMod(a, b) {
+        return polyDivmod(a, b).remainder;
+    }
+
+    function polyMul(a, b) {
+        let result = 0n;
+        for (let i = 0n; b >> i; i++) {
+            if ((b >> i) & 1n) {
+                result ^= a << i;
+            }
+        }
+        return result;
+    }
+
+    function polyGcd(a, b) {
+        while (b !== 0n) {
+            [a, b] = [b, polyMod(a, b)];
+        }
+        return a;
+    }
+
+    /**
+     * 解同余式 a·x ≡ b (mod m)
+     * @returns {bigint[]} - 所有次数低于 m 的解；解的个数超过 2^MAX_INIT_DEGREE 时返回 null
+     */
+    function polySolve(a, b, m) {
+        // 扩展欧几里得：s·a ≡ g (mod m)
+        let [r0, r1] = [m, polyMod(a, m)];
+        let [s0, s1] = [0n, 1n];
+        while (r1 !== 0n) {
+            const { quotient, remainder } = polyDivmod(r0, r1);
+            [r0, r1] = [r1, remainder];
+            [s0, s1] = [s1, s0 ^ polyMul(quotient, s1)];
+        }
+        const { quotient: scaled, remainder } = polyDivmod(b, r0);
+        if (remainder !== 0n) {
+            return [];
+        }
+        const extraDegree = bitLength(r0) - 1;
+        if (extraDegree > MAX_INIT_DEGREE) {
+            return null;
+        }
+        const base = polyMod(polyMul(s0, scaled), m);
+        const step = polyDivmod(m, r0).quotient;
+        const solutions = [];
+        for (let t = 0n; t < 1n << BigInt(extraDegree); t++) {
+            solutions.push(base ^ polyMul(t, step));
+        }
+        return solutions;
+    }
+
+    // ========== 参数恢复 ==========
+
+    /**
+     * 由字节序列构造消息多项式（按寄存器移入的顺序，输入反转时逐字节反转）
+     */
+    function messagePoly(data, refin) {
+        let hex = '0';
+        for (let i = 0; i < data.length; i++) {
+            hex += (refin ? REFLECT8[data[i]] : data[i]).toString(16).padStart(2, '0');
+        }
+        return BigInt('0x' + hex);
+    }
+
+    /**
+     * 求候选生成多项式（含 x^width 项）
+     * 在直接算法中 crc ⊕ xorout ≡ init·x^n + M(x)·x^width (mod P)，n 为消息位数。
+     * 长度相同的两组样本相减即可消去 init 和 xorout；长度不同时再交叉相乘消去 init，
+     * 得到的多项式都能被 P 整除，它们的最大公因式中次数为 width 的因式就是候选多项式
+     * @returns {{polys: bigint[], incomplete: boolean}}
+     */
+    function candidatePolys(samples, width) {
+        const w = BigInt(width);
+        const [first, ...rest] = samples;
+        const constraints = [];
+        let pivot = null;
+        for (const sample of rest) {
+            const a = (first.crc ^ sample.crc) ^ ((first.message ^ sample.message) << w);
+            if (sample.bits === first.bits) {
+                constraints.push(a);
+                continue;
+            }
+            const b = (1n << BigInt(first.bits)) ^ (1n << BigInt(sample.bits));
+            if (pivot) {
+                // 先约去两个 b 的公因式（x 的幂和 x^k + 1 形式的因式），否则它们会留在最大公因式里
+                const common = polyGcd(b, pivot.b);
+                constraints.push(polyMul(a, polyDivmod(pivot.b, common).quotient) ^
+                    polyMul(pivot.a, polyDivmod(b, common).quotient));
+            } else {
+                pivot = { a, b };
+            }
+        }
+
+        let gcd = 0n;
+        for (const constraint of constraints) {
+            gcd = polyGcd(gcd, constraint);
+        }
+        // 没有约束或样本两两相同
+        if (gcd === 0n) {
+            return { polys: [], incomplete: true };
+        }
+        // 生成多项式的常数项为 1，去掉因式 x
+        while (!(gcd & 1n)) {
+            gcd >>= 1n;
+        }
+
+        const extra = bitLength(gcd) - 1 - width;
+        if (extra < 0) {
+            return { polys: [], incomplete: false };
+        }
+        if (extra > MAX_COFACTOR_DEGREE) {
+            return { polys: [], incomplete: true };
+        }
+        if (extra === 0) {
+            return { polys: [gcd], incomplete: false };
+        }
+        const polys = [];
+        for (let cofactor = 1n << BigInt(extra); cofactor < 2n << BigInt(extra); cofactor++) {
+            const { quotient, remainder } = polyDivmod(gcd, cofactor);
+            if (remainder === 0n) {
+                polys.push(quotient);
+            }
+        }
+        return { polys, incomplete: false };
+    }
+
+    /**
+     * 已知多项式时求 init 和 xorout，并验证所有样本
+     * @returns {{models: Object[], ambiguous: boolean, incomplete: boolean}}
+     */
+    function solveInit(samples, width, poly, refin, refout) {
+        const model = { width, poly, init: 0n, refin, refout: false, xorout: 0n };
+        const fullPoly = poly | (1n << BigInt(width));
+        // r = crc ⊕ (M·x^width mod P) = init·x^n ⊕ xorout；z = x^n mod P
+        const rows = samples.map(sample => ({
+            r: sample.crc ^ feed(model, 0n, sample.data),
+            z: feed(model, 1n, new Uint8Array(sample.data.length))
+        }));
+
+        const other = rows.find(row => row.z !== rows[0].z);
+        let pairs;
+        let ambiguous = false;
+        if (other) {
+            const inits = polySolve(rows[0].z ^ other.z, rows[0].r ^ other.r, fullPoly);
+            if (inits === null) {
+                return { models: [], ambiguous: false, incomplete: true };
+            }
+            pairs = inits.map(init => [init, rows[0].r ^ polyMod(polyMul(init, rows[0].z), fullPoly)]);
+        } else {
+            // 所有样本长度相同时 init 和 xorout 无法分开，按常见的 xorout 取值求 init
+            ambiguous = true;
+            pairs = [];
+            for (const xorout of [0n, maskOf(width)]) {
+                for (const init of polySolve(rows[0].z, rows[0].r ^ xorout, fullPoly) || []) {
+                    pairs.push([init, xorout]);
+                }
+            }
+        }
+
+        const models = pairs
+            .filter(([init, xorout]) => rows.every(row => (polyMod(polyMul(init, row.z), fullPoly) ^ xorout) === row.r))
+            .map(([init, xorout]) => ({ width, poly, init, refin, refout, xorout: refout ? reflect(xorout, width) : xorout }));
+        return { models, ambiguous, incomplete: false };
+    }
+
+    /**
+     * 根据消息/CRC 样本恢复 CRC 参数
+     * @param {Array<{data: Uint8Array, crc: bigint|number|string}>} samples
+     * @param {Object} [options]
+     * @param {number|number[]} [options.width] - 位宽或候选位宽；省略时按 CRC 值的十六进制位数推测
+     * @param {boolean} [options.refin] - 只尝试指定的输入反转
+     * @param {boolean} [options.refout] - 只尝试指定的输出反转
+     * @param {Function} [options.onProgress] - 每尝试完一组位宽和反转参数后回调，参数为 {done, total}
+     * @returns {{catalogue: Object[], models: Object[], ambiguous: boolean, incomplete: boolean}}
+     *          catalogue 为匹配的目录算法；models 为求得的参数（name 为对应的目录算法名或 null），
+     *          ambiguous 表示样本长度相同、init/xorout 只按常见取值求解，incomplete 表示样本不足以确定多项式
+     */
+    function recover(samples, options = {}) {
+        if (!Array.isArray(samples) || samples.length < 2) {
+            throw new Error('至少需要两组消息/CRC 样本');
+        }
+        const parsed = samples.map(sample => ({ data: sample.data, crc: toBigInt(sample.crc, 'CRC') }));
+        const maxBits = Math.max(...parsed.map(sample => bitLength(sample.crc)));
+
+        let widths = options.width === undefined || options.width === null ? null : [].concat(options.width);
+        if (!widths) {
+            const top = Math.max(4, Math.ceil(maxBits / 4) * 4);
+            widths = [top - 3, top - 2, top - 1, top];
+        }
+        widths = widths.filter(width => width >= Math.max(MIN_WIDTH, maxBits) && width <= MAX_WIDTH);
+        if (widths.length === 0) {
+            throw new Error(`CRC 位宽必须是 ${MIN_WIDTH}–${MAX_WIDTH} 之间且能容纳样本中的 CRC 值`);
+        }
+
+        const refins = options.refin === undefined ? [false, true] : [options.refin];
+        const refouts = options.refout === undefined ? [false, true] : [options.refout];
+        const models = [];
+        const total = widths.length * refins.length * refouts.length;
+        let done = 0;
+        let ambiguous = false;
+        let incomplete = false;
+
+        for (const width of widths) {
+            for (const refin of refins) {
+                const messages = parsed.map(sample => messagePoly(sample.data, refin));
+                for (const refout of refouts) {
+                    const prepared = parsed.map((sample, i) => ({
+                        data: sample.data,
+                        crc: refout ? reflect(sample.crc, width) : sample.crc,
+                        message: messages[i],
+                        bits: sample.data.length * 8
+                    }));
+                    const candidates = candidatePolys(prepared, width);
+                    incomplete = incomplete || candidates.incomplete;
+                    for (const fullPoly of candidates.polys) {
+                        // 只接受常数项为 1 的多项式
+                        if (!(fullPoly & 1n)) {
+                            continue;
+                        }
+                        const poly = fullPoly ^ (1n << BigInt(width));
+                        const solved = solveInit(prepared, width, poly, refin, refout);
+                        incomplete = incomplete || solved.incomplete;
+                        ambiguous = ambiguous || (solved.ambiguous && solved.models.length > 0);
+                        models.push(...solved.models);
+                    }
+                    options.onProgress?.({ done: ++done, total });
+                }
+            }
+        }
+
+        const unique = [];
+        for (const model of models) {
+            if (unique.length < MAX_RESULTS && !unique.some(existing => sameModel(existing, model))) {
+                const entry = lookup(model);
+                unique.push({ ...model, name: entry ? entry.name : null, check: compute(model, CHECK_INPUT) });
+            }
+        }
+        unique.sort((a, b) => (b.name !== null) - (a.name !== null) || a.width - b.width);
+
+        return { catalogue: identify(parsed), models: unique, ambiguous, incomplete };
+    }
+
+    /**
+     * 在 Worker 中恢复参数，避免长消息样本阻塞页面
+     * @param {Array<{data: Uint8Array, crc: bigint|number|string}>} samples
+     * @param {Object} [options] - 同 recover()，onProgress 在页面端接收 Worker 上报的进度
+     * @returns {{promise: Promise<Object|null>, cancel: Function}} promise 的结果同 recover()，取消时为 null
+     */
+    function recoverInWorker(samples, options = {}) {
+        const { onProgress, ...rest } = options;
+        const search = root.REOT.workers.search({
+            script: WORKER_SCRIPT,
+            candidates: [{ samples, options: rest }],
+            chunkSize: 1,
+            size: 1,
+            stopOnMatch: false,
+            onItemProgress: onProgress
+        });
+        return {
+            cancel: search.cancel,
+            promise: search.promise.then(result => {
+                const [match] = result.matches;
+                if (match?.error) {
+                    throw new Error(match.error);
+                }
+                return match ? match.result : null;
+            })
+        };
+    }
+
+    root.REOT.crc = {
+        MIN_WIDTH,
+        MAX_WIDTH,
+        CHECK_INPUT,
+        WORKER_SCRIPT,
+        CATALOGUE,
+        normalizeModel,
+        create,
+        compute,
+        reflect,
+        toHex,
+        parseModel,
+        formatModel,
+        find,
+        lookup,
+        identify,
+        recover,
+        recoverInWorker
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,32 @@
+/**
+ * CRC Worker
+ * @description 在 Worker 中根据消息/CRC 样本恢复 CRC 参数（每个候选项是一个恢复任务），避免长消息阻塞页面
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+/* global importScripts */
+
+(function(root) {
+    'use strict';
+
+    if (typeof importScripts === 'function' && !root.REOT?.workers) {
+        importScripts('../../../assets/js/workers.js', 'crc-core.js');
+    }
+
+    root.REOT.workers.serve({
+        /**
+         * @param {{samples: Array, options: Object}} job - REOT.crc.recover() 的参数
+         * @param {Function} report - 上报 {done, total} 进度
+         * @returns {{result: Object|null, error?: string}}
+         */
+        test(job, report) {
+            try {
+                return { result: root.REOT.crc.recover(job.samples, { ...job.options, onProgress: report }) };
+            } catch (error) {
+                return { result: null, error: error.message };
+            }
+        }
+    }, root);
+
+})(self);
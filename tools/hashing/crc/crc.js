@@ -1,6 +1,6 @@
 /**
  * CRC计算器
- * @description 计算CRC校验值
+ * @description 按 Rocksoft 参数模型计算任意 CRC（位宽 3–64，内置 RevEng 目录），并根据消息/CRC 样本恢复参数
  * @author Evil0ctal
  * @license Apache-2.0
  */
@@ -8,186 +8,129 @@
 (function() {
     'use strict';
 
-    // CRC 算法参数
-    const CRC_PARAMS = {
-        'crc8': {
-            name: 'CRC-8',
-            width: 8,
-            poly: 0x07,
-            init: 0x00,
-            refIn: false,
-            refOut: false,
-            xorOut: 0x00
-        },
-        'crc16': {
-            name: 'CRC-16 (IBM)',
-            width: 16,
-            poly: 0x8005,
-            init: 0x0000,
-            refIn: true,
-            refOut: true,
-            xorOut: 0x0000
-        },
-        'crc16-ccitt': {
-            name: 'CRC-16 CCITT',
-            width: 16,
-            poly: 0x1021,
-            init: 0xFFFF,
-            refIn: false,
-            refOut: false,
-            xorOut: 0x0000
-        },
-        'crc16-modbus': {
-            name: 'CRC-16 Modbus',
-            width: 16,
-            poly: 0x8005,
-            init: 0xFFFF,
-            refIn: true,
-            refOut: true,
-            xorOut: 0x0000
-        },
-        'crc32': {
-            name: 'CRC-32',
-            width: 32,
-            poly: 0x04C11DB7,
-            init: 0xFFFFFFFF,
-            refIn: true,
-            refOut: true,
-            xorOut: 0xFFFFFFFF
-        },
-        'crc32c': {
-            name: 'CRC-32C',
-            width: 32,
-            poly: 0x1EDC6F41,
-            init: 0xFFFFFFFF,
-            refIn: true,
-            refOut: true,
-            xorOut: 0xFFFFFFFF
-        }
-    };
+    const CORE_SCRIPT = 'tools/hashing/crc/crc-core.js';
+
+    // 默认算法
+    const DEFAULT_ALGORITHM = 'CRC-32/ISO-HDLC';
+
+    const PARAM_FIELDS = ['param-width', 'param-poly', 'param-init', 'param-xorout', 'param-refin', 'param-refout'];
 
-    // CRC 表缓存
-    const tableCache = {};
+    // 正在 Worker 中执行的参数恢复任务
+    let recoverJob = null;
 
     /**
-     * 反转位序
+     * 加载 CRC 核心
+     * @returns {Promise<Object>} REOT.crc
      */
-    function reflect(value, width) {
-        let result = 0;
-        for (let i = 0; i < width; i++) {
-            if (value & (1 << i)) {
-                result |= 1 << (width - 1 - i);
-            }
-        }
-        return result >>> 0;
+    async function loadCore() {
+        await REOT.loader.loadScript(CORE_SCRIPT);
+        return REOT.crc;
     }
 
     /**
-     * 生成 CRC 查找表
+     * 解析输入数据
+     * @param {string} text
+     * @param {string} type - text 或 hex
+     * @returns {Uint8Array}
      */
-    function generateTable(params) {
-        const key = params.name;
-        if (tableCache[key]) {
-            return tableCache[key];
-        }
-
-        const table = new Uint32Array(256);
-        const { width, poly, refIn } = params;
-        const topBit = 1 << (width - 1);
-        const mask = (1 << width) - 1;
-
-        for (let i = 0; i < 256; i++) {
-            let crc = refIn ? reflect(i, 8) << (width - 8) : i << (width - 8);
-
-            for (let j = 0; j < 8; j++) {
-                if (crc & topBit) {
-                    crc = ((crc << 1) ^ poly) & mask;
-                } else {
-                    crc = (crc << 1) & mask;
-                }
-            }
-
-            table[i] = refIn ? reflect(crc, width) : crc;
-        }
-
-        tableCache[key] = table;
-        return table;
+    function parseData(text, type) {
+        return type === 'hex' ? REOT.bytes.fromHex(text) : REOT.bytes.fromText(text);
     }
 
     /**
-     * 计算 CRC
+     * 格式化 CRC 值
+     * @param {bigint} value
+     * @param {number} width
      */
-    function calculateCRC(data, algorithm) {
-        const params = CRC_PARAMS[algorithm];
-        if (!params) {
-            throw new Error('Unknown algorithm: ' + algorithm);
-        }
-
-        const table = generateTable(params);
-        const { width, init, refIn, refOut, xorOut } = params;
-        const mask = width === 32 ? 0xFFFFFFFF : (1 << width) - 1;
+    function formatCRC(value, width) {
+        const hexLower = value.toString(16).padStart(Math.ceil(width / 4), '0');
+        return {
+            decimal: value.toString(),
+            hex: hexLower.toUpperCase(),
+            hexLower,
+            binary: value.toString(2).padStart(width, '0')
+        };
+    }
 
-        let crc = init;
+    // ========== 参数 ==========
 
-        if (refIn) {
-            for (let i = 0; i < data.length; i++) {
-                const byte = data[i];
-                crc = (crc >>> 8) ^ table[(crc ^ byte) & 0xFF];
-            }
-        } else {
-            for (let i = 0; i < data.length; i++) {
-                const byte = data[i];
-                const index = ((crc >>> (width - 8)) ^ byte) & 0xFF;
-                crc = ((crc << 8) ^ table[index]) & mask;
-            }
+    /**
+     * 填充算法下拉框（按位宽分组）
+     * @param {Object} crc - REOT.crc
+     */
+    function populateAlgorithms(crc) {
+        const select = document.getElementById('crc-type');
+        if (!select || select.querySelector('optgroup')) {
+            return;
         }
-
-        if (refIn !== refOut) {
-            crc = reflect(crc, width);
+        const groups = new Map();
+        for (const model of crc.CATALOGUE) {
+            if (!groups.has(model.width)) {
+                const group = document.createElement('optgroup');
+                group.label = `${model.width} bit`;
+                groups.set(model.width, group);
+                select.appendChild(group);
+            }
+            const option = document.createElement('option');
+            option.value = model.name;
+            option.textContent = model.aliases.length > 0 ? `${model.name} (${model.aliases.join(', ')})` : model.name;
+            groups.get(model.width).appendChild(option);
         }
-
-        return (crc ^ xorOut) >>> 0;
+        fillParams(crc, crc.find(DEFAULT_ALGORITHM));
     }
 
     /**
-     * 解析十六进制字符串
+     * 从参数输入框读取模型
+     * @param {Object} crc - REOT.crc
+     * @returns {Object}
      */
-    function parseHex(hex) {
-        hex = hex.replace(/\s/g, '');
-        if (!/^[0-9a-fA-F]*$/.test(hex)) {
-            throw new Error('Invalid hex string');
-        }
-        if (hex.length % 2 !== 0) {
-            hex = '0' + hex;
-        }
+    function readParams(crc) {
+        const value = id => document.getElementById(id).value;
+        return crc.normalizeModel({
+            width: Number(value('param-width')),
+            poly: value('param-poly') || '0',
+            init: value('param-init') || '0',
+            refin: document.getElementById('param-refin').checked,
+            refout: document.getElementById('param-refout').checked,
+            xorout: value('param-xorout') || '0'
+        });
+    }
 
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
-        }
-        return bytes;
+    /**
+     * 把模型写入参数输入框，并同步算法下拉框和参数字符串
+     * @param {Object} crc - REOT.crc
+     * @param {Object} model
+     */
+    function fillParams(crc, model) {
+        const hex = value => '0x' + crc.toHex(value, model.width);
+        document.getElementById('param-width').value = model.width;
+        document.getElementById('param-poly').value = hex(model.poly);
+        document.getElementById('param-init').value = hex(model.init);
+        document.getElementById('param-xorout').value = hex(model.xorout);
+        document.getElementById('param-refin').checked = model.refin;
+        document.getElementById('param-refout').checked = model.refout;
+        syncParams(crc, model);
     }
 
     /**
-     * 格式化 CRC 值
+     * 按当前参数选中对应的目录算法（没有时为自定义），更新参数字符串
+     * @param {Object} crc - REOT.crc
+     * @param {Object} model
      */
-    function formatCRC(value, width) {
-        const hexLen = Math.ceil(width / 4);
-        return {
-            decimal: value.toString(),
-            hex: value.toString(16).toUpperCase().padStart(hexLen, '0'),
-            hexLower: value.toString(16).padStart(hexLen, '0'),
-            binary: value.toString(2).padStart(width, '0')
-        };
+    function syncParams(crc, model) {
+        const entry = crc.lookup(model);
+        document.getElementById('crc-type').value = entry ? entry.name : '';
+        document.getElementById('param-model').value = crc.formatModel(entry || model);
     }
 
+    // ========== 计算 ==========
+
     /**
      * 执行计算
      */
-    function calculate() {
+    async function calculate() {
         const inputText = document.getElementById('input-text');
         const inputType = document.getElementById('input-type');
-        const crcType = document.getElementById('crc-type');
         const resultSection = document.getElementById('result-section');
         const resultGrid = document.getElementById('result-grid');
 
@@ -198,84 +141,260 @@
         const text = inputText.value;
         if (!text) {
             resultSection.style.display = 'none';
-            REOT.utils?.showNotification('请输入要计算的数据', 'warning');
+            REOT.utils?.showNotification(REOT.i18n.t('tools.crc.errorNoInput', '请输入要计算的数据'), 'warning');
             return;
         }
 
         try {
-            let data;
-            if (inputType.value === 'hex') {
-                data = parseHex(text);
-            } else {
-                data = new TextEncoder().encode(text);
-            }
-
-            const algorithm = crcType.value;
-            const params = CRC_PARAMS[algorithm];
-            const crc = calculateCRC(data, algorithm);
-            const formatted = formatCRC(crc, params.width);
-
-            // 安全的翻译函数
-            const t = (key) => {
-                try {
-                    return window.REOT?.i18n?.t(key) || key.split('.').pop();
-                } catch (e) {
-                    return key.split('.').pop();
-                }
-            };
-            const yes = t('tools.crc.yes') || '是';
-            const no = t('tools.crc.no') || '否';
-            const copyText = t('common.copy') || '复制';
+            const crc = await loadCore();
+            const data = parseData(text, inputType.value);
+            const params = readParams(crc);
+            const entry = crc.lookup(params);
+            const formatted = formatCRC(crc.compute(params, data), params.width);
+            const hex = value => '0x' + crc.toHex(value, params.width).toUpperCase();
+            const escape = REOT.utils.escapeHtml;
+
+            const yes = REOT.i18n.t('tools.crc.yes', '是');
+            const no = REOT.i18n.t('tools.crc.no', '否');
+            const copyText = REOT.i18n.t('common.copy', '复制');
+            const modelString = crc.formatModel(entry || params);
+            const title = entry ? entry.name : REOT.i18n.t('tools.crc.custom', '自定义');
 
             resultGrid.innerHTML = `
                 <div class="result-item">
-                    <div class="result-label">${t('tools.crc.decimal') || '十进制'}</div>
+                    <div class="result-label">${REOT.i18n.t('tools.crc.decimal', '十进制')}</div>
                     <div class="result-value">
                         <code>${formatted.decimal}</code>
                         <button class="copy-btn" data-copy="${formatted.decimal}">${copyText}</button>
                     </div>
                 </div>
                 <div class="result-item">
-                    <div class="result-label">${t('tools.crc.hexUpper') || '十六进制 (大写)'}</div>
+                    <div class="result-label">${REOT.i18n.t('tools.crc.hexUpper', '十六进制 (大写)')}</div>
                     <div class="result-value">
                         <code>0x${formatted.hex}</code>
                         <button class="copy-btn" data-copy="0x${formatted.hex}">${copyText}</button>
                     </div>
                 </div>
                 <div class="result-item">
-                    <div class="result-label">${t('tools.crc.hexLower') || '十六进制 (小写)'}</div>
+                    <div class="result-label">${REOT.i18n.t('tools.crc.hexLower', '十六进制 (小写)')}</div>
                     <div class="result-value">
                         <code>0x${formatted.hexLower}</code>
                         <button class="copy-btn" data-copy="0x${formatted.hexLower}">${copyText}</button>
                     </div>
                 </div>
                 <div class="result-item">
-                    <div class="result-label">${t('tools.crc.binary') || '二进制'}</div>
+                    <div class="result-label">${REOT.i18n.t('tools.crc.binary', '二进制')}</div>
                     <div class="result-value">
                         <code>${formatted.binary}</code>
                         <button class="copy-btn" data-copy="${formatted.binary}">${copyText}</button>
                     </div>
                 </div>
                 <div class="crc-info">
-                    <h4>${t('tools.crc.algorithmParams') || '算法参数'} (${params.name})</h4>
+                    <h4>${REOT.i18n.t('tools.crc.algorithmParams', '算法参数')} (${escape(title)})</h4>
                     <table>
-                        <tr><td>${t('tools.crc.width') || '位宽'}</td><td>${params.width} bits</td></tr>
-                        <tr><td>${t('tools.crc.polynomial') || '多项式'}</td><td>0x${params.poly.toString(16).toUpperCase()}</td></tr>
-                        <tr><td>${t('tools.crc.initValue') || '初始值'}</td><td>0x${params.init.toString(16).toUpperCase()}</td></tr>
-                        <tr><td>${t('tools.crc.inputReflect') || '输入反转'}</td><td>${params.refIn ? yes : no}</td></tr>
-                        <tr><td>${t('tools.crc.outputReflect') || '输出反转'}</td><td>${params.refOut ? yes : no}</td></tr>
-                        <tr><td>${t('tools.crc.outputXor') || '输出异或'}</td><td>0x${params.xorOut.toString(16).toUpperCase()}</td></tr>
+                        ${entry && entry.aliases.length > 0 ? `<tr><td>${REOT.i18n.t('tools.crc.aliases', '别名')}</td><td>${escape(entry.aliases.join(', '))}</td></tr>` : ''}
+                        <tr><td>${REOT.i18n.t('tools.crc.width', '位宽')}</td><td>${params.width} bits</td></tr>
+                        <tr><td>${REOT.i18n.t('tools.crc.polynomial', '多项式')}</td><td>${hex(params.poly)}</td></tr>
+                        <tr><td>${REOT.i18n.t('tools.crc.initValue', '初始值')}</td><td>${hex(params.init)}</td></tr>
+                        <tr><td>${REOT.i18n.t('tools.crc.inputReflect', '输入反转')}</td><td>${params.refin ? yes : no}</td></tr>
+                        <tr><td>${REOT.i18n.t('tools.crc.outputReflect', '输出反转')}</td><td>${params.refout ? yes : no}</td></tr>
+                        <tr><td>${REOT.i18n.t('tools.crc.outputXor', '输出异或')}</td><td>${hex(params.xorout)}</td></tr>
+                        <tr><td>${REOT.i18n.t('tools.crc.checkValue', '校验值 ("123456789")')}</td><td>${hex(crc.compute(params, crc.CHECK_INPUT))}</td></tr>
                     </table>
+                    <div class="result-value model-string">
+                        <code>${escape(modelString)}</code>
+                        <button class="copy-btn" data-copy="${escape(modelString)}">${copyText}</button>
+                    </div>
                 </div>
             `;
 
             resultSection.style.display = 'block';
-            REOT.utils?.showNotification('计算完成', 'success');
+            REOT.utils?.showNotification(REOT.i18n.t('tools.crc.calcDone', '计算完成'), 'success');
         } catch (e) {
-            REOT.utils?.showNotification('计算失败: ' + e.message, 'error');
+            REOT.utils?.showNotification(REOT.i18n.t('tools.crc.calcFailed', '计算失败') + ': ' + e.message, 'error');
         }
     }
 
+    // ========== 参数恢复 ==========
+
+    /**
+     * 解析样本：每行为"消息 CRC"，最后一个空白分隔的字段是十六进制 CRC，# 开头的行为注释
+     * @param {string} text
+     * @param {string} type - 消息类型 text 或 hex
+     * @param {boolean} littleEndian - CRC 是否按小端序字节给出
+     * @returns {{samples: Array<{data: Uint8Array, crc: bigint}>, digits: number}} digits 为 CRC 的最大十六进制位数
+     */
+    function parseSamples(text, type, littleEndian) {
+        const samples = [];
+        let digits = 0;
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim() || line.trim().startsWith('#')) {
+                return;
+            }
+            const match = line.match(/^(.*?)\s+(?:0x)?([0-9a-f]+)\s*$/i);
+            if (!match) {
+                throw new Error(REOT.i18n.t('tools.crc.errorSampleLine', '第 {line} 行格式错误', { line: index + 1 }));
+            }
+            let crcHex = match[2];
+            if (littleEndian) {
+                crcHex = (crcHex.length % 2 ? '0' + crcHex : crcHex).match(/../g).reverse().join('');
+            }
+            digits = Math.max(digits, crcHex.length);
+            samples.push({ data: parseData(match[1], type), crc: BigInt('0x' + crcHex) });
+        });
+        return { samples, digits };
+    }
+
+    /**
+     * 取消正在执行的参数恢复
+     */
+    function cancelRecovery() {
+        recoverJob?.cancel();
+        recoverJob = null;
+    }
+
+    /**
+     * 显示参数恢复进度
+     * @param {{done: number, total: number}} progress
+     */
+    function showRecoverProgress({ done, total }) {
+        const summary = document.getElementById('recover-summary');
+        if (summary) {
+            summary.innerHTML = `<p>${REOT.utils.escapeHtml(REOT.i18n.t('tools.crc.recovering', '正在恢复参数（{done}/{total}）…', { done, total }))}</p>`;
+        }
+    }
+
+    /**
+     * 恢复参数（在 Worker 中执行，再次点击或清除时取消上一次任务）
+     */
+    async function recoverParams() {
+        const input = document.getElementById('samples-input');
+        const section = document.getElementById('recover-section');
+        const button = document.getElementById('recover-btn');
+        if (!input || !section) {
+            return;
+        }
+
+        cancelRecovery();
+        try {
+            const crc = await loadCore();
+            const { samples, digits } = parseSamples(
+                input.value,
+                document.getElementById('sample-type').value,
+                document.getElementById('crc-little-endian').checked
+            );
+            if (samples.length < 2) {
+                REOT.utils?.showNotification(REOT.i18n.t('tools.crc.errorFewSamples', '至少需要两组消息/CRC 样本'), 'warning');
+                return;
+            }
+
+            // 未指定位宽时按 CRC 的十六进制位数推测
+            const widthValue = document.getElementById('recover-width').value;
+            let width = Number(widthValue);
+            if (!widthValue) {
+                const top = Math.min(Math.max(digits, 1) * 4, crc.MAX_WIDTH);
+                width = [top - 3, top - 2, top - 1, top].filter(value => value >= crc.MIN_WIDTH);
+            }
+
+            document.getElementById('recover-list').innerHTML = '';
+            document.getElementById('recover-summary').classList.remove('recover-summary--empty');
+            // 每个位宽尝试 4 种输入 / 输出反转组合
+            showRecoverProgress({ done: 0, total: [].concat(width).length * 4 });
+            section.style.display = 'block';
+            if (button) {
+                button.disabled = true;
+            }
+
+            const job = crc.recoverInWorker(samples, { width, onProgress: showRecoverProgress });
+            recoverJob = job;
+            const result = await job.promise;
+            // 已被取消或被新的任务替换
+            if (recoverJob !== job || !result) {
+                return;
+            }
+            recoverJob = null;
+            renderRecovery(crc, result);
+        } catch (e) {
+            recoverJob = null;
+            section.style.display = 'none';
+            REOT.utils?.showNotification(REOT.i18n.t('tools.crc.recoverFailed', '恢复失败') + ': ' + e.message, 'error');
+        } finally {
+            if (button && !recoverJob) {
+                button.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * 显示恢复结果：先列出匹配的目录算法，再列出其它求得的参数
+     * @param {Object} crc - REOT.crc
+     * @param {Object} result - crc.recover() 的返回值
+     */
+    function renderRecovery(crc, result) {
+        const summary = document.getElementById('recover-summary');
+        const list = document.getElementById('recover-list');
+        const escape = REOT.utils.escapeHtml;
+
+        const models = [...result.catalogue];
+        for (const model of result.models) {
+            if (!model.name || !models.some(entry => entry.name === model.name)) {
+                models.push(model);
+            }
+        }
+
+        const notes = [];
+        if (models.length === 0) {
+            notes.push(REOT.i18n.t('tools.crc.noMatch', '没有找到能匹配所有样本的参数'));
+        } else {
+            notes.push(REOT.i18n.t('tools.crc.matchCount', '找到 {count} 组参数，其中 {catalogue} 个为目录算法', {
+                count: models.length,
+                catalogue: result.catalogue.length
+            }));
+        }
+        if (result.incomplete) {
+            notes.push(REOT.i18n.t('tools.crc.incomplete', '样本不足以确定多项式，请提供更多样本（最好包含不同长度的消息）'));
+        }
+        if (result.ambiguous) {
+            notes.push(REOT.i18n.t('tools.crc.ambiguous', '所有消息长度相同，初始值与输出异或无法区分，仅按输出异或为 0 或全 1 求解'));
+        }
+        summary.innerHTML = notes.map(note => `<p>${escape(note)}</p>`).join('');
+        summary.classList.toggle('recover-summary--empty', models.length === 0);
+
+        const yes = REOT.i18n.t('tools.crc.yes', '是');
+        const no = REOT.i18n.t('tools.crc.no', '否');
+        list.innerHTML = models.map(model => {
+            const hex = value => '0x' + crc.toHex(value, model.width);
+            const check = model.check ?? crc.compute(model, crc.CHECK_INPUT);
+            return `
+                <tr>
+                    <td class="recover-name">${model.name ? escape(model.name) : `<span class="recover-custom">${REOT.i18n.t('tools.crc.custom', '自定义')}</span>`}</td>
+                    <td>${model.width}</td>
+                    <td><code>${hex(model.poly)}</code></td>
+                    <td><code>${hex(model.init)}</code></td>
+                    <td>${model.refin ? yes : no}</td>
+                    <td>${model.refout ? yes : no}</td>
+                    <td><code>${hex(model.xorout)}</code></td>
+                    <td><code>${hex(check)}</code></td>
+                    <td><button class="btn btn--sm btn--outline use-model-btn" data-model="${escape(crc.formatModel(model))}">${REOT.i18n.t('tools.crc.useModel', '使用')}</button></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // ========== 界面 ==========
+
+    /**
+     * 切换计算 / 参数恢复面板
+     */
+    function switchMode(mode) {
+        document.querySelectorAll('.mode-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === mode);
+        });
+        document.querySelectorAll('.mode-panel').forEach(panel => {
+            panel.classList.toggle('active', panel.id === `${mode}-panel`);
+        });
+    }
+
     /**
      * 复制到剪贴板
      */
@@ -293,23 +412,56 @@
     }
 
     // 使用事件委托处理点击事件
-    document.addEventListener('click', (e) => {
+    document.addEventListener('click', async (e) => {
         // 只在 CRC 工具页面处理事件
-        if (!isCrcToolActive()) return;
+        if (!isCrcToolActive()) {
+            return;
+        }
 
         const target = e.target;
 
+        // 模式切换
+        const tab = target.closest('.mode-tab');
+        if (tab) {
+            switchMode(tab.dataset.mode);
+            return;
+        }
+
         // 计算按钮
-        if (target.id === 'calc-btn' || target.closest('#calc-btn')) {
+        if (target.closest('#calc-btn')) {
             calculate();
         }
 
         // 清除按钮
-        if (target.id === 'clear-btn' || target.closest('#clear-btn')) {
+        if (target.closest('#clear-btn')) {
             const inputText = document.getElementById('input-text');
             const resultSection = document.getElementById('result-section');
-            if (inputText) inputText.value = '';
-            if (resultSection) resultSection.style.display = 'none';
+            if (inputText) {
+                inputText.value = '';
+            }
+            if (resultSection) {
+                resultSection.style.display = 'none';
+            }
+        }
+
+        // 恢复参数
+        if (target.closest('#recover-btn')) {
+            recoverParams();
+        }
+
+        if (target.closest('#recover-clear-btn')) {
+            cancelRecovery();
+            document.getElementById('samples-input').value = '';
+            document.getElementById('recover-section').style.display = 'none';
+        }
+
+        // 把恢复得到的参数填入计算面板
+        const useButton = target.closest('.use-model-btn');
+        if (useButton) {
+            const crc = await loadCore();
+            fillParams(crc, crc.parseModel(useButton.dataset.model));
+            switchMode('calc');
+            return;
         }
 
         // 复制按钮
@@ -319,12 +471,55 @@
         }
     });
 
+    // 算法、参数和参数字符串相互同步
+    document.addEventListener('change', async (e) => {
+        if (!isCrcToolActive()) {
+            return;
+        }
+
+        const target = e.target;
+        if (target.id !== 'crc-type' && target.id !== 'param-model' && !PARAM_FIELDS.includes(target.id)) {
+            return;
+        }
+
+        const crc = await loadCore();
+        try {
+            if (target.id === 'crc-type') {
+                if (target.value) {
+                    fillParams(crc, crc.find(target.value));
+                }
+            } else if (target.id === 'param-model') {
+                fillParams(crc, crc.parseModel(target.value));
+            } else {
+                syncParams(crc, readParams(crc));
+            }
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+    });
+
     // 设置默认示例数据
     const defaultInput = document.getElementById('input-text');
     if (defaultInput && !defaultInput.value) {
         defaultInput.value = 'Hello, World!';
     }
 
+    // 加载 CRC 核心后生成算法列表
+    if (document.getElementById('crc-type')) {
+        loadCore().then(populateAlgorithms).catch(error => {
+            REOT.utils?.showNotification(REOT.i18n.t('tools.crc.errorLoad', 'CRC 核心加载失败') + ': ' + error.message, 'error');
+        });
+    }
+
     // 导出到全局
-    window.CRCTool = { calculateCRC, CRC_PARAMS };
+    window.CRCTool = {
+        loadCore,
+        parseSamples,
+        async calculateCRC(data, model) {
+            return (await loadCore()).compute(model, data);
+        },
+        async recoverParameters(samples, options) {
+            return (await loadCore()).recoverInWorker(samples, options).promise;
+        }
+    };
 })();
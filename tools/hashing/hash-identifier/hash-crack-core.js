@@ -0,0 +1,276 @@
+/**
+ * 哈希字典破解核心
+ * @description 字典变形规则、哈希列表解析和摘要计算；页面用于生成候选项和调度 Worker，Worker 用于计算摘要
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // 支持的算法：label 与哈希识别结果中的名称一致，length 为十六进制长度
+    const ALGORITHMS = {
+        md5: { label: 'MD5', length: 32 },
+        md4: { label: 'MD4', length: 32 },
+        ntlm: { label: 'NTLM', length: 32 },
+        sha1: { label: 'SHA-1', length: 40, subtle: 'SHA-1' },
+        ripemd160: { label: 'RIPEMD-160', length: 40 },
+        sha256: { label: 'SHA-256', length: 64, subtle: 'SHA-256' },
+        sha384: { label: 'SHA-384', length: 96, subtle: 'SHA-384' },
+        sha512: { label: 'SHA-512', length: 128, subtle: 'SHA-512' }
+    };
+
+    // 变形规则，按 case → leet → digits 的顺序叠加
+    const RULES = ['case', 'leet', 'digits'];
+
+    // Leetspeak 替换表：常见的数字替换和符号替换
+    const LEET_TABLES = [
+        { a: '4', e: '3', i: '1', o: '0', s: '5', t: '7' },
+        { a: '@', e: '3', i: '!', o: '0', s: '$' }
+    ];
+
+    // 追加的数字后缀：0-9、00-99 和常见的连续数字
+    const DIGIT_SUFFIXES = (() => {
+        const suffixes = [];
+        for (let i = 0; i < 10; i++) {
+            suffixes.push(String(i));
+        }
+        for (let i = 0; i < 100; i++) {
+            suffixes.push(String(i).padStart(2, '0'));
+        }
+        return suffixes.concat(['123', '1234', '12345']);
+    })();
+
+    // 默认每块的候选项数量
+    const DEFAULT_CHUNK_SIZE = 1000;
+
+    // Worker 脚本
+    const WORKER_SCRIPT = 'tools/hashing/hash-identifier/hash-crack-worker.js';
+
+    const encoder = new TextEncoder();
+
+    // ========== 字典变形 ==========
+
+    /**
+     * 大小写变体：原样、全小写、全大写、首字母大写、大小写互换
+     * @param {string} word
+     * @returns {string[]}
+     */
+    function caseVariants(word) {
+        const lower = word.toLowerCase();
+        const swapped = Array.from(word, char => {
+            const upper = char.toUpperCase();
+            return char === upper ? char.toLowerCase() : upper;
+        }).join('');
+        return [word, lower, word.toUpperCase(), lower.charAt(0).toUpperCase() + lower.slice(1), swapped];
+    }
+
+    /**
+     * Leetspeak 变体（不区分大小写替换）
+     * @param {string} word
+     * @returns {string[]}
+     */
+    function leetVariants(word) {
+        return [word].concat(LEET_TABLES.map(table => Array.from(word, char => table[char.toLowerCase()] || char).join('')));
+    }
+
+    /**
+     * 按规则展开一个单词，结果去重并保留原词在首位
+     * @param {string} word
+     * @param {string[]} [rules=[]] - RULES 中的规则
+     * @returns {string[]}
+     */
+    function expandWord(word, rules = []) {
+        let words = [word];
+        if (rules.includes('case')) {
+            words = words.flatMap(caseVariants);
+        }
+        if (rules.includes('leet')) {
+            words = words.flatMap(leetVariants);
+        }
+        if (rules.includes('digits')) {
+            words = words.flatMap(item => [item].concat(DIGIT_SUFFIXES.map(suffix => item + suffix)));
+        }
+        return Array.from(new Set(words));
+    }
+
+    /**
+     * 按规则展开后的候选项总数
+     * @param {string[]} words
+     * @param {string[]} rules
+     * @returns {number}
+     */
+    function countCandidates(words, rules) {
+        return words.reduce((sum, word) => sum + expandWord(word, rules).length, 0);
+    }
+
+    /**
+     * 把单词按规则展开，并重新按 chunkSize 分块（每块对应 Worker 的一次任务）
+     * @param {string[]|AsyncIterable<string[]>|Iterable<string[]>} words - 单词数组，或按块产出单词的（异步）可迭代对象
+     * @param {string[]} rules
+     * @param {number} [chunkSize=1000]
+     * @returns {AsyncGenerator<string[]>}
+     */
+    async function* expandChunks(words, rules, chunkSize = DEFAULT_CHUNK_SIZE) {
+        const source = Array.isArray(words) ? [words] : words;
+        let batch = [];
+        for await (const chunk of source) {
+            for (const word of chunk) {
+                for (const candidate of expandWord(word, rules)) {
+                    batch.push(candidate);
+                    if (batch.length >= chunkSize) {
+                        yield batch;
+                        batch = [];
+                    }
+                }
+            }
+        }
+        if (batch.length > 0) {
+            yield batch;
+        }
+    }
+
+    // ========== 哈希列表 ==========
+
+    /**
+     * 获取算法定义
+     * @param {string} algorithm
+     * @returns {Object}
+     */
+    function getAlgorithm(algorithm) {
+        if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, algorithm)) {
+            throw new Error(`不支持的算法: ${algorithm}`);
+        }
+        return ALGORITHMS[algorithm];
+    }
+
+    /**
+     * 解析哈希列表：每行一个哈希，也支持 user:hash 和 pwdump（user:rid:LM:NT:::）格式，
+     * 取该行最后一个长度符合算法的十六进制字段
+     * @param {string} text
+     * @param {string} algorithm
+     * @returns {{entries: Array<{hash: string, user: string}>, invalid: string[]}}
+     */
+    function parseHashes(text, algorithm) {
+        const length = getAlgorithm(algorithm).length;
+        const pattern = new RegExp(`^[0-9a-fA-F]{${length}}$`);
+        const entries = [];
+        const invalid = [];
+
+        text.split('\n').map(line => line.trim()).filter(line => line !== '').forEach(line => {
+            const fields = line.split(':').map(field => field.trim());
+            const hash = fields.filter(field => pattern.test(field)).pop();
+            if (!hash) {
+                invalid.push(line);
+                return;
+            }
+            entries.push({
+                hash: hash.toLowerCase(),
+                user: fields.length > 1 && !pattern.test(fields[0]) ? fields[0] : ''
+            });
+        });
+
+        return { entries, invalid };
+    }
+
+    // ========== 摘要 ==========
+
+    /**
+     * 计算候选口令的摘要（UTF-8；NTLM 为 UTF-16LE）
+     * 需要先加载 bytes.js、md-core.js 和 ripemd-core.js
+     * @param {string} algorithm
+     * @param {string} text
+     * @returns {Promise<string>} 小写十六进制
+     */
+    async function digest(algorithm, text) {
+        const spec = getAlgorithm(algorithm);
+        const bytes = root.REOT.bytes;
+        if (spec.subtle) {
+            return bytes.toHex(new Uint8Array(await crypto.subtle.digest(spec.subtle, encoder.encode(text))));
+        }
+        switch (algorithm) {
+        case 'md5':
+            return bytes.toHex(root.REOT.md.md5(text));
+        case 'md4':
+            return bytes.toHex(root.REOT.md.md4(text));
+        case 'ntlm':
+            return bytes.toHex(root.REOT.md.ntlm(text));
+        default:
+            return bytes.toHex(root.REOT.ripemd.ripemd160(text));
+        }
+    }
+
+    // ========== 破解 ==========
+
+    /**
+     * 在 Worker 池中用字典（及变形规则）破解一组哈希，全部找到后提前结束
+     * @param {string[]} hashes - 十六进制哈希
+     * @param {string} algorithm - ALGORITHMS 中的键
+     * @param {string[]|AsyncIterable<string[]>} words - 单词数组，或按块产出单词的（异步）可迭代对象
+     * @param {Object} [options]
+     * @param {string[]} [options.rules=[]] - 变形规则
+     * @param {number} [options.total] - 展开后的候选项总数（单词数组时自动计算）
+     * @param {number} [options.chunkSize=1000] - 每块的候选项数量
+     * @param {number} [options.size] - Worker 数量
+     * @param {Function} [options.onProgress] - 进度回调，rate 即每秒计算的哈希数
+     * @param {Function} [options.onMatch] - 破解出新哈希时回调，参数为 {hash, plaintext}
+     * @returns {{promise: Promise<{found: Array<{hash: string, plaintext: string}>, tried: number, elapsed: number, cancelled: boolean}>, cancel: Function}}
+     */
+    function crack(hashes, algorithm, words, options = {}) {
+        getAlgorithm(algorithm);
+        const rules = options.rules || [];
+        const targets = Array.from(new Set(hashes.map(hash => hash.toLowerCase())));
+        if (targets.length === 0) {
+            throw new Error('没有可破解的哈希');
+        }
+
+        const found = new Map();
+        const job = root.REOT.workers.search({
+            script: WORKER_SCRIPT,
+            init: { algorithm, hashes: targets },
+            candidates: expandChunks(words, rules, options.chunkSize),
+            total: options.total ?? (Array.isArray(words) ? countCandidates(words, rules) : null),
+            size: options.size,
+            stopOnMatch: false,
+            onProgress: options.onProgress,
+            onMatch: match => {
+                if (found.has(match.hash)) {
+                    return;
+                }
+                found.set(match.hash, match.plaintext);
+                options.onMatch?.(match);
+                if (found.size === targets.length) {
+                    // 结果由 Worker 异步返回，此时 job 已经赋值
+                    job.cancel();
+                }
+            }
+        });
+
+        return {
+            cancel: job.cancel,
+            promise: job.promise.then(result => ({
+                found: Array.from(found, ([hash, plaintext]) => ({ hash, plaintext })),
+                tried: result.tried,
+                elapsed: result.elapsed,
+                cancelled: result.cancelled && found.size < targets.length
+            }))
+        };
+    }
+
+    root.REOT.hashCrack = {
+        ALGORITHMS,
+        RULES,
+        DIGIT_SUFFIXES,
+        WORKER_SCRIPT,
+        expandWord,
+        countCandidates,
+        expandChunks,
+        parseHashes,
+        digest,
+        crack
+    };
+
+})(typeof window !== 'undefined' ? window : self);
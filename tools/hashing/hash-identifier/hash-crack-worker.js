@@ -0,0 +1,46 @@
+/**
+ * 哈希字典破解 Worker
+ * @description 在 Worker 中计算候选口令的 MD5/MD4/NTLM/SHA/RIPEMD-160 摘要，与目标哈希集合比较
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+/* global importScripts */
+
+(function(root) {
+    'use strict';
+
+    if (typeof importScripts === 'function' && !root.REOT?.workers) {
+        importScripts(
+            '../../../assets/js/bytes.js',
+            '../../../assets/js/workers.js',
+            '../md5/md-core.js',
+            '../ripemd/ripemd-core.js',
+            'hash-crack-core.js'
+        );
+    }
+
+    // 当前任务：算法和待破解的哈希
+    let algorithm = null;
+    let targets = new Set();
+
+    root.REOT.workers.serve({
+        /**
+         * @param {{algorithm: string, hashes: string[]}} data
+         */
+        init(data) {
+            algorithm = data.algorithm;
+            targets = new Set(data.hashes);
+        },
+
+        /**
+         * @param {string} candidate - 候选口令
+         * @returns {Promise<{hash: string, plaintext: string}|null>} - 命中时返回哈希和明文
+         */
+        async test(candidate) {
+            const hash = await root.REOT.hashCrack.digest(algorithm, candidate);
+            return targets.has(hash) ? { hash, plaintext: candidate } : null;
+        }
+    }, root);
+
+})(self);
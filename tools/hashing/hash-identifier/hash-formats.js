@@ -0,0 +1,695 @@
+/**
+ * 结构化哈希格式
+ * @description 解析 crypt、bcrypt、Argon2、scrypt、Django、LDAP、NetNTLM、Cisco 等带参数和盐的哈希格式，
+ *              给出对应的 hashcat 模式和 John the Ripper 格式名，并在浏览器中验证候选口令
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // crypt(3) 使用的 Base64 字母表
+    const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+    // 标准 Base64 字母表
+    const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+    // Cisco Type 7 的异或密钥
+    const CISCO7_KEY = 'dsfd;kfoA,.iyewrkldJKDHSUBsgvca69834ncxv9873254k;fg87';
+
+    // crypt 编码时的字节顺序：每组按高位到低位排列，不足 3 字节的组输出 (字节数 + 1) 个字符
+    const MD5_CRYPT_ORDER = [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5], [11]];
+    const SHA256_CRYPT_ORDER = [
+        [0, 10, 20], [21, 1, 11], [12, 22, 2], [3, 13, 23], [24, 4, 14], [15, 25, 5],
+        [6, 16, 26], [27, 7, 17], [18, 28, 8], [9, 19, 29], [31, 30]
+    ];
+    const SHA512_CRYPT_ORDER = [
+        [0, 21, 42], [22, 43, 1], [44, 2, 23], [3, 24, 45], [25, 46, 4], [47, 5, 26], [6, 27, 48],
+        [28, 49, 7], [50, 8, 29], [9, 30, 51], [31, 52, 10], [53, 11, 32], [12, 33, 54], [34, 55, 13],
+        [56, 14, 35], [15, 36, 57], [37, 58, 16], [59, 17, 38], [18, 39, 60], [40, 61, 19], [62, 20, 41], [63]
+    ];
+
+    // LDAP 方案：摘要算法与摘要长度（带 S 前缀的方案在摘要后附加盐）
+    const LDAP_SCHEMES = {
+        MD5: { hash: 'MD5', size: 16, hashcat: null, john: null },
+        SMD5: { hash: 'MD5', size: 16, salted: true, hashcat: null, john: null },
+        SHA: { hash: 'SHA-1', size: 20, hashcat: 101, john: 'nsldap' },
+        SSHA: { hash: 'SHA-1', size: 20, salted: true, hashcat: 111, john: 'salted-sha1' },
+        SHA256: { hash: 'SHA-256', size: 32, hashcat: null, john: null },
+        SSHA256: { hash: 'SHA-256', size: 32, salted: true, hashcat: 1411, john: null },
+        SHA512: { hash: 'SHA-512', size: 64, hashcat: null, john: null },
+        SSHA512: { hash: 'SHA-512', size: 64, salted: true, hashcat: 1711, john: 'ssha512' }
+    };
+
+    const encoder = new TextEncoder();
+
+    // ========== 基础函数 ==========
+
+    /**
+     * 计算摘要（MD5 使用 REOT.md，SHA 系列使用 WebCrypto）
+     * @param {string} name - MD5 / SHA-1 / SHA-256 / SHA-512
+     * @param {Uint8Array} data
+     * @returns {Promise<Uint8Array>}
+     */
+    async function digest(name, data) {
+        if (name === 'MD5') {
+            return root.REOT.md.md5(data);
+        }
+        return new Uint8Array(await crypto.subtle.digest(name, data));
+    }
+
+    /**
+     * HMAC-MD5（使用 HMAC 核心，tools/hashing/hmac/hmac-core.js）
+     * @param {Uint8Array} key
+     * @param {Uint8Array} data
+     * @returns {Promise<Uint8Array>}
+     */
+    async function hmacMd5(key, data) {
+        if (!root.REOT.hmac) {
+            throw new Error('HMAC 核心未加载');
+        }
+        return new Uint8Array(await root.REOT.hmac.calculate(data, key, 'MD5'));
+    }
+
+    /**
+     * 字符串的 UTF-16LE 编码
+     * @param {string} str
+     * @returns {Uint8Array}
+     */
+    function utf16le(str) {
+        const result = new Uint8Array(str.length * 2);
+        for (let i = 0; i < str.length; i++) {
+            const code = str.charCodeAt(i);
+            result[i * 2] = code & 0xff;
+            result[i * 2 + 1] = code >> 8;
+        }
+        return result;
+    }
+
+    /**
+     * 重复字节数组直到指定长度
+     * @param {Uint8Array} data
+     * @param {number} length
+     * @returns {Uint8Array}
+     */
+    function repeatTo(data, length) {
+        const result = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            result[i] = data[i % data.length];
+        }
+        return result;
+    }
+
+    // ========== 编码 ==========
+
+    /**
+     * crypt(3) 风格编码：按指定的字节顺序每 3 字节输出 4 个字符，低 6 位在前
+     * @param {Uint8Array} data
+     * @param {number[][]} order
+     * @returns {string}
+     */
+    function cryptEncode(data, order) {
+        let result = '';
+        order.forEach(group => {
+            let value = group.reduce((acc, index) => (acc << 8) | data[index], 0);
+            for (let i = 0; i <= group.length; i++) {
+                result += CRYPT_ALPHABET[value & 0x3f];
+                value >>= 6;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 读取 phpass / Drupal 7 的迭代次数对数，两者只定义了 7–30
+     * @param {string} ch - 代价字符
+     * @returns {number|null} 超出范围时返回 null
+     */
+    function portableCost(ch) {
+        const countLog2 = CRYPT_ALPHABET.indexOf(ch);
+        return countLog2 >= 7 && countLog2 <= 30 ? countLog2 : null;
+    }
+
+    /**
+     * phpass / Drupal 的编码（小端序，低 6 位在前）
+     * @param {Uint8Array} data
+     * @returns {string}
+     */
+    function portableEncode(data) {
+        let result = '';
+        for (let i = 0; i < data.length; i += 3) {
+            const chunk = data.subarray(i, i + 3);
+            let value = chunk.reduce((acc, byte, index) => acc | (byte << (index * 8)), 0);
+            for (let j = 0; j <= chunk.length; j++) {
+                result += CRYPT_ALPHABET[value & 0x3f];
+                value >>= 6;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 标准 Base64 换成 crypt 字母表（Cisco Type 8/9）
+     * @param {Uint8Array} data
+     * @returns {string}
+     */
+    function ciscoEncode(data) {
+        return Array.from(root.REOT.bytes.toBase64(data).replace(/=+$/, ''), char => CRYPT_ALPHABET[BASE64_ALPHABET.indexOf(char)]).join('');
+    }
+
+    /**
+     * PBKDF2 / Argon2 / scrypt 使用 KDF 工具的核心（tools/hashing/kdf/kdf-core.js）
+     * @returns {Object} REOT.kdf
+     */
+    function kdf() {
+        if (!root.REOT.kdf) {
+            throw new Error('KDF 核心未加载');
+        }
+        return root.REOT.kdf;
+    }
+
+    /**
+     * 解码 Cisco Type 7（可逆的异或混淆）
+     * @param {string} encoded - 两位十进制偏移 + 十六进制密文，例如 0822455D0A16
+     * @returns {string}
+     */
+    function decodeCisco7(encoded) {
+        const seed = parseInt(encoded.slice(0, 2), 10);
+        const bytes = root.REOT.bytes.fromHex(encoded.slice(2));
+        return Array.from(bytes, (byte, i) => String.fromCharCode(byte ^ CISCO7_KEY.charCodeAt((seed + i) % CISCO7_KEY.length))).join('');
+    }
+
+    // ========== crypt 算法 ==========
+
+    /**
+     * MD5-crypt（$1$、Apache $apr1$）
+     * @param {string} password
+     * @param {string} salt
+     * @param {string} magic - '$1$' 或 '$apr1$'
+     * @returns {string} 编码后的摘要部分
+     */
+    function md5Crypt(password, salt, magic) {
+        const md5 = root.REOT.md.md5;
+        const pw = encoder.encode(password);
+        const saltBytes = encoder.encode(salt);
+        const alternate = md5(root.REOT.bytes.concat([pw, saltBytes, pw]));
+
+        const parts = [pw, encoder.encode(magic), saltBytes];
+        for (let length = pw.length; length > 0; length -= 16) {
+            parts.push(alternate.subarray(0, Math.min(16, length)));
+        }
+        for (let i = pw.length; i > 0; i >>= 1) {
+            parts.push(i & 1 ? new Uint8Array(1) : pw.subarray(0, 1));
+        }
+
+        let result = md5(root.REOT.bytes.concat(parts));
+        for (let i = 0; i < 1000; i++) {
+            const round = [i & 1 ? pw : result];
+            if (i % 3) {
+                round.push(saltBytes);
+            }
+            if (i % 7) {
+                round.push(pw);
+            }
+            round.push(i & 1 ? result : pw);
+            result = md5(root.REOT.bytes.concat(round));
+        }
+        return cryptEncode(result, MD5_CRYPT_ORDER);
+    }
+
+    /**
+     * SHA-crypt（$5$ / $6$，Drepper 规范）
+     * @param {string} password
+     * @param {string} salt - 最多 16 个字符
+     * @param {number} rounds
+     * @param {number} bits - 256 或 512
+     * @returns {Promise<string>} 编码后的摘要部分
+     */
+    async function shaCrypt(password, salt, rounds, bits) {
+        const name = bits === 256 ? 'SHA-256' : 'SHA-512';
+        const size = bits / 8;
+        const pw = encoder.encode(password);
+        const saltBytes = encoder.encode(salt.slice(0, 16));
+
+        const alternate = await digest(name, root.REOT.bytes.concat([pw, saltBytes, pw]));
+        const parts = [pw, saltBytes];
+        for (let length = pw.length; length > 0; length -= size) {
+            parts.push(alternate.subarray(0, Math.min(size, length)));
+        }
+        for (let i = pw.length; i > 0; i >>= 1) {
+            parts.push(i & 1 ? alternate : pw);
+        }
+        const a = await digest(name, root.REOT.bytes.concat(parts));
+
+        const p = repeatTo(await digest(name, root.REOT.bytes.concat(Array(pw.length).fill(pw))), pw.length);
+        const s = repeatTo(await digest(name, root.REOT.bytes.concat(Array(16 + a[0]).fill(saltBytes))), saltBytes.length);
+
+        let c = a;
+        for (let i = 0; i < rounds; i++) {
+            const round = [i & 1 ? p : c];
+            if (i % 3) {
+                round.push(s);
+            }
+            if (i % 7) {
+                round.push(p);
+            }
+            round.push(i & 1 ? c : p);
+            c = await digest(name, root.REOT.bytes.concat(round));
+        }
+        return cryptEncode(c, bits === 256 ? SHA256_CRYPT_ORDER : SHA512_CRYPT_ORDER);
+    }
+
+    /**
+     * phpass（MD5）与 Drupal 7（SHA-512）的可移植哈希
+     * @param {string} name - MD5 或 SHA-512
+     * @param {string} password
+     * @param {string} salt - 8 个字符
+     * @param {number} countLog2 - 迭代次数的对数
+     * @returns {Promise<string>} 编码后的摘要部分
+     */
+    async function portableHash(name, password, salt, countLog2) {
+        const pw = encoder.encode(password);
+        let result = await digest(name, root.REOT.bytes.concat([encoder.encode(salt), pw]));
+        for (let i = 0; i < 2 ** countLog2; i++) {
+            result = await digest(name, root.REOT.bytes.concat([result, pw]));
+        }
+        return portableEncode(result);
+    }
+
+    // ========== 格式定义 ==========
+
+    /**
+     * 十六进制摘要比较（不区分大小写）
+     * @param {Uint8Array} data
+     * @param {string} hex
+     * @returns {boolean}
+     */
+    function hexEquals(data, hex) {
+        return root.REOT.bytes.toHex(data) === hex.toLowerCase();
+    }
+
+    /**
+     * SHA-crypt 格式
+     * @param {number} bits
+     * @returns {Object}
+     */
+    function shaCryptFormat(bits) {
+        const id = bits === 256 ? '5' : '6';
+        return {
+            id: `sha${bits}crypt`,
+            name: `SHA-${bits}crypt`,
+            hashcat: bits === 256 ? 7400 : 1800,
+            john: `sha${bits}crypt`,
+            pattern: new RegExp(`^\\$${id}\\$(?:rounds=(\\d+)\\$)?([^$]{0,16})\\$([./0-9A-Za-z]{${bits === 256 ? 43 : 86}})$`),
+            parse: m => ({
+                algorithm: `SHA-${bits}`,
+                params: { rounds: m[1] ? Math.min(999999999, Math.max(1000, parseInt(m[1], 10))) : 5000 },
+                salt: m[2],
+                digest: m[3]
+            }),
+            verify: async (m, password) => {
+                const rounds = m[1] ? Math.min(999999999, Math.max(1000, parseInt(m[1], 10))) : 5000;
+                return await shaCrypt(password, m[2], rounds, bits) === m[3];
+            }
+        };
+    }
+
+    /**
+     * 支持的结构化格式，按匹配优先级排列
+     * parse(match) 返回 { algorithm, params, salt, digest, plaintext? }，返回 null 表示不是该格式
+     * verify(match, password, hash) 返回 Promise<boolean>，未提供时表示无法在浏览器中验证
+     */
+    const FORMATS = [
+        {
+            id: 'bcrypt',
+            name: 'bcrypt',
+            hashcat: 3200,
+            john: 'bcrypt',
+            pattern: /^\$(2[abxy]?)\$(\d{2})\$([./A-Za-z0-9]{22})([./A-Za-z0-9]{31})$/,
+            parse: m => ({
+                algorithm: 'EksBlowfish',
+                params: { variant: m[1], cost: parseInt(m[2], 10) },
+                salt: m[3],
+                digest: m[4]
+            }),
+            verify: async (m, password, hash) => {
+                const bcrypt = await root.REOT.loader.load('bcrypt');
+                return bcrypt.compareSync(password, hash);
+            }
+        },
+        {
+            id: 'md5crypt',
+            name: 'MD5crypt / Cisco Type 5',
+            hashcat: 500,
+            john: 'md5crypt',
+            pattern: /^\$1\$([^$]{0,8})\$([./0-9A-Za-z]{22})$/,
+            parse: m => ({ algorithm: 'MD5', params: { rounds: 1000 }, salt: m[1], digest: m[2] }),
+            verify: async (m, password) => md5Crypt(password, m[1], '$1$') === m[2]
+        },
+        {
+            id: 'apr1',
+            name: 'Apache MD5 (apr1)',
+            hashcat: 1600,
+            john: 'md5crypt',
+            pattern: /^\$apr1\$([^$]{0,8})\$([./0-9A-Za-z]{22})$/,
+            parse: m => ({ algorithm: 'MD5', params: { rounds: 1000 }, salt: m[1], digest: m[2] }),
+            verify: async (m, password) => md5Crypt(password, m[1], '$apr1$') === m[2]
+        },
+        shaCryptFormat(256),
+        shaCryptFormat(512),
+        {
+            id: 'yescrypt',
+            name: 'yescrypt',
+            hashcat: null,
+            john: 'crypt',
+            pattern: /^\$y\$([./0-9A-Za-z]+)\$([./0-9A-Za-z]*)\$([./0-9A-Za-z]{43})$/,
+            parse: m => ({ algorithm: 'yescrypt', params: { params: m[1] }, salt: m[2], digest: m[3] })
+        },
+        {
+            id: 'argon2',
+            name: 'Argon2',
+            hashcat: 34000,
+            john: 'argon2',
+            pattern: /^\$(argon2(?:id|i|d))\$(?:v=(\d+)\$)?m=(\d+),t=(\d+),p=(\d+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/,
+            parse: m => ({
+                algorithm: m[1].replace('argon2', 'Argon2'),
+                params: { v: m[2] ? parseInt(m[2], 10) : 16, m: parseInt(m[3], 10), t: parseInt(m[4], 10), p: parseInt(m[5], 10) },
+                salt: m[6],
+                digest: m[7]
+            }),
+            verify: async (m, password, hash) => kdf().verifyPHC(hash, password)
+        },
+        {
+            id: 'scrypt',
+            name: 'scrypt (passlib)',
+            hashcat: 8900,
+            john: 'scrypt',
+            pattern: /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([./A-Za-z0-9]*)\$([./A-Za-z0-9]+)$/,
+            parse: m => ({
+                algorithm: 'scrypt',
+                params: { N: 2 ** parseInt(m[1], 10), r: parseInt(m[2], 10), p: parseInt(m[3], 10) },
+                salt: m[4],
+                digest: m[5]
+            }),
+            verify: async (m, password, hash) => kdf().verifyPHC(hash, password)
+        },
+        {
+            id: 'scrypt-hashcat',
+            name: 'scrypt (hashcat)',
+            hashcat: 8900,
+            john: 'scrypt',
+            pattern: /^SCRYPT:(\d+):(\d+):(\d+):([A-Za-z0-9+/]*=*):([A-Za-z0-9+/]+=*)$/,
+            parse: m => ({
+                algorithm: 'scrypt',
+                params: { N: parseInt(m[1], 10), r: parseInt(m[2], 10), p: parseInt(m[3], 10) },
+                salt: m[4],
+                digest: m[5]
+            }),
+            verify: async (m, password) => {
+                const digest = root.REOT.bytes.fromBase64(m[5]);
+                const key = await kdf().run({
+                    algorithm: 'scrypt',
+                    password,
+                    salt: root.REOT.bytes.fromBase64(m[4]),
+                    N: parseInt(m[1], 10),
+                    r: parseInt(m[2], 10),
+                    p: parseInt(m[3], 10),
+                    length: digest.length
+                });
+                return root.REOT.bytes.equals(key, digest);
+            }
+        },
+        {
+            id: 'cisco8',
+            name: 'Cisco Type 8',
+            hashcat: 9200,
+            john: 'pbkdf2-hmac-sha256',
+            pattern: /^\$8\$([./0-9A-Za-z]{14})\$([./0-9A-Za-z]{43})$/,
+            parse: m => ({ algorithm: 'PBKDF2-HMAC-SHA256', params: { iterations: 20000 }, salt: m[1], digest: m[2] }),
+            verify: async (m, password) => ciscoEncode(await kdf().pbkdf2(password, m[1], 20000, 32)) === m[2]
+        },
+        {
+            id: 'cisco9',
+            name: 'Cisco Type 9',
+            hashcat: 9300,
+            john: 'scrypt',
+            pattern: /^\$9\$([./0-9A-Za-z]{14})\$([./0-9A-Za-z]{43})$/,
+            parse: m => ({ algorithm: 'scrypt', params: { N: 16384, r: 1, p: 1 }, salt: m[1], digest: m[2] }),
+            verify: async (m, password) => {
+                const key = await kdf().run({ algorithm: 'scrypt', password, salt: encoder.encode(m[1]), N: 16384, r: 1, p: 1, length: 32 });
+                return ciscoEncode(key) === m[2];
+            }
+        },
+        {
+            id: 'phpass',
+            name: 'phpass (WordPress / phpBB3)',
+            hashcat: 400,
+            john: 'phpass',
+            pattern: /^\$[PH]\$([./0-9A-Za-z])([./0-9A-Za-z]{8})([./0-9A-Za-z]{22})$/,
+            parse: m => {
+                const countLog2 = portableCost(m[1]);
+                return countLog2 === null ? null : {
+                    algorithm: 'MD5',
+                    params: { rounds: 2 ** countLog2 },
+                    salt: m[2],
+                    digest: m[3]
+                };
+            },
+            verify: async (m, password) => await portableHash('MD5', password, m[2], portableCost(m[1])) === m[3]
+        },
+        {
+            id: 'drupal7',
+            name: 'Drupal 7',
+            hashcat: 7900,
+            john: 'drupal7',
+            pattern: /^\$S\$([./0-9A-Za-z])([./0-9A-Za-z]{8})([./0-9A-Za-z]{43})$/,
+            parse: m => {
+                const countLog2 = portableCost(m[1]);
+                return countLog2 === null ? null : {
+                    algorithm: 'SHA-512',
+                    params: { rounds: 2 ** countLog2 },
+                    salt: m[2],
+                    digest: m[3]
+                };
+            },
+            verify: async (m, password) => (await portableHash('SHA-512', password, m[2], portableCost(m[1]))).slice(0, 43) === m[3]
+        },
+        {
+            id: 'django-pbkdf2',
+            name: 'Django PBKDF2',
+            pattern: /^pbkdf2_(sha256|sha1)\$(\d+)\$([^$]+)\$([A-Za-z0-9+/]+=*)$/,
+            parse: m => ({
+                algorithm: `PBKDF2-HMAC-${m[1].toUpperCase()}`,
+                params: { iterations: parseInt(m[2], 10) },
+                salt: m[3],
+                digest: m[4],
+                hashcat: m[1] === 'sha256' ? 10000 : null,
+                john: m[1] === 'sha256' ? 'django' : null
+            }),
+            verify: async (m, password) => {
+                const expected = root.REOT.bytes.fromBase64(m[4]);
+                const hash = m[1] === 'sha256' ? 'SHA-256' : 'SHA-1';
+                const derived = await kdf().pbkdf2(password, m[3], parseInt(m[2], 10), expected.length, hash);
+                return root.REOT.bytes.equals(derived, expected);
+            }
+        },
+        {
+            id: 'django-salted',
+            name: 'Django (salted)',
+            pattern: /^(sha1|md5)\$([^$]*)\$([a-fA-F0-9]+)$/,
+            parse: m => {
+                if (m[3].length !== (m[1] === 'sha1' ? 40 : 32)) {
+                    return null;
+                }
+                return {
+                    algorithm: m[1] === 'sha1' ? 'SHA-1(salt + password)' : 'MD5(salt + password)',
+                    params: {},
+                    salt: m[2],
+                    digest: m[3],
+                    hashcat: m[1] === 'sha1' ? 124 : null,
+                    john: null
+                };
+            },
+            verify: async (m, password) => hexEquals(await digest(m[1] === 'sha1' ? 'SHA-1' : 'MD5', encoder.encode(m[2] + password)), m[3])
+        },
+        {
+            id: 'ldap',
+            name: 'LDAP',
+            pattern: /^\{(SSHA512|SSHA256|SSHA|SHA512|SHA256|SHA|SMD5|MD5)\}([A-Za-z0-9+/]+=*)$/i,
+            parse: m => {
+                const scheme = LDAP_SCHEMES[m[1].toUpperCase()];
+                const data = root.REOT.bytes.fromBase64(m[2]);
+                if (scheme.salted ? data.length <= scheme.size : data.length !== scheme.size) {
+                    return null;
+                }
+                return {
+                    algorithm: scheme.salted ? `${scheme.hash}(password + salt)` : scheme.hash,
+                    params: { scheme: `{${m[1].toUpperCase()}}` },
+                    salt: root.REOT.bytes.toHex(data.subarray(scheme.size)),
+                    digest: root.REOT.bytes.toHex(data.subarray(0, scheme.size)),
+                    hashcat: scheme.hashcat,
+                    john: scheme.john
+                };
+            },
+            verify: async (m, password) => {
+                const scheme = LDAP_SCHEMES[m[1].toUpperCase()];
+                const data = root.REOT.bytes.fromBase64(m[2]);
+                const result = await digest(scheme.hash, root.REOT.bytes.concat([encoder.encode(password), data.subarray(scheme.size)]));
+                return root.REOT.bytes.equals(result, data.subarray(0, scheme.size));
+            }
+        },
+        {
+            id: 'mysql41',
+            name: 'MySQL 4.1+',
+            hashcat: 300,
+            john: 'mysql-sha1',
+            pattern: /^\*([A-Fa-f0-9]{40})$/,
+            parse: m => ({ algorithm: 'SHA-1(SHA-1(password))', params: {}, salt: '', digest: m[1] }),
+            verify: async (m, password) => hexEquals(await digest('SHA-1', await digest('SHA-1', encoder.encode(password))), m[1])
+        },
+        {
+            id: 'netntlmv2',
+            name: 'NetNTLMv2',
+            hashcat: 5600,
+            john: 'netntlmv2',
+            pattern: /^([^:]*)::([^:]*):([0-9a-fA-F]{16}):([0-9a-fA-F]{32}):([0-9a-fA-F]+)$/,
+            parse: m => ({
+                algorithm: 'HMAC-MD5(NTLM)',
+                params: { user: m[1], domain: m[2] },
+                salt: `${m[3]}（服务器挑战）`,
+                digest: m[4]
+            }),
+            verify: async (m, password) => {
+                const bytes = root.REOT.bytes;
+                const key = await hmacMd5(root.REOT.md.ntlm(password), utf16le(m[1].toUpperCase() + m[2]));
+                return hexEquals(await hmacMd5(key, bytes.concat([bytes.fromHex(m[3]), bytes.fromHex(m[5])])), m[4]);
+            }
+        },
+        {
+            id: 'netntlmv1',
+            name: 'NetNTLMv1',
+            hashcat: 5500,
+            john: 'netntlm',
+            pattern: /^([^:]*)::([^:]*):([0-9a-fA-F]{48}):([0-9a-fA-F]{48}):([0-9a-fA-F]{16})$/,
+            parse: m => ({
+                algorithm: 'DES(NTLM)',
+                params: { user: m[1], domain: m[2] },
+                salt: `${m[5]}（服务器挑战）`,
+                digest: m[4]
+            })
+        },
+        {
+            id: 'oracle11',
+            name: 'Oracle 11g',
+            hashcat: 112,
+            john: 'oracle11',
+            pattern: /^S:([0-9A-Fa-f]{40})([0-9A-Fa-f]{20})$/i,
+            parse: m => ({ algorithm: 'SHA-1(password + salt)', params: {}, salt: m[2], digest: m[1] }),
+            verify: async (m, password) => hexEquals(await digest('SHA-1', root.REOT.bytes.concat([encoder.encode(password), root.REOT.bytes.fromHex(m[2])])), m[1])
+        },
+        {
+            id: 'postgres-md5',
+            name: 'PostgreSQL MD5',
+            hashcat: 12,
+            john: 'dynamic_1034',
+            pattern: /^md5([0-9a-fA-F]{32})$/,
+            parse: m => ({ algorithm: 'MD5(password + username)', params: {}, salt: '（用户名）', digest: m[1] })
+        },
+        {
+            id: 'cisco7',
+            name: 'Cisco Type 7',
+            hashcat: null,
+            john: null,
+            pattern: /^(?:7\s+)?([01][0-9](?:[0-9A-Fa-f]{2})+)$/,
+            parse: m => {
+                if (parseInt(m[1].slice(0, 2), 10) > 15) {
+                    return null;
+                }
+                const plaintext = decodeCisco7(m[1]);
+                // 随机的十六进制串（如 MD5）解码后几乎不可能全是可打印字符
+                if (!/^[\x20-\x7e]+$/.test(plaintext)) {
+                    return null;
+                }
+                return { algorithm: 'XOR（可逆）', params: { offset: parseInt(m[1].slice(0, 2), 10) }, salt: '', digest: m[1].slice(2), plaintext };
+            },
+            verify: async (m, password) => decodeCisco7(m[1]) === password
+        },
+        {
+            id: 'descrypt',
+            name: 'DES crypt',
+            hashcat: 1500,
+            john: 'descrypt',
+            pattern: /^([./0-9A-Za-z]{2})([./0-9A-Za-z]{11})$/,
+            parse: m => ({ algorithm: 'DES', params: { rounds: 25 }, salt: m[1], digest: m[2] })
+        }
+    ];
+
+    /**
+     * 查找匹配的格式
+     * @param {string} hash
+     * @returns {{format: Object, match: Array, details: Object}|null}
+     */
+    function match(hash) {
+        const value = hash.trim();
+        for (const format of FORMATS) {
+            const m = format.pattern.exec(value);
+            if (!m) {
+                continue;
+            }
+            const details = format.parse(m);
+            if (details) {
+                return { format, match: m, details };
+            }
+        }
+        return null;
+    }
+
+    root.REOT.hashFormats = {
+        FORMATS,
+
+        decodeCisco7,
+
+        /**
+         * 解析结构化哈希
+         * @param {string} hash
+         * @returns {{id: string, name: string, algorithm: string, params: Object, salt: string, digest: string,
+         *           hashcat: number|null, john: string|null, verifiable: boolean, plaintext?: string}|null}
+         */
+        parse(hash) {
+            const found = match(hash);
+            if (!found) {
+                return null;
+            }
+            return {
+                id: found.format.id,
+                name: found.format.name,
+                hashcat: found.format.hashcat ?? null,
+                john: found.format.john ?? null,
+                verifiable: typeof found.format.verify === 'function',
+                ...found.details
+            };
+        },
+
+        /**
+         * 验证候选口令
+         * @param {string} hash
+         * @param {string} password
+         * @returns {Promise<boolean>}
+         */
+        async verify(hash, password) {
+            const found = match(hash);
+            if (!found) {
+                throw new Error('无法识别的哈希格式');
+            }
+            if (typeof found.format.verify !== 'function') {
+                throw new Error(`${found.format.name} 不支持在浏览器中验证`);
+            }
+            return found.format.verify(found.match, password, hash.trim());
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -12,29 +12,29 @@
     const HASH_TYPES = [
         // CRC 校验
         { name: 'CRC16', length: 4, pattern: /^[a-fA-F0-9]{4}$/, confidence: 'low', description: 'CRC-16 校验码' },
-        { name: 'CRC32', length: 8, pattern: /^[a-fA-F0-9]{8}$/, confidence: 'medium', description: 'CRC-32 校验码' },
+        { name: 'CRC32', length: 8, pattern: /^[a-fA-F0-9]{8}$/, confidence: 'medium', description: 'CRC-32 校验码', hashcat: 11500, john: 'crc32' },
         { name: 'CRC64', length: 16, pattern: /^[a-fA-F0-9]{16}$/, confidence: 'low', description: 'CRC-64 校验码' },
 
         // MD 系列
-        { name: 'MD4', length: 32, pattern: /^[a-fA-F0-9]{32}$/, confidence: 'low', description: 'MD4 消息摘要' },
-        { name: 'MD5', length: 32, pattern: /^[a-fA-F0-9]{32}$/, confidence: 'high', description: 'MD5 消息摘要（最常见）' },
+        { name: 'MD4', length: 32, pattern: /^[a-fA-F0-9]{32}$/, confidence: 'low', description: 'MD4 消息摘要', hashcat: 900, john: 'raw-md4' },
+        { name: 'MD5', length: 32, pattern: /^[a-fA-F0-9]{32}$/, confidence: 'high', description: 'MD5 消息摘要（最常见）', hashcat: 0, john: 'raw-md5' },
 
         // SHA 系列
-        { name: 'SHA-1', length: 40, pattern: /^[a-fA-F0-9]{40}$/, confidence: 'high', description: 'SHA-1 哈希' },
-        { name: 'SHA-224', length: 56, pattern: /^[a-fA-F0-9]{56}$/, confidence: 'medium', description: 'SHA-224 哈希' },
-        { name: 'SHA-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'high', description: 'SHA-256 哈希（最常用）' },
-        { name: 'SHA-384', length: 96, pattern: /^[a-fA-F0-9]{96}$/, confidence: 'high', description: 'SHA-384 哈希' },
-        { name: 'SHA-512', length: 128, pattern: /^[a-fA-F0-9]{128}$/, confidence: 'high', description: 'SHA-512 哈希' },
+        { name: 'SHA-1', length: 40, pattern: /^[a-fA-F0-9]{40}$/, confidence: 'high', description: 'SHA-1 哈希', hashcat: 100, john: 'raw-sha1' },
+        { name: 'SHA-224', length: 56, pattern: /^[a-fA-F0-9]{56}$/, confidence: 'medium', description: 'SHA-224 哈希', hashcat: 1300, john: 'raw-sha224' },
+        { name: 'SHA-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'high', description: 'SHA-256 哈希（最常用）', hashcat: 1400, john: 'raw-sha256' },
+        { name: 'SHA-384', length: 96, pattern: /^[a-fA-F0-9]{96}$/, confidence: 'high', description: 'SHA-384 哈希', hashcat: 10800, john: 'raw-sha384' },
+        { name: 'SHA-512', length: 128, pattern: /^[a-fA-F0-9]{128}$/, confidence: 'high', description: 'SHA-512 哈希', hashcat: 1700, john: 'raw-sha512' },
 
         // SHA-3 系列
-        { name: 'SHA3-224', length: 56, pattern: /^[a-fA-F0-9]{56}$/, confidence: 'low', description: 'SHA3-224 哈希' },
-        { name: 'SHA3-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'SHA3-256 哈希' },
-        { name: 'SHA3-384', length: 96, pattern: /^[a-fA-F0-9]{96}$/, confidence: 'low', description: 'SHA3-384 哈希' },
-        { name: 'SHA3-512', length: 128, pattern: /^[a-fA-F0-9]{128}$/, confidence: 'low', description: 'SHA3-512 哈希' },
+        { name: 'SHA3-224', length: 56, pattern: /^[a-fA-F0-9]{56}$/, confidence: 'low', description: 'SHA3-224 哈希', hashcat: 17300 },
+        { name: 'SHA3-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'SHA3-256 哈希', hashcat: 17400 },
+        { name: 'SHA3-384', length: 96, pattern: /^[a-fA-F0-9]{96}$/, confidence: 'low', description: 'SHA3-384 哈希', hashcat: 17500 },
+        { name: 'SHA3-512', length: 128, pattern: /^[a-fA-F0-9]{128}$/, confidence: 'low', description: 'SHA3-512 哈希', hashcat: 17600, john: 'raw-sha3' },
 
         // RIPEMD
-        { name: 'RIPEMD-128', length: 32, pattern: /^[a-fA-F0-9]{32}$/, confidence: 'low', description: 'RIPEMD-128 哈希' },
-        { name: 'RIPEMD-160', length: 40, pattern: /^[a-fA-F0-9]{40}$/, confidence: 'medium', description: 'RIPEMD-160 哈希（比特币地址）' },
+        { name: 'RIPEMD-128', length: 32, pattern: /^[a-fA-F0-9]{32}$/, confidence: 'low', description: 'RIPEMD-128 哈希', john: 'ripemd-128' },
+        { name: 'RIPEMD-160', length: 40, pattern: /^[a-fA-F0-9]{40}$/, confidence: 'medium', description: 'RIPEMD-160 哈希（比特币地址）', hashcat: 6000, john: 'ripemd-160' },
         { name: 'RIPEMD-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'RIPEMD-256 哈希' },
         { name: 'RIPEMD-320', length: 80, pattern: /^[a-fA-F0-9]{80}$/, confidence: 'medium', description: 'RIPEMD-320 哈希' },
 
@@ -42,50 +42,53 @@
         { name: 'BLAKE2s-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'BLAKE2s-256 哈希' },
         { name: 'BLAKE2b-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'BLAKE2b-256 哈希' },
         { name: 'BLAKE2b-384', length: 96, pattern: /^[a-fA-F0-9]{96}$/, confidence: 'low', description: 'BLAKE2b-384 哈希' },
-        { name: 'BLAKE2b-512', length: 128, pattern: /^[a-fA-F0-9]{128}$/, confidence: 'low', description: 'BLAKE2b-512 哈希' },
+        { name: 'BLAKE2b-512', length: 128, pattern: /^[a-fA-F0-9]{128}$/, confidence: 'low', description: 'BLAKE2b-512 哈希', hashcat: 600, john: 'raw-blake2' },
 
         // Windows/NTLM
-        { name: 'NTLM', length: 32, pattern: /^[a-fA-F0-9]{32}$/, confidence: 'low', description: 'Windows NTLM 哈希' },
-        { name: 'LM', length: 32, pattern: /^[a-fA-F0-9]{32}$/, confidence: 'low', description: 'Windows LAN Manager 哈希' },
+        { name: 'NTLM', length: 32, pattern: /^[a-fA-F0-9]{32}$/, confidence: 'low', description: 'Windows NTLM 哈希', hashcat: 1000, john: 'nt' },
+        { name: 'LM', length: 32, pattern: /^[a-fA-F0-9]{32}$/, confidence: 'low', description: 'Windows LAN Manager 哈希', hashcat: 3000, john: 'lm' },
 
         // MySQL
-        { name: 'MySQL 3.x', length: 16, pattern: /^[a-fA-F0-9]{16}$/, confidence: 'medium', description: 'MySQL 3.x 密码哈希' },
-        { name: 'MySQL 4.x/5.x', length: 41, pattern: /^\*[a-fA-F0-9]{40}$/, confidence: 'high', description: 'MySQL 4.x/5.x 密码哈希' },
+        { name: 'MySQL 3.x', length: 16, pattern: /^[a-fA-F0-9]{16}$/, confidence: 'medium', description: 'MySQL 3.x 密码哈希', hashcat: 200, john: 'mysql' },
+        { name: 'MySQL 4.x/5.x', length: 41, pattern: /^\*[a-fA-F0-9]{40}$/, confidence: 'high', description: 'MySQL 4.x/5.x 密码哈希', hashcat: 300, john: 'mysql-sha1' },
 
         // bcrypt
-        { name: 'bcrypt', length: 60, pattern: /^\$2[aby]?\$\d{2}\$[./A-Za-z0-9]{53}$/, confidence: 'high', description: 'bcrypt 密码哈希' },
+        { name: 'bcrypt', length: 60, pattern: /^\$2[abxy]?\$\d{2}\$[./A-Za-z0-9]{53}$/, confidence: 'high', description: 'bcrypt 密码哈希', hashcat: 3200, john: 'bcrypt' },
 
         // Argon2
-        { name: 'Argon2i', pattern: /^\$argon2i\$/, confidence: 'high', description: 'Argon2i 密码哈希' },
-        { name: 'Argon2d', pattern: /^\$argon2d\$/, confidence: 'high', description: 'Argon2d 密码哈希' },
-        { name: 'Argon2id', pattern: /^\$argon2id\$/, confidence: 'high', description: 'Argon2id 密码哈希（推荐）' },
+        { name: 'Argon2i', pattern: /^\$argon2i\$/, confidence: 'high', description: 'Argon2i 密码哈希', hashcat: 34000, john: 'argon2' },
+        { name: 'Argon2d', pattern: /^\$argon2d\$/, confidence: 'high', description: 'Argon2d 密码哈希', hashcat: 34000, john: 'argon2' },
+        { name: 'Argon2id', pattern: /^\$argon2id\$/, confidence: 'high', description: 'Argon2id 密码哈希（推荐）', hashcat: 34000, john: 'argon2' },
 
         // scrypt
-        { name: 'scrypt', pattern: /^\$scrypt\$/, confidence: 'high', description: 'scrypt 密码哈希' },
+        { name: 'scrypt', pattern: /^\$scrypt\$/, confidence: 'high', description: 'scrypt 密码哈希', hashcat: 8900, john: 'scrypt' },
+        { name: 'scrypt (hashcat)', pattern: /^SCRYPT:\d+:\d+:\d+:/, confidence: 'high', description: 'hashcat 格式的 scrypt 哈希', hashcat: 8900, john: 'scrypt' },
 
         // Unix crypt
-        { name: 'MD5crypt', pattern: /^\$1\$[./0-9A-Za-z]{8}\$[./0-9A-Za-z]{22}$/, confidence: 'high', description: 'MD5crypt (Unix)' },
-        { name: 'SHA-256crypt', pattern: /^\$5\$(rounds=\d+\$)?[./0-9A-Za-z]+\$[./0-9A-Za-z]{43}$/, confidence: 'high', description: 'SHA-256crypt (Unix)' },
-        { name: 'SHA-512crypt', pattern: /^\$6\$(rounds=\d+\$)?[./0-9A-Za-z]+\$[./0-9A-Za-z]{86}$/, confidence: 'high', description: 'SHA-512crypt (Unix)' },
-        { name: 'Blowfish crypt', pattern: /^\$2[aby]?\$\d{2}\$/, confidence: 'high', description: 'Blowfish crypt (Unix)' },
+        { name: 'MD5crypt', pattern: /^\$1\$[^$]{0,8}\$[./0-9A-Za-z]{22}$/, confidence: 'high', description: 'MD5crypt (Unix)', hashcat: 500, john: 'md5crypt' },
+        { name: 'SHA-256crypt', pattern: /^\$5\$(rounds=\d+\$)?[./0-9A-Za-z]+\$[./0-9A-Za-z]{43}$/, confidence: 'high', description: 'SHA-256crypt (Unix)', hashcat: 7400, john: 'sha256crypt' },
+        { name: 'SHA-512crypt', pattern: /^\$6\$(rounds=\d+\$)?[./0-9A-Za-z]+\$[./0-9A-Za-z]{86}$/, confidence: 'high', description: 'SHA-512crypt (Unix)', hashcat: 1800, john: 'sha512crypt' },
+        { name: 'Apache MD5 (apr1)', pattern: /^\$apr1\$[^$]{0,8}\$[./0-9A-Za-z]{22}$/, confidence: 'high', description: 'Apache htpasswd MD5', hashcat: 1600, john: 'md5crypt' },
+        { name: 'yescrypt', pattern: /^\$y\$[./0-9A-Za-z]+\$[./0-9A-Za-z]*\$[./0-9A-Za-z]{43}$/, confidence: 'high', description: 'yescrypt (新版 Linux 发行版默认)', john: 'crypt' },
+        { name: 'Blowfish crypt', pattern: /^\$2[aby]?\$\d{2}\$/, confidence: 'high', description: 'Blowfish crypt (Unix)', hashcat: 3200, john: 'bcrypt' },
 
         // DES crypt
-        { name: 'DES crypt', length: 13, pattern: /^[./0-9A-Za-z]{13}$/, confidence: 'medium', description: 'DES crypt (传统 Unix)' },
+        { name: 'DES crypt', length: 13, pattern: /^[./0-9A-Za-z]{13}$/, confidence: 'medium', description: 'DES crypt (传统 Unix)', hashcat: 1500, john: 'descrypt' },
 
         // PBKDF2
         { name: 'PBKDF2-SHA1', pattern: /^pbkdf2_sha1\$/, confidence: 'high', description: 'PBKDF2-SHA1 (Django)' },
-        { name: 'PBKDF2-SHA256', pattern: /^pbkdf2_sha256\$/, confidence: 'high', description: 'PBKDF2-SHA256 (Django)' },
+        { name: 'PBKDF2-SHA256', pattern: /^pbkdf2_sha256\$/, confidence: 'high', description: 'PBKDF2-SHA256 (Django)', hashcat: 10000, john: 'django' },
 
         // 其他
-        { name: 'Whirlpool', length: 128, pattern: /^[a-fA-F0-9]{128}$/, confidence: 'low', description: 'Whirlpool 哈希' },
+        { name: 'Whirlpool', length: 128, pattern: /^[a-fA-F0-9]{128}$/, confidence: 'low', description: 'Whirlpool 哈希', hashcat: 6100, john: 'whirlpool' },
         { name: 'Tiger-192', length: 48, pattern: /^[a-fA-F0-9]{48}$/, confidence: 'medium', description: 'Tiger-192 哈希' },
         { name: 'Snefru-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'Snefru-256 哈希' },
-        { name: 'GOST R 34.11-94', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'GOST R 34.11-94 哈希' },
+        { name: 'GOST R 34.11-94', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'GOST R 34.11-94 哈希', hashcat: 6900, john: 'gost' },
         { name: 'Haval-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'Haval-256 哈希' },
 
         // Keccak
-        { name: 'Keccak-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'Keccak-256 哈希（以太坊）' },
-        { name: 'Keccak-512', length: 128, pattern: /^[a-fA-F0-9]{128}$/, confidence: 'low', description: 'Keccak-512 哈希' },
+        { name: 'Keccak-256', length: 64, pattern: /^[a-fA-F0-9]{64}$/, confidence: 'low', description: 'Keccak-256 哈希（以太坊）', hashcat: 17800, john: 'raw-keccak-256' },
+        { name: 'Keccak-512', length: 128, pattern: /^[a-fA-F0-9]{128}$/, confidence: 'low', description: 'Keccak-512 哈希', hashcat: 18000, john: 'raw-keccak' },
 
         // xxHash
         { name: 'xxHash32', length: 8, pattern: /^[a-fA-F0-9]{8}$/, confidence: 'low', description: 'xxHash32 非加密哈希' },
@@ -108,30 +111,65 @@
         { name: 'Base64 SHA-256', length: 44, pattern: /^[A-Za-z0-9+/]{43}=$/, confidence: 'medium', description: 'Base64 编码的 SHA-256' },
 
         // Oracle
-        { name: 'Oracle 10g', length: 16, pattern: /^[a-fA-F0-9]{16}$/, confidence: 'low', description: 'Oracle 10g 密码哈希' },
-        { name: 'Oracle 11g', length: 40, pattern: /^S:[a-fA-F0-9]{40}$/i, confidence: 'high', description: 'Oracle 11g 密码哈希' },
+        { name: 'Oracle 10g', length: 16, pattern: /^[a-fA-F0-9]{16}$/, confidence: 'low', description: 'Oracle 10g 密码哈希', hashcat: 3100, john: 'oracle' },
+        { name: 'Oracle 11g', length: 62, pattern: /^S:[a-fA-F0-9]{60}$/i, confidence: 'high', description: 'Oracle 11g 密码哈希', hashcat: 112, john: 'oracle11' },
 
         // PostgreSQL
-        { name: 'PostgreSQL MD5', length: 35, pattern: /^md5[a-fA-F0-9]{32}$/, confidence: 'high', description: 'PostgreSQL MD5 密码哈希' },
+        { name: 'PostgreSQL MD5', length: 35, pattern: /^md5[a-fA-F0-9]{32}$/, confidence: 'high', description: 'PostgreSQL MD5 密码哈希', john: 'dynamic_1034' },
 
         // Cisco
-        { name: 'Cisco Type 5', pattern: /^\$1\$[./0-9A-Za-z]{4}\$[./0-9A-Za-z]{22}$/, confidence: 'high', description: 'Cisco IOS Type 5 密码' },
+        { name: 'Cisco Type 5', pattern: /^\$1\$[./0-9A-Za-z]{4}\$[./0-9A-Za-z]{22}$/, confidence: 'high', description: 'Cisco IOS Type 5 密码', hashcat: 500, john: 'md5crypt' },
+        { name: 'Cisco Type 8', pattern: /^\$8\$[./0-9A-Za-z]{14}\$[./0-9A-Za-z]{43}$/, confidence: 'high', description: 'Cisco IOS Type 8 密码（PBKDF2-SHA256）', hashcat: 9200, john: 'pbkdf2-hmac-sha256' },
+        { name: 'Cisco Type 9', pattern: /^\$9\$[./0-9A-Za-z]{14}\$[./0-9A-Za-z]{43}$/, confidence: 'high', description: 'Cisco IOS Type 9 密码（scrypt）', hashcat: 9300, john: 'scrypt' },
         { name: 'Cisco Type 7', pattern: /^[0-9]{2}[0-9A-Fa-f]+$/, confidence: 'low', description: 'Cisco IOS Type 7 密码（可逆）' },
 
         // Wordpress
-        { name: 'WordPress (phpass)', pattern: /^\$P\$[./0-9A-Za-z]{31}$/, confidence: 'high', description: 'WordPress 密码哈希' },
+        { name: 'WordPress (phpass)', pattern: /^\$P\$[./0-9A-Za-z]{31}$/, confidence: 'high', description: 'WordPress 密码哈希', hashcat: 400, john: 'phpass' },
+
+        // phpBB3
+        { name: 'phpBB3 (phpass)', pattern: /^\$H\$[./0-9A-Za-z]{31}$/, confidence: 'high', description: 'phpBB3 密码哈希', hashcat: 400, john: 'phpass' },
 
         // Drupal
-        { name: 'Drupal 7', pattern: /^\$S\$[./0-9A-Za-z]{52}$/, confidence: 'high', description: 'Drupal 7 密码哈希' },
+        { name: 'Drupal 7', pattern: /^\$S\$[./0-9A-Za-z]{52}$/, confidence: 'high', description: 'Drupal 7 密码哈希', hashcat: 7900, john: 'drupal7' },
 
         // Joomla
-        { name: 'Joomla 2.5.18+', pattern: /^\$2[ay]\$\d{2}\$[./A-Za-z0-9]{53}$/, confidence: 'high', description: 'Joomla 2.5.18+ 密码哈希' },
+        { name: 'Joomla 2.5.18+', pattern: /^\$2[ay]\$\d{2}\$[./A-Za-z0-9]{53}$/, confidence: 'high', description: 'Joomla 2.5.18+ 密码哈希', hashcat: 3200, john: 'bcrypt' },
+
+        // LDAP
+        { name: 'LDAP {SHA}', pattern: /^\{SHA\}[A-Za-z0-9+/]{27}=$/i, confidence: 'high', description: 'LDAP SHA-1 密码', hashcat: 101, john: 'nsldap' },
+        { name: 'LDAP {SSHA}', pattern: /^\{SSHA\}[A-Za-z0-9+/]+=*$/i, confidence: 'high', description: 'LDAP 加盐 SHA-1 密码', hashcat: 111, john: 'salted-sha1' },
+        { name: 'LDAP {SSHA256}', pattern: /^\{SSHA256\}[A-Za-z0-9+/]+=*$/i, confidence: 'high', description: 'LDAP 加盐 SHA-256 密码', hashcat: 1411 },
+        { name: 'LDAP {SSHA512}', pattern: /^\{SSHA512\}[A-Za-z0-9+/]+=*$/i, confidence: 'high', description: 'LDAP 加盐 SHA-512 密码', hashcat: 1711, john: 'ssha512' },
+        { name: 'LDAP {MD5}', pattern: /^\{S?MD5\}[A-Za-z0-9+/]+=*$/i, confidence: 'high', description: 'LDAP MD5 / 加盐 MD5 密码' },
+
+        // NetNTLM（Responder 等工具抓取的挑战响应）
+        { name: 'NetNTLMv1', pattern: /^[^:]*::[^:]*:[a-fA-F0-9]{48}:[a-fA-F0-9]{48}:[a-fA-F0-9]{16}$/, confidence: 'high', description: 'NetNTLMv1 挑战响应', hashcat: 5500, john: 'netntlm' },
+        { name: 'NetNTLMv2', pattern: /^[^:]*::[^:]*:[a-fA-F0-9]{16}:[a-fA-F0-9]{32}:[a-fA-F0-9]+$/, confidence: 'high', description: 'NetNTLMv2 挑战响应', hashcat: 5600, john: 'netntlmv2' },
 
         // Django
-        { name: 'Django SHA-1', pattern: /^sha1\$[a-zA-Z0-9]+\$[a-fA-F0-9]{40}$/, confidence: 'high', description: 'Django SHA-1 密码哈希' },
+        { name: 'Django SHA-1', pattern: /^sha1\$[a-zA-Z0-9]+\$[a-fA-F0-9]{40}$/, confidence: 'high', description: 'Django SHA-1 密码哈希', hashcat: 124 },
         { name: 'Django MD5', pattern: /^md5\$[a-zA-Z0-9]+\$[a-fA-F0-9]{32}$/, confidence: 'high', description: 'Django MD5 密码哈希' }
     ];
 
+    // 可以字典破解的类型：识别结果名称 → 破解算法
+    const CRACKABLE_TYPES = {
+        'MD5': 'md5',
+        'MD4': 'md4',
+        'NTLM': 'ntlm',
+        'SHA-1': 'sha1',
+        'RIPEMD-160': 'ripemd160',
+        'SHA-256': 'sha256',
+        'SHA-384': 'sha384',
+        'SHA-512': 'sha512'
+    };
+
+    // 已加载的字典文件与正在运行的破解任务
+    let wordlistFile = null;
+    let crackJob = null;
+
+    // 当前显示的哈希（验证口令时按序号取用）
+    let identifiedHashes = [];
+
     /**
      * 识别哈希类型
      * @param {string} hash - 哈希字符串
@@ -155,7 +193,9 @@
                 results.push({
                     name: type.name,
                     confidence: type.confidence,
-                    description: type.description
+                    description: type.description,
+                    hashcat: type.hashcat ?? null,
+                    john: type.john || null
                 });
             }
         }
@@ -191,6 +231,25 @@
         return info;
     }
 
+    /**
+     * 根据识别结果推荐破解算法：取第一个能识别为可破解类型的字段
+     * （每行按 : 分隔，从后往前查找，兼容 user:hash 和 pwdump 格式）
+     * @param {string} text - 一个或多个哈希（每行一个）
+     * @returns {string|null} 破解算法，无法确定时返回 null
+     */
+    function suggestAlgorithm(text) {
+        for (const line of text.split('\n')) {
+            const fields = line.split(':').map(field => field.trim()).filter(field => field !== '').reverse();
+            for (const field of fields) {
+                const type = identifyHash(field).find(item => CRACKABLE_TYPES[item.name]);
+                if (type) {
+                    return CRACKABLE_TYPES[type.name];
+                }
+            }
+        }
+        return null;
+    }
+
     // ========== 渲染函数 ==========
 
     function escapeHtml(str) {
@@ -199,13 +258,64 @@
         return div.innerHTML;
     }
 
-    function renderResults(hashes) {
+    /**
+     * 渲染结构化格式的解析结果和口令验证入口
+     * @param {Object} parsed - REOT.hashFormats.parse 的返回值
+     * @param {number} index - 哈希序号
+     * @returns {string}
+     */
+    function renderFormatDetails(parsed, index) {
+        const rows = [
+            [REOT.i18n.t('tools.hash-identifier.formatName', '格式'), escapeHtml(parsed.name)],
+            [REOT.i18n.t('tools.hash-identifier.algorithm', '算法'), escapeHtml(parsed.algorithm)]
+        ];
+        const params = Object.entries(parsed.params).map(([key, value]) => `${key}=${value}`).join(', ');
+        if (params) {
+            rows.push([REOT.i18n.t('tools.hash-identifier.params', '参数'), `<code>${escapeHtml(params)}</code>`]);
+        }
+        if (parsed.salt) {
+            rows.push([REOT.i18n.t('tools.hash-identifier.salt', '盐'), `<code>${escapeHtml(parsed.salt)}</code>`]);
+        }
+        rows.push([REOT.i18n.t('tools.hash-identifier.digest', '摘要'), `<code>${escapeHtml(parsed.digest)}</code>`]);
+        if (parsed.plaintext !== undefined) {
+            rows.push([REOT.i18n.t('tools.hash-identifier.plaintext', '明文'), `<code class="format-plaintext">${escapeHtml(parsed.plaintext)}</code>`]);
+        }
+        if (parsed.hashcat !== null) {
+            rows.push(['hashcat', `<code>-m ${parsed.hashcat}</code>`]);
+        }
+        if (parsed.john) {
+            rows.push(['John', `<code>--format=${escapeHtml(parsed.john)}</code>`]);
+        }
+
+        let html = '<div class="result-format">';
+        html += `<div class="result-types-label">${REOT.i18n.t('tools.hash-identifier.parsed', '格式解析')}</div>`;
+        html += `<dl class="format-details">${rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl>`;
+        if (parsed.verifiable) {
+            html += `<div class="verify-row">
+                <input type="text" class="form-input verify-input" data-index="${index}" placeholder="${REOT.i18n.t('tools.hash-identifier.candidatePassword', '候选口令')}" autocomplete="off">
+                <button class="btn btn--sm btn--outline verify-btn" data-index="${index}">${REOT.i18n.t('tools.hash-identifier.verify', '验证')}</button>
+                <span class="verify-result" data-index="${index}"></span>
+            </div>`;
+        } else {
+            html += `<div class="verify-note">${REOT.i18n.t('tools.hash-identifier.verifyUnsupported', '该格式暂不支持在浏览器中验证口令')}</div>`;
+        }
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * 渲染识别结果
+     * @param {string[]} hashes
+     * @param {Object|null} formats - REOT.hashFormats，未加载时不显示结构化解析
+     */
+    function renderResults(hashes, formats) {
         const resultList = document.getElementById('result-list');
         if (!resultList) return;
 
         let html = '';
+        identifiedHashes = hashes;
 
-        for (const hash of hashes) {
+        hashes.forEach((hash, index) => {
             const types = identifyHash(hash);
             const info = getHashInfo(hash);
 
@@ -237,6 +347,9 @@
                     html += `<div class="type-tag ${type.confidence}-confidence">`;
                     html += `<span class="type-name">${escapeHtml(type.name)}</span>`;
                     html += `<span class="type-confidence">${getConfidenceLabel(type.confidence)}</span>`;
+                    if (type.hashcat !== null) {
+                        html += `<span class="type-mode" title="hashcat -m ${type.hashcat}${type.john ? ` / john --format=${escapeHtml(type.john)}` : ''}">-m ${type.hashcat}</span>`;
+                    }
                     html += `</div>`;
                 }
                 html += `</div>`;
@@ -245,11 +358,25 @@
                 if (types.length > 0) {
                     html += `<div class="type-description">${escapeHtml(types[0].description)}</div>`;
                 }
+
+                // 结构化格式（crypt、LDAP、NetNTLM 等）显示参数、盐和摘要
+                const parsed = formats?.parse(hash);
+                if (parsed) {
+                    html += renderFormatDetails(parsed, index);
+                }
+
+                // 可以字典破解时显示破解入口
+                const crackable = types.find(type => CRACKABLE_TYPES[type.name]);
+                if (crackable) {
+                    html += `<div class="result-crack">
+                        <button class="btn btn--sm btn--outline crack-as-btn" data-algorithm="${CRACKABLE_TYPES[crackable.name]}">${REOT.i18n.t('tools.hash-identifier.crackAs', '字典破解')} (${escapeHtml(crackable.name)})</button>
+                    </div>`;
+                }
             }
 
             html += `</div>`;
             html += `</div>`;
-        }
+        });
 
         resultList.innerHTML = html;
     }
@@ -265,7 +392,20 @@
 
     // ========== 主要功能 ==========
 
-    function performIdentify() {
+    /**
+     * 加载结构化哈希格式（依赖 MD5 核心、HMAC 核心和 KDF 核心，KDF 核心又依赖 BLAKE2 核心）
+     * @returns {Promise<Object>} REOT.hashFormats
+     */
+    async function loadFormats() {
+        await REOT.loader.loadScript('tools/hashing/md5/md-core.js');
+        await REOT.loader.loadScript('tools/hashing/hmac/hmac-core.js');
+        await REOT.loader.loadScript('tools/hashing/blake2/blake2-core.js');
+        await REOT.loader.loadScript('tools/hashing/kdf/kdf-core.js');
+        await REOT.loader.loadScript('tools/hashing/hash-identifier/hash-formats.js');
+        return REOT.hashFormats;
+    }
+
+    async function performIdentify() {
         const input = document.getElementById('hash-input')?.value || '';
         const resultSection = document.getElementById('result-section');
 
@@ -284,13 +424,222 @@
             return;
         }
 
-        renderResults(hashes);
+        let formats = null;
+        try {
+            formats = await loadFormats();
+        } catch (error) {
+            // 格式模块加载失败时仍显示按长度和前缀识别的结果
+            console.error('Failed to load hash formats:', error);
+        }
+        renderResults(hashes, formats);
 
         if (resultSection) resultSection.style.display = 'block';
 
         REOT.utils?.showNotification(`识别了 ${hashes.length} 个哈希值`, 'success');
     }
 
+    // ========== 口令验证 ==========
+
+    /**
+     * 用候选口令验证第 index 个哈希
+     * @param {number} index
+     */
+    async function verifyCandidate(index) {
+        const formats = await loadFormats();
+        const hash = identifiedHashes[index];
+        const input = document.querySelector(`.verify-input[data-index="${index}"]`);
+        const button = document.querySelector(`.verify-btn[data-index="${index}"]`);
+        const result = document.querySelector(`.verify-result[data-index="${index}"]`);
+        if (!hash || !input) {
+            return;
+        }
+
+        result.className = 'verify-result';
+        result.textContent = REOT.i18n.t('tools.hash-identifier.verifying', '正在验证…');
+        button.disabled = true;
+        try {
+            const matched = await formats.verify(hash, input.value);
+            result.classList.add(matched ? 'verify-ok' : 'verify-fail');
+            result.textContent = matched
+                ? `✓ ${REOT.i18n.t('tools.hash-identifier.passwordMatch', '口令正确')}`
+                : `✗ ${REOT.i18n.t('tools.hash-identifier.passwordMismatch', '口令错误')}`;
+        } catch (error) {
+            result.textContent = '';
+            throw error;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // ========== 字典破解 ==========
+
+    /**
+     * 加载哈希破解核心
+     * @returns {Promise<Object>} REOT.hashCrack
+     */
+    async function loadCore() {
+        await REOT.loader.loadScript('tools/hashing/hash-identifier/hash-crack-core.js');
+        return REOT.hashCrack;
+    }
+
+    /**
+     * 设置或移除字典文件
+     * @param {File|null} file
+     */
+    function setWordlistFile(file) {
+        const info = document.getElementById('wordlist-info');
+        wordlistFile = file;
+        document.getElementById('wordlist').disabled = !!file;
+        if (!file) {
+            info.style.display = 'none';
+            info.innerHTML = '';
+            return;
+        }
+        const size = REOT.utils?.formatBytes ? REOT.utils.formatBytes(file.size) : `${file.size} B`;
+        info.innerHTML = `
+            <span class="file-name">${escapeHtml(file.name)}</span>
+            <span class="file-size">${escapeHtml(size)}</span>
+            <button class="btn btn--sm btn--outline" id="wordlist-remove-btn">${REOT.i18n.t('tools.hash-identifier.removeWordlist', '移除')}</button>
+        `;
+        info.style.display = 'flex';
+    }
+
+    /**
+     * 更新破解进度
+     * @param {{tried: number, total: number|null, rate: number, elapsed: number}} progress
+     * @param {number} [readRatio] - 字典文件的读取进度（0~1），总数未知时用于进度条
+     */
+    function showCrackProgress(progress, readRatio) {
+        const ratio = progress.total ? progress.tried / progress.total : readRatio;
+        document.getElementById('crack-progress-fill').style.width = `${Math.min(100, (ratio || 0) * 100).toFixed(1)}%`;
+        const tried = progress.total ? `${progress.tried.toLocaleString()} / ${progress.total.toLocaleString()}` : progress.tried.toLocaleString();
+        document.getElementById('crack-stats').textContent = `${REOT.i18n.t('tools.hash-identifier.tried', '已尝试')} ${tried} · ` +
+            `${progress.rate.toLocaleString()} H/s · ${(progress.elapsed / 1000).toFixed(1)} s`;
+    }
+
+    /**
+     * 显示待破解的哈希列表，明文在破解出来后逐个填入
+     * @param {Array<{hash: string, user: string}>} entries
+     */
+    function renderCrackTable(entries) {
+        document.getElementById('crack-tbody').innerHTML = entries.map(entry => `
+            <tr>
+                <td>${escapeHtml(entry.user || '-')}</td>
+                <td>${escapeHtml(entry.hash)}</td>
+                <td class="crack-plaintext" data-hash="${entry.hash}">-</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 填入破解出的明文
+     * @param {{hash: string, plaintext: string}} match
+     */
+    function showCracked(match) {
+        document.querySelectorAll(`#crack-tbody .crack-plaintext[data-hash="${match.hash}"]`).forEach(cell => {
+            cell.textContent = match.plaintext === '' ? '""' : match.plaintext;
+            cell.classList.add('cracked');
+        });
+    }
+
+    /**
+     * 切换破解按钮状态
+     * @param {boolean} running
+     */
+    function setCracking(running) {
+        document.getElementById('crack-btn').disabled = running;
+        document.getElementById('crack-cancel-btn').disabled = !running;
+        document.getElementById('wordlist-file').disabled = running;
+    }
+
+    /**
+     * 用字典破解输入框中的全部哈希
+     */
+    async function startCrack() {
+        const hashCrack = await loadCore();
+        const input = document.getElementById('hash-input').value;
+        let algorithm = document.getElementById('crack-algorithm').value;
+        if (algorithm === 'auto') {
+            algorithm = suggestAlgorithm(input);
+            if (!algorithm) {
+                throw new Error(REOT.i18n.t('tools.hash-identifier.algorithmUnknown', '无法根据输入确定可破解的算法，请手动选择'));
+            }
+        }
+
+        const label = hashCrack.ALGORITHMS[algorithm].label;
+        const { entries, invalid } = hashCrack.parseHashes(input, algorithm);
+        if (entries.length === 0) {
+            throw new Error(`${REOT.i18n.t('tools.hash-identifier.noHashes', '没有符合该算法长度的哈希')}: ${label}`);
+        }
+        if (invalid.length > 0) {
+            REOT.utils?.showNotification(`${REOT.i18n.t('tools.hash-identifier.skippedLines', '已跳过无法解析的行')}: ${invalid.length}`, 'warning');
+        }
+
+        let readRatio = 0;
+        let words;
+        if (wordlistFile) {
+            // 大字典按块流式读取，不一次性载入内存
+            words = REOT.workers.readLines(wordlistFile, {
+                onRead: (read, size) => {
+                    readRatio = read / size;
+                }
+            });
+        } else {
+            words = REOT.workers.splitLines(document.getElementById('wordlist').value);
+            if (words.length === 0) {
+                throw new Error(REOT.i18n.t('tools.hash-identifier.wordlistEmpty', '请输入字典或加载字典文件'));
+            }
+        }
+
+        const rules = Array.from(document.querySelectorAll('.crack-rule:checked'), input => input.value);
+        let total = null;
+        crackJob = hashCrack.crack(entries.map(entry => entry.hash), algorithm, words, {
+            rules,
+            onProgress: progress => {
+                total = progress.total;
+                showCrackProgress(progress, readRatio);
+            },
+            onMatch: showCracked
+        });
+
+        const summary = document.getElementById('crack-summary');
+        const targets = new Set(entries.map(entry => entry.hash)).size;
+        renderCrackTable(entries);
+        summary.textContent = `${label} · ${REOT.i18n.t('tools.hash-identifier.cracking', '正在破解')}…`;
+        document.getElementById('crack-result').style.display = 'block';
+        showCrackProgress({ tried: 0, total: null, rate: 0, elapsed: 0 }, 0);
+        document.getElementById('crack-progress').style.display = 'flex';
+        setCracking(true);
+        try {
+            const result = await crackJob.promise;
+            if (!result.cancelled) {
+                showCrackProgress({
+                    tried: result.tried,
+                    total,
+                    rate: result.elapsed > 0 ? Math.round(result.tried * 1000 / result.elapsed) : 0,
+                    elapsed: result.elapsed
+                }, 1);
+            }
+            summary.textContent = `${label} · ${REOT.i18n.t('tools.hash-identifier.cracked', '已破解')} ${result.found.length} / ${targets}` +
+                (result.cancelled ? ` · ${REOT.i18n.t('tools.hash-identifier.crackCancelled', '已停止')}` : '');
+        } finally {
+            crackJob = null;
+            setCracking(false);
+        }
+    }
+
+    /**
+     * 执行操作并统一显示错误
+     * @param {Function} action
+     */
+    async function run(action) {
+        try {
+            await action();
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+    }
+
     function isHashIdentifierToolActive() {
         const route = REOT.router?.getRoute();
         return route && route.includes('/tools/hashing/hash-identifier');
@@ -329,6 +678,31 @@
             document.getElementById('result-section').style.display = 'none';
         }
 
+        // 验证候选口令
+        if (target.closest('.verify-btn')) {
+            await run(() => verifyCandidate(parseInt(target.closest('.verify-btn').dataset.index, 10)));
+        }
+
+        // 从识别结果进入字典破解
+        if (target.closest('.crack-as-btn')) {
+            document.getElementById('crack-algorithm').value = target.closest('.crack-as-btn').dataset.algorithm;
+            document.getElementById('crack-section').scrollIntoView({ behavior: 'smooth' });
+        }
+
+        // 开始 / 停止破解
+        if (target.closest('#crack-btn')) {
+            await run(startCrack);
+        }
+
+        if (target.closest('#crack-cancel-btn')) {
+            crackJob?.cancel();
+        }
+
+        // 移除字典文件
+        if (target.closest('#wordlist-remove-btn')) {
+            setWordlistFile(null);
+        }
+
         // 示例点击
         if (target.closest('.example-item')) {
             const item = target.closest('.example-item');
@@ -343,6 +717,20 @@
         }
     });
 
+    // 加载字典文件
+    document.addEventListener('change', (e) => {
+        if (!isHashIdentifierToolActive()) {
+            return;
+        }
+
+        if (e.target.id === 'wordlist-file') {
+            if (e.target.files.length > 0) {
+                setWordlistFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        }
+    });
+
     // 输入框回车触发识别
     document.addEventListener('keypress', (e) => {
         if (!isHashIdentifierToolActive()) return;
@@ -351,6 +739,11 @@
             e.preventDefault();
             performIdentify();
         }
+
+        if (e.target.classList.contains('verify-input') && e.key === 'Enter') {
+            e.preventDefault();
+            run(() => verifyCandidate(parseInt(e.target.dataset.index, 10)));
+        }
     });
 
     // 实时识别（输入后延迟）
@@ -367,6 +760,6 @@
     });
 
     // 导出到全局
-    window.HashIdentifierTool = { identifyHash, getHashInfo };
+    window.HashIdentifierTool = { identifyHash, getHashInfo, suggestAlgorithm, loadCore, loadFormats };
 
 })();
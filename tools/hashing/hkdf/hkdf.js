@@ -30,42 +30,6 @@
 
     // ==================== 工具函数 ====================
 
-    /**
-     * Hex 字符串转 Uint8Array
-     */
-    function hexToBytes(hex) {
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < hex.length; i += 2) {
-            bytes[i / 2] = parseInt(hex.substr(i, 2), 16);
-        }
-        return bytes;
-    }
-
-    /**
-     * Uint8Array 转 Hex
-     */
-    function bytesToHex(bytes) {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    /**
-     * Uint8Array 转 Base64
-     */
-    function bytesToBase64(bytes) {
-        let binary = '';
-        bytes.forEach(b => binary += String.fromCharCode(b));
-        return btoa(binary);
-    }
-
-    /**
-     * 字符串转 Uint8Array
-     */
-    function stringToBytes(str) {
-        return new TextEncoder().encode(str);
-    }
-
     /**
      * 解析输入（支持文本或 Hex）
      */
@@ -73,14 +37,7 @@
         if (!value) {
             return new Uint8Array(0);
         }
-        if (isHex) {
-            const cleaned = value.replace(/\s/g, '');
-            if (!/^[0-9a-fA-F]*$/.test(cleaned) || cleaned.length % 2 !== 0) {
-                throw new Error('无效的 Hex 字符串');
-            }
-            return hexToBytes(cleaned);
-        }
-        return stringToBytes(value);
+        return isHex ? REOT.bytes.fromHex(value) : REOT.bytes.fromText(value);
     }
 
     /**
@@ -89,16 +46,19 @@
     function generateSalt(length = 32) {
         const bytes = new Uint8Array(length);
         crypto.getRandomValues(bytes);
-        return bytesToHex(bytes);
+        return REOT.bytes.toHex(bytes);
     }
 
     /**
      * 验证 Hex 字符串
      */
     function isValidHex(str) {
-        if (!str) return true;
-        const cleaned = str.replace(/\s/g, '');
-        return /^[0-9a-fA-F]*$/.test(cleaned) && cleaned.length % 2 === 0;
+        try {
+            REOT.bytes.fromHex(str);
+            return true;
+        } catch (e) {
+            return false;
+        }
     }
 
     // ==================== HKDF 实现 ====================
@@ -221,14 +181,14 @@
 
             // 格式化输出
             if (outputFormat === 'base64') {
-                outputEl.value = bytesToBase64(okm);
+                outputEl.value = REOT.bytes.toBase64(okm);
             } else {
-                outputEl.value = bytesToHex(okm);
+                outputEl.value = REOT.bytes.toHex(okm);
             }
 
             // 显示详情
             detailsSection.style.display = 'block';
-            detailPrk.textContent = bytesToHex(prk);
+            detailPrk.textContent = REOT.bytes.toHex(prk);
             detailHash.textContent = hash;
             detailLength.textContent = `${keyLength} 字节 (${keyLength * 8} bits)`;
 
@@ -315,10 +275,7 @@
     window.HKDFTool = {
         hkdf,
         hkdfExtract,
-        hkdfExpand,
-        hexToBytes,
-        bytesToHex,
-        bytesToBase64
+        hkdfExpand
     };
 
 })();
@@ -0,0 +1,160 @@
+/**
+ * HMAC 计算核心
+ * @description 不依赖 DOM 的 HMAC 计算，供 HMAC 工具页面和 JWT 密钥爆破 Worker 共用。
+ *              SHA-1 / SHA-2 使用 WebCrypto，MD5、SHA3、SM3、RIPEMD-160 按 RFC 2104 用纯 JavaScript 摘要构造
+ *              （对应的摘要核心或库需由调用方按 dependencies() 预先加载）。依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // WebCrypto 支持的摘要算法
+    const WEBCRYPTO_ALGORITHMS = ['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512'];
+
+    const sha3 = name => data => new Uint8Array(root[name].arrayBuffer(data));
+
+    // 纯 JavaScript 摘要：blockSize 为 HMAC 分组长度，digest 同步计算摘要
+    const HASHES = {
+        'SHA3-224': { blockSize: 144, length: 28, library: 'js-sha3', digest: sha3('sha3_224') },
+        'SHA3-256': { blockSize: 136, length: 32, library: 'js-sha3', digest: sha3('sha3_256') },
+        'SHA3-384': { blockSize: 104, length: 48, library: 'js-sha3', digest: sha3('sha3_384') },
+        'SHA3-512': { blockSize: 72, length: 64, library: 'js-sha3', digest: sha3('sha3_512') },
+        'MD5': {
+            blockSize: 64, length: 16, scripts: ['tools/hashing/md5/md-core.js'],
+            digest: data => root.REOT.md.md5(data)
+        },
+        'SM3': {
+            blockSize: 64, length: 32, scripts: ['tools/encryption/sm2/sm3-core.js'],
+            digest: data => root.REOT.sm3.hash(data)
+        },
+        'RIPEMD-160': {
+            blockSize: 64, length: 20, scripts: ['tools/hashing/ripemd/ripemd-core.js'],
+            digest: data => root.REOT.ripemd.ripemd160(data)
+        }
+    };
+
+    // 全部支持的算法（按页面显示顺序）
+    const ALL_ALGORITHMS = [...WEBCRYPTO_ALGORITHMS, ...Object.keys(HASHES)];
+
+    /**
+     * 检查算法是否受支持
+     * @param {string} algorithm - ALL_ALGORITHMS 中的一项，如 SHA-256、SHA3-256、MD5、SM3、RIPEMD-160（区分大小写）
+     * @throws {Error} 不支持时抛出“不支持的 HMAC 算法: <algorithm>”
+     */
+    function checkAlgorithm(algorithm) {
+        if (!WEBCRYPTO_ALGORITHMS.includes(algorithm) && !HASHES[algorithm]) {
+            throw new Error(`不支持的 HMAC 算法: ${algorithm}`);
+        }
+    }
+
+    /**
+     * 算法所需的摘要核心脚本和第三方库
+     * @param {string} algorithm
+     * @returns {{scripts: string[], library: string|null}}
+     */
+    function dependencies(algorithm) {
+        checkAlgorithm(algorithm);
+        const spec = HASHES[algorithm];
+        return { scripts: spec?.scripts || [], library: spec?.library || null };
+    }
+
+    /**
+     * RFC 2104：H((K ^ opad) || H((K ^ ipad) || message))，超过分组长度的密钥先做一次摘要
+     * @param {Object} spec - HASHES 中的一项
+     * @param {Uint8Array} key
+     * @param {Uint8Array} message
+     * @returns {Uint8Array}
+     */
+    function construct(spec, key, message) {
+        const block = new Uint8Array(spec.blockSize);
+        block.set(key.length > spec.blockSize ? spec.digest(key) : key);
+
+        const inner = new Uint8Array(spec.blockSize + message.length);
+        const outer = new Uint8Array(spec.blockSize + spec.length);
+        for (let i = 0; i < spec.blockSize; i++) {
+            inner[i] = block[i] ^ 0x36;
+            outer[i] = block[i] ^ 0x5c;
+        }
+        inner.set(message, spec.blockSize);
+        outer.set(spec.digest(inner), spec.blockSize);
+        return spec.digest(outer);
+    }
+
+    /**
+     * 常量时间比较：耗时只取决于两者中较长的长度，不会在第一个不同字节处提前返回
+     * @param {Uint8Array} a
+     * @param {Uint8Array} b
+     * @returns {boolean}
+     */
+    function timingSafeEqual(a, b) {
+        const length = Math.max(a.length, b.length);
+        let diff = a.length ^ b.length;
+        for (let i = 0; i < length; i++) {
+            diff |= (a[i] ?? 0) ^ (b[i] ?? 0);
+        }
+        return diff === 0;
+    }
+
+    root.REOT.hmac = {
+        // WebCrypto 支持的摘要算法
+        ALGORITHMS: WEBCRYPTO_ALGORITHMS,
+
+        ALL_ALGORITHMS,
+
+        dependencies,
+
+        timingSafeEqual,
+
+        /**
+         * 计算 HMAC
+         * @param {string|Uint8Array} message - 消息（字符串按 UTF-8 编码）
+         * @param {string|Uint8Array} key - 密钥（字符串按 UTF-8 编码）
+         * @param {string} algorithm - 摘要算法，如 SHA-256、SHA3-256、SM3
+         * @returns {Promise<ArrayBuffer>}
+         */
+        async calculate(message, key, algorithm) {
+            checkAlgorithm(algorithm);
+            if (HASHES[algorithm]) {
+                const mac = construct(HASHES[algorithm], root.REOT.bytes.from(key), root.REOT.bytes.from(message));
+                return mac.buffer.slice(mac.byteOffset, mac.byteOffset + mac.byteLength);
+            }
+            // WebCrypto 不接受空密钥；HMAC 会把密钥补零到分组长度，空密钥与单个 0x00 字节等价
+            const keyBytes = root.REOT.bytes.from(key);
+            const cryptoKey = await crypto.subtle.importKey(
+                'raw',
+                keyBytes.length ? keyBytes : new Uint8Array(1),
+                { name: 'HMAC', hash: algorithm },
+                false,
+                ['sign']
+            );
+            return crypto.subtle.sign('HMAC', cryptoKey, root.REOT.bytes.from(message));
+        },
+
+        /**
+         * 找出能产生给定签名的算法与密钥组合
+         * @param {string|Uint8Array} message
+         * @param {Array<{label: string, key: Uint8Array}>} keys - 同一密钥输入的不同解释（如按文本 / Hex / Base64 解析）
+         * @param {Array<Uint8Array>} signatures - 签名的不同解码结果（如 Hex / Base64）
+         * @param {string[]} [algorithms=ALL_ALGORITHMS]
+         * @returns {Promise<Array<{algorithm: string, label: string}>>}
+         */
+        async identify(message, keys, signatures, algorithms = ALL_ALGORITHMS) {
+            const matches = [];
+            for (const algorithm of algorithms) {
+                for (const { label, key } of keys) {
+                    const mac = new Uint8Array(await this.calculate(message, key, algorithm));
+                    if (signatures.some(signature => timingSafeEqual(mac, signature))) {
+                        matches.push({ algorithm, label });
+                    }
+                }
+            }
+            return matches;
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -1,6 +1,7 @@
 /**
  * HMAC 计算工具
- * @description 基于哈希的消息认证码计算
+ * @description 基于哈希的消息认证码计算，支持 SHA-1/SHA-2/SHA-3/MD5/SM3/RIPEMD-160，
+ *              密钥和消息可按文本、十六进制、Base64 或文件输入，可批量计算全部算法并反查签名对应的算法和密钥格式
  * @author Evil0ctal
  * @license Apache-2.0
  */
@@ -8,76 +9,223 @@
 (function() {
     'use strict';
 
+    const CORE_SCRIPT = 'tools/hashing/hmac/hmac-core.js';
+
+    // 算法显示名称
+    const ALGORITHM_NAMES = {
+        'SHA-1': 'HMAC-SHA1',
+        'SHA-256': 'HMAC-SHA256',
+        'SHA-384': 'HMAC-SHA384',
+        'SHA-512': 'HMAC-SHA512',
+        'SHA3-224': 'HMAC-SHA3-224',
+        'SHA3-256': 'HMAC-SHA3-256',
+        'SHA3-384': 'HMAC-SHA3-384',
+        'SHA3-512': 'HMAC-SHA3-512',
+        'MD5': 'HMAC-MD5',
+        'SM3': 'HMAC-SM3',
+        'RIPEMD-160': 'HMAC-RIPEMD160'
+    };
+
     // DOM 元素
     const algorithmSelect = document.getElementById('algorithm');
     const outputFormatSelect = document.getElementById('output-format');
     const keyInput = document.getElementById('key-input');
+    const keyFormatSelect = document.getElementById('key-format');
+    const keyFileInput = document.getElementById('key-file');
+    const keyWarning = document.getElementById('key-warning');
     const inputEl = document.getElementById('input');
+    const messageFormatSelect = document.getElementById('message-format');
+    const messageFileInput = document.getElementById('message-file');
     const outputEl = document.getElementById('output');
     const calculateBtn = document.getElementById('calculate-btn');
+    const batchBtn = document.getElementById('batch-btn');
     const clearBtn = document.getElementById('clear-btn');
     const copyBtn = document.getElementById('copy-btn');
+    const batchSection = document.getElementById('batch-section');
+    const batchList = document.getElementById('batch-list');
+    const signatureInput = document.getElementById('signature-input');
+    const verifyBtn = document.getElementById('verify-btn');
+    const verifyResult = document.getElementById('verify-result');
+
+    // 已读取的文件内容
+    const files = { key: null, message: null };
 
     /**
-     * 字符串转 ArrayBuffer
+     * 加载 HMAC 核心以及算法依赖的摘要核心 / 第三方库
+     * @param {string[]} algorithms
+     * @returns {Promise<Object>} REOT.hmac
      */
-    function strToBuffer(str) {
-        return new TextEncoder().encode(str);
+    async function loadAlgorithms(algorithms) {
+        await REOT.loader.loadScript(CORE_SCRIPT);
+        for (const algorithm of algorithms) {
+            const { scripts, library } = REOT.hmac.dependencies(algorithm);
+            for (const src of scripts) {
+                await REOT.loader.loadScript(src);
+            }
+            if (library) {
+                await REOT.loader.load(library);
+            }
+        }
+        return REOT.hmac;
     }
 
     /**
-     * ArrayBuffer 转 Hex
+     * 加载 HMAC 核心和全部算法的依赖
+     * @returns {Promise<Object>} REOT.hmac
      */
-    function bufferToHex(buffer) {
-        return Array.from(new Uint8Array(buffer))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+    async function loadAllAlgorithms() {
+        await REOT.loader.loadScript(CORE_SCRIPT);
+        return loadAlgorithms(REOT.hmac.ALL_ALGORITHMS);
     }
 
     /**
-     * ArrayBuffer 转 Base64
+     * 计算 HMAC（核心实现位于 hmac-core.js，与 JWT 密钥爆破 Worker 共用）
+     * @param {string|Uint8Array} message
+     * @param {string|Uint8Array} key
+     * @param {string} algorithm - SHA-1 / SHA-256 / SHA3-256 / MD5 / SM3 / RIPEMD-160 等
+     * @returns {Promise<ArrayBuffer>}
      */
-    function bufferToBase64(buffer) {
-        const bytes = new Uint8Array(buffer);
-        let binary = '';
-        bytes.forEach(b => binary += String.fromCharCode(b));
-        return btoa(binary);
+    async function calculateHMAC(message, key, algorithm) {
+        const hmac = await loadAlgorithms([algorithm]);
+        return hmac.calculate(message, key, algorithm);
     }
 
     /**
-     * 计算 HMAC
+     * 用同一密钥和消息计算全部算法
+     * @returns {Promise<Array<{algorithm: string, result: ArrayBuffer}>>}
      */
-    async function calculateHMAC(message, key, algorithm) {
-        const keyData = strToBuffer(key);
-        const messageData = strToBuffer(message);
+    async function calculateAll(message, key) {
+        const hmac = await loadAllAlgorithms();
+        const results = [];
+        for (const algorithm of hmac.ALL_ALGORITHMS) {
+            results.push({ algorithm, result: await hmac.calculate(message, key, algorithm) });
+        }
+        return results;
+    }
+
+    /**
+     * 解码签名：分别尝试十六进制和 Base64（含 Base64URL）
+     * @param {string} signature
+     * @returns {Uint8Array[]}
+     */
+    function decodeSignature(signature) {
+        const value = signature.trim();
+        const decoded = [];
+        for (const format of ['hex', 'base64']) {
+            try {
+                const bytes = REOT.bytes.parse(value, format);
+                if (bytes.length && !decoded.some(other => REOT.bytes.equals(other, bytes))) {
+                    decoded.push(bytes);
+                }
+            } catch (e) {
+                // 不是该格式
+            }
+        }
+        return decoded;
+    }
 
-        // 导入密钥
-        const cryptoKey = await crypto.subtle.importKey(
-            'raw',
-            keyData,
-            { name: 'HMAC', hash: algorithm },
-            false,
-            ['sign']
-        );
+    /**
+     * 反查签名：对每种算法和密钥的每种解释（文本 / 十六进制 / Base64）计算 HMAC，用常量时间比较找出匹配项
+     * @param {string|Uint8Array} message
+     * @param {string|Uint8Array} key - 字符串时按文本、十六进制、Base64 分别解释，字节数组按原样使用
+     * @param {string} signature - Hex 或 Base64 签名
+     * @returns {Promise<Array<{algorithm: string, label: string}>>} label 为 text / hex / base64 / bytes
+     */
+    async function identify(message, key, signature) {
+        const signatures = decodeSignature(signature);
+        if (!signatures.length) {
+            throw new Error(REOT.i18n.t('tools.hmac.errorSignature', '签名既不是十六进制也不是 Base64'));
+        }
 
-        // 计算签名
-        const signature = await crypto.subtle.sign('HMAC', cryptoKey, messageData);
-        return signature;
+        const keys = [];
+        if (typeof key === 'string') {
+            for (const format of ['text', 'hex', 'base64']) {
+                try {
+                    const bytes = REOT.bytes.parse(key, format);
+                    // 不同格式解析出相同字节（如空密钥）时只保留第一种
+                    if (!keys.some(other => REOT.bytes.equals(other.key, bytes))) {
+                        keys.push({ label: format, key: bytes });
+                    }
+                } catch (e) {
+                    // 密钥不能按该格式解析
+                }
+            }
+        } else {
+            keys.push({ label: 'bytes', key });
+        }
+
+        const hmac = await loadAllAlgorithms();
+        return hmac.identify(message, keys, signatures);
     }
 
     /**
      * 格式化输出
      */
     function formatOutput(buffer, format) {
+        const bytes = REOT.bytes.from(buffer);
         switch (format) {
             case 'hex':
-                return bufferToHex(buffer);
+                return REOT.bytes.toHex(bytes);
             case 'hex-upper':
-                return bufferToHex(buffer).toUpperCase();
+                return REOT.bytes.toHex(bytes, { uppercase: true });
             case 'base64':
-                return bufferToBase64(buffer);
+                return REOT.bytes.toBase64(bytes);
             default:
-                return bufferToHex(buffer);
+                return REOT.bytes.toHex(bytes);
+        }
+    }
+
+    /**
+     * 按所选格式读取输入，文件格式返回已读取的文件内容
+     * @param {string} field - key / message
+     * @param {string} value - 文本框内容
+     * @param {string} format - text / hex / base64 / file
+     * @returns {Uint8Array}
+     */
+    function readInput(field, value, format) {
+        if (format === 'file') {
+            if (!files[field]) {
+                throw new Error(field === 'key'
+                    ? REOT.i18n.t('tools.hmac.errorNoKeyFile', '请选择密钥文件')
+                    : REOT.i18n.t('tools.hmac.errorNoMessageFile', '请选择消息文件'));
+            }
+            return files[field];
+        }
+        return REOT.bytes.parse(value, format);
+    }
+
+    /**
+     * 是否已有可计算的消息（RFC 2104 允许零长度密钥，密钥可以为空）
+     */
+    function hasInput() {
+        const keyReady = keyFormatSelect.value !== 'file' || files.key;
+        const messageReady = messageFormatSelect.value === 'file' ? files.message : inputEl.value;
+        return Boolean(keyReady && messageReady);
+    }
+
+    /**
+     * 密钥为空时提示将按零长度密钥计算
+     */
+    function updateKeyWarning() {
+        const empty = keyFormatSelect.value === 'file' ? files.key?.length === 0 : !keyInput.value;
+        keyWarning.style.display = empty ? 'block' : 'none';
+    }
+
+    /**
+     * 读取密钥和消息，缺少输入时返回提示
+     * @returns {{key: Uint8Array, message: Uint8Array}|{error: string}}
+     */
+    function readKeyAndMessage() {
+        if (messageFormatSelect.value !== 'file' && !inputEl.value) {
+            return { error: REOT.i18n.t('tools.hmac.errorNoMessage', '请输入消息') };
+        }
+        try {
+            return {
+                key: readInput('key', keyInput.value, keyFormatSelect.value),
+                message: readInput('message', inputEl.value, messageFormatSelect.value)
+            };
+        } catch (error) {
+            return { error: error.message };
         }
     }
 
@@ -85,26 +233,122 @@
      * 执行计算
      */
     async function calculate() {
-        const message = inputEl.value;
-        const key = keyInput.value;
-        const algorithm = algorithmSelect.value;
-        const format = outputFormatSelect.value;
+        const input = readKeyAndMessage();
+        if (input.error) {
+            outputEl.value = input.error;
+            return;
+        }
 
-        if (!key) {
-            outputEl.value = '请输入密钥';
+        try {
+            const result = await calculateHMAC(input.message, input.key, algorithmSelect.value);
+            outputEl.value = formatOutput(result, outputFormatSelect.value);
+        } catch (error) {
+            outputEl.value = REOT.i18n.t('tools.hmac.errorCalculate', '计算失败') + ': ' + error.message;
+        }
+    }
+
+    /**
+     * 批量计算全部算法
+     */
+    async function calculateBatch() {
+        const input = readKeyAndMessage();
+        if (input.error) {
+            REOT.utils?.showNotification(input.error, 'error');
             return;
         }
 
-        if (!message) {
-            outputEl.value = '请输入消息';
+        try {
+            const results = await calculateAll(input.message, input.key);
+            const escape = REOT.utils.escapeHtml;
+            const copyLabel = escape(REOT.i18n.t('common.copy', '复制'));
+            batchList.innerHTML = results.map(({ algorithm, result }) => {
+                const value = formatOutput(result, outputFormatSelect.value);
+                return `
+                    <div class="batch-item">
+                        <span class="batch-name">${ALGORITHM_NAMES[algorithm]}</span>
+                        <code class="batch-value">${escape(value)}</code>
+                        <button class="btn btn--sm btn--outline copy-value-btn" data-value="${escape(value)}">${copyLabel}</button>
+                    </div>
+                `;
+            }).join('');
+            batchSection.style.display = 'block';
+        } catch (error) {
+            REOT.utils?.showNotification(REOT.i18n.t('tools.hmac.errorCalculate', '计算失败') + ': ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 验证签名：列出能产生该签名的算法与密钥格式组合
+     */
+    async function verify() {
+        const signature = signatureInput.value.trim();
+        if (!signature) {
+            REOT.utils?.showNotification(REOT.i18n.t('tools.hmac.errorNoSignature', '请输入要验证的签名'), 'error');
+            return;
+        }
+        if (messageFormatSelect.value !== 'file' && !inputEl.value) {
+            REOT.utils?.showNotification(REOT.i18n.t('tools.hmac.errorNoMessage', '请输入消息'), 'error');
             return;
         }
 
+        const escape = REOT.utils.escapeHtml;
+        const labels = {
+            text: REOT.i18n.t('tools.hmac.formatText', '文本 (UTF-8)'),
+            hex: REOT.i18n.t('tools.hmac.formatHex', '十六进制'),
+            base64: 'Base64',
+            bytes: REOT.i18n.t('tools.hmac.formatFile', '文件')
+        };
+
         try {
-            const result = await calculateHMAC(message, key, algorithm);
-            outputEl.value = formatOutput(result, format);
+            const message = readInput('message', inputEl.value, messageFormatSelect.value);
+            const key = keyFormatSelect.value === 'file' ? readInput('key', '', 'file') : keyInput.value;
+            const matches = await identify(message, key, signature);
+
+            verifyResult.className = 'verify-result ' + (matches.length ? 'verify-result--match' : 'verify-result--mismatch');
+            if (matches.length) {
+                verifyResult.innerHTML = `
+                    <div class="verify-title">${escape(REOT.i18n.t('tools.hmac.verifyMatch', '签名匹配'))}</div>
+                    <ul class="verify-list">
+                        ${matches.map(match => `<li>${ALGORITHM_NAMES[match.algorithm]} · ${escape(REOT.i18n.t('tools.hmac.keyAs', '密钥按'))} ${escape(labels[match.label])}</li>`).join('')}
+                    </ul>
+                `;
+            } else {
+                verifyResult.innerHTML = `<div class="verify-title">${escape(REOT.i18n.t('tools.hmac.verifyNoMatch', '没有算法和密钥格式的组合能产生该签名'))}</div>`;
+            }
+            verifyResult.style.display = 'block';
         } catch (error) {
-            outputEl.value = '计算失败: ' + error.message;
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * 切换输入格式：文件格式显示上传按钮，其余显示文本框
+     * @param {string} field - key / message
+     */
+    function updateFormat(field) {
+        const isFile = document.getElementById(`${field}-format`).value === 'file';
+        const textEl = field === 'key' ? keyInput : inputEl;
+        textEl.style.display = isFile ? 'none' : '';
+        document.getElementById(`${field}-file-btn`).style.display = isFile ? '' : 'none';
+        document.getElementById(`${field}-file-info`).style.display = isFile && files[field] ? 'block' : 'none';
+        if (field === 'key') {
+            updateKeyWarning();
+        }
+    }
+
+    /**
+     * 读取上传的文件
+     * @param {string} field - key / message
+     * @param {File} file
+     */
+    async function loadFile(field, file) {
+        files[field] = new Uint8Array(await file.arrayBuffer());
+        const info = document.getElementById(`${field}-file-info`);
+        info.textContent = `${file.name} (${REOT.utils.formatBytes(file.size)})`;
+        info.style.display = 'block';
+        updateKeyWarning();
+        if (hasInput()) {
+            calculate();
         }
     }
 
@@ -113,27 +357,85 @@
         calculateBtn.addEventListener('click', calculate);
     }
 
+    if (batchBtn) {
+        batchBtn.addEventListener('click', calculateBatch);
+    }
+
+    if (verifyBtn) {
+        verifyBtn.addEventListener('click', verify);
+    }
+
     // 实时计算
-    [inputEl, keyInput, algorithmSelect, outputFormatSelect].forEach(el => {
+    [inputEl, keyInput, algorithmSelect, outputFormatSelect, keyFormatSelect, messageFormatSelect].forEach(el => {
         if (el) {
             el.addEventListener('input', () => {
-                if (inputEl.value && keyInput.value) {
+                if (hasInput()) {
                     calculate();
                 }
             });
             el.addEventListener('change', () => {
-                if (inputEl.value && keyInput.value) {
+                if (hasInput()) {
                     calculate();
                 }
             });
         }
     });
 
+    if (keyFormatSelect) {
+        keyFormatSelect.addEventListener('change', () => updateFormat('key'));
+    }
+
+    if (keyInput) {
+        keyInput.addEventListener('input', updateKeyWarning);
+    }
+
+    if (messageFormatSelect) {
+        messageFormatSelect.addEventListener('change', () => updateFormat('message'));
+    }
+
+    if (keyFileInput) {
+        keyFileInput.addEventListener('change', () => {
+            if (keyFileInput.files[0]) {
+                loadFile('key', keyFileInput.files[0]);
+            }
+        });
+    }
+
+    if (messageFileInput) {
+        messageFileInput.addEventListener('change', () => {
+            if (messageFileInput.files[0]) {
+                loadFile('message', messageFileInput.files[0]);
+            }
+        });
+    }
+
+    if (batchList) {
+        batchList.addEventListener('click', async (e) => {
+            const button = e.target.closest('.copy-value-btn');
+            if (button) {
+                const success = await REOT.utils?.copyToClipboard(button.dataset.value);
+                if (success) {
+                    REOT.utils?.showNotification(REOT.i18n.t('common.copied', '已复制'), 'success');
+                }
+            }
+        });
+    }
+
     if (clearBtn) {
         clearBtn.addEventListener('click', () => {
             keyInput.value = '';
             inputEl.value = '';
             outputEl.value = '';
+            signatureInput.value = '';
+            files.key = null;
+            files.message = null;
+            keyFileInput.value = '';
+            messageFileInput.value = '';
+            batchList.innerHTML = '';
+            batchSection.style.display = 'none';
+            verifyResult.style.display = 'none';
+            updateFormat('key');
+            updateFormat('message');
         });
     }
 
@@ -158,5 +460,5 @@
     }
 
     // 导出到全局
-    window.HMACTool = { calculateHMAC };
+    window.HMACTool = { calculateHMAC, calculateAll, identify };
 })();
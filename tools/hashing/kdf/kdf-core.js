@@ -0,0 +1,697 @@
+/**
+ * KDF 核心
+ * @description 不依赖 DOM 的 Argon2（RFC 9106）和 scrypt（RFC 7914）实现、基于 WebCrypto 的 PBKDF2，以及 PHC 字符串的解析和生成，
+ *              供 KDF 工具页面、KDF Worker 和哈希识别工具共用。
+ *              依赖 REOT.bytes（bytes.js）和 REOT.blake2（tools/hashing/blake2/blake2-core.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // Argon2 类型（H0 中的 y 值）
+    const ARGON2_TYPES = { argon2d: 0, argon2i: 1, argon2id: 2 };
+
+    // Argon2 版本：0x10 为 1.0，0x13 为 1.3（当前版本）
+    const ARGON2_VERSIONS = [0x10, 0x13];
+
+    // 每个 Argon2 块为 1024 字节（256 个 32 位字）
+    const BLOCK_WORDS = 256;
+
+    // 单次派生允许使用的最大内存（字节）
+    const MAX_MEMORY = 1024 * 1024 * 1024;
+
+    // Worker 脚本
+    const WORKER_SCRIPT = 'tools/hashing/kdf/kdf-worker.js';
+
+    // ========== 基础函数 ==========
+
+    /**
+     * 32 位小端序整数
+     * @param {number} value
+     * @returns {Uint8Array}
+     */
+    function le32(value) {
+        return new Uint8Array([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff]);
+    }
+
+    /**
+     * 检查整数参数
+     * @param {number} value
+     * @param {number} min
+     * @param {number} max
+     * @param {string} name
+     */
+    function checkRange(value, min, max, name) {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`${name}必须是 ${min} 到 ${max} 之间的整数`);
+        }
+    }
+
+    // ========== Argon2 ==========
+
+    /**
+     * v[d] = (v[d] ^ v[a]) 循环右移 n 位（n 为 16、24、32 或 63）
+     */
+    function xorRotr64(v, d, a, n) {
+        const lo = v[d] ^ v[a];
+        const hi = v[d + 1] ^ v[a + 1];
+        if (n === 32) {
+            v[d] = hi;
+            v[d + 1] = lo;
+        } else if (n === 63) {
+            v[d] = (lo << 1) | (hi >>> 31);
+            v[d + 1] = (hi << 1) | (lo >>> 31);
+        } else {
+            v[d] = (lo >>> n) | (hi << (32 - n));
+            v[d + 1] = (hi >>> n) | (lo << (32 - n));
+        }
+    }
+
+    /**
+     * v[a] = v[a] + v[b] + 2 * lo(v[a]) * lo(v[b])（BlaMka 乘加，64 位）
+     */
+    function blaMka(v, a, b) {
+        const al = v[a];
+        const bl = v[b];
+        // 32 × 32 → 64 位乘法拆成两次不超过 2^53 的浮点乘法
+        const x = al * (bl & 0xffff);
+        const y = al * (bl >>> 16);
+        const low = x + (y % 0x10000) * 0x10000;
+        let productLo = low >>> 0;
+        let productHi = Math.floor(y / 0x10000) + Math.floor(low / 0x100000000);
+        productHi = (productHi << 1) | (productLo >>> 31);
+        productLo = (productLo << 1) >>> 0;
+
+        const lo = al + bl + productLo;
+        v[a + 1] = v[a + 1] + v[b + 1] + productHi + Math.floor(lo / 0x100000000);
+        v[a] = lo;
+    }
+
+    function argon2G(v, a, b, c, d) {
+        blaMka(v, a, b);
+        xorRotr64(v, d, a, 32);
+        blaMka(v, c, d);
+        xorRotr64(v, b, c, 24);
+        blaMka(v, a, b);
+        xorRotr64(v, d, a, 16);
+        blaMka(v, c, d);
+        xorRotr64(v, b, c, 63);
+    }
+
+    /**
+     * BLAKE2b 轮函数（无消息），i 为 16 个 64 位字在块中的偏移（以 32 位字计）
+     */
+    function permute(v, i) {
+        argon2G(v, i[0], i[4], i[8], i[12]);
+        argon2G(v, i[1], i[5], i[9], i[13]);
+        argon2G(v, i[2], i[6], i[10], i[14]);
+        argon2G(v, i[3], i[7], i[11], i[15]);
+        argon2G(v, i[0], i[5], i[10], i[15]);
+        argon2G(v, i[1], i[6], i[11], i[12]);
+        argon2G(v, i[2], i[7], i[8], i[13]);
+        argon2G(v, i[3], i[4], i[9], i[14]);
+    }
+
+    // 压缩函数 G 先按行、再按列对 8×8 的 128 位寄存器矩阵做置换
+    const ROW_OFFSETS = [];
+    const COLUMN_OFFSETS = [];
+    for (let i = 0; i < 8; i++) {
+        const row = [];
+        const column = [];
+        for (let j = 0; j < 16; j++) {
+            row.push((16 * i + j) * 2);
+            column.push((2 * i + (j & 1) + 16 * (j >> 1)) * 2);
+        }
+        ROW_OFFSETS.push(row);
+        COLUMN_OFFSETS.push(column);
+    }
+
+    /**
+     * 压缩函数 G(X, Y)，结果写入 out（withXor 时与原内容异或，用于 1.3 版的后续轮次）
+     */
+    function fillBlock(x, xOffset, y, yOffset, out, outOffset, withXor, scratch) {
+        const r = scratch.r;
+        const z = scratch.z;
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            r[i] = x[xOffset + i] ^ y[yOffset + i];
+        }
+        z.set(r);
+        for (let i = 0; i < 8; i++) {
+            permute(z, ROW_OFFSETS[i]);
+        }
+        for (let i = 0; i < 8; i++) {
+            permute(z, COLUMN_OFFSETS[i]);
+        }
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            out[outOffset + i] = (withXor ? out[outOffset + i] : 0) ^ r[i] ^ z[i];
+        }
+    }
+
+    /**
+     * 变长哈希 H'
+     * @param {Uint8Array} input
+     * @param {number} length
+     * @returns {Uint8Array}
+     */
+    function hashLong(input, length) {
+        const { blake2b } = root.REOT.blake2;
+        const data = root.REOT.bytes.concat([le32(length), input]);
+        if (length <= 64) {
+            return blake2b(data, { length });
+        }
+        const result = new Uint8Array(length);
+        let v = blake2b(data);
+        let offset = 0;
+        while (length - offset > 64) {
+            result.set(v.subarray(0, 32), offset);
+            offset += 32;
+            v = blake2b(v, { length: Math.min(64, length - offset) });
+        }
+        result.set(v, offset);
+        return result;
+    }
+
+    /**
+     * 32 × 32 位乘积的高 32 位
+     * @param {number} a
+     * @param {number} b
+     * @returns {number}
+     */
+    function mulHi(a, b) {
+        const x = a * (b & 0xffff);
+        const y = a * (b >>> 16);
+        return Math.floor((Math.floor(x / 0x10000) + y) / 0x10000);
+    }
+
+    /**
+     * Argon2
+     * @param {Object} options
+     * @param {string|Uint8Array} options.password
+     * @param {string|Uint8Array} options.salt - 至少 8 字节
+     * @param {string} [options.type='argon2id'] - argon2d / argon2i / argon2id
+     * @param {number} [options.memory=65536] - 内存（KiB）
+     * @param {number} [options.iterations=3] - 迭代次数 t
+     * @param {number} [options.parallelism=1] - 并行度 p
+     * @param {number} [options.length=32] - 输出字节数
+     * @param {number} [options.version=0x13]
+     * @param {string|Uint8Array} [options.secret] - 可选的密钥 K
+     * @param {string|Uint8Array} [options.associatedData] - 可选的附加数据 X
+     * @returns {Uint8Array}
+     */
+    function argon2(options) {
+        const type = options.type || 'argon2id';
+        const version = options.version ?? 0x13;
+        const memory = options.memory ?? 65536;
+        const iterations = options.iterations ?? 3;
+        const parallelism = options.parallelism ?? 1;
+        const length = options.length ?? 32;
+        const password = root.REOT.bytes.from(options.password ?? '');
+        const salt = root.REOT.bytes.from(options.salt ?? '');
+        const secret = root.REOT.bytes.from(options.secret || '');
+        const associatedData = root.REOT.bytes.from(options.associatedData || '');
+
+        if (!Object.prototype.hasOwnProperty.call(ARGON2_TYPES, type)) {
+            throw new Error(`不支持的 Argon2 类型: ${type}`);
+        }
+        if (!ARGON2_VERSIONS.includes(version)) {
+            throw new Error(`不支持的 Argon2 版本: ${version}`);
+        }
+        checkRange(parallelism, 1, 0xffffff, '并行度');
+        checkRange(memory, 8 * parallelism, MAX_MEMORY / 1024, '内存（KiB）');
+        checkRange(iterations, 1, 0xffffffff, '迭代次数');
+        checkRange(length, 4, 0xffffffff, '输出长度');
+        if (salt.length < 8) {
+            throw new Error('Argon2 的盐至少需要 8 字节');
+        }
+
+        const bytes = root.REOT.bytes;
+        const typeId = ARGON2_TYPES[type];
+        const h0 = root.REOT.blake2.blake2b(bytes.concat([
+            le32(parallelism), le32(length), le32(memory), le32(iterations), le32(version), le32(typeId),
+            le32(password.length), password, le32(salt.length), salt,
+            le32(secret.length), secret, le32(associatedData.length), associatedData
+        ]));
+
+        const segmentLength = Math.floor(memory / (4 * parallelism));
+        const laneLength = segmentLength * 4;
+        const blocks = new Uint32Array(laneLength * parallelism * BLOCK_WORDS);
+        const scratch = { r: new Uint32Array(BLOCK_WORDS), z: new Uint32Array(BLOCK_WORDS) };
+
+        for (let lane = 0; lane < parallelism; lane++) {
+            for (let j = 0; j < 2; j++) {
+                const block = hashLong(bytes.concat([h0, le32(j), le32(lane)]), 1024);
+                blocks.set(bytes.bytesToWords(block), (lane * laneLength + j) * BLOCK_WORDS);
+            }
+        }
+
+        // 数据无关寻址使用的输入块、地址块和全零块
+        const zero = new Uint32Array(BLOCK_WORDS);
+        const input = new Uint32Array(BLOCK_WORDS);
+        const addresses = new Uint32Array(BLOCK_WORDS);
+
+        for (let pass = 0; pass < iterations; pass++) {
+            for (let slice = 0; slice < 4; slice++) {
+                const independent = typeId === 1 || (typeId === 2 && pass === 0 && slice < 2);
+                for (let lane = 0; lane < parallelism; lane++) {
+                    const nextAddresses = () => {
+                        input[12]++;
+                        fillBlock(zero, 0, input, 0, addresses, 0, false, scratch);
+                        fillBlock(zero, 0, addresses, 0, addresses, 0, false, scratch);
+                    };
+                    if (independent) {
+                        input.fill(0);
+                        input[0] = pass;
+                        input[2] = lane;
+                        input[4] = slice;
+                        input[6] = laneLength * parallelism;
+                        input[8] = iterations;
+                        input[10] = typeId;
+                    }
+
+                    let start = 0;
+                    if (pass === 0 && slice === 0) {
+                        start = 2;
+                        if (independent) {
+                            nextAddresses();
+                        }
+                    }
+
+                    let current = lane * laneLength + slice * segmentLength + start;
+                    let previous = current % laneLength === 0 ? current + laneLength - 1 : current - 1;
+                    for (let index = start; index < segmentLength; index++, current++, previous++) {
+                        if (current % laneLength === 1) {
+                            previous = current - 1;
+                        }
+
+                        let j1;
+                        let j2;
+                        if (independent) {
+                            if (index % 128 === 0) {
+                                nextAddresses();
+                            }
+                            j1 = addresses[(index % 128) * 2];
+                            j2 = addresses[(index % 128) * 2 + 1];
+                        } else {
+                            j1 = blocks[previous * BLOCK_WORDS];
+                            j2 = blocks[previous * BLOCK_WORDS + 1];
+                        }
+
+                        const refLane = pass === 0 && slice === 0 ? lane : j2 % parallelism;
+                        const sameLane = refLane === lane;
+                        let areaSize;
+                        if (pass === 0) {
+                            areaSize = slice * segmentLength + (sameLane ? index - 1 : (index === 0 ? -1 : 0));
+                        } else {
+                            areaSize = laneLength - segmentLength + (sameLane ? index - 1 : (index === 0 ? -1 : 0));
+                        }
+                        const relative = areaSize - 1 - mulHi(areaSize, mulHi(j1, j1));
+                        const startPosition = pass !== 0 && slice !== 3 ? (slice + 1) * segmentLength : 0;
+                        const refIndex = (startPosition + relative) % laneLength;
+
+                        fillBlock(
+                            blocks, previous * BLOCK_WORDS,
+                            blocks, (refLane * laneLength + refIndex) * BLOCK_WORDS,
+                            blocks, current * BLOCK_WORDS,
+                            version === 0x13 && pass > 0, scratch
+                        );
+                    }
+                }
+            }
+        }
+
+        const final = blocks.slice((laneLength - 1) * BLOCK_WORDS, laneLength * BLOCK_WORDS);
+        for (let lane = 1; lane < parallelism; lane++) {
+            const offset = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+            for (let i = 0; i < BLOCK_WORDS; i++) {
+                final[i] ^= blocks[offset + i];
+            }
+        }
+        return hashLong(root.REOT.bytes.wordsToBytes(final), length);
+    }
+
+    // ========== PBKDF2 ==========
+
+    /**
+     * PBKDF2（RFC 8018，WebCrypto 实现）
+     * @param {string|Uint8Array} password
+     * @param {string|Uint8Array} salt
+     * @param {number} iterations
+     * @param {number} length - 输出字节数
+     * @param {string} [hash='SHA-256'] - SHA-1 / SHA-256 / SHA-384 / SHA-512
+     * @returns {Promise<Uint8Array>}
+     */
+    async function pbkdf2(password, salt, iterations, length, hash = 'SHA-256') {
+        const key = await crypto.subtle.importKey('raw', root.REOT.bytes.from(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash, salt: root.REOT.bytes.from(salt), iterations },
+            key,
+            length * 8
+        );
+        return new Uint8Array(bits);
+    }
+
+    // ========== scrypt ==========
+
+    /**
+     * HMAC-SHA256（基于 digest 实现，允许空密钥）
+     * @param {Uint8Array} key
+     * @param {Uint8Array} data
+     * @returns {Promise<Uint8Array>}
+     */
+    async function hmacSha256(key, data) {
+        const sha256 = async input => new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+        const block = new Uint8Array(64);
+        block.set(key.length > 64 ? await sha256(key) : key);
+        const inner = await sha256(root.REOT.bytes.concat([block.map(byte => byte ^ 0x36), data]));
+        return sha256(root.REOT.bytes.concat([block.map(byte => byte ^ 0x5c), inner]));
+    }
+
+    /**
+     * 单次迭代的 PBKDF2-HMAC-SHA256（scrypt 只需要 c = 1）
+     * @param {Uint8Array} password
+     * @param {Uint8Array} salt
+     * @param {number} length
+     * @returns {Promise<Uint8Array>}
+     */
+    async function pbkdf2Once(password, salt, length) {
+        const result = new Uint8Array(length);
+        for (let i = 0, offset = 0; offset < length; i++, offset += 32) {
+            const index = new Uint8Array([(i + 1) >>> 24, (i + 1) >>> 16, (i + 1) >>> 8, i + 1]);
+            const block = await hmacSha256(password, root.REOT.bytes.concat([salt, index]));
+            result.set(block.subarray(0, Math.min(32, length - offset)), offset);
+        }
+        return result;
+    }
+
+    /**
+     * Salsa20/8 核心（原地修改 b 中从 offset 开始的 16 个字）
+     */
+    function salsa208(b, offset, x) {
+        for (let i = 0; i < 16; i++) {
+            x[i] = b[offset + i];
+        }
+        const rotl = (value, shift) => (value << shift) | (value >>> (32 - shift));
+        for (let i = 0; i < 8; i += 2) {
+            x[4] ^= rotl(x[0] + x[12], 7);
+            x[8] ^= rotl(x[4] + x[0], 9);
+            x[12] ^= rotl(x[8] + x[4], 13);
+            x[0] ^= rotl(x[12] + x[8], 18);
+            x[9] ^= rotl(x[5] + x[1], 7);
+            x[13] ^= rotl(x[9] + x[5], 9);
+            x[1] ^= rotl(x[13] + x[9], 13);
+            x[5] ^= rotl(x[1] + x[13], 18);
+            x[14] ^= rotl(x[10] + x[6], 7);
+            x[2] ^= rotl(x[14] + x[10], 9);
+            x[6] ^= rotl(x[2] + x[14], 13);
+            x[10] ^= rotl(x[6] + x[2], 18);
+            x[3] ^= rotl(x[15] + x[11], 7);
+            x[7] ^= rotl(x[3] + x[15], 9);
+            x[11] ^= rotl(x[7] + x[3], 13);
+            x[15] ^= rotl(x[11] + x[7], 18);
+            x[1] ^= rotl(x[0] + x[3], 7);
+            x[2] ^= rotl(x[1] + x[0], 9);
+            x[3] ^= rotl(x[2] + x[1], 13);
+            x[0] ^= rotl(x[3] + x[2], 18);
+            x[6] ^= rotl(x[5] + x[4], 7);
+            x[7] ^= rotl(x[6] + x[5], 9);
+            x[4] ^= rotl(x[7] + x[6], 13);
+            x[5] ^= rotl(x[4] + x[7], 18);
+            x[11] ^= rotl(x[10] + x[9], 7);
+            x[8] ^= rotl(x[11] + x[10], 9);
+            x[9] ^= rotl(x[8] + x[11], 13);
+            x[10] ^= rotl(x[9] + x[8], 18);
+            x[12] ^= rotl(x[15] + x[14], 7);
+            x[13] ^= rotl(x[12] + x[15], 9);
+            x[14] ^= rotl(x[13] + x[12], 13);
+            x[15] ^= rotl(x[14] + x[13], 18);
+        }
+        for (let i = 0; i < 16; i++) {
+            b[offset + i] += x[i];
+        }
+    }
+
+    /**
+     * scryptBlockMix：input（2r 个 64 字节块）→ output，偶数块在前、奇数块在后
+     */
+    function blockMix(input, output, r, t, x) {
+        t.set(input.subarray((2 * r - 1) * 16, 2 * r * 16));
+        for (let i = 0; i < 2 * r; i++) {
+            for (let k = 0; k < 16; k++) {
+                t[k] ^= input[i * 16 + k];
+            }
+            salsa208(t, 0, x);
+            output.set(t, ((i >> 1) + (i & 1) * r) * 16);
+        }
+    }
+
+    /**
+     * scryptROMix（原地修改 b 中从 offset 开始的 32r 个字）
+     */
+    function roMix(b, offset, r, n, v, scratch) {
+        const size = 32 * r;
+        let x = scratch.x;
+        let y = scratch.y;
+        x.set(b.subarray(offset, offset + size));
+        for (let i = 0; i < n; i++) {
+            v.set(x, i * size);
+            blockMix(x, y, r, scratch.t, scratch.s);
+            [x, y] = [y, x];
+        }
+        for (let i = 0; i < n; i++) {
+            const j = x[(2 * r - 1) * 16] & (n - 1);
+            for (let k = 0; k < size; k++) {
+                x[k] ^= v[j * size + k];
+            }
+            blockMix(x, y, r, scratch.t, scratch.s);
+            [x, y] = [y, x];
+        }
+        b.set(x, offset);
+    }
+
+    /**
+     * scrypt
+     * @param {Object} options
+     * @param {string|Uint8Array} options.password
+     * @param {string|Uint8Array} options.salt
+     * @param {number} [options.N=16384] - CPU/内存代价，2 的幂
+     * @param {number} [options.r=8] - 块大小
+     * @param {number} [options.p=1] - 并行度
+     * @param {number} [options.length=32] - 输出字节数
+     * @returns {Promise<Uint8Array>}
+     */
+    async function scrypt(options) {
+        const n = options.N ?? 16384;
+        const r = options.r ?? 8;
+        const p = options.p ?? 1;
+        const length = options.length ?? 32;
+        const password = root.REOT.bytes.from(options.password ?? '');
+        const salt = root.REOT.bytes.from(options.salt ?? '');
+
+        if (!Number.isInteger(n) || n < 2 || (n & (n - 1)) !== 0 || n > 0x80000000) {
+            throw new Error('N 必须是大于 1 的 2 的幂');
+        }
+        checkRange(r, 1, 0xffff, 'r ');
+        checkRange(p, 1, 0xffff, 'p ');
+        checkRange(length, 1, 0xffffffff, '输出长度');
+        if (128 * r * n > MAX_MEMORY || 128 * r * p > MAX_MEMORY) {
+            throw new Error(`scrypt 参数需要的内存超过 ${MAX_MEMORY / 1024 / 1024} MiB`);
+        }
+
+        const b = root.REOT.bytes.bytesToWords(await pbkdf2Once(password, salt, 128 * r * p));
+        const v = new Uint32Array(32 * r * n);
+        const scratch = {
+            x: new Uint32Array(32 * r),
+            y: new Uint32Array(32 * r),
+            t: new Uint32Array(16),
+            s: new Uint32Array(16)
+        };
+        for (let i = 0; i < p; i++) {
+            roMix(b, i * 32 * r, r, n, v, scratch);
+        }
+        return pbkdf2Once(password, root.REOT.bytes.wordsToBytes(b), length);
+    }
+
+    // ========== PHC 字符串 ==========
+
+    /**
+     * 不带填充的 Base64（PHC 格式）
+     * @param {Uint8Array} data
+     * @returns {string}
+     */
+    function phcBase64(data) {
+        return root.REOT.bytes.toBase64(data).replace(/=+$/, '');
+    }
+
+    /**
+     * 解码 PHC / passlib 的 Base64（passlib 用 . 代替 +）
+     * @param {string} text
+     * @returns {Uint8Array}
+     */
+    function decodePhcBase64(text) {
+        return root.REOT.bytes.fromBase64(text.replace(/\./g, '+'));
+    }
+
+    /**
+     * 生成 Argon2 的 PHC 字符串
+     * @param {Object} params - type、version、memory、iterations、parallelism
+     * @param {Uint8Array} salt
+     * @param {Uint8Array} hash
+     * @returns {string}
+     */
+    function encodeArgon2(params, salt, hash) {
+        const version = params.version ?? 0x13;
+        return `$${params.type || 'argon2id'}$v=${version}$m=${params.memory},t=${params.iterations},p=${params.parallelism}` +
+            `$${phcBase64(salt)}$${phcBase64(hash)}`;
+    }
+
+    /**
+     * 生成 scrypt 的 PHC 字符串（passlib 格式，ln 为 log2(N)）
+     * @param {Object} params - N、r、p
+     * @param {Uint8Array} salt
+     * @param {Uint8Array} hash
+     * @returns {string}
+     */
+    function encodeScrypt(params, salt, hash) {
+        const ab64 = data => phcBase64(data).replace(/\+/g, '.');
+        return `$scrypt$ln=${Math.log2(params.N)},r=${params.r},p=${params.p}$${ab64(salt)}$${ab64(hash)}`;
+    }
+
+    /**
+     * 解析 Argon2 或 scrypt 的 PHC 字符串
+     * @param {string} encoded
+     * @returns {{algorithm: string, params: Object, salt: Uint8Array, hash: Uint8Array}}
+     */
+    function parsePHC(encoded) {
+        const text = encoded.trim();
+        let match = /^\$(argon2(?:id|i|d))\$(?:v=(\d+)\$)?m=(\d+),t=(\d+),p=(\d+)(?:,[^$]*)?\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/.exec(text);
+        if (match) {
+            return {
+                algorithm: 'argon2',
+                params: {
+                    type: match[1],
+                    version: match[2] ? parseInt(match[2], 10) : 0x10,
+                    memory: parseInt(match[3], 10),
+                    iterations: parseInt(match[4], 10),
+                    parallelism: parseInt(match[5], 10)
+                },
+                salt: decodePhcBase64(match[6]),
+                hash: decodePhcBase64(match[7])
+            };
+        }
+        match = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([./A-Za-z0-9+]*)\$([./A-Za-z0-9+]+)$/.exec(text);
+        if (match) {
+            return {
+                algorithm: 'scrypt',
+                params: { N: 2 ** parseInt(match[1], 10), r: parseInt(match[2], 10), p: parseInt(match[3], 10) },
+                salt: decodePhcBase64(match[4]),
+                hash: decodePhcBase64(match[5])
+            };
+        }
+        throw new Error('无法解析的 PHC 字符串，支持 $argon2id$、$argon2i$、$argon2d$ 和 $scrypt$');
+    }
+
+    /**
+     * 按任务派生密钥（Worker 和页面共用）
+     * @param {Object} job - {algorithm: 'argon2' | 'scrypt', ...参数}，参数同 argon2() / scrypt()
+     * @returns {Promise<Uint8Array>}
+     */
+    async function derive(job) {
+        switch (job.algorithm) {
+        case 'argon2':
+            return argon2(job);
+        case 'scrypt':
+            return scrypt(job);
+        default:
+            throw new Error(`不支持的算法: ${job.algorithm}`);
+        }
+    }
+
+    // ========== Worker ==========
+
+    /**
+     * 在 Worker 中派生密钥，避免大内存代价阻塞页面
+     * @param {Object} job - derive() 的参数
+     * @returns {{promise: Promise<{key: Uint8Array|null, elapsed: number, cancelled: boolean}>, cancel: Function}}
+     */
+    function deriveInWorker(job) {
+        const search = root.REOT.workers.search({
+            script: WORKER_SCRIPT,
+            candidates: [job],
+            chunkSize: 1,
+            size: 1,
+            stopOnMatch: false
+        });
+        return {
+            cancel: search.cancel,
+            promise: search.promise.then(result => {
+                const [match] = result.matches;
+                if (match?.error) {
+                    throw new Error(match.error);
+                }
+                return {
+                    key: match ? match.key : null,
+                    elapsed: match ? match.elapsed : result.elapsed,
+                    cancelled: result.cancelled
+                };
+            })
+        };
+    }
+
+    /**
+     * 派生密钥：页面中在 Worker 里执行，没有 Worker 时（Node、Worker 内部）直接计算
+     * @param {Object} job - derive() 的参数
+     * @returns {Promise<Uint8Array>}
+     * @throws {Error} 派生被取消或 Worker 没有返回结果时抛出，不会返回 null
+     */
+    async function run(job) {
+        if (typeof Worker !== 'function' || !root.REOT.workers) {
+            return derive(job);
+        }
+        const result = await deriveInWorker(job).promise;
+        if (!result.key) {
+            throw new Error(result.cancelled ? '密钥派生已取消' : 'Worker 没有返回派生结果');
+        }
+        return result.key;
+    }
+
+    /**
+     * 用 PHC 字符串验证口令
+     * @param {string} encoded
+     * @param {string} password
+     * @returns {Promise<boolean>}
+     */
+    async function verifyPHC(encoded, password) {
+        const parsed = parsePHC(encoded);
+        const key = await run({
+            algorithm: parsed.algorithm,
+            ...parsed.params,
+            password,
+            salt: parsed.salt,
+            length: parsed.hash.length
+        });
+        return root.REOT.bytes.equals(key, parsed.hash);
+    }
+
+    root.REOT.kdf = {
+        ARGON2_TYPES,
+        ARGON2_VERSIONS,
+        MAX_MEMORY,
+        WORKER_SCRIPT,
+        argon2,
+        scrypt,
+        pbkdf2,
+        derive,
+        deriveInWorker,
+        run,
+        encodeArgon2,
+        encodeScrypt,
+        parsePHC,
+        verifyPHC
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,33 @@
+/**
+ * KDF Worker
+ * @description 在 Worker 中执行 Argon2 / scrypt 派生（每个候选项是一个派生任务），避免大内存代价阻塞页面
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+/* global importScripts */
+
+(function(root) {
+    'use strict';
+
+    if (typeof importScripts === 'function' && !root.REOT?.workers) {
+        importScripts('../../../assets/js/bytes.js', '../../../assets/js/workers.js', '../blake2/blake2-core.js', 'kdf-core.js');
+    }
+
+    root.REOT.workers.serve({
+        /**
+         * @param {Object} job - REOT.kdf.derive() 的参数
+         * @returns {Promise<{id: *, key: Uint8Array|null, elapsed: number, error?: string}>}
+         */
+        async test(job) {
+            const start = Date.now();
+            try {
+                const key = await root.REOT.kdf.derive(job);
+                return { id: job.id, key, elapsed: Date.now() - start };
+            } catch (error) {
+                return { id: job.id, key: null, elapsed: Date.now() - start, error: error.message };
+            }
+        }
+    }, root);
+
+})(self);
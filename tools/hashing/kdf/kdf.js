@@ -1,6 +1,6 @@
 /**
  * KDF 密钥派生函数工具
- * @description PBKDF2、bcrypt 密码哈希与密钥派生
+ * @description PBKDF2、bcrypt、Argon2、scrypt 密码哈希与密钥派生
  * @author Evil0ctal
  * @license Apache-2.0
  */
@@ -8,50 +8,6 @@
 (function() {
     'use strict';
 
-    // ==================== bcrypt 库动态加载 ====================
-
-    // bcrypt 库加载状态
-    let bcryptLoaded = false;
-    let bcryptLoadingPromise = null;
-
-    /**
-     * 动态加载 bcrypt 库
-     */
-    function loadBcryptLibrary() {
-        if (bcryptLoaded && typeof dcodeIO !== 'undefined' && dcodeIO.bcrypt) {
-            return Promise.resolve();
-        }
-
-        if (bcryptLoadingPromise) {
-            return bcryptLoadingPromise;
-        }
-
-        bcryptLoadingPromise = new Promise((resolve, reject) => {
-            // 检查是否已经加载
-            if (typeof dcodeIO !== 'undefined' && dcodeIO.bcrypt) {
-                bcryptLoaded = true;
-                resolve();
-                return;
-            }
-
-            // 动态加载脚本
-            const script = document.createElement('script');
-            const basePath = window.REOT?.router?.pathPrefix || '';
-            script.src = `${basePath}/libs/bcrypt/bcrypt.min.js`;
-            script.onload = () => {
-                bcryptLoaded = true;
-                resolve();
-            };
-            script.onerror = () => {
-                bcryptLoadingPromise = null;
-                reject(new Error('无法加载 bcrypt 库'));
-            };
-            document.head.appendChild(script);
-        });
-
-        return bcryptLoadingPromise;
-    }
-
     // ==================== PBKDF2 部分 ====================
 
     // PBKDF2 DOM 元素
@@ -85,49 +41,46 @@
     const bcryptSaltDisplay = document.getElementById('bcrypt-salt-display');
     const bcryptHashDisplay = document.getElementById('bcrypt-hash-display');
 
+    // ==================== Argon2 / scrypt 部分 ====================
+
+    // 正在执行的派生任务（按算法）
+    const kdfJobs = {};
+
+    // 各面板读取参数和生成 PHC 字符串的方式，DOM 元素 id 均以算法名为前缀
+    const KDF_PANELS = {
+        argon2: {
+            readParams: () => ({
+                type: document.getElementById('argon2-type').value,
+                version: parseInt(document.getElementById('argon2-version').value, 10),
+                memory: parseInt(document.getElementById('argon2-memory').value, 10),
+                iterations: parseInt(document.getElementById('argon2-iterations').value, 10),
+                parallelism: parseInt(document.getElementById('argon2-parallelism').value, 10)
+            }),
+            encode: (kdf, params, salt, key) => kdf.encodeArgon2(params, salt, key)
+        },
+        scrypt: {
+            readParams: () => ({
+                N: parseInt(document.getElementById('scrypt-n').value, 10),
+                r: parseInt(document.getElementById('scrypt-r').value, 10),
+                p: parseInt(document.getElementById('scrypt-p').value, 10)
+            }),
+            encode: (kdf, params, salt, key) => kdf.encodeScrypt(params, salt, key)
+        }
+    };
+
     // 算法标签页切换
     const algorithmTabs = document.querySelectorAll('.algorithm-tab');
     const algorithmPanels = document.querySelectorAll('.algorithm-panel');
 
     // ==================== 工具函数 ====================
 
-    /**
-     * Hex 字符串转 ArrayBuffer
-     */
-    function hexToBuffer(hex) {
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < hex.length; i += 2) {
-            bytes[i / 2] = parseInt(hex.substr(i, 2), 16);
-        }
-        return bytes.buffer;
-    }
-
-    /**
-     * ArrayBuffer 转 Hex
-     */
-    function bufferToHex(buffer) {
-        return Array.from(new Uint8Array(buffer))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    /**
-     * ArrayBuffer 转 Base64
-     */
-    function bufferToBase64(buffer) {
-        const bytes = new Uint8Array(buffer);
-        let binary = '';
-        bytes.forEach(b => binary += String.fromCharCode(b));
-        return btoa(binary);
-    }
-
     /**
      * 生成随机盐值 (Hex 格式)
      */
     function generateSalt(length = 16) {
         const bytes = new Uint8Array(length);
         crypto.getRandomValues(bytes);
-        return bufferToHex(bytes.buffer);
+        return REOT.bytes.toHex(bytes);
     }
 
     /**
@@ -144,7 +97,7 @@
      */
     async function derivePBKDF2(password, salt, iterations, keyLength, algorithm) {
         const passwordData = new TextEncoder().encode(password);
-        const saltData = hexToBuffer(salt);
+        const saltData = REOT.bytes.fromHex(salt);
 
         // 导入密码作为密钥材料
         const keyMaterial = await crypto.subtle.importKey(
@@ -213,9 +166,9 @@
             const derivedKey = await derivePBKDF2(password, salt, iterations, keyLength, algorithm);
 
             if (outputFormat === 'base64') {
-                pbkdf2Output.value = bufferToBase64(derivedKey);
+                pbkdf2Output.value = REOT.bytes.toBase64(new Uint8Array(derivedKey));
             } else {
-                pbkdf2Output.value = bufferToHex(derivedKey);
+                pbkdf2Output.value = REOT.bytes.toHex(new Uint8Array(derivedKey));
             }
         } catch (error) {
             pbkdf2Output.value = (REOT.i18n?.t('tools.kdf.errorDerivation') || '派生失败: ') + error.message;
@@ -229,7 +182,7 @@
      */
     async function generateBcryptHash(password, cost) {
         // 先确保 bcrypt 库已加载
-        await loadBcryptLibrary();
+        await REOT.loader.load('bcrypt');
 
         return new Promise((resolve, reject) => {
             if (typeof dcodeIO === 'undefined' || !dcodeIO.bcrypt) {
@@ -252,7 +205,7 @@
      */
     async function verifyBcryptPassword(password, hash) {
         // 先确保 bcrypt 库已加载
-        await loadBcryptLibrary();
+        await REOT.loader.load('bcrypt');
 
         return new Promise((resolve, reject) => {
             if (typeof dcodeIO === 'undefined' || !dcodeIO.bcrypt) {
@@ -362,6 +315,185 @@
         }
     }
 
+    // ==================== Argon2 / scrypt 实现 ====================
+
+    /**
+     * 加载 KDF 核心（Argon2、scrypt、PHC 字符串）
+     * @returns {Promise<Object>} REOT.kdf
+     */
+    async function loadCore() {
+        await REOT.loader.loadScript('tools/hashing/blake2/blake2-core.js');
+        await REOT.loader.loadScript('tools/hashing/kdf/kdf-core.js');
+        return REOT.kdf;
+    }
+
+    /**
+     * Argon2 密钥派生
+     * @param {string} password
+     * @param {string} salt - Hex 格式，至少 8 字节
+     * @param {Object} options - type、version、memory（KiB）、iterations、parallelism、length
+     * @returns {Promise<Uint8Array>}
+     */
+    async function deriveArgon2(password, salt, options = {}) {
+        const kdf = await loadCore();
+        return kdf.run({ ...options, algorithm: 'argon2', password, salt: REOT.bytes.fromHex(salt) });
+    }
+
+    /**
+     * scrypt 密钥派生
+     * @param {string} password
+     * @param {string} salt - Hex 格式
+     * @param {Object} options - N、r、p、length
+     * @returns {Promise<Uint8Array>}
+     */
+    async function deriveScrypt(password, salt, options = {}) {
+        const kdf = await loadCore();
+        return kdf.run({ ...options, algorithm: 'scrypt', password, salt: REOT.bytes.fromHex(salt) });
+    }
+
+    /**
+     * 用 Argon2 / scrypt 的 PHC 字符串验证密码（在 Worker 中派生）
+     * @param {string} phc
+     * @param {string} password
+     * @returns {Promise<boolean>}
+     */
+    async function verifyPHC(phc, password) {
+        const kdf = await loadCore();
+        return kdf.verifyPHC(phc, password);
+    }
+
+    /**
+     * 显示 PHC 字符串解析结果
+     * @param {string} algorithm - 面板名称
+     * @param {Object} parsed - REOT.kdf.parsePHC() 的结果
+     */
+    function displayPHCAnalysis(algorithm, parsed) {
+        const params = parsed.params;
+        const items = parsed.algorithm === 'argon2' ? [
+            [REOT.i18n?.t('tools.kdf.argon2Type') || '类型', params.type],
+            [REOT.i18n?.t('tools.kdf.version') || '版本', 'v=' + params.version + ' (0x' + params.version.toString(16) + ')'],
+            [REOT.i18n?.t('tools.kdf.memory') || '内存 (KiB)', params.memory + ' KiB'],
+            [REOT.i18n?.t('tools.kdf.iterations') || '迭代次数', params.iterations],
+            [REOT.i18n?.t('tools.kdf.parallelism') || '并行度', params.parallelism]
+        ] : [
+            ['N', params.N + ' (2^' + Math.log2(params.N) + ')'],
+            ['r', params.r],
+            ['p', params.p],
+            [REOT.i18n?.t('tools.kdf.memoryUsage') || '内存占用', (128 * params.N * params.r / 1048576).toFixed(2) + ' MiB']
+        ];
+        items.push(
+            [REOT.i18n?.t('tools.kdf.salt') || '盐值', REOT.bytes.toHex(parsed.salt)],
+            [REOT.i18n?.t('tools.kdf.hash') || '哈希', REOT.bytes.toHex(parsed.hash) + ' (' + parsed.hash.length + ' bytes)']
+        );
+
+        document.getElementById(algorithm + '-analysis-grid').innerHTML = items.map(([label, value]) => `
+            <div class="analysis-item">
+                <span class="analysis-label">${REOT.utils.escapeHtml(String(label))}</span>
+                <span class="analysis-value">${REOT.utils.escapeHtml(String(value))}</span>
+            </div>
+        `).join('');
+        document.getElementById(algorithm + '-analysis').style.display = 'block';
+    }
+
+    /**
+     * 执行 Argon2 / scrypt 操作（生成哈希或验证 PHC 字符串）
+     * @param {string} algorithm - argon2 / scrypt
+     */
+    async function executeKdf(algorithm) {
+        if (kdfJobs[algorithm]) {
+            return;
+        }
+        const field = name => document.getElementById(algorithm + '-' + name);
+        const output = field('output');
+        const phcOutput = field('phc-output');
+        const status = field('status');
+        const password = field('password').value;
+        const mode = field('mode').value;
+
+        output.style.color = '';
+        if (!password) {
+            output.value = REOT.i18n?.t('tools.kdf.errorNoPassword') || '请输入密码';
+            return;
+        }
+
+        let kdf;
+        let job;
+        let parsed = null;
+        try {
+            kdf = await loadCore();
+            if (mode === 'verify') {
+                const phc = field('phc-input').value.trim();
+                if (!phc) {
+                    output.value = REOT.i18n?.t('tools.kdf.errorNoHash') || '请输入待验证的哈希';
+                    return;
+                }
+                parsed = kdf.parsePHC(phc);
+                job = { ...parsed.params, algorithm: parsed.algorithm, salt: parsed.salt, length: parsed.hash.length };
+            } else {
+                const salt = field('salt').value.trim();
+                const keyLength = parseInt(field('keylength').value, 10);
+                if (!salt) {
+                    output.value = REOT.i18n?.t('tools.kdf.errorNoSalt') || '请输入盐值';
+                    return;
+                }
+                if (!isValidHex(salt)) {
+                    output.value = REOT.i18n?.t('tools.kdf.errorInvalidSalt') || '盐值必须是有效的 Hex 字符串';
+                    return;
+                }
+                if (!(keyLength >= 1 && keyLength <= 512)) {
+                    output.value = REOT.i18n?.t('tools.kdf.errorInvalidKeyLength') || '密钥长度必须在 1 到 512 字节之间';
+                    return;
+                }
+                job = { ...KDF_PANELS[algorithm].readParams(), algorithm, salt: REOT.bytes.fromHex(salt), length: keyLength };
+            }
+        } catch (error) {
+            output.value = (REOT.i18n?.t('tools.kdf.errorOperation') || '操作失败: ') + error.message;
+            output.style.color = 'var(--error-color, #ef4444)';
+            return;
+        }
+
+        field('action-btn').disabled = true;
+        field('cancel-btn').disabled = false;
+        output.value = mode === 'verify'
+            ? (REOT.i18n?.t('tools.kdf.verifying') || '正在验证...')
+            : (REOT.i18n?.t('tools.kdf.deriving') || '正在派生密钥...');
+        phcOutput.value = '';
+        status.textContent = '';
+
+        try {
+            kdfJobs[algorithm] = kdf.deriveInWorker({ ...job, password });
+            const { key, elapsed, cancelled } = await kdfJobs[algorithm].promise;
+            if (cancelled) {
+                output.value = REOT.i18n?.t('tools.kdf.cancelled') || '已取消';
+                return;
+            }
+            status.textContent = REOT.i18n.t('tools.kdf.elapsed', '耗时 {ms} ms', { ms: elapsed });
+
+            if (parsed) {
+                if (REOT.bytes.equals(key, parsed.hash)) {
+                    output.value = '✓ ' + (REOT.i18n?.t('tools.kdf.passwordMatch') || '密码匹配');
+                    output.style.color = 'var(--success-color, #10b981)';
+                } else {
+                    output.value = '✗ ' + (REOT.i18n?.t('tools.kdf.passwordMismatch') || '密码不匹配');
+                    output.style.color = 'var(--error-color, #ef4444)';
+                }
+                phcOutput.value = field('phc-input').value.trim();
+            } else {
+                output.value = field('output-format').value === 'base64' ? REOT.bytes.toBase64(key) : REOT.bytes.toHex(key);
+                phcOutput.value = KDF_PANELS[algorithm].encode(kdf, job, job.salt, key);
+                parsed = kdf.parsePHC(phcOutput.value);
+            }
+            displayPHCAnalysis(algorithm, parsed);
+        } catch (error) {
+            output.value = (REOT.i18n?.t('tools.kdf.errorDerivation') || '派生失败: ') + error.message;
+            output.style.color = 'var(--error-color, #ef4444)';
+        } finally {
+            delete kdfJobs[algorithm];
+            field('action-btn').disabled = false;
+            field('cancel-btn').disabled = true;
+        }
+    }
+
     // ==================== 事件绑定 ====================
 
     // 算法标签页切换
@@ -461,6 +593,86 @@
         });
     }
 
+    // Argon2 / scrypt 事件
+    Object.keys(KDF_PANELS).forEach(algorithm => {
+        const field = name => document.getElementById(algorithm + '-' + name);
+        const modeSelect = field('mode');
+        const actionBtn = field('action-btn');
+        const output = field('output');
+
+        if (modeSelect) {
+            modeSelect.addEventListener('change', () => {
+                const verify = modeSelect.value === 'verify';
+                document.querySelector('.' + algorithm + '-verify-section').style.display = verify ? 'block' : 'none';
+                document.querySelector('.' + algorithm + '-derive-section').style.display = verify ? 'none' : 'block';
+                actionBtn.setAttribute('data-i18n', verify ? 'tools.kdf.verify' : 'tools.kdf.derive');
+                actionBtn.textContent = verify
+                    ? (REOT.i18n?.t('tools.kdf.verify') || '验证密码')
+                    : (REOT.i18n?.t('tools.kdf.derive') || '派生密钥');
+
+                // 重置输出
+                output.style.color = '';
+                output.value = '';
+                field('phc-output').value = '';
+                field('status').textContent = '';
+                field('analysis').style.display = 'none';
+            });
+        }
+
+        if (actionBtn) {
+            actionBtn.addEventListener('click', () => executeKdf(algorithm));
+        }
+
+        if (field('cancel-btn')) {
+            field('cancel-btn').addEventListener('click', () => {
+                kdfJobs[algorithm]?.cancel();
+            });
+        }
+
+        if (field('gen-salt')) {
+            field('gen-salt').addEventListener('click', () => {
+                field('salt').value = generateSalt(16);
+            });
+        }
+
+        if (field('clear-btn')) {
+            field('clear-btn').addEventListener('click', () => {
+                kdfJobs[algorithm]?.cancel();
+                field('password').value = '';
+                field('salt').value = '';
+                field('phc-input').value = '';
+                output.value = '';
+                output.style.color = '';
+                field('phc-output').value = '';
+                field('status').textContent = '';
+                field('analysis').style.display = 'none';
+            });
+        }
+
+        [['copy-btn', output], ['phc-copy-btn', field('phc-output')]].forEach(([button, source]) => {
+            if (!field(button)) {
+                return;
+            }
+            field(button).addEventListener('click', async () => {
+                const value = source.value;
+                if (value && !value.startsWith('请') && !value.startsWith('正在') && !value.startsWith('✓') && !value.startsWith('✗')) {
+                    const success = await REOT.utils?.copyToClipboard(value);
+                    if (success) {
+                        REOT.utils?.showNotification(REOT.i18n?.t('common.copied') || '已复制', 'success');
+                    }
+                }
+            });
+        });
+
+        // 设置默认示例
+        if (field('password') && !field('password').value) {
+            field('password').value = 'password123';
+        }
+        if (field('salt') && !field('salt').value) {
+            field('salt').value = generateSalt(16);
+        }
+    });
+
     // ==================== 初始化默认值 ====================
 
     // 设置默认示例
@@ -481,6 +693,10 @@
         generateBcryptHash,
         verifyBcryptPassword,
         parseBcryptHash,
-        loadBcryptLibrary
+        deriveArgon2,
+        deriveScrypt,
+        verifyPHC,
+        loadCore,
+        loadBcryptLibrary: () => REOT.loader.load('bcrypt')
     };
 })();
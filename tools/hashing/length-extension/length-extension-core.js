@@ -0,0 +1,181 @@
+/**
+ * 长度扩展攻击核心
+ * @description 已知 H(secret || message) 和 message 时，对 MD5 / SHA-1 / SHA-256 / SHA-512 构造
+ *              message || padding || append 及其合法摘要，不需要知道 secret 本身。
+ *              依赖 REOT.bytes（bytes.js）、REOT.md（md-core.js）和 REOT.sha（sha-core.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // 可以从摘要恢复完整内部状态的 Merkle–Damgård 哈希
+    const ALGORITHMS = {
+        md5: { name: 'MD5', blockSize: 64, length: 16, littleEndian: true },
+        sha1: { name: 'SHA-1', blockSize: 64, length: 20, littleEndian: false },
+        sha256: { name: 'SHA-256', blockSize: 64, length: 32, littleEndian: false },
+        sha512: { name: 'SHA-512', blockSize: 128, length: 64, littleEndian: false }
+    };
+
+    // 一次最多尝试的密钥长度个数
+    const MAX_CANDIDATES = 1024;
+
+    /**
+     * 查找算法参数
+     * @param {string} algorithm - md5 / sha1 / sha256 / sha512（不区分大小写，可带 - 或 _，如 SHA-256）
+     * @returns {{name: string, blockSize: number, length: number, littleEndian: boolean}}
+     * @throws {Error} 不是以上四种算法时抛出“不支持长度扩展的算法”
+     */
+    function getAlgorithm(algorithm) {
+        const spec = ALGORITHMS[String(algorithm).toLowerCase().replace(/[-_]/g, '')];
+        if (!spec) {
+            throw new Error(`不支持长度扩展的算法: ${algorithm}`);
+        }
+        return spec;
+    }
+
+    /**
+     * 解析已知摘要（十六进制字符串或字节）
+     * @param {Object} spec - getAlgorithm() 返回的算法参数
+     * @param {string|Uint8Array} digest - 十六进制字符串（按 REOT.bytes.fromHex 解析，可带 0x 前缀和空白）或字节
+     * @returns {Uint8Array}
+     * @throws {Error} 字符串不是有效的十六进制时抛出 REOT.bytes.fromHex 的错误；
+     *     字节数与算法摘要长度不符时抛出“… 摘要应为 N 字节，实际为 M 字节”
+     */
+    function parseDigest(spec, digest) {
+        const bytes = typeof digest === 'string' ? root.REOT.bytes.fromHex(digest) : digest;
+        if (bytes.length !== spec.length) {
+            throw new Error(`${spec.name} 摘要应为 ${spec.length} 字节，实际为 ${bytes.length} 字节`);
+        }
+        return bytes;
+    }
+
+    /**
+     * 按摘要长度推测算法
+     * @param {string|Uint8Array} digest - 十六进制字符串或字节
+     * @returns {string|null} md5 / sha1 / sha256 / sha512
+     */
+    function detect(digest) {
+        let length = digest.length;
+        if (typeof digest === 'string') {
+            try {
+                length = root.REOT.bytes.fromHex(digest).length;
+            } catch (e) {
+                return null;
+            }
+        }
+        const found = Object.entries(ALGORITHMS).find(([, spec]) => spec.length === length);
+        return found ? found[0] : null;
+    }
+
+    /**
+     * 计算长度为 length 字节的消息的 MD 填充：0x80、若干 0x00，最后是消息位长度
+     * （MD5 为小端序，SHA 为大端序；SHA-512 的长度字段为 128 位）
+     * @param {string} algorithm
+     * @param {number} length - 消息字节数
+     * @returns {Uint8Array}
+     */
+    function padding(algorithm, length) {
+        const spec = getAlgorithm(algorithm);
+        const lengthBytes = spec.blockSize / 8;
+        const zeros = (spec.blockSize - ((length + 1 + lengthBytes) % spec.blockSize)) % spec.blockSize;
+        const result = new Uint8Array(1 + zeros + lengthBytes);
+        result[0] = 0x80;
+
+        let bits = BigInt(length) * 8n;
+        for (let i = 0; i < 8; i++) {
+            const pos = spec.littleEndian ? 1 + zeros + i : result.length - 1 - i;
+            result[pos] = Number(bits & 0xffn);
+            bits >>= 8n;
+        }
+        return result;
+    }
+
+    /**
+     * 从已知摘要继续计算
+     * @param {string} algorithm
+     * @param {Uint8Array} state - 已知摘要
+     * @param {number} length - 已处理字节数（含填充）
+     * @param {Uint8Array} data - 追加的数据
+     * @returns {Uint8Array}
+     */
+    function resume(algorithm, state, length, data) {
+        if (algorithm === 'md5') {
+            return root.REOT.md.md5(data, { state, length });
+        }
+        return root.REOT.sha.create(algorithm, { state, length }).update(data).digest();
+    }
+
+    /**
+     * 对一个密钥长度构造伪造消息和新摘要
+     * @param {string} algorithm - md5 / sha1 / sha256 / sha512
+     * @param {Object} options
+     * @param {string|Uint8Array} options.digest - 已知的 H(secret || message)
+     * @param {string|Uint8Array} options.message - 原始消息
+     * @param {string|Uint8Array} options.append - 要追加的数据
+     * @param {number} options.secretLength - 猜测的密钥字节数
+     * @returns {{secretLength: number, padding: Uint8Array, message: Uint8Array, digest: Uint8Array}}
+     *     message 为 message || padding || append（不含密钥），digest 为 H(secret || message)
+     */
+    function extend(algorithm, options) {
+        const id = String(algorithm).toLowerCase().replace(/[-_]/g, '');
+        const spec = getAlgorithm(id);
+        const state = parseDigest(spec, options.digest);
+        const message = root.REOT.bytes.from(options.message ?? '');
+        const append = root.REOT.bytes.from(options.append ?? '');
+        const { secretLength } = options;
+        if (!Number.isInteger(secretLength) || secretLength < 0) {
+            throw new Error('密钥长度必须是非负整数');
+        }
+
+        const pad = padding(id, secretLength + message.length);
+        const forged = new Uint8Array(message.length + pad.length + append.length);
+        forged.set(message);
+        forged.set(pad, message.length);
+        forged.set(append, message.length + pad.length);
+
+        return {
+            secretLength,
+            padding: pad,
+            message: forged,
+            digest: resume(id, state, secretLength + message.length + pad.length, append)
+        };
+    }
+
+    /**
+     * 对一个范围内的每个密钥长度构造伪造消息
+     * @param {string} algorithm
+     * @param {Object} options - 同 extend()，用 minSecretLength / maxSecretLength 代替 secretLength
+     * @returns {Array<Object>} 每个密钥长度一项，结构同 extend() 的返回值
+     */
+    function forge(algorithm, options) {
+        const { minSecretLength, maxSecretLength = minSecretLength } = options;
+        if (!Number.isInteger(minSecretLength) || !Number.isInteger(maxSecretLength) ||
+            minSecretLength < 0 || maxSecretLength < minSecretLength) {
+            throw new Error('密钥长度范围无效');
+        }
+        if (maxSecretLength - minSecretLength >= MAX_CANDIDATES) {
+            throw new Error(`一次最多尝试 ${MAX_CANDIDATES} 个密钥长度`);
+        }
+
+        const results = [];
+        for (let secretLength = minSecretLength; secretLength <= maxSecretLength; secretLength++) {
+            results.push(extend(algorithm, { ...options, secretLength }));
+        }
+        return results;
+    }
+
+    root.REOT.lengthExtension = {
+        ALGORITHMS,
+        MAX_CANDIDATES,
+        detect,
+        padding,
+        extend,
+        forge
+    };
+
+})(typeof window !== 'undefined' ? window : self);
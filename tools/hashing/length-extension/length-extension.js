@@ -0,0 +1,194 @@
+/**
+ * 哈希长度扩展攻击工具
+ * @description 已知 H(secret || message) 和 message，对每个猜测的密钥长度构造 message || padding || append
+ *              及其合法摘要（MD5 / SHA-1 / SHA-256 / SHA-512）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    const CORE_SCRIPTS = [
+        'tools/hashing/md5/md-core.js',
+        'tools/hashing/sha/sha-core.js',
+        'tools/hashing/length-extension/length-extension-core.js'
+    ];
+
+    /**
+     * 加载 MD5 / SHA 核心和长度扩展核心
+     * @returns {Promise<Object>} REOT.lengthExtension
+     */
+    async function loadCore() {
+        for (const src of CORE_SCRIPTS) {
+            await REOT.loader.loadScript(src);
+        }
+        return REOT.lengthExtension;
+    }
+
+    /**
+     * URL 编码：可打印 ASCII 原样保留（查询串中的 & 和 = 不变，伪造的参数才能被服务端正常解析），
+     * 空格、控制字符、非 ASCII 字节以及 %、#、+ 编码为 %XX
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    function urlEncode(bytes) {
+        let result = '';
+        for (const byte of bytes) {
+            const printable = byte > 0x20 && byte < 0x7f && byte !== 0x25 && byte !== 0x23 && byte !== 0x2b;
+            result += printable ? String.fromCharCode(byte) : '%' + byte.toString(16).padStart(2, '0').toUpperCase();
+        }
+        return result;
+    }
+
+    /**
+     * 构造伪造消息
+     * @param {string} algorithm - md5 / sha1 / sha256 / sha512，auto 表示按摘要长度识别
+     * @param {Object} options - { digest, message, append, minSecretLength, maxSecretLength }
+     * @returns {Promise<{algorithm: string, results: Array<Object>}>}
+     */
+    async function forge(algorithm, options) {
+        const core = await loadCore();
+        const resolved = algorithm === 'auto' ? core.detect(options.digest) : algorithm;
+        if (!resolved) {
+            throw new Error(REOT.i18n.t('tools.length-extension.errorDetect', '无法按摘要长度识别算法，请手动选择'));
+        }
+        return { algorithm: resolved, results: core.forge(resolved, options) };
+    }
+
+    /**
+     * 读取表单
+     */
+    function readOptions() {
+        const digest = document.getElementById('known-digest').value.trim();
+        if (!digest) {
+            throw new Error(REOT.i18n.t('tools.length-extension.errorNoDigest', '请输入已知签名'));
+        }
+        const parse = (id, formatId) => REOT.bytes.parse(document.getElementById(id).value, document.getElementById(formatId).value);
+        return {
+            digest,
+            message: parse('original-message', 'message-format'),
+            append: parse('append-data', 'append-format'),
+            minSecretLength: Number(document.getElementById('secret-min').value || 0),
+            maxSecretLength: Number(document.getElementById('secret-max').value || 0)
+        };
+    }
+
+    /**
+     * 渲染结果：每个密钥长度一项，十六进制中区分原始消息、填充和追加数据
+     */
+    function renderResults(algorithm, results, messageLength) {
+        const escape = REOT.utils.escapeHtml;
+        const toHex = bytes => REOT.bytes.toHex(bytes);
+        const name = REOT.lengthExtension.ALGORITHMS[algorithm].name;
+        const copyLabel = REOT.i18n.t('common.copy', '复制');
+
+        document.getElementById('result-summary').textContent =
+            REOT.i18n.t('tools.length-extension.summary', '{algorithm}：共 {count} 个候选密钥长度，把伪造消息和新签名一起提交，服务端接受的那一项即为正确的密钥长度', {
+                algorithm: name,
+                count: results.length
+            });
+
+        document.getElementById('result-list').innerHTML = results.map(result => {
+            const forged = result.message;
+            const paddingEnd = messageLength + result.padding.length;
+            const digest = toHex(result.digest);
+            const hex = toHex(forged);
+            const url = urlEncode(forged);
+            return `
+                <div class="forge-item">
+                    <div class="forge-item-header">
+                        <span class="forge-length">${escape(REOT.i18n.t('tools.length-extension.secretLength', '密钥长度'))}: ${result.secretLength}</span>
+                    </div>
+                    <div class="forge-field">
+                        <span class="forge-label">${escape(REOT.i18n.t('tools.length-extension.newDigest', '新签名'))}</span>
+                        <code class="forge-value">${digest}</code>
+                        <button class="btn btn--sm btn--outline copy-value-btn" data-value="${digest}">${escape(copyLabel)}</button>
+                    </div>
+                    <div class="forge-field">
+                        <span class="forge-label">${escape(REOT.i18n.t('tools.length-extension.forgedHex', '伪造消息 (Hex)'))}</span>
+                        <code class="forge-value"><span class="forge-original">${toHex(forged.subarray(0, messageLength))}</span><span class="forge-padding">${toHex(result.padding)}</span><span class="forge-append">${toHex(forged.subarray(paddingEnd))}</span></code>
+                        <button class="btn btn--sm btn--outline copy-value-btn" data-value="${hex}">${escape(copyLabel)}</button>
+                    </div>
+                    <div class="forge-field">
+                        <span class="forge-label">${escape(REOT.i18n.t('tools.length-extension.forgedUrl', '伪造消息 (URL 编码)'))}</span>
+                        <code class="forge-value">${escape(url)}</code>
+                        <button class="btn btn--sm btn--outline copy-value-btn" data-value="${escape(url)}">${escape(copyLabel)}</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('result-section').style.display = 'block';
+    }
+
+    /**
+     * 构造按钮
+     */
+    async function handleForge() {
+        try {
+            const options = readOptions();
+            const algorithm = document.getElementById('algorithm').value;
+            const { algorithm: resolved, results } = await forge(algorithm, options);
+            renderResults(resolved, results, options.message.length);
+            REOT.utils?.showNotification(REOT.i18n.t('tools.length-extension.forgeDone', '构造完成'), 'success');
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+    }
+
+    function clearAll() {
+        for (const id of ['known-digest', 'original-message', 'append-data']) {
+            document.getElementById(id).value = '';
+        }
+        document.getElementById('result-list').innerHTML = '';
+        document.getElementById('result-summary').textContent = '';
+        document.getElementById('result-section').style.display = 'none';
+    }
+
+    /**
+     * 复制到剪贴板
+     */
+    async function copyToClipboard(text) {
+        const success = await REOT.utils?.copyToClipboard(text);
+        if (success) {
+            REOT.utils?.showNotification(REOT.i18n.t('common.copied', '已复制'), 'success');
+        }
+    }
+
+    // 检查当前是否在长度扩展工具页面
+    function isLengthExtensionToolActive() {
+        const route = REOT.router?.getRoute();
+        return route && route.includes('/tools/hashing/length-extension');
+    }
+
+    // 事件委托处理器
+    document.addEventListener('click', (e) => {
+        if (!isLengthExtensionToolActive()) {
+            return;
+        }
+
+        const target = e.target;
+
+        if (target.closest('#forge-btn')) {
+            handleForge();
+        }
+
+        if (target.closest('#clear-btn')) {
+            clearAll();
+        }
+
+        const copyBtn = target.closest('.copy-value-btn');
+        if (copyBtn) {
+            copyToClipboard(copyBtn.dataset.value);
+        }
+    });
+
+    // 导出工具函数
+    window.LengthExtensionTool = {
+        loadCore,
+        forge,
+        urlEncode
+    };
+
+})();
@@ -0,0 +1,261 @@
+/**
+ * MD4 / MD5 核心
+ * @description 不依赖 DOM 的 MD4、MD5 与 NTLM 计算（纯 JavaScript），供 MD5 工具页面和哈希爆破 Worker 共用。
+ *              依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // ========== 字节与字转换 ==========
+
+    /**
+     * 消息字节转换为小端序 32 位字数组
+     * binlMD5 / binlMD4 会在末尾追加填充字，因此返回可扩展的普通数组
+     * @param {Uint8Array} data
+     * @returns {number[]}
+     */
+    function messageWords(data) {
+        return Array.from(root.REOT.bytes.bytesToWords(data));
+    }
+
+    // ========== MD5 ==========
+
+    function safeAdd(x, y) {
+        const lsw = (x & 0xffff) + (y & 0xffff);
+        const msw = (x >> 16) + (y >> 16) + (lsw >> 16);
+        return (msw << 16) | (lsw & 0xffff);
+    }
+
+    function bitRotateLeft(num, cnt) {
+        return (num << cnt) | (num >>> (32 - cnt));
+    }
+
+    function md5cmn(q, a, b, x, s, t) {
+        return safeAdd(bitRotateLeft(safeAdd(safeAdd(a, q), safeAdd(x, t)), s), b);
+    }
+
+    function md5ff(a, b, c, d, x, s, t) {
+        return md5cmn((b & c) | (~b & d), a, b, x, s, t);
+    }
+
+    function md5gg(a, b, c, d, x, s, t) {
+        return md5cmn((b & d) | (c & ~d), a, b, x, s, t);
+    }
+
+    function md5hh(a, b, c, d, x, s, t) {
+        return md5cmn(b ^ c ^ d, a, b, x, s, t);
+    }
+
+    function md5ii(a, b, c, d, x, s, t) {
+        return md5cmn(c ^ (b | ~d), a, b, x, s, t);
+    }
+
+    const MD5_IV = [1732584193, -271733879, -1732584194, 271733878];
+
+    /**
+     * MD5 压缩函数（RFC 1321）
+     * @param {number[]} x - 消息字
+     * @param {number} len - 消息位长度
+     * @param {number[]} [state] - 初始状态，默认为标准 IV
+     * @param {number} [prefix=0] - 初始状态之前已经处理的位数（长度扩展时计入填充中的长度）
+     * @returns {number[]}
+     */
+    function binlMD5(x, len, state = MD5_IV, prefix = 0) {
+        const total = len + prefix;
+        x[len >> 5] |= 0x80 << (len % 32);
+        x[((len + 64) >>> 9 << 4) + 14] = total >>> 0;
+        x[((len + 64) >>> 9 << 4) + 15] = Math.floor(total / 0x100000000);
+
+        let [a, b, c, d] = state;
+
+        for (let i = 0; i < x.length; i += 16) {
+            const olda = a;
+            const oldb = b;
+            const oldc = c;
+            const oldd = d;
+
+            a = md5ff(a, b, c, d, x[i], 7, -680876936);
+            d = md5ff(d, a, b, c, x[i + 1], 12, -389564586);
+            c = md5ff(c, d, a, b, x[i + 2], 17, 606105819);
+            b = md5ff(b, c, d, a, x[i + 3], 22, -1044525330);
+            a = md5ff(a, b, c, d, x[i + 4], 7, -176418897);
+            d = md5ff(d, a, b, c, x[i + 5], 12, 1200080426);
+            c = md5ff(c, d, a, b, x[i + 6], 17, -1473231341);
+            b = md5ff(b, c, d, a, x[i + 7], 22, -45705983);
+            a = md5ff(a, b, c, d, x[i + 8], 7, 1770035416);
+            d = md5ff(d, a, b, c, x[i + 9], 12, -1958414417);
+            c = md5ff(c, d, a, b, x[i + 10], 17, -42063);
+            b = md5ff(b, c, d, a, x[i + 11], 22, -1990404162);
+            a = md5ff(a, b, c, d, x[i + 12], 7, 1804603682);
+            d = md5ff(d, a, b, c, x[i + 13], 12, -40341101);
+            c = md5ff(c, d, a, b, x[i + 14], 17, -1502002290);
+            b = md5ff(b, c, d, a, x[i + 15], 22, 1236535329);
+
+            a = md5gg(a, b, c, d, x[i + 1], 5, -165796510);
+            d = md5gg(d, a, b, c, x[i + 6], 9, -1069501632);
+            c = md5gg(c, d, a, b, x[i + 11], 14, 643717713);
+            b = md5gg(b, c, d, a, x[i], 20, -373897302);
+            a = md5gg(a, b, c, d, x[i + 5], 5, -701558691);
+            d = md5gg(d, a, b, c, x[i + 10], 9, 38016083);
+            c = md5gg(c, d, a, b, x[i + 15], 14, -660478335);
+            b = md5gg(b, c, d, a, x[i + 4], 20, -405537848);
+            a = md5gg(a, b, c, d, x[i + 9], 5, 568446438);
+            d = md5gg(d, a, b, c, x[i + 14], 9, -1019803690);
+            c = md5gg(c, d, a, b, x[i + 3], 14, -187363961);
+            b = md5gg(b, c, d, a, x[i + 8], 20, 1163531501);
+            a = md5gg(a, b, c, d, x[i + 13], 5, -1444681467);
+            d = md5gg(d, a, b, c, x[i + 2], 9, -51403784);
+            c = md5gg(c, d, a, b, x[i + 7], 14, 1735328473);
+            b = md5gg(b, c, d, a, x[i + 12], 20, -1926607734);
+
+            a = md5hh(a, b, c, d, x[i + 5], 4, -378558);
+            d = md5hh(d, a, b, c, x[i + 8], 11, -2022574463);
+            c = md5hh(c, d, a, b, x[i + 11], 16, 1839030562);
+            b = md5hh(b, c, d, a, x[i + 14], 23, -35309556);
+            a = md5hh(a, b, c, d, x[i + 1], 4, -1530992060);
+            d = md5hh(d, a, b, c, x[i + 4], 11, 1272893353);
+            c = md5hh(c, d, a, b, x[i + 7], 16, -155497632);
+            b = md5hh(b, c, d, a, x[i + 10], 23, -1094730640);
+            a = md5hh(a, b, c, d, x[i + 13], 4, 681279174);
+            d = md5hh(d, a, b, c, x[i], 11, -358537222);
+            c = md5hh(c, d, a, b, x[i + 3], 16, -722521979);
+            b = md5hh(b, c, d, a, x[i + 6], 23, 76029189);
+            a = md5hh(a, b, c, d, x[i + 9], 4, -640364487);
+            d = md5hh(d, a, b, c, x[i + 12], 11, -421815835);
+            c = md5hh(c, d, a, b, x[i + 15], 16, 530742520);
+            b = md5hh(b, c, d, a, x[i + 2], 23, -995338651);
+
+            a = md5ii(a, b, c, d, x[i], 6, -198630844);
+            d = md5ii(d, a, b, c, x[i + 7], 10, 1126891415);
+            c = md5ii(c, d, a, b, x[i + 14], 15, -1416354905);
+            b = md5ii(b, c, d, a, x[i + 5], 21, -57434055);
+            a = md5ii(a, b, c, d, x[i + 12], 6, 1700485571);
+            d = md5ii(d, a, b, c, x[i + 3], 10, -1894986606);
+            c = md5ii(c, d, a, b, x[i + 10], 15, -1051523);
+            b = md5ii(b, c, d, a, x[i + 1], 21, -2054922799);
+            a = md5ii(a, b, c, d, x[i + 8], 6, 1873313359);
+            d = md5ii(d, a, b, c, x[i + 15], 10, -30611744);
+            c = md5ii(c, d, a, b, x[i + 6], 15, -1560198380);
+            b = md5ii(b, c, d, a, x[i + 13], 21, 1309151649);
+            a = md5ii(a, b, c, d, x[i + 4], 6, -145523070);
+            d = md5ii(d, a, b, c, x[i + 11], 10, -1120210379);
+            c = md5ii(c, d, a, b, x[i + 2], 15, 718787259);
+            b = md5ii(b, c, d, a, x[i + 9], 21, -343485551);
+
+            a = safeAdd(a, olda);
+            b = safeAdd(b, oldb);
+            c = safeAdd(c, oldc);
+            d = safeAdd(d, oldd);
+        }
+        return [a, b, c, d];
+    }
+
+    // ========== MD4 ==========
+
+    /**
+     * MD4 压缩函数（RFC 1320）
+     * @param {number[]} x - 已填充的消息字
+     * @param {number} len - 消息位长度
+     * @returns {number[]}
+     */
+    function binlMD4(x, len) {
+        x[len >> 5] |= 0x80 << (len % 32);
+        x[((len + 64) >>> 9 << 4) + 14] = len;
+
+        const f = (b, c, d) => (b & c) | (~b & d);
+        const g = (b, c, d) => (b & c) | (b & d) | (c & d);
+        const h = (b, c, d) => b ^ c ^ d;
+        const step = (fn, a, b, c, d, word, s, k) => bitRotateLeft(safeAdd(safeAdd(a, fn(b, c, d)), safeAdd(word | 0, k)), s);
+
+        let a = 1732584193;
+        let b = -271733879;
+        let c = -1732584194;
+        let d = 271733878;
+
+        for (let i = 0; i < x.length; i += 16) {
+            const olda = a;
+            const oldb = b;
+            const oldc = c;
+            const oldd = d;
+
+            for (const j of [0, 4, 8, 12]) {
+                a = step(f, a, b, c, d, x[i + j], 3, 0);
+                d = step(f, d, a, b, c, x[i + j + 1], 7, 0);
+                c = step(f, c, d, a, b, x[i + j + 2], 11, 0);
+                b = step(f, b, c, d, a, x[i + j + 3], 19, 0);
+            }
+            for (const j of [0, 1, 2, 3]) {
+                a = step(g, a, b, c, d, x[i + j], 3, 0x5a827999);
+                d = step(g, d, a, b, c, x[i + j + 4], 5, 0x5a827999);
+                c = step(g, c, d, a, b, x[i + j + 8], 9, 0x5a827999);
+                b = step(g, b, c, d, a, x[i + j + 12], 13, 0x5a827999);
+            }
+            for (const j of [0, 2, 1, 3]) {
+                a = step(h, a, b, c, d, x[i + j], 3, 0x6ed9eba1);
+                d = step(h, d, a, b, c, x[i + j + 8], 9, 0x6ed9eba1);
+                c = step(h, c, d, a, b, x[i + j + 4], 11, 0x6ed9eba1);
+                b = step(h, b, c, d, a, x[i + j + 12], 15, 0x6ed9eba1);
+            }
+
+            a = safeAdd(a, olda);
+            b = safeAdd(b, oldb);
+            c = safeAdd(c, oldc);
+            d = safeAdd(d, oldd);
+        }
+        return [a, b, c, d];
+    }
+
+    root.REOT.md = {
+        /**
+         * 计算 MD5
+         * @param {string|Uint8Array} data - 字符串按 UTF-8 编码
+         * @param {Object} [options] - 从已知摘要继续计算（长度扩展）
+         * @param {Uint8Array} [options.state] - 16 字节摘要，作为初始状态
+         * @param {number} [options.length=0] - 该摘要对应的已处理字节数（含填充，64 的整数倍）
+         * @returns {Uint8Array} 16 字节摘要
+         */
+        md5(data, options = {}) {
+            const bytes = root.REOT.bytes.from(data);
+            const { state, length = 0 } = options;
+            if (state && state.length !== 16) {
+                throw new Error('MD5 初始状态必须是 16 字节');
+            }
+            if (!Number.isInteger(length) || length < 0 || length % 64 !== 0) {
+                throw new Error('已处理长度必须是 64 的整数倍');
+            }
+            return root.REOT.bytes.wordsToBytes(binlMD5(messageWords(bytes), bytes.length * 8, state ? root.REOT.bytes.bytesToWords(state) : MD5_IV, length * 8));
+        },
+
+        /**
+         * 计算 MD4
+         * @param {string|Uint8Array} data - 字符串按 UTF-8 编码
+         * @returns {Uint8Array} 16 字节摘要
+         */
+        md4(data) {
+            const bytes = root.REOT.bytes.from(data);
+            return root.REOT.bytes.wordsToBytes(binlMD4(messageWords(bytes), bytes.length * 8));
+        },
+
+        /**
+         * 计算 NTLM 哈希：MD4(UTF-16LE(password))
+         * @param {string} password
+         * @returns {Uint8Array} 16 字节摘要
+         */
+        ntlm(password) {
+            const utf16 = new Uint8Array(password.length * 2);
+            for (let i = 0; i < password.length; i++) {
+                const code = password.charCodeAt(i);
+                utf16[i * 2] = code & 0xff;
+                utf16[i * 2 + 1] = code >> 8;
+            }
+            return this.md4(utf16);
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -9,157 +9,22 @@
     'use strict';
 
     /**
-     * MD5 算法实现
+     * 加载 MD4 / MD5 核心
+     * @returns {Promise<Object>} REOT.md
      */
-    const MD5 = (function() {
-        function safeAdd(x, y) {
-            const lsw = (x & 0xffff) + (y & 0xffff);
-            const msw = (x >> 16) + (y >> 16) + (lsw >> 16);
-            return (msw << 16) | (lsw & 0xffff);
-        }
-
-        function bitRotateLeft(num, cnt) {
-            return (num << cnt) | (num >>> (32 - cnt));
-        }
-
-        function md5cmn(q, a, b, x, s, t) {
-            return safeAdd(bitRotateLeft(safeAdd(safeAdd(a, q), safeAdd(x, t)), s), b);
-        }
-
-        function md5ff(a, b, c, d, x, s, t) {
-            return md5cmn((b & c) | (~b & d), a, b, x, s, t);
-        }
-
-        function md5gg(a, b, c, d, x, s, t) {
-            return md5cmn((b & d) | (c & ~d), a, b, x, s, t);
-        }
-
-        function md5hh(a, b, c, d, x, s, t) {
-            return md5cmn(b ^ c ^ d, a, b, x, s, t);
-        }
-
-        function md5ii(a, b, c, d, x, s, t) {
-            return md5cmn(c ^ (b | ~d), a, b, x, s, t);
-        }
-
-        function binlMD5(x, len) {
-            x[len >> 5] |= 0x80 << (len % 32);
-            x[((len + 64) >>> 9 << 4) + 14] = len;
-
-            let a = 1732584193;
-            let b = -271733879;
-            let c = -1732584194;
-            let d = 271733878;
-
-            for (let i = 0; i < x.length; i += 16) {
-                const olda = a;
-                const oldb = b;
-                const oldc = c;
-                const oldd = d;
-
-                a = md5ff(a, b, c, d, x[i], 7, -680876936);
-                d = md5ff(d, a, b, c, x[i + 1], 12, -389564586);
-                c = md5ff(c, d, a, b, x[i + 2], 17, 606105819);
-                b = md5ff(b, c, d, a, x[i + 3], 22, -1044525330);
-                a = md5ff(a, b, c, d, x[i + 4], 7, -176418897);
-                d = md5ff(d, a, b, c, x[i + 5], 12, 1200080426);
-                c = md5ff(c, d, a, b, x[i + 6], 17, -1473231341);
-                b = md5ff(b, c, d, a, x[i + 7], 22, -45705983);
-                a = md5ff(a, b, c, d, x[i + 8], 7, 1770035416);
-                d = md5ff(d, a, b, c, x[i + 9], 12, -1958414417);
-                c = md5ff(c, d, a, b, x[i + 10], 17, -42063);
-                b = md5ff(b, c, d, a, x[i + 11], 22, -1990404162);
-                a = md5ff(a, b, c, d, x[i + 12], 7, 1804603682);
-                d = md5ff(d, a, b, c, x[i + 13], 12, -40341101);
-                c = md5ff(c, d, a, b, x[i + 14], 17, -1502002290);
-                b = md5ff(b, c, d, a, x[i + 15], 22, 1236535329);
-
-                a = md5gg(a, b, c, d, x[i + 1], 5, -165796510);
-                d = md5gg(d, a, b, c, x[i + 6], 9, -1069501632);
-                c = md5gg(c, d, a, b, x[i + 11], 14, 643717713);
-                b = md5gg(b, c, d, a, x[i], 20, -373897302);
-                a = md5gg(a, b, c, d, x[i + 5], 5, -701558691);
-                d = md5gg(d, a, b, c, x[i + 10], 9, 38016083);
-                c = md5gg(c, d, a, b, x[i + 15], 14, -660478335);
-                b = md5gg(b, c, d, a, x[i + 4], 20, -405537848);
-                a = md5gg(a, b, c, d, x[i + 9], 5, 568446438);
-                d = md5gg(d, a, b, c, x[i + 14], 9, -1019803690);
-                c = md5gg(c, d, a, b, x[i + 3], 14, -187363961);
-                b = md5gg(b, c, d, a, x[i + 8], 20, 1163531501);
-                a = md5gg(a, b, c, d, x[i + 13], 5, -1444681467);
-                d = md5gg(d, a, b, c, x[i + 2], 9, -51403784);
-                c = md5gg(c, d, a, b, x[i + 7], 14, 1735328473);
-                b = md5gg(b, c, d, a, x[i + 12], 20, -1926607734);
-
-                a = md5hh(a, b, c, d, x[i + 5], 4, -378558);
-                d = md5hh(d, a, b, c, x[i + 8], 11, -2022574463);
-                c = md5hh(c, d, a, b, x[i + 11], 16, 1839030562);
-                b = md5hh(b, c, d, a, x[i + 14], 23, -35309556);
-                a = md5hh(a, b, c, d, x[i + 1], 4, -1530992060);
-                d = md5hh(d, a, b, c, x[i + 4], 11, 1272893353);
-                c = md5hh(c, d, a, b, x[i + 7], 16, -155497632);
-                b = md5hh(b, c, d, a, x[i + 10], 23, -1094730640);
-                a = md5hh(a, b, c, d, x[i + 13], 4, 681279174);
-                d = md5hh(d, a, b, c, x[i], 11, -358537222);
-                c = md5hh(c, d, a, b, x[i + 3], 16, -722521979);
-                b = md5hh(b, c, d, a, x[i + 6], 23, 76029189);
-                a = md5hh(a, b, c, d, x[i + 9], 4, -640364487);
-                d = md5hh(d, a, b, c, x[i + 12], 11, -421815835);
-                c = md5hh(c, d, a, b, x[i + 15], 16, 530742520);
-                b = md5hh(b, c, d, a, x[i + 2], 23, -995338651);
-
-                a = md5ii(a, b, c, d, x[i], 6, -198630844);
-                d = md5ii(d, a, b, c, x[i + 7], 10, 1126891415);
-                c = md5ii(c, d, a, b, x[i + 14], 15, -1416354905);
-                b = md5ii(b, c, d, a, x[i + 5], 21, -57434055);
-                a = md5ii(a, b, c, d, x[i + 12], 6, 1700485571);
-                d = md5ii(d, a, b, c, x[i + 3], 10, -1894986606);
-                c = md5ii(c, d, a, b, x[i + 10], 15, -1051523);
-                b = md5ii(b, c, d, a, x[i + 1], 21, -2054922799);
-                a = md5ii(a, b, c, d, x[i + 8], 6, 1873313359);
-                d = md5ii(d, a, b, c, x[i + 15], 10, -30611744);
-                c = md5ii(c, d, a, b, x[i + 6], 15, -1560198380);
-                b = md5ii(b, c, d, a, x[i + 13], 21, 1309151649);
-                a = md5ii(a, b, c, d, x[i + 4], 6, -145523070);
-                d = md5ii(d, a, b, c, x[i + 11], 10, -1120210379);
-                c = md5ii(c, d, a, b, x[i + 2], 15, 718787259);
-                b = md5ii(b, c, d, a, x[i + 9], 21, -343485551);
-
-                a = safeAdd(a, olda);
-                b = safeAdd(b, oldb);
-                c = safeAdd(c, oldc);
-                d = safeAdd(d, oldd);
-            }
-            return [a, b, c, d];
-        }
-
-        function binl2hex(binarray) {
-            const hexTab = '0123456789abcdef';
-            let str = '';
-            for (let i = 0; i < binarray.length * 4; i++) {
-                str += hexTab.charAt((binarray[i >> 2] >> ((i % 4) * 8 + 4)) & 0xf) +
-                       hexTab.charAt((binarray[i >> 2] >> ((i % 4) * 8)) & 0xf);
-            }
-            return str;
-        }
-
-        function str2binl(str) {
-            const bin = [];
-            for (let i = 0; i < str.length * 8; i += 8) {
-                bin[i >> 5] |= (str.charCodeAt(i / 8) & 0xff) << (i % 32);
-            }
-            return bin;
-        }
-
-        function utf8Encode(str) {
-            return unescape(encodeURIComponent(str));
-        }
+    async function loadCore() {
+        await REOT.loader.loadScript('tools/hashing/md5/md-core.js');
+        return REOT.md;
+    }
 
-        return function(str) {
-            const utf8Str = utf8Encode(str);
-            return binl2hex(binlMD5(str2binl(utf8Str), utf8Str.length * 8));
-        };
-    })();
+    /**
+     * MD5 算法（字符串按 UTF-8 编码，返回小写十六进制），需先加载核心
+     * @param {string} str
+     * @returns {string}
+     */
+    function MD5(str) {
+        return REOT.bytes.toHex(REOT.md.md5(str));
+    }
 
     // DOM 元素
     const inputEl = document.getElementById('input');
@@ -176,12 +41,18 @@
         return MD5(input);
     }
 
+    /**
+     * 计算并更新输出
+     */
+    async function updateOutput() {
+        await loadCore();
+        const result = hash(inputEl.value);
+        outputLowerEl.value = result;
+        outputUpperEl.value = result.toUpperCase();
+    }
+
     if (hashBtnEl) {
-        hashBtnEl.addEventListener('click', () => {
-            const result = hash(inputEl.value);
-            outputLowerEl.value = result;
-            outputUpperEl.value = result.toUpperCase();
-        });
+        hashBtnEl.addEventListener('click', updateOutput);
     }
 
     if (clearBtnEl) {
@@ -203,21 +74,17 @@
 
     // 实时计算
     if (inputEl) {
-        inputEl.addEventListener('input', () => {
-            const result = hash(inputEl.value);
-            outputLowerEl.value = result;
-            outputUpperEl.value = result.toUpperCase();
-        });
+        inputEl.addEventListener('input', updateOutput);
     }
 
-    window.MD5Tool = { hash, MD5 };
+    window.MD5Tool = { hash, MD5, loadCore };
 
     // 设置默认示例数据
     if (inputEl && !inputEl.value) {
         inputEl.value = 'Hello, World!';
         // 触发计算
-        const result = hash(inputEl.value);
-        if (outputLowerEl) outputLowerEl.value = result;
-        if (outputUpperEl) outputUpperEl.value = result.toUpperCase();
+        if (outputLowerEl && outputUpperEl) {
+            updateOutput();
+        }
     }
 })();
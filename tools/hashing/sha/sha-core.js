@@ -0,0 +1,372 @@
+/**
+ * SHA 核心
+ * @description 不依赖 DOM 的增量式 SHA-1 / SHA-224 / SHA-256 / SHA-384 / SHA-512 实现（FIPS 180-4），
+ *              可以分块 update()，用于在 Worker 中流式计算大文件的哈希。依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // ========== 基础函数 ==========
+
+    // ========== SHA-1 ==========
+
+    const SHA1_IV = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+
+    /**
+     * SHA-1 压缩函数
+     * @param {Int32Array} h - 5 个字的状态
+     * @param {Int32Array} w - 80 个字的消息扩展缓冲区
+     * @param {Uint8Array} bytes
+     * @param {number} offset - 64 字节块的起始位置
+     */
+    function sha1Block(h, w, bytes, offset) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 80; i++) {
+            const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+            w[i] = (x << 1) | (x >>> 31);
+        }
+
+        let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4];
+        for (let i = 0; i < 80; i++) {
+            let f, k;
+            if (i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5a827999;
+            } else if (i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ed9eba1;
+            } else if (i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8f1bbcdc;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xca62c1d6;
+            }
+            const t = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) | 0;
+            e = d;
+            d = c;
+            c = (b << 30) | (b >>> 2);
+            b = a;
+            a = t;
+        }
+        h[0] = (h[0] + a) | 0;
+        h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0;
+    }
+
+    // ========== SHA-256 ==========
+
+    const SHA256_K = new Int32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    const SHA224_IV = [0xc1059ed8, 0x367cd507, 0x3070dd17, 0xf70e5939, 0xffc00b31, 0x68581511, 0x64f98fa7, 0xbefa4fa4];
+    const SHA256_IV = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+    /**
+     * SHA-256 压缩函数
+     * @param {Int32Array} h - 8 个字的状态
+     * @param {Int32Array} w - 64 个字的消息扩展缓冲区
+     * @param {Uint8Array} bytes
+     * @param {number} offset - 64 字节块的起始位置
+     */
+    function sha256Block(h, w, bytes, offset) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const x = w[i - 15];
+            const y = w[i - 2];
+            const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], k = h[7];
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (k + S1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            k = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        h[0] = (h[0] + a) | 0;
+        h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0;
+        h[5] = (h[5] + f) | 0;
+        h[6] = (h[6] + g) | 0;
+        h[7] = (h[7] + k) | 0;
+    }
+
+    // ========== SHA-512 ==========
+
+    // 64 位字按 [高 32 位, 低 32 位] 存放
+    const SHA512_K = new Int32Array([
+        0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+        0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+        0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+        0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+        0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+        0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+        0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+        0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+        0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+        0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+        0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+        0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+        0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+        0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+        0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+        0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+        0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+        0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+        0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+        0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+    ]);
+
+    const SHA384_IV = [
+        0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17, 0x152fecd8, 0xf70e5939,
+        0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511, 0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4
+    ];
+    const SHA512_IV = [
+        0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+        0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+    ];
+
+    /**
+     * SHA-512 压缩函数
+     * @param {Int32Array} h - 16 个 32 位字的状态
+     * @param {Int32Array} w - 160 个 32 位字的消息扩展缓冲区
+     * @param {Uint8Array} bytes
+     * @param {number} offset - 128 字节块的起始位置
+     */
+    function sha512Block(h, w, bytes, offset) {
+        for (let i = 0; i < 32; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 32; i < 160; i += 2) {
+            // σ0(w[t-15])
+            let xh = w[i - 30], xl = w[i - 29];
+            const s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7);
+            const s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^ ((xl >>> 7) | (xh << 25));
+            // σ1(w[t-2])
+            xh = w[i - 4];
+            xl = w[i - 3];
+            const s1h = ((xh >>> 19) | (xl << 13)) ^ ((xl >>> 29) | (xh << 3)) ^ (xh >>> 6);
+            const s1l = ((xl >>> 19) | (xh << 13)) ^ ((xh >>> 29) | (xl << 3)) ^ ((xl >>> 6) | (xh << 26));
+
+            let lo = (w[i - 31] >>> 0) + (s0l >>> 0) + (w[i - 13] >>> 0) + (s1l >>> 0);
+            w[i] = w[i - 32] + s0h + w[i - 14] + s1h + ((lo / 0x100000000) | 0);
+            w[i + 1] = lo;
+        }
+
+        let ah = h[0], al = h[1], bh = h[2], bl = h[3], ch = h[4], cl = h[5], dh = h[6], dl = h[7];
+        let eh = h[8], el = h[9], fh = h[10], fl = h[11], gh = h[12], gl = h[13], kh = h[14], kl = h[15];
+        for (let i = 0; i < 160; i += 2) {
+            // Σ1(e)
+            const S1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23));
+            const S1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23));
+            const chh = (eh & fh) ^ (~eh & gh);
+            const chl = (el & fl) ^ (~el & gl);
+            // t1 = h + Σ1(e) + Ch(e, f, g) + K[i] + W[i]
+            let lo = (kl >>> 0) + (S1l >>> 0) + (chl >>> 0) + (SHA512_K[i + 1] >>> 0) + (w[i + 1] >>> 0);
+            const t1h = (kh + S1h + chh + SHA512_K[i] + w[i] + ((lo / 0x100000000) | 0)) | 0;
+            const t1l = lo | 0;
+            // Σ0(a)
+            const S0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25));
+            const S0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25));
+            const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+            const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+            lo = (S0l >>> 0) + (majl >>> 0);
+            const t2h = (S0h + majh + ((lo / 0x100000000) | 0)) | 0;
+            const t2l = lo | 0;
+
+            kh = gh;
+            kl = gl;
+            gh = fh;
+            gl = fl;
+            fh = eh;
+            fl = el;
+            lo = (dl >>> 0) + (t1l >>> 0);
+            eh = (dh + t1h + ((lo / 0x100000000) | 0)) | 0;
+            el = lo | 0;
+            dh = ch;
+            dl = cl;
+            ch = bh;
+            cl = bl;
+            bh = ah;
+            bl = al;
+            lo = (t1l >>> 0) + (t2l >>> 0);
+            ah = (t1h + t2h + ((lo / 0x100000000) | 0)) | 0;
+            al = lo | 0;
+        }
+
+        const state = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, kh, kl];
+        for (let i = 0; i < 16; i += 2) {
+            const lo = (h[i + 1] >>> 0) + (state[i + 1] >>> 0);
+            h[i] = h[i] + state[i] + ((lo / 0x100000000) | 0);
+            h[i + 1] = lo;
+        }
+    }
+
+    // ========== 增量计算 ==========
+
+    // 算法参数：块大小、状态字数、输出字节数、初始值、压缩函数、消息扩展缓冲区字数
+    const ALGORITHMS = {
+        sha1: { name: 'SHA-1', blockSize: 64, length: 20, iv: SHA1_IV, block: sha1Block, schedule: 80 },
+        sha224: { name: 'SHA-224', blockSize: 64, length: 28, iv: SHA224_IV, block: sha256Block, schedule: 64 },
+        sha256: { name: 'SHA-256', blockSize: 64, length: 32, iv: SHA256_IV, block: sha256Block, schedule: 64 },
+        sha384: { name: 'SHA-384', blockSize: 128, length: 48, iv: SHA384_IV, block: sha512Block, schedule: 160 },
+        sha512: { name: 'SHA-512', blockSize: 128, length: 64, iv: SHA512_IV, block: sha512Block, schedule: 160 }
+    };
+
+    /**
+     * 查找算法，接受 'sha256'、'SHA-256' 等写法
+     * @param {string} algorithm
+     * @returns {Object}
+     */
+    function getAlgorithm(algorithm) {
+        const spec = ALGORITHMS[String(algorithm).toLowerCase().replace(/[-_]/g, '')];
+        if (!spec) {
+            throw new Error(`不支持的 SHA 算法: ${algorithm}`);
+        }
+        return spec;
+    }
+
+    /**
+     * 创建增量哈希对象
+     * @param {string} algorithm - sha1 / sha224 / sha256 / sha384 / sha512
+     * @param {Object} [options] - 从已知摘要继续计算（长度扩展），SHA-224 / SHA-384 是截断输出，不支持
+     * @param {Uint8Array} [options.state] - 完整摘要，作为初始状态
+     * @param {number} [options.length=0] - 该摘要对应的已处理字节数（含填充，分组长度的整数倍）
+     * @returns {{update: function(string|ArrayBuffer|Uint8Array): Object, digest: function(): Uint8Array}}
+     */
+    function create(algorithm, options = {}) {
+        const spec = getAlgorithm(algorithm);
+        const h = new Int32Array(spec.iv);
+        const w = new Int32Array(spec.schedule);
+        const buffer = new Uint8Array(spec.blockSize);
+        let buffered = 0;
+        let length = options.length || 0;
+        let finished = false;
+
+        if (!Number.isInteger(length) || length < 0 || length % spec.blockSize !== 0) {
+            throw new Error(`已处理长度必须是 ${spec.blockSize} 的整数倍`);
+        }
+        if (options.state) {
+            if (spec.length !== h.length * 4) {
+                throw new Error(`${spec.name} 的摘要是截断输出，无法恢复内部状态`);
+            }
+            if (options.state.length !== spec.length) {
+                throw new Error(`${spec.name} 初始状态必须是 ${spec.length} 字节`);
+            }
+            const view = new DataView(options.state.buffer, options.state.byteOffset, options.state.byteLength);
+            h.forEach((_, i) => {
+                h[i] = view.getInt32(i * 4);
+            });
+        }
+
+        return {
+            update(data) {
+                if (finished) {
+                    throw new Error('哈希已经完成，不能继续 update()');
+                }
+                const bytes = root.REOT.bytes.from(data);
+                let offset = 0;
+                length += bytes.length;
+
+                if (buffered > 0) {
+                    const take = Math.min(spec.blockSize - buffered, bytes.length);
+                    buffer.set(bytes.subarray(0, take), buffered);
+                    buffered += take;
+                    offset = take;
+                    if (buffered < spec.blockSize) {
+                        return this;
+                    }
+                    spec.block(h, w, buffer, 0);
+                    buffered = 0;
+                }
+                for (; bytes.length - offset >= spec.blockSize; offset += spec.blockSize) {
+                    spec.block(h, w, bytes, offset);
+                }
+                buffer.set(bytes.subarray(offset));
+                buffered = bytes.length - offset;
+                return this;
+            },
+
+            digest() {
+                if (finished) {
+                    throw new Error('哈希已经完成，不能重复 digest()');
+                }
+                finished = true;
+
+                // 填充：0x80、若干 0x00，最后是大端序的消息位长度（SHA-384/512 为 128 位，高位恒为 0）
+                const lengthBytes = spec.blockSize / 8;
+                buffer[buffered++] = 0x80;
+                if (buffered > spec.blockSize - lengthBytes) {
+                    buffer.fill(0, buffered);
+                    spec.block(h, w, buffer, 0);
+                    buffered = 0;
+                }
+                buffer.fill(0, buffered);
+                const bits = length * 8;
+                const high = Math.floor(bits / 0x100000000);
+                const view = new DataView(buffer.buffer);
+                view.setUint32(spec.blockSize - 8, high);
+                view.setUint32(spec.blockSize - 4, bits >>> 0);
+                spec.block(h, w, buffer, 0);
+
+                const out = new Uint8Array(h.length * 4);
+                const outView = new DataView(out.buffer);
+                h.forEach((word, i) => outView.setInt32(i * 4, word));
+                return out.slice(0, spec.length);
+            }
+        };
+    }
+
+    /**
+     * 一次性计算哈希
+     * @param {string} algorithm
+     * @param {string|ArrayBuffer|Uint8Array} data
+     * @returns {Uint8Array}
+     */
+    function hash(algorithm, data) {
+        return create(algorithm).update(data).digest();
+    }
+
+    root.REOT.sha = {
+        ALGORITHMS: Object.keys(ALGORITHMS),
+        create,
+        hash
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,245 @@
+/**
+ * KangarooTwelve 核心
+ * @description 不依赖 DOM 的 TurboSHAKE128 与 KangarooTwelve（KT128, RFC 9861）实现，
+ *              基于 12 轮 Keccak-p[1600] 置换，支持自定义字符串和任意长度输出。依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // TurboSHAKE128 的吞吐率（字节）
+    const RATE = 168;
+    // KangarooTwelve 树哈希的分块大小
+    const CHUNK_LEN = 8192;
+    const CV_LEN = 32;
+
+    // 域分隔字节
+    const DOMAIN_SINGLE = 0x07;
+    const DOMAIN_LEAF = 0x0b;
+    const DOMAIN_FINAL = 0x06;
+
+    // ========== Keccak-p[1600] ==========
+
+    // 24 轮的轮常量（高/低 32 位），Keccak-p[1600, 12] 使用后 12 轮
+    const ROUND_CONSTANTS = (() => {
+        const constants = new Uint32Array(48);
+        let lfsr = 1;
+        for (let round = 0; round < 24; round++) {
+            for (let j = 0; j < 7; j++) {
+                if (lfsr & 1) {
+                    const bit = (1 << j) - 1;
+                    if (bit < 32) {
+                        constants[round * 2] ^= 1 << bit;
+                    } else {
+                        constants[round * 2 + 1] ^= 1 << (bit - 32);
+                    }
+                }
+                lfsr = (lfsr & 0x80) ? ((lfsr << 1) ^ 0x71) & 0xff : lfsr << 1;
+            }
+        }
+        return constants;
+    })();
+
+    // ρ 步的循环移位量与 π 步的目标位置（按 lane 下标 x + 5y）
+    const [ROTATIONS, PI_TARGETS] = (() => {
+        const rotations = new Array(25).fill(0);
+        const targets = new Array(25);
+        let x = 1;
+        let y = 0;
+        for (let t = 0; t < 24; t++) {
+            rotations[x + 5 * y] = ((t + 1) * (t + 2) / 2) % 64;
+            [x, y] = [y, (2 * x + 3 * y) % 5];
+        }
+        for (let lx = 0; lx < 5; lx++) {
+            for (let ly = 0; ly < 5; ly++) {
+                targets[lx + 5 * ly] = ly + 5 * ((2 * lx + 3 * ly) % 5);
+            }
+        }
+        return [rotations, targets];
+    })();
+
+    /**
+     * Keccak-p[1600, rounds] 置换，state[2i] / state[2i+1] 是第 i 个 lane 的低 / 高 32 位
+     * @param {Uint32Array} state - 50 个字
+     * @param {number} rounds
+     */
+    function permute(state, rounds) {
+        const c = new Uint32Array(10);
+        const b = new Uint32Array(50);
+        for (let round = 24 - rounds; round < 24; round++) {
+            // θ
+            for (let x = 0; x < 5; x++) {
+                c[x * 2] = state[x * 2] ^ state[x * 2 + 10] ^ state[x * 2 + 20] ^ state[x * 2 + 30] ^ state[x * 2 + 40];
+                c[x * 2 + 1] = state[x * 2 + 1] ^ state[x * 2 + 11] ^ state[x * 2 + 21] ^ state[x * 2 + 31] ^ state[x * 2 + 41];
+            }
+            for (let x = 0; x < 5; x++) {
+                const prev = ((x + 4) % 5) * 2;
+                const next = ((x + 1) % 5) * 2;
+                const lo = c[prev] ^ ((c[next] << 1) | (c[next + 1] >>> 31));
+                const hi = c[prev + 1] ^ ((c[next + 1] << 1) | (c[next] >>> 31));
+                for (let y = 0; y < 25; y += 5) {
+                    state[(x + y) * 2] ^= lo;
+                    state[(x + y) * 2 + 1] ^= hi;
+                }
+            }
+            // ρ 和 π
+            for (let i = 0; i < 25; i++) {
+                const lo = state[i * 2];
+                const hi = state[i * 2 + 1];
+                const n = ROTATIONS[i];
+                const j = PI_TARGETS[i] * 2;
+                if (n === 0) {
+                    b[j] = lo;
+                    b[j + 1] = hi;
+                } else if (n < 32) {
+                    b[j] = (lo << n) | (hi >>> (32 - n));
+                    b[j + 1] = (hi << n) | (lo >>> (32 - n));
+                } else if (n === 32) {
+                    b[j] = hi;
+                    b[j + 1] = lo;
+                } else {
+                    b[j] = (hi << (n - 32)) | (lo >>> (64 - n));
+                    b[j + 1] = (lo << (n - 32)) | (hi >>> (64 - n));
+                }
+            }
+            // χ
+            for (let y = 0; y < 25; y += 5) {
+                for (let x = 0; x < 5; x++) {
+                    const i = (x + y) * 2;
+                    const i1 = ((x + 1) % 5 + y) * 2;
+                    const i2 = ((x + 2) % 5 + y) * 2;
+                    state[i] = b[i] ^ (~b[i1] & b[i2]);
+                    state[i + 1] = b[i + 1] ^ (~b[i1 + 1] & b[i2 + 1]);
+                }
+            }
+            // ι
+            state[0] ^= ROUND_CONSTANTS[round * 2];
+            state[1] ^= ROUND_CONSTANTS[round * 2 + 1];
+        }
+    }
+
+    // ========== TurboSHAKE128 ==========
+
+    function checkLength(length) {
+        if (!Number.isInteger(length) || length < 1) {
+            throw new Error('输出长度必须是正整数');
+        }
+    }
+
+    /**
+     * 将一个吞吐块异或进状态（小端序字）
+     */
+    function absorbBlock(state, block, offset, length) {
+        for (let i = 0; i < length; i++) {
+            state[i >> 2] ^= block[offset + i] << ((i & 3) * 8);
+        }
+    }
+
+    /**
+     * TurboSHAKE128
+     * @param {string|ArrayBuffer|Uint8Array} data
+     * @param {number} [domain=0x1f] - 域分隔字节（0x01–0x7f）
+     * @param {number} [length=32] - 输出字节数
+     * @returns {Uint8Array}
+     */
+    function turboShake128(data, domain = 0x1f, length = 32) {
+        if (!Number.isInteger(domain) || domain < 0x01 || domain > 0x7f) {
+            throw new Error('TurboSHAKE 域分隔字节必须在 0x01–0x7F 之间');
+        }
+        checkLength(length);
+        const bytes = root.REOT.bytes.from(data);
+        const state = new Uint32Array(50);
+
+        let offset = 0;
+        for (; bytes.length - offset >= RATE; offset += RATE) {
+            absorbBlock(state, bytes, offset, RATE);
+            permute(state, 12);
+        }
+
+        // 最后一块：剩余数据 + 域分隔字节 + pad10*1
+        const last = new Uint8Array(RATE);
+        last.set(bytes.subarray(offset));
+        last[bytes.length - offset] ^= domain;
+        last[RATE - 1] ^= 0x80;
+        absorbBlock(state, last, 0, RATE);
+        permute(state, 12);
+
+        const output = new Uint8Array(length);
+        for (let pos = 0; pos < length;) {
+            for (let i = 0; i < RATE && pos < length; i++, pos++) {
+                output[pos] = state[i >> 2] >>> ((i & 3) * 8);
+            }
+            if (pos < length) {
+                permute(state, 12);
+            }
+        }
+        return output;
+    }
+
+    // ========== KangarooTwelve ==========
+
+    /**
+     * length_encode：大端序、无前导零的字节串，末尾附加字节数
+     * @param {number} value
+     * @returns {Uint8Array}
+     */
+    function lengthEncode(value) {
+        const bytes = [];
+        for (let v = value; v > 0; v = Math.floor(v / 256)) {
+            bytes.unshift(v % 256);
+        }
+        bytes.push(bytes.length);
+        return new Uint8Array(bytes);
+    }
+
+    function concat(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+
+    /**
+     * KangarooTwelve（KT128）
+     * @param {string|ArrayBuffer|Uint8Array} data
+     * @param {Object} [options]
+     * @param {string|Uint8Array} [options.customization=''] - 自定义字符串 C
+     * @param {number} [options.length=32] - 输出字节数
+     * @returns {Uint8Array}
+     */
+    function kangarooTwelve(data, options = {}) {
+        const length = options.length ?? 32;
+        checkLength(length);
+        const custom = root.REOT.bytes.from(options.customization ?? '');
+        const s = concat([root.REOT.bytes.from(data), custom, lengthEncode(custom.length)]);
+
+        if (s.length <= CHUNK_LEN) {
+            return turboShake128(s, DOMAIN_SINGLE, length);
+        }
+
+        // 第一块直接进入最终节点，其余每块计算 32 字节链接值
+        const parts = [s.subarray(0, CHUNK_LEN), new Uint8Array([0x03, 0, 0, 0, 0, 0, 0, 0])];
+        let leaves = 0;
+        for (let offset = CHUNK_LEN; offset < s.length; offset += CHUNK_LEN) {
+            parts.push(turboShake128(s.subarray(offset, offset + CHUNK_LEN), DOMAIN_LEAF, CV_LEN));
+            leaves++;
+        }
+        parts.push(lengthEncode(leaves), new Uint8Array([0xff, 0xff]));
+        return turboShake128(concat(parts), DOMAIN_FINAL, length);
+    }
+
+    root.REOT.k12 = {
+        turboShake128,
+        kangarooTwelve
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -1,6 +1,7 @@
 /**
  * SHA-3 哈希工具
- * @description SHA3-224, SHA3-256, SHA3-384, SHA3-512, Keccak 哈希计算
+ * @description SHA3-224, SHA3-256, SHA3-384, SHA3-512, Keccak 哈希计算，
+ *              以及 SHAKE、cSHAKE、KMAC、KangarooTwelve 可扩展输出函数（XOF）
  * @author Evil0ctal
  * @license Apache-2.0
  */
@@ -9,57 +10,6 @@
     'use strict';
 
     let currentFileData = null;
-    let sha3LoadPromise = null;
-
-    /**
-     * 动态加载 js-sha3 库
-     */
-    function loadSha3() {
-        if (sha3LoadPromise) {
-            return sha3LoadPromise;
-        }
-
-        if (window.sha3_256) {
-            return Promise.resolve();
-        }
-
-        sha3LoadPromise = new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/js-sha3@0.9.3/build/sha3.min.js';
-
-            script.onload = () => {
-                const checkGlobal = () => {
-                    if (window.sha3_256) {
-                        resolve();
-                    } else {
-                        setTimeout(checkGlobal, 10);
-                    }
-                };
-                checkGlobal();
-            };
-
-            script.onerror = () => {
-                sha3LoadPromise = null;
-                reject(new Error('无法加载 js-sha3 库，请检查网络连接'));
-            };
-
-            document.head.appendChild(script);
-        });
-
-        return sha3LoadPromise;
-    }
-
-    /**
-     * 确保库已加载
-     */
-    async function ensureLibraryLoaded() {
-        if (!window.sha3_256) {
-            await loadSha3();
-        }
-        if (!window.sha3_256) {
-            throw new Error('js-sha3 库加载失败');
-        }
-    }
 
     /**
      * 获取算法函数（延迟获取，确保库已加载）
@@ -76,6 +26,20 @@
         return algorithms[name];
     }
 
+    // 可扩展输出函数：默认输出字节数和需要的参数
+    const xofAlgorithms = {
+        'shake128': { name: 'SHAKE128', length: 32, params: [] },
+        'shake256': { name: 'SHAKE256', length: 64, params: [] },
+        'cshake128': { name: 'cSHAKE128', length: 32, params: ['functionName', 'customization'] },
+        'cshake256': { name: 'cSHAKE256', length: 64, params: ['functionName', 'customization'] },
+        'kmac128': { name: 'KMAC128', length: 32, params: ['key', 'customization'] },
+        'kmac256': { name: 'KMAC256', length: 64, params: ['key', 'customization'] },
+        'k12': { name: 'KangarooTwelve', length: 32, params: ['customization'] }
+    };
+
+    // XOF 输出长度上限（字节）
+    const MAX_OUTPUT_LENGTH = 65536;
+
     // 算法名称
     const algorithmNames = {
         'sha3-224': 'SHA3-224',
@@ -83,9 +47,20 @@
         'sha3-384': 'SHA3-384',
         'sha3-512': 'SHA3-512',
         'keccak-256': 'Keccak-256',
-        'keccak-512': 'Keccak-512'
+        'keccak-512': 'Keccak-512',
+        ...Object.fromEntries(Object.entries(xofAlgorithms).map(([id, xof]) => [id, xof.name]))
     };
 
+    /**
+     * 加载 js-sha3 库，KangarooTwelve 额外加载核心脚本
+     */
+    async function loadLibraries(algorithm) {
+        await REOT.loader.load('js-sha3');
+        if (algorithm === 'k12' && !REOT.k12) {
+            await REOT.loader.loadScript('tools/hashing/sha3/k12-core.js');
+        }
+    }
+
     /**
      * 获取当前选择的算法
      */
@@ -94,6 +69,45 @@
         return select?.value || 'sha3-256';
     }
 
+    /**
+     * 读取 XOF 参数（输出长度、函数名、自定义字符串、KMAC 密钥）
+     */
+    function getXofOptions() {
+        const lengthInput = document.getElementById('output-length');
+        const keyInput = document.getElementById('kmac-key');
+        const keyFormat = document.getElementById('key-format')?.value || 'text';
+        const keyText = keyInput?.value || '';
+
+        return {
+            length: lengthInput?.value ? Number(lengthInput.value) : undefined,
+            functionName: document.getElementById('function-name')?.value || '',
+            customization: document.getElementById('customization')?.value || '',
+            key: keyFormat === 'hex' ? REOT.bytes.fromHex(keyText) : REOT.bytes.fromText(keyText)
+        };
+    }
+
+    /**
+     * 按所选算法显示 XOF 参数
+     */
+    function updateXofOptions() {
+        const xof = xofAlgorithms[getAlgorithm()];
+        const section = document.getElementById('xof-options');
+        if (section) {
+            section.style.display = xof ? '' : 'none';
+        }
+        if (!xof) {
+            return;
+        }
+
+        const lengthInput = document.getElementById('output-length');
+        if (lengthInput) {
+            lengthInput.placeholder = String(xof.length);
+        }
+        section.querySelectorAll('[data-param]').forEach(group => {
+            group.style.display = xof.params.includes(group.dataset.param) ? '' : 'none';
+        });
+    }
+
     /**
      * 获取输出格式
      */
@@ -110,22 +124,61 @@
             case 'hex-upper':
                 return hash.toUpperCase();
             case 'base64':
-                // 将 hex 转换为 Base64
-                const bytes = new Uint8Array(hash.match(/.{2}/g).map(byte => parseInt(byte, 16)));
-                let binary = '';
-                for (let i = 0; i < bytes.length; i++) {
-                    binary += String.fromCharCode(bytes[i]);
-                }
-                return btoa(binary);
+                return REOT.bytes.toBase64(REOT.bytes.fromHex(hash));
             default:
                 return hash;
         }
     }
 
+    /**
+     * 计算 XOF 输出
+     * @param {string|Uint8Array} data
+     * @param {string} algorithm
+     * @param {Object} options - { length 字节数, functionName, customization, key }
+     * @returns {string} 十六进制输出
+     */
+    function calculateXof(data, algorithm, options) {
+        const xof = xofAlgorithms[algorithm];
+        const length = options.length ?? xof.length;
+        if (!Number.isInteger(length) || length < 1 || length > MAX_OUTPUT_LENGTH) {
+            throw new Error(`输出长度必须是 1–${MAX_OUTPUT_LENGTH} 之间的整数`);
+        }
+
+        const bits = length * 8;
+        const functionName = options.functionName || '';
+        const customization = options.customization || '';
+        const key = options.key || '';
+
+        switch (algorithm) {
+        case 'shake128':
+        case 'shake256':
+            return window[algorithm](data, bits);
+        case 'cshake128':
+        case 'cshake256':
+            return window[algorithm](data, bits, functionName, customization);
+        case 'kmac128':
+        case 'kmac256':
+            if (!key.length) {
+                throw new Error('KMAC 需要密钥');
+            }
+            return window[algorithm](key, data, bits, customization);
+        default:
+            return REOT.bytes.toHex(REOT.k12.kangarooTwelve(data, { customization, length }));
+        }
+    }
+
     /**
      * 计算哈希
+     * @param {string|Uint8Array} data
+     * @param {string} algorithm
+     * @param {Object} [options] - XOF 参数
+     * @returns {string} 十六进制哈希
      */
-    function calculateHash(data, algorithm) {
+    function calculateHash(data, algorithm, options = {}) {
+        if (xofAlgorithms[algorithm]) {
+            return calculateXof(data, algorithm, options);
+        }
+
         const hashFunc = getAlgorithmFunc(algorithm);
         if (!hashFunc) {
             throw new Error(`不支持的算法: ${algorithm}`);
@@ -159,7 +212,7 @@
         }
 
         try {
-            const hash = calculateHash(data, algorithm);
+            const hash = calculateHash(data, algorithm, getXofOptions());
             const formattedHash = formatHash(hash, format);
 
             if (output) {
@@ -198,9 +251,14 @@
 
         try {
             const results = [];
+            const options = getXofOptions();
 
             for (const [alg, name] of Object.entries(algorithmNames)) {
-                const hash = calculateHash(data, alg);
+                // 未填写密钥时跳过 KMAC
+                if (xofAlgorithms[alg]?.params.includes('key') && !options.key.length) {
+                    continue;
+                }
+                const hash = calculateHash(data, alg, options);
                 const formattedHash = formatHash(hash, format);
                 results.push({ algorithm: name, hash: formattedHash });
             }
@@ -253,6 +311,10 @@
 
     // 文件上传处理
     document.addEventListener('change', (e) => {
+        if (e.target.id === 'algorithm' && isSha3ToolActive()) {
+            updateXofOptions();
+        }
+
         if (e.target.id === 'file-input') {
             const file = e.target.files[0];
             if (!file) return;
@@ -297,7 +359,7 @@
         // 计算哈希按钮
         if (target.id === 'hash-btn' || target.closest('#hash-btn')) {
             try {
-                await ensureLibraryLoaded();
+                await loadLibraries(getAlgorithm());
                 hashSingle();
             } catch (error) {
                 REOT.utils?.showNotification(error.message, 'error');
@@ -307,7 +369,7 @@
         // 计算所有哈希按钮
         if (target.id === 'hash-all-btn' || target.closest('#hash-all-btn')) {
             try {
-                await ensureLibraryLoaded();
+                await loadLibraries('k12');
                 hashAll();
             } catch (error) {
                 REOT.utils?.showNotification(error.message, 'error');
@@ -353,9 +415,12 @@
     // 导出工具函数
     window.Sha3Tool = {
         hash: calculateHash,
-        algorithms: algorithmNames
+        algorithms: algorithmNames,
+        xofAlgorithms
     };
 
+    updateXofOptions();
+
     // 设置默认示例数据
     const defaultInput = document.getElementById('input');
     if (defaultInput && !defaultInput.value) {
@@ -363,6 +428,6 @@
     }
 
     // 预加载 js-sha3 库
-    loadSha3().catch(err => console.warn('js-sha3 预加载失败:', err.message));
+    REOT.loader.preload('js-sha3');
 
 })();
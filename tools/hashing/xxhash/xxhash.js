@@ -8,47 +8,6 @@
 (function() {
     'use strict';
 
-    // ==================== xxHash 库动态加载 ====================
-
-    let xxhashLoaded = false;
-    let xxhashLoadingPromise = null;
-
-    /**
-     * 动态加载 xxHash 库
-     */
-    function loadXXHashLibrary() {
-        if (xxhashLoaded && typeof XXH !== 'undefined') {
-            return Promise.resolve();
-        }
-
-        if (xxhashLoadingPromise) {
-            return xxhashLoadingPromise;
-        }
-
-        xxhashLoadingPromise = new Promise((resolve, reject) => {
-            if (typeof XXH !== 'undefined') {
-                xxhashLoaded = true;
-                resolve();
-                return;
-            }
-
-            const script = document.createElement('script');
-            const basePath = window.REOT?.router?.pathPrefix || '';
-            script.src = `${basePath}/libs/xxhash/xxhash.min.js`;
-            script.onload = () => {
-                xxhashLoaded = true;
-                resolve();
-            };
-            script.onerror = () => {
-                xxhashLoadingPromise = null;
-                reject(new Error('无法加载 xxHash 库'));
-            };
-            document.head.appendChild(script);
-        });
-
-        return xxhashLoadingPromise;
-    }
-
     // ==================== DOM 元素 ====================
 
     const variantSelect = document.getElementById('xxhash-variant');
@@ -69,24 +28,6 @@
 
     // ==================== 工具函数 ====================
 
-    /**
-     * Hex 字符串转 Uint8Array
-     */
-    function hexToBytes(hex) {
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < hex.length; i += 2) {
-            bytes[i / 2] = parseInt(hex.substr(i, 2), 16);
-        }
-        return bytes;
-    }
-
-    /**
-     * 字符串转 Uint8Array
-     */
-    function stringToBytes(str) {
-        return new TextEncoder().encode(str);
-    }
-
     /**
      * 解析输入（支持文本或 Hex）
      */
@@ -94,14 +35,7 @@
         if (!value) {
             return new Uint8Array(0);
         }
-        if (isHex) {
-            const cleaned = value.replace(/\s/g, '');
-            if (!/^[0-9a-fA-F]*$/.test(cleaned) || cleaned.length % 2 !== 0) {
-                throw new Error('无效的 Hex 字符串');
-            }
-            return hexToBytes(cleaned);
-        }
-        return stringToBytes(value);
+        return isHex ? REOT.bytes.fromHex(value) : REOT.bytes.fromText(value);
     }
 
     /**
@@ -189,7 +123,7 @@
     async function doHash() {
         try {
             // 先加载库
-            await loadXXHashLibrary();
+            await REOT.loader.load('xxhash');
 
             // 获取参数
             const variant = variantSelect.value;
@@ -287,7 +221,7 @@
     async function batchHash() {
         try {
             // 先加载库
-            await loadXXHashLibrary();
+            await REOT.loader.load('xxhash');
 
             const lines = batchInput.value.split('\n').filter(line => line.trim());
 
@@ -362,9 +296,7 @@
     // 导出到全局
     window.XXHashTool = {
         calculateHash,
-        formatOutput,
-        hexToBytes,
-        stringToBytes
+        formatOutput
     };
 
 })();
@@ -8,47 +8,6 @@
 (function() {
     'use strict';
 
-    // ==================== exifr 库动态加载 ====================
-
-    let exifrLoaded = false;
-    let exifrLoadingPromise = null;
-
-    /**
-     * 动态加载 exifr 库
-     */
-    function loadExifrLibrary() {
-        if (exifrLoaded && typeof exifr !== 'undefined') {
-            return Promise.resolve();
-        }
-
-        if (exifrLoadingPromise) {
-            return exifrLoadingPromise;
-        }
-
-        exifrLoadingPromise = new Promise((resolve, reject) => {
-            if (typeof exifr !== 'undefined') {
-                exifrLoaded = true;
-                resolve();
-                return;
-            }
-
-            const script = document.createElement('script');
-            const basePath = window.REOT?.router?.pathPrefix || '';
-            script.src = `${basePath}/libs/exif/exifr.min.js`;
-            script.onload = () => {
-                exifrLoaded = true;
-                resolve();
-            };
-            script.onerror = () => {
-                exifrLoadingPromise = null;
-                reject(new Error('无法加载 exifr 库'));
-            };
-            document.head.appendChild(script);
-        });
-
-        return exifrLoadingPromise;
-    }
-
     // ==================== DOM 元素 ====================
 
     const uploadArea = document.getElementById('upload-area');
@@ -724,7 +683,7 @@
                 allTags = parseHeicExif(buffer);
             } else {
                 // 其他格式使用 exifr 标准解析
-                await loadExifrLibrary();
+                await REOT.loader.load('exifr');
                 allTags = await exifr.parse(file, true);
             }
 
@@ -752,7 +711,7 @@
             // 尝试获取缩略图（HEIC 不支持，跳过）
             if (!isHeic) {
                 try {
-                    await loadExifrLibrary();
+                    await REOT.loader.load('exifr');
                     const thumbBuffer = await exifr.thumbnail(file);
                     if (thumbBuffer) {
                         const blob = new Blob([thumbBuffer], { type: 'image/jpeg' });
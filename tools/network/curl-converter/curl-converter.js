@@ -37,20 +37,6 @@
         if (generatorsLoading) return generatorsLoading;
 
         generatorsLoading = (async () => {
-            // 检测基础路径
-            const scripts = document.querySelectorAll('script[src*="curl-converter.js"]');
-            let basePath = '';
-            if (scripts.length > 0) {
-                const src = scripts[0].src;
-                basePath = src.substring(0, src.lastIndexOf('/') + 1);
-            } else {
-                // 备用路径检测
-                basePath = '/tools/network/curl-converter/';
-                if (window.REOT?.router?.basePath) {
-                    basePath = window.REOT.router.basePath + basePath;
-                }
-            }
-
             const generatorFiles = [
                 'generators/base.js',
                 'generators/python.js',
@@ -68,7 +54,7 @@
 
             // 按顺序加载脚本（base.js 必须先加载）
             for (const file of generatorFiles) {
-                await loadScript(basePath + file);
+                await REOT.loader.loadScript(`tools/network/curl-converter/${file}`);
             }
 
             generatorsLoaded = true;
@@ -79,25 +65,6 @@
         return generatorsLoading;
     }
 
-    /**
-     * 加载单个脚本
-     */
-    function loadScript(src) {
-        return new Promise((resolve, reject) => {
-            // 检查是否已加载
-            if (document.querySelector(`script[src="${src}"]`)) {
-                resolve();
-                return;
-            }
-
-            const script = document.createElement('script');
-            script.src = src;
-            script.onload = resolve;
-            script.onerror = () => reject(new Error(`Failed to load: ${src}`));
-            document.head.appendChild(script);
-        });
-    }
-
     // 获取编辑器值的辅助函数
     function getEditorValue(editor, fallbackId) {
         if (editor) {
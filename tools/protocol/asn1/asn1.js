@@ -73,37 +73,6 @@
         '2.5.29.37': 'extKeyUsage'
     };
 
-    function hexToBytes(hex) {
-        hex = hex.replace(/[\s\n\r]/g, '');
-        if (hex.length % 2 !== 0) {
-            throw new Error('十六进制字符串长度必须为偶数');
-        }
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            const byte = parseInt(hex.substr(i * 2, 2), 16);
-            if (isNaN(byte)) {
-                throw new Error(`无效的十六进制字符: ${hex.substr(i * 2, 2)}`);
-            }
-            bytes[i] = byte;
-        }
-        return bytes;
-    }
-
-    function base64ToBytes(base64) {
-        const binary = atob(base64.replace(/[\s\n\r]/g, ''));
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
-        }
-        return bytes;
-    }
-
-    function bytesToHex(bytes, separator = ' ') {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join(separator);
-    }
-
     function parseOID(bytes) {
         if (bytes.length === 0) return '';
         const oid = [];
@@ -194,7 +163,7 @@
                 tagClass: TAG_CLASSES[tagClass],
                 tagName,
                 constructed: isConstructed,
-                raw: bytesToHex(data.slice(startOffset, contentOffset + contentLength).slice(0, 32))
+                raw: REOT.bytes.toHex(data.slice(startOffset, contentOffset + contentLength).slice(0, 32), { separator: ' ' })
             };
 
             // 解析值
@@ -211,13 +180,13 @@
                             }
                             node.value = value.toString();
                         } else {
-                            node.value = bytesToHex(content.slice(0, 16)) + (contentLength > 16 ? '...' : '');
+                            node.value = REOT.bytes.toHex(content.slice(0, 16), { separator: ' ' }) + (contentLength > 16 ? '...' : '');
                         }
                         node.bitLength = contentLength * 8;
                         break;
                     case 0x03: // BIT STRING
                         node.unusedBits = content[0];
-                        node.value = bytesToHex(content.slice(1, 17)) + (contentLength > 17 ? '...' : '');
+                        node.value = REOT.bytes.toHex(content.slice(1, 17), { separator: ' ' }) + (contentLength > 17 ? '...' : '');
                         if (content.length > 1 && isConstructed === false) {
                             try {
                                 node.children = parseASN1(content.slice(1), 0, depth + 1, maxDepth);
@@ -225,7 +194,7 @@
                         }
                         break;
                     case 0x04: // OCTET STRING
-                        node.value = bytesToHex(content.slice(0, 16)) + (contentLength > 16 ? '...' : '');
+                        node.value = REOT.bytes.toHex(content.slice(0, 16), { separator: ' ' }) + (contentLength > 16 ? '...' : '');
                         try {
                             node.children = parseASN1(content, 0, depth + 1, maxDepth);
                         } catch {}
@@ -243,7 +212,7 @@
                         try {
                             node.value = new TextDecoder().decode(content);
                         } catch {
-                            node.value = bytesToHex(content);
+                            node.value = REOT.bytes.toHex(content, { separator: ' ' });
                         }
                         break;
                     case 0x17: // UTCTime
@@ -260,13 +229,13 @@
                         if (isConstructed) {
                             node.children = parseASN1(content, 0, depth + 1, maxDepth);
                         } else {
-                            node.value = bytesToHex(content.slice(0, 16)) + (contentLength > 16 ? '...' : '');
+                            node.value = REOT.bytes.toHex(content.slice(0, 16), { separator: ' ' }) + (contentLength > 16 ? '...' : '');
                         }
                 }
             } else if (isConstructed) {
                 node.children = parseASN1(content, 0, depth + 1, maxDepth);
             } else {
-                node.value = bytesToHex(content.slice(0, 16)) + (contentLength > 16 ? '...' : '');
+                node.value = REOT.bytes.toHex(content.slice(0, 16), { separator: ' ' }) + (contentLength > 16 ? '...' : '');
             }
 
             results.push(node);
@@ -344,17 +313,22 @@
 
         try {
             let data;
+            const isPem = format === 'pem' || (format === 'auto' && input.includes('-----BEGIN'));
 
-            if (format === 'hex') {
-                data = hexToBytes(input);
-            } else if (format === 'base64') {
-                data = base64ToBytes(input);
-            } else if (format === 'pem') {
+            if (isPem) {
                 const match = input.match(/-----BEGIN [^-]+-----\s*([\s\S]*?)\s*-----END/);
                 if (!match) {
                     throw new Error('无效的 PEM 格式');
                 }
-                data = base64ToBytes(match[1]);
+                data = REOT.bytes.fromBase64(match[1]);
+            } else if (format === 'auto') {
+                const detected = REOT.bytes.detect(input, { allowText: false });
+                if (!detected) {
+                    throw new Error('无法识别输入格式，请选择正确的格式');
+                }
+                data = REOT.bytes.parse(input, detected);
+            } else {
+                data = REOT.bytes.parse(input, format);
             }
 
             const parsed = parseASN1(data);
@@ -382,6 +356,13 @@
         return route && route.includes('/tools/protocol/asn1');
     }
 
+    // 自动检测时在下拉框中显示检测到的格式
+    const inputFormatSelect = document.getElementById('input-format');
+    const inputEl = document.getElementById('input');
+    if (inputFormatSelect && inputEl) {
+        REOT.bytes.bindFormatSelect(inputFormatSelect, inputEl);
+    }
+
     document.addEventListener('change', (e) => {
         if (!isAsn1ToolActive()) return;
 
@@ -395,7 +376,7 @@
                 const input = document.getElementById('input');
                 const formatSelect = document.getElementById('input-format');
                 if (input) {
-                    input.value = bytesToHex(bytes, '');
+                    input.value = REOT.bytes.toHex(bytes);
                 }
                 if (formatSelect) {
                     formatSelect.value = 'hex';
@@ -0,0 +1,44 @@
+/**
+ * JWT 密钥爆破 Worker
+ * @description 在 Worker 中用字典逐个计算 HS256/384/512 签名，与令牌签名比较
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+/* global importScripts */
+
+(function(root) {
+    'use strict';
+
+    if (typeof importScripts === 'function' && !root.REOT?.workers) {
+        importScripts('../../../assets/js/bytes.js', '../../../assets/js/workers.js', '../../hashing/hmac/hmac-core.js');
+    }
+
+    const encoder = new TextEncoder();
+
+    // 当前任务：摘要算法、签名输入和期望的签名
+    let target = null;
+
+    root.REOT.workers.serve({
+        /**
+         * @param {{hash: string, signingInput: string, signature: string}} data
+         */
+        init(data) {
+            target = {
+                hash: data.hash,
+                message: encoder.encode(data.signingInput),
+                signature: root.REOT.bytes.fromBase64(data.signature)
+            };
+        },
+
+        /**
+         * @param {string} secret - 候选密钥
+         * @returns {Promise<string|null>} - 命中时返回密钥
+         */
+        async test(secret) {
+            const mac = new Uint8Array(await root.REOT.hmac.calculate(target.message, secret, target.hash));
+            return root.REOT.bytes.equals(mac, target.signature) ? secret : null;
+        }
+    }, root);
+
+})(self);
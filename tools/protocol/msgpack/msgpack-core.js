@@ -0,0 +1,548 @@
+/**
+ * MessagePack 编解码核心
+ * @description 不依赖 DOM 的 MessagePack 解码（保留类型信息的节点树）与编码，供 MessagePack 工具页面和操作链共用。
+ *              依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // ========== 解码器 ==========
+
+    /**
+     * 解码结果为节点树：{ type, value }，array / map / bin / ext 节点另有 length，ext 节点另有 extType，
+     * 不是合法 UTF-8 的 str 节点以十六进制表示并带 isHex
+     */
+    class Decoder {
+        constructor(buffer) {
+            this.buffer = buffer;
+            this.view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+            this.offset = 0;
+        }
+
+        decode() {
+            return this.readValue();
+        }
+
+        /**
+         * 检查剩余字节数
+         * @param {number} length
+         * @throws {Error} 数据不足时抛出
+         */
+        need(length) {
+            if (this.offset + length > this.buffer.length) {
+                throw new Error('意外的数据结束');
+            }
+        }
+
+        /**
+         * 读取指定长度的字节
+         * @param {number} length
+         * @returns {Uint8Array}
+         */
+        take(length) {
+            this.need(length);
+            const bytes = this.buffer.slice(this.offset, this.offset + length);
+            this.offset += length;
+            return bytes;
+        }
+
+        readValue() {
+            this.need(1);
+            const byte = this.buffer[this.offset++];
+
+            // Positive fixint (0x00 - 0x7f)
+            if (byte <= 0x7f) {
+                return { type: 'uint', value: byte };
+            }
+
+            // Fixmap (0x80 - 0x8f)
+            if (byte >= 0x80 && byte <= 0x8f) {
+                return this.readMap(byte & 0x0f);
+            }
+
+            // Fixarray (0x90 - 0x9f)
+            if (byte >= 0x90 && byte <= 0x9f) {
+                return this.readArray(byte & 0x0f);
+            }
+
+            // Fixstr (0xa0 - 0xbf)
+            if (byte >= 0xa0 && byte <= 0xbf) {
+                return this.readStr(byte & 0x1f);
+            }
+
+            // Negative fixint (0xe0 - 0xff)
+            if (byte >= 0xe0) {
+                return { type: 'int', value: byte - 256 };
+            }
+
+            switch (byte) {
+            // nil
+            case 0xc0:
+                return { type: 'nil', value: null };
+
+            // (never used)
+            case 0xc1:
+                throw new Error('遇到保留字节 0xc1');
+
+            // false
+            case 0xc2:
+                return { type: 'bool', value: false };
+
+            // true
+            case 0xc3:
+                return { type: 'bool', value: true };
+
+            // bin 8 / 16 / 32
+            case 0xc4:
+                return this.readBin(this.readUint8());
+            case 0xc5:
+                return this.readBin(this.readUint16());
+            case 0xc6:
+                return this.readBin(this.readUint32());
+
+            // ext 8 / 16 / 32
+            case 0xc7:
+                return this.readExt(this.readUint8());
+            case 0xc8:
+                return this.readExt(this.readUint16());
+            case 0xc9:
+                return this.readExt(this.readUint32());
+
+            // float 32 / 64
+            case 0xca:
+                return { type: 'float32', value: this.readFloat32() };
+            case 0xcb:
+                return { type: 'float64', value: this.readFloat64() };
+
+            // uint 8 / 16 / 32 / 64
+            case 0xcc:
+                return { type: 'uint8', value: this.readUint8() };
+            case 0xcd:
+                return { type: 'uint16', value: this.readUint16() };
+            case 0xce:
+                return { type: 'uint32', value: this.readUint32() };
+            case 0xcf:
+                return { type: 'uint64', value: this.readUint64() };
+
+            // int 8 / 16 / 32 / 64
+            case 0xd0:
+                return { type: 'int8', value: this.readInt8() };
+            case 0xd1:
+                return { type: 'int16', value: this.readInt16() };
+            case 0xd2:
+                return { type: 'int32', value: this.readInt32() };
+            case 0xd3:
+                return { type: 'int64', value: this.readInt64() };
+
+            // fixext 1 / 2 / 4 / 8 / 16
+            case 0xd4:
+                return this.readExt(1);
+            case 0xd5:
+                return this.readExt(2);
+            case 0xd6:
+                return this.readExt(4);
+            case 0xd7:
+                return this.readExt(8);
+            case 0xd8:
+                return this.readExt(16);
+
+            // str 8 / 16 / 32
+            case 0xd9:
+                return this.readStr(this.readUint8());
+            case 0xda:
+                return this.readStr(this.readUint16());
+            case 0xdb:
+                return this.readStr(this.readUint32());
+
+            // array 16 / 32
+            case 0xdc:
+                return this.readArray(this.readUint16());
+            case 0xdd:
+                return this.readArray(this.readUint32());
+
+            // map 16 / 32
+            case 0xde:
+                return this.readMap(this.readUint16());
+            case 0xdf:
+                return this.readMap(this.readUint32());
+
+            default:
+                throw new Error(`未知的格式字节: 0x${byte.toString(16)}`);
+            }
+        }
+
+        readUint8() {
+            this.need(1);
+            return this.buffer[this.offset++];
+        }
+
+        readInt8() {
+            this.need(1);
+            const val = this.view.getInt8(this.offset);
+            this.offset += 1;
+            return val;
+        }
+
+        readUint16() {
+            this.need(2);
+            const val = this.view.getUint16(this.offset, false);
+            this.offset += 2;
+            return val;
+        }
+
+        readInt16() {
+            this.need(2);
+            const val = this.view.getInt16(this.offset, false);
+            this.offset += 2;
+            return val;
+        }
+
+        readUint32() {
+            this.need(4);
+            const val = this.view.getUint32(this.offset, false);
+            this.offset += 4;
+            return val;
+        }
+
+        readInt32() {
+            this.need(4);
+            const val = this.view.getInt32(this.offset, false);
+            this.offset += 4;
+            return val;
+        }
+
+        readUint64() {
+            this.need(8);
+            const val = this.view.getBigUint64(this.offset, false);
+            this.offset += 8;
+            // 如果在安全整数范围内，转换为 Number
+            if (val <= Number.MAX_SAFE_INTEGER) {
+                return Number(val);
+            }
+            return val.toString();
+        }
+
+        readInt64() {
+            this.need(8);
+            const val = this.view.getBigInt64(this.offset, false);
+            this.offset += 8;
+            if (val >= Number.MIN_SAFE_INTEGER && val <= Number.MAX_SAFE_INTEGER) {
+                return Number(val);
+            }
+            return val.toString();
+        }
+
+        readFloat32() {
+            this.need(4);
+            const val = this.view.getFloat32(this.offset, false);
+            this.offset += 4;
+            return val;
+        }
+
+        readFloat64() {
+            this.need(8);
+            const val = this.view.getFloat64(this.offset, false);
+            this.offset += 8;
+            return val;
+        }
+
+        readStr(length) {
+            const bytes = this.take(length);
+            try {
+                const str = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+                return { type: 'str', value: str };
+            } catch (e) {
+                return { type: 'str', value: root.REOT.bytes.toHex(bytes), isHex: true };
+            }
+        }
+
+        readBin(length) {
+            const bytes = this.take(length);
+            return { type: 'bin', value: root.REOT.bytes.toHex(bytes, { separator: ' ' }), length };
+        }
+
+        readArray(length) {
+            const items = [];
+            for (let i = 0; i < length; i++) {
+                items.push(this.readValue());
+            }
+            return { type: 'array', value: items, length };
+        }
+
+        readMap(length) {
+            const entries = [];
+            for (let i = 0; i < length; i++) {
+                const key = this.readValue();
+                const val = this.readValue();
+                entries.push({ key, value: val });
+            }
+            return { type: 'map', value: entries, length };
+        }
+
+        readExt(length) {
+            const extType = this.readInt8();
+            const data = this.take(length);
+            return { type: 'ext', extType, value: root.REOT.bytes.toHex(data, { separator: ' ' }), length };
+        }
+    }
+
+    // ========== 编码器 ==========
+
+    class Encoder {
+        constructor() {
+            this.buffer = [];
+        }
+
+        encode(value) {
+            this.buffer = [];
+            this.writeValue(value);
+            return new Uint8Array(this.buffer);
+        }
+
+        writeValue(value) {
+            if (value === null || value === undefined) {
+                this.buffer.push(0xc0);
+                return;
+            }
+
+            const type = typeof value;
+
+            if (type === 'boolean') {
+                this.buffer.push(value ? 0xc3 : 0xc2);
+                return;
+            }
+
+            if (type === 'number') {
+                if (Number.isInteger(value)) {
+                    this.writeInt(value);
+                } else {
+                    this.writeFloat64(value);
+                }
+                return;
+            }
+
+            if (type === 'string') {
+                this.writeStr(value);
+                return;
+            }
+
+            if (Array.isArray(value)) {
+                this.writeArray(value);
+                return;
+            }
+
+            if (type === 'object') {
+                this.writeMap(value);
+                return;
+            }
+
+            throw new Error(`不支持的类型: ${type}`);
+        }
+
+        writeInt(value) {
+            if (value >= 0) {
+                if (value <= 0x7f) {
+                    this.buffer.push(value);
+                } else if (value <= 0xff) {
+                    this.buffer.push(0xcc, value);
+                } else if (value <= 0xffff) {
+                    this.buffer.push(0xcd);
+                    this.writeUint16(value);
+                } else if (value <= 0xffffffff) {
+                    this.buffer.push(0xce);
+                    this.writeUint32(value);
+                } else {
+                    this.buffer.push(0xcf);
+                    this.writeUint64(BigInt(value));
+                }
+            } else {
+                if (value >= -32) {
+                    this.buffer.push(value + 256);
+                } else if (value >= -128) {
+                    this.buffer.push(0xd0, value + 256);
+                } else if (value >= -32768) {
+                    this.buffer.push(0xd1);
+                    this.writeInt16(value);
+                } else if (value >= -2147483648) {
+                    this.buffer.push(0xd2);
+                    this.writeInt32(value);
+                } else {
+                    this.buffer.push(0xd3);
+                    this.writeInt64(BigInt(value));
+                }
+            }
+        }
+
+        writeUint16(value) {
+            this.buffer.push((value >> 8) & 0xff, value & 0xff);
+        }
+
+        writeInt16(value) {
+            const buf = new ArrayBuffer(2);
+            new DataView(buf).setInt16(0, value, false);
+            this.buffer.push(...new Uint8Array(buf));
+        }
+
+        writeUint32(value) {
+            this.buffer.push(
+                (value >> 24) & 0xff,
+                (value >> 16) & 0xff,
+                (value >> 8) & 0xff,
+                value & 0xff
+            );
+        }
+
+        writeInt32(value) {
+            const buf = new ArrayBuffer(4);
+            new DataView(buf).setInt32(0, value, false);
+            this.buffer.push(...new Uint8Array(buf));
+        }
+
+        writeUint64(value) {
+            const buf = new ArrayBuffer(8);
+            new DataView(buf).setBigUint64(0, value, false);
+            this.buffer.push(...new Uint8Array(buf));
+        }
+
+        writeInt64(value) {
+            const buf = new ArrayBuffer(8);
+            new DataView(buf).setBigInt64(0, value, false);
+            this.buffer.push(...new Uint8Array(buf));
+        }
+
+        writeFloat64(value) {
+            this.buffer.push(0xcb);
+            const buf = new ArrayBuffer(8);
+            new DataView(buf).setFloat64(0, value, false);
+            this.buffer.push(...new Uint8Array(buf));
+        }
+
+        writeStr(str) {
+            const bytes = new TextEncoder().encode(str);
+            const len = bytes.length;
+
+            if (len <= 31) {
+                this.buffer.push(0xa0 | len);
+            } else if (len <= 0xff) {
+                this.buffer.push(0xd9, len);
+            } else if (len <= 0xffff) {
+                this.buffer.push(0xda);
+                this.writeUint16(len);
+            } else {
+                this.buffer.push(0xdb);
+                this.writeUint32(len);
+            }
+
+            this.buffer.push(...bytes);
+        }
+
+        writeArray(arr) {
+            const len = arr.length;
+
+            if (len <= 15) {
+                this.buffer.push(0x90 | len);
+            } else if (len <= 0xffff) {
+                this.buffer.push(0xdc);
+                this.writeUint16(len);
+            } else {
+                this.buffer.push(0xdd);
+                this.writeUint32(len);
+            }
+
+            for (const item of arr) {
+                this.writeValue(item);
+            }
+        }
+
+        writeMap(obj) {
+            const entries = Object.entries(obj);
+            const len = entries.length;
+
+            if (len <= 15) {
+                this.buffer.push(0x80 | len);
+            } else if (len <= 0xffff) {
+                this.buffer.push(0xde);
+                this.writeUint16(len);
+            } else {
+                this.buffer.push(0xdf);
+                this.writeUint32(len);
+            }
+
+            for (const [key, value] of entries) {
+                this.writeStr(key);
+                this.writeValue(value);
+            }
+        }
+    }
+
+    // ========== 转换为原始 JSON ==========
+
+    /**
+     * 节点树转换为普通 JSON 值：bin / ext 以带标记的十六进制字符串表示，非字符串的 map 键转为 JSON 文本
+     * @param {Object} decoded - Decoder 解码出的节点
+     * @returns {*}
+     */
+    function toPlainValue(decoded) {
+        if (decoded === null || decoded === undefined) {
+            return null;
+        }
+
+        switch (decoded.type) {
+        case 'nil':
+            return null;
+        case 'bin':
+            return `<bin:${decoded.length}>${decoded.value}`;
+        case 'ext':
+            return `<ext:${decoded.extType}>${decoded.value}`;
+        case 'array':
+            return decoded.value.map(toPlainValue);
+        case 'map': {
+            const obj = {};
+            for (const entry of decoded.value) {
+                const key = toPlainValue(entry.key);
+                obj[typeof key === 'object' && key !== null ? JSON.stringify(key) : String(key)] = toPlainValue(entry.value);
+            }
+            return obj;
+        }
+        default:
+            return decoded.value;
+        }
+    }
+
+    root.REOT.msgpack = {
+        Decoder,
+        Encoder,
+        toPlainValue,
+
+        /**
+         * 解码完整的 MessagePack 数据（只包含一个值）
+         * @param {Uint8Array} data
+         * @returns {Object} - 节点树
+         * @throws {Error} 数据不完整、格式字节无效或解码后有剩余字节时抛出
+         */
+        decode(data) {
+            const decoder = new Decoder(data);
+            const value = decoder.decode();
+            if (decoder.offset !== data.length) {
+                throw new Error(`解码后剩余 ${data.length - decoder.offset} 字节未使用`);
+            }
+            return value;
+        },
+
+        /**
+         * 编码 JSON 值
+         * @param {*} value
+         * @returns {Uint8Array}
+         */
+        encode(value) {
+            return new Encoder().encode(value);
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
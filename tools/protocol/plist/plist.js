@@ -24,12 +24,6 @@
         return div.innerHTML;
     }
 
-    function bytesToHex(bytes, separator = ' ') {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join(separator);
-    }
-
     // ========== XML Plist 解析 ==========
 
     function parseXmlPlist(xmlString) {
@@ -348,7 +342,7 @@
         parseData(offset, info) {
             const { length, headerSize } = this.getLength(offset, info);
             const data = this.buffer.slice(offset + headerSize, offset + headerSize + length);
-            return { type: 'data', value: btoa(String.fromCharCode(...data)) };
+            return { type: 'data', value: REOT.bytes.toBase64(data) };
         }
 
         parseAsciiString(offset, info) {
@@ -839,7 +833,7 @@ ${plistToXml(currentResult)}
                     }
                 } else {
                     // 作为文本处理
-                    const text = new TextDecoder().decode(bytes);
+                    const text = REOT.bytes.toText(bytes);
                     const input = document.getElementById('plist-input');
                     if (input) {
                         input.value = text;
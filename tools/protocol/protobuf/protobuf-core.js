@@ -0,0 +1,402 @@
+/**
+ * Protobuf wire 格式核心
+ * @description 不依赖 DOM 的无 Schema Protobuf 解析（varint / 定长 / length-delimited 字段及其多种解释），
+ *              供 Protobuf 工具页面和操作链共用。依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    // Wire 类型
+    const WIRE_TYPES = {
+        0: 'Varint',
+        1: '64-bit',
+        2: 'Length-delimited',
+        3: 'Start group (deprecated)',
+        4: 'End group (deprecated)',
+        5: '32-bit'
+    };
+
+    // 整数解释的类型名（转换为 JSON 时优先于浮点解释）
+    const INTEGER_TYPES = ['uint', 'int', 'int8', 'int16', 'int32', 'int64'];
+
+    /**
+     * 读取 varint
+     * @param {Uint8Array} data
+     * @param {number} offset
+     * @returns {{value: bigint, bytesRead: number}}
+     * @throws {Error} 超过 64 位或数据在 varint 中途结束时抛出
+     */
+    function readVarint(data, offset) {
+        let result = 0n;
+        let shift = 0n;
+        let bytesRead = 0;
+
+        while (offset < data.length) {
+            const byte = data[offset];
+            result |= BigInt(byte & 0x7f) << shift;
+            bytesRead++;
+            offset++;
+
+            if ((byte & 0x80) === 0) {
+                return { value: result, bytesRead };
+            }
+            shift += 7n;
+
+            if (shift > 63n) {
+                throw new Error('Varint 过长');
+            }
+        }
+
+        throw new Error('数据不完整');
+    }
+
+    function zigzagDecode(n) {
+        return (n >> 1n) ^ -(n & 1n);
+    }
+
+    // 二进制补码解释
+    function interpretAsTwosComplement(n, bits) {
+        const signBit = 1n << BigInt(bits - 1);
+        if ((n & signBit) !== 0n) {
+            return n - (1n << BigInt(bits));
+        }
+        return n;
+    }
+
+    /**
+     * 解析 Protobuf 数据
+     * @param {Uint8Array} data - 原始数据
+     * @param {number} offset - 起始偏移量
+     * @param {number} depth - 当前递归深度
+     * @param {number} maxDepth - 最大递归深度
+     * @returns {{ parts: Array, leftOver: Uint8Array }}
+     */
+    function parse(data, offset = 0, depth = 0, maxDepth = 10) {
+        const parts = [];
+        let savedOffset = offset;
+
+        while (offset < data.length && depth < maxDepth) {
+            try {
+                savedOffset = offset;
+                const startOffset = offset;
+                const tagResult = readVarint(data, offset);
+                const tag = tagResult.value;
+                offset += tagResult.bytesRead;
+
+                const fieldNumber = Number(tag >> 3n);
+                const wireType = Number(tag & 0x7n);
+
+                // 字段号 0 不合法，该字节计入剩余数据
+                if (fieldNumber === 0) {
+                    throw new Error('无效的字段号 0');
+                }
+
+                const field = {
+                    fieldNumber,
+                    wireType,
+                    wireTypeName: WIRE_TYPES[wireType] || 'Unknown',
+                    byteRange: [startOffset, 0]
+                };
+
+                switch (wireType) {
+                case 0: { // Varint
+                    const varintResult = readVarint(data, offset);
+                    field.rawValue = varintResult.value.toString();
+                    field.value = varintResult.value;
+                    offset += varintResult.bytesRead;
+                    break;
+                }
+
+                case 1: // 64-bit (fixed64)
+                    if (offset + 8 > data.length) {
+                        throw new Error('数据不完整');
+                    }
+                    field.value = data.slice(offset, offset + 8);
+                    field.rawHex = root.REOT.bytes.toHex(field.value);
+                    offset += 8;
+                    break;
+
+                case 2: { // Length-delimited
+                    const lengthResult = readVarint(data, offset);
+                    const length = Number(lengthResult.value);
+                    offset += lengthResult.bytesRead;
+
+                    if (offset + length > data.length) {
+                        throw new Error('数据不完整');
+                    }
+
+                    field.value = data.slice(offset, offset + length);
+                    field.length = length;
+                    offset += length;
+                    break;
+                }
+
+                case 5: // 32-bit (fixed32)
+                    if (offset + 4 > data.length) {
+                        throw new Error('数据不完整');
+                    }
+                    field.value = data.slice(offset, offset + 4);
+                    field.rawHex = root.REOT.bytes.toHex(field.value);
+                    offset += 4;
+                    break;
+
+                case 3:
+                case 4:
+                    // deprecated group types
+                    break;
+
+                default:
+                    throw new Error(`未知的 wire 类型: ${wireType}`);
+                }
+
+                field.byteRange[1] = offset;
+                parts.push(field);
+
+            } catch (e) {
+                offset = savedOffset;
+                break;
+            }
+        }
+
+        return {
+            parts,
+            leftOver: data.slice(offset)
+        };
+    }
+
+    /**
+     * 解码 varint 的多种可能解释
+     * @param {bigint} value - varint 原始值
+     * @returns {Array<{type: string, value: string}>}
+     */
+    function decodeVarintParts(value) {
+        const result = [];
+        const uintVal = value;
+        result.push({ type: 'uint', value: uintVal.toString() });
+
+        // 尝试不同位宽的二进制补码解释
+        for (const bits of [8, 16, 32, 64]) {
+            const intVal = interpretAsTwosComplement(uintVal, bits);
+            if (intVal.toString() !== uintVal.toString()) {
+                result.push({ type: `int${bits}`, value: intVal.toString() });
+            }
+        }
+
+        // sint (zigzag 解码)
+        const sintVal = zigzagDecode(uintVal);
+        if (sintVal.toString() !== uintVal.toString()) {
+            result.push({ type: 'sint', value: sintVal.toString() });
+        }
+
+        return result;
+    }
+
+    /**
+     * 解码 fixed32 的多种可能解释
+     * @param {Uint8Array} value - 4 字节数据
+     * @returns {Array<{type: string, value: string}>}
+     */
+    function decodeFixed32(value) {
+        const view = new DataView(new Uint8Array(value).buffer);
+        const intValue = view.getInt32(0, true);
+        const uintValue = view.getUint32(0, true);
+        const floatValue = view.getFloat32(0, true);
+
+        const result = [];
+        result.push({ type: 'int', value: intValue.toString() });
+        if (intValue !== uintValue) {
+            result.push({ type: 'uint', value: uintValue.toString() });
+        }
+        result.push({ type: 'float', value: floatValue.toString() });
+
+        return result;
+    }
+
+    /**
+     * 解码 fixed64 的多种可能解释
+     * @param {Uint8Array} value - 8 字节数据
+     * @returns {Array<{type: string, value: string}>}
+     */
+    function decodeFixed64(value) {
+        const view = new DataView(new Uint8Array(value).buffer);
+        const uintValue = view.getBigUint64(0, true);
+        const intValue = view.getBigInt64(0, true);
+        const doubleValue = view.getFloat64(0, true);
+
+        const result = [];
+        result.push({ type: 'int', value: intValue.toString() });
+        if (intValue.toString() !== uintValue.toString()) {
+            result.push({ type: 'uint', value: uintValue.toString() });
+        }
+        result.push({ type: 'double', value: doubleValue.toString() });
+
+        return result;
+    }
+
+    /**
+     * 解码 length-delimited 为字符串或字节
+     * @param {Uint8Array} value - 字节数据
+     * @returns {{type: string, value: string}}
+     */
+    function decodeStringOrBytes(value) {
+        if (!value || value.length === 0) {
+            return { type: 'string|bytes', value: '' };
+        }
+        try {
+            const str = new TextDecoder('utf-8', { fatal: true }).decode(value);
+            return { type: 'string', value: str };
+        } catch (e) {
+            return { type: 'bytes', value: root.REOT.bytes.toHex(value, { separator: ' ' }) };
+        }
+    }
+
+    /**
+     * 获取字段的解析内容和子类型
+     * @param {Object} part - parse() 解析出的字段
+     * @param {boolean} [allowNested=true] - length-delimited 字段是否尝试解析为嵌套消息
+     * @returns {{interpretations: Array|null, subType: string|null, nested: Object|null}}
+     */
+    function interpret(part, allowNested = true) {
+        switch (part.wireType) {
+        case 0: // Varint
+            return {
+                interpretations: decodeVarintParts(part.value),
+                subType: null,
+                nested: null
+            };
+
+        case 1: // 64-bit
+            return {
+                interpretations: decodeFixed64(part.value),
+                subType: null,
+                nested: null
+            };
+
+        case 2: { // Length-delimited
+            // 首先尝试解析为嵌套 protobuf
+            if (part.value.length > 0 && allowNested) {
+                const decoded = parse(part.value, 0, 0, 10);
+                if (decoded.parts.length > 0 && decoded.leftOver.length === 0) {
+                    return {
+                        interpretations: null,
+                        subType: 'protobuf',
+                        nested: decoded
+                    };
+                }
+            }
+            // 否则作为字符串或字节解释
+            const strOrBytes = decodeStringOrBytes(part.value);
+            return {
+                interpretations: [strOrBytes],
+                subType: strOrBytes.type,
+                nested: null
+            };
+        }
+
+        case 5: // 32-bit
+            return {
+                interpretations: decodeFixed32(part.value),
+                subType: null,
+                nested: null
+            };
+
+        default:
+            return {
+                interpretations: [{ type: 'unknown', value: 'Unknown type' }],
+                subType: null,
+                nested: null
+            };
+        }
+    }
+
+    /**
+     * 将解析结果转换为 JSON 对象
+     * @param {{ parts: Array, leftOver: Uint8Array }|Array} decoded - parse() 的结果或字段数组
+     * @returns {Object}
+     */
+    function toJson(decoded) {
+        const result = {};
+        const parts = decoded.parts || decoded;
+
+        for (const part of parts) {
+            const key = `field_${part.fieldNumber}`;
+            let value;
+
+            const content = interpret(part);
+
+            if (content.nested) {
+                value = toJson(content.nested);
+            } else if (content.interpretations && content.interpretations.length > 0) {
+                const interps = content.interpretations;
+                const stringInterp = interps.find(i => i.type === 'string');
+                const numInterp = interps.find(i => INTEGER_TYPES.includes(i.type));
+                const floatInterp = interps.find(i => ['float', 'double'].includes(i.type));
+
+                if (stringInterp) {
+                    value = stringInterp.value;
+                } else if (numInterp) {
+                    const numStr = numInterp.value;
+                    try {
+                        const num = BigInt(numStr);
+                        value = num <= Number.MAX_SAFE_INTEGER && num >= Number.MIN_SAFE_INTEGER
+                            ? Number(num) : numStr;
+                    } catch {
+                        value = numStr;
+                    }
+                } else if (floatInterp) {
+                    value = parseFloat(floatInterp.value);
+                } else {
+                    value = interps[0].value;
+                }
+            } else {
+                value = null;
+            }
+
+            // 处理重复字段
+            if (result[key] !== undefined) {
+                if (!Array.isArray(result[key])) {
+                    result[key] = [result[key]];
+                }
+                result[key].push(value);
+            } else {
+                result[key] = value;
+            }
+        }
+
+        return result;
+    }
+
+    root.REOT.protobuf = {
+        WIRE_TYPES,
+        readVarint,
+        zigzagDecode,
+        parse,
+        decodeVarintParts,
+        decodeFixed32,
+        decodeFixed64,
+        decodeStringOrBytes,
+        interpret,
+        toJson,
+
+        /**
+         * 无 Schema 解码完整的 Protobuf 消息为 JSON 对象
+         * @param {Uint8Array} data
+         * @returns {Object}
+         * @throws {Error} 没有解析出字段或有剩余字节时抛出
+         */
+        decode(data) {
+            const decoded = parse(data);
+            if (decoded.parts.length === 0 || decoded.leftOver.length > 0) {
+                throw new Error('无法解析为 Protobuf 消息');
+            }
+            return toJson(decoded);
+        }
+    };
+
+})(typeof window !== 'undefined' ? window : self);
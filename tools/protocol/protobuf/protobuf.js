@@ -1,6 +1,6 @@
 /**
  * Protobuf 解码工具
- * @description Protocol Buffers / gRPC 无 Schema 解码
+ * @description Protocol Buffers / gRPC 解码：无 Schema 解析、按 .proto 定义解码/编码、从样本推断 .proto
  * @author Evil0ctal
  * @license Apache-2.0
  */
@@ -8,380 +8,1138 @@
 (function() {
     'use strict';
 
-    // Wire 类型
-    const WIRE_TYPES = {
-        0: 'Varint',
-        1: '64-bit',
-        2: 'Length-delimited',
-        3: 'Start group (deprecated)',
-        4: 'End group (deprecated)',
-        5: '32-bit'
-    };
-
     // 当前状态
     let currentFields = null;
     let currentView = 'table';
     let jsonEditor = null; // CodeMirror JSON 编辑器实例
 
+    // Schema 状态
+    let schemaFiles = []; // 上传的 .proto 文件 [{name, content}]
+    let currentSchema = null; // loadSchema() 的结果
+    let schemaTask = Promise.resolve(); // 正在进行的 Schema 解析
+    let schemaTimer = null;
+    let currentType = null; // 当前解码使用的消息类型
+    let currentSchemaJson = null; // 按 Schema 解码的结果
+    let inferFiles = []; // 推断用的样本文件 [{name, data}]
+    let currentGrpc = null; // gRPC 模式下的解码结果 {messages, trailers, leftOver}
+
     // ========== 工具函数 ==========
 
-    function hexToBytes(hex) {
-        hex = hex.replace(/[\s\n\r]/g, '');
-        if (hex.length % 2 !== 0) {
-            throw new Error('十六进制字符串长度必须为偶数');
+    function detectAndConvert(input) {
+        // 自动检测格式（Hex / Base64 / C 数组 / Python bytes / \x 转义等）
+        const format = REOT.bytes.detect(input, { allowText: false });
+        if (!format) {
+            throw new Error('无法识别的输入格式，请输入十六进制、Base64、C 数组、Python bytes 或 \\x 转义格式的数据');
         }
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
-        }
-        return bytes;
+        return REOT.bytes.parse(input, format);
     }
 
-    function base64ToBytes(base64) {
-        // 处理 URL-safe base64
-        base64 = base64.replace(/-/g, '+').replace(/_/g, '/');
-        // 添加 padding
-        while (base64.length % 4) {
-            base64 += '=';
-        }
-        const binary = atob(base64.replace(/[\s\n\r]/g, ''));
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
+    // ========== Protobuf 解析 ==========
+
+    /**
+     * 加载 Protobuf wire 格式核心（与操作链共用）
+     * @returns {Promise<Object>} REOT.protobuf
+     */
+    async function loadCore() {
+        await REOT.loader.loadScript('tools/protocol/protobuf/protobuf-core.js');
+        return REOT.protobuf;
+    }
+
+    /**
+     * 解析 Protobuf 数据
+     * @param {Uint8Array} data - 原始数据
+     * @returns {{ parts: Array, leftOver: Uint8Array }}
+     */
+    function parseProtobuf(data) {
+        return REOT.protobuf.parse(data);
+    }
+
+    /**
+     * 获取字段的解析内容和子类型
+     * @param {Object} part - 解析后的字段
+     * @param {Object} [field] - Schema 中的字段定义（标量字段不再尝试解析为嵌套消息）
+     * @returns {{interpretations: Array|null, subType: string|null, nested: Object|null}}
+     */
+    function getPartContent(part, field = null) {
+        return REOT.protobuf.interpret(part, !field || field.map || isType(field.resolvedType));
+    }
+
+    /**
+     * 将 wire 类型转换为可读字符串
+     * @param {number} wireType - wire 类型
+     * @param {string|null} subType - 子类型
+     * @returns {string}
+     */
+    function wireTypeToString(wireType, subType) {
+        switch (wireType) {
+            case 0: return 'varint';
+            case 1: return 'fixed64';
+            case 2: return subType || 'len_delim';
+            case 5: return 'fixed32';
+            default: return 'unknown';
         }
-        return bytes;
     }
 
-    function bytesToHex(bytes, separator = ' ') {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join(separator);
+    // ========== Schema 解码 ==========
+
+    // protobuf.js 内置的 Well-Known Types 定义（google/protobuf/*.proto 可直接 import）
+    const WELL_KNOWN_FILES = ['any', 'duration', 'timestamp', 'empty', 'struct', 'wrappers', 'field_mask'];
+
+    // 64 位整数类型（JSON 中以字符串表示，避免精度丢失）
+    const LONG_TYPES = ['int64', 'uint64', 'sint64', 'fixed64', 'sfixed64'];
+
+    // toObject 选项：枚举输出名称、64 位整数输出字符串、bytes 输出 Base64，只包含实际出现的字段
+    const TO_OBJECT_OPTIONS = { longs: String, enums: String, bytes: String };
+
+    /**
+     * 加载 protobuf.js（配合 long.js 保证 64 位整数精度）
+     * @returns {Promise<Object>}
+     */
+    async function loadProtobufLib() {
+        const Long = await REOT.loader.load('long');
+        const protobuf = await REOT.loader.load('protobufjs');
+        if (protobuf.util.Long !== Long) {
+            protobuf.util.Long = Long;
+            protobuf.configure();
+        }
+        return protobuf;
     }
 
-    function isHex(str) {
-        return /^[0-9a-fA-F\s\n\r]+$/.test(str);
+    /**
+     * 是否为消息类型（protobuf.js 的 Type）
+     * @param {Object} obj
+     * @returns {boolean}
+     */
+    function isType(obj) {
+        return !!obj && Array.isArray(obj.fieldsArray);
     }
 
-    function isBase64(str) {
-        return /^[A-Za-z0-9+/=\-_\s\n\r]+$/.test(str) && !isHex(str.replace(/[\s\n\r]/g, ''));
+    /**
+     * 解析一个或多个 .proto 文件，文件之间可以相互 import，google/protobuf/*.proto 已内置
+     * @param {string|Array<string|{name: string, content: string}>} files
+     * @returns {Promise<Object>} - protobuf.js Root
+     */
+    async function loadSchema(files) {
+        const list = (Array.isArray(files) ? files : [files])
+            .map((file, i) => (typeof file === 'string' ? { name: `schema${i + 1}.proto`, content: file } : file))
+            .filter(file => file.content && file.content.trim());
+        if (list.length === 0) {
+            throw new Error('请输入 .proto 定义');
+        }
+
+        const protobuf = await loadProtobufLib();
+        const root = new protobuf.Root();
+        WELL_KNOWN_FILES.forEach(name => {
+            root.addJSON(protobuf.common.get(`google/protobuf/${name}.proto`).nested);
+        });
+
+        for (const file of list) {
+            try {
+                protobuf.parse(file.content, root, { keepCase: true });
+            } catch (e) {
+                throw new Error(`${file.name} 解析失败: ${e.message}`);
+            }
+        }
+        try {
+            root.resolveAll();
+        } catch (e) {
+            throw new Error(`Schema 解析失败: ${e.message}`);
+        }
+        return root;
     }
 
-    function detectAndConvert(input, forceGrpc = false) {
-        input = input.trim();
-        let data;
+    /**
+     * 列出 Schema 中的全部消息类型（不含内置的 google.protobuf.*）
+     * @param {Object} root
+     * @returns {string[]} - 完整类型名，如 example.User
+     */
+    function listMessageTypes(root) {
+        const names = [];
+        const walk = (namespace) => {
+            (namespace.nestedArray || []).forEach(obj => {
+                if (isType(obj) && !obj.fullName.startsWith('.google.protobuf.')) {
+                    names.push(obj.fullName.slice(1));
+                }
+                walk(obj);
+            });
+        };
+        walk(root);
+        return names;
+    }
 
-        // 尝试检测格式
-        if (isHex(input)) {
-            data = hexToBytes(input);
-        } else if (isBase64(input)) {
-            data = base64ToBytes(input);
-        } else {
-            throw new Error('无法识别的输入格式，请输入十六进制或 Base64 编码的数据');
+    /**
+     * 查找消息类型
+     * @param {Object} root
+     * @param {string} typeName
+     * @returns {Object}
+     */
+    function lookupMessageType(root, typeName) {
+        try {
+            return root.lookupType(typeName);
+        } catch (e) {
+            throw new Error(`找不到消息类型: ${typeName}`);
         }
+    }
 
-        // gRPC 模式：跳过 5 字节头 (1 byte compressed flag + 4 bytes length)
-        if (forceGrpc && data.length > 5) {
-            data = data.slice(5);
+    /**
+     * 按 google.protobuf.Any 的 type_url 查找类型
+     * @param {Object} root
+     * @param {string} url - 如 type.googleapis.com/example.User
+     * @returns {Object|null}
+     */
+    function lookupAnyType(root, url) {
+        try {
+            return root.lookupType(url.slice(url.lastIndexOf('/') + 1));
+        } catch (e) {
+            return null;
         }
+    }
 
-        return data;
+    /**
+     * 纳秒部分按 0 / 3 / 6 / 9 位小数输出
+     * @param {number} nanos
+     * @returns {string}
+     */
+    function formatNanos(nanos) {
+        if (!nanos) {
+            return '';
+        }
+        const digits = String(Math.abs(nanos)).padStart(9, '0');
+        if (digits.endsWith('000000')) {
+            return `.${digits.slice(0, 3)}`;
+        }
+        return `.${digits.endsWith('000') ? digits.slice(0, 6) : digits}`;
     }
 
-    // ========== Protobuf 解析 ==========
+    /**
+     * 解析小数部分为纳秒
+     * @param {string} [fraction]
+     * @returns {number}
+     */
+    function parseNanos(fraction) {
+        return fraction ? Number(fraction.padEnd(9, '0')) : 0;
+    }
 
-    function readVarint(data, offset) {
-        let result = 0n;
-        let shift = 0n;
-        let bytesRead = 0;
+    /**
+     * 64 位整数类型的默认值（JSON 表示）
+     * @param {string} type - 字段类型
+     * @returns {*}
+     */
+    function defaultJsonValue(type) {
+        if (LONG_TYPES.includes(type)) {
+            return '0';
+        }
+        if (type === 'bool') {
+            return false;
+        }
+        return type === 'string' || type === 'bytes' ? '' : 0;
+    }
 
-        while (offset < data.length) {
-            const byte = data[offset];
-            result |= BigInt(byte & 0x7f) << shift;
-            bytesRead++;
-            offset++;
+    // 包装类型（google.protobuf.Int32Value 等）在 JSON 中直接表示为其 value
+    const WRAPPER_TYPE = {
+        toJson(obj, type) {
+            return 'value' in obj ? valueToJson(type.fields.value, obj.value) : defaultJsonValue(type.fields.value.type);
+        },
+        fromJson(json) {
+            return { value: json };
+        }
+    };
 
-            if ((byte & 0x80) === 0) {
-                break;
+    /**
+     * Well-Known Types 的 JSON 映射（与 protoc / 官方 JSON 格式一致）
+     * toJson 的参数为 toObject 的结果；fromJson 返回 fromObject 可接受的对象，返回 undefined 时按普通消息处理
+     */
+    const WELL_KNOWN_TYPES = {
+        '.google.protobuf.Timestamp': {
+            toJson(obj) {
+                const seconds = obj.seconds || '0';
+                const date = new Date(Number(seconds) * 1000);
+                const year = date.getUTCFullYear();
+                if (Number.isNaN(date.getTime()) || year < 1 || year > 9999) {
+                    return { seconds, nanos: obj.nanos || 0 };
+                }
+                return `${date.toISOString().slice(0, 19)}${formatNanos(obj.nanos)}Z`;
+            },
+            fromJson(json) {
+                if (typeof json !== 'string') {
+                    return undefined;
+                }
+                const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/i.exec(json);
+                const ms = match ? Date.parse(`${match[1]}${match[3].toUpperCase()}`) : NaN;
+                if (Number.isNaN(ms)) {
+                    throw new Error(`无效的 Timestamp: ${json}（应为 RFC 3339 格式，如 2024-01-01T00:00:00Z）`);
+                }
+                return { seconds: String(Math.floor(ms / 1000)), nanos: parseNanos(match[2]) };
+            }
+        },
+        '.google.protobuf.Duration': {
+            toJson(obj) {
+                const seconds = String(obj.seconds || '0');
+                const negative = seconds.startsWith('-') || obj.nanos < 0;
+                return `${negative ? '-' : ''}${seconds.replace('-', '')}${formatNanos(obj.nanos)}s`;
+            },
+            fromJson(json) {
+                if (typeof json !== 'string') {
+                    return undefined;
+                }
+                const match = /^(-)?(\d+)(?:\.(\d{1,9}))?s$/.exec(json);
+                if (!match) {
+                    throw new Error(`无效的 Duration: ${json}（应为秒数加 s 后缀，如 1.5s）`);
+                }
+                const sign = match[1] ? -1 : 1;
+                const nanos = parseNanos(match[3]);
+                return {
+                    seconds: (BigInt(match[2]) * BigInt(sign)).toString(),
+                    nanos: nanos === 0 ? 0 : nanos * sign
+                };
+            }
+        },
+        '.google.protobuf.FieldMask': {
+            toJson(obj) {
+                return (obj.paths || []).join(',');
+            },
+            fromJson(json) {
+                return typeof json === 'string' ? { paths: json ? json.split(',') : [] } : undefined;
+            }
+        },
+        '.google.protobuf.Struct': {
+            toJson(obj, type) {
+                const valueType = type.fields.fields.resolvedType;
+                return Object.fromEntries(Object.entries(obj.fields || {}).map(([key, value]) => [key, messageToJson(valueType, value)]));
+            },
+            fromJson(json, type) {
+                if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+                    throw new Error('google.protobuf.Struct 应为 JSON 对象');
+                }
+                const valueType = type.fields.fields.resolvedType;
+                return { fields: Object.fromEntries(Object.entries(json).map(([key, value]) => [key, jsonToMessage(valueType, value)])) };
+            }
+        },
+        '.google.protobuf.Value': {
+            toJson(obj, type) {
+                if ('numberValue' in obj) {
+                    return valueToJson(type.fields.numberValue, obj.numberValue);
+                }
+                if ('stringValue' in obj) {
+                    return obj.stringValue;
+                }
+                if ('boolValue' in obj) {
+                    return obj.boolValue;
+                }
+                if ('structValue' in obj) {
+                    return messageToJson(type.fields.structValue.resolvedType, obj.structValue);
+                }
+                if ('listValue' in obj) {
+                    return messageToJson(type.fields.listValue.resolvedType, obj.listValue);
+                }
+                return null;
+            },
+            fromJson(json, type) {
+                if (json === null) {
+                    return { nullValue: 0 };
+                }
+                if (Array.isArray(json)) {
+                    return { listValue: jsonToMessage(type.fields.listValue.resolvedType, json) };
+                }
+                switch (typeof json) {
+                case 'number': return { numberValue: json };
+                case 'string': return { stringValue: json };
+                case 'boolean': return { boolValue: json };
+                default: return { structValue: jsonToMessage(type.fields.structValue.resolvedType, json) };
+                }
+            }
+        },
+        '.google.protobuf.ListValue': {
+            toJson(obj, type) {
+                return (obj.values || []).map(value => messageToJson(type.fields.values.resolvedType, value));
+            },
+            fromJson(json, type) {
+                if (!Array.isArray(json)) {
+                    throw new Error('google.protobuf.ListValue 应为 JSON 数组');
+                }
+                return { values: json.map(value => jsonToMessage(type.fields.values.resolvedType, value)) };
             }
-            shift += 7n;
+        },
+        '.google.protobuf.Any': {
+            toJson(obj, type) {
+                const url = obj.type_url || '';
+                const inner = lookupAnyType(type.root, url);
+                if (!inner) {
+                    return { '@type': url, value: obj.value || '' };
+                }
+                let json;
+                try {
+                    const message = inner.decode(REOT.bytes.fromBase64(obj.value || ''));
+                    json = messageToJson(inner, inner.toObject(message, TO_OBJECT_OPTIONS));
+                } catch (e) {
+                    return { '@type': url, value: obj.value || '' };
+                }
+                return WELL_KNOWN_TYPES[inner.fullName] ? { '@type': url, value: json } : { '@type': url, ...json };
+            },
+            fromJson(json, type) {
+                if (json === null || typeof json !== 'object' || typeof json['@type'] !== 'string') {
+                    return undefined;
+                }
+                const url = json['@type'];
+                const inner = lookupAnyType(type.root, url);
+                if (!inner) {
+                    // 未知类型：value 为原始字节（Base64）
+                    return { type_url: url, value: json.value || '' };
+                }
+                const rest = { ...json };
+                delete rest['@type'];
+                const innerJson = WELL_KNOWN_TYPES[inner.fullName] ? json.value : rest;
+                return { type_url: url, value: inner.encode(inner.fromObject(jsonToMessage(inner, innerJson))).finish() };
+            }
+        }
+    };
 
-            if (shift > 63n) {
-                throw new Error('Varint 过长');
+    ['Double', 'Float', 'Int64', 'UInt64', 'Int32', 'UInt32', 'Bool', 'String', 'Bytes'].forEach(name => {
+        WELL_KNOWN_TYPES[`.google.protobuf.${name}Value`] = WRAPPER_TYPE;
+    });
+
+    /**
+     * 单个值转换为 JSON
+     * @param {Object} field - protobuf.js Field
+     * @param {*} value - toObject 中的值
+     * @returns {*}
+     */
+    function valueToJson(field, value) {
+        if (isType(field.resolvedType)) {
+            return messageToJson(field.resolvedType, value);
+        }
+        // NaN / Infinity 在 JSON 中以字符串表示
+        if ((field.type === 'double' || field.type === 'float') && !Number.isFinite(value)) {
+            return String(value);
+        }
+        return value;
+    }
+
+    /**
+     * 消息转换为 JSON（字段名使用 .proto 中的原始名称）
+     * @param {Object} type - protobuf.js Type
+     * @param {Object} obj - toObject 的结果
+     * @returns {*}
+     */
+    function messageToJson(type, obj) {
+        const wellKnown = WELL_KNOWN_TYPES[type.fullName];
+        if (wellKnown) {
+            return wellKnown.toJson(obj, type);
+        }
+
+        const json = {};
+        for (const [key, value] of Object.entries(obj)) {
+            const field = type.fields[key];
+            if (!field) {
+                json[key] = value;
+            } else if (field.map) {
+                json[key] = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, valueToJson(field, v)]));
+            } else if (field.repeated) {
+                json[key] = value.map(item => valueToJson(field, item));
+            } else {
+                json[key] = valueToJson(field, value);
             }
         }
+        return json;
+    }
 
-        return { value: result, bytesRead };
+    /**
+     * 按字段名或 lowerCamelCase 的 JSON 名称查找字段
+     * @param {Object} type
+     * @param {string} key
+     * @returns {Object|undefined}
+     */
+    function findField(type, key) {
+        return type.fields[key] ||
+            type.fieldsArray.find(field => field.name.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase()) === key);
     }
 
-    function zigzagDecode(n) {
-        return (n >> 1n) ^ -(n & 1n);
+    /**
+     * 单个 JSON 值转换为 fromObject 可接受的值
+     * @param {Object} field
+     * @param {*} value
+     * @returns {*}
+     */
+    function valueFromJson(field, value) {
+        if (isType(field.resolvedType)) {
+            return jsonToMessage(field.resolvedType, value);
+        }
+        // fromObject 会静默忽略未知的枚举名称，这里提前报错
+        const values = field.resolvedType?.values;
+        if (values && typeof value === 'string' && !Object.prototype.hasOwnProperty.call(values, value)) {
+            throw new Error(`${field.name}: 未知的枚举值 ${value}`);
+        }
+        return value;
     }
 
-    // 二进制补码解释
-    function interpretAsTwosComplement(n, bits) {
-        const signBit = 1n << BigInt(bits - 1);
-        if ((n & signBit) !== 0n) {
-            return n - (1n << BigInt(bits));
+    /**
+     * JSON 转换为 fromObject 可接受的对象
+     * @param {Object} type - protobuf.js Type
+     * @param {*} json
+     * @returns {Object}
+     */
+    function jsonToMessage(type, json) {
+        const wellKnown = WELL_KNOWN_TYPES[type.fullName];
+        if (wellKnown) {
+            const converted = wellKnown.fromJson(json, type);
+            if (converted !== undefined) {
+                return converted;
+            }
+        }
+
+        const typeName = type.fullName.slice(1);
+        if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+            throw new Error(`${typeName} 应为 JSON 对象`);
         }
-        return n;
+
+        const obj = {};
+        for (const [key, value] of Object.entries(json)) {
+            const field = findField(type, key);
+            if (!field) {
+                throw new Error(`${typeName} 中没有字段 ${key}`);
+            }
+            // null 表示默认值（google.protobuf.Value 除外，null 即 NULL_VALUE）
+            if (value === null && field.resolvedType?.fullName !== '.google.protobuf.Value') {
+                continue;
+            }
+            if (field.map) {
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    throw new Error(`${typeName}.${field.name} 应为 JSON 对象`);
+                }
+                obj[field.name] = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, valueFromJson(field, v)]));
+            } else if (field.repeated) {
+                if (!Array.isArray(value)) {
+                    throw new Error(`${typeName}.${field.name} 应为数组`);
+                }
+                obj[field.name] = value.map(item => valueFromJson(field, item));
+            } else {
+                obj[field.name] = valueFromJson(field, value);
+            }
+        }
+        return obj;
     }
 
     /**
-     * 解析 Protobuf 数据
-     * @param {Uint8Array} data - 原始数据
-     * @param {number} offset - 起始偏移量
-     * @param {number} depth - 当前递归深度
-     * @param {number} maxDepth - 最大递归深度
-     * @returns {{ parts: Array, leftOver: Uint8Array }}
+     * 按 Schema 解码为 JSON（枚举为名称，64 位整数为字符串，bytes 为 Base64，Well-Known Types 使用官方 JSON 格式）
+     * @param {Object} root - loadSchema() 的结果
+     * @param {string} typeName - 消息类型
+     * @param {Uint8Array} data
+     * @returns {Object}
      */
-    function parseProtobuf(data, offset = 0, depth = 0, maxDepth = 10) {
-        const parts = [];
-        let savedOffset = offset;
+    function decodeWithSchema(root, typeName, data) {
+        const type = lookupMessageType(root, typeName);
+        let message;
+        try {
+            message = type.decode(data);
+        } catch (e) {
+            throw new Error(`按 ${typeName} 解码失败: ${e.message}`);
+        }
+        return messageToJson(type, type.toObject(message, TO_OBJECT_OPTIONS));
+    }
 
-        while (offset < data.length && depth < maxDepth) {
+    /**
+     * 按 Schema 将 JSON 编码为二进制（字段名可以是原始名称或 lowerCamelCase）
+     * @param {Object} root - loadSchema() 的结果
+     * @param {string} typeName - 消息类型
+     * @param {string|Object} json
+     * @returns {Uint8Array}
+     */
+    function encodeWithSchema(root, typeName, json) {
+        const type = lookupMessageType(root, typeName);
+        if (typeof json === 'string') {
             try {
-                savedOffset = offset;
-                const startOffset = offset;
-                const tagResult = readVarint(data, offset);
-                const tag = tagResult.value;
-                offset += tagResult.bytesRead;
-
-                const fieldNumber = Number(tag >> 3n);
-                const wireType = Number(tag & 0x7n);
+                json = JSON.parse(json);
+            } catch (e) {
+                throw new Error(`JSON 解析失败: ${e.message}`);
+            }
+        }
+        const message = type.fromObject(jsonToMessage(type, json));
+        return new Uint8Array(type.encode(message).finish());
+    }
 
-                if (fieldNumber === 0) {
-                    break;
+    /**
+     * 查找 Schema 中没有定义的字段（protobuf.js 解码时会直接丢弃这些字段）
+     * @param {Object} root
+     * @param {string} typeName
+     * @param {Uint8Array} data
+     * @returns {string[]} - 字段路径，如 ["5", "profile.9"]
+     */
+    function findUnknownFields(root, typeName, data) {
+        const unknown = new Set();
+        const walk = (type, bytes, path) => {
+            for (const part of parseProtobuf(bytes).parts) {
+                const field = type.fieldsById[part.fieldNumber];
+                if (!field) {
+                    unknown.add(`${path}${part.fieldNumber}`);
+                } else if (part.wireType === 2 && !field.map && isType(field.resolvedType) &&
+                    !WELL_KNOWN_TYPES[field.resolvedType.fullName]) {
+                    walk(field.resolvedType, part.value, `${path}${field.name}.`);
                 }
+            }
+        };
+        walk(lookupMessageType(root, typeName), data, '');
+        return Array.from(unknown);
+    }
 
-                const field = {
-                    fieldNumber,
-                    wireType,
-                    wireTypeName: WIRE_TYPES[wireType] || 'Unknown',
-                    byteRange: [startOffset, 0]
-                };
+    // ========== Schema 推断 ==========
 
-                switch (wireType) {
-                    case 0: // Varint
-                        const varintResult = readVarint(data, offset);
-                        const varintValue = varintResult.value;
-                        field.rawValue = varintValue.toString();
-                        field.value = varintValue;
-                        offset += varintResult.bytesRead;
-                        break;
-
-                    case 1: // 64-bit (fixed64)
-                        if (offset + 8 > data.length) {
-                            throw new Error('数据不完整');
-                        }
-                        field.value = data.slice(offset, offset + 8);
-                        field.rawHex = bytesToHex(field.value, '');
-                        offset += 8;
-                        break;
-
-                    case 2: // Length-delimited
-                        const lengthResult = readVarint(data, offset);
-                        const length = Number(lengthResult.value);
-                        offset += lengthResult.bytesRead;
-
-                        if (offset + length > data.length) {
-                            throw new Error('数据不完整');
-                        }
-
-                        field.value = data.slice(offset, offset + length);
-                        field.length = length;
-                        offset += length;
-                        break;
-
-                    case 5: // 32-bit (fixed32)
-                        if (offset + 4 > data.length) {
-                            throw new Error('数据不完整');
-                        }
-                        field.value = data.slice(offset, offset + 4);
-                        field.rawHex = bytesToHex(field.value, '');
-                        offset += 4;
-                        break;
-
-                    case 3:
-                    case 4:
-                        // deprecated group types
-                        break;
-
-                    default:
-                        throw new Error(`未知的 wire 类型: ${wireType}`);
-                }
-
-                field.byteRange[1] = offset;
-                parts.push(field);
+    const UINT32_MAX = 0xffffffffn;
+    const INT32_MAX = 0x7fffffffn;
+    const INT64_SIGN = 1n << 63n;
+    // 负 int32 按 64 位符号扩展编码（10 字节），值不小于此下限
+    const NEGATIVE_INT32_MIN = (1n << 64n) - (1n << 31n);
+    const MAX_FIELD_NUMBER = 536870911;
+    const IDENTIFIER_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+    const PACKAGE_RE = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+    /**
+     * 是否为完整的嵌套消息（无剩余字节，字段号和 wire 类型都合法）
+     * @param {Uint8Array} data
+     * @returns {boolean}
+     */
+    function isCompleteMessage(data) {
+        const decoded = parseProtobuf(data);
+        return decoded.parts.length > 0 && decoded.leftOver.length === 0 &&
+            decoded.parts.every(part => [0, 1, 2, 5].includes(part.wireType) && part.fieldNumber <= MAX_FIELD_NUMBER);
+    }
 
+    /**
+     * 按 packed 编码读取 varint 序列，不是最短编码或有残缺时返回 null
+     * @param {Uint8Array} data
+     * @returns {bigint[]|null}
+     */
+    function readPackedVarints(data) {
+        const values = [];
+        let offset = 0;
+        while (offset < data.length) {
+            let result;
+            try {
+                result = REOT.protobuf.readVarint(data, offset);
             } catch (e) {
-                offset = savedOffset;
-                break;
+                return null;
             }
+            const last = data[offset + result.bytesRead - 1];
+            if (result.bytesRead > 1 && last === 0) {
+                return null;
+            }
+            values.push(result.value);
+            offset += result.bytesRead;
         }
+        return values;
+    }
 
-        return {
-            parts,
-            leftOver: data.slice(offset)
-        };
+    /**
+     * 按 packed 编码切分定长数值
+     * @param {Uint8Array} data
+     * @param {number} size - 4 或 8
+     * @returns {Uint8Array[]|null}
+     */
+    function readPackedFixed(data, size) {
+        if (data.length % size !== 0) {
+            return null;
+        }
+        const values = [];
+        for (let offset = 0; offset < data.length; offset += size) {
+            values.push(data.slice(offset, offset + size));
+        }
+        return values;
+    }
+
+    /**
+     * 解码为可读文本（合法 UTF-8，且除 \t \n \r 外没有控制字符），否则返回 null
+     * @param {Uint8Array} data
+     * @returns {string|null}
+     */
+    function decodeText(data) {
+        // UTF-8 多字节序列中不会出现 0x00-0x7f，可以直接检查字节
+        if (data.some(byte => (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d) || byte === 0x7f)) {
+            return null;
+        }
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(data);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 是否像 zigzag 编码的有符号数：没有补码形式的负数，数值不全是很小的正数，
+     * 且解码后正负数大致相当（枚举、计数等字段解码后会明显偏向一侧）
+     * @param {bigint[]} values
+     * @returns {boolean}
+     */
+    function isZigzagLikely(values) {
+        const distinct = new Set(values.map(String));
+        if (distinct.size < 3 || values.some(value => value >= INT64_SIGN) ||
+            values.every(value => value < 16n) || !values.some(value => value & 1n) ||
+            !values.some(value => value !== 0n && !(value & 1n))) {
+            return false;
+        }
+        const decoded = values.map(value => Number(REOT.protobuf.zigzagDecode(value)));
+        const mean = decoded.reduce((sum, value) => sum + value, 0) / decoded.length;
+        const meanAbs = decoded.reduce((sum, value) => sum + Math.abs(value), 0) / decoded.length;
+        return Math.abs(mean) <= meanAbs * 0.75;
+    }
+
+    /**
+     * 推断 varint 字段的类型
+     * @param {bigint[]} values
+     * @returns {{type: string, example: string, note?: string}}
+     */
+    function inferVarintType(values) {
+        const first = values[0];
+        if (values.some(value => value >= INT64_SIGN)) {
+            const int32 = values.every(value => value < INT64_SIGN ? value <= INT32_MAX : value >= NEGATIVE_INT32_MIN);
+            return int32
+                ? { type: 'int32', example: BigInt.asIntN(32, first).toString() }
+                : { type: 'int64', example: BigInt.asIntN(64, first).toString() };
+        }
+        if (isZigzagLikely(values)) {
+            const decoded = values.map(REOT.protobuf.zigzagDecode);
+            const sint32 = decoded.every(value => value >= -(INT32_MAX + 1n) && value <= INT32_MAX);
+            return {
+                type: sint32 ? 'sint32' : 'sint64',
+                example: REOT.protobuf.zigzagDecode(first).toString(),
+                note: REOT.i18n.t('tools.protobuf.zigzagLikely', '数值分布像 zigzag 编码，也可能是 int32/uint32')
+            };
+        }
+        if (values.every(value => value <= 1n)) {
+            return { type: 'bool', example: String(first === 1n) };
+        }
+        if (values.every(value => value <= INT32_MAX)) {
+            return { type: 'int32', example: first.toString() };
+        }
+        return { type: values.every(value => value <= UINT32_MAX) ? 'uint32' : 'int64', example: first.toString() };
+    }
+
+    /**
+     * 推断定长字段的类型：数值看起来像正常的浮点数时为 float/double，否则为整数
+     * @param {Uint8Array[]} values
+     * @param {number} size - 4 或 8
+     * @returns {{type: string, example: string}}
+     */
+    function inferFixedType(values, size) {
+        const views = values.map(value => new DataView(new Uint8Array(value).buffer));
+        const floats = views.map(view => size === 4 ? view.getFloat32(0, true) : view.getFloat64(0, true));
+        const [min, max] = size === 4 ? [1e-6, 1e9] : [1e-9, 1e15];
+        if (floats.every(value => value === 0 || (Math.abs(value) >= min && Math.abs(value) <= max))) {
+            return { type: size === 4 ? 'float' : 'double', example: String(floats[0]) };
+        }
+        const ints = views.map(view => size === 4 ? BigInt(view.getInt32(0, true)) : view.getBigInt64(0, true));
+        const limit = size === 4 ? -(1n << 24n) : -(1n << 48n);
+        if (ints.some(value => value < 0n) && ints.every(value => value >= limit)) {
+            return { type: size === 4 ? 'sfixed32' : 'sfixed64', example: ints[0].toString() };
+        }
+        const unsigned = views.map(view => size === 4 ? view.getUint32(0, true) : view.getBigUint64(0, true));
+        return { type: size === 4 ? 'fixed32' : 'fixed64', example: unsigned[0].toString() };
     }
 
     /**
-     * 解码 varint 的多种可能解释
-     * @param {bigint} value - varint 原始值
-     * @returns {Array<{type: string, value: string}>}
+     * 推断标量字段的类型
+     * @param {number} wireType - 0、1 或 5
+     * @param {Array<bigint|Uint8Array>} values
+     * @returns {{type: string, example: string, note?: string}}
      */
-    function decodeVarintParts(value) {
-        const result = [];
-        const uintVal = value;
-        result.push({ type: 'uint', value: uintVal.toString() });
+    function inferScalarType(wireType, values) {
+        if (wireType === 0) {
+            return inferVarintType(values);
+        }
+        return inferFixedType(values, wireType === 1 ? 8 : 4);
+    }
 
-        // 尝试不同位宽的二进制补码解释
-        for (const bits of [8, 16, 32, 64]) {
-            const intVal = interpretAsTwosComplement(uintVal, bits);
-            if (intVal.toString() !== uintVal.toString()) {
-                result.push({ type: `int${bits}`, value: intVal.toString() });
+    /**
+     * 按 packed 编码展开 length-delimited 的值，任一值无法展开时返回 null
+     * @param {Uint8Array[]} payloads
+     * @param {number} wireType - 元素的 wire 类型
+     * @returns {Array<bigint|Uint8Array>|null}
+     */
+    function unpackValues(payloads, wireType) {
+        const values = [];
+        for (const payload of payloads) {
+            const unpacked = wireType === 0 ? readPackedVarints(payload) : readPackedFixed(payload, wireType === 1 ? 8 : 4);
+            if (!unpacked) {
+                return null;
             }
+            values.push(...unpacked);
         }
+        return values;
+    }
+
+    /**
+     * 推断 length-delimited 字段：依次尝试字符串、嵌套消息、packed varint，都不符合时为 bytes
+     * @param {number} number - 字段号
+     * @param {Uint8Array[]} payloads
+     * @param {number} depth
+     * @returns {{type: string, example?: string, message?: Object, packed?: boolean}}
+     */
+    function inferLengthDelimited(number, payloads, depth) {
+        const values = payloads.filter(payload => payload.length > 0);
+        if (values.length === 0) {
+            return { type: 'string', example: '""' };
+        }
+
+        const texts = values.map(decodeText);
+        const messages = depth < 10 && values.every(isCompleteMessage);
+        // 以换行、制表符开头的"文本"通常是嵌套消息的 tag（如 0x0a = 字段 1）
+        const textLikely = texts.every(text => text !== null) &&
+            !(messages && texts.some(text => /^[\t\n\r]/.test(text)));
+
+        if (textLikely) {
+            const text = texts[0];
+            return { type: 'string', example: JSON.stringify(text.length > 32 ? `${text.slice(0, 32)}…` : text) };
+        }
+        if (messages) {
+            return { type: `Field${number}`, message: inferMessage(payloads, `Field${number}`, depth + 1) };
+        }
+        const varints = unpackValues(values, 0);
+        if (varints) {
+            return { ...inferVarintType(varints), packed: true };
+        }
+        const hex = REOT.bytes.toHex(values[0].slice(0, 16), { separator: ' ' });
+        return { type: 'bytes', example: values[0].length > 16 ? `${hex} …` : hex };
+    }
+
+    /**
+     * 合并同一字段号的所有出现并推断类型
+     * @param {number} number
+     * @param {{parts: Array, maxCount: number}} entry
+     * @param {number} depth
+     * @returns {Object} - 字段描述
+     */
+    function inferField(number, entry, depth) {
+        const field = { number, name: `field_${number}`, repeated: entry.maxCount > 1 };
+        const byWire = new Map();
+        entry.parts.forEach(part => {
+            if (!byWire.has(part.wireType)) {
+                byWire.set(part.wireType, []);
+            }
+            byWire.get(part.wireType).push(part.value);
+        });
+
+        const payloads = byWire.get(2) || [];
+        const scalarWires = [...byWire.keys()].filter(wireType => wireType !== 2);
+
+        // 同时以标量和 length-delimited 出现：同一个 repeated 字段的非 packed 与 packed 编码
+        if (payloads.length > 0 && scalarWires.length === 1) {
+            const unpacked = unpackValues(payloads, scalarWires[0]);
+            if (unpacked) {
+                const values = byWire.get(scalarWires[0]).concat(unpacked);
+                return { ...field, ...inferScalarType(scalarWires[0], values), repeated: true, packed: true };
+            }
+        }
+
+        let wireType = [...byWire.keys()][0];
+        if (byWire.size > 1) {
+            wireType = [...byWire.keys()].reduce((best, wire) => byWire.get(wire).length > byWire.get(best).length ? wire : best);
+            field.note = REOT.i18n.t('tools.protobuf.mixedWireTypes', '样本中出现了多种 wire 类型，按出现最多的推断');
+        }
+
+        if (wireType === 2) {
+            const result = inferLengthDelimited(number, byWire.get(2), depth);
+            if (result.packed) {
+                field.repeated = true;
+            }
+            return { ...result, ...field };
+        }
+
+        const result = inferScalarType(wireType, byWire.get(wireType));
+        // proto3 的 repeated 数值字段默认 packed，样本中是逐个编码的
+        if (field.repeated) {
+            field.packed = false;
+        }
+        return { ...result, ...field, note: field.note || result.note };
+    }
+
+    /**
+     * 合并多个同类型消息样本，推断消息结构
+     * @param {Uint8Array[]} payloads
+     * @param {string} name
+     * @param {number} depth
+     * @returns {{name: string, fields: Array}}
+     */
+    function inferMessage(payloads, name, depth) {
+        const entries = new Map();
+        payloads.forEach(payload => {
+            const counts = new Map();
+            for (const part of parseProtobuf(payload).parts) {
+                if (![0, 1, 2, 5].includes(part.wireType)) {
+                    continue;
+                }
+                if (!entries.has(part.fieldNumber)) {
+                    entries.set(part.fieldNumber, { parts: [], maxCount: 0 });
+                }
+                entries.get(part.fieldNumber).parts.push(part);
+                counts.set(part.fieldNumber, (counts.get(part.fieldNumber) || 0) + 1);
+            }
+            counts.forEach((count, number) => {
+                const entry = entries.get(number);
+                entry.maxCount = Math.max(entry.maxCount, count);
+            });
+        });
 
-        // sint (zigzag 解码)
-        const sintVal = zigzagDecode(uintVal);
-        if (sintVal.toString() !== uintVal.toString()) {
-            result.push({ type: 'sint', value: sintVal.toString() });
+        const fields = [...entries.keys()]
+            .sort((a, b) => a - b)
+            .map(number => inferField(number, entries.get(number), depth));
+        return { name, fields };
+    }
+
+    /**
+     * 从同一消息类型的多个样本推断 Schema
+     * 字段名为 field_<字段号>，嵌套消息为 Field<字段号>；字符串/bytes/嵌套消息、packed 和 sint 均为启发式判断
+     * @param {Uint8Array[]} samples
+     * @param {Object} [options]
+     * @param {string} [options.messageName='Message']
+     * @returns {{name: string, fields: Array, samples: number}}
+     */
+    function inferSchema(samples, options = {}) {
+        const name = options.messageName || 'Message';
+        if (!IDENTIFIER_RE.test(name)) {
+            throw new Error(`无效的消息名: ${name}`);
+        }
+        if (!Array.isArray(samples) || samples.length === 0) {
+            throw new Error('请至少提供一个样本');
+        }
+        const message = inferMessage(samples, name, 0);
+        if (message.fields.length === 0) {
+            throw new Error('样本中没有可解析的字段');
         }
+        return { ...message, samples: samples.length };
+    }
 
-        return result;
+    /**
+     * 输出消息定义，嵌套消息定义在父消息内部
+     * @param {{name: string, fields: Array}} message
+     * @param {string} indent
+     * @returns {string[]}
+     */
+    function messageToProto(message, indent) {
+        const inner = `${indent}    `;
+        const lines = [`${indent}message ${message.name} {`];
+        message.fields.forEach(field => {
+            let line = `${inner}${field.repeated ? 'repeated ' : ''}${field.type} ${field.name} = ${field.number}`;
+            if (field.packed === false) {
+                line += ' [packed = false]';
+            }
+            line += ';';
+            const comments = [];
+            if (field.example !== undefined) {
+                comments.push(`${REOT.i18n.t('tools.protobuf.example', '例')}: ${field.example}`);
+            }
+            if (field.note) {
+                comments.push(field.note);
+            }
+            if (comments.length > 0) {
+                line += ` // ${comments.join('; ')}`;
+            }
+            lines.push(line);
+        });
+        message.fields.filter(field => field.message).forEach(field => {
+            lines.push('', ...messageToProto(field.message, inner));
+        });
+        lines.push(`${indent}}`);
+        return lines;
     }
 
     /**
-     * 解码 fixed32 的多种可能解释
-     * @param {Uint8Array} value - 4 字节数据
-     * @returns {Array<{type: string, value: string}>}
+     * 将 inferSchema() 的结果输出为 .proto 定义
+     * @param {{name: string, fields: Array, samples?: number}} schema
+     * @param {Object} [options]
+     * @param {string} [options.packageName]
+     * @returns {string}
      */
-    function decodeFixed32(value) {
-        const view = new DataView(new Uint8Array(value).buffer);
-        const intValue = view.getInt32(0, true);
-        const uintValue = view.getUint32(0, true);
-        const floatValue = view.getFloat32(0, true);
+    function generateProto(schema, options = {}) {
+        const packageName = options.packageName || '';
+        if (packageName && !PACKAGE_RE.test(packageName)) {
+            throw new Error(`无效的包名: ${packageName}`);
+        }
+        const header = REOT.i18n.t('tools.protobuf.inferredHeader', '由 {count} 个样本推断，字段名和类型需要人工确认', { count: schema.samples || 1 });
+        const lines = [`// ${header}`, 'syntax = "proto3";', ''];
+        if (packageName) {
+            lines.push(`package ${packageName};`, '');
+        }
+        lines.push(...messageToProto(schema, ''));
+        return lines.join('\n') + '\n';
+    }
 
-        const result = [];
-        result.push({ type: 'int', value: intValue.toString() });
-        if (intValue !== uintValue) {
-            result.push({ type: 'uint', value: uintValue.toString() });
+    // ========== gRPC 帧 ==========
+
+    // 帧头：1 字节标志 + 4 字节大端长度
+    const GRPC_HEADER_SIZE = 5;
+    const GRPC_FLAG_COMPRESSED = 0x01;
+    // gRPC-Web 用最高位标记 trailer 帧
+    const GRPC_FLAG_TRAILER = 0x80;
+
+    const GRPC_STATUS_NAMES = [
+        'OK', 'CANCELLED', 'UNKNOWN', 'INVALID_ARGUMENT', 'DEADLINE_EXCEEDED', 'NOT_FOUND', 'ALREADY_EXISTS',
+        'PERMISSION_DENIED', 'RESOURCE_EXHAUSTED', 'FAILED_PRECONDITION', 'ABORTED', 'OUT_OF_RANGE',
+        'UNIMPLEMENTED', 'INTERNAL', 'UNAVAILABLE', 'DATA_LOSS', 'UNAUTHENTICATED'
+    ];
+
+    /**
+     * 拆分 gRPC / gRPC-Web 帧，末尾不完整的帧放入 leftOver
+     * @param {Uint8Array} data
+     * @returns {{frames: Array<{offset: number, flags: number, compressed: boolean, trailer: boolean, payload: Uint8Array}>, leftOver: Uint8Array}}
+     */
+    function parseGrpcFrames(data) {
+        const frames = [];
+        let offset = 0;
+        while (offset < data.length) {
+            let problem = null;
+            const flags = data[offset];
+            if (data.length - offset < GRPC_HEADER_SIZE) {
+                problem = `帧头不完整，只剩 ${data.length - offset} 字节`;
+            } else if ((flags & ~(GRPC_FLAG_COMPRESSED | GRPC_FLAG_TRAILER)) !== 0) {
+                problem = `无效的帧标志 0x${flags.toString(16).padStart(2, '0')}`;
+            }
+            const length = problem ? 0 : new DataView(data.buffer, data.byteOffset + offset + 1, 4).getUint32(0);
+            if (!problem && offset + GRPC_HEADER_SIZE + length > data.length) {
+                problem = `帧声明长度为 ${length} 字节，只剩 ${data.length - offset - GRPC_HEADER_SIZE} 字节`;
+            }
+            if (problem) {
+                if (frames.length === 0) {
+                    throw new Error(`不是有效的 gRPC 帧: ${problem}`);
+                }
+                break;
+            }
+
+            frames.push({
+                offset,
+                flags,
+                compressed: (flags & GRPC_FLAG_COMPRESSED) !== 0,
+                trailer: (flags & GRPC_FLAG_TRAILER) !== 0,
+                payload: data.slice(offset + GRPC_HEADER_SIZE, offset + GRPC_HEADER_SIZE + length)
+            });
+            offset += GRPC_HEADER_SIZE + length;
         }
-        result.push({ type: 'float', value: floatValue.toString() });
+        return { frames, leftOver: data.slice(offset) };
+    }
 
-        return result;
+    /**
+     * 解析 gRPC-Web trailer 帧（HTTP/1 头部格式），grpc-message 按百分号编码解码
+     * @param {Uint8Array} payload
+     * @returns {Object<string, string>}
+     */
+    function parseGrpcTrailers(payload) {
+        const trailers = {};
+        new TextDecoder().decode(payload).split(/\r?\n/).forEach(line => {
+            const index = line.indexOf(':');
+            if (index <= 0) {
+                return;
+            }
+            const name = line.slice(0, index).trim().toLowerCase();
+            let value = line.slice(index + 1).trim();
+            if (name === 'grpc-message') {
+                try {
+                    value = decodeURIComponent(value);
+                } catch (e) {
+                    // 保留原始值
+                }
+            }
+            trailers[name] = value;
+        });
+        return trailers;
     }
 
     /**
-     * 解码 fixed64 的多种可能解释
-     * @param {Uint8Array} value - 8 字节数据
-     * @returns {Array<{type: string, value: string}>}
+     * grpc-status 的名称，如 "5 (NOT_FOUND)"
+     * @param {string|number} status
+     * @returns {string}
      */
-    function decodeFixed64(value) {
-        const view = new DataView(new Uint8Array(value).buffer);
-        const uintValue = view.getBigUint64(0, true);
-        const intValue = view.getBigInt64(0, true);
-        const doubleValue = view.getFloat64(0, true);
-
-        const result = [];
-        result.push({ type: 'int', value: intValue.toString() });
-        if (intValue.toString() !== uintValue.toString()) {
-            result.push({ type: 'uint', value: uintValue.toString() });
-        }
-        result.push({ type: 'double', value: doubleValue.toString() });
-
-        return result;
+    function describeGrpcStatus(status) {
+        const name = GRPC_STATUS_NAMES[Number(status)];
+        return name ? `${status} (${name})` : String(status);
     }
 
     /**
-     * 解码 length-delimited 为字符串或字节
-     * @param {Uint8Array} value - 字节数据
-     * @returns {{type: string, value: string}}
+     * 解压压缩标志为 1 的消息：按内容识别 gzip、zlib（grpc-encoding: deflate）和原始 deflate
+     * @param {Uint8Array} payload
+     * @returns {Promise<{data: Uint8Array, encoding: string}>}
      */
-    function decodeStringOrBytes(value) {
-        if (!value || value.length === 0) {
-            return { type: 'string|bytes', value: '' };
+    async function decompressGrpcMessage(payload) {
+        const pako = await REOT.loader.load('pako');
+        if (payload[0] === 0x1f && payload[1] === 0x8b) {
+            return { data: pako.ungzip(payload), encoding: 'gzip' };
+        }
+        if ((payload[0] & 0x0f) === 8 && ((payload[0] << 8) | payload[1]) % 31 === 0) {
+            return { data: pako.inflate(payload), encoding: 'deflate' };
         }
         try {
-            const str = new TextDecoder('utf-8', { fatal: true }).decode(value);
-            return { type: 'string', value: str };
+            return { data: pako.inflateRaw(payload), encoding: 'deflate (raw)' };
         } catch (e) {
-            return { type: 'bytes', value: bytesToHex(value, ' ') };
+            throw new Error('无法解压消息，仅支持 gzip 和 deflate 编码');
         }
     }
 
     /**
-     * 获取字段的解析内容和子类型
-     * @param {Object} part - 解析后的字段
-     * @returns {{content: any, subType: string|null, nested: Object|null}}
+     * 解码 gRPC-Web text（application/grpc-web-text）响应体：
+     * 流式响应由多段各自补齐的 Base64 拼接而成，需要逐段解码
+     * @param {string} text
+     * @returns {Uint8Array}
      */
-    function getPartContent(part) {
-        switch (part.wireType) {
-            case 0: // Varint
-                return {
-                    interpretations: decodeVarintParts(part.value),
-                    subType: null,
-                    nested: null
-                };
+    function decodeGrpcWebText(text) {
+        const segments = text.replace(/\s/g, '').match(/[^=]+=*/g) || [];
+        return REOT.bytes.concat(segments.map(segment => REOT.bytes.fromBase64(segment)));
+    }
 
-            case 1: // 64-bit
-                return {
-                    interpretations: decodeFixed64(part.value),
-                    subType: null,
-                    nested: null
-                };
+    /**
+     * 解析 gRPC 输入：多段 Base64 按 gRPC-Web text 处理，其余按常规格式自动检测
+     * @param {string} input
+     * @returns {Uint8Array}
+     */
+    function readGrpcInput(input) {
+        const text = input.replace(/\s/g, '');
+        if (/^[A-Za-z0-9+/=]+$/.test(text) && /=[A-Za-z0-9+/]/.test(text)) {
+            return decodeGrpcWebText(text);
+        }
+        return detectAndConvert(input);
+    }
 
-            case 2: // Length-delimited
-                // 首先尝试解析为嵌套 protobuf
-                if (part.value.length > 0) {
-                    const decoded = parseProtobuf(part.value, 0, 0, 10);
-                    if (decoded.parts.length > 0 && decoded.leftOver.length === 0) {
-                        return {
-                            interpretations: null,
-                            subType: 'protobuf',
-                            nested: decoded
-                        };
-                    }
+    /**
+     * 解码 gRPC / gRPC-Web 流：拆分帧、解压消息并解析 trailer
+     * @param {Uint8Array} data
+     * @returns {Promise<{messages: Array<{index: number, offset: number, length: number, encoding: string|null, data: Uint8Array}>, trailers: Object|null, leftOver: Uint8Array}>}
+     */
+    async function decodeGrpcStream(data) {
+        const { frames, leftOver } = parseGrpcFrames(data);
+        const messages = [];
+        let trailers = null;
+
+        for (const frame of frames) {
+            if (frame.trailer) {
+                trailers = Object.assign(trailers || {}, parseGrpcTrailers(frame.payload));
+                continue;
+            }
+            const message = {
+                index: messages.length + 1,
+                offset: frame.offset,
+                length: frame.payload.length,
+                encoding: null,
+                data: frame.payload
+            };
+            if (frame.compressed) {
+                try {
+                    Object.assign(message, await decompressGrpcMessage(frame.payload));
+                } catch (error) {
+                    throw new Error(`第 ${message.index} 条消息: ${error.message}`);
                 }
-                // 否则作为字符串或字节解释
-                const strOrBytes = decodeStringOrBytes(part.value);
-                return {
-                    interpretations: [strOrBytes],
-                    subType: strOrBytes.type,
-                    nested: null
-                };
-
-            case 5: // 32-bit
-                return {
-                    interpretations: decodeFixed32(part.value),
-                    subType: null,
-                    nested: null
-                };
-
-            default:
-                return {
-                    interpretations: [{ type: 'unknown', value: 'Unknown type' }],
-                    subType: null,
-                    nested: null
-                };
+            }
+            messages.push(message);
         }
+        return { messages, trailers, leftOver };
     }
 
     /**
-     * 将 wire 类型转换为可读字符串
-     * @param {number} wireType - wire 类型
-     * @param {string|null} subType - 子类型
-     * @returns {string}
+     * 将多条消息编码为未压缩的 gRPC 帧
+     * @param {Uint8Array[]} messages
+     * @returns {Uint8Array}
      */
-    function wireTypeToString(wireType, subType) {
-        switch (wireType) {
-            case 0: return 'varint';
-            case 1: return 'fixed64';
-            case 2: return subType || 'len_delim';
-            case 5: return 'fixed32';
-            default: return 'unknown';
-        }
+    function encodeGrpcFrames(messages) {
+        return REOT.bytes.concat(messages.map(message => {
+            const frame = new Uint8Array(GRPC_HEADER_SIZE + message.length);
+            new DataView(frame.buffer).setUint32(1, message.length);
+            frame.set(message, GRPC_HEADER_SIZE);
+            return frame;
+        }));
     }
 
     // ========== 渲染函数 ==========
@@ -392,24 +1150,53 @@
         return div.innerHTML;
     }
 
+    /**
+     * 查找字段在 Schema 中的定义
+     * @param {Object|null} type - 当前消息类型
+     * @param {Object} part - 解析后的字段
+     * @returns {{field: Object|null, nestedType: Object|null}}
+     */
+    function getSchemaField(type, part) {
+        const field = type ? type.fieldsById[part.fieldNumber] || null : null;
+        const nestedType = field && !field.map && isType(field.resolvedType) ? field.resolvedType : null;
+        return { field, nestedType };
+    }
+
+    /**
+     * Schema 中的字段类型描述，如 repeated int32、map<string, Address>
+     * @param {Object} field
+     * @returns {string}
+     */
+    function describeFieldType(field) {
+        if (field.map) {
+            return `map<${field.keyType}, ${field.type}>`;
+        }
+        return field.repeated ? `repeated ${field.type}` : field.type;
+    }
+
     /**
      * 渲染树形视图 (使用新数据结构)
      * @param {{ parts: Array, leftOver: Uint8Array }} decoded - 解析结果
      * @param {number} depth - 当前深度
+     * @param {Object|null} type - Schema 中的消息类型
      * @returns {string} HTML
      */
-    function renderTreeView(decoded, depth = 0) {
+    function renderTreeView(decoded, depth = 0, type = null) {
         const parts = decoded.parts || decoded;
         let html = '<ul class="protobuf-tree">';
 
         for (const part of parts) {
-            const content = getPartContent(part);
-            const typeStr = wireTypeToString(part.wireType, content.subType);
+            const { field, nestedType } = getSchemaField(type, part);
+            const content = getPartContent(part, field);
+            const typeStr = field ? describeFieldType(field) : wireTypeToString(part.wireType, content.subType);
 
             html += '<li class="protobuf-field">';
             html += `<div class="field-header">`;
             html += `<span class="field-number">Field ${part.fieldNumber}</span>`;
-            html += `<span class="wire-type">${typeStr}</span>`;
+            if (field) {
+                html += `<span class="field-name">${escapeHtml(field.name)}</span>`;
+            }
+            html += `<span class="wire-type">${escapeHtml(typeStr)}</span>`;
 
             // 显示主要值
             if (content.nested) {
@@ -437,7 +1224,7 @@
 
             // 嵌套消息
             if (content.nested) {
-                html += renderTreeView(content.nested, depth + 1);
+                html += renderTreeView(content.nested, depth + 1, nestedType);
             }
 
             html += '</li>';
@@ -450,22 +1237,24 @@
     /**
      * 构建表格行数据 (使用新数据结构，匹配参考实现)
      * @param {{ parts: Array, leftOver: Uint8Array }} decoded - 解析结果
+     * @param {Object|null} type - Schema 中的消息类型
      * @returns {Array} 表格行数组
      */
-    function buildTableRows(decoded) {
+    function buildTableRows(decoded, type = null) {
         const rows = [];
         const parts = decoded.parts || decoded;
 
         for (const part of parts) {
-            const content = getPartContent(part);
-            const typeStr = wireTypeToString(part.wireType, content.subType);
+            const { field, nestedType } = getSchemaField(type, part);
+            const content = getPartContent(part, field);
+            const typeStr = field ? describeFieldType(field) : wireTypeToString(part.wireType, content.subType);
 
             // 构建内容显示
             let contentHtml = '';
 
             if (content.nested) {
                 // 嵌套 protobuf，递归渲染为嵌套表格
-                contentHtml = renderNestedTable(content.nested);
+                contentHtml = renderNestedTable(content.nested, nestedType);
             } else if (content.interpretations) {
                 // 显示解释 - 使用统一的样式结构
                 contentHtml = '<div class="interp-list">';
@@ -490,8 +1279,8 @@
 
             rows.push({
                 byteRange: `${part.byteRange[0]}-${part.byteRange[1]}`,
-                field: part.fieldNumber,
-                wireType: typeStr,
+                field: field ? `${part.fieldNumber} <span class="field-name">${escapeHtml(field.name)}</span>` : part.fieldNumber,
+                wireType: escapeHtml(typeStr),
                 content: contentHtml,
                 hasNested: !!content.nested
             });
@@ -503,9 +1292,10 @@
     /**
      * 渲染嵌套表格
      * @param {{ parts: Array, leftOver: Uint8Array }} decoded - 解析结果
+     * @param {Object|null} type - Schema 中的消息类型
      * @returns {string} HTML
      */
-    function renderNestedTable(decoded) {
+    function renderNestedTable(decoded, type = null) {
         let html = `<table class="nested-protobuf-table">
             <thead>
                 <tr>
@@ -517,7 +1307,7 @@
             </thead>
             <tbody>`;
 
-        const rows = buildTableRows(decoded);
+        const rows = buildTableRows(decoded, type);
         for (const row of rows) {
             html += `<tr>
                 <td class="byte-range">${row.byteRange}</td>
@@ -534,9 +1324,10 @@
     /**
      * 渲染完整表格 HTML
      * @param {{ parts: Array, leftOver: Uint8Array }} decoded - 解析结果
+     * @param {Object|null} type - Schema 中的消息类型
      * @returns {string} HTML
      */
-    function renderTableHtml(decoded) {
+    function renderTableHtml(decoded, type = null) {
         let html = `<div class="table-container">
             <table class="protobuf-table">
                 <thead>
@@ -549,7 +1340,7 @@
                 </thead>
                 <tbody>`;
 
-        const rows = buildTableRows(decoded);
+        const rows = buildTableRows(decoded, type);
         for (const row of rows) {
             const rowClass = row.hasNested ? 'row-nested' : '';
             html += `<tr class="${rowClass}">
@@ -570,55 +1361,7 @@
      * @returns {Object}
      */
     function fieldsToJson(decoded) {
-        const result = {};
-        const parts = decoded.parts || decoded;
-
-        for (const part of parts) {
-            const key = `field_${part.fieldNumber}`;
-            let value;
-
-            const content = getPartContent(part);
-
-            if (content.nested) {
-                value = fieldsToJson(content.nested);
-            } else if (content.interpretations && content.interpretations.length > 0) {
-                const interps = content.interpretations;
-                const stringInterp = interps.find(i => i.type === 'string');
-                const numInterp = interps.find(i => ['uint', 'int', 'int8', 'int16', 'int32', 'int64'].includes(i.type));
-                const floatInterp = interps.find(i => ['float', 'double'].includes(i.type));
-
-                if (stringInterp) {
-                    value = stringInterp.value;
-                } else if (numInterp) {
-                    const numStr = numInterp.value;
-                    try {
-                        const num = BigInt(numStr);
-                        value = num <= Number.MAX_SAFE_INTEGER && num >= Number.MIN_SAFE_INTEGER
-                            ? Number(num) : numStr;
-                    } catch {
-                        value = numStr;
-                    }
-                } else if (floatInterp) {
-                    value = parseFloat(floatInterp.value);
-                } else {
-                    value = interps[0].value;
-                }
-            } else {
-                value = null;
-            }
-
-            // 处理重复字段
-            if (result[key] !== undefined) {
-                if (!Array.isArray(result[key])) {
-                    result[key] = [result[key]];
-                }
-                result[key].push(value);
-            } else {
-                result[key] = value;
-            }
-        }
-
-        return result;
+        return REOT.protobuf.toJson(decoded);
     }
 
     function renderJsonView(fields) {
@@ -628,8 +1371,10 @@
 
     /**
      * 初始化或更新 JSON 编辑器
+     * @param {string} jsonStr
+     * @param {boolean} [editable=false] - 按 Schema 解码时可编辑后重新编码
      */
-    async function initJsonEditor(jsonStr) {
+    async function initJsonEditor(jsonStr, editable = false) {
         const container = document.getElementById('json-editor-container');
         if (!container) {
             console.warn('JSON editor container not found');
@@ -649,7 +1394,7 @@
         if (!REOT.CodeEditor) {
             console.log('CodeEditor not available, using fallback');
             // 回退到普通的 pre/code 显示
-            container.innerHTML = `<pre class="json-output"><code>${escapeHtml(jsonStr)}</code></pre>`;
+            renderJsonFallback(container, jsonStr, editable);
             return;
         }
 
@@ -659,7 +1404,7 @@
             jsonEditor = await REOT.CodeEditor.create(container, {
                 language: 'json',
                 value: jsonStr,
-                readOnly: true,
+                readOnly: !editable,
                 theme: theme,
                 lineNumbers: true,
                 foldGutter: true
@@ -674,10 +1419,56 @@
         } catch (error) {
             console.error('Failed to initialize JSON editor:', error);
             // 回退到普通显示
+            renderJsonFallback(container, jsonStr, editable);
+        }
+    }
+
+    /**
+     * 编辑器不可用时的 JSON 显示（可编辑时使用文本框）
+     * @param {HTMLElement} container
+     * @param {string} jsonStr
+     * @param {boolean} editable
+     */
+    function renderJsonFallback(container, jsonStr, editable) {
+        if (editable) {
+            container.innerHTML = '<textarea id="json-edit" class="form-input form-textarea form-textarea--code json-edit"></textarea>';
+            container.querySelector('textarea').value = jsonStr;
+        } else {
             container.innerHTML = `<pre class="json-output"><code>${escapeHtml(jsonStr)}</code></pre>`;
         }
     }
 
+    /**
+     * 当前 JSON 视图中的文本（按 Schema 解码时可能已被编辑）
+     * @returns {string}
+     */
+    function getJsonText() {
+        if (currentView === 'json') {
+            if (jsonEditor) {
+                return jsonEditor.getValue();
+            }
+            const textarea = document.getElementById('json-edit');
+            if (textarea) {
+                return textarea.value;
+            }
+        }
+        return JSON.stringify(getCurrentJson(), null, 2);
+    }
+
+    /**
+     * 当前解码结果的 JSON（gRPC 模式下为消息数组）
+     * @returns {Object|Array}
+     */
+    function getCurrentJson() {
+        if (currentSchemaJson !== null) {
+            return currentSchemaJson;
+        }
+        if (currentGrpc) {
+            return currentGrpc.messages.map(message => message.json ?? fieldsToJson(message.decoded));
+        }
+        return fieldsToJson(currentFields);
+    }
+
     /**
      * 销毁 JSON 编辑器
      */
@@ -698,7 +1489,7 @@
         const output = document.getElementById('output');
         const outputActions = document.getElementById('output-actions');
 
-        if (!decoded || !decoded.parts || decoded.parts.length === 0) {
+        if (!currentGrpc && (!decoded || !decoded.parts || decoded.parts.length === 0)) {
             output.innerHTML = '<div class="error-state">未能解析出任何字段，请检查数据格式</div>';
             outputActions?.classList.add('hidden');
             output?.classList.remove('json-view-active');
@@ -714,30 +1505,90 @@
             output?.classList.add('json-view-active');
         }
 
-        let html = '';
-
-        switch (view) {
-            case 'tree':
-                html = renderTreeView(decoded);
-                break;
-            case 'table':
-                html = renderTableHtml(decoded);
-                break;
-            case 'json':
-                html = renderJsonView(decoded);
-                break;
+        let html = view === 'json' ? renderJsonView(decoded) : '';
+        if (currentGrpc) {
+            if (view !== 'json') {
+                html = currentGrpc.messages.map(message => renderGrpcMessage(message, view)).join('');
+            }
+            html += renderGrpcTrailers(currentGrpc.trailers);
+        } else if (view !== 'json') {
+            html = renderFieldsView(decoded, view);
         }
 
         // 一次性设置 HTML，包括 info
         output.innerHTML = infoHtml + html;
         outputActions?.classList.remove('hidden');
+        document.getElementById('encode-btn')?.classList.toggle('hidden', currentSchemaJson === null);
 
-        // 如果是 JSON 视图，初始化编辑器
+        // 如果是 JSON 视图，初始化编辑器（按 Schema 解码时显示命名字段并可编辑）
         if (view === 'json') {
-            const json = fieldsToJson(decoded);
-            const jsonStr = JSON.stringify(json, null, 2);
-            await initJsonEditor(jsonStr);
+            const jsonStr = JSON.stringify(getCurrentJson(), null, 2);
+            await initJsonEditor(jsonStr, currentSchemaJson !== null);
+        }
+    }
+
+    /**
+     * 树形 / 表格视图
+     * @param {{ parts: Array, leftOver: Uint8Array }} decoded
+     * @param {string} view - tree 或 table
+     * @returns {string}
+     */
+    function renderFieldsView(decoded, view) {
+        return view === 'tree' ? renderTreeView(decoded, 0, currentType) : renderTableHtml(decoded, currentType);
+    }
+
+    /**
+     * 渲染 gRPC 流中的一条消息
+     * @param {Object} message - decodeGrpcStream() 的消息，附带解析结果
+     * @param {string} view
+     * @returns {string}
+     */
+    function renderGrpcMessage(message, view) {
+        const details = [`${message.length} 字节`];
+        if (message.encoding) {
+            details.push(`${message.encoding} ${REOT.i18n.t('tools.protobuf.compressed', '压缩')} → ${message.data.length} 字节`);
+        }
+        if (message.decoded.leftOver.length > 0) {
+            details.push(`剩余 ${message.decoded.leftOver.length} 字节未解析`);
+        }
+        if (message.error) {
+            details.push(message.error);
+        } else if (message.unknown?.length > 0) {
+            details.push(`${REOT.i18n.t('tools.protobuf.unknownFields', 'Schema 中未定义的字段')}: ${message.unknown.join(', ')}`);
+        }
+
+        const body = message.decoded.parts.length > 0
+            ? renderFieldsView(message.decoded, view)
+            : `<div class="empty-state">${REOT.i18n.t('tools.protobuf.emptyMessage', '空消息')}</div>`;
+        return `<div class="grpc-message">
+            <div class="grpc-message-header">
+                <strong>${REOT.i18n.t('tools.protobuf.message', '消息')} #${message.index}</strong>
+                <span>${escapeHtml(details.join(' · '))}</span>
+            </div>
+            ${body}
+        </div>`;
+    }
+
+    /**
+     * 渲染 gRPC-Web trailer 帧
+     * @param {Object|null} trailers
+     * @returns {string}
+     */
+    function renderGrpcTrailers(trailers) {
+        if (!trailers) {
+            return '';
         }
+        const status = trailers['grpc-status'];
+        const statusClass = status === undefined ? '' : (status === '0' ? ' success' : ' error');
+        const rows = Object.entries(trailers).map(([name, value]) => `
+            <tr>
+                <td class="field-name">${escapeHtml(name)}</td>
+                <td>${escapeHtml(name === 'grpc-status' ? describeGrpcStatus(value) : value)}</td>
+            </tr>`).join('');
+        return `<div class="grpc-trailers${statusClass}">
+            <div class="grpc-message-header"><strong>Trailers</strong></div>
+            <table class="grpc-trailer-table"><tbody>${rows}</tbody></table>
+        </div>`;
     }
 
     // ========== 主要功能 ==========
@@ -755,9 +1606,20 @@
         }
 
         try {
-            const data = detectAndConvert(input, grpcMode);
-            const decoded = parseProtobuf(data);
+            await loadCore();
+            currentGrpc = null;
+            currentType = null;
+            currentSchemaJson = null;
+            document.getElementById('encode-result')?.classList.add('hidden');
+
+            if (grpcMode) {
+                await decodeGrpc(input);
+                REOT.utils?.showNotification('解码成功', 'success');
+                return;
+            }
 
+            const data = detectAndConvert(input);
+            const decoded = parseProtobuf(data);
             currentFields = decoded;
 
             if (decoded.parts.length === 0) {
@@ -765,9 +1627,27 @@
                 return;
             }
 
+            // 选择了消息类型时按 Schema 解码，失败时仍显示无 Schema 的解析结果
+            await schemaTask;
+            const typeName = document.getElementById('message-type')?.value;
+            let schemaInfo = '';
+            if (currentSchema && typeName) {
+                try {
+                    currentSchemaJson = decodeWithSchema(currentSchema, typeName, data);
+                    currentType = lookupMessageType(currentSchema, typeName);
+                    const unknown = findUnknownFields(currentSchema, typeName, data);
+                    schemaInfo = `，${REOT.i18n.t('tools.protobuf.decodedAs', '按 Schema 解码为')} ${escapeHtml(typeName)}`;
+                    if (unknown.length > 0) {
+                        schemaInfo += `，${REOT.i18n.t('tools.protobuf.unknownFields', 'Schema 中未定义的字段')}: ${escapeHtml(unknown.join(', '))}`;
+                    }
+                } catch (error) {
+                    schemaInfo = `，${escapeHtml(error.message)}`;
+                }
+            }
+
             // 显示解析信息
             const leftOverInfo = decoded.leftOver.length > 0 ? `，剩余 ${decoded.leftOver.length} 字节未解析` : '';
-            const infoHtml = `<div class="parse-info">解析了 ${data.length} 字节，找到 ${countFields(decoded)} 个字段${leftOverInfo}</div>`;
+            const infoHtml = `<div class="parse-info">解析了 ${data.length} 字节，找到 ${countFields(decoded)} 个字段${leftOverInfo}${schemaInfo}</div>`;
 
             // 一次性渲染输出，避免重复初始化编辑器
             await renderOutput(decoded, currentView, infoHtml);
@@ -784,6 +1664,50 @@
         }
     }
 
+    /**
+     * gRPC 模式：拆分帧后逐条解码，选择了消息类型时每条消息都按 Schema 解码
+     * @param {string} input
+     */
+    async function decodeGrpc(input) {
+        const data = readGrpcInput(input);
+        const stream = await decodeGrpcStream(data);
+
+        await schemaTask;
+        const typeName = document.getElementById('message-type')?.value;
+        const type = currentSchema && typeName ? lookupMessageType(currentSchema, typeName) : null;
+        stream.messages.forEach(message => {
+            message.decoded = parseProtobuf(message.data);
+            if (type) {
+                try {
+                    message.json = decodeWithSchema(currentSchema, typeName, message.data);
+                    message.unknown = findUnknownFields(currentSchema, typeName, message.data);
+                } catch (error) {
+                    message.error = error.message;
+                }
+            }
+        });
+
+        currentGrpc = stream;
+        currentFields = stream.messages.map(message => message.decoded);
+        currentType = type;
+        // 所有消息都按 Schema 解码成功时 JSON 可编辑，重新编码时逐条组帧
+        if (type && stream.messages.length > 0 && stream.messages.every(message => message.json)) {
+            currentSchemaJson = stream.messages.map(message => message.json);
+        }
+
+        const info = [`解析了 ${data.length} 字节`, `${stream.messages.length} ${REOT.i18n.t('tools.protobuf.grpcMessages', '条 gRPC 消息')}`];
+        if (stream.trailers?.['grpc-status'] !== undefined) {
+            info.push(`grpc-status: ${describeGrpcStatus(stream.trailers['grpc-status'])}`);
+        }
+        if (stream.leftOver.length > 0) {
+            info.push(`${REOT.i18n.t('tools.protobuf.incompleteFrame', '末尾不完整的帧')} ${stream.leftOver.length} 字节`);
+        }
+        if (type) {
+            info.push(`${REOT.i18n.t('tools.protobuf.decodedAs', '按 Schema 解码为')} ${typeName}`);
+        }
+        await renderOutput(currentFields, currentView, `<div class="parse-info">${escapeHtml(info.join('，'))}</div>`);
+    }
+
     /**
      * 递归计算字段数量
      * @param {{ parts: Array, leftOver: Uint8Array }} decoded - 解析结果
@@ -801,6 +1725,206 @@
         return count;
     }
 
+    /**
+     * 显示已加载的文件列表（.proto 文件或推断用的样本文件）
+     * @param {string} containerId
+     * @param {Array<{name: string}>} files
+     */
+    function renderFileList(containerId, files) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            return;
+        }
+        container.innerHTML = '';
+        files.forEach((file, index) => {
+            const item = document.createElement('span');
+            item.className = 'proto-file';
+            item.textContent = file.name;
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'proto-file-remove';
+            removeBtn.dataset.index = index;
+            removeBtn.title = REOT.i18n.t('tools.protobuf.removeFile', '移除');
+            removeBtn.textContent = '×';
+            item.appendChild(removeBtn);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * 重新解析 Schema 并更新消息类型列表
+     */
+    async function refreshSchema() {
+        const select = document.getElementById('message-type');
+        const status = document.getElementById('schema-status');
+        if (!select || !status) {
+            return;
+        }
+
+        const pasted = document.getElementById('proto-input')?.value || '';
+        const files = [...schemaFiles, { name: REOT.i18n.t('tools.protobuf.pastedSchema', '粘贴的定义'), content: pasted }]
+            .filter(file => file.content.trim());
+        const previous = select.value;
+
+        currentSchema = null;
+        select.innerHTML = '';
+        select.appendChild(new Option(REOT.i18n.t('tools.protobuf.noSchema', '无 Schema（原始解码）'), ''));
+        select.disabled = true;
+        status.textContent = '';
+        status.className = 'schema-status';
+        if (files.length === 0) {
+            return;
+        }
+
+        try {
+            const root = await loadSchema(files);
+            const types = listMessageTypes(root);
+            types.forEach(name => select.appendChild(new Option(name, name)));
+            currentSchema = root;
+            select.disabled = false;
+            select.value = types.includes(previous) ? previous : (types[0] || '');
+            status.textContent = `${types.length} ${REOT.i18n.t('tools.protobuf.messageTypes', '个消息类型')}`;
+            status.classList.add('success');
+        } catch (error) {
+            status.textContent = error.message;
+            status.classList.add('error');
+        }
+    }
+
+    /**
+     * 排队解析 Schema（解码前会等待解析完成）
+     * @param {number} [delay=0] - 延迟毫秒数（输入时防抖）
+     */
+    function queueSchemaRefresh(delay = 0) {
+        clearTimeout(schemaTimer);
+        schemaTask = new Promise(resolve => {
+            schemaTimer = setTimeout(() => {
+                refreshSchema().then(resolve, resolve);
+            }, delay);
+        });
+    }
+
+    /**
+     * 将 JSON 按当前 Schema 编码为二进制
+     */
+    function encodeCurrentJson() {
+        const typeName = currentType?.fullName.slice(1);
+        if (!currentSchema || !typeName) {
+            return;
+        }
+        try {
+            let bytes;
+            if (currentGrpc) {
+                let messages;
+                try {
+                    messages = JSON.parse(getJsonText());
+                } catch (e) {
+                    throw new Error(`JSON 解析失败: ${e.message}`);
+                }
+                if (!Array.isArray(messages)) {
+                    throw new Error(REOT.i18n.t('tools.protobuf.grpcJsonArray', 'gRPC 模式下 JSON 应为消息数组'));
+                }
+                bytes = encodeGrpcFrames(messages.map(message => encodeWithSchema(currentSchema, typeName, message)));
+            } else {
+                bytes = encodeWithSchema(currentSchema, typeName, getJsonText());
+            }
+            document.getElementById('encoded-output').textContent = REOT.bytes.toHex(bytes);
+            document.getElementById('encode-result')?.classList.remove('hidden');
+            REOT.utils?.showNotification(`${REOT.i18n.t('tools.protobuf.encodedBytes', '编码完成')}: ${bytes.length} bytes`, 'success');
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+    }
+
+    // 推断结果用作 Schema 时的文件名（再次使用时覆盖）
+    const INFERRED_FILE_NAME = 'inferred.proto';
+
+    /**
+     * 收集推断用的样本：每行一个样本加上样本文件，都没有时使用上方输入
+     * @returns {Uint8Array[]}
+     */
+    async function collectInferSamples() {
+        const grpcMode = document.getElementById('grpc-mode')?.checked || false;
+        // gRPC 模式下流中的每条消息都是一个样本
+        const toSamples = async data => grpcMode ? (await decodeGrpcStream(data)).messages.map(message => message.data) : [data];
+        const read = text => grpcMode ? readGrpcInput(text) : detectAndConvert(text);
+
+        const lines = (document.getElementById('infer-samples')?.value || '').split('\n');
+        const samples = [];
+        for (let index = 0; index < lines.length; index++) {
+            if (!lines[index].trim()) {
+                continue;
+            }
+            try {
+                samples.push(...await toSamples(read(lines[index])));
+            } catch (error) {
+                throw new Error(`${REOT.i18n.t('tools.protobuf.sampleLine', '第 {line} 行样本', { line: index + 1 })}: ${error.message}`);
+            }
+        }
+        for (const file of inferFiles) {
+            samples.push(...await toSamples(file.data));
+        }
+
+        const input = document.getElementById('input')?.value || '';
+        if (samples.length === 0 && input.trim()) {
+            samples.push(...await toSamples(read(input)));
+        }
+        return samples;
+    }
+
+    /**
+     * 从样本推断 .proto 定义
+     */
+    async function inferFromSamples() {
+        try {
+            await loadCore();
+            const schema = inferSchema(await collectInferSamples(), {
+                messageName: document.getElementById('infer-name')?.value.trim()
+            });
+            const proto = generateProto(schema, {
+                packageName: document.getElementById('infer-package')?.value.trim()
+            });
+            document.getElementById('inferred-proto').value = proto;
+            document.getElementById('infer-result')?.classList.remove('hidden');
+            REOT.utils?.showNotification(
+                REOT.i18n.t('tools.protobuf.inferDone', '已从 {count} 个样本推断出 {fields} 个字段', {
+                    count: schema.samples,
+                    fields: schema.fields.length
+                }),
+                'success'
+            );
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * 将（编辑后的）推断结果加入 Schema，选中推断出的消息类型并重新解码
+     */
+    async function useInferredSchema() {
+        const proto = document.getElementById('inferred-proto')?.value || '';
+        if (!proto.trim()) {
+            return;
+        }
+        schemaFiles = schemaFiles.filter(file => file.name !== INFERRED_FILE_NAME)
+            .concat({ name: INFERRED_FILE_NAME, content: proto });
+        renderFileList('proto-files', schemaFiles);
+        queueSchemaRefresh();
+        await schemaTask;
+
+        // 选中第一个顶层消息
+        const packageName = proto.match(/^\s*package\s+([\w.]+)\s*;/m)?.[1];
+        const messageName = proto.match(/^message\s+(\w+)/m)?.[1];
+        const select = document.getElementById('message-type');
+        const typeName = packageName ? `${packageName}.${messageName}` : messageName;
+        if (!currentSchema || !select || !messageName || !listMessageTypes(currentSchema).includes(typeName)) {
+            return;
+        }
+        select.value = typeName;
+        if (document.getElementById('input')?.value.trim()) {
+            decodeProtobuf();
+        }
+    }
+
     // 示例数据: 复杂的 Protobuf 消息，包含多种字段类型
     const SAMPLE_DATA = '08d2a4808204100218dacbaafd032204313233332a1337353332373331343934313331313839323536320a323134323834303535313a0634302e302e33421c7630352e30302e30302d616c7068612e352d6f762d616e64726f696448c08080505208000000000000000060b4e49e930d6a06d8954de437b872065eafe04f83fd7a1308e205100a1804280c300638f4fff7810d400a82011941773339454b69345f687a73426a316d61456b7a76386b592d8801b4e49e930d9201100dc81b6dc87ce87cf3be2890d07fe2299a01202fa2f3ad3f63f54340e27b971d0a66976c75b600194af04fb9d0587a1f8eddeaa2010130a801e205ba011d0a07506978656c203610121a0a676f6f676c65706c61792080808a8003c20184014d44476e475a6a51723355424c5468307954426f6b39537a6e72497147585967554446396f766b50535561486668794c4657777748516376534569794e514f6d32656b464967544f7852535a7641374f55506232574647586b54715056725a56656f706e6d68564b374451787263415546752f6a706e34554e6e4864766f504c4176453dc8010ad201100810120c95c422a691f6f51729912e8bd801f4fff7810de001b609e8010af00106f80184eba78e0682021a645ff7b6088eb3d991a1d58867810f67263c763047f94818866d880204';
 
@@ -811,9 +1935,42 @@
 
     // ========== 事件处理 ==========
 
-    document.addEventListener('change', (e) => {
+    document.addEventListener('input', (e) => {
+        if (!isProtobufToolActive()) {
+            return;
+        }
+
+        if (e.target.id === 'proto-input') {
+            queueSchemaRefresh(500);
+        }
+    });
+
+    document.addEventListener('change', async (e) => {
         if (!isProtobufToolActive()) return;
 
+        if (e.target.id === 'proto-file-input') {
+            for (const file of Array.from(e.target.files)) {
+                const content = await file.text();
+                // 同名文件覆盖旧版本
+                schemaFiles = schemaFiles.filter(item => item.name !== file.name).concat({ name: file.name, content });
+            }
+            e.target.value = '';
+            renderFileList('proto-files', schemaFiles);
+            queueSchemaRefresh();
+        }
+
+        if (e.target.id === 'infer-file-input') {
+            for (const file of Array.from(e.target.files)) {
+                inferFiles.push({ name: file.name, data: new Uint8Array(await file.arrayBuffer()) });
+            }
+            e.target.value = '';
+            renderFileList('infer-files', inferFiles);
+        }
+
+        if (e.target.id === 'message-type' && document.getElementById('input')?.value.trim()) {
+            decodeProtobuf();
+        }
+
         if (e.target.id === 'file-input') {
             const file = e.target.files[0];
             if (!file) return;
@@ -823,7 +1980,7 @@
                 const bytes = new Uint8Array(event.target.result);
                 const input = document.getElementById('input');
                 if (input) {
-                    input.value = bytesToHex(bytes, '');
+                    input.value = REOT.bytes.toHex(bytes);
                 }
                 decodeProtobuf();
             };
@@ -855,10 +2012,80 @@
                 output.classList.remove('json-view-active');
             }
             document.getElementById('output-actions')?.classList.add('hidden');
+            document.getElementById('encode-result')?.classList.add('hidden');
             currentFields = null;
+            currentGrpc = null;
+            currentType = null;
+            currentSchemaJson = null;
             destroyJsonEditor();
         }
 
+        if (target.id === 'clear-schema-btn' || target.closest('#clear-schema-btn')) {
+            schemaFiles = [];
+            const protoInput = document.getElementById('proto-input');
+            if (protoInput) {
+                protoInput.value = '';
+            }
+            renderFileList('proto-files', schemaFiles);
+            queueSchemaRefresh();
+        }
+
+        if (target.classList.contains('proto-file-remove')) {
+            if (target.closest('#infer-files')) {
+                inferFiles.splice(Number(target.dataset.index), 1);
+                renderFileList('infer-files', inferFiles);
+            } else {
+                schemaFiles.splice(Number(target.dataset.index), 1);
+                renderFileList('proto-files', schemaFiles);
+                queueSchemaRefresh();
+            }
+        }
+
+        if (target.id === 'infer-btn' || target.closest('#infer-btn')) {
+            inferFromSamples();
+        }
+
+        if (target.id === 'copy-inferred-btn' || target.closest('#copy-inferred-btn')) {
+            const success = await REOT.utils?.copyToClipboard(document.getElementById('inferred-proto')?.value || '');
+            if (success) {
+                REOT.utils?.showNotification('已复制到剪贴板', 'success');
+            }
+        }
+
+        if (target.id === 'download-proto-btn' || target.closest('#download-proto-btn')) {
+            const text = document.getElementById('inferred-proto')?.value || '';
+            const blob = new Blob([text], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = INFERRED_FILE_NAME;
+            a.click();
+            URL.revokeObjectURL(url);
+        }
+
+        if (target.id === 'use-inferred-btn' || target.closest('#use-inferred-btn')) {
+            useInferredSchema();
+        }
+
+        if (target.id === 'encode-btn' || target.closest('#encode-btn')) {
+            encodeCurrentJson();
+        }
+
+        if (target.id === 'copy-encoded-btn' || target.closest('#copy-encoded-btn')) {
+            const success = await REOT.utils?.copyToClipboard(document.getElementById('encoded-output')?.textContent || '');
+            if (success) {
+                REOT.utils?.showNotification('已复制到剪贴板', 'success');
+            }
+        }
+
+        if (target.id === 'load-encoded-btn' || target.closest('#load-encoded-btn')) {
+            const input = document.getElementById('input');
+            if (input) {
+                input.value = document.getElementById('encoded-output')?.textContent || '';
+            }
+            decodeProtobuf();
+        }
+
         // 视图切换
         if (target.classList.contains('view-tab')) {
             const view = target.dataset.view;
@@ -882,8 +2109,8 @@
         if (target.id === 'copy-output-btn' || target.closest('#copy-output-btn')) {
             if (currentFields) {
                 let textToCopy = '';
-                if (currentView === 'json') {
-                    textToCopy = JSON.stringify(fieldsToJson(currentFields), null, 2);
+                if (currentView === 'json' || currentSchemaJson !== null || currentGrpc) {
+                    textToCopy = getJsonText();
                 } else {
                     textToCopy = JSON.stringify(currentFields, null, 2);
                 }
@@ -897,7 +2124,7 @@
         // 下载 JSON
         if (target.id === 'download-json-btn' || target.closest('#download-json-btn')) {
             if (currentFields) {
-                const json = JSON.stringify(fieldsToJson(currentFields), null, 2);
+                const json = getJsonText();
                 const blob = new Blob([json], { type: 'application/json' });
                 const url = URL.createObjectURL(blob);
                 const a = document.createElement('a');
@@ -910,6 +2137,11 @@
         }
     });
 
-    window.ProtobufTool = { parseProtobuf, decodeProtobuf, fieldsToJson };
+    window.ProtobufTool = {
+        parseProtobuf, decodeProtobuf, fieldsToJson,
+        loadSchema, listMessageTypes, decodeWithSchema, encodeWithSchema, findUnknownFields,
+        inferSchema, generateProto,
+        parseGrpcFrames, parseGrpcTrailers, decodeGrpcWebText, decodeGrpcStream, encodeGrpcFrames
+    };
 
 })();
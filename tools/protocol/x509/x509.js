@@ -144,7 +144,7 @@
                 }
                 return value.toString();
             }
-            return bytesToHex(bytes);
+            return REOT.bytes.toHex(bytes);
         }
 
         parseOID(bytes) {
@@ -195,25 +195,6 @@
 
     // ========== 工具函数 ==========
 
-    function bytesToHex(bytes) {
-        return Array.from(bytes)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    function formatHexWithColons(hex) {
-        return hex.match(/.{2}/g)?.join(':').toUpperCase() || hex.toUpperCase();
-    }
-
-    function base64ToBytes(base64) {
-        const binary = atob(base64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
-        }
-        return bytes;
-    }
-
     function parsePEM(pem) {
         const lines = pem.split('\n');
         let base64 = '';
@@ -236,12 +217,12 @@
             throw new Error('无法找到有效的证书数据');
         }
 
-        return base64ToBytes(base64);
+        return REOT.bytes.fromBase64(base64);
     }
 
     async function calculateFingerprint(data, algorithm) {
         const hashBuffer = await crypto.subtle.digest(algorithm, data);
-        return formatHexWithColons(bytesToHex(new Uint8Array(hashBuffer)));
+        return REOT.bytes.toHex(new Uint8Array(hashBuffer), { separator: ':', uppercase: true });
     }
 
     // ========== X.509 解析器 ==========
@@ -282,7 +263,7 @@
 
             // 序列号
             if (children[idx]) {
-                cert.serialNumber = children[idx].intValue || bytesToHex(children[idx].value || []);
+                cert.serialNumber = children[idx].intValue || REOT.bytes.toHex(children[idx].value || []);
             }
             idx++;
 
@@ -357,7 +338,7 @@
                     const attr = rdn.children?.[0];
                     if (attr?.children?.[0] && attr?.children?.[1]) {
                         const oid = attr.children[0].oidName || attr.children[0].oid;
-                        const value = attr.children[1].string || bytesToHex(attr.children[1].value || []);
+                        const value = attr.children[1].string || REOT.bytes.toHex(attr.children[1].value || []);
                         if (oid && value) {
                             name[oid] = value;
                         }
@@ -400,7 +381,7 @@
                             let keyLen = modulus.length;
                             if (modulus[0] === 0) keyLen--;
                             result.keySize = keyLen * 8;
-                            result.modulus = bytesToHex(modulus).substring(0, 64) + '...';
+                            result.modulus = REOT.bytes.toHex(modulus).substring(0, 64) + '...';
                         }
                         if (rsaKey?.children?.[1]) {
                             result.exponent = rsaKey.children[1].intValue || '65537';
@@ -472,16 +453,16 @@
                     case 'subjectAltName':
                         return this.parseSubjectAltName(parsed);
                     case 'subjectKeyIdentifier':
-                        return formatHexWithColons(bytesToHex(parsed.value));
+                        return REOT.bytes.toHex(parsed.value, { separator: ':', uppercase: true });
                     case 'authorityKeyIdentifier':
                         return this.parseAuthorityKeyId(parsed);
                     case 'extKeyUsage':
                         return this.parseExtKeyUsage(parsed);
                     default:
-                        return bytesToHex(value).substring(0, 100) + (value.length > 50 ? '...' : '');
+                        return REOT.bytes.toHex(value).substring(0, 100) + (value.length > 50 ? '...' : '');
                 }
             } catch (e) {
-                return bytesToHex(value).substring(0, 100);
+                return REOT.bytes.toHex(value).substring(0, 100);
             }
         }
 
@@ -535,7 +516,7 @@
 
         parseAuthorityKeyId(parsed) {
             if (parsed.children && parsed.children[0]) {
-                return formatHexWithColons(bytesToHex(parsed.children[0].value));
+                return REOT.bytes.toHex(parsed.children[0].value, { separator: ':', uppercase: true });
             }
             return '';
         }
@@ -743,7 +724,7 @@ SIb3DQEBCwUAA4IBAQBRandomSignature0Data0Here0For0Testing
                     derData = parsePEM(input.value);
                 } else {
                     // 尝试作为 Base64 解析
-                    derData = base64ToBytes(input.value.replace(/\s/g, ''));
+                    derData = REOT.bytes.fromBase64(input.value);
                 }
 
                 const parser = new X509Parser(derData);
@@ -811,10 +792,7 @@ SIb3DQEBCwUAA4IBAQBRandomSignature0Data0Here0For0Testing
                         input.value = text;
                     } else {
                         // 作为二进制文件，转换为 Base64
-                        const bytes = new Uint8Array(event.target.result);
-                        let binary = '';
-                        bytes.forEach(b => binary += String.fromCharCode(b));
-                        input.value = btoa(binary);
+                        input.value = REOT.bytes.toBase64(new Uint8Array(event.target.result));
                     }
                 }
             };
@@ -0,0 +1,739 @@
+/**
+ * 分组密码分析工具
+ * @description CBC 填充预言攻击、ECB 重复块检测与 CBC 比特翻转
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    // 支持 async/await 的函数构造器（用于用户提供的判定函数）
+    const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+
+    // 日志最多保留的行数
+    const MAX_LOG_LINES = 200;
+
+    // ECB 检测最多渲染的分组数
+    const MAX_RENDERED_BLOCKS = 512;
+
+    // 填充预言攻击任务状态
+    let oracleJob = null;
+
+    /**
+     * 检查当前是否在分组密码分析工具页面
+     */
+    function isBlockCipherToolActive() {
+        const route = REOT.router?.getRoute();
+        return route && route.includes('/tools/reverse/block-cipher');
+    }
+
+    /**
+     * 转义 HTML
+     */
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+
+    /**
+     * 单字节十六进制
+     * @param {number} byte
+     * @returns {string}
+     */
+    function hexByte(byte) {
+        return byte.toString(16).padStart(2, '0');
+    }
+
+    // ========== 分组处理 ==========
+
+    /**
+     * 按分组长度切分（忽略末尾不完整的分组）
+     * @param {Uint8Array} data
+     * @param {number} blockSize
+     * @returns {Array<Uint8Array>}
+     */
+    function splitBlocks(data, blockSize) {
+        const blocks = [];
+        for (let offset = 0; offset + blockSize <= data.length; offset += blockSize) {
+            blocks.push(data.subarray(offset, offset + blockSize));
+        }
+        return blocks;
+    }
+
+    /**
+     * 分离 IV 和密文：未提供 IV 时以密文首块作为 IV
+     * @param {Uint8Array} ciphertext
+     * @param {Uint8Array|null} iv
+     * @param {number} blockSize
+     * @returns {{iv: Uint8Array, body: Uint8Array, ivIncluded: boolean}}
+     */
+    function splitIv(ciphertext, iv, blockSize) {
+        const ivIncluded = !iv || iv.length === 0;
+        if (!ivIncluded && iv.length !== blockSize) {
+            throw new Error(`IV 长度必须为 ${blockSize} 字节，当前为 ${iv.length} 字节`);
+        }
+        if (ciphertext.length % blockSize !== 0) {
+            throw new Error(`密文长度必须是 ${blockSize} 的倍数，当前为 ${ciphertext.length} 字节`);
+        }
+        if (ivIncluded && ciphertext.length < 2 * blockSize) {
+            throw new Error(`密文至少需要 2 个分组（首块作为 IV），当前为 ${ciphertext.length} 字节`);
+        }
+        if (!ivIncluded && ciphertext.length === 0) {
+            throw new Error('请输入密文');
+        }
+        return ivIncluded
+            ? { iv: ciphertext.subarray(0, blockSize), body: ciphertext.subarray(blockSize), ivIncluded }
+            : { iv, body: ciphertext, ivIncluded };
+    }
+
+    /**
+     * 去除 PKCS#7 填充
+     * @param {Uint8Array} data
+     * @param {number} blockSize
+     * @returns {{data: Uint8Array, valid: boolean}}
+     */
+    function stripPkcs7(data, blockSize) {
+        const last = data[data.length - 1];
+        if (!last || last > blockSize || last > data.length) {
+            return { data, valid: false };
+        }
+        for (let i = data.length - last; i < data.length; i++) {
+            if (data[i] !== last) {
+                return { data, valid: false };
+            }
+        }
+        return { data: data.subarray(0, data.length - last), valid: true };
+    }
+
+    // ========== 填充预言攻击 ==========
+
+    /**
+     * 创建已知 AES 密钥的判定函数（演示 / CTF 用），需要先加载 aes-core.js
+     * @param {Uint8Array} key
+     * @returns {Function} - 参数为前一块 || 目标块，返回填充是否有效
+     */
+    function createKeyOracle(key) {
+        // 提前校验密钥长度，避免每次查询都报同样的错误
+        REOT.aes.createCipher(key);
+        return data => REOT.aes.decrypt(data.subarray(16), key, {
+            mode: 'CBC',
+            iv: data.subarray(0, 16),
+            padding: 'pkcs7'
+        }).padding.valid;
+    }
+
+    /**
+     * 编译用户提供的判定函数
+     * 函数体可使用 await，参数 data 为前一块 || 目标块，bytes 为 REOT.bytes
+     * @param {string} source - 函数体
+     * @returns {Function}
+     */
+    function compileOracle(source) {
+        if (!source.trim()) {
+            throw new Error('请输入判定函数');
+        }
+        let fn;
+        try {
+            fn = new AsyncFunction('data', 'bytes', source);
+        } catch (error) {
+            throw new Error(`判定函数语法错误: ${error.message}`);
+        }
+        return data => fn(data, REOT.bytes);
+    }
+
+    /**
+     * CBC 填充预言攻击：逐字节构造前一块，利用判定函数恢复中间值和明文
+     * @param {Uint8Array} ciphertext
+     * @param {Object} options
+     * @param {Function} options.oracle - 参数为前一块 || 目标块，返回（或 resolve 为）填充是否有效
+     * @param {Uint8Array} [options.iv] - 未提供时以密文首块作为 IV
+     * @param {number} [options.blockSize=16]
+     * @param {Function} [options.onStep] - 每恢复一个字节调用一次，可返回 Promise
+     * @param {Function} [options.isCancelled] - 返回 true 时停止
+     * @returns {Promise<{plaintext: Uint8Array, intermediate: Uint8Array, recovered: number, queries: number, cancelled: boolean}>}
+     */
+    async function paddingOracleAttack(ciphertext, options) {
+        const { oracle, iv = null, blockSize = 16, onStep = null, isCancelled = () => false } = options;
+        const { iv: firstIv, body } = splitIv(ciphertext, iv, blockSize);
+        const blocks = splitBlocks(body, blockSize);
+        const intermediate = new Uint8Array(body.length);
+        const plaintext = new Uint8Array(body.length);
+        let recovered = 0;
+        let queries = 0;
+
+        const query = async (prefix, block) => {
+            queries++;
+            try {
+                return Boolean(await oracle(REOT.bytes.concat([prefix, block])));
+            } catch (error) {
+                throw new Error(`判定函数执行出错: ${error.message}`);
+            }
+        };
+        const result = cancelled => ({ plaintext, intermediate, recovered, queries, cancelled });
+
+        for (let b = 0; b < blocks.length; b++) {
+            const previous = b === 0 ? firstIv : blocks[b - 1];
+            const found = new Uint8Array(blockSize);
+
+            for (let pad = 1; pad <= blockSize; pad++) {
+                const position = blockSize - pad;
+                const prefix = new Uint8Array(blockSize);
+                for (let j = position + 1; j < blockSize; j++) {
+                    prefix[j] = found[j] ^ pad;
+                }
+
+                let guess = -1;
+                for (let g = 0; g < 256 && guess < 0; g++) {
+                    if (isCancelled()) {
+                        return result(true);
+                    }
+                    prefix[position] = g;
+                    if (!(await query(prefix, blocks[b]))) {
+                        continue;
+                    }
+                    // 末字节可能碰巧构成更长的有效填充（如 02 02），改动前一字节后复核
+                    if (pad === 1 && position > 0) {
+                        prefix[position - 1] ^= 0xff;
+                        const confirmed = await query(prefix, blocks[b]);
+                        prefix[position - 1] ^= 0xff;
+                        if (!confirmed) {
+                            continue;
+                        }
+                    }
+                    guess = g;
+                }
+                if (guess < 0) {
+                    throw new Error(`第 ${b + 1} 块第 ${position + 1} 字节没有找到使填充有效的值，请检查判定函数`);
+                }
+
+                found[position] = guess ^ pad;
+                const offset = b * blockSize + position;
+                intermediate[offset] = found[position];
+                plaintext[offset] = found[position] ^ previous[position];
+                recovered++;
+                if (onStep) {
+                    await onStep({
+                        block: b,
+                        position,
+                        offset,
+                        guess,
+                        intermediate: intermediate[offset],
+                        plaintext: plaintext[offset],
+                        recovered,
+                        total: body.length,
+                        queries
+                    });
+                }
+            }
+        }
+
+        return result(false);
+    }
+
+    // ========== ECB 检测 ==========
+
+    /**
+     * 统计重复分组，判断是否可能为 ECB 模式
+     * @param {Uint8Array} data
+     * @param {number} [blockSize=16]
+     * @returns {{blockSize: number, blocks: number, uniqueBlocks: number, repeated: Array<{hex: string, indices: number[]}>,
+     *     duplicates: number, ratio: number, trailing: number, likelyEcb: boolean}}
+     */
+    function detectEcb(data, blockSize = 16) {
+        const blocks = splitBlocks(data, blockSize);
+        const seen = new Map();
+        blocks.forEach((block, index) => {
+            const hex = REOT.bytes.toHex(block);
+            if (!seen.has(hex)) {
+                seen.set(hex, []);
+            }
+            seen.get(hex).push(index);
+        });
+
+        const repeated = [...seen]
+            .filter(([, indices]) => indices.length > 1)
+            .map(([hex, indices]) => ({ hex, indices }))
+            .sort((a, b) => b.indices.length - a.indices.length || a.indices[0] - b.indices[0]);
+        const duplicates = repeated.reduce((sum, item) => sum + item.indices.length - 1, 0);
+
+        return {
+            blockSize,
+            blocks: blocks.length,
+            uniqueBlocks: seen.size,
+            repeated,
+            duplicates,
+            ratio: blocks.length ? duplicates / blocks.length : 0,
+            trailing: data.length % blockSize,
+            likelyEcb: duplicates > 0
+        };
+    }
+
+    // ========== CBC 比特翻转 ==========
+
+    /**
+     * 计算 CBC 比特翻转：修改 IV 或前一块密文，使指定位置的明文变为目标内容
+     * 明文第 k 块的改动落在第 k-1 块密文（k = 0 时为 IV）上，被修改的那一块密文解密后会变成乱码
+     * @param {Uint8Array} ciphertext
+     * @param {Object} options
+     * @param {Uint8Array} options.original - 已知的原始明文片段
+     * @param {Uint8Array} options.desired - 目标明文片段（长度与 original 相同）
+     * @param {number} [options.offset=0] - 片段在明文中的字节偏移
+     * @param {Uint8Array} [options.iv] - 未提供时以密文首块作为 IV
+     * @param {number} [options.blockSize=16]
+     * @returns {{ciphertext: Uint8Array, iv: Uint8Array|null, changes: Array<Object>, garbledBlocks: number[]}}
+     */
+    function cbcBitFlip(ciphertext, options) {
+        const { original, desired, offset = 0, iv = null, blockSize = 16 } = options;
+        if (!original.length) {
+            throw new Error('请输入原始明文');
+        }
+        if (original.length !== desired.length) {
+            throw new Error(`原始明文和目标明文的长度必须相同（${original.length} / ${desired.length} 字节）`);
+        }
+        const { iv: firstIv, body, ivIncluded } = splitIv(ciphertext, iv, blockSize);
+        if (!Number.isInteger(offset) || offset < 0 || offset + original.length > body.length) {
+            throw new Error(`修改范围超出明文长度（${body.length} 字节）`);
+        }
+
+        // IV || 密文：明文第 p 字节对应的待修改字节恰好位于下标 p
+        const full = REOT.bytes.concat([firstIv, body]);
+        const changes = [];
+        const garbled = new Set();
+        for (let i = 0; i < original.length; i++) {
+            const delta = original[i] ^ desired[i];
+            if (delta === 0) {
+                continue;
+            }
+            const position = offset + i;
+            const block = Math.floor(position / blockSize);
+            changes.push({
+                plaintextOffset: position,
+                block,
+                // 修改的是 IV（block 为 0）还是第 block 块密文（从 1 开始计数，不含 IV）
+                target: block === 0 ? 'iv' : 'ciphertext',
+                index: position % blockSize,
+                from: full[position],
+                to: full[position] ^ delta,
+                delta
+            });
+            full[position] ^= delta;
+            if (block > 0) {
+                garbled.add(block - 1);
+            }
+        }
+
+        return {
+            ciphertext: ivIncluded ? full : full.subarray(blockSize),
+            iv: ivIncluded ? null : full.subarray(0, blockSize),
+            changes,
+            garbledBlocks: [...garbled].sort((a, b) => a - b)
+        };
+    }
+
+    // ========== 输入 ==========
+
+    /**
+     * 读取密文输入
+     * @param {string} value
+     * @param {string} format - auto | hex | base64 | base64url
+     * @returns {{bytes: Uint8Array, format: string}}
+     */
+    function parseCiphertext(value, format) {
+        const text = value.trim();
+        if (!text) {
+            throw new Error('请输入密文');
+        }
+        const resolved = format === 'auto' ? REOT.bytes.detect(text, { allowText: false }) : format;
+        if (!resolved) {
+            throw new Error('无法识别密文格式，请手动选择');
+        }
+        return { bytes: REOT.bytes.parse(text, resolved), format: resolved };
+    }
+
+    /**
+     * 读取公共选项：密文、IV、分组长度
+     * @returns {{ciphertext: Uint8Array, format: string, iv: Uint8Array|null, blockSize: number}}
+     */
+    function getCommonInput() {
+        const { bytes, format } = parseCiphertext(
+            document.getElementById('ciphertext-input').value,
+            document.getElementById('ciphertext-format').value
+        );
+        const ivText = document.getElementById('iv-input').value.trim();
+        return {
+            ciphertext: bytes,
+            format,
+            iv: ivText ? REOT.bytes.fromHex(ivText) : null,
+            blockSize: parseInt(document.getElementById('block-size').value)
+        };
+    }
+
+    /**
+     * 加载 AES 核心
+     */
+    async function loadAes() {
+        await REOT.loader.loadScript('tools/encryption/aes/aes-core.js');
+        return REOT.aes;
+    }
+
+    // ========== 渲染：填充预言 ==========
+
+    /**
+     * 切换判定方式
+     */
+    function updateOracleType() {
+        const type = document.getElementById('oracle-type').value;
+        document.getElementById('oracle-key-group').hidden = type !== 'key';
+        document.getElementById('oracle-source-group').hidden = type !== 'custom';
+    }
+
+    /**
+     * 渲染各分组的中间值和明文（未恢复的字节显示为 ··）
+     * @param {Uint8Array} intermediate
+     * @param {Uint8Array} plaintext
+     * @param {Set<number>} known - 已恢复的字节偏移
+     * @param {number} blockSize
+     */
+    function renderOracleBlocks(intermediate, plaintext, known, blockSize) {
+        const container = document.getElementById('oracle-blocks');
+        const rows = [];
+        for (let offset = 0; offset < plaintext.length; offset += blockSize) {
+            const cells = (data, cls) => Array.from({ length: blockSize }, (_, i) => {
+                const index = offset + i;
+                return known.has(index)
+                    ? `<span class="byte ${cls}">${hexByte(data[index])}</span>`
+                    : '<span class="byte unknown">··</span>';
+            }).join('');
+            rows.push(`
+                <div class="oracle-block">
+                    <div class="oracle-block-title">${REOT.i18n.t('tools.block-cipher.block', '块')} ${offset / blockSize + 1}</div>
+                    <div class="oracle-block-row"><label>${REOT.i18n.t('tools.block-cipher.intermediate', '中间值')}</label><code>${cells(intermediate, 'intermediate')}</code></div>
+                    <div class="oracle-block-row"><label>${REOT.i18n.t('tools.block-cipher.plaintext', '明文')}</label><code>${cells(plaintext, 'plain')}</code></div>
+                </div>
+            `);
+        }
+        container.innerHTML = rows.join('');
+    }
+
+    /**
+     * 追加一行日志
+     * @param {string} line
+     */
+    function appendOracleLog(line) {
+        const log = document.getElementById('oracle-log');
+        const lines = log.value ? log.value.split('\n') : [];
+        lines.push(line);
+        log.value = lines.slice(-MAX_LOG_LINES).join('\n');
+        log.scrollTop = log.scrollHeight;
+    }
+
+    /**
+     * 更新进度
+     * @param {number} recovered
+     * @param {number} total
+     * @param {number} queries
+     */
+    function updateOracleProgress(recovered, total, queries) {
+        document.getElementById('oracle-progress').textContent = REOT.i18n.t('tools.block-cipher.oracleProgress', '已恢复 {recovered} / {total} 字节，查询 {queries} 次', {
+            recovered,
+            total,
+            queries
+        });
+    }
+
+    /**
+     * 生成演示密文：随机 AES-128 密钥加密示例明文，IV 置于密文首块
+     */
+    async function generateOracleDemo() {
+        const aes = await loadAes();
+        const key = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(16));
+        const plaintext = REOT.bytes.fromText('user=guest;role=user;exp=1735689600');
+        const ciphertext = aes.encrypt(plaintext, key, { mode: 'CBC', iv });
+
+        document.getElementById('ciphertext-input').value = REOT.bytes.toHex(REOT.bytes.concat([iv, ciphertext]));
+        document.getElementById('ciphertext-format').value = 'hex';
+        document.getElementById('iv-input').value = '';
+        document.getElementById('block-size').value = '16';
+        document.getElementById('oracle-type').value = 'key';
+        document.getElementById('oracle-key').value = REOT.bytes.toHex(key);
+        updateOracleType();
+    }
+
+    /**
+     * 执行填充预言攻击
+     */
+    async function runOracleAttack() {
+        if (oracleJob) {
+            return;
+        }
+        const { ciphertext, iv, blockSize } = getCommonInput();
+        let oracle;
+        if (document.getElementById('oracle-type').value === 'key') {
+            if (blockSize !== 16) {
+                throw new Error('已知密钥判定仅支持 AES（分组长度 16 字节）');
+            }
+            await loadAes();
+            oracle = createKeyOracle(REOT.bytes.fromHex(document.getElementById('oracle-key').value));
+        } else {
+            oracle = compileOracle(document.getElementById('oracle-source').value);
+        }
+
+        const job = { cancelled: false };
+        oracleJob = job;
+        const known = new Set();
+        const total = Math.max(0, iv ? ciphertext.length : ciphertext.length - blockSize);
+        const intermediate = new Uint8Array(total);
+        const plaintext = new Uint8Array(total);
+        const startBtn = document.getElementById('oracle-start-btn');
+        const stopBtn = document.getElementById('oracle-stop-btn');
+        startBtn.disabled = true;
+        stopBtn.disabled = false;
+        document.getElementById('oracle-result').hidden = false;
+        document.getElementById('oracle-log').value = '';
+        document.getElementById('oracle-plaintext').value = '';
+        document.getElementById('oracle-plaintext-hex').value = '';
+        document.getElementById('oracle-padding').textContent = '';
+        renderOracleBlocks(intermediate, plaintext, known, blockSize);
+
+        try {
+            const result = await paddingOracleAttack(ciphertext, {
+                oracle,
+                iv,
+                blockSize,
+                isCancelled: () => job.cancelled,
+                onStep: async step => {
+                    known.add(step.offset);
+                    intermediate[step.offset] = step.intermediate;
+                    plaintext[step.offset] = step.plaintext;
+                    appendOracleLog(REOT.i18n.t('tools.block-cipher.oracleStep', '块 {block} 字节 {position}: 前一块取 0x{guess} 时填充有效 → 中间值 0x{intermediate}，明文 0x{plaintext}', {
+                        block: step.block + 1,
+                        position: step.position + 1,
+                        guess: hexByte(step.guess),
+                        intermediate: hexByte(step.intermediate),
+                        plaintext: hexByte(step.plaintext)
+                    }));
+                    updateOracleProgress(step.recovered, step.total, step.queries);
+                    renderOracleBlocks(intermediate, plaintext, known, blockSize);
+                    // 让出主线程，刷新界面并响应停止按钮
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            });
+            updateOracleProgress(result.recovered, result.plaintext.length, result.queries);
+            renderOracleBlocks(result.intermediate, result.plaintext, known, blockSize);
+
+            if (result.cancelled) {
+                REOT.utils?.showNotification(REOT.i18n.t('tools.block-cipher.oracleStopped', '已停止'), 'info');
+                return;
+            }
+            const { data, valid } = stripPkcs7(result.plaintext, blockSize);
+            document.getElementById('oracle-plaintext').value = REOT.bytes.toText(data);
+            document.getElementById('oracle-plaintext-hex').value = REOT.bytes.toHex(result.plaintext);
+            document.getElementById('oracle-padding').textContent = valid
+                ? REOT.i18n.t('tools.block-cipher.paddingRemoved', '已去除 PKCS#7 填充')
+                : REOT.i18n.t('tools.block-cipher.paddingKept', '末尾不是有效的 PKCS#7 填充，已保留原样');
+            REOT.utils?.showNotification(REOT.i18n.t('tools.block-cipher.oracleDone', '解密完成'), 'success');
+        } finally {
+            oracleJob = null;
+            startBtn.disabled = false;
+            stopBtn.disabled = true;
+        }
+    }
+
+    // ========== 渲染：ECB ==========
+
+    /**
+     * 检测每一行密文并渲染
+     */
+    function runEcbDetect() {
+        const format = document.getElementById('ciphertext-format').value;
+        const blockSize = parseInt(document.getElementById('block-size').value);
+        const lines = document.getElementById('ciphertext-input').value.split('\n')
+            .map((line, index) => ({ line: line.trim(), index }))
+            .filter(item => item.line);
+        if (lines.length === 0) {
+            throw new Error('请输入密文');
+        }
+
+        const results = lines.map(({ line, index }) => ({
+            index,
+            ...detectEcb(parseCiphertext(line, format).bytes, blockSize)
+        })).sort((a, b) => b.ratio - a.ratio || a.index - b.index);
+
+        const container = document.getElementById('ecb-result');
+        container.innerHTML = results.map(result => {
+            const groups = new Map(result.repeated.map((item, group) => [item.hex, group]));
+            const blocks = [];
+            const data = parseCiphertext(lines.find(item => item.index === result.index).line, format).bytes;
+            splitBlocks(data, blockSize).slice(0, MAX_RENDERED_BLOCKS).forEach((block, index) => {
+                const hex = REOT.bytes.toHex(block);
+                const group = groups.get(hex);
+                const style = group === undefined ? '' : ` style="--repeat-hue: ${(group * 67) % 360}"`;
+                blocks.push(`<span class="ecb-block${group === undefined ? '' : ' repeated'}"${style} title="#${index + 1}">${hex}</span>`);
+            });
+            const summary = REOT.i18n.t('tools.block-cipher.ecbSummary', '{blocks} 个分组，{unique} 个不同，{duplicates} 个重复（{ratio}%）', {
+                blocks: result.blocks,
+                unique: result.uniqueBlocks,
+                duplicates: result.duplicates,
+                ratio: (result.ratio * 100).toFixed(1)
+            });
+            const verdict = result.likelyEcb
+                ? `<span class="ecb-verdict likely">${REOT.i18n.t('tools.block-cipher.ecbLikely', '存在重复分组，可能是 ECB 模式')}</span>`
+                : `<span class="ecb-verdict">${REOT.i18n.t('tools.block-cipher.ecbUnlikely', '没有重复分组')}</span>`;
+            const trailing = result.trailing
+                ? `<span class="ecb-note">${REOT.i18n.t('tools.block-cipher.trailingBytes', '末尾 {count} 字节不足一个分组', { count: result.trailing })}</span>`
+                : '';
+            return `
+                <div class="ecb-sample">
+                    <div class="ecb-sample-header">
+                        <strong>${REOT.i18n.t('tools.block-cipher.line', '第 {line} 行', { line: result.index + 1 })}</strong>
+                        ${verdict}
+                        <span class="ecb-note">${escapeHtml(summary)}</span>
+                        ${trailing}
+                    </div>
+                    <div class="ecb-blocks">${blocks.join('')}</div>
+                </div>
+            `;
+        }).join('');
+        container.hidden = false;
+    }
+
+    // ========== 渲染：比特翻转 ==========
+
+    /**
+     * 执行比特翻转并渲染
+     */
+    function runBitFlip() {
+        const { ciphertext, format, iv, blockSize } = getCommonInput();
+        const flipFormat = document.getElementById('flip-format').value;
+        const read = id => {
+            const value = document.getElementById(id).value;
+            return flipFormat === 'text' ? REOT.bytes.fromText(value) : REOT.bytes.fromHex(value);
+        };
+        const result = cbcBitFlip(ciphertext, {
+            original: read('flip-original'),
+            desired: read('flip-desired'),
+            offset: parseInt(document.getElementById('flip-offset').value) || 0,
+            iv,
+            blockSize
+        });
+
+        document.getElementById('flip-ciphertext').value = REOT.bytes.format(result.ciphertext, format);
+        document.getElementById('flip-iv-group').hidden = !result.iv;
+        document.getElementById('flip-iv').value = result.iv ? REOT.bytes.toHex(result.iv) : '';
+
+        const rows = result.changes.map(change => {
+            const where = change.target === 'iv'
+                ? `IV[${change.index}]`
+                : `${REOT.i18n.t('tools.block-cipher.ciphertextBlock', '密文块')} ${change.block}[${change.index}]`;
+            return `
+                <tr>
+                    <td>${change.plaintextOffset}</td>
+                    <td>${where}</td>
+                    <td><code>${hexByte(change.from)}</code></td>
+                    <td><code>${hexByte(change.to)}</code></td>
+                    <td><code>${hexByte(change.delta)}</code></td>
+                </tr>
+            `;
+        }).join('');
+        document.getElementById('flip-changes').innerHTML = result.changes.length
+            ? `
+                <table class="flip-table">
+                    <thead>
+                        <tr>
+                            <th>${REOT.i18n.t('tools.block-cipher.plaintextOffset', '明文偏移')}</th>
+                            <th>${REOT.i18n.t('tools.block-cipher.modifiedByte', '修改位置')}</th>
+                            <th>${REOT.i18n.t('tools.block-cipher.before', '原值')}</th>
+                            <th>${REOT.i18n.t('tools.block-cipher.after', '新值')}</th>
+                            <th>${REOT.i18n.t('tools.block-cipher.delta', '异或差值')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `
+            : `<p class="flip-note">${REOT.i18n.t('tools.block-cipher.noChanges', '原始明文与目标明文相同，无需修改')}</p>`;
+
+        const warning = document.getElementById('flip-warning');
+        warning.hidden = result.garbledBlocks.length === 0;
+        warning.textContent = REOT.i18n.t('tools.block-cipher.garbledBlocks', '注意：明文第 {blocks} 块的密文被修改，解密后会变成乱码', {
+            blocks: result.garbledBlocks.map(block => block + 1).join(', ')
+        });
+        document.getElementById('flip-result').hidden = false;
+    }
+
+    // ========== 事件 ==========
+
+    /**
+     * 切换模式
+     * @param {string} mode
+     */
+    function switchMode(mode) {
+        document.querySelectorAll('.mode-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === mode);
+        });
+        document.querySelectorAll('.mode-content').forEach(content => {
+            content.hidden = content.id !== `mode-${mode}`;
+        });
+    }
+
+    /**
+     * 执行操作并统一显示错误
+     * @param {Function} action
+     */
+    async function run(action) {
+        try {
+            await action();
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+    }
+
+    document.addEventListener('click', async (e) => {
+        if (!isBlockCipherToolActive()) {
+            return;
+        }
+        const target = e.target;
+
+        if (target.classList.contains('mode-tab')) {
+            switchMode(target.dataset.mode);
+        } else if (target.closest('#oracle-start-btn')) {
+            await run(runOracleAttack);
+        } else if (target.closest('#oracle-stop-btn')) {
+            if (oracleJob) {
+                oracleJob.cancelled = true;
+            }
+        } else if (target.closest('#oracle-demo-btn')) {
+            await run(generateOracleDemo);
+        } else if (target.closest('#ecb-detect-btn')) {
+            await run(runEcbDetect);
+        } else if (target.closest('#flip-btn')) {
+            await run(runBitFlip);
+        } else if (target.closest('.copy-btn')) {
+            const text = document.getElementById(target.closest('.copy-btn').dataset.target)?.value;
+            if (text && await REOT.utils?.copyToClipboard(text)) {
+                REOT.utils?.showNotification(REOT.i18n.t('common.copied', '已复制'), 'success');
+            }
+        }
+    });
+
+    document.addEventListener('change', (e) => {
+        if (!isBlockCipherToolActive()) {
+            return;
+        }
+        if (e.target.id === 'oracle-type') {
+            updateOracleType();
+        }
+    });
+
+    // 导出到全局
+    window.BlockCipherTool = {
+        paddingOracleAttack,
+        createKeyOracle,
+        compileOracle,
+        detectEcb,
+        cbcBitFlip
+    };
+
+})();
@@ -0,0 +1,333 @@
+/**
+ * 古典密码工具
+ * @description Caesar、Vigenère、Affine、Atbash、Playfair、栅栏与单表替换的加解密和自动破解
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    // 支持自动破解的密码
+    const SOLVABLE = ['caesar', 'affine', 'vigenere', 'substitution'];
+
+    // 候选结果最多显示的条数
+    const MAX_CANDIDATES = 10;
+
+    // 候选结果预览的长度
+    const PREVIEW_LENGTH = 80;
+
+    // 当前显示的破解候选
+    let candidates = [];
+
+    /**
+     * 检查当前是否在古典密码工具页面
+     */
+    function isClassicalCipherToolActive() {
+        const route = REOT.router?.getRoute();
+        return route && route.includes('/tools/reverse/classical-cipher');
+    }
+
+    /**
+     * 转义 HTML
+     */
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+
+    /**
+     * 加载频率统计与古典密码核心
+     * @returns {Promise<Object>} REOT.classical
+     */
+    async function loadCore() {
+        await REOT.loader.loadScript('tools/reverse/frequency-analyzer/frequency-core.js');
+        await REOT.loader.loadScript('tools/reverse/classical-cipher/classical-core.js');
+        return REOT.classical;
+    }
+
+    // ========== 参数 ==========
+
+    /**
+     * 获取当前选择的密码
+     * @returns {string}
+     */
+    function getCipher() {
+        return document.getElementById('cipher-select').value;
+    }
+
+    /**
+     * 读取参数输入框
+     * @returns {Object}
+     */
+    function getParams() {
+        const value = id => document.getElementById(id).value;
+        return {
+            shift: parseInt(value('param-shift'), 10) || 0,
+            a: parseInt(value('param-a'), 10),
+            b: parseInt(value('param-b'), 10) || 0,
+            key: value('param-key'),
+            rails: parseInt(value('param-rails'), 10),
+            offset: parseInt(value('param-offset'), 10) || 0
+        };
+    }
+
+    /**
+     * 根据所选密码显示对应的参数和按钮
+     */
+    async function updateCipherOptions() {
+        const classical = await loadCore();
+        const cipher = getCipher();
+        const params = classical.CIPHERS[cipher].params;
+        document.querySelectorAll('[data-param]').forEach(group => {
+            group.hidden = !params.includes(group.dataset.param);
+        });
+        document.getElementById('solve-btn').disabled = !SOLVABLE.includes(cipher);
+        // 候选结果只对应之前选择的密码
+        document.getElementById('solve-section').hidden = true;
+        candidates = [];
+        updateKeyTable(classical);
+    }
+
+    /**
+     * 显示 Playfair 方阵或单表替换的字母对照表
+     * @param {Object} classical - REOT.classical
+     */
+    function updateKeyTable(classical) {
+        const container = document.getElementById('key-table');
+        const cipher = getCipher();
+        const key = document.getElementById('param-key').value;
+        container.hidden = true;
+
+        if (cipher === 'playfair') {
+            const square = classical.playfairSquare(key);
+            container.innerHTML = `<div class="playfair-square">${square.split('').map(char => `<span>${char}</span>`).join('')}</div>`;
+            container.hidden = false;
+        } else if (cipher === 'substitution' && /[A-Za-z]/.test(key)) {
+            const alphabet = classical.substitutionAlphabet(key);
+            container.innerHTML = `
+                <div class="alphabet-row"><span class="alphabet-label">${REOT.i18n.t('tools.classical-cipher.plain', '明文')}</span><code>${classical.ALPHABET}</code></div>
+                <div class="alphabet-row"><span class="alphabet-label">${REOT.i18n.t('tools.classical-cipher.cipherText', '密文')}</span><code>${alphabet}</code></div>
+            `;
+            container.hidden = false;
+        }
+    }
+
+    // ========== 加解密 ==========
+
+    /**
+     * 执行加密或解密
+     * @param {boolean} decrypt
+     */
+    async function transform(decrypt) {
+        const classical = await loadCore();
+        const input = document.getElementById('input').value;
+        if (!input) {
+            throw new Error(REOT.i18n.t('tools.classical-cipher.inputRequired', '请输入内容'));
+        }
+        const action = decrypt ? classical.decrypt : classical.encrypt;
+        document.getElementById('output').value = action(getCipher(), input, getParams());
+    }
+
+    // ========== 自动破解 ==========
+
+    /**
+     * 自动破解并显示候选结果
+     */
+    async function solve() {
+        const classical = await loadCore();
+        const input = document.getElementById('input').value;
+        if (!/[A-Za-z]/.test(input)) {
+            throw new Error(REOT.i18n.t('tools.classical-cipher.lettersRequired', '密文中没有英文字母'));
+        }
+
+        const cipher = getCipher();
+        const note = document.getElementById('solve-note');
+        const keyLengths = document.getElementById('key-lengths');
+        keyLengths.hidden = true;
+
+        switch (cipher) {
+        case 'caesar':
+            candidates = classical.solveCaesar(input).slice(0, MAX_CANDIDATES).map(result => ({
+                label: `shift = ${result.shift}`,
+                score: `χ² ${result.score.toFixed(1)}`,
+                text: result.text,
+                params: { 'param-shift': result.shift }
+            }));
+            note.textContent = REOT.i18n.t('tools.classical-cipher.chiNote', '按与英语字母频率的卡方值排序，越小越接近英语');
+            break;
+        case 'affine':
+            candidates = classical.solveAffine(input).slice(0, MAX_CANDIDATES).map(result => ({
+                label: `a = ${result.a}, b = ${result.b}`,
+                score: `χ² ${result.score.toFixed(1)}`,
+                text: result.text,
+                params: { 'param-a': result.a, 'param-b': result.b }
+            }));
+            note.textContent = REOT.i18n.t('tools.classical-cipher.chiNote', '按与英语字母频率的卡方值排序，越小越接近英语');
+            break;
+        case 'vigenere':
+            renderKeyLengths(classical.vigenereKeyLengths(input).slice(0, 8));
+            candidates = classical.solveVigenere(input).map(result => ({
+                label: result.key,
+                score: result.score.toFixed(2),
+                text: result.text,
+                params: { 'param-key': result.key }
+            }));
+            note.textContent = REOT.i18n.t('tools.classical-cipher.trigramNote', '按三字母组评分（平均 log10 概率）排序，越大越接近英语');
+            break;
+        case 'substitution': {
+            const button = document.getElementById('solve-btn');
+            button.disabled = true;
+            note.textContent = REOT.i18n.t('tools.classical-cipher.solving', '正在爬山搜索…');
+            // 让浏览器先渲染提示再开始计算
+            await new Promise(resolve => setTimeout(resolve, 20));
+            try {
+                const result = classical.solveSubstitution(input);
+                candidates = [{
+                    label: result.key,
+                    score: result.score.toFixed(2),
+                    text: result.text,
+                    params: { 'param-key': result.key }
+                }];
+            } finally {
+                button.disabled = false;
+            }
+            note.textContent = REOT.i18n.t('tools.classical-cipher.substitutionNote', '密钥为明文 A-Z 对应的密文字母；随机搜索每次结果可能不同，可再次破解或手工修改密钥');
+            break;
+        }
+        default:
+            throw new Error(REOT.i18n.t('tools.classical-cipher.notSolvable', '该密码不支持自动破解'));
+        }
+
+        renderCandidates();
+        applyCandidate(0);
+        document.getElementById('solve-section').hidden = false;
+    }
+
+    /**
+     * 显示 Vigenère 密钥长度估计
+     * @param {Array<Object>} lengths
+     */
+    function renderKeyLengths(lengths) {
+        const container = document.getElementById('key-lengths');
+        container.innerHTML = `
+            <table class="candidate-table">
+                <thead>
+                    <tr>
+                        <th>${REOT.i18n.t('tools.classical-cipher.keyLength', '密钥长度')}</th>
+                        <th>${REOT.i18n.t('tools.classical-cipher.ioc', '平均重合指数')}</th>
+                        <th>${REOT.i18n.t('tools.classical-cipher.kasiski', 'Kasiski 整除比例')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lengths.map(item => `
+                        <tr>
+                            <td>${item.length}</td>
+                            <td>${item.ioc.toFixed(4)}</td>
+                            <td>${(item.kasiski * 100).toFixed(1)}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        container.hidden = false;
+    }
+
+    /**
+     * 显示候选结果
+     */
+    function renderCandidates() {
+        document.getElementById('candidate-tbody').innerHTML = candidates.map((candidate, index) => `
+            <tr>
+                <td class="key-cell"><code>${escapeHtml(candidate.label)}</code></td>
+                <td>${candidate.score}</td>
+                <td class="preview-cell">${escapeHtml(candidate.text.slice(0, PREVIEW_LENGTH))}</td>
+                <td><button class="btn btn--sm btn--outline apply-btn" data-index="${index}">${REOT.i18n.t('tools.classical-cipher.apply', '使用')}</button></td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 使用某个候选：填入密钥参数并输出明文
+     * @param {number} index
+     */
+    function applyCandidate(index) {
+        const candidate = candidates[index];
+        if (!candidate) {
+            return;
+        }
+        Object.entries(candidate.params).forEach(([id, value]) => {
+            document.getElementById(id).value = value;
+        });
+        document.getElementById('output').value = candidate.text;
+        if (REOT.classical) {
+            updateKeyTable(REOT.classical);
+        }
+    }
+
+    // ========== 事件 ==========
+
+    /**
+     * 执行操作并统一显示错误
+     * @param {Function} action
+     */
+    async function run(action) {
+        try {
+            await action();
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+    }
+
+    document.addEventListener('click', async (e) => {
+        if (!isClassicalCipherToolActive()) {
+            return;
+        }
+        const target = e.target;
+
+        if (target.closest('#encrypt-btn')) {
+            await run(() => transform(false));
+        } else if (target.closest('#decrypt-btn')) {
+            await run(() => transform(true));
+        } else if (target.closest('#solve-btn')) {
+            await run(solve);
+        } else if (target.closest('.apply-btn')) {
+            applyCandidate(parseInt(target.closest('.apply-btn').dataset.index, 10));
+        } else if (target.closest('#clear-btn')) {
+            document.getElementById('input').value = '';
+            document.getElementById('output').value = '';
+            document.getElementById('solve-section').hidden = true;
+            candidates = [];
+        } else if (target.closest('.copy-btn')) {
+            const text = document.getElementById(target.closest('.copy-btn').dataset.target)?.value;
+            if (text && await REOT.utils?.copyToClipboard(text)) {
+                REOT.utils?.showNotification(REOT.i18n.t('common.copied', '已复制'), 'success');
+            }
+        }
+    });
+
+    document.addEventListener('change', (e) => {
+        if (!isClassicalCipherToolActive()) {
+            return;
+        }
+        if (e.target.id === 'cipher-select') {
+            run(updateCipherOptions);
+        }
+    });
+
+    document.addEventListener('input', (e) => {
+        if (!isClassicalCipherToolActive()) {
+            return;
+        }
+        if (e.target.id === 'param-key' && REOT.classical) {
+            updateKeyTable(REOT.classical);
+        }
+    });
+
+    // 导出到全局
+    window.ClassicalCipherTool = {
+        loadCore
+    };
+
+})();
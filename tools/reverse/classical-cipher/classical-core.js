@@ -0,0 +1,623 @@
+/**
+ * 古典密码核心
+ * @description Caesar、Atbash、Affine、Vigenère、Playfair、栅栏、单表替换的加解密与自动破解
+ * @author Evil0ctal
+ * @license Apache-2.0
+ *
+ * 自动破解依赖 REOT.frequency（tools/reverse/frequency-analyzer/frequency-core.js）
+ */
+
+(function(root) {
+    'use strict';
+
+    root.REOT = root.REOT || {};
+
+    const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    // 与 26 互素的 a 值，Affine 密码只能使用这些乘数
+    const AFFINE_MULTIPLIERS = [1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25];
+
+    // 英语字母按频率从高到低排列，用作单表替换破解的初始密钥
+    const FREQUENCY_ORDER = 'ETAOINSHRDLCUMWFGYPBVKJXQZ';
+
+    // 单表替换破解时参与评分的最大字母数，更长的密文只取开头部分以控制耗时
+    const MAX_SOLVE_LETTERS = 2000;
+
+    // 各密码的参数
+    const CIPHERS = {
+        'caesar': { name: 'Caesar', params: ['shift'] },
+        'atbash': { name: 'Atbash', params: [] },
+        'affine': { name: 'Affine', params: ['a', 'b'] },
+        'vigenere': { name: 'Vigenère', params: ['key'] },
+        'playfair': { name: 'Playfair', params: ['key'] },
+        'rail-fence': { name: 'Rail Fence', params: ['rails', 'offset'] },
+        'substitution': { name: 'Substitution', params: ['key'] }
+    };
+
+    // ========== 工具函数 ==========
+
+    /**
+     * 非负取模
+     * @param {number} n
+     * @param {number} m
+     * @returns {number}
+     */
+    function mod(n, m) {
+        return ((n % m) + m) % m;
+    }
+
+    /**
+     * 获取频率统计核心
+     * @returns {Object} REOT.frequency
+     */
+    function getFrequency() {
+        if (!root.REOT.frequency) {
+            throw new Error('自动破解需要先加载 frequency-core.js');
+        }
+        return root.REOT.frequency;
+    }
+
+    /**
+     * 逐个替换字母，保留大小写和非字母字符
+     * @param {string} text
+     * @param {Function} fn - (字母序号 0-25, 第几个字母) => 新的字母序号
+     * @returns {string}
+     */
+    function mapLetters(text, fn) {
+        let position = 0;
+        return String(text).replace(/[A-Za-z]/g, char => {
+            const upper = char <= 'Z';
+            const index = char.toUpperCase().charCodeAt(0) - 65;
+            const mapped = ALPHABET[mod(fn(index, position++), 26)];
+            return upper ? mapped : mapped.toLowerCase();
+        });
+    }
+
+    /**
+     * 解析整数参数
+     * @param {*} value
+     * @param {string} name - 参数名（用于错误信息）
+     * @returns {number}
+     */
+    function toInteger(value, name) {
+        const number = Number(value);
+        if (!Number.isInteger(number)) {
+            throw new Error(`${name} 必须是整数`);
+        }
+        return number;
+    }
+
+    /**
+     * 模 26 乘法逆元
+     * @param {number} a
+     * @returns {number}
+     */
+    function inverse26(a) {
+        const normalized = mod(a, 26);
+        for (let x = 1; x < 26; x += 2) {
+            if ((normalized * x) % 26 === 1) {
+                return x;
+            }
+        }
+        throw new Error(`a 必须与 26 互素（可选值：${AFFINE_MULTIPLIERS.join(', ')}）`);
+    }
+
+    /**
+     * 由关键词生成密码字母表：关键词中的字母去重后排在前面，其余字母按顺序补齐
+     * @param {string} keyword
+     * @param {string} [alphabet] - 基础字母表
+     * @returns {string}
+     */
+    function keywordAlphabet(keyword, alphabet = ALPHABET) {
+        const letters = String(keyword).toUpperCase().replace(/[^A-Z]/g, '') + alphabet;
+        return [...new Set(letters)].filter(char => alphabet.includes(char)).join('');
+    }
+
+    // ========== 单表密码 ==========
+
+    /**
+     * Caesar 密码
+     * @param {string} text
+     * @param {number} shift - 右移位数
+     * @param {boolean} [decrypt]
+     * @returns {string}
+     */
+    function caesar(text, shift, decrypt = false) {
+        const value = toInteger(shift, '位移');
+        return mapLetters(text, index => index + (decrypt ? -value : value));
+    }
+
+    /**
+     * Atbash 密码（A↔Z、B↔Y…，加解密相同）
+     * @param {string} text
+     * @returns {string}
+     */
+    function atbash(text) {
+        return mapLetters(text, index => 25 - index);
+    }
+
+    /**
+     * Affine 密码：E(x) = (a·x + b) mod 26
+     * @param {string} text
+     * @param {number} a - 与 26 互素
+     * @param {number} b
+     * @param {boolean} [decrypt]
+     * @returns {string}
+     */
+    function affine(text, a, b, decrypt = false) {
+        const multiplier = toInteger(a, 'a');
+        const offset = toInteger(b, 'b');
+        const inverse = inverse26(multiplier);
+        return decrypt
+            ? mapLetters(text, index => inverse * (index - offset))
+            : mapLetters(text, index => multiplier * index + offset);
+    }
+
+    /**
+     * 解析单表替换密钥
+     * @param {string} key - 26 个不重复字母组成的密码字母表，或用于生成字母表的关键词
+     * @returns {string} 明文 A-Z 依次对应的密文字母
+     */
+    function substitutionAlphabet(key) {
+        const letters = String(key || '').toUpperCase().replace(/[^A-Z]/g, '');
+        if (!letters) {
+            throw new Error('密钥必须包含字母');
+        }
+        if (letters.length === 26 && new Set(letters).size === 26) {
+            return letters;
+        }
+        return keywordAlphabet(letters);
+    }
+
+    /**
+     * 单表替换密码
+     * @param {string} text
+     * @param {string} key - 密码字母表或关键词
+     * @param {boolean} [decrypt]
+     * @returns {string}
+     */
+    function substitution(text, key, decrypt = false) {
+        const alphabet = substitutionAlphabet(key);
+        return decrypt
+            ? mapLetters(text, index => alphabet.indexOf(ALPHABET[index]))
+            : mapLetters(text, index => alphabet.charCodeAt(index) - 65);
+    }
+
+    // ========== 多表与置换密码 ==========
+
+    /**
+     * Vigenère 密码，非字母字符原样保留且不消耗密钥
+     * @param {string} text
+     * @param {string} key
+     * @param {boolean} [decrypt]
+     * @returns {string}
+     */
+    function vigenere(text, key, decrypt = false) {
+        const shifts = String(key || '').toUpperCase().replace(/[^A-Z]/g, '').split('')
+            .map(char => char.charCodeAt(0) - 65);
+        if (shifts.length === 0) {
+            throw new Error('密钥必须包含字母');
+        }
+        return mapLetters(text, (index, position) => {
+            const shift = shifts[position % shifts.length];
+            return index + (decrypt ? -shift : shift);
+        });
+    }
+
+    /**
+     * 生成 Playfair 5×5 方阵（I/J 合并）
+     * @param {string} key
+     * @returns {string} 按行排列的 25 个字母
+     */
+    function playfairSquare(key) {
+        return keywordAlphabet(String(key || '').toUpperCase().replace(/J/g, 'I'), 'ABCDEFGHIKLMNOPQRSTUVWXYZ');
+    }
+
+    /**
+     * Playfair 加密前的明文整理：只保留字母，J 视为 I，
+     * 同组两个字母相同时插入 X（字母本身为 X 时插入 Q），长度为奇数时末尾补 X（或 Q）
+     * @param {string} text
+     * @returns {string}
+     */
+    function playfairPrepare(text) {
+        const letters = String(text).toUpperCase().replace(/[^A-Z]/g, '').replace(/J/g, 'I');
+        let result = '';
+        let i = 0;
+        while (i < letters.length) {
+            const first = letters[i];
+            const second = letters[i + 1];
+            const filler = first === 'X' ? 'Q' : 'X';
+            if (second === undefined || second === first) {
+                result += first + filler;
+                i++;
+            } else {
+                result += first + second;
+                i += 2;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Playfair 密码，输出为大写字母；解密结果保留加密时插入的填充字母
+     * @param {string} text
+     * @param {string} key
+     * @param {boolean} [decrypt]
+     * @returns {string}
+     */
+    function playfair(text, key, decrypt = false) {
+        const square = playfairSquare(key);
+        let letters;
+        if (decrypt) {
+            letters = String(text).toUpperCase().replace(/[^A-Z]/g, '').replace(/J/g, 'I');
+            if (letters.length % 2 !== 0) {
+                throw new Error('Playfair 密文的字母数必须为偶数');
+            }
+        } else {
+            letters = playfairPrepare(text);
+        }
+
+        const step = decrypt ? 4 : 1;
+        let result = '';
+        for (let i = 0; i < letters.length; i += 2) {
+            const a = square.indexOf(letters[i]);
+            const b = square.indexOf(letters[i + 1]);
+            const [rowA, colA, rowB, colB] = [Math.floor(a / 5), a % 5, Math.floor(b / 5), b % 5];
+            if (rowA === rowB) {
+                result += square[rowA * 5 + (colA + step) % 5] + square[rowB * 5 + (colB + step) % 5];
+            } else if (colA === colB) {
+                result += square[((rowA + step) % 5) * 5 + colA] + square[((rowB + step) % 5) * 5 + colB];
+            } else {
+                result += square[rowA * 5 + colB] + square[rowB * 5 + colA];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 计算栅栏密码中每个字符所在的栏
+     * @param {number} length
+     * @param {number} rails
+     * @param {number} offset - 起始位置在锯齿周期中的偏移
+     * @returns {number[]}
+     */
+    function railPattern(length, rails, offset) {
+        const cycle = 2 * (rails - 1);
+        return Array.from({ length }, (_, i) => {
+            const position = mod(i + offset, cycle);
+            return position < rails ? position : cycle - position;
+        });
+    }
+
+    /**
+     * 栅栏密码（锯齿形），对全部字符生效
+     * @param {string} text
+     * @param {number} rails - 栏数，至少为 2
+     * @param {number} [offset]
+     * @param {boolean} [decrypt]
+     * @returns {string}
+     */
+    function railFence(text, rails, offset = 0, decrypt = false) {
+        const railCount = toInteger(rails, '栏数');
+        if (railCount < 2) {
+            throw new Error('栏数至少为 2');
+        }
+        const chars = Array.from(String(text));
+        const pattern = railPattern(chars.length, railCount, toInteger(offset, '偏移'));
+        // 按栏排序后的原始位置
+        const order = pattern.map((rail, index) => index).sort((x, y) => pattern[x] - pattern[y] || x - y);
+
+        if (!decrypt) {
+            return order.map(index => chars[index]).join('');
+        }
+        const result = new Array(chars.length);
+        order.forEach((index, i) => {
+            result[index] = chars[i];
+        });
+        return result.join('');
+    }
+
+    // ========== 统一入口 ==========
+
+    /**
+     * 按名称执行加密或解密
+     * @param {string} cipher - CIPHERS 中的名称
+     * @param {string} text
+     * @param {Object} params
+     * @param {boolean} decrypt
+     * @returns {string}
+     */
+    function transform(cipher, text, params, decrypt) {
+        const options = params || {};
+        switch (cipher) {
+        case 'caesar':
+            return caesar(text, options.shift, decrypt);
+        case 'atbash':
+            return atbash(text);
+        case 'affine':
+            return affine(text, options.a, options.b, decrypt);
+        case 'vigenere':
+            return vigenere(text, options.key, decrypt);
+        case 'playfair':
+            return playfair(text, options.key, decrypt);
+        case 'rail-fence':
+            return railFence(text, options.rails, options.offset || 0, decrypt);
+        case 'substitution':
+            return substitution(text, options.key, decrypt);
+        default:
+            throw new Error(`不支持的密码: ${cipher}`);
+        }
+    }
+
+    /**
+     * 加密
+     * @param {string} cipher
+     * @param {string} text
+     * @param {Object} [params]
+     * @returns {string}
+     */
+    function encrypt(cipher, text, params) {
+        return transform(cipher, text, params, false);
+    }
+
+    /**
+     * 解密
+     * @param {string} cipher
+     * @param {string} text
+     * @param {Object} [params]
+     * @returns {string}
+     */
+    function decrypt(cipher, text, params) {
+        return transform(cipher, text, params, true);
+    }
+
+    // ========== 自动破解：单表 ==========
+
+    /**
+     * 穷举 Caesar 的 26 种位移，按与英语频率的卡方值从小到大排序
+     * @param {string} text
+     * @returns {Array<{shift: number, text: string, score: number}>}
+     */
+    function solveCaesar(text) {
+        const { chiSquared } = getFrequency();
+        return Array.from({ length: 26 }, (_, shift) => {
+            const plaintext = caesar(text, shift, true);
+            return { shift, text: plaintext, score: chiSquared(plaintext) };
+        }).sort((x, y) => x.score - y.score || x.shift - y.shift);
+    }
+
+    /**
+     * 穷举 Affine 的 312 组密钥，按卡方值从小到大排序
+     * @param {string} text
+     * @returns {Array<{a: number, b: number, text: string, score: number}>}
+     */
+    function solveAffine(text) {
+        const { chiSquared } = getFrequency();
+        const results = [];
+        AFFINE_MULTIPLIERS.forEach(a => {
+            for (let b = 0; b < 26; b++) {
+                const plaintext = affine(text, a, b, true);
+                results.push({ a, b, text: plaintext, score: chiSquared(plaintext) });
+            }
+        });
+        return results.sort((x, y) => x.score - y.score);
+    }
+
+    // ========== 自动破解：Vigenère ==========
+
+    /**
+     * Kasiski 测试：统计重复出现的 3 字母以上片段之间的距离
+     * @param {string} letters - 仅含大写字母
+     * @returns {number[]} 距离列表
+     */
+    function kasiskiDistances(letters) {
+        const positions = new Map();
+        for (let i = 0; i + 3 <= letters.length; i++) {
+            const gram = letters.slice(i, i + 3);
+            if (!positions.has(gram)) {
+                positions.set(gram, []);
+            }
+            positions.get(gram).push(i);
+        }
+        const distances = [];
+        positions.forEach(list => {
+            for (let i = 1; i < list.length; i++) {
+                distances.push(list[i] - list[i - 1]);
+            }
+        });
+        return distances;
+    }
+
+    /**
+     * 按列拆分字母
+     * @param {string} letters
+     * @param {number} length - 密钥长度
+     * @returns {string[]}
+     */
+    function splitColumns(letters, length) {
+        const columns = new Array(length).fill('');
+        for (let i = 0; i < letters.length; i++) {
+            columns[i % length] += letters[i];
+        }
+        return columns;
+    }
+
+    /**
+     * 估计 Vigenère 密钥长度：结合 Kasiski 测试（重复片段距离能被该长度整除的比例）
+     * 与各列的平均重合指数；分数接近最高分的候选中优先较短的长度，避免把密钥长度的倍数排在前面
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.maxLength=20]
+     * @returns {Array<{length: number, ioc: number, kasiski: number, score: number}>} 按可能性排序
+     */
+    function vigenereKeyLengths(text, options = {}) {
+        const frequency = getFrequency();
+        const letters = frequency.lettersOnly(text);
+        // 每列至少需要 2 个字母才能计算重合指数
+        const maxLength = Math.min(options.maxLength || 20, Math.floor(letters.length / 2));
+        if (maxLength < 1) {
+            throw new Error('密文字母太少，无法估计密钥长度');
+        }
+
+        const distances = kasiskiDistances(letters);
+        const candidates = [];
+        for (let length = 1; length <= maxLength; length++) {
+            const columns = splitColumns(letters, length);
+            const ioc = columns.reduce((sum, column) => sum + frequency.indexOfCoincidence(column), 0) / length;
+            const kasiski = distances.length
+                ? distances.filter(distance => distance % length === 0).length / distances.length
+                : 0;
+            // 随机距离能被 length 整除的概率为 1/length，只计超出部分；长度为 1 时没有区分度
+            const excess = length > 1 ? Math.max(0, (kasiski - 1 / length) / (1 - 1 / length)) : 0;
+            const score = ioc / frequency.ENGLISH_IOC + excess;
+            candidates.push({ length, ioc, kasiski, score });
+        }
+
+        const best = Math.max(...candidates.map(candidate => candidate.score));
+        const near = candidate => candidate.score >= best * 0.9;
+        return [
+            ...candidates.filter(near),
+            ...candidates.filter(candidate => !near(candidate)).sort((x, y) => y.score - x.score)
+        ];
+    }
+
+    /**
+     * 把周期性重复的密钥化简为最短周期，例如 KEYKEY → KEY
+     * @param {string} key
+     * @returns {string}
+     */
+    function reduceKey(key) {
+        for (let length = 1; length < key.length; length++) {
+            if (key.length % length === 0 && key.slice(0, length).repeat(key.length / length) === key) {
+                return key.slice(0, length);
+            }
+        }
+        return key;
+    }
+
+    /**
+     * 破解 Vigenère：对最可能的几个密钥长度逐列做 Caesar 卡方分析，
+     * 得到的候选明文再按三字母组评分排序
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.maxLength=20]
+     * @param {number} [options.candidates=5] - 尝试的密钥长度个数
+     * @returns {Array<{key: string, text: string, score: number}>}
+     */
+    function solveVigenere(text, options = {}) {
+        const frequency = getFrequency();
+        const letters = frequency.lettersOnly(text);
+        const lengths = vigenereKeyLengths(text, options).slice(0, options.candidates || 5);
+
+        const results = new Map();
+        lengths.forEach(({ length }) => {
+            const key = reduceKey(splitColumns(letters, length)
+                .map(column => ALPHABET[solveCaesar(column)[0].shift])
+                .join(''));
+            if (!results.has(key)) {
+                const plaintext = vigenere(text, key, true);
+                results.set(key, { key, text: plaintext, score: frequency.trigramScore(plaintext) });
+            }
+        });
+        return [...results.values()].sort((x, y) => y.score - x.score);
+    }
+
+    // ========== 自动破解：单表替换 ==========
+
+    /**
+     * 破解单表替换：以字母频率排序为初始密钥，随机交换两个字母并用三字母组评分做模拟退火爬山，
+     * 多次重启后取最优结果
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.iterations=20000] - 每轮交换次数
+     * @param {number} [options.restarts=3] - 重启次数
+     * @param {Function} [options.random=Math.random] - 随机数生成器，返回 [0, 1)
+     * @returns {{key: string, text: string, score: number}} key 为明文 A-Z 对应的密文字母表
+     */
+    function solveSubstitution(text, options = {}) {
+        const frequency = getFrequency();
+        const table = frequency.getTrigramTable();
+        const iterations = options.iterations || 20000;
+        const restarts = options.restarts || 3;
+        const random = options.random || Math.random;
+
+        const letters = frequency.lettersOnly(text).slice(0, MAX_SOLVE_LETTERS);
+        if (letters.length < 3) {
+            throw new Error('密文字母太少，无法破解');
+        }
+        const cipher = Array.from(letters, char => char.charCodeAt(0) - 65);
+
+        // decode[密文字母] = 明文字母
+        const score = decode => {
+            let sum = 0;
+            for (let i = 0; i + 2 < cipher.length; i++) {
+                sum += table[decode[cipher[i]] * 676 + decode[cipher[i + 1]] * 26 + decode[cipher[i + 2]]];
+            }
+            return sum;
+        };
+
+        // 初始密钥：密文中出现越多的字母对应英语中越常见的字母
+        const { counts } = frequency.countLetters(letters);
+        const initial = new Array(26);
+        Array.from({ length: 26 }, (_, i) => i)
+            .sort((x, y) => counts[y] - counts[x] || x - y)
+            .forEach((letter, rank) => {
+                initial[letter] = FREQUENCY_ORDER.charCodeAt(rank) - 65;
+            });
+
+        let best = { decode: initial, score: score(initial) };
+        for (let round = 0; round < restarts; round++) {
+            const decode = initial.slice();
+            let current = score(decode);
+            const temperature = cipher.length / 20;
+            for (let step = 0; step < iterations; step++) {
+                const t = temperature * (1 - step / iterations) + 1e-3;
+                const i = Math.floor(random() * 26);
+                const j = (i + 1 + Math.floor(random() * 25)) % 26;
+                [decode[i], decode[j]] = [decode[j], decode[i]];
+                const next = score(decode);
+                if (next >= current || random() < Math.exp((next - current) / t)) {
+                    current = next;
+                    if (current > best.score) {
+                        best = { decode: decode.slice(), score: current };
+                    }
+                } else {
+                    [decode[i], decode[j]] = [decode[j], decode[i]];
+                }
+            }
+        }
+
+        // 转换为加密方向的密码字母表
+        const key = new Array(26);
+        best.decode.forEach((plain, cipherLetter) => {
+            key[plain] = ALPHABET[cipherLetter];
+        });
+        const keyString = key.join('');
+        const plaintext = substitution(text, keyString, true);
+        return { key: keyString, text: plaintext, score: frequency.trigramScore(plaintext) };
+    }
+
+    root.REOT.classical = {
+        ALPHABET,
+        AFFINE_MULTIPLIERS,
+        CIPHERS,
+        caesar,
+        atbash,
+        affine,
+        vigenere,
+        playfair,
+        playfairSquare,
+        railFence,
+        substitution,
+        substitutionAlphabet,
+        keywordAlphabet,
+        encrypt,
+        decrypt,
+        solveCaesar,
+        solveAffine,
+        vigenereKeyLengths,
+        solveVigenere,
+        solveSubstitution
+    };
+
+})(typeof window !== 'undefined' ? window : self);
@@ -8,15 +8,6 @@
 (function() {
     'use strict';
 
-    // 英语字母频率（来自 Wikipedia）
-    const ENGLISH_FREQUENCY = {
-        'E': 12.702, 'T': 9.056, 'A': 8.167, 'O': 7.507, 'I': 6.966,
-        'N': 6.749, 'S': 6.327, 'H': 6.094, 'R': 5.987, 'D': 4.253,
-        'L': 4.025, 'C': 2.782, 'U': 2.758, 'M': 2.406, 'W': 2.360,
-        'F': 2.228, 'G': 2.015, 'Y': 1.974, 'P': 1.929, 'B': 1.492,
-        'V': 0.978, 'K': 0.772, 'J': 0.153, 'X': 0.150, 'Q': 0.095, 'Z': 0.074
-    };
-
     let analysisResult = null;
 
     /**
@@ -27,6 +18,15 @@
         return route && route.includes('/tools/reverse/frequency-analyzer');
     }
 
+    /**
+     * 加载英文频率统计核心
+     * @returns {Promise<Object>} REOT.frequency
+     */
+    async function loadCore() {
+        await REOT.loader.loadScript('tools/reverse/frequency-analyzer/frequency-core.js');
+        return REOT.frequency;
+    }
+
     /**
      * 分析字符频率
      */
@@ -227,9 +227,9 @@
     }
 
     /**
-     * 与英语频率对比
+     * 与英语频率对比，并给出卡方值与重合指数
      */
-    function compareWithEnglish() {
+    async function compareWithEnglish() {
         if (!analysisResult) {
             REOT.utils?.showNotification('请先进行分析', 'warning');
             return;
@@ -240,6 +240,9 @@
 
         if (!container || !section) return;
 
+        const frequency = await loadCore();
+        const ENGLISH_FREQUENCY = frequency.ENGLISH_FREQUENCY;
+
         // 构建输入频率映射（只看字母）
         const inputFreq = {};
         for (const item of analysisResult.items) {
@@ -284,6 +287,13 @@
         `;
 
         container.innerHTML = html;
+
+        // 卡方值越小越接近英语；重合指数接近 0.0667 说明是英语或单表替换，接近 0.0385 则更像多表替换或随机文本
+        const input = document.getElementById('input')?.value || '';
+        const chiSquared = frequency.chiSquared(input);
+        document.getElementById('comparison-stats').textContent =
+            `χ² = ${Number.isFinite(chiSquared) ? chiSquared.toFixed(2) : '-'}  ` +
+            `IoC = ${frequency.indexOfCoincidence(input).toFixed(4)}（英语 ≈ ${frequency.ENGLISH_IOC}，随机 ≈ 0.0385）`;
         section.style.display = 'block';
     }
 
@@ -337,7 +347,9 @@
 
         // 对比英语按钮
         if (target.id === 'compare-english-btn' || target.closest('#compare-english-btn')) {
-            compareWithEnglish();
+            compareWithEnglish().catch(error => {
+                REOT.utils?.showNotification(error.message, 'error');
+            });
         }
     });
 
@@ -354,6 +366,6 @@
     });
 
     // 导出工具函数
-    window.FrequencyAnalyzer = { analyzeCharFrequency, analyzeByteFrequency, analyzeNgram, ENGLISH_FREQUENCY };
+    window.FrequencyAnalyzer = { analyzeCharFrequency, analyzeByteFrequency, analyzeNgram, loadCore };
 
 })();
@@ -0,0 +1,163 @@
+/**
+ * 英文频率统计核心
+ * @description 英语字母频率、卡方检验、重合指数与三字母组（trigram）评分，供频率分析与古典密码工具共用
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    root.REOT = root.REOT || {};
+
+    const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    // 英语字母频率（百分比，来自 Wikipedia）
+    const ENGLISH_FREQUENCY = {
+        'E': 12.702, 'T': 9.056, 'A': 8.167, 'O': 7.507, 'I': 6.966,
+        'N': 6.749, 'S': 6.327, 'H': 6.094, 'R': 5.987, 'D': 4.253,
+        'L': 4.025, 'C': 2.782, 'U': 2.758, 'M': 2.406, 'W': 2.360,
+        'F': 2.228, 'G': 2.015, 'Y': 1.974, 'P': 1.929, 'B': 1.492,
+        'V': 0.978, 'K': 0.772, 'J': 0.153, 'X': 0.150, 'Q': 0.095, 'Z': 0.074
+    };
+
+    // 英语文本的重合指数期望值；均匀随机字母约为 1/26 ≈ 0.0385
+    const ENGLISH_IOC = 0.0667;
+
+    // 英语三字母组对数概率表，由约 36 万字母的英文技术文档与开源许可证文本统计得到。
+    // 每行对应一个首字母，共 26 × 26 个字符；字符 c 在 0-9A-Za-z 中的序号为 level，
+    // log10(p) = -(level / 10 + 1.5)，未出现的组合记为最大值 61
+    const TRIGRAM_ROWS = [
+        'zZWzzfzzzzzazVzzzfXazzzzzzWcTzVzzzMzzDzfLzzXPzZzzzazTzHzHzzHOzILzzGzVTzGazzzczQcfIJfcaLVzzafQzzWcZVTXzRzzzzzzzzzzzzfzzzzzzzzzzzXzzUzzzQOzzVzzYzzSzzRzNNzzzzzOzzzGzPzSzzYzzZzzNczczzzzzazzzZzzzzzzzzzzzzzzzzzzzzzzzzZzfWzzzzIKFzzzSLVzTzzzzzzzzzzzzzzzzzzTzzzzzfzzzzzczzzJzzzOzzzzzXTzZZczzzzzzKVLMKOTZHzYBPKKGfOGKGQOzZzLQVWDzcaLzzcRYLLzVMPSzTzVzHKH9HTHYJffWTIIYfQGENZczCzzfzzzXzzzzzzzczzzVzzzzzzzzKzzfPzzQWzzczzSFzMWUTzzzfzzzzzczzzzzzzzzzzzzzzSzzzzzGQNJBYHzFzQRaSRRzIRFWaUzDzIOTSGPWPJzRRSPMNzSDHOYSzNzITJOAScM8ffNOQJPaNKDMTNzJzzzzXzzRzzzzNzUzzzzJJzzzzzzLzzzHzzzNzzzzzRzzzzzzzzzzzQcfzWYzSRzzfzaLZzVUXzzzzazVzfZYZzfTzzzfWYzzfaWzzfzzzNMLQTcZVOzfzSOPQzSMSXffzTzzzzzfzzzYzzzzzzzzzzzzzzzXz',
+        'zcMazfUzzzzNzXzzzfKPzzzzzzzzzzzzzzzzzzzzzzzczzzzzzzzafzzzzzzczzTYfazzzZzzzzzzzXfczazzzczzzzzzzzzzzzzzzzzNcLLLORNLczMTRRSzIONNzYzVzzzzzzzzzzzzzzzfzzfzzzzzzzzzzzzzzzzZzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzWzzVzzzzKfIzzzzzNzzzzzzzzzzEzzzzzzzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzCzzzEzzzzzOzzzzfczzzPzfzzzzzfzXzzzzfzzzzzzzzzzzzzzzzcfzzzzzzzzfzzzzzzzzzzzzzzQzczzfzzYzfRzzXzPMNcczzTzzzZzzzzzzzzffzzXzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzEzzzPzzzYzzzzzVzzzzzczzzzzzzRzOfzzzzzzzzTzzzfPzzczzzTzzzzczZzzzzzzfzzzzzzzzzazzzzzzYPzNzzzzWzzzzUBzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzZzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzLWOUSZVzTZfVTSOQzTNHzWazRWzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'fNVzzfzzzzzFfFzPzQMFMazzzzzzzzzzzzzzzzzzzzzzzzczzzczZczzIzzffzzTfzMzzfzfMzfzzzzzzzZzzzYzzzzzczzzzzzzzzzzKOJLSNUUIacROAJFaMEJUVPzRzazzzYzzzczzzzzTzzzzzVzzzzzfzzzczzzfzzzzzzzzzzzzzzzzzEWLPMRYTKzcWOPMQzROMVTVzRzJzzRRJzzazzPTOfLzRMNzczzzzczzzzzzzzzzzzzzzzzzzzzzzzzNzRaQXzzPzzzfRVfzzSRczWzzzDzzzPzzzIzzzzzOzzzzzGzzzTzazzzTzzzzzzzzzczzfzzZzzzzzczfccfzzazzzfzfzzzfZczzzzzzYcFffSzzzzMCAZCzHSzMGzzzzYzzzYzzzzzzzzzzzzVzzzzzzTzzzzzzzzzzzzzzzzzzzzzVzzzzzfzzzJzzzIzzzzzTzzzzzczzzzzUzffVfzYXzzzzZYzzzzSafzzzzOTLWKSfTAzzMSRNazPILNWRzPzzzzzzzzzzzzMFfWzzJMHzzzzzzczzzfzzzzzzzzzzzzzzzzzzzzzfzzzczzfczzzzzczzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzXzfzzzzzzzzzWzzZzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'fOPWcUYzzzaOOIaPzJJIUzfzUzUzcaNfzzUzzcazVYzaafSzZzEzRzzzzzzRZfzRzzIfzfzfXzzzfzRfzzMzzzIzzzzZUfzTfTczzzYzKLKGSETcLzcOOHNMcCHITMOMUzTzzazzzzRzzzzzKazNfzRzzzzzzzzzPzzzVzzYYYczzZzzzzzzzzPzzzSzzzUzzzzzUzzzzazzzzzzRzIVZDWzfzzcUCzzzLDGPNzXzzXzzzzzzzzzzzzzzazzzzYzzzzzzzzzVzzzzzzzzfzzzzzzzzzzzzazzzLzzzLzzzzzRzzzzzzzzzVzPzzzSzzzczzzzzPzzzzzTzzzfzPZUYSWzfVzffcaMYzaWRWzYzzfZOGzKMzzfzzzNHZazJRNSaUzzzMzzzSzzzzzzVzzzzzOzzRzzzXzzzzzzzzzzzzzzzzzzzzzczzzzzQzfzKzzzUzzzzzfzzzzzWzzzzzOcRWQTfRQzzWTRLVzcWMQfXzWzfzzXTzzEzzzzzzFzzVzzazzzSzQzKzWzzzzzzLWKzSzSOXzzzzzzQzzzJzzzTzzzzzzzzzzzzzzzzzSzzzZzzMJzzzzzJzzfzzzzzzzzzzzzzzzzczzzzzzzzzzzzzzzXzccXzzfzzTzfzzSMazcaWzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'cNHIzPPzZzOJOCaLfHGGPQRzzfNzczMzZzQzzQzfPzzSccLzzzLzKzYzIZzMFzVKazBczRZAGzzzazFELPFIQPCczNPJDOfOKDKJGXSzPcUJWPzzRzfQPIUNSOIPZMfGSzLzzzINzzEzzRzfDzzIZPJzzzzzJcfzMzzzNzzQzKVVzOzfRzzzfzLzzzSzzzRzzzzzPzzzzYzzzzZzzzzRcKczczzcMDfVzLGHzLzzzzzzzzfzzzzzzzzzcazzzzVzzzzzzzzzRzzzczzzzzzzzzzzzzzzzzKcZMIQzzDzzMfYKYzzQZaTczJzHRcWCazzQzzVVTIMzfMROzVzfzHQFHFQQYKfXSRSGRzQA7OVUzOczJWzzEazzzzVZLzLzFzOPVfzzzGzzYLfzVSzzNcYOfzDTFLzzzWzzzzzzzzzzzzzfczzzzzzFzzzzzCMHNAJOREzUMDHHIzIACQIIzMfEPGODLWMGaWPOHDFWQDCGYLaMzJXWaEazAJzzWzcGzzLOPLzMzMzzzzzzzzzzzzzzKzZzzIzzzzzzzHzzzFzzzLzzzzzWzzzzzzzzzzzNzaZOTzJIzfSfcHSzSVffRzzzzLfFfHzzSNzzczVzHzcfGzzfzazMaTVQXzXNzYzYcIazWPQfXNzzzzzzzZzzzzzzzzzzzzzzzzzzzzz',
+        'faJTzTczPfzNZJzTcZOYNWYzzzXzzzazzzfzzzzzazzczzVzzzzzXzfzzzzXzzzazzMzzczzzzzzczTzzzSzzzTzzzzzXzzzzzzzzzczPzMcQfzzXzzcfVzzzFXzzzWSzzazzzHzzzOzzazzQzzQzzZzzzzzzzzzczzzzzzczzazzzzzzzzzzzazzzazzzYzzzzzVzzzzzzzzzzzYzHVGYfzzzzKaFzzzLaJzVzUzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczYzzzzzzzzazzzzzzzzzzzzVzzzSzzzQzzzzzOzzzzzzzzzzzTzzzSzzzzzzzzzTzzzzzWzzzzzUffzTfzfczzzfzSzzzcYYzzzzzzTczzTzzazzIzWaaz9zULzzzzzSzzzWzzaazzazzYzzPzzWzzzUzzzzzzzzzzzzzzzzzzzzzzzzzzzQzzzGzzzOzzzzzGzzzzzazzzzzzzfzPzzfazzzzzRYzzzSMzzzczaWzzMzz9VzaYzfWzzTcVccGzTzzzzzzzzzzzzNzGzazPRNzzzzzzWzzzazzzWzzzzzzzzzzzzzzzzzRzzzfzzTazzzzzZzzazzzzzzzzzzzzzzzzfzzzzzzzzzzzzzzzzzPYcZfzzfOzzzzzIzzzSOzzzzTzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'YWQWzfWfRzfMZKzRzMPJcYVzzzWzzzWzzzczzzzzazzzzzRzzzazYzzzzzzWczzVfzMzzfzzzzzzzzzzzzRzzzQzzzzzXzzzzzfzzzzzOWSNZPaWPzzXNGOYaLLJXWUQWzczzzczzzczzfzzRzzTzzSzzzzzzzzzRzzzTzzzzzzzzPzzzzzzzzQczfZfzzZzzWzYYzzzaEzzzzXzzSVfzWzzzzzzaIzzzzQNzKzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzZzzzzzzzzczzzzzzzzzzzzczzzNzzzPzzzzzNzzzzzzzzzVzUzzzPzzzazzXzzRzzfzzczzzzzNaUYNWzzPzccLYSzzZSSJzazzzZVZzaNzzczzzzRWRzNfVVRzzzzSzzzVzzzczzPzzQzzSzzXzzzczzzzzzzzzzzzzzzzzzzzzfzzzzzEzzzKzzzTzzzzzQzzzzzZzzzzzRzUzUazYTzfffYMXffaRUzczSzYzzzazzFzzzzzzNzzfzzzzfzUzNzzzzzzzQzzTJTZfzfTzzzzzzzVzzzSzzzfzzzzzzzzzzzzzzzzzXzzzzzzSMzzzzzZzzzzzzzzzzzzzazzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzfzzzzzTzzzzfzzzzzzzzzzZzzzzzzzzzzzzzzzzzzzzz',
+        'zRQUzazzYzfLVFzPzIIAVHUzzzzzzzVzzzzzzzzzazzczzzzzzfzSzzzfzzXczzVzzMzzzfzzzzzzzVzzzSzzzWzzzzzVzzczzzzzzZzGKDEGFIQGcUEGDGFUACFLNITKfczzzfzzzVzzczzUzzfzzWzzzzzzzzzazzzZzzzzzzzzfzzzzzzzzWzzzfzzzzzzzzzWzzzzzzzzzzzzQHaTVazzzzQfHYPzOBSzZzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzzzzzzczzzzzzzzzzzzfzzzczzzVzzzzzfzzzzzzzzzWzTzzzQzzzczzzzzRzzzzzSzzzfzzzafTczzXzzzfzRfzfcZazczzzcYWIYSzVSzzKTLPSzJKSHzJzzzSzzzczzzzzzczzzzzTzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzMzzzzzzzzzMzzzzzzzzzzzXzazTzzXczffzzSazzzPTzfzzzQYXWTWzFTfzRWOPXzVJRzzVzazzzzzzzzzzzzzZazfzzPzzzzzzzVzzzSzzzzzzzzzzzzzzzzzzzzzWzzzzzzYazzzzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzfzzzzzzzaPZzzSfzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'YJfzffzzfzzGfLcfzzTKZzczzzzzzzNzzzMzzKzzzzzFzzCzzzzzDfQW9TaHKzcITSPTzWOHMaXzzzRzXVEVzzSzzcfZYZzzfTQzfzzzzfWGzzzzzzzNzKzzzNERzQRfzzMfYWcLzaEzYzfRTVzfSHazZzGzPzzzYzzEKzzzzIzzzczzVzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzffzzzczzXzzzfXcfzzzXzzZzzzzzzzzzzzzzzzzzzzzzzfzzzzzzzzzzNzzzczzzzzzzzzzzzzzzzzKfcWIzzzIzzHzaVzzzPLTzzzOzMzQzJzzzJzzzOzTGzaOzTzfzzzDaFGDJ7SGfNSROLMWREBPJOzVazfzfzzzzzzzRz5zzzNzcNzzzzzRzZzffzzMzzOzzUazXVKfzazzzzzzzzzzzzzzzzzzzzzzzVzzzzzYzQNHfzzRzzYRWSazQNRWfWzzzHPIKFMPIGzVEMIKJcLHCOROzZzJWPSGPXBCzcIRRPWzPHJPfNzHzzzzzzzzzzzzzPzzzzzzzzzzzzzKzzzEczzLzzzzzzzzfzzzzzzzzzzzzzzzzZzzzzzzzzzzzzzzzzzzfzzTzzcfzzzfzZzzzzzzzzzzzzzzzzzzzzzzzzzfzzzzzzzzzzzOzzzMzzzUzzzzzzzzzzzzzzzzz',
+        'zzXzzzzzzzzzZzzzzzzzzczzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzEzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzfzzzzzzzzzzzzzzzzzzzzzzczzzzzzzzzzzzzzzTzzzzzzfzzzzzzzazzzzzzzzzzazzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzfzzzzzzzzzzzzzzzzzzzzzVzzzzzzzzzzzzzWTzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'zfaczzNzzzzZfPzfzVQZczczzzOzzzzzzzzzzzzzzzzzzzazzzZzazzzzzzzzzzfzfPzzzzzzzfzzzfzzzazzzzzzzzzzzzzzzczzzzzQfZNRZzcSzzWcVVYzQOOZfVTLzzzzzzzzzzzzzzzQzzTzzfzzzzzzzzzzzzzzzzzzzazzfzzzzzzzzYzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzazzazzczIzXzzRXzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzzzzzzzzzzczzzzzzzVzzzzzUzzzzzzzzzzzVzzzSzzzzzzzzzzzzzzzXzzzzzzzzzYzzzzzzzzzNzzfzzzzzzzzzXczzSzzzzzzzczfzRzazzzzzzzzzzzzzzzzzzzzTzzVzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzTzzzzzzzzzzzzzzzZzzzzzTTazWczXSzzVcaSVzfWPYzWzzzcfzzfzzNzzzzzzUzzXzzzzzzfzzzzzzzzzzzzzzQzSzzZzzzzzzzzzzzzzzzzzzzzzfzzzzzzzzzzzXzzzZzzTQzzzzzzzzazzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzSzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'zLLWzfazJzzWULzTzIFGLaMfOUYzzzMzzzzzzzzzzzzfzzVzzzazVzzzzzzZZzzYzzKczczzZzzzzzPPTZKWaSOzfYZSRWzUOTXzSzXzHQJHRKLVLzcMHJLMXMEHQNNNUcSczzfzzfUzzUccOazWzfVzzzzzzzzzczzzzzzazzWzzazzzzzzzzWzzzczzzfzzzzzzzzzzzzzzzzzLF9PKPOzzzNzKHzZzzGGzYzzzRzzzzzzzzzzzzzzzzzzzzzzzzzzfzzzczzzzzzzzZzzzzzzzzzzzzKMPTIUcWLzcWQNGTfSPLSWVzGzTzzzOzzzzzzzzzTzzzzzfzzzzzNfZaSZzcWzfffaNWzZcVXzzzzzPNJzzOTzfzzzzMONzNMRcaGzXzOzczQzzWzzzazzTzzPfzIzzzfzzzzzzzzzzzzzzzzzzzzzczzzzzazzzOzzzTzzzzzzzzzzzYzzzzzRaWfOVaZUzzzfSJTzfaOQzVzVzTZafNzzKJzzzaaOWzcScZSfzQzLzzHIzzzzzzzTSzfzTMQzzzzzzTzzzOzzzUzzzzzzzzzzzzzzzzzQzzzzzzZVzzzzzSzzczzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzJONPOPUXKzcTWOMPzNPJOZNaVzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'fzOMzzNZNTJLYHcOzMPFczzWFzzzzXJzzzJzzVzzVzzzzzzzzzazYzZzzzzzZzzZzzOzzzXzWzzzzzzzzzUzzzXzzzzzTzzzzzazzzzzHTPKPWfzOZZYQAMUfHHFXaPVTzzzzzzzzzczzzzzYzzazzZzzzzzzzzzczzzzzzzzazzzfzzzzzzzzZzzzzzzzzzzzzzYzzzzzzzzzzzzzSzzTXzzzzQzHzzzzIHzzzzzPzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzWZzzUzzzzzWXzzzzazzzzzMzTzLzzzVzzzzzPzzzzzOzzzzzczzczfzzTzzzczUczzzfzzzzzzzazEzOczzzzzzNzzzJNRVRzzzWJzzfVzzfOzzFzzKzzPzNPzzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzfzzzTzzzYzzzzzczzzzzczzzzzLzaWRczTRzzccWJUzZVMTcRzVzzzzzZzzIUzzzzzNzzfzzfzzzfzzzZzzzzzzzzMVQzfzzHMzzzzzzfzzzVzzzzzzzzzzzzzzzzzzzzzzzzzczzTTzzzzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzzzzzzzzzRzzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'ZLLMzOOzfzzFFGzMzHKIRRTzfzVzzcJzzzTzzXzzRfzYzzPzzzOzMzzZDazOPfzGzzGVzUzGRzzzYzFOJLCOSSDaVKNQHMfMJGMTOcOzMYNFNPQWOzzRSJLWUFKMWPKHYzWzzzfzzzQzcTzfHzzLzzNzzzzzGOLNGNXTIzXKNKIMfMHELQLaTZOzzzRzzzzzzzzzTzzzzzzzzzzzWzOUQKzzzzzYMEczVcHGzazzzQzzzzzzzzzzzzzzfzzzzzazzzzzazfzPazzRzzfzfZzzfzXzzXzzzTzzzNzzzMzzzzzRazzzzzzzzJzMzzzJzzzZzzzXzNzzzzzOzzzfzOXTWNVYZPzzcWaIXzaUQOfWzzzWKOXSEfzazzVSIVNzHUAQULzzzNzzzSzzczzzWzzTzzLzzPzzzSzzzzzzzzzzzzzzzzzzzzzVzzzzzWzzzJzzzazzzzzczzzzzTzzzzzGQLRALVNHzzNNKGKXUODLcNaOzDPKPDMYADzcKNKGOzFDHPROzIzQzfzPTLzczzPJMfVzzOzzzzfzzLzzzIzzzXzzzzzOzzzzzzzzzzzVzzzSzzKLzzzzzZzzRzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzOWOTRSVzPfTOPTIMzTONXSOzZzzzzzTzzzzzzzzzzzzzzzzzzzzz',
+        'zzOPzTczzzfQfMfOzYPNXSczfzNzzzLzzzzFzOzzWzzYXTazzzazKzMzPzzQTzNVzzJzzVcZFzzzzzTYccEZzcEzzcaVMczWLYHzVzQzWzzczZzzzzzzXRzzfcKzzSzQzzGRMOOKWTJzaPOPNMzTJ9QSOfPzczzzOzfzRzzzzTXzzFzzWzzzzzRzzzazzzTzzzzzazzzzzfzzzzzzzSSzazzzzzfQKzzzzaQzzzzzzzzzzzzzzzzzzzzzzzzzzfzzzzzzzzzPczzXzzczYXzzzcaUzazzzQzXLMWzzPzzHccPfzzSTORazzzIKUYJYfcLzzWIWMFzYTIffZzTzDKIEFJLPFfYHKICLfP9ANIJzOZzWaTzazzzzPQfRfRzSQQzWYzzzMczzFzzWJzzTWfSazJcMYzzzDzzzzzzzzzzzzzzzzzzzzzzzzzzzDNHGFLQPFzDMDLIKzHGDOQKXMzSzzzGzzULzzzzzPTzzLKQzczfzINNSJTTBGzzQWTQPcOOOTzSzVzLSKMaRLNQzYIGHPOzDHHRzNzXzZzzzEzzzHzzzzzazzzzzzzzzzzPaTfKZXQJzfQaNUZzUPMZfUzYfzzzzzzzzazzzzzzzzzzzzzzzTzSzzzWzzzczzzfzPzzzzzzzzzzzzzzzfzzzWzzzzzzzzzzzzzzzzz',
+        'zzJczzMzTzzUzMzXSDOHfzzzWzzzzzzzzzzzzzzzzzzzzzczzzzzzzzzzzzzzzzzzzZzzazzzzzzzzVVzzzXzzfzzzzzzzzzzzzzzzzzMYGRQYzUVzzYaLPPzDIOcTaczzzzzzzzzzfzzzzzfzzfzzczzzzzzzzzfzzzzzzzzzazzzzzzzzzzzUzzzazzzSzzfzzzazcYzzzzzSzzzQzHzzzfzzOzMzzzTZVzzzazzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzJzZzFZzzGzzzzfVazZccTzczLzazzzWzzzzzzzzzzzzzzzzzzzzzczzzffazfzzzzzzzzzfzfzzzzzzfzzzSzzOzzZzIzfzHHYXzVzzzWzzzMzzzPzzGzzMzzNzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzUzzzDzzzIzzfzzBzzzzzazzzzzYaaczzcfZzfzczcZzffWazYzzzOaRcRWzWFzzffaMfzaTPXzUzRzzFzzzzzzzzzfzzzzzLZLzzzzzzczzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzfZzzzzzzzzzzzzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzOzzTzUzzNzzUSzKZzHcLzzazfzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'zzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzfzzzzzzzzzzzzzzzzzzzfzzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzMzzzHzzzIzzzzzUzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'fQHOzONcKzzGEDzLzENERaPzXzNzzzTfzzQzzzzzTczfzfTzzzQzOzfzGzzLMzzQzzGczfzzQzzzczNfXZJfzaJzzPzVQNzWPUzVUzazDNEDEGKUIffJKEMHJNBFNKOKUzNzzzWzzzRzzZzzLzzOzzQzzzzzTzzzJzzzczzczazczUzzJzzzzzRzzzSzzzzzzzzzUzzzzzazzzzzGCIQKOEzXzzQNEOKzzJIzLzzzQzzzzzzzzzzzzzzzzzzzzzzzzzzMNSaQRZZMzcRQVQVzTJNOfPzTzTzzTTzzzKzzzzzTzzzzzzzzzQzFcfZMfffGzzcTZIazYHURzYzzzMWWXMWfYOzzfSTNWfXMSUaazzzZOPKfJFTazfNGKWIzJRKJHSTRfNzzXRzzczzzczzJfzJzzOzzzazzzzzzzzzzzzzzzzzzzzzzzzzzzIzzzFzzzLzzzzzMzzzzzVzzzTzJRNSKPfODzaWROJQcXRIOcQzSzLZVfJUcCHazcYWHZzPMSZzVzLzzzPaQzzzzzzRzLzYzzOXzzzzzzRzzzJzzzPzzzzzzzzzzzzzzzzzPzzzczzOJzzzzzMzzVzzzzzzzzzzzzzzzzzzzzXzzzzzzzzzzzzzMSQTTOPVLcXSSQJPzVONTWPzTzzzfzzzzzzzzzzzzzzzzzzzzzzz',
+        'YPKOcOPzXzWJJDzNzFJLQQPzRzRzzfKzzzYzzazzRzzZfzPzzzRzJzzzczfQXzzLzzFzzIzzTzzzczWfzzIzzzMzzzzzPzzzzzazzzczGPEEKKTSHfzKKGIKIFEETOLKNzVzzzRzzzQzzczzHzzLzzPzzzTzazzzQzzzPzzfXzXzzQzzczzzzzJffcKzzzNzzzzYIazVcRzXfzzzzKQLZLIzafzWLCCzzUJJzPzfzVzzzzzzzzzzzzzzzzzzzzazzzzzWzzzSYzfVzzzzZfzzzZzzzfzZzNzzzRzzzDzzzzzQzzzzzzzzzOzKzzaNafzUzzzZcPzzzzfPzfzzzKVPTMQXcPzaXTUGUzVQLYaUzfZQOOVVBXZTfcMKHUQzGVNHWVzYzIzzcFzzzSzzOzzJzzKzzPzzzczzzzzzzzzzzzzzzzzzzzzSzzzzzRzzzIzzzWzzzzzYzzzzzczzzzzKUPOFQYODzXSVPIOfVPKKZVzTzCMPRHUVBJfzSRRDOzCLMVYTzPzSIGzWWfzNzzMQMzKzMLcfzzzzzSzzzSzzzVzzzzzUzzzzzzzzzzzWzzzOzzJJzzzzzVzzVzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzXzzzzzzzzzazzzWLJzzzOzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'WGJRcUVzFzSIZEWMzIMDUYfNfzUzzzJzzzWzzazcTzzVzfRzzzQzMzzzfczMzzzNzzFfzTafWzzzczWzzzOzzzNzzzzzNzzzzzczzzzzIXKBSROXLcaMFFNOfAGIfNQGRzWzzzfzzzOzzfzzKzzOazTzzzzzazzzVzzzUzzXzcYzzZzzczzzzzAYTU2WafAzcYOSCfzKNHPXXzTzLREWKKTzczzOIC6OzPFFzHzzzfzzzzzzzzzzzzzzzzzzzzXzzzzzzzzzWzzzzzzzzzzzzzzzzzzzzzSzzzIzzzJzzzzzXzzzzzzzzzIzKzzzPzzzczzWzzOfzzzzRzzzzzRfUfOYczUzzcZWJXzXSQQzXzfzGLIMNGNTLzXPIKMJzDLEMSPzQzNzzfPzzzzzzYzzRzzNzzQzfzzzzzzzzzzzzzzzzzzzzzzzYzzzzzGzfzJfzzBzzzzzLzzzczLzzzQzISLQJNQPKzZTQMIMzOOHKaOzOzPzzzGzzDOzzczzHfzIzzzzZzTzNzzzzzzzazzzzNzPzIMRfzzzzzPzzzPzzzczzzzzzzzzzzzzzzzzGzzzOzzMLzzzzzKzzVzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzOWSRWNcWOzZVWTGGzTPNacRzZzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'zzYUzWPzzzzIzTzZzNVKzzazzzzzTcYzzzzOzFXzzSzWMYazzzWzOzRzNzzGWzzfzzOzzXzLZzzzzzzzzzJzWzJzzzzzRzzzzzfzzzzzUXSTVUzzPzzczIRWzZLPZaafzzZzzzzTzzczzzzzUzzSzzzzzzzzfzzzNfPLzzzzSzfRzczzzzzzzzNzzzazzzzzzzzzzzzzzzzzzzzzzzzZfYzzczzNzRzzzJSMzOzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzYzzzzzzzzzzzzKXZIJVzzUzzRzzWfzzzIzzazzzHKWXDczaVzzfacTTzzUYLVfzzzRUGDSZfcOzfNSSZUzVWLczczczzzzzzTzzzzzzzzzfzSzUUzzzzzazfVTafaWzzOfaTKzXUSWcczzzzzzzzzzzzzzzzzzzzzzzzzzzzzOaHTITWzRzzRTLQLzKMOaVYzZzRzVYCXXRJzzPYZTTzzTGSUfzzzIXRWDRaKGzzSRQHQzXQOOfPzWzzzzzzzzzzzzzzTzzzzVzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzSzzzzzzYSzzzzzVzzzzzzzzzzzzzzzzzzzzzzzzzfzzzzzzzzzzzzzzzzzzzzzzzzzXzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'zzfzzzzzMzzFzVfzzIzMzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzLRQJYUzfNzzKQIPPzALLTzOzJfzzzzzzzzzzzzzzczzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzUzQHRzzzfzzZzNLzzWLTzXzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzTzzzzzSzQSzzzzzYzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'zcZczfzzTzzcaPzazEPzazzzLzzzzzazzzzzzzzzzzzzzzzzzzczczzzzZzfzzzzzzXzzzZfzzzzzzzzzzfzzzZzzzzzzzzzzzzzzzzzTcYPRfcVfzzQfXfazMTcZNUSzzzzzzczzzazzzzzWzzVzzczzzzzfzzzzzzzzzzzzczazzzzzzzzzzOzzzGzzzGzzzzzKzzzzzzzzzzzzzzQzVzzzzcJzJzzzzKCzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzzzzzzzzzzzzzzQzzzTzzzzzzzzzzzzzzzYzazzzzzzzzzzzzzfzzzzzzzzzzzYZcfRazzYzzazzWzzcXcczfzfzYaccaYZzazcffZZzzCVaPzzzzzZzzzzzzzzzzzzzzzzRzzzzzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzUzzzUzzzMzzzzzazzzzzzzzzzzZzazfffzZzzzzXZazzZWUzczazzzzzczzNzzzzzzRzzzzzzzzzfzzzzzzzzzzzzzzfzfzzazzzzzzzZzzzRzzzzzzzzzzzzfzzzzzzzzXzzzzzzcfzzzzzzzzzzZzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzWzzzzzzzzzzzzzzzfzzzzzzzzzzzzzzzzzzzzz',
+        'zzVczzzzzzzcLfzfzazzzzzzzzzzzzczzzzzzzzzzzzzzzzzzzzzzzzzGazWzzzNzfzzzfzzYzzzzzzzzzazzzzzzzzzfzzfzzzzzzzzzzHUzzzzzzzafzzzzQZzzzzfzzzzzzzzzzzzzzzzZzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzazzzfzzzTzzzzzczzzzzzzzzzzzcTffzzzzzzzVVzzzzQWzazzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzzzzzzzzzzzzzzzfzzzzzzzzzzXzzfzzzzzzzzzzzzzafzzzzzzzzzfzzzzccWzzzzzzzzzzazzzzzzzzzfzXzzzzzzzzzzzzUzzzfzzNzzZzzIzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzczzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzfzzfzzzzzzzzczzzzzTXfzNTcVZzzfQWTazSNSVzczzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzfzzzzzzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzXzzzzzzzzzzzczzzXfzzzzzSzzzzzzzzzzzzzzzzzzzzzzzzzz',
+        'caNOzRXzzzzNVHzOzNOPTQUzzzczzzKzzzczzfzzSzzYzzUzzzRzQzfzzzzPzzzNzzIfzRzzazzzzzXzzzPzzzLzzzzzQzzzzzczzzzzSzzSzzzzazzWZSzzTXzZzQzOzzSzzzczzzWzzzzzLzzOzzUzzzzzfzzzPzzzVzzczUzczTzzzzzzzzQzzzXzzzzzzzzzczzzzzzzzzzzzzzUPNzzzzzzSGzzzfNNzzzzfzZzzzzzzzzzzzzzzzzzzzazzzzzzzzzTzzzTzzzzXzzzzzzzzzzzzOzzzRzzzOzzzzzczzzzzzzzzzzQYzzPzzzzzzzazOzzzzzVzzzzzPfQXRYzzXzfaYcMfzXZMWcczzzzRWZzIzzzzzzaLzTzKzLAWzzZzNzzzGzzzQzzWzzRzzLzzQzzzczzzzzzzzzzzzzzzzzzzzzzzzzzzWzzzKzzzHzzzzzzzzzzzZzzzzzQcSfMYzXOzacWVORzaWLMcZzczfzzzOzzDazzzzzJzzWzzazZzXzzzzzzzzzzzzzzQzzzzOzzzzzzzSzzzSzzzVzzzzzzzzzzzzzzzzzQzzzUzzPMzzzzzLzzczzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzazzzzzzzzzZzzzzfLzzzzzzzzzczazzzWzzzXzzzazazzzazzzzzzz',
+        'zzazzzzzzzzzzzzzzzzOzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzfzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzfzfOzzzzczzzzYzazPWVzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzUzSzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzazzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzazzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzazzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzXzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz'
+    ];
+
+    const TRIGRAM_SYMBOLS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+    let trigramTable = null;
+
+    /**
+     * 提取文本中的字母并转为大写
+     * @param {string} text
+     * @returns {string}
+     */
+    function lettersOnly(text) {
+        return String(text).toUpperCase().replace(/[^A-Z]/g, '');
+    }
+
+    /**
+     * 统计 26 个字母的出现次数（不区分大小写）
+     * @param {string} text
+     * @returns {{counts: number[], total: number}}
+     */
+    function countLetters(text) {
+        const counts = new Array(26).fill(0);
+        let total = 0;
+        for (const char of lettersOnly(text)) {
+            counts[char.charCodeAt(0) - 65]++;
+            total++;
+        }
+        return { counts, total };
+    }
+
+    /**
+     * 与英语字母频率比较的卡方值，越小越接近英语
+     * @param {string} text
+     * @returns {number} 没有字母时返回 Infinity
+     */
+    function chiSquared(text) {
+        const { counts, total } = countLetters(text);
+        if (total === 0) {
+            return Infinity;
+        }
+        let sum = 0;
+        for (let i = 0; i < 26; i++) {
+            const expected = total * ENGLISH_FREQUENCY[ALPHABET[i]] / 100;
+            sum += (counts[i] - expected) ** 2 / expected;
+        }
+        return sum;
+    }
+
+    /**
+     * 重合指数（任取两个字母相同的概率）
+     * @param {string} text
+     * @returns {number} 字母少于 2 个时返回 0
+     */
+    function indexOfCoincidence(text) {
+        const { counts, total } = countLetters(text);
+        if (total < 2) {
+            return 0;
+        }
+        const pairs = counts.reduce((sum, count) => sum + count * (count - 1), 0);
+        return pairs / (total * (total - 1));
+    }
+
+    /**
+     * 获取三字母组对数概率表（首次调用时解码）
+     * @returns {Float32Array} 下标为 a*676 + b*26 + c（字母序号 0-25）
+     */
+    function getTrigramTable() {
+        if (!trigramTable) {
+            trigramTable = new Float32Array(26 * 26 * 26);
+            TRIGRAM_ROWS.join('').split('').forEach((symbol, index) => {
+                trigramTable[index] = -(TRIGRAM_SYMBOLS.indexOf(symbol) / 10 + 1.5);
+            });
+        }
+        return trigramTable;
+    }
+
+    /**
+     * 英语相似度评分：三字母组的平均 log10 概率，越大越像英语
+     * @param {string} text
+     * @returns {number} 字母少于 3 个时返回 -Infinity
+     */
+    function trigramScore(text) {
+        const letters = lettersOnly(text);
+        if (letters.length < 3) {
+            return -Infinity;
+        }
+        const table = getTrigramTable();
+        let sum = 0;
+        for (let i = 0; i + 2 < letters.length; i++) {
+            sum += table[(letters.charCodeAt(i) - 65) * 676 + (letters.charCodeAt(i + 1) - 65) * 26 + letters.charCodeAt(i + 2) - 65];
+        }
+        return sum / (letters.length - 2);
+    }
+
+    root.REOT.frequency = {
+        ALPHABET,
+        ENGLISH_FREQUENCY,
+        ENGLISH_IOC,
+        lettersOnly,
+        countLetters,
+        chiSquared,
+        indexOfCoincidence,
+        getTrigramTable,
+        trigramScore
+    };
+
+})(typeof window !== 'undefined' ? window : self);
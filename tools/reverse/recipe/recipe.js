@@ -0,0 +1,566 @@
+/**
+ * Recipe 流水线工具
+ * @description 将编码、压缩、加密、协议解析等操作串联执行，并展示每一步的中间结果
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'recipeSteps';
+    const PREVIEW_LIMIT = 4096;
+    // 自动格式下按文本显示时允许的控制字符比例
+    const TEXT_CONTROL_TOLERANCE = 0.05;
+
+    // 当前流水线步骤: [{ op, args, disabled }]
+    let steps = REOT.utils?.storage?.get(STORAGE_KEY, []) || [];
+    // 上传文件的原始字节（优先于文本输入）
+    let fileBytes = null;
+    // 最近一次执行结果
+    let lastResults = [];
+    let runToken = 0;
+
+    /**
+     * 检查当前是否在 Recipe 工具页面
+     */
+    function isRecipeToolActive() {
+        const route = REOT.router?.getRoute();
+        return route && route.includes('/tools/reverse/recipe');
+    }
+
+    function escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 保存步骤到本地存储（与分享链接一样不写入密钥类参数）
+     */
+    function saveSteps() {
+        REOT.utils?.storage?.set(STORAGE_KEY, getShareableSteps());
+    }
+
+    // ========== 值格式化 ==========
+
+    /**
+     * 将值渲染为文本
+     * @param {*} value - bytes / string / json
+     * @param {string} format - auto | text | REOT.bytes 支持的其他格式
+     * @returns {string}
+     */
+    function formatValue(value, format) {
+        const type = REOT.operations.typeOf(value);
+        if (type === 'json') {
+            return JSON.stringify(value, null, 2);
+        }
+        if (type === 'string' && (format === 'auto' || format === 'text')) {
+            return value;
+        }
+
+        const bytes = REOT.operations.coerce(value, 'bytes');
+        if (format === 'text' || (format === 'auto' && REOT.bytes.isPrintableText(bytes, TEXT_CONTROL_TOLERANCE))) {
+            return REOT.bytes.toText(bytes);
+        }
+        if (format === 'auto' || format === 'hex') {
+            return REOT.bytes.toHex(bytes, { separator: ' ' });
+        }
+        return REOT.bytes.format(bytes, format);
+    }
+
+    /**
+     * 读取流水线输入
+     * @returns {Uint8Array}
+     */
+    function getInput() {
+        if (fileBytes) {
+            return fileBytes;
+        }
+        const text = document.getElementById('recipe-input')?.value || '';
+        const format = document.getElementById('input-format')?.value || 'text';
+        return REOT.operations.parseBytesArg({ value: text, format });
+    }
+
+    // ========== 渲染 ==========
+
+    function opName(op) {
+        return REOT.i18n.t(`tools.recipe.ops.${op.id}`, op.name);
+    }
+
+    /**
+     * 渲染左侧操作列表
+     */
+    function renderOperationList() {
+        const container = document.getElementById('op-list');
+        if (!container) {
+            return;
+        }
+        const query = (document.getElementById('op-search')?.value || '').trim().toLowerCase();
+
+        container.innerHTML = REOT.operations.categories.map(category => {
+            const ops = REOT.operations.getByCategory(category).filter(op =>
+                !query || op.id.includes(query) || opName(op).toLowerCase().includes(query));
+            if (ops.length === 0) {
+                return '';
+            }
+            return `
+                <div class="op-category">
+                    <div class="op-category-title">${escapeHtml(REOT.i18n.t(`tools.recipe.categories.${category}`, category))}</div>
+                    ${ops.map(op => `
+                        <button class="op-item" data-add-op="${op.id}" title="${op.input} → ${op.output}">
+                            ${escapeHtml(opName(op))}
+                        </button>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 渲染单个参数控件
+     */
+    function renderArg(arg, value, index) {
+        const label = escapeHtml(REOT.i18n.t(`tools.recipe.args.${arg.name}`, arg.name));
+        const data = `data-step="${index}" data-arg="${arg.name}"`;
+
+        if (arg.type === 'select') {
+            return `
+                <label class="step-arg">
+                    <span>${label}</span>
+                    <select class="form-select" ${data}>
+                        ${arg.options.map(o => `<option value="${o}" ${o === value ? 'selected' : ''}>${o}</option>`).join('')}
+                    </select>
+                </label>
+            `;
+        }
+        if (arg.type === 'boolean') {
+            return `
+                <label class="form-checkbox step-arg step-arg--inline">
+                    <input type="checkbox" ${data} ${value ? 'checked' : ''}>
+                    <span>${label}</span>
+                </label>
+            `;
+        }
+        if (arg.type === 'bytes') {
+            const bytesValue = value || { value: '', format: 'hex' };
+            return `
+                <label class="step-arg step-arg--wide">
+                    <span>${label}</span>
+                    <div class="step-arg-bytes">
+                        <input type="text" class="form-input" ${data} data-part="value" value="${escapeHtml(bytesValue.value)}">
+                        <select class="form-select" ${data} data-part="format">
+                            ${['hex', 'text', 'base64', 'binary', 'c-array', 'python', 'escaped'].map(f => `<option value="${f}" ${f === bytesValue.format ? 'selected' : ''}>${f}</option>`).join('')}
+                        </select>
+                    </div>
+                </label>
+            `;
+        }
+        const type = arg.type === 'number' ? 'number' : 'text';
+        const range = arg.type === 'number' ? `min="${arg.min ?? ''}" max="${arg.max ?? ''}"` : '';
+        return `
+            <label class="step-arg">
+                <span>${label}</span>
+                <input type="${type}" class="form-input" ${range} ${data} value="${escapeHtml(value ?? '')}">
+            </label>
+        `;
+    }
+
+    /**
+     * 渲染步骤列表
+     */
+    function renderSteps() {
+        const container = document.getElementById('recipe-steps');
+        const emptyHint = document.getElementById('recipe-empty');
+        if (!container) {
+            return;
+        }
+        if (emptyHint) {
+            emptyHint.style.display = steps.length === 0 ? 'block' : 'none';
+        }
+
+        container.innerHTML = steps.map((step, index) => {
+            const op = REOT.operations.get(step.op);
+            if (!op) {
+                return `
+                    <div class="recipe-step recipe-step--error">
+                        <div class="step-header">
+                            <span class="step-title">${index + 1}. ${escapeHtml(step.op)}</span>
+                            <button class="btn btn--sm btn--outline" data-step-action="remove" data-step="${index}">✕</button>
+                        </div>
+                        <div class="step-output">${escapeHtml(REOT.i18n.t('tools.recipe.unknownOp', '未知的操作'))}</div>
+                    </div>
+                `;
+            }
+            const args = REOT.operations.resolveArgs(op, step.args);
+            return `
+                <div class="recipe-step ${step.disabled ? 'recipe-step--disabled' : ''}" data-index="${index}">
+                    <div class="step-header">
+                        <span class="step-title">${index + 1}. ${escapeHtml(opName(op))}</span>
+                        <span class="step-types">${op.input} → ${op.output}</span>
+                        <div class="step-actions">
+                            <button class="btn btn--sm btn--outline" data-step-action="toggle" data-step="${index}"
+                                    title="${escapeHtml(REOT.i18n.t('tools.recipe.toggleStep', '启用/禁用'))}">${step.disabled ? '▶' : '⏸'}</button>
+                            <button class="btn btn--sm btn--outline" data-step-action="up" data-step="${index}" ${index === 0 ? 'disabled' : ''}>↑</button>
+                            <button class="btn btn--sm btn--outline" data-step-action="down" data-step="${index}" ${index === steps.length - 1 ? 'disabled' : ''}>↓</button>
+                            <button class="btn btn--sm btn--outline" data-step-action="remove" data-step="${index}">✕</button>
+                        </div>
+                    </div>
+                    ${op.args.length > 0 ? `<div class="step-args">${op.args.map(arg => renderArg(arg, args[arg.name], index)).join('')}</div>` : ''}
+                    <div class="step-output" id="step-output-${index}"></div>
+                </div>
+            `;
+        }).join('');
+
+        renderResults();
+    }
+
+    /**
+     * 将执行结果渲染到各步骤和最终输出
+     */
+    function renderResults() {
+        lastResults.forEach((result, index) => {
+            const el = document.getElementById(`step-output-${index}`);
+            if (!el) {
+                return;
+            }
+            el.classList.toggle('step-output--error', Boolean(result.error));
+            if (result.skipped) {
+                el.textContent = REOT.i18n.t('tools.recipe.skipped', '（未执行）');
+            } else if (result.error) {
+                el.textContent = `${REOT.i18n.t('common.error', '错误')}: ${result.error}`;
+            } else {
+                const text = formatValue(result.output, 'auto');
+                el.textContent = text.length > PREVIEW_LIMIT ? text.slice(0, PREVIEW_LIMIT) + '…' : text;
+            }
+        });
+        renderFinalOutput();
+    }
+
+    /**
+     * 获取最终输出值（最后一个成功执行的步骤）
+     */
+    function getFinalValue() {
+        const executed = lastResults.filter(r => !r.skipped);
+        if (executed.some(r => r.error)) {
+            return null;
+        }
+        return executed.length > 0 ? executed[executed.length - 1].output : null;
+    }
+
+    function renderFinalOutput() {
+        const outputEl = document.getElementById('recipe-output');
+        const statusEl = document.getElementById('recipe-status');
+        if (!outputEl) {
+            return;
+        }
+        const format = document.getElementById('output-format')?.value || 'auto';
+        const failed = lastResults.find(r => r.error);
+        const value = getFinalValue();
+
+        outputEl.value = value === null ? '' : formatValue(value, format);
+
+        if (statusEl) {
+            const total = lastResults.reduce((sum, r) => sum + r.duration, 0);
+            if (failed) {
+                statusEl.textContent = `${REOT.i18n.t('common.error', '错误')}: ${failed.error}`;
+                statusEl.className = 'recipe-status recipe-status--error';
+            } else if (value !== null) {
+                const type = REOT.operations.typeOf(value);
+                const size = type === 'bytes' ? ` · ${REOT.utils?.formatBytes(value.length) || value.length}` : '';
+                statusEl.textContent = `${type}${size} · ${total.toFixed(1)} ms`;
+                statusEl.className = 'recipe-status';
+            } else {
+                statusEl.textContent = '';
+                statusEl.className = 'recipe-status';
+            }
+        }
+    }
+
+    // ========== 执行 ==========
+
+    async function runRecipe() {
+        const token = ++runToken;
+        let input;
+        try {
+            input = getInput();
+        } catch (error) {
+            lastResults = [];
+            renderResults();
+            REOT.utils?.showNotification(error.message, 'error');
+            return;
+        }
+
+        const results = await REOT.operations.runRecipe(steps, input);
+        // 丢弃过期的执行结果
+        if (token !== runToken) {
+            return;
+        }
+        lastResults = results;
+        renderResults();
+    }
+
+    const autoRun = REOT.utils?.debounce(() => {
+        if (document.getElementById('auto-run')?.checked) {
+            runRecipe();
+        }
+    }, 300) || (() => {});
+
+    // ========== 步骤编辑 ==========
+
+    function addStep(opId) {
+        steps.push({ op: opId, args: {}, disabled: false });
+        saveSteps();
+        renderSteps();
+        autoRun();
+    }
+
+    function handleStepAction(action, index) {
+        if (action === 'remove') {
+            steps.splice(index, 1);
+        } else if (action === 'toggle') {
+            steps[index].disabled = !steps[index].disabled;
+        } else if (action === 'up' && index > 0) {
+            [steps[index - 1], steps[index]] = [steps[index], steps[index - 1]];
+        } else if (action === 'down' && index < steps.length - 1) {
+            [steps[index + 1], steps[index]] = [steps[index], steps[index + 1]];
+        }
+        lastResults = [];
+        saveSteps();
+        renderSteps();
+        autoRun();
+    }
+
+    function handleArgChange(target) {
+        const index = parseInt(target.dataset.step, 10);
+        const name = target.dataset.arg;
+        const step = steps[index];
+        if (!step) {
+            return;
+        }
+        const op = REOT.operations.get(step.op);
+        const arg = op?.args.find(a => a.name === name);
+        if (!arg) {
+            return;
+        }
+
+        if (arg.type === 'bytes') {
+            const current = { ...(step.args[name] || arg.default) };
+            current[target.dataset.part] = target.value;
+            step.args[name] = current;
+        } else if (arg.type === 'boolean') {
+            step.args[name] = target.checked;
+        } else if (arg.type === 'number') {
+            step.args[name] = Number(target.value);
+        } else {
+            step.args[name] = target.value;
+        }
+
+        saveSteps();
+        autoRun();
+    }
+
+    /**
+     * 替换整个流水线（导入文件或从分享链接恢复）
+     * @param {Array} list - 步骤列表
+     */
+    function setSteps(list) {
+        if (!Array.isArray(list) || list.some(s => typeof s?.op !== 'string')) {
+            throw new Error(REOT.i18n.t('tools.recipe.invalidRecipe', '无效的 Recipe 文件'));
+        }
+        steps = list.map(s => ({ op: s.op, args: s.args || {}, disabled: Boolean(s.disabled) }));
+        lastResults = [];
+        saveSteps();
+        renderSteps();
+    }
+
+    /**
+     * 生成用于分享链接的步骤列表，密钥类参数不写入链接
+     * @returns {Array}
+     */
+    function getShareableSteps() {
+        return steps.map(step => {
+            const args = {};
+            Object.keys(step.args).forEach(name => {
+                if (!REOT.state?.isSensitiveName(name)) {
+                    args[name] = step.args[name];
+                }
+            });
+            return { op: step.op, args, disabled: step.disabled };
+        });
+    }
+
+    function exportRecipe() {
+        const json = JSON.stringify(steps, null, 2);
+        REOT.utils?.downloadFile(json, 'recipe.json', 'application/json');
+    }
+
+    function importRecipe() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files?.[0];
+            if (!file) {
+                return;
+            }
+            try {
+                setSteps(JSON.parse(await REOT.utils.readFile(file, 'text')));
+                runRecipe();
+            } catch (error) {
+                REOT.utils?.showNotification(error.message, 'error');
+            }
+        });
+        input.click();
+    }
+
+    // ========== 事件处理 ==========
+
+    document.addEventListener('click', async (e) => {
+        if (!isRecipeToolActive()) {
+            return;
+        }
+        const target = e.target;
+
+        const addBtn = target.closest('[data-add-op]');
+        if (addBtn) {
+            addStep(addBtn.dataset.addOp);
+            return;
+        }
+
+        const actionBtn = target.closest('[data-step-action]');
+        if (actionBtn) {
+            handleStepAction(actionBtn.dataset.stepAction, parseInt(actionBtn.dataset.step, 10));
+            return;
+        }
+
+        if (target.closest('#run-btn')) {
+            runRecipe();
+        } else if (target.closest('#clear-recipe-btn')) {
+            steps = [];
+            lastResults = [];
+            saveSteps();
+            renderSteps();
+        } else if (target.closest('#export-recipe-btn')) {
+            exportRecipe();
+        } else if (target.closest('#import-recipe-btn')) {
+            importRecipe();
+        } else if (target.closest('#copy-output-btn')) {
+            const text = document.getElementById('recipe-output')?.value;
+            if (text) {
+                const success = await REOT.utils?.copyToClipboard(text);
+                if (success) {
+                    REOT.utils?.showNotification(REOT.i18n?.t('common.copied') || '已复制', 'success');
+                }
+            }
+        } else if (target.closest('#download-output-btn')) {
+            const value = getFinalValue();
+            if (value !== null) {
+                const type = REOT.operations.typeOf(value);
+                const content = type === 'bytes' ? value : formatValue(value, 'auto');
+                REOT.utils?.downloadFile(content, type === 'bytes' ? 'output.bin' : 'output.txt',
+                    type === 'bytes' ? 'application/octet-stream' : 'text/plain');
+            }
+        }
+    });
+
+    document.addEventListener('input', (e) => {
+        if (!isRecipeToolActive()) {
+            return;
+        }
+        const target = e.target;
+        if (target.id === 'op-search') {
+            renderOperationList();
+        } else if (target.id === 'recipe-input') {
+            if (fileBytes) {
+                fileBytes = null;
+                const info = document.getElementById('recipe-file-info');
+                if (info) {
+                    info.style.display = 'none';
+                }
+            }
+            autoRun();
+        } else if (target.dataset.arg && target.type !== 'checkbox' && target.tagName !== 'SELECT') {
+            handleArgChange(target);
+        }
+    });
+
+    document.addEventListener('change', async (e) => {
+        if (!isRecipeToolActive()) {
+            return;
+        }
+        const target = e.target;
+        if (target.dataset.arg && (target.type === 'checkbox' || target.tagName === 'SELECT')) {
+            handleArgChange(target);
+        } else if (target.id === 'input-format') {
+            autoRun();
+        } else if (target.id === 'output-format') {
+            renderFinalOutput();
+        } else if (target.id === 'recipe-file-input') {
+            const file = target.files?.[0];
+            if (!file) {
+                return;
+            }
+            fileBytes = new Uint8Array(await REOT.utils.readFile(file, 'arrayBuffer'));
+            const info = document.getElementById('recipe-file-info');
+            if (info) {
+                info.innerHTML = `<span class="file-name">${escapeHtml(file.name)}</span>
+                    <span class="file-size">${REOT.utils.formatBytes(file.size)}</span>`;
+                info.style.display = 'flex';
+            }
+            target.value = '';
+            runRecipe();
+        }
+    });
+
+    window.addEventListener('localechange', () => {
+        if (isRecipeToolActive()) {
+            renderOperationList();
+            renderSteps();
+        }
+    });
+
+    // 初始化
+    async function init() {
+        try {
+            await REOT.operations.load();
+        } catch (error) {
+            REOT.utils?.showNotification(error.message, 'error');
+        }
+        renderOperationList();
+        renderSteps();
+
+        const inputEl = document.getElementById('recipe-input');
+        REOT.bytes.bindFormatSelect(document.getElementById('input-format'), inputEl);
+        if (inputEl && !inputEl.value && steps.length === 0) {
+            inputEl.value = 'H4sIAAAAAAAAA/NIzcnJ11EIcvUPUQhKTc4sSFUEAKu/rB0TAAAA';
+            steps = [
+                { op: 'from-base64', args: {}, disabled: false },
+                { op: 'gunzip', args: {}, disabled: false }
+            ];
+            renderSteps();
+        }
+        runRecipe();
+    }
+
+    // 分享链接：步骤列表不在表单控件中，单独序列化
+    REOT.state?.register('recipe', {
+        serialize: () => ({ steps: getShareableSteps() }),
+        restore: data => {
+            setSteps(data.steps);
+            runRecipe();
+        }
+    });
+
+    init();
+
+    // 导出工具函数
+    window.RecipeTool = {
+        formatValue,
+        runRecipe,
+        getSteps: () => steps
+    };
+
+})();
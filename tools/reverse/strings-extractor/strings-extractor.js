@@ -254,34 +254,19 @@
     }
 
     /**
-     * 解析十六进制输入
+     * 解析十六进制输入（允许逗号、分号分隔，奇数长度时在高位补 0）
      */
     function parseHexInput(hexStr) {
-        hexStr = hexStr.replace(/[\s\n\r,;]/g, '').replace(/^0x/i, '');
-        if (!/^[0-9a-fA-F]*$/.test(hexStr)) {
-            throw new Error('无效的十六进制字符串');
-        }
-        if (hexStr.length % 2 !== 0) {
-            hexStr = '0' + hexStr;
-        }
-
-        const bytes = new Uint8Array(hexStr.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(hexStr.substr(i * 2, 2), 16);
-        }
-        return bytes;
+        hexStr = hexStr.replace(/[\s,;]/g, '').replace(/^0x/i, '');
+        return REOT.bytes.fromHex(hexStr.length % 2 !== 0 ? '0' + hexStr : hexStr);
     }
 
     /**
-     * 字节数组转十六进制字符串
+     * 字节的十六进制预览，超出 limit 字节时截断
      */
-    function bytesToHex(bytes, limit = 20) {
-        const arr = Array.from(bytes.slice(0, limit));
-        let hex = arr.map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
-        if (bytes.length > limit) {
-            hex += '...';
-        }
-        return hex;
+    function hexPreview(bytes, limit = 20) {
+        const hex = REOT.bytes.toHex(bytes.slice(0, limit), { separator: ' ', uppercase: true });
+        return bytes.length > limit ? hex + '...' : hex;
     }
 
     /**
@@ -317,7 +302,7 @@
             <div class="string-item" data-index="${index}">
                 ${showOffset ? `<span class="string-offset">0x${item.offset.toString(16).toUpperCase().padStart(8, '0')}</span>` : ''}
                 <span class="string-content">${escapeHtml(item.string)}</span>
-                ${showHex ? `<span class="string-hex">${bytesToHex(item.bytes)}</span>` : ''}
+                ${showHex ? `<span class="string-hex">${hexPreview(item.bytes)}</span>` : ''}
                 <button class="btn btn--sm btn--outline copy-btn" data-string="${escapeHtml(item.string)}">复制</button>
             </div>
         `).join('');
@@ -0,0 +1,335 @@
+/**
+ * XOR 分析核心
+ * @description 不依赖 DOM 的循环密钥 XOR、单字节/多字节暴力破解和密钥长度检测，
+ *              供 XOR 分析工具页面和操作链共用。依赖 REOT.bytes（bytes.js）
+ * @author Evil0ctal
+ * @license Apache-2.0
+ */
+
+(function(root) {
+    'use strict';
+
+    // 全局命名空间
+    root.REOT = root.REOT || {};
+
+    /**
+     * 循环密钥 XOR
+     * @param {Uint8Array} data
+     * @param {Uint8Array} key
+     * @returns {Uint8Array}
+     */
+    function xor(data, key) {
+        if (key.length === 0) {
+            throw new Error('密钥不能为空');
+        }
+        const result = new Uint8Array(data.length);
+        for (let i = 0; i < data.length; i++) {
+            result[i] = data[i] ^ key[i % key.length];
+        }
+        return result;
+    }
+
+    /**
+     * 计算可读性得分（用于暴力破解结果排序）
+     */
+    function calculateReadabilityScore(bytes) {
+        let score = 0;
+        let printableCount = 0;
+        let letterCount = 0;
+
+        for (let i = 0; i < bytes.length; i++) {
+            const b = bytes[i];
+
+            // 可打印 ASCII 字符
+            if (b >= 0x20 && b <= 0x7E) {
+                printableCount++;
+                score += 1;
+
+                // 字母得分更高
+                if ((b >= 0x41 && b <= 0x5A) || (b >= 0x61 && b <= 0x7A)) {
+                    letterCount++;
+                    score += 2;
+                }
+
+                // 空格
+                if (b === 0x20) {
+                    score += 1;
+                }
+
+                // 常见标点
+                if ([0x2E, 0x2C, 0x21, 0x3F, 0x27, 0x22].includes(b)) {
+                    score += 1;
+                }
+            }
+
+            // 换行符
+            if (b === 0x0A || b === 0x0D) {
+                score += 0.5;
+            }
+        }
+
+        // 计算百分比
+        const printableRatio = printableCount / bytes.length;
+        const letterRatio = letterCount / bytes.length;
+
+        // 综合得分
+        return score * printableRatio * (1 + letterRatio);
+    }
+
+    /**
+     * 单字节 XOR 暴力破解
+     */
+    function bruteforceSingleByteXor(ciphertext, knownPlaintext = '') {
+        const results = [];
+
+        for (let key = 0; key < 256; key++) {
+            const decrypted = xor(ciphertext, new Uint8Array([key]));
+            const text = root.REOT.bytes.toText(decrypted);
+
+            // 如果有已知明文，检查是否匹配
+            if (knownPlaintext && !text.includes(knownPlaintext)) {
+                continue;
+            }
+
+            const score = calculateReadabilityScore(decrypted);
+
+            results.push({
+                key: key,
+                keyHex: '0x' + key.toString(16).padStart(2, '0').toUpperCase(),
+                keyChar: key >= 0x20 && key <= 0x7E ? String.fromCharCode(key) : '',
+                decrypted: decrypted,
+                text: text,
+                score: score
+            });
+        }
+
+        // 按得分降序排序
+        results.sort((a, b) => b.score - a.score);
+
+        return results;
+    }
+
+    /**
+     * 计算汉明距离（用于密钥长度检测）
+     */
+    function hammingDistance(a, b) {
+        if (a.length !== b.length) {
+            throw new Error('数组长度不一致');
+        }
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            let xored = a[i] ^ b[i];
+            while (xored) {
+                distance += xored & 1;
+                xored >>= 1;
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * 密钥长度检测（使用多种方法综合评分）
+     */
+    function detectKeyLength(ciphertext, maxKeyLength = 20) {
+        const results = [];
+        const dataLen = ciphertext.length;
+
+        for (let keyLen = 1; keyLen <= Math.min(maxKeyLength, Math.floor(dataLen / 2)); keyLen++) {
+            // 方法1: 汉明距离（比较所有可能的块对）
+            let hammingScore = 0;
+            let hammingComparisons = 0;
+            const numBlocks = Math.floor(dataLen / keyLen);
+
+            // 比较所有块对，而不仅仅是相邻块
+            for (let i = 0; i < numBlocks; i++) {
+                for (let j = i + 1; j < numBlocks; j++) {
+                    const block1 = ciphertext.slice(i * keyLen, (i + 1) * keyLen);
+                    const block2 = ciphertext.slice(j * keyLen, (j + 1) * keyLen);
+
+                    if (block1.length === keyLen && block2.length === keyLen) {
+                        hammingScore += hammingDistance(block1, block2);
+                        hammingComparisons++;
+                    }
+                }
+            }
+
+            // 方法2: 重合指数 (Index of Coincidence) - 对每个密钥位置计算
+            let iocScore = 0;
+            for (let pos = 0; pos < keyLen; pos++) {
+                // 提取该位置的所有字节
+                const column = [];
+                for (let i = pos; i < dataLen; i += keyLen) {
+                    column.push(ciphertext[i]);
+                }
+
+                if (column.length > 1) {
+                    // 计算该列的重合指数
+                    const freq = new Array(256).fill(0);
+                    column.forEach(b => freq[b]++);
+
+                    let sum = 0;
+                    for (let f of freq) {
+                        sum += f * (f - 1);
+                    }
+                    const n = column.length;
+                    const ioc = sum / (n * (n - 1) || 1);
+                    iocScore += ioc;
+                }
+            }
+            iocScore /= keyLen;
+
+            // 方法3: 检查重复模式
+            let repeatScore = 0;
+            for (let i = 0; i < dataLen - keyLen; i++) {
+                if (ciphertext[i] === ciphertext[i + keyLen]) {
+                    repeatScore++;
+                }
+            }
+            repeatScore /= (dataLen - keyLen) || 1;
+
+            // 综合评分
+            // 汉明距离归一化（越小越好）
+            const normalizedHamming = hammingComparisons > 0
+                ? hammingScore / hammingComparisons / keyLen
+                : 10;
+
+            // IoC 归一化（英文文本的 IoC 约为 0.067，随机数据约为 0.0385）
+            // IoC 越高越好，所以我们用 1 - 归一化的 IoC
+            const iocFactor = 1 - (iocScore * 10);
+
+            // 重复分数（越高越好），转换为越低越好
+            const repeatFactor = 1 - repeatScore;
+
+            // 综合分数（越低越好）
+            // 对短数据，更依赖 IoC 和重复模式
+            const confidence = Math.min(1, numBlocks / 4); // 置信度基于块数
+            const combinedScore = normalizedHamming * confidence +
+                                  iocFactor * (1 - confidence * 0.5) +
+                                  repeatFactor * 0.3;
+
+            results.push({
+                keyLength: keyLen,
+                distance: combinedScore,
+                hammingDist: normalizedHamming,
+                ioc: iocScore,
+                repeatRatio: repeatScore,
+                blocks: numBlocks,
+                confidence: confidence
+            });
+        }
+
+        // 按综合分数升序排序
+        results.sort((a, b) => a.distance - b.distance);
+
+        return results;
+    }
+
+    /**
+     * 多字节 XOR 暴力破解
+     * 基于密钥长度，将密文分成多列，对每列进行单字节暴力破解
+     * @param {Uint8Array} ciphertext - 密文
+     * @param {number} keyLength - 密钥长度
+     * @param {string} knownPlaintext - 已知明文（可选）
+     * @returns {Object} - 破解结果
+     */
+    function bruteforceMultiByteXor(ciphertext, keyLength, knownPlaintext = '') {
+        // 将密文按密钥长度分成多列
+        const columns = [];
+        for (let i = 0; i < keyLength; i++) {
+            const column = [];
+            for (let j = i; j < ciphertext.length; j += keyLength) {
+                column.push(ciphertext[j]);
+            }
+            columns.push(new Uint8Array(column));
+        }
+
+        // 对每列进行单字节暴力破解
+        const keyBytes = [];
+        const columnResults = [];
+
+        for (let i = 0; i < columns.length; i++) {
+            const results = bruteforceSingleByteXor(columns[i], '');
+            // 取得分最高的结果作为该位置的密钥字节
+            if (results.length > 0) {
+                keyBytes.push(results[0].key);
+                // 保存前几个候选结果供用户参考
+                columnResults.push(results.slice(0, 5));
+            } else {
+                keyBytes.push(0);
+                columnResults.push([]);
+            }
+        }
+
+        const recoveredKey = new Uint8Array(keyBytes);
+        const decrypted = xor(ciphertext, recoveredKey);
+        const text = root.REOT.bytes.toText(decrypted);
+
+        // 如果有已知明文，检查是否匹配
+        const matchesKnown = !knownPlaintext || text.includes(knownPlaintext);
+
+        // 计算整体可读性得分
+        const score = calculateReadabilityScore(decrypted);
+
+        return {
+            key: recoveredKey,
+            keyHex: root.REOT.bytes.toHex(recoveredKey, { separator: ' ', uppercase: true }),
+            keyText: root.REOT.bytes.toText(recoveredKey),
+            decrypted: decrypted,
+            text: text,
+            score: score,
+            matchesKnown: matchesKnown,
+            columnResults: columnResults
+        };
+    }
+
+    /**
+     * 尝试多个密钥长度进行多字节暴力破解
+     * @param {Uint8Array} ciphertext - 密文
+     * @param {Array<number>} keyLengths - 要尝试的密钥长度数组
+     * @param {string} knownPlaintext - 已知明文（可选）
+     * @returns {Array<Object>} - 按得分排序的破解结果
+     */
+    function bruteforceMultipleLengths(ciphertext, keyLengths, knownPlaintext = '') {
+        const matchedResults = [];
+        const allResults = [];
+
+        for (const keyLen of keyLengths) {
+            if (keyLen < 1 || keyLen > ciphertext.length) {
+                continue;
+            }
+
+            const result = bruteforceMultiByteXor(ciphertext, keyLen, knownPlaintext);
+            result.keyLength = keyLen;
+
+            allResults.push(result);
+
+            // 如果匹配已知明文，添加到匹配列表
+            if (result.matchesKnown) {
+                matchedResults.push(result);
+            }
+        }
+
+        // 按得分降序排序
+        allResults.sort((a, b) => b.score - a.score);
+        matchedResults.sort((a, b) => b.score - a.score);
+
+        // 如果有已知明文且有匹配结果，优先返回匹配的
+        // 否则返回所有结果（让用户看到最佳猜测）
+        if (knownPlaintext && matchedResults.length > 0) {
+            return matchedResults;
+        }
+
+        return allResults;
+    }
+
+    root.REOT.xor = {
+        crypt: xor,
+        readabilityScore: calculateReadabilityScore,
+        hammingDistance,
+        detectKeyLength,
+        bruteforceSingleByte: bruteforceSingleByteXor,
+        bruteforceMultiByte: bruteforceMultiByteXor,
+        bruteforceMultipleLengths
+    };
+
+})(typeof window !== 'undefined' ? window : self);